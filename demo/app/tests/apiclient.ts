@@ -0,0 +1,2795 @@
+import * as ApiClient from "nativescript-toolbox/apiclient";
+import * as ApiClientGenerator from "nativescript-toolbox/apiclient/generator";
+import * as Connectivity from "connectivity";
+import * as FileSystem from "file-system";
+
+
+function createBytes(length: number, value: number | ((index: number) => number)) : number[] {
+    var bytes: number[] = [];
+    for (var i = 0; i < length; i++) {
+        bytes.push(typeof value === "function" ? value(i) : value);
+    }
+    
+    return bytes;
+}
+
+function createRequest(url: string, method: string, headers?: any, content?: any) : any {
+    return {
+        content: content,
+        headers: headers || {},
+        method: method,
+        url: url,
+    };
+}
+
+describe("ApiClient", function() {
+    it("cancels pending retries via a token", function(done) {
+        var source = new ApiClient.CancellationTokenSource();
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", () => {
+            setTimeout(() => {
+                source.cancel("Stopped!");
+            }, 0);
+            
+            return { code: 503 };
+        });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            retryPolicy: {
+                delay: 60000,
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get({ cancellationToken: source.token }).then(() => {
+            done.fail("Request has not been cancelled.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.Cancelled);
+            expect(err.error).toBe("Stopped!");
+            expect(transport.requests.length).toBe(1);
+            done();
+        });
+    });
+    
+    it("cancels requests via the promise", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200, delay: 60000 });
+        
+        var actions: string[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        }).success(() => {
+            actions.push("success");
+        });
+        
+        var promise = client.get();
+        promise.then(() => {
+            done.fail("Request has not been cancelled.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.Cancelled);
+            expect(err.error).toBe("Stopped!");
+            expect(actions).toEqual([]);
+            done();
+        });
+        
+        promise.cancel("Stopped!");
+    });
+    
+    it("decodes the content by its type", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/item.json", { body: '{ "name": "a" }', headers: { "Content-Type": "application/vnd.item+json; charset=utf-8" } });
+        transport.on("GET", "/item.md", { body: "# a", headers: { "Content-Type": "text/markdown" } });
+        transport.on("GET", "/item.txt", { body: "a", headers: { "Content-Type": "text/plain" } });
+        transport.on("GET", "/item.xml", { body: "<item name=\"a\" />", headers: { "Content-Type": "application/xml" } });
+        transport.on("GET", "/item.yaml", { body: "name: a\ntags:\n  - b\n", headers: { "Content-Type": "application/x-yaml" } });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "item.{format}",
+            transport: transport,
+        });
+        
+        var getContent = function(format: string) {
+            return client.get({ routeParams: { format: format } }).then((result) => {
+                return result.getContent<any>();
+            });
+        };
+        
+        Promise.all([
+            getContent("json"),
+            getContent("md"),
+            getContent("txt"),
+            getContent("xml"),
+            getContent("yaml"),
+        ]).then((contents) => {
+            expect(contents[0]).toEqual({ name: "a" });
+            expect(contents[1]).toBe("<h1>a</h1>");
+            expect(contents[2]).toBe("a");
+            expect(contents[3].root.name.localName).toBe("item");
+            expect(contents[3].root.attribute("name").value).toBe("a");
+            expect(contents[4]).toEqual({ name: "a", tags: [ "b" ] });
+            done();
+        }, done.fail);
+    });
+    
+    it("decodes the content with the decoders of the client first", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/item", { body: '{ "name": "a" }', headers: { "Content-Type": "application/json; charset=utf-8" } });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "item",
+            transport: transport,
+        }).addDecoder(/^application\/json$/, (ctx) => {
+            return ctx.parameters["charset"] + ":" + ctx.result.getJSON<any>().name;
+        });
+        
+        client.get().then((result) => {
+            expect(result.getContent<string>()).toBe("utf-8:a");
+            done();
+        }, done.fail);
+    });
+    
+    it("does not repeat cookies of the jar for replayed requests", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200, headers: { "Set-Cookie": "sid=abc; Path=/" } });
+        
+        var replays = 0;
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            cookieJar: new ApiClient.CookieJar({
+                store: {
+                    load: () => [],
+                    save: () => { },
+                },
+            }),
+            headers: {
+                "Cookie": "lang=de",
+            },
+            interceptors: {
+                response: [ (ctx) => {
+                    if (replays++ < 2) {
+                        ctx.replay();
+                    }
+                } ],
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            var cookies = transport.requests.map((r) => r.headers["Cookie"]);
+            
+            expect(cookies).toEqual(["lang=de", "lang=de; sid=abc", "lang=de; sid=abc"]);
+            done();
+        }, done.fail);
+    });
+    
+    it("does not retry if a Retry-After header exceeds the maximum delay", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 429, headers: { "Retry-After": "120" } });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            retryPolicy: {
+                delay: 1,
+                maxDelay: 1000,
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(429);
+            expect(transport.requests.length).toBe(1);
+            done();
+        }, done.fail);
+    });
+    
+    it("does not retry requests with methods that are not idempotent", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/items", { code: 503 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            retryPolicy: {
+                delay: 1,
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.post().then((result) => {
+            expect(result.code).toBe(503);
+            expect(transport.requests.length).toBe(1);
+            done();
+        }, done.fail);
+    });
+    
+    it("does not send requests with a cancelled token", function(done) {
+        var source = new ApiClient.CancellationTokenSource();
+        source.cancel();
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get({ cancellationToken: source.token }).then(() => {
+            done.fail("Request has been sent.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.Cancelled);
+            expect(transport.requests.length).toBe(0);
+            done();
+        });
+    });
+    
+    it("does not validate responses without content against the schema", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("DELETE", "/users/1", { code: 204 });
+        transport.on("POST", "/users/1", { body: "", code: 200 });
+        transport.on("PUT", "/users/1", { body: "", code: 205 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "users/1",
+            schema: {
+                required: [ "id" ],
+                type: "object",
+            },
+            transport: transport,
+        });
+        
+        Promise.all([
+            client.delete(),
+            client.post(),
+            client.put(),
+        ]).then((results) => {
+            expect(results.map((r) => r.code)).toEqual([ 204, 200, 205 ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("downloads the complete content at once on request, if the server does not support range requests", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("HEAD", "/file", { code: 200, headers: { "Content-Length": "10" } });
+        transport.on("GET", "/file", { body: "0123456789", code: 200 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "file",
+            transport: transport,
+        });
+        
+        var destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-full.txt");
+        client.download(destFile, {
+            allowFullContent: true,
+            chunkSize: 4,
+            resume: false,
+            storage: {
+                getValue: () => undefined,
+                removeValue: () => { },
+                setValue: () => { },
+            },
+        }).then((file) => {
+            expect(file.readTextSync()).toBe("0123456789");
+            expect(transport.requests.length).toBe(2);
+            expect(transport.requests[1].headers["Range"]).toBeUndefined();
+            
+            file.removeSync();
+            done();
+        }, done.fail);
+    });
+    
+    it("encodes parameters per URL component", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", /\/search\//, { code: 200 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "search/{term}",
+            transport: transport,
+        });
+        
+        client.get({
+            params: {
+                empty: null,
+                missing: undefined,
+                q: "x&y=z ä",
+            },
+            routeParams: {
+                term: "a/b c",
+            },
+        }).then((result) => {
+            expect(result.code).toBe(200);
+            expect(transport.requests[0].url).toBe("https://api.example.com/search/a%2Fb%20c?empty=&q=x%26y%3Dz%20%C3%A4");
+            done();
+        }, done.fail);
+    });
+    
+    it("invokes the actions once per download", function(done) {
+        var content = "0123456789";
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("HEAD", "/file", { code: 200, headers: { "Accept-Ranges": "bytes", "ETag": '"v1"' } });
+        transport.on("GET", "/file", (req) => {
+            var range = /^bytes=(\d+)-(\d+)$/.exec(req.headers["Range"]);
+            var start = parseInt(range[1]);
+            var end = Math.min(parseInt(range[2]), content.length - 1);
+            
+            return {
+                body: content.substring(start, end + 1),
+                code: 206,
+                headers: {
+                    "Content-Range": "bytes " + start + "-" + end + "/" + content.length,
+                    "ETag": '"v1"',
+                },
+            };
+        });
+        
+        var values = {};
+        var storage: ApiClient.IValueStorage = {
+            getValue: (key) => values[key],
+            removeValue: (key) => delete values[key],
+            setValue: (v, key) => values[key] = v,
+        };
+        
+        var actions: string[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "file",
+            transport: transport,
+        }).success((result) => {
+            actions.push("success:" + result.code);
+        }).complete(() => {
+            actions.push("complete");
+        });
+        
+        var destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-download.txt");
+        client.download(destFile, { chunkSize: 4, resume: false, storage: storage }).then((file) => {
+            expect(file.readTextSync()).toBe(content);
+            expect(transport.requests.length).toBe(4);
+            expect(actions).toEqual([ "success:206", "complete" ]);
+            expect(values).toEqual({});
+            
+            file.removeSync();
+            done();
+        }, done.fail);
+    });
+    
+    it("rejects binary parts of multipart requests that are not base64 encoded explicitly", function(done) {
+        var transport = new ApiClient.MockTransport();
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            transport: transport,
+        });
+        
+        client.post({
+            content: {
+                file: {
+                    content: new Uint8Array(createBytes(3, 0xFF)),
+                    fileName: "image.bin",
+                },
+                name: "image",
+            },
+            type: ApiClient.HttpRequestType.Multipart,
+        }).then(() => done.fail("Request has NOT been rejected!"), (err) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.InvalidRequest);
+            expect(err.error).toBe("Binary part 'file' cannot be sent as raw data. Set 'base64' to send it base64 encoded.");
+            expect(transport.requests.length).toBe(0);
+            done();
+        });
+    });
+    
+    it("rejects calls of routes with invalid parameters", function(done) {
+        var errors: ApiClient.IApiClientError[] = [];
+        var completed: ApiClient.IApiClientCompleteContext[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            routes: {
+                "users.show": "/users/{id:int}",
+            },
+            transport: new ApiClient.MockTransport(),
+        }).error((err) => {
+            errors.push(err);
+        }).complete((ctx) => {
+            completed.push(ctx);
+        });
+        
+        var promise: Promise<any>;
+        expect(() => promise = client.call("users.show", { id: "abc" })).not.toThrow();
+        expect(() => client.urlFor("users.show", { id: "abc" })).toThrow();
+        
+        promise.then(() => done.fail("Call has NOT been rejected!"), (err) => {
+            expect(err.error).toBe("Route parameter 'id' is NO valid 'int' value!");
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.InvalidRequest);
+            expect(errors).toEqual([ err ]);
+            expect(completed.length).toBe(1);
+            expect(completed[0].error).toBe(err);
+            done();
+        });
+    });
+    
+    it("rejects chunked downloads, if the server does not support range requests", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("HEAD", "/file", { code: 200, headers: { "Content-Length": "10" } });
+        // ignores the 'Range' header
+        transport.on("GET", "/file", { body: "0123456789", code: 200 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "file",
+            transport: transport,
+        });
+        
+        var destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-ranges.txt");
+        client.download(destFile, {
+            chunkSize: 4,
+            resume: false,
+            storage: {
+                getValue: () => undefined,
+                removeValue: () => { },
+                setValue: () => { },
+            },
+        }).then(() => {
+            done.fail("Download has NOT been rejected!");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.error).toBe("The server does not support range requests! Set 'allowFullContent' to download the complete content at once.");
+            expect(transport.requests.map((r) => r.method)).toEqual([ "HEAD" ]);
+            expect(FileSystem.File.exists(destFile)).toBe(false);
+            done();
+        });
+    });
+    
+    it("rejects if a request cannot be set up", function(done) {
+        var transport = new ApiClient.MockTransport();
+        
+        var completed: ApiClient.IApiClientCompleteContext[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            transport: transport,
+        }).beforeSend(() => {
+            throw "Invalid request!";
+        }).error(() => {
+        }).complete((ctx) => {
+            completed.push(ctx);
+        });
+        
+        var promise: Promise<any>;
+        expect(() => promise = client.get()).not.toThrow();
+        
+        promise.then(() => done.fail("Request has NOT been rejected!"), (err) => {
+            expect(err.error).toBe("Invalid request!");
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.InvalidRequest);
+            expect(completed.length).toBe(1);
+            expect(completed[0].error).toBe(err);
+            expect(transport.requests.length).toBe(0);
+            done();
+        });
+    });
+    
+    it("rejects if an action throws", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var errorContexts: ApiClient.ApiClientErrorContext[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        }).success(() => {
+            throw "Action failed!";
+        }).error((err) => {
+            errorContexts.push(err.context);
+        });
+        
+        client.get().then(() => done.fail("Request has NOT been rejected!"), (err) => {
+            expect(err.error).toBe("Action failed!");
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.Exception);
+            expect(errorContexts).toEqual([ ApiClient.ApiClientErrorContext.Exception ]);
+            done();
+        });
+    });
+    
+    it("rejects responses that violate the schema", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/users/1", { body: '{ "id": "1" }', headers: { "Content-Type": "application/json" } });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "users/1",
+            schema: {
+                properties: {
+                    id: { type: "integer" },
+                    name: { type: "string" },
+                },
+                required: [ "id", "name" ],
+                type: "object",
+            },
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            done.fail("Response has not been rejected.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.SchemaViolation);
+            expect(err.error instanceof ApiClient.SchemaValidationError).toBe(true);
+            expect(err.error.content).toEqual({ id: "1" });
+            expect(err.error.message).toBe("#/name: is required; #/id: must be of type 'integer', but is 'string'");
+            
+            // (null) disables the schema of the client
+            return client.get({ schema: null }).then((result) => {
+                expect(result.getJSON<any>()).toEqual({ id: "1" });
+                done();
+            });
+        }).then(null, done.fail);
+    });
+    
+    it("reports each number of transferred bytes only once", function(done) {
+        var mock = new ApiClient.MockTransport();
+        mock.on("GET", "/items", { body: "abcd" });
+        
+        var loaded: number[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: {
+                send: (opts, progress) => {
+                    progress.download(2, 4);
+                    progress.download(2, 4);
+                    progress.download(4, 4);
+                    
+                    return mock.send(opts);
+                },
+            },
+        });
+        
+        client.get({
+            downloadProgress: (e) => {
+                loaded.push(e.loaded);
+            },
+        }).then(() => {
+            expect(loaded).toEqual([ 2, 4 ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("reports the overall progress of chunked downloads", function(done) {
+        var content = "0123456789";
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/file", (req) => {
+            var range = /^bytes=(\d+)-(\d+)$/.exec(req.headers["Range"]);
+            var start = parseInt(range[1]);
+            var end = Math.min(parseInt(range[2]), content.length - 1);
+            
+            return {
+                body: content.substring(start, end + 1),
+                code: 206,
+                headers: {
+                    "Content-Range": "bytes " + start + "-" + end + "/" + content.length,
+                },
+            };
+        });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "file",
+            transport: transport,
+        });
+        
+        var events: string[] = [];
+        var destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-progress.txt");
+        client.download(destFile, {
+            chunkSize: 4,
+            downloadProgress: (e) => {
+                events.push(e.loaded + "/" + e.total);
+            },
+            resume: false,
+            storage: {
+                getValue: () => undefined,
+                removeValue: () => { },
+                setValue: () => { },
+            },
+        }).then((file) => {
+            expect(events).toEqual([ "4/-1", "8/10", "10/10" ]);
+            
+            file.removeSync();
+            done();
+        }, done.fail);
+    });
+    
+    it("reports the progress of uploads and downloads", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/items", { body: "abcd", code: 201 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        var events: string[] = [];
+        client.post({
+            content: "héllo",
+            downloadProgress: (e) => {
+                events.push("download: " + e.loaded + "/" + e.total + " (" + e.percentage + "%)");
+            },
+            uploadProgress: (e) => {
+                events.push("upload: " + e.loaded + "/" + e.total + " (" + e.percentage + "%)");
+            },
+        }).then(() => {
+            expect(events).toEqual([
+                "upload: 0/6 (0%)",
+                "upload: 6/6 (100%)",
+                "download: 4/4 (100%)",
+            ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("restarts a resumed download, if the content has been changed", function(done) {
+        var content = "0123456789";
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("HEAD", "/file", { code: 200, headers: { "Accept-Ranges": "bytes", "ETag": '"v2"' } });
+        transport.on("GET", "/file", (req) => {
+            var range = /^bytes=(\d+)-(\d+)$/.exec(req.headers["Range"]);
+            var start = parseInt(range[1]);
+            var end = Math.min(parseInt(range[2]), content.length - 1);
+            
+            return {
+                body: content.substring(start, end + 1),
+                code: 206,
+                headers: {
+                    "Content-Range": "bytes " + start + "-" + end + "/" + content.length,
+                    "ETag": '"v2"',
+                },
+            };
+        });
+        
+        var destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-changed.txt");
+        FileSystem.File.fromPath(destFile).writeTextSync("ab");
+        
+        var values = {};
+        values["apiclient.downloads." + destFile] = '"v1"';
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "file",
+            transport: transport,
+        });
+        
+        client.download(destFile, {
+            chunkSize: 4,
+            storage: {
+                getValue: (key) => values[key],
+                removeValue: (key) => delete values[key],
+                setValue: (v, key) => values[key] = v,
+            },
+        }).then((file) => {
+            var requests = transport.requests;
+            
+            expect(file.readTextSync()).toBe(content);
+            expect(requests[1].headers["Range"]).toBe("bytes=0-3");
+            expect(requests[1].headers["If-Range"]).toBeUndefined();
+            expect(requests[2].headers["If-Range"]).toBe('"v2"');
+            
+            file.removeSync();
+            done();
+        }, done.fail);
+    });
+    
+    it("retries failed requests with exponential backoff", function(done) {
+        var codes = [ 503, 500, 200 ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", () => {
+            return { code: codes.shift() };
+        });
+        
+        var attempts: ApiClient.IRequestAttempt[];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            retryPolicy: {
+                delay: 1,
+                factor: 3,
+            },
+            route: "items",
+            transport: transport,
+        }).complete((ctx) => {
+            attempts = ctx.attempts;
+        });
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(200);
+            expect(attempts.map((a) => a.code)).toEqual([ 503, 500, 200 ]);
+            expect(attempts.map((a) => a.retryDelay)).toEqual([ 1, 3, undefined ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("retries with the delay of a Retry-After header", function(done) {
+        var codes = [ 503, 200 ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", () => {
+            return { code: codes.shift(), headers: { "Retry-After": "0" } };
+        });
+        
+        var attempts: ApiClient.IRequestAttempt[];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            retryPolicy: {
+                delay: 60000,
+            },
+            route: "items",
+            transport: transport,
+        }).complete((ctx) => {
+            attempts = ctx.attempts;
+        });
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(200);
+            expect(attempts.map((a) => a.retryDelay)).toEqual([ 0, undefined ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("runs the request interceptors on the original options for each attempt", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            interceptors: {
+                request: [ (ctx) => {
+                    ctx.options.url += "?page=" + ctx.attempt;
+                    ctx.options.headers["X-Trace"] = (ctx.options.headers["X-Trace"] || "") + "x";
+                } ],
+                response: [ (ctx) => {
+                    if (ctx.attempt < 3) {
+                        ctx.replay();
+                    }
+                } ],
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            expect(transport.requests.map((r) => r.url)).toEqual([
+                "https://api.example.com/items?page=1",
+                "https://api.example.com/items?page=2",
+                "https://api.example.com/items?page=3",
+            ]);
+            expect(transport.requests.map((r) => r.headers["X-Trace"])).toEqual([ "x", "x", "x" ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("sends binary parts of multipart requests base64 encoded on request", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/upload", { code: 204 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "upload",
+            transport: transport,
+        });
+        
+        var file = FileSystem.File.fromPath(FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-upload.txt"));
+        file.writeTextSync("abc");
+        
+        client.post({
+            content: {
+                bytes: {
+                    base64: true,
+                    content: new Uint8Array(createBytes(3, 0xFF)),
+                },
+                file: {
+                    base64: true,
+                    content: file,
+                },
+            },
+            type: ApiClient.HttpRequestType.Multipart,
+        }).then(() => {
+            var req = transport.requests[0];
+            var boundary = /boundary=(.+)$/.exec(req.headers["Content-type"])[1];
+            
+            expect(req.content).toBe("--" + boundary + "\r\n" +
+                                     'Content-Disposition: form-data; name="bytes"\r\n' +
+                                     "Content-Type: application/octet-stream\r\n" +
+                                     "Content-Transfer-Encoding: base64\r\n" +
+                                     "\r\n" +
+                                     "////\r\n" +
+                                     "--" + boundary + "\r\n" +
+                                     'Content-Disposition: form-data; name="file"; filename="apiclient-upload.txt"\r\n' +
+                                     "Content-Type: text/plain\r\n" +
+                                     "Content-Transfer-Encoding: base64\r\n" +
+                                     "\r\n" +
+                                     "YWJj\r\n" +
+                                     "--" + boundary + "--\r\n");
+            
+            file.removeSync();
+            done();
+        }, done.fail);
+    });
+    
+    it("sends the parts of multipart requests", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/upload", { code: 204 });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "upload",
+            transport: transport,
+        });
+        
+        client.post({
+            content: {
+                meta: {
+                    content: { size: 3 },
+                    fileName: "meta.json",
+                },
+                tags: [ "a", "b" ],
+            },
+            type: ApiClient.HttpRequestType.Multipart,
+        }).then(() => {
+            var req = transport.requests[0];
+            var boundary = /boundary=(.+)$/.exec(req.headers["Content-type"])[1];
+            
+            expect(req.content).toBe("--" + boundary + "\r\n" +
+                                     'Content-Disposition: form-data; name="meta"; filename="meta.json"\r\n' +
+                                     "Content-Type: application/json; charset=utf-8\r\n" +
+                                     "\r\n" +
+                                     '{"size":3}\r\n' +
+                                     "--" + boundary + "\r\n" +
+                                     'Content-Disposition: form-data; name="tags"\r\n' +
+                                     "\r\n" +
+                                     "a\r\n" +
+                                     "--" + boundary + "\r\n" +
+                                     'Content-Disposition: form-data; name="tags"\r\n' +
+                                     "\r\n" +
+                                     "b\r\n" +
+                                     "--" + boundary + "--\r\n");
+            done();
+        }, done.fail);
+    });
+    
+    it("serializes arrays and objects of parameters in the configured format", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var params = {
+            filter: {
+                name: "x",
+                tags: [ "a" ],
+            },
+            ids: [ 1, 2 ],
+        };
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get({ params: params }).then(() => {
+            client.paramArrayFormat = ApiClient.ParamArrayFormat.Brackets;
+            client.paramObjectFormat = ApiClient.ParamObjectFormat.Dots;
+            
+            return client.get({ params: params });
+        }).then(() => {
+            client.paramArrayFormat = ApiClient.ParamArrayFormat.Comma;
+            client.paramObjectFormat = ApiClient.ParamObjectFormat.JSON;
+            
+            return client.get({ params: params });
+        }).then(() => {
+            expect(transport.requests.map((r) => decodeURIComponent(r.url.substring(r.url.indexOf("?") + 1)))).toEqual([
+                "filter[name]=x&filter[tags]=a&ids=1&ids=2",
+                "filter.name=x&filter.tags[]=a&ids[]=1&ids[]=2",
+                'filter={"name":"x","tags":["a"]}&ids=1,2',
+            ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("signs requests AFTER the request interceptors", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var signedHeader: string;
+        var client = ApiClient.newClient({
+            authorizer: {
+                prepare: (reqOpts) => signedHeader = reqOpts.headers["X-Tenant"],
+            },
+            baseUrl: "https://api.example.com",
+            interceptors: {
+                request: [ (ctx) => ctx.options.headers["X-Tenant"] = "tenant-1" ],
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            expect(signedHeader).toBe("tenant-1");
+            done();
+        }, done.fail);
+    });
+});
+
+describe("AwsSigV4Authorizer", function() {
+    // AWS Signature Version 4 test suite
+    var createAuthorizer = function() {
+        return new ApiClient.AwsSigV4Authorizer({
+            accessKeyId: "AKIDEXAMPLE",
+            region: "us-east-1",
+            secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+            service: "service",
+            timestamp: new Date(Date.UTC(2015, 7, 30, 12, 36, 0)),
+        });
+    };
+    
+    var testSuite = [
+        { name: "get-vanilla",
+          request: createRequest("https://example.amazonaws.com/", "GET"),
+          signedHeaders: "host;x-amz-date",
+          signature: "5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31" },
+        { name: "get-vanilla-query-order-key-case",
+          request: createRequest("https://example.amazonaws.com/?Param2=value2&Param1=value1", "GET"),
+          signedHeaders: "host;x-amz-date",
+          signature: "b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500" },
+        { name: "get-relative-relative",
+          request: createRequest("https://example.amazonaws.com/example1/example2/../..", "GET"),
+          signedHeaders: "host;x-amz-date",
+          signature: "5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31" },
+        { name: "post-vanilla",
+          request: createRequest("https://example.amazonaws.com/", "POST"),
+          signedHeaders: "host;x-amz-date",
+          signature: "5da7c1a2acd57cee7505fc6676e4e544621c30862966e37dddb68e92efbe5d6b" },
+        { name: "post-header-key-sort",
+          request: createRequest("https://example.amazonaws.com/", "POST", { "My-Header1": "value1" }),
+          signedHeaders: "host;my-header1;x-amz-date",
+          signature: "c5410059b04c1ee005303aed430f6e6645f61f4dc9e1461ec8f8916fdf18852c" },
+        { name: "post-x-www-form-urlencoded",
+          request: createRequest("https://example.amazonaws.com/", "POST",
+                                 { "Content-Type": "application/x-www-form-urlencoded" }, "Param1=value1"),
+          signedHeaders: "content-type;host;x-amz-date",
+          signature: "ff11897932ad3f4e8b18135d722051e5ac45fc38421b1da7b9d196a0fe09473a" },
+    ];
+    
+    testSuite.forEach((tc) => {
+        it("signs the '" + tc.name + "' request of the test suite", function() {
+            createAuthorizer().prepare(tc.request);
+            
+            expect(tc.request.headers["X-Amz-Date"]).toBe("20150830T123600Z");
+            expect(tc.request.headers["Authorization"]).toBe("AWS4-HMAC-SHA256 " +
+                                                             "Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, " +
+                                                             "SignedHeaders=" + tc.signedHeaders + ", " +
+                                                             "Signature=" + tc.signature);
+        });
+    });
+    
+    it("hashes binary bodies", function() {
+        var reqOpts = createRequest("https://example.amazonaws.com/", "PUT", {}, [1, 2, 3]);
+        
+        var authorizer = createAuthorizer();
+        spyOn(authorizer, "createCanonicalRequest").and.callThrough();
+        authorizer.prepare(reqOpts);
+        
+        expect(authorizer.createCanonicalRequest).toHaveBeenCalledWith("PUT", reqOpts.url, reqOpts.headers,
+                                                                       "039058c6f2c0cb492c533b0a4d14ef77cc0f78abccced5287d84a1a2011cfb81");
+    });
+});
+
+describe("CancellationTokenSource", function() {
+    it("invokes all callbacks and rethrows the first error", function() {
+        var source = new ApiClient.CancellationTokenSource();
+        
+        var reasons: any[] = [];
+        source.token.register(() => {
+            throw "Callback failed!";
+        });
+        source.token.register((reason) => {
+            reasons.push(reason);
+        });
+        
+        expect(() => source.cancel("Cancelled!")).toThrow("Callback failed!");
+        expect(reasons).toEqual([ "Cancelled!" ]);
+        expect(source.isCancellationRequested).toBe(true);
+    });
+});
+
+describe("CircuitBreaker", function() {
+    it("logs errors of the state change callback via the loggers of the client", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 503 });
+        
+        var errors: string[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            circuitBreaker: {
+                failureThreshold: 1,
+                onStateChange: () => {
+                    throw "Callback failed!";
+                },
+            },
+            route: "items",
+            transport: transport,
+        }).addLogger((msg) => {
+            if (ApiClient.LogCategory.Error === msg.category) {
+                errors.push(msg.tag + ": " + msg.message);
+            }
+        });
+        
+        spyOn(console, "log");
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(503);
+            expect(client.circuitBreaker.getState("api.example.com")).toBe(ApiClient.CircuitState.Open);
+            expect(errors).toEqual([ "CIRCUITBREAKER: onStateChange(): Callback failed!" ]);
+            expect(console.log).not.toHaveBeenCalled();
+            done();
+        }, done.fail);
+    });
+    
+    it("rejects requests while a circuit is open and closes it after a trial request", function(done) {
+        var codes = [ 503, 503, 200 ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", () => {
+            return { code: codes.shift() };
+        });
+        
+        var states: string[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            circuitBreaker: {
+                cooldown: 20,
+                failureThreshold: 2,
+                onStateChange: (ctx) => {
+                    states.push(ctx.host + ": " + ApiClient.CircuitState[ctx.oldState] + " => " + ApiClient.CircuitState[ctx.newState]);
+                },
+            },
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            return client.get();
+        }).then(() => {
+            return client.get().then(() => {
+                throw "Request has not been rejected.";
+            }, (err: ApiClient.IApiClientError) => {
+                expect(err.context).toBe(ApiClient.ApiClientErrorContext.Rejected);
+                expect(err.error).toBe("Circuit for host 'api.example.com' is open.");
+                expect(transport.requests.length).toBe(2);
+            });
+        }).then(() => {
+            return new Promise((resolve) => setTimeout(resolve, 30));
+        }).then(() => {
+            return client.get();
+        }).then((result) => {
+            expect(result.code).toBe(200);
+            expect(transport.requests.length).toBe(3);
+            expect(states).toEqual([
+                "api.example.com: Closed => Open",
+                "api.example.com: Open => HalfOpen",
+                "api.example.com: HalfOpen => Closed",
+            ]);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("ClientGenerator", function() {
+    it("renames schemas that clash with global types", function() {
+        var code = ApiClientGenerator.generate({
+            components: {
+                schemas: {
+                    Error: {
+                        properties: {
+                            message: { type: "string" },
+                        },
+                        type: "object",
+                    },
+                },
+            },
+            info: { title: "Test", version: "1.0" },
+            openapi: "3.0.0",
+            paths: {
+                "/users": {
+                    get: {
+                        operationId: "getUsers",
+                        responses: {
+                            "200": {
+                                content: {
+                                    "application/json": {
+                                        schema: { $ref: "#/components/schemas/Error" },
+                                    },
+                                },
+                                description: "OK",
+                            },
+                        },
+                    },
+                },
+            },
+        });
+        
+        expect(code).toContain("export interface _Error {");
+        expect(code).toContain("invokeOperation<_Error>(");
+        expect(code).not.toContain("interface Error ");
+    });
+});
+
+describe("CookieJar", function() {
+    var createJar = function(cookies?: ApiClient.ICookie[]) {
+        var store = {
+            cookies: cookies || [],
+            load: () => store.cookies,
+            save: (newCookies: ApiClient.ICookie[]) => {
+                store.cookies = newCookies;
+            },
+        };
+        
+        return {
+            jar: new ApiClient.CookieJar({ store: store }),
+            store: store,
+        };
+    };
+    
+    it("deletes cookies with a Max-Age of 0", function() {
+        var jar = createJar().jar;
+        jar.setCookie("sid=abc", "https://example.com/");
+        
+        expect(jar.setCookie("sid=; Max-Age=0", "https://example.com/")).toBeNull();
+        expect(jar.cookies).toEqual([]);
+    });
+    
+    it("logs errors of the store via the loggers of the client", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/login", { code: 200, headers: { "Set-Cookie": "sid=abc; Max-Age=3600" } });
+        
+        var errors: string[] = [];
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            cookieJar: new ApiClient.CookieJar({
+                store: {
+                    load: () => Promise.reject("Not readable!"),
+                    save: () => Promise.reject("Not writable!"),
+                },
+            }),
+            route: "login",
+            transport: transport,
+        }).addLogger((msg) => {
+            if (ApiClient.LogCategory.Error === msg.category) {
+                errors.push(msg.tag + ": " + msg.message);
+            }
+        });
+        
+        spyOn(console, "log");
+        
+        client.get().then(() => {
+            setTimeout(() => {
+                expect(errors).toEqual([
+                    "COOKIEJAR: Could not load cookies: Not readable!",
+                    "COOKIEJAR: Could not save cookies: Not writable!",
+                ]);
+                expect(client.cookieJar.logger).toBe(<any>client);
+                expect(console.log).not.toHaveBeenCalled();
+                done();
+            }, 10);
+        }, done.fail);
+    });
+    
+    it("parses the attributes of Set-Cookie headers", function() {
+        var now = Date.now();
+        
+        var cookie = createJar().jar.setCookie("sid=abc; Domain=.Example.com; Path=/api; Secure; HttpOnly; SameSite=Lax; Max-Age=60; Expires=Wed, 21 Oct 2099 07:28:00 GMT",
+                                               "https://www.example.com/login");
+        
+        expect(cookie.name).toBe("sid");
+        expect(cookie.value).toBe("abc");
+        expect(cookie.domain).toBe("example.com");
+        expect(cookie.hostOnly).toBe(false);
+        expect(cookie.path).toBe("/api");
+        expect(cookie.secure).toBe(true);
+        expect(cookie.httpOnly).toBe(true);
+        expect(cookie.sameSite).toBe("Lax");
+        expect(cookie.expires).not.toBeLessThan(now + 60000);
+        expect(cookie.expires).toBeLessThan(now + 61000);
+    });
+    
+    it("persists only cookies with an expiration time and restores them", function(done) {
+        var source = createJar();
+        source.jar.setCookies({
+            "Set-Cookie": "a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT, b=2; Path=/",
+        }, "https://example.com/");
+        
+        source.jar.loaded.then(() => {
+            expect(source.jar.cookies.map((c) => c.name)).toEqual([ "a", "b" ]);
+            expect(source.store.cookies.map((c) => c.name)).toEqual([ "a" ]);
+            
+            var target = createJar(source.store.cookies);
+            return target.jar.loaded.then(() => {
+                expect(target.jar.getCookieHeader("https://example.com/")).toBe("a=1");
+            });
+        }).then(done, done.fail);
+    });
+    
+    it("rejects cookies for other domains", function() {
+        var jar = createJar().jar;
+        
+        expect(jar.setCookie("a=1; Domain=other.com", "https://example.com/")).toBeNull();
+        expect(jar.setCookie("b=2; Domain=com", "https://example.com/")).toBeNull();
+        expect(jar.setCookie("c=3; Domain=example.com", "https://api.example.com/")).not.toBeNull();
+        expect(jar.cookies.map((c) => c.name)).toEqual([ "c" ]);
+    });
+    
+    it("returns the matching cookies with the longest path first", function() {
+        var jar = createJar().jar;
+        jar.setCookie("a=1; Path=/", "https://example.com/");
+        jar.setCookie("b=2; Path=/api", "https://example.com/");
+        jar.setCookie("c=3; Secure", "https://example.com/");
+        jar.setCookie("d=4; Path=/other", "https://example.com/");
+        jar.setCookie("e=5", "https://api.example.com/");
+        
+        expect(jar.getCookieHeader("https://example.com/api/items")).toBe("b=2; a=1; c=3");
+        expect(jar.getCookieHeader("http://example.com/api/items")).toBe("b=2; a=1");
+        expect(jar.getCookieHeader("https://example.org/")).toBeNull();
+    });
+});
+
+describe("DigestAuthorizer", function() {
+
+    it("answers the challenge of the example of RFC 2617", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/dir/index.html", (req) => {
+            if (/response="6629fae49393a05397450978507c4ef1"/.test(req.headers["Authorization"])) {
+                return { code: 200 };
+            }
+            
+            return {
+                code: 401,
+                headers: {
+                    "WWW-Authenticate": 'Digest realm="testrealm@host.com", qop="auth,auth-int", nonce="dcd98b7102dd2f0e8b11d0f600bfb0c093", opaque="5ccc069c403ebaf9f0171e9517f40e41"',
+                },
+            };
+        });
+        
+        var authorizer = new ApiClient.DigestAuthorizer("Mufasa", "Circle Of Life");
+        authorizer.cnonce = "0a4f113b";
+        
+        var client = ApiClient.newClient({
+            authorizer: authorizer,
+            baseUrl: "http://www.nowhere.org",
+            route: "dir/index.html",
+            transport: transport,
+        });
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(200);
+            expect(transport.requests.length).toBe(2);
+            expect(transport.requests[1].headers["Authorization"]).toBe('Digest username="Mufasa", realm="testrealm@host.com", nonce="dcd98b7102dd2f0e8b11d0f600bfb0c093", ' +
+                                                                        'uri="/dir/index.html", qop=auth, nc=00000001, cnonce="0a4f113b", ' +
+                                                                        'response="6629fae49393a05397450978507c4ef1", opaque="5ccc069c403ebaf9f0171e9517f40e41"');
+            done();
+        }, done.fail);
+    });
+    
+    it("creates the responses of the examples of RFC 7616", function() {
+        var authorizer = new ApiClient.DigestAuthorizer("Mufasa", "Circle of Life");
+        
+        var challenge: any = {
+            nonce: "7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v",
+            realm: "http-auth@example.org",
+        };
+        var cnonce = "f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ";
+        
+        challenge.algorithm = "MD5";
+        expect(authorizer.createResponse("GET", "/dir/index.html", challenge, "00000001", cnonce, "auth")).toBe("8ca523f5e9506fed4657c9700eebdbec");
+        
+        challenge.algorithm = "SHA-256";
+        expect(authorizer.createResponse("GET", "/dir/index.html", challenge, "00000001", cnonce, "auth")).toBe("753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1");
+    });
+    
+    it("does not replay requests with wrong credentials twice", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", {
+            code: 401,
+            headers: {
+                "WWW-Authenticate": 'Digest realm="api", nonce="n1"',
+            },
+        });
+        
+        var client = ApiClient.newClient({
+            authorizer: new ApiClient.DigestAuthorizer("user", "wrong"),
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(401);
+            expect(transport.requests.length).toBe(2);
+            expect(transport.requests[0].headers["Authorization"]).toBeUndefined();
+            expect(transport.requests[1].headers["Authorization"]).toMatch(/^Digest username="user", realm="api", nonce="n1", uri="\/items", response="[0-9a-f]{32}"$/);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("EventStreamParser", function() {
+
+    it("keeps the ID of the last event for events without ID", function() {
+        var events: ApiClient.IServerSentEvent[] = [];
+        var parser = new ApiClient.EventStreamParser((e) => {
+            events.push(e);
+        });
+        
+        parser.write("id: 1\ndata: a\n\ndata: b\n\nid\ndata: c\n\n");
+        
+        expect(events).toEqual([
+            { data: "a", event: "message", id: "1" },
+            { data: "b", event: "message", id: "1" },
+            { data: "c", event: "message", id: "" },
+        ]);
+    });
+    
+    it("parses the fields of events across chunks", function() {
+        var events: ApiClient.IServerSentEvent[] = [];
+        var parser = new ApiClient.EventStreamParser((e) => {
+            events.push(e);
+        });
+        
+        parser.write("\uFEFFid: 1\r");
+        parser.write("\nevent: update\r\ndata: a\ndata:b\n: comment\nretry: 500\nunknown: x\n\n");
+        parser.write("data: c");
+        parser.end();
+        
+        expect(events).toEqual([
+            { data: "a\nb", event: "update", id: "1" },
+        ]);
+        expect(parser.lastEventId).toBe("1");
+        expect(parser.retry).toBe(500);
+    });
+});
+
+describe("GraphQLClient", function() {
+    var createClient = function(transport: ApiClient.MockTransport) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "graphql",
+            transport: transport,
+        });
+    };
+    
+    it("invokes the actions only for the final response of a persisted query", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/graphql", (req) => {
+            if (JSON.parse(req.content).query) {
+                return { body: { data: { user: { id: 1 } } } };
+            }
+            
+            return { body: { errors: [ { message: "PersistedQueryNotFound" } ] } };
+        });
+        
+        var actions: string[] = [];
+        var client = createClient(transport).success(() => {
+            actions.push("success");
+        }).complete(() => {
+            actions.push("complete");
+        });
+        
+        client.graphQL({ persistedQueries: true }).query<any>("query { user { id } }").then((result) => {
+            expect(result.data.user.id).toBe(1);
+            expect(transport.requests.length).toBe(2);
+            expect(actions).toEqual([ "success", "complete" ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("rejects responses with errors and a status code other than 2xx", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/graphql", {
+            body: { errors: [ { message: "Syntax Error" } ] },
+            code: 400,
+        });
+        
+        createClient(transport).graphQL().query("query {").then(() => done.fail("Query has NOT been rejected!"), (err) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.InvalidResult);
+            expect(err.error.message).toBe("Syntax Error");
+            done();
+        });
+    });
+});
+
+describe("HarRecorder", function() {
+
+    it("records the cookies of the jar redacted", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200, headers: { "Set-Cookie": "sid=abc; Path=/" } });
+        
+        var recorder = new ApiClient.HarRecorder();
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            cookieJar: new ApiClient.CookieJar({
+                store: {
+                    load: () => [],
+                    save: () => { },
+                },
+            }),
+            harRecorder: recorder,
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            return client.get();
+        }).then(() => {
+            var entries = recorder.toHar().log.entries;
+            
+            expect(entries[0].request.cookies).toEqual([]);
+            expect(entries[0].response.cookies).toEqual([
+                { name: "sid", value: "[REDACTED]" },
+            ]);
+            expect(entries[1].request.headers.filter((h) => "Cookie" === h.name)).toEqual([
+                { name: "Cookie", value: "[REDACTED]" },
+            ]);
+            expect(entries[1].request.cookies).toEqual([
+                { name: "sid", value: "[REDACTED]" },
+            ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("records the traffic of a client and redacts secrets", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/users", {
+            body: '{ "id": 1, "refresh_token": "refresh-1" }',
+            code: 201,
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+        
+        var recorder = new ApiClient.HarRecorder();
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            harRecorder: recorder,
+            route: "users",
+            transport: transport,
+        });
+        
+        client.post({
+            content: { name: "a", password: "secret-1" },
+            headers: {
+                "Authorization": "Bearer token-1",
+            },
+            params: {
+                access_token: "token-1",
+                page: 1,
+            },
+            type: ApiClient.HttpRequestType.JSON,
+        }).then(() => {
+            var har = recorder.toHar();
+            var entry = har.log.entries[0];
+            
+            expect(har.log.version).toBe("1.2");
+            expect(har.log.creator.name).toBe("nativescript-toolbox");
+            expect(har.log.entries.length).toBe(1);
+            expect(entry.request.method).toBe("POST");
+            expect(entry.request.url).toBe("https://api.example.com/users?access_token=%5BREDACTED%5D&page=1");
+            expect(entry.request.queryString).toEqual([
+                { name: "access_token", value: "[REDACTED]" },
+                { name: "page", value: "1" },
+            ]);
+            expect(entry.request.headers.filter((h) => "Authorization" === h.name)).toEqual([
+                { name: "Authorization", value: "[REDACTED]" },
+            ]);
+            expect(JSON.parse(entry.request.postData.text)).toEqual({ name: "a", password: "[REDACTED]" });
+            expect(entry.response.status).toBe(201);
+            expect(entry.response.statusText).toBe("Created");
+            expect(JSON.parse(entry.response.content.text)).toEqual({ id: 1, refresh_token: "[REDACTED]" });
+            done();
+        }, done.fail);
+    });
+    
+    it("truncates bodies and keeps the newest entries", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { body: "abcdef", code: 200, headers: { "Content-Type": "text/plain" } });
+        
+        var recorder = new ApiClient.HarRecorder({
+            maxBodySize: 3,
+            maxEntries: 2,
+        });
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            harRecorder: recorder,
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get({ params: { page: 1 } }).then(() => {
+            return client.get({ params: { page: 2 } });
+        }).then(() => {
+            return client.get({ params: { page: 3 } });
+        }).then(() => {
+            var entries = recorder.entries;
+            
+            expect(entries.map((e) => e.request.url)).toEqual([
+                "https://api.example.com/items?page=2",
+                "https://api.example.com/items?page=3",
+            ]);
+            expect(entries[1].response.content.size).toBe(6);
+            expect(entries[1].response.content.text).toBe("abc");
+            expect(entries[1].response.content.comment).toBe("Content has been truncated to 3 characters.");
+            done();
+        }, done.fail);
+    });
+});
+
+describe("HmacAuthorizer", function() {
+    // RFC 4231, section 4
+    var rfc4231 = [
+        { key: createBytes(20, 0x0b), data: "Hi There",
+          hmac: "b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7" },
+        { key: "Jefe", data: "what do ya want for nothing?",
+          hmac: "5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843" },
+        { key: createBytes(20, 0xaa), data: createBytes(50, 0xdd),
+          hmac: "773ea91e36800e46854db8ebd09181a72959098b3ef8c122d9635514ced565fe" },
+        { key: createBytes(25, (i) => i + 1), data: createBytes(50, 0xcd),
+          hmac: "82558a389a443c0ea4cc819899f2083a85f0faa3e578f8077a2e3ff46729665b" },
+        { key: createBytes(20, 0x0c), data: "Test With Truncation",
+          hmac: "a3b6167473100ee06e0c796c2955552b" },  // truncated to 128 bits
+        { key: createBytes(131, 0xaa), data: "Test Using Larger Than Block-Size Key - Hash Key First",
+          hmac: "60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54" },
+        { key: createBytes(131, 0xaa), data: "This is a test using a larger than block-size key and a larger than block-size data. The key needs to be hashed before being used by the HMAC algorithm.",
+          hmac: "9b09ffa71b942fcb27635fbcd5b0e944bfdc63644f0713938a7f51535c3a35e2" },
+    ];
+    
+    rfc4231.forEach((tc, i) => {
+        it("computes HMAC-SHA256 of RFC 4231 test case #" + (i + 1), function() {
+            var authorizer = new ApiClient.HmacAuthorizer({
+                encoding: "hex",
+                secret: tc.key,
+            });
+            
+            expect(authorizer.sign(tc.data).substr(0, tc.hmac.length)).toBe(tc.hmac);
+        });
+    });
+    
+    it("signs the canonical request", function() {
+        var authorizer = new ApiClient.HmacAuthorizer({
+            encoding: "hex",
+            keyId: "key-1",
+            nonce: "abc",
+            secret: "secret",
+            signedHeaders: ["Content-Type"],
+            timestamp: new Date(1500000000000),
+        });
+        
+        var reqOpts = createRequest("https://api.example.com/v1/items?id=5", "post",
+                                    { "Content-Type": "application/json" }, '{"a":1}');
+        authorizer.prepare(reqOpts);
+        
+        expect(authorizer.createStringToSign({
+            body: '{"a":1}',
+            bodyHash: "015abd7f5cc57a2dd94b7590f04ad8084273905ee33ec5cebeae62276a97f862",
+            headers: reqOpts.headers,
+            method: "POST",
+            nonce: "abc",
+            path: "/v1/items?id=5",
+            timestamp: 1500000000,
+            url: reqOpts.url,
+        })).toBe("POST\n" +
+                 "/v1/items?id=5\n" +
+                 "1500000000\n" +
+                 "abc\n" +
+                 "015abd7f5cc57a2dd94b7590f04ad8084273905ee33ec5cebeae62276a97f862\n" +
+                 "content-type:application/json");
+        
+        expect(reqOpts.headers["X-Timestamp"]).toBe("1500000000");
+        expect(reqOpts.headers["X-Nonce"]).toBe("abc");
+        expect(reqOpts.headers["Authorization"]).toBe("HMAC key-1:db7e2253cc14b69e6e538632ce40584831845cd9609fbb4a5eabfb7f3f002d5e");
+    });
+    
+    it("hashes binary bodies", function() {
+        var bodyHash: string;
+        
+        var authorizer = new ApiClient.HmacAuthorizer({
+            secret: "secret",
+            stringToSign: (ctx) => bodyHash = ctx.bodyHash,
+        });
+        
+        authorizer.prepare(createRequest("https://api.example.com/upload", "PUT", {}, [1, 2, 3]));
+        
+        expect(bodyHash).toBe("039058c6f2c0cb492c533b0a4d14ef77cc0f78abccced5287d84a1a2011cfb81");
+    });
+});
+
+describe("HttpCache", function() {
+    var createClient = function(transport: ApiClient.MockTransport, mode?: ApiClient.HttpCacheMode) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            cache: new ApiClient.HttpCache({
+                mode: mode,
+            }),
+            route: "items",
+            transport: transport,
+        });
+    };
+    
+    it("answers missing entries with 504 in cache-only mode", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { body: "a", code: 200 });
+        
+        createClient(transport, ApiClient.HttpCacheMode.CacheOnly).get().then((result) => {
+            expect(result.code).toBe(504);
+            expect(transport.requests.length).toBe(0);
+            done();
+        }, done.fail);
+    });
+    
+    it("answers with stale entries and revalidates them in background", function(done) {
+        var bodies = [ "a", "b" ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", () => {
+            return { body: bodies.shift(), code: 200, headers: { "Content-Type": "text/plain" } };
+        });
+        
+        var client = createClient(transport, ApiClient.HttpCacheMode.StaleWhileRevalidate);
+        
+        var contents: string[] = [];
+        client.get().then((result) => {
+            contents.push(result.getString());
+            
+            return client.get();
+        }).then((result) => {
+            contents.push(result.getString());
+            
+            return new Promise((resolve) => setTimeout(resolve, 10));
+        }).then(() => {
+            return client.get({ cacheMode: ApiClient.HttpCacheMode.CacheOnly });
+        }).then((result) => {
+            contents.push(result.getString());
+            
+            expect(contents).toEqual([ "a", "a", "b" ]);
+            expect(transport.requests.length).toBe(2);
+            done();
+        }, done.fail);
+    });
+    
+    it("revalidates stale entries with their ETag and Last-Modified headers", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", (req) => {
+            if ('"v1"' === req.headers["If-None-Match"]) {
+                return { code: 304 };
+            }
+            
+            return {
+                body: "a",
+                code: 200,
+                headers: {
+                    "Content-Type": "text/plain",
+                    "ETag": '"v1"',
+                    "Last-Modified": "Sat, 17 Oct 2026 12:00:00 GMT",
+                },
+            };
+        });
+        
+        var client = createClient(transport);
+        
+        client.get().then(() => {
+            return client.get();
+        }).then((result) => {
+            var headers = transport.requests[1].headers;
+            
+            expect(result.code).toBe(200);
+            expect(result.getString()).toBe("a");
+            expect(headers["If-None-Match"]).toBe('"v1"');
+            expect(headers["If-Modified-Since"]).toBe("Sat, 17 Oct 2026 12:00:00 GMT");
+            done();
+        }, done.fail);
+    });
+    
+    it("uses entries in network-first mode if the network fails", function(done) {
+        var responses: ApiClient.IMockResponse[] = [
+            { body: "a", code: 200, headers: { "Cache-Control": "max-age=60", "Content-Type": "text/plain" } },
+            { error: "No network!" },
+        ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", () => {
+            return responses.shift();
+        });
+        
+        var client = createClient(transport, ApiClient.HttpCacheMode.NetworkFirst);
+        
+        client.get().then(() => {
+            return client.get();
+        }).then((result) => {
+            expect(result.code).toBe(200);
+            expect(result.getString()).toBe("a");
+            expect(transport.requests.length).toBe(2);
+            done();
+        }, done.fail);
+    });
+    
+    it("uses fresh entries without asking the server", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { body: "a", code: 200, headers: { "Cache-Control": "max-age=60", "Content-Type": "text/plain" } });
+        
+        var client = createClient(transport);
+        
+        client.get().then(() => {
+            return client.get();
+        }).then((result) => {
+            expect(result.getString()).toBe("a");
+            expect(transport.requests.length).toBe(1);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("JsonRpcClient", function() {
+    var createClient = function(transport: ApiClient.MockTransport) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "rpc",
+            transport: transport,
+        });
+    };
+    
+    it("maps the responses of a batch to its calls by ID", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/rpc", {
+            body: JSON.stringify([
+                { error: { code: -32601, message: "Method not found" }, id: 2, jsonrpc: "2.0" },
+                { id: 1, jsonrpc: "2.0", result: 3 },
+            ]),
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+        
+        var batch = createClient(transport).jsonRpc().batch();
+        
+        var sum = batch.call<number>("sum", [ 1, 2 ]);
+        var unknown = batch.call<any>("unknown");
+        batch.notify("update", [ 3 ]);
+        var missing = batch.call<any>("missing");
+        
+        batch.send().then(() => {
+            expect(JSON.parse(transport.requests[0].content)).toEqual([
+                { id: 1, jsonrpc: "2.0", method: "sum", params: [ 1, 2 ] },
+                { id: 2, jsonrpc: "2.0", method: "unknown" },
+                { jsonrpc: "2.0", method: "update", params: [ 3 ] },
+                { id: 3, jsonrpc: "2.0", method: "missing" },
+            ]);
+            
+            return sum;
+        }).then((result) => {
+            expect(result).toBe(3);
+            
+            return unknown.then(() => {
+                throw "Call has not been rejected.";
+            }, (err: ApiClient.IApiClientError) => {
+                expect(err.error.code).toBe(ApiClient.JsonRpcErrorCode.MethodNotFound);
+                expect(err.error.id).toBe(2);
+            });
+        }).then(() => {
+            return missing.then(() => {
+                throw "Call has not been rejected.";
+            }, (err: ApiClient.IApiClientError) => {
+                expect(err.error.code).toBe(ApiClient.JsonRpcErrorCode.InternalError);
+                expect(err.error.message).toBe("No response for call '3'!");
+            });
+        }).then(done, done.fail);
+    });
+    
+    it("rejects calls with the error object of the response", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/rpc", {
+            body: '{ "error": { "code": -32602, "data": "b", "message": "Invalid params" }, "id": 1, "jsonrpc": "2.0" }',
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+        
+        createClient(transport).jsonRpc().call<number>("sum", [ 1, "b" ]).then(() => {
+            done.fail("Call has not been rejected.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.InvalidResult);
+            expect(err.error instanceof ApiClient.JsonRpcError).toBe(true);
+            expect(err.error.code).toBe(ApiClient.JsonRpcErrorCode.InvalidParams);
+            expect(err.error.data).toBe("b");
+            expect(err.error.message).toBe("Invalid params");
+            done();
+        });
+    });
+    
+    it("resolves calls with the result of the response", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/rpc", {
+            body: '{ "id": 1, "jsonrpc": "2.0", "result": 3 }',
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+        
+        createClient(transport).jsonRpc().call<number>("sum", [ 1, 2 ]).then((result) => {
+            expect(result).toBe(3);
+            expect(JSON.parse(transport.requests[0].content)).toEqual({
+                id: 1,
+                jsonrpc: "2.0",
+                method: "sum",
+                params: [ 1, 2 ],
+            });
+            done();
+        }, done.fail);
+    });
+    
+    it("resolves notifications without a value", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/rpc", { code: 204 });
+        
+        createClient(transport).jsonRpc().notify("update", [ 1, 2 ]).then((result) => {
+            expect(result).toBeUndefined();
+            expect(JSON.parse(transport.requests[0].content)).toEqual({
+                jsonrpc: "2.0",
+                method: "update",
+                params: [ 1, 2 ],
+            });
+            done();
+        }, done.fail);
+    });
+});
+
+describe("LongPollClient", function() {
+    it("raises the events with their type and closes on status code 204", function(done) {
+        var responses: ApiClient.IMockResponse[] = [
+            { body: "event: update\ndata: a\n\n", code: 200 },
+            { code: 204 },
+        ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/events", () => {
+            return responses.shift();
+        });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "events",
+            transport: transport,
+        });
+        
+        var events: string[] = [];
+        var longPoll = client.longPoll({ retry: 1 });
+        longPoll.on(ApiClient.LongPollClient.openEvent, () => {
+            events.push("open");
+        });
+        longPoll.on("update", (e: ApiClient.ILongPollEventData) => {
+            events.push("update: " + e.event.data);
+        });
+        longPoll.on("propertyChange", (e: any) => {
+            if ("isOpen" !== e.propertyName || e.value) {
+                return;
+            }
+            
+            expect(events).toEqual([ "open", "update: a" ]);
+            expect(transport.requests.length).toBe(2);
+            expect(transport.requests[0].headers["Accept"]).toBeUndefined();
+            done();
+        });
+        
+        longPoll.open();
+    });
+    
+    it("reconnects with the ID of the last event", function(done) {
+        var responses = [ "id: 1\ndata: a\n\n", "data: b\n\n" ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/events", () => {
+            return { body: responses.shift(), code: 200 };
+        });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "events",
+            transport: transport,
+        });
+        
+        var messages: string[] = [];
+        var longPoll = client.longPoll({ retry: 1 });
+        longPoll.on(ApiClient.LongPollClient.messageEvent, (e: ApiClient.ILongPollEventData) => {
+            messages.push(e.event.data);
+            if (messages.length < 2) {
+                return;
+            }
+            
+            longPoll.close();
+            
+            var requests = transport.requests;
+            expect(messages).toEqual([ "a", "b" ]);
+            expect(requests.length).toBe(2);
+            expect(requests[0].headers["Last-Event-ID"]).toBeUndefined();
+            expect(requests[1].headers["Last-Event-ID"]).toBe("1");
+            expect(longPoll.isOpen).toBe(false);
+            done();
+        });
+        
+        longPoll.open();
+    });
+});
+
+describe("NdjsonParser", function() {
+
+    it("decodes NDJSON responses", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/export", { body: '{ "id": 1 }\n{ "id": 2 }\n', headers: { "Content-Type": "application/x-ndjson" } });
+        
+        var client = ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "export",
+            transport: transport,
+        });
+        
+        client.get().then((result) => {
+            expect(result.getContent<any[]>()).toEqual([ { id: 1 }, { id: 2 } ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("parses the items across chunks", function() {
+        var items: string[] = [];
+        var parser = new ApiClient.NdjsonParser((item, index) => {
+            items.push(index + ": " + item.id);
+        });
+        
+        parser.write('{ "id": 1 }\n{ "id"');
+        parser.write(': 2 }\n\n');
+        parser.write('{ "id": 3 }');
+        
+        expect(items).toEqual([ "0: 1", "1: 2" ]);
+        
+        parser.end();
+        
+        expect(items).toEqual([ "0: 1", "1: 2", "2: 3" ]);
+        expect(parser.count).toBe(3);
+    });
+    
+    it("rejects invalid lines with their number", function() {
+        var parser = new ApiClient.NdjsonParser(() => { });
+        
+        var error: any;
+        try {
+            parser.write('{ "id": 1 }\n\nid: 2\n');
+        }
+        catch (e) {
+            error = e;
+        }
+        
+        expect(error).toMatch(/^Invalid JSON in line 3: /);
+        expect(parser.count).toBe(1);
+    });
+});
+
+describe("OAuth1Authorizer", function() {
+    it("signs the example request of RFC 5849, section 1.2", function() {
+        var authorizer = new ApiClient.OAuth1Authorizer("dpf43f3p2l4k3l03", "kd94hf93k423kf44",
+                                                        "nnch734d00sl2jdk", "pfkkdhi9sl3r4s00");
+        authorizer.nonce = "chapoH";
+        authorizer.timestamp = new Date(137131202000);
+        authorizer.version = null;
+        
+        var reqOpts = createRequest("http://photos.example.net/photos?file=vacation.jpg&size=original", "GET");
+        authorizer.prepare(reqOpts);
+        
+        expect(reqOpts.headers["Authorization"]).toContain('oauth_signature="MdpQcU8iPSUjWoN%2FUDMsK2sui9I%3D"');
+    });
+    
+    it("signs the example request of the Twitter documentation", function() {
+        var authorizer = new ApiClient.TwitterOAuth("xvz1evFS4wEEPTGEFPHBog", "kAcSOqF21Fu85e7zjz7ZN2U4ZRhfV3WpwPAoE3Z7kBw",
+                                                    "370773112-GmHxMAgYyLbNEtIKZeRNFsMKPR9EyMZeS9weJAEb", "LswwdoUaIvS8ltyTt5jkRh4J50vUPVVHtR2YPi5kE");
+        authorizer.nonce = "kYjzVBB8Y0ZFabxSWbWovY3uYSQ2pTgmZeNu2VS4cg";
+        authorizer.timestamp = new Date(1318622958000);
+        
+        var reqOpts = createRequest("https://api.twitter.com/1.1/statuses/update.json?include_entities=true", "POST",
+                                    { "Content-Type": "application/x-www-form-urlencoded" },
+                                    "status=Hello%20Ladies%20%2B%20Gentlemen%2C%20a%20signed%20OAuth%20request%21");
+        authorizer.prepare(reqOpts);
+        
+        expect(reqOpts.headers["Authorization"]).toContain('oauth_signature="hCtSmYh%2BiHYCEqBWrE7C7hYmtUk%3D"');
+    });
+});
+
+describe("OAuth2Authorizer", function() {
+    it("encodes the client credentials as form data", function(done) {
+        var tokenTransport = new ApiClient.MockTransport();
+        tokenTransport.on("POST", "/token", { body: { access_token: "token-1" } });
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = ApiClient.newClient({
+            authorizer: new ApiClient.OAuth2Authorizer({
+                clientId: "my client",
+                clientSecret: "a+b:c",
+                scope: [ "read", "write" ],
+                tokenUrl: "https://auth.example.com/token",
+                transport: tokenTransport,
+            }),
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            var req = tokenTransport.requests[0];
+            
+            // "my+client:a%2Bb%3Ac"
+            expect(req.headers["Authorization"]).toBe("Basic bXkrY2xpZW50OmElMkJiJTNBYw==");
+            expect(req.content).toBe("grant_type=client_credentials&scope=read+write");
+            done();
+        }, done.fail);
+    });
+    
+    it("logs a failed token refresh via the loggers of the client", function(done) {
+        var tokenRequests = 0;
+        var tokenTransport = new ApiClient.MockTransport();
+        tokenTransport.on("POST", "/token", () => {
+            if (tokenRequests++ < 1) {
+                return { body: { access_token: "token-1", expires_in: 3600 } };
+            }
+            
+            return { body: { error: "invalid_grant" }, code: 400 };
+        });
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 401 });
+        
+        var warnings: string[] = [];
+        var client = ApiClient.newClient({
+            authorizer: new ApiClient.OAuth2Authorizer({
+                grantType: ApiClient.OAuth2GrantType.RefreshToken,
+                refreshToken: "refresh-1",
+                tokenUrl: "https://auth.example.com/token",
+                transport: tokenTransport,
+            }),
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        }).addLogger((msg) => {
+            if (ApiClient.LogCategory.Warning === msg.category) {
+                warnings.push(msg.tag + ": " + msg.message);
+            }
+        });
+        
+        spyOn(console, "log");
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(401);
+            expect(tokenRequests).toBe(2);
+            expect(warnings).toEqual([ "OAUTH2AUTHORIZER: Could not refresh token: invalid_grant" ]);
+            expect(console.log).not.toHaveBeenCalled();
+            done();
+        }, done.fail);
+    });
+    
+    it("refreshes the token and replays the request after a 401 response", function(done) {
+        var tokens = [
+            { access_token: "token-1", expires_in: 3600, refresh_token: "refresh-1" },
+            { access_token: "token-2", expires_in: 3600 },
+        ];
+        
+        var tokenTransport = new ApiClient.MockTransport();
+        tokenTransport.on("POST", "/token", () => {
+            return { body: tokens.shift() };
+        });
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", (req) => {
+            return { code: "Bearer token-2" === req.headers["Authorization"] ? 200 : 401 };
+        });
+        
+        var authorizer = new ApiClient.OAuth2Authorizer({
+            clientId: "client-1",
+            clientSecret: "secret-1",
+            tokenUrl: "https://auth.example.com/token",
+            transport: tokenTransport,
+        });
+        
+        var client = ApiClient.newClient({
+            authorizer: authorizer,
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then((result) => {
+            expect(result.code).toBe(200);
+            expect(transport.requests.map((r) => r.headers["Authorization"])).toEqual([ "Bearer token-1", "Bearer token-2" ]);
+            expect(tokenTransport.requests.map((r) => r.content)).toEqual([
+                "grant_type=client_credentials",
+                "grant_type=refresh_token&refresh_token=refresh-1",
+            ]);
+            expect(tokenTransport.requests[0].headers["Authorization"]).toBe("Basic Y2xpZW50LTE6c2VjcmV0LTE=");
+            expect(authorizer.token.refreshToken).toBe("refresh-1");
+            done();
+        }, done.fail);
+    });
+    
+    it("rejects token responses without JSON with the status code", function(done) {
+        var tokenTransport = new ApiClient.MockTransport();
+        tokenTransport.on("POST", "/token", { body: "<html>Bad Gateway</html>", code: 502, headers: { "Content-Type": "text/html" } });
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = ApiClient.newClient({
+            authorizer: new ApiClient.OAuth2Authorizer({
+                tokenUrl: "https://auth.example.com/token",
+                transport: tokenTransport,
+            }),
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        client.get().then(() => {
+            done.fail("Request has NOT been rejected!");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.error instanceof ApiClient.OAuth2TokenError).toBe(true);
+            expect(err.error.code).toBe(502);
+            expect(err.error.message).toBe("Token request failed with status code 502");
+            expect(transport.requests.length).toBe(0);
+            done();
+        });
+    });
+    
+    it("shares one token request between concurrent requests", function(done) {
+        var tokenTransport = new ApiClient.MockTransport();
+        tokenTransport.on("POST", "/token", { body: { access_token: "token-1", expires_in: 3600 }, delay: 10 });
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = ApiClient.newClient({
+            authorizer: new ApiClient.OAuth2Authorizer({
+                tokenUrl: "https://auth.example.com/token",
+                transport: tokenTransport,
+            }),
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+        
+        Promise.all([ client.get(), client.get() ]).then(() => {
+            expect(tokenTransport.requests.length).toBe(1);
+            expect(transport.requests.map((r) => r.headers["Authorization"])).toEqual([ "Bearer token-1", "Bearer token-1" ]);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("OfflineQueue", function() {
+    var createClient = function(store: ApiClient.IOfflineQueueStore, transport: ApiClient.MockTransport) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            offlineQueue: {
+                store: store,
+            },
+            routes: {
+                "users.create": {
+                    method: "POST",
+                    route: "/users/{id:int}",
+                },
+            },
+            transport: transport,
+        });
+    };
+    
+    var createStore = function() : ApiClient.IOfflineQueueStore {
+        var json = "[]";
+        
+        return {
+            load: () => JSON.parse(json),
+            save: (items) => { json = JSON.stringify(items); },
+        };
+    };
+    
+    it("keeps items that failed because of the network for the next replay", function(done) {
+        var connectionType = spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var responses: ApiClient.IMockResponse[] = [
+            { error: "No network!" },
+            { code: 201 },
+        ];
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/users/5", () => {
+            return responses.shift();
+        });
+        
+        var client = createClient(createStore(), transport);
+        var promise = client.call("users.create", { id: 5 }, { content: "x" });
+        
+        connectionType.and.returnValue(Connectivity.connectionType.wifi);
+        
+        client.offlineQueue.replay().then(() => {
+            expect(client.offlineQueue.count).toBe(1);
+            expect(client.offlineQueue.items[0].attempts).toBe(1);
+            
+            return client.offlineQueue.replay();
+        }).then(() => {
+            expect(client.offlineQueue.count).toBe(0);
+            
+            return promise;
+        }).then((result) => {
+            var keys = transport.requests.map((r) => r.headers["Idempotency-Key"]);
+            
+            expect(result.code).toBe(201);
+            expect(keys.length).toBe(2);
+            expect(keys[0]).toBe(keys[1]);
+            
+            client.offlineQueue.dispose();
+            done();
+        }, done.fail);
+    });
+    
+    it("logs errors of the store via the loggers of the client", function(done) {
+        spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var errors: string[] = [];
+        var client = createClient({
+            load: () => Promise.reject("Not readable!"),
+            save: () => {
+                throw "Not writable!";
+            },
+        }, new ApiClient.MockTransport()).addLogger((msg) => {
+            if (ApiClient.LogCategory.Error === msg.category) {
+                errors.push(msg.tag + ": " + msg.message);
+            }
+        });
+        
+        spyOn(console, "log");
+        
+        client.post({ content: "x" });
+        client.offlineQueue.dispose();
+        
+        setTimeout(() => {
+            expect(errors).toEqual([
+                "OFFLINEQUEUE: Could not save items: Not writable!",
+                "OFFLINEQUEUE: Could not load items: Not readable!",
+            ]);
+            expect(console.log).not.toHaveBeenCalled();
+            done();
+        }, 10);
+    });
+    
+    it("queues requests with the same idempotency key only once", function(done) {
+        spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var client = createClient(createStore(), new ApiClient.MockTransport());
+        
+        var enqueued = 0;
+        client.offlineQueue.on(ApiClient.OfflineQueue.itemEnqueuedEvent, () => {
+            ++enqueued;
+        });
+        
+        client.post({ content: "x", idempotencyKey: "key-1", url: "https://api.example.com/users/5" });
+        client.post({ content: "x", idempotencyKey: "key-1", url: "https://api.example.com/users/5" });
+        
+        expect(enqueued).toBe(1);
+        expect(client.offlineQueue.count).toBe(1);
+        expect(client.offlineQueue.items[0].idempotencyKey).toBe("key-1");
+        
+        client.offlineQueue.dispose();
+        done();
+    });
+    
+    it("rejects removed items without invoking the actions of the client", function(done) {
+        spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var actions: string[] = [];
+        var transport = new ApiClient.MockTransport();
+        var client = createClient(createStore(), transport).beforeSend(() => {
+            actions.push("beforeSend");
+        }).error(() => {
+            actions.push("error");
+        }).complete(() => {
+            actions.push("complete");
+        });
+        
+        var promise = client.post({ content: "x", url: "https://api.example.com/users/5" });
+        promise.then(() => done.fail("Request has NOT been rejected!"), (err) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.Cancelled);
+            expect(err.error).toBe("Removed!");
+            expect(err.request.url).toBe("https://api.example.com/users/5");
+            expect(actions).toEqual([]);
+            expect(client.offlineQueue.count).toBe(0);
+            expect(transport.requests.length).toBe(0);
+            
+            client.offlineQueue.dispose();
+            done();
+        });
+        
+        promise.cancel("Removed!");
+    });
+    
+    it("replays queued requests in order and resolves their promises", function(done) {
+        var connectionType = spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", /\/users\/\d+$/, { code: 201 });
+        
+        var client = createClient(createStore(), transport);
+        var promises = [
+            client.call("users.create", { id: 1 }, { content: "a" }),
+            client.call("users.create", { id: 2 }, { content: "b" }),
+        ];
+        
+        expect(client.offlineQueue.count).toBe(2);
+        expect(transport.requests.length).toBe(0);
+        
+        connectionType.and.returnValue(Connectivity.connectionType.wifi);
+        
+        client.offlineQueue.replay();
+        Promise.all(promises).then((results) => {
+            var requests = transport.requests;
+            
+            expect(results.map((r) => r.code)).toEqual([ 201, 201 ]);
+            expect(requests.map((r) => r.url + " " + r.content)).toEqual([
+                "https://api.example.com/users/1 a",
+                "https://api.example.com/users/2 b",
+            ]);
+            expect(requests[0].headers["Idempotency-Key"]).not.toBe(requests[1].headers["Idempotency-Key"]);
+            expect(client.offlineQueue.count).toBe(0);
+            
+            client.offlineQueue.dispose();
+            done();
+        }, done.fail);
+    });
+    
+    it("replays restored calls of routes to the URL of the route", function(done) {
+        var store = createStore();
+        var connectionType = spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var offlineClient = createClient(store, new ApiClient.MockTransport());
+        offlineClient.call("users.create", { id: 5 }, { content: "x" });
+        offlineClient.offlineQueue.dispose();
+        
+        expect((<ApiClient.IOfflineQueueItem[]>store.load())[0].options.url).toBe(offlineClient.urlFor("users.create", { id: 5 }));
+        
+        // restart
+        connectionType.and.returnValue(Connectivity.connectionType.wifi);
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/users/5", { code: 201 });
+        
+        var client = createClient(store, transport);
+        client.offlineQueue.replay().then(() => {
+            expect(transport.requests.map((r) => r.method + " " + r.url)).toEqual([ "POST https://api.example.com/users/5" ]);
+            
+            client.offlineQueue.dispose();
+            done();
+        }, done.fail);
+    });
+    
+    it("replays restored requests to their custom URL", function(done) {
+        var store = createStore();
+        var connectionType = spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var offlineClient = createClient(store, new ApiClient.MockTransport());
+        offlineClient.post({ content: "x", url: "https://api.example.com/users/5" });
+        offlineClient.offlineQueue.dispose();
+        
+        // restart
+        connectionType.and.returnValue(Connectivity.connectionType.wifi);
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/users/5", { code: 201 });
+        
+        var client = createClient(store, transport);
+        client.offlineQueue.replay().then(() => {
+            expect(transport.requests.map((r) => r.method + " " + r.url)).toEqual([ "POST https://api.example.com/users/5" ]);
+            
+            client.offlineQueue.dispose();
+            done();
+        }, done.fail);
+    });
+    
+    it("stores only JSON-safe tags and schemas", function(done) {
+        var store = createStore();
+        var connectionType = spyOn(Connectivity, "getConnectionType").and.returnValue(Connectivity.connectionType.none);
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("POST", "/users/5", { code: 201 });
+        
+        var circularTag: any = { name: "a" };
+        circularTag.self = circularTag;
+        
+        var client = createClient(store, transport);
+        var promises = [
+            client.post({ content: "x", tag: circularTag, url: "https://api.example.com/users/5" }),
+            client.post({ content: "y", schema: { type: "null" }, tag: { id: 1, validate: () => true }, url: "https://api.example.com/users/5" }),
+        ];
+        
+        var items = <ApiClient.IOfflineQueueItem[]>store.load();
+        expect(items[0].options.tag).toBeUndefined();
+        expect(items[1].options.schema).toEqual({ type: "null" });
+        expect(items[1].options.tag).toBeUndefined();
+        
+        // the original values until a restart
+        connectionType.and.returnValue(Connectivity.connectionType.wifi);
+        
+        client.offlineQueue.replay();
+        Promise.all(promises).then((results) => {
+            expect(results[0].tag).toBe(circularTag);
+            
+            client.offlineQueue.dispose();
+            done();
+        }, done.fail);
+    });
+});
+
+describe("Paginator", function() {
+    var createClient = function(transport: ApiClient.MockTransport) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+    };
+    
+    it("follows the next links of the Link header", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", (req) => {
+            if (/page=2$/.test(req.url)) {
+                return { body: "[ 3 ]", headers: { "Content-Type": "application/json" } };
+            }
+            
+            return {
+                body: "[ 1, 2 ]",
+                headers: {
+                    "Content-Type": "application/json",
+                    "Link": '</items?page=2>; rel="next", </items?page=1>; rel="first"',
+                },
+            };
+        });
+        
+        createClient(transport).paginate<number>().toArray().then((items) => {
+            expect(items).toEqual([ 1, 2, 3 ]);
+            expect(transport.requests.map((r) => r.url)).toEqual([
+                "https://api.example.com/items",
+                "https://api.example.com/items?page=2",
+            ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("loads the pages of cursors lazily", function(done) {
+        var pages = {
+            "": { items: [ 1, 2 ], next_cursor: "c2" },
+            "c2": { items: [ 3, 4 ], next_cursor: "c3" },
+            "c3": { items: [ 5 ], next_cursor: null },
+        };
+        
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", (req) => {
+            var cursor = /cursor=([^&]+)/.exec(req.url);
+            
+            return { body: JSON.stringify(pages[cursor ? cursor[1] : ""]), headers: { "Content-Type": "application/json" } };
+        });
+        
+        var paginator = createClient(transport).paginate<number>(ApiClient.PaginationStrategy.Cursor);
+        paginator.take(3).toArray().then((items) => {
+            expect(items).toEqual([ 1, 2, 3 ]);
+            expect(paginator.pageCount).toBe(2);
+            expect(transport.requests.map((r) => r.url)).toEqual([
+                "https://api.example.com/items",
+                "https://api.example.com/items?cursor=c2",
+            ]);
+            done();
+        }, done.fail);
+    });
+    
+    it("rejects with the result of a failed page", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 500 });
+        
+        createClient(transport).paginate<number>(ApiClient.PaginationStrategy.Page).nextPage().then(() => {
+            done.fail("Page has not been rejected.");
+        }, (result: ApiClient.IApiClientResult) => {
+            expect(result.code).toBe(500);
+            expect(transport.requests[0].url).toBe("https://api.example.com/items?page=1");
+            done();
+        });
+    });
+    
+    it("stops at the first page that is not full", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", (req) => {
+            return { body: /offset=0$/.test(req.url) ? "[ 1, 2 ]" : "[ 3 ]", headers: { "Content-Type": "application/json" } };
+        });
+        
+        var paginator = createClient(transport).paginate<number>({
+            pageSize: 2,
+            strategy: ApiClient.PaginationStrategy.Offset,
+        });
+        paginator.toArray().then((items) => {
+            expect(items).toEqual([ 1, 2, 3 ]);
+            expect(paginator.hasMore).toBe(false);
+            expect(transport.requests.map((r) => r.url)).toEqual([
+                "https://api.example.com/items?limit=2&offset=0",
+                "https://api.example.com/items?limit=2&offset=2",
+            ]);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("RateLimiter", function() {
+    var createClient = function(transport: ApiClient.MockTransport, maxWait: number) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            rateLimiter: {
+                capacity: 1,
+                maxWait: maxWait,
+                tokensPerSecond: 50,
+            },
+            route: "items",
+            transport: transport,
+        });
+    };
+    
+    it("delays requests until a token is available", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = createClient(transport, 1000);
+        
+        var startTime = Date.now();
+        Promise.all([ client.get(), client.get() ]).then((results) => {
+            expect(results.map((r) => r.code)).toEqual([ 200, 200 ]);
+            expect(transport.requests.length).toBe(2);
+            expect(Date.now() - startTime).not.toBeLessThan(15);
+            done();
+        }, done.fail);
+    });
+    
+    it("rejects requests that cannot wait for a token", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { code: 200 });
+        
+        var client = createClient(transport, 0);
+        
+        client.get();
+        client.get().then(() => {
+            done.fail("Request has not been rejected.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.context).toBe(ApiClient.ApiClientErrorContext.Rejected);
+            expect(err.error).toBe("Rate limit for host 'api.example.com' has been exceeded.");
+            expect(transport.requests.length).toBe(1);
+            done();
+        });
+    });
+});
+
+describe("RecordingTransport", function() {
+    var createClient = function(transport: ApiClient.ITransport) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            route: "items",
+            transport: transport,
+        });
+    };
+    
+    it("fails in replay mode if no fixture matches", function(done) {
+        var mock = new ApiClient.MockTransport();
+        
+        var client = createClient(new ApiClient.RecordingTransport({
+            mode: ApiClient.RecordingMode.Replay,
+            transport: mock,
+        }));
+        
+        client.get().then(() => {
+            done.fail("Request has been replayed without a fixture.");
+        }, (err: ApiClient.IApiClientError) => {
+            expect(err.error).toBe("No fixture for 'GET https://api.example.com/items'!");
+            expect(mock.requests.length).toBe(0);
+            done();
+        });
+    });
+    
+    it("records a response once and replays it afterwards", function(done) {
+        var mock = new ApiClient.MockTransport();
+        mock.on("GET", "/items", { body: "[1]", headers: { "Content-Type": "application/json" } });
+        
+        var recorder = new ApiClient.RecordingTransport({
+            transport: mock,
+        });
+        
+        var client = createClient(recorder);
+        
+        client.get().then(() => {
+            return client.get();
+        }).then((result) => {
+            expect(result.getJSON<any>()).toEqual([1]);
+            expect(mock.requests.length).toBe(1);
+            expect(recorder.fixtures.length).toBe(1);
+            expect(recorder.fixtures[0].request).toEqual({
+                body: undefined,
+                method: "GET",
+                url: "https://api.example.com/items",
+            });
+            done();
+        }, done.fail);
+    });
+    
+    it("replays fixtures in recorded order", function(done) {
+        var client = createClient(new ApiClient.RecordingTransport({
+            fixtures: [
+                { request: { method: "GET", url: "https://api.example.com/items" }, response: { body: "a", code: 200, headers: {} } },
+                { request: { method: "GET", url: "https://api.example.com/items" }, response: { body: "b", code: 200, headers: {} } },
+            ],
+            mode: ApiClient.RecordingMode.Replay,
+        }));
+        
+        var bodies: string[] = [];
+        
+        client.get().then((result) => {
+            bodies.push(result.getString());
+            return client.get();
+        }).then((result) => {
+            bodies.push(result.getString());
+            return client.get();
+        }).then((result) => {
+            bodies.push(result.getString());
+            
+            // the last one is reused
+            expect(bodies).toEqual(["a", "b", "b"]);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("RequestCoalescer", function() {
+    var createClient = function(transport: ApiClient.MockTransport) {
+        return ApiClient.newClient({
+            baseUrl: "https://api.example.com",
+            coalescer: new ApiClient.RequestCoalescer(),
+            route: "items",
+            transport: transport,
+        });
+    };
+    
+    it("does not share the responses of different requests", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { body: "a", delay: 10 });
+        transport.on("POST", "/items", { code: 201, delay: 10 });
+        
+        var client = createClient(transport);
+        
+        Promise.all([
+            client.get(),
+            client.get({ headers: { "Authorization": "Bearer token-1" } }),
+            client.get({ params: { page: 2 } }),
+            client.get({ coalesce: false }),
+            client.post({ content: "x" }),
+            client.post({ content: "x" }),
+        ]).then(() => {
+            expect(transport.requests.length).toBe(6);
+            done();
+        }, done.fail);
+    });
+    
+    it("sends a new request after the shared one has finished", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { body: "a" });
+        
+        var client = createClient(transport);
+        
+        client.get().then(() => {
+            expect(client.coalescer.inFlightCount).toBe(0);
+            
+            return client.get();
+        }).then(() => {
+            expect(transport.requests.length).toBe(2);
+            done();
+        }, done.fail);
+    });
+    
+    it("shares the response of identical requests in flight", function(done) {
+        var transport = new ApiClient.MockTransport();
+        transport.on("GET", "/items", { body: "a", delay: 10 });
+        
+        var client = createClient(transport);
+        
+        Promise.all([ client.get(), client.get() ]).then((results) => {
+            expect(results.map((r) => r.getString())).toEqual([ "a", "a" ]);
+            expect(transport.requests.length).toBe(1);
+            expect(client.coalescer.inFlightCount).toBe(0);
+            done();
+        }, done.fail);
+    });
+});
+
+describe("RouteTemplate", function() {
+    it("omits the text in front of a missing optional parameter", function() {
+        var template = new ApiClient.RouteTemplate("/files/{name}.{ext?}");
+        
+        expect(template.expand({ name: "readme", ext: "md" })).toBe("/files/readme.md");
+        expect(template.expand({ name: "readme" })).toBe("/files/readme");
+    });
+    
+    it("omits segments of missing optional parameters", function() {
+        var template = new ApiClient.RouteTemplate("/users/{id:int}/posts/{slug?}");
+        
+        expect(template.expand({ id: 1, slug: "hello" })).toBe("/users/1/posts/hello");
+        expect(template.expand({ id: 1 })).toBe("/users/1/posts");
+    });
+    
+    it("rejects optional parameters in the middle of a segment", function() {
+        expect(() => new ApiClient.RouteTemplate("/files/{name?}.{ext}")).toThrow();
+    });
+});
+
+describe("validateSchema", function() {
+
+    it("reports the errors of nested values with their paths", function() {
+        var schema = {
+            additionalProperties: false,
+            definitions: {
+                positive: { minimum: 1, type: "integer" },
+            },
+            properties: {
+                id: { $ref: "#/definitions/positive" },
+                tags: {
+                    items: { minLength: 2, type: "string" },
+                    type: "array",
+                    uniqueItems: true,
+                },
+            },
+            type: "object",
+        };
+        
+        var errors = ApiClient.validateSchema({ extra: true, id: 0, tags: [ "ab", "x", "ab" ] }, schema);
+        
+        expect(errors.map((e) => e.path + " " + e.keyword + " " + e.schemaPath)).toEqual([
+            "/extra additionalProperties #/additionalProperties",
+            "/id minimum #/definitions/positive/minimum",
+            "/tags/1 minLength #/properties/tags/items/minLength",
+            "/tags/2 uniqueItems #/properties/tags/uniqueItems",
+        ]);
+        expect(ApiClient.validateSchema({ id: 1, tags: [ "ab" ] }, schema)).toEqual([]);
+    });
+    
+    it("validates combinations of schemas", function() {
+        var schema = {
+            oneOf: [
+                { type: "string" },
+                { maxLength: 3, type: "string" },
+                { type: "number" },
+            ],
+        };
+        
+        expect(ApiClient.validateSchema(1, schema)).toEqual([]);
+        expect(ApiClient.validateSchema("abcd", schema)).toEqual([]);
+        expect(ApiClient.validateSchema("abc", schema).map((e) => e.keyword)).toEqual([ "oneOf" ]);
+        expect(ApiClient.validateSchema(true, schema).map((e) => e.keyword)).toEqual([ "oneOf" ]);
+        expect(ApiClient.validateSchema(true, { not: { type: "boolean" } }).map((e) => e.message)).toEqual([ "must NOT match the schema of 'not'" ]);
+    });
+});
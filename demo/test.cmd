@@ -0,0 +1,7 @@
+@ECHO OFF
+CLS
+
+ECHO Readd plugin...
+CALL readd.cmd
+
+tns test android --justlaunch
@@ -0,0 +1,195 @@
+/**
+ * Generates TypeScript wrappers for 'nativescript-toolbox/apiclient'
+ * from an OpenAPI 3 or Swagger 2 document.
+ */
+export declare class ClientGenerator {
+    /**
+     * Stores the names of the generated functions.
+     */
+    protected _functionNames: any;
+    /**
+     * Stores the generated type names of the schemas.
+     */
+    protected _typeNames: any;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {any} doc The (parsed) OpenAPI / Swagger document.
+     * @param {IGeneratorOptions} [opts] Custom options.
+     */
+    constructor(doc: any, opts?: IGeneratorOptions);
+    /**
+     * Gets the base URL that is defined in the document.
+     */
+    baseUrl: string;
+    /**
+     * Creates the TypeScript code of an operation.
+     *
+     * @param {String} path The path.
+     * @param {String} method The HTTP method.
+     * @param {any} operation The operation object.
+     * @param {any[]} pathParams The parameters of the path item.
+     *
+     * @return {String[]} The lines of code.
+     */
+    protected createOperation(path: string, method: string, operation: any, pathParams: any[]): string[];
+    /**
+     * Creates the TypeScript code of a schema.
+     *
+     * @param {String} name The name of the schema.
+     * @param {any} schema The schema.
+     *
+     * @return {String[]} The lines of code.
+     */
+    protected createSchema(name: string, schema: any): string[];
+    /**
+     * Creates a unique type name, which does not clash with a global type,
+     * like 'Error', or a type of the generated code.
+     *
+     * @param {String} name The base name.
+     *
+     * @return {String} The unique type name.
+     */
+    protected createTypeName(name: string): string;
+    /**
+     * Creates a unique name.
+     *
+     * @param {String} name The base name.
+     * @param {any} existingNames The object with the names that are already in use.
+     *
+     * @return {String} The unique name.
+     */
+    protected createUniqueName(name: string, existingNames: any): string;
+    /**
+     * Gets the underlying document.
+     */
+    document: any;
+    /**
+     * Generates the TypeScript code.
+     *
+     * @return {String} The generated code.
+     */
+    generate(): string;
+    /**
+     * Returns the request body of an operation.
+     *
+     * @param {any} operation The operation object.
+     * @param {any[]} params The (resolved) parameters of the operation.
+     *
+     * @return {Object} The body or (null) if no body is defined.
+     */
+    protected getRequestBody(operation: any, params: any[]): {
+        description: string;
+        required: boolean;
+        requestType: string;
+        type: string;
+    };
+    /**
+     * Returns the type of the successful response of an operation.
+     *
+     * @param {any} operation The operation object.
+     *
+     * @return {Object} The response type.
+     */
+    protected getResponse(operation: any): {
+        json: boolean;
+        type: string;
+    };
+    /**
+     * Returns the named schemas of the document.
+     *
+     * @return {Object} The schemas.
+     */
+    protected getSchemas(): any;
+    /**
+     * Gets the options.
+     */
+    options: IGeneratorOptions;
+    /**
+     * Resolves a (local) '$ref' value.
+     *
+     * @param {any} obj The object that can contain a '$ref' property.
+     *
+     * @return {any} The resolved object or (undefined) if not found.
+     */
+    resolve(obj: any): any;
+    /**
+     * Returns the TypeScript literal of an object schema.
+     *
+     * @param {any} schema The schema.
+     * @param {String} indent The indentation of the current line.
+     *
+     * @return {String} The type literal.
+     */
+    protected toObjectType(schema: any, indent: string): string;
+    /**
+     * Returns the TypeScript type of a schema.
+     *
+     * @param {any} schema The schema.
+     * @param {String} indent The indentation of the current line.
+     *
+     * @return {String} The type.
+     */
+    toType(schema: any, indent: string): string;
+    /**
+     * Gets the major version of the document (2 or 3).
+     */
+    version: number;
+}
+/**
+ * Options for the generator.
+ */
+export interface IGeneratorOptions {
+    /**
+     * Gets the base URL that overwrites the one of the document.
+     *
+     * @property
+     */
+    baseUrl?: string;
+    /**
+     * Gets the name / path of the ApiClient module, which is used in the generated code.
+     * Default: 'nativescript-toolbox/apiclient'
+     *
+     * @property
+     */
+    moduleName?: string;
+}
+/**
+ * Generates TypeScript wrappers for 'nativescript-toolbox/apiclient'
+ * from an OpenAPI 3 or Swagger 2 document.
+ *
+ * @param {any} doc The document as object or as JSON / YAML string.
+ * @param {IGeneratorOptions} [opts] Custom options.
+ *
+ * @return {String} The generated code.
+ */
+export declare function generate(doc: any, opts?: IGeneratorOptions): string;
+/**
+ * Generates TypeScript wrappers from an OpenAPI 3 or Swagger 2 file.
+ * This function requires Node.
+ *
+ * @param {String} docFile The path of the JSON or YAML file.
+ * @param {String} [outFile] The optional file where to write the code to.
+ * @param {IGeneratorOptions} [opts] Custom options.
+ *
+ * @return {String} The generated code.
+ */
+export declare function generateFile(docFile: string, outFile?: string, opts?: IGeneratorOptions): string;
+/**
+ * Parses an OpenAPI / Swagger document.
+ *
+ * @param {String} str The document as JSON or YAML string.
+ *
+ * @return {any} The parsed document.
+ */
+export declare function parseDocument(str: string): any;
+/**
+ * Runs the generator from the command line:
+ *
+ * node generator.js <document> [output file] [--base-url <url>] [--module <name>]
+ *
+ * @param {String[]} args The command line arguments.
+ *
+ * @return {Number} The exit code.
+ */
+export declare function run(args: string[]): number;
@@ -0,0 +1,972 @@
+"use strict";
+// The MIT License (MIT)
+//
+// Copyright (c) Marcel Joachim Kloubert <marcel.kloubert@gmx.net>
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+Object.defineProperty(exports, "__esModule", { value: true });
+// this module does not depend on NativeScript modules,
+// so it can be run under Node, like:
+//
+// node node_modules/nativescript-toolbox/apiclient/generator.js petstore.yaml petstore.ts
+var Yaml = require("../js-yaml");
+/**
+ * Generates TypeScript wrappers for 'nativescript-toolbox/apiclient'
+ * from an OpenAPI 3 or Swagger 2 document.
+ */
+var ClientGenerator = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {any} doc The (parsed) OpenAPI / Swagger document.
+     * @param {IGeneratorOptions} [opts] Custom options.
+     */
+    function ClientGenerator(doc, opts) {
+        /**
+         * Stores the names of the generated functions.
+         */
+        this._functionNames = {};
+        /**
+         * Stores the generated type names of the schemas.
+         */
+        this._typeNames = {};
+        if (isNullOrUndefined(doc) || typeof doc !== "object") {
+            throw "No valid document defined!";
+        }
+        if (/^3\./.test("" + doc.openapi)) {
+            this.version = 3;
+        }
+        else if (/^2\./.test("" + doc.swagger)) {
+            this.version = 2;
+        }
+        else {
+            throw "Only OpenAPI 3 and Swagger 2 documents are supported!";
+        }
+        this.document = doc;
+        this.options = opts || {};
+        // type names of the schemas
+        var schemas = this.getSchemas();
+        for (var s in schemas) {
+            this._typeNames[s] = this.createTypeName(toPascalCase(s));
+        }
+    }
+    Object.defineProperty(ClientGenerator.prototype, "baseUrl", {
+        /**
+         * Gets the base URL that is defined in the document.
+         */
+        get: function () {
+            if (!isNullOrUndefined(this.options.baseUrl)) {
+                return this.options.baseUrl;
+            }
+            var doc = this.document;
+            if (3 === this.version) {
+                var servers = doc.servers;
+                if (!Array.isArray(servers) || servers.length < 1 || isNullOrUndefined(servers[0])) {
+                    return "";
+                }
+                // use default values of the server variables
+                var variables = servers[0].variables || {};
+                return ("" + (servers[0].url || "")).replace(/{([^}]+)}/g, function (match, name) {
+                    var v = variables[name];
+                    if (isNullOrUndefined(v) || isNullOrUndefined(v.default)) {
+                        return match;
+                    }
+                    return "" + v.default;
+                });
+            }
+            if (isNullOrUndefined(doc.host)) {
+                return doc.basePath || "";
+            }
+            var scheme = "https";
+            if (Array.isArray(doc.schemes) && doc.schemes.length > 0) {
+                scheme = doc.schemes[0];
+            }
+            return scheme + "://" + doc.host + (doc.basePath || "");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Creates the TypeScript code of an operation.
+     *
+     * @param {String} path The path.
+     * @param {String} method The HTTP method.
+     * @param {any} operation The operation object.
+     * @param {any[]} pathParams The parameters of the path item.
+     *
+     * @return {String[]} The lines of code.
+     */
+    ClientGenerator.prototype.createOperation = function (path, method, operation, pathParams) {
+        var me = this;
+        var funcName;
+        if (isNullOrUndefined(operation.operationId)) {
+            // build from method and path, like 'getPetsByPetId'
+            funcName = method.toLowerCase() + path.split("/").map(function (x) {
+                var m = /^{(.+)}$/.exec(x);
+                if (m) {
+                    return "By" + toPascalCase(m[1]);
+                }
+                return toPascalCase(x);
+            }).join("");
+        }
+        else {
+            funcName = toCamelCase(operation.operationId);
+        }
+        funcName = me.createUniqueName(funcName, me._functionNames);
+        me._functionNames[funcName] = funcName;
+        var argsName = "I" + toPascalCase(funcName) + "Args";
+        // parameters of the operation overwrite the ones of the path
+        var params = [];
+        (pathParams || []).concat(operation.parameters || []).forEach(function (p) {
+            p = me.resolve(p);
+            if (isNullOrUndefined(p)) {
+                return;
+            }
+            params = params.filter(function (x) { return x.name !== p.name || x.in !== p.in; });
+            params.push(p);
+        });
+        var argMembers = [];
+        var argNames = {};
+        var hasRequiredArgs = false;
+        var mappings = {
+            headers: [],
+            params: [],
+            routeParams: [],
+        };
+        var addArg = function (name, type, required, description) {
+            argMembers.push.apply(argMembers, createDocComment(description, "    "));
+            argMembers.push("    " + toPropertyName(name) + (required ? "" : "?") + ": " + type + ";");
+            argNames[name] = name;
+            if (required) {
+                hasRequiredArgs = true;
+            }
+        };
+        // path, query and header parameters
+        params.forEach(function (p) {
+            var target;
+            switch (("" + p.in).toLowerCase()) {
+                case "header":
+                    target = mappings.headers;
+                    break;
+                case "path":
+                    target = mappings.routeParams;
+                    break;
+                case "query":
+                    target = mappings.params;
+                    break;
+            }
+            if (!target) {
+                return; // cookie, body or formData
+            }
+            var argName = p.name;
+            if (argNames.hasOwnProperty(argName)) {
+                // same name in another location
+                argName = me.createUniqueName(p.in + toPascalCase(p.name), argNames);
+            }
+            addArg(argName, me.toType(p.schema || p, "    "), "path" === p.in || true === p.required, p.description);
+            target.push([argName, p.name]);
+        });
+        // request body
+        var body = me.getRequestBody(operation, params);
+        var bodyName = null;
+        if (body) {
+            bodyName = argNames.hasOwnProperty("body") ? me.createUniqueName("requestBody", argNames)
+                : "body";
+            addArg(bodyName, body.type, body.required, body.description);
+        }
+        // response
+        var response = me.getResponse(operation);
+        var lines = [];
+        if (!/^[\w.\[\]]+$/.test(response.type)) {
+            // use an alias for complex types
+            var responseName = me.createTypeName(toPascalCase(funcName) + "Response");
+            lines.push("/**");
+            lines.push(" * Response of '" + funcName + "()'.");
+            lines.push(" */");
+            lines.push("export type " + responseName + " = " + response.type + ";");
+            lines.push("");
+            response.type = responseName;
+        }
+        if (argMembers.length > 0) {
+            lines.push("/**");
+            lines.push(" * Arguments for '" + funcName + "()'.");
+            lines.push(" */");
+            lines.push("export interface " + argsName + " {");
+            lines.push.apply(lines, argMembers);
+            lines.push("}");
+            lines.push("");
+        }
+        var docLines = [];
+        if (!isNullOrUndefined(operation.summary)) {
+            docLines.push(operation.summary);
+        }
+        if (!isNullOrUndefined(operation.description)) {
+            if (docLines.length > 0) {
+                docLines.push("");
+            }
+            docLines.push(operation.description);
+        }
+        if (docLines.length > 0) {
+            docLines.push("");
+        }
+        docLines.push(method.toUpperCase() + " " + path);
+        if (true === operation.deprecated) {
+            docLines.push("");
+            docLines.push("@deprecated");
+        }
+        docLines.push("");
+        docLines.push("@param {ApiClient.IApiClientConfig|String} config The base config or the base URL of the client.");
+        if (argMembers.length > 0) {
+            docLines.push("@param {" + argsName + "} " + (hasRequiredArgs ? "args" : "[args]") + " The arguments.");
+        }
+        docLines.push("@param {ApiClient.IRequestOptions} [opts] Additional options for the request.");
+        docLines.push("");
+        docLines.push("@return {ApiClient.ICancellablePromise<IOperationResult<" + response.type + ">>} The promise.");
+        lines.push.apply(lines, createDocComment(docLines.join("\n"), ""));
+        var signature = "export function " + funcName + "(";
+        var indent = repeatString(" ", signature.length);
+        lines.push(signature + "config: ApiClient.IApiClientConfig | string,");
+        if (argMembers.length > 0) {
+            lines.push(indent + "args" + (hasRequiredArgs ? "" : "?") + ": " + argsName + ",");
+        }
+        lines.push(indent + "opts?: ApiClient.IRequestOptions) : ApiClient.ICancellablePromise<IOperationResult<" + response.type + ">> {");
+        lines.push("    return invokeOperation<" + response.type + ">(config, " + (argMembers.length > 0 ? "args" : "null") + ", opts, {");
+        lines.push("        body: " + JSON.stringify(bodyName) + ",");
+        lines.push("        headers: " + toMappingCode(mappings.headers) + ",");
+        lines.push("        json: " + (response.json ? "true" : "false") + ",");
+        lines.push("        method: " + JSON.stringify(method.toUpperCase()) + ",");
+        lines.push("        params: " + toMappingCode(mappings.params) + ",");
+        lines.push("        route: " + JSON.stringify(path.replace(/^\/+/, "")) + ",");
+        lines.push("        routeParams: " + toMappingCode(mappings.routeParams) + ",");
+        lines.push("        type: " + (body && body.requestType ? ("ApiClient.HttpRequestType." + body.requestType) : "null") + ",");
+        lines.push("    });");
+        lines.push("}");
+        return lines;
+    };
+    /**
+     * Creates the TypeScript code of a schema.
+     *
+     * @param {String} name The name of the schema.
+     * @param {any} schema The schema.
+     *
+     * @return {String[]} The lines of code.
+     */
+    ClientGenerator.prototype.createSchema = function (name, schema) {
+        var lines = createDocComment(schema.description, "");
+        var typeName = this._typeNames[name];
+        var isInterface = !isNullOrUndefined(schema.properties) &&
+            isNullOrUndefined(schema.allOf) &&
+            isNullOrUndefined(schema.anyOf) &&
+            isNullOrUndefined(schema.oneOf) &&
+            isNullOrUndefined(schema.enum) &&
+            true !== schema.nullable;
+        if (isInterface) {
+            lines.push("export interface " + typeName + " " + this.toObjectType(schema, ""));
+        }
+        else {
+            lines.push("export type " + typeName + " = " + this.toType(schema, "") + ";");
+        }
+        return lines;
+    };
+    /**
+     * Creates a unique type name, which does not clash with a global type,
+     * like 'Error', or a type of the generated code.
+     *
+     * @param {String} name The base name.
+     *
+     * @return {String} The unique type name.
+     */
+    ClientGenerator.prototype.createTypeName = function (name) {
+        if (GlobalTypeNames.indexOf(name) > -1) {
+            name = "_" + name;
+        }
+        return this.createUniqueName(name, this._typeNames);
+    };
+    /**
+     * Creates a unique name.
+     *
+     * @param {String} name The base name.
+     * @param {any} existingNames The object with the names that are already in use.
+     *
+     * @return {String} The unique name.
+     */
+    ClientGenerator.prototype.createUniqueName = function (name, existingNames) {
+        if (isEmptyString(name)) {
+            name = "_";
+        }
+        if (/^[0-9]/.test(name) || ReservedWords.indexOf(name) > -1) {
+            name = "_" + name;
+        }
+        var usedNames = [];
+        for (var n in existingNames) {
+            usedNames.push(existingNames[n]);
+        }
+        var uniqueName = name;
+        for (var i = 2; usedNames.indexOf(uniqueName) > -1; i++) {
+            uniqueName = name + i;
+        }
+        return uniqueName;
+    };
+    /**
+     * Generates the TypeScript code.
+     *
+     * @return {String} The generated code.
+     */
+    ClientGenerator.prototype.generate = function () {
+        var me = this;
+        var doc = me.document;
+        me._functionNames = {};
+        var moduleName = me.options.moduleName;
+        if (isEmptyString(moduleName)) {
+            moduleName = "nativescript-toolbox/apiclient";
+        }
+        var info = doc.info || {};
+        var lines = [];
+        lines.push("// generated from '" + (info.title || "") + "'" +
+            (isNullOrUndefined(info.version) ? "" : (" (" + info.version + ")")) +
+            " by 'nativescript-toolbox/apiclient/generator'");
+        lines.push("// do not edit this file manually!");
+        lines.push("");
+        lines.push("import ApiClient = require(" + JSON.stringify(moduleName) + ");");
+        lines.push("");
+        lines.push("");
+        // schemas
+        var schemas = me.getSchemas();
+        Object.keys(schemas).sort(function (x, y) {
+            return compareStrings(me._typeNames[x], me._typeNames[y]);
+        }).forEach(function (s) {
+            lines.push.apply(lines, me.createSchema(s, schemas[s] || {}));
+            lines.push("");
+        });
+        lines.push.apply(lines, OperationResultCode);
+        lines.push("");
+        // operations
+        var paths = doc.paths || {};
+        Object.keys(paths).sort().forEach(function (p) {
+            var pathItem = me.resolve(paths[p]);
+            if (isNullOrUndefined(pathItem)) {
+                return;
+            }
+            HttpMethods.forEach(function (m) {
+                var operation = pathItem[m];
+                if (isNullOrUndefined(operation)) {
+                    return;
+                }
+                lines.push.apply(lines, me.createOperation(p, m, operation, pathItem.parameters));
+                lines.push("");
+            });
+        });
+        lines.push("/**");
+        lines.push(" * The base URL that is defined in the document.");
+        lines.push(" */");
+        lines.push("export const BaseUrl = " + JSON.stringify(me.baseUrl) + ";");
+        lines.push("");
+        lines.push("");
+        lines.push.apply(lines, InvokeOperationCode);
+        return lines.join("\n");
+    };
+    /**
+     * Returns the request body of an operation.
+     *
+     * @param {any} operation The operation object.
+     * @param {any[]} params The (resolved) parameters of the operation.
+     *
+     * @return {Object} The body or (null) if no body is defined.
+     */
+    ClientGenerator.prototype.getRequestBody = function (operation, params) {
+        var me = this;
+        if (3 === me.version) {
+            var requestBody = me.resolve(operation.requestBody);
+            if (isNullOrUndefined(requestBody)) {
+                return null;
+            }
+            var mime = findMediaType(requestBody.content);
+            var media = isNullOrUndefined(mime) ? null : (requestBody.content[mime] || {});
+            return {
+                description: requestBody.description,
+                required: true === requestBody.required,
+                requestType: toRequestType(mime),
+                type: media ? me.toType(media.schema, "    ") : "any",
+            };
+        }
+        var consumes = operation.consumes || me.document.consumes || [];
+        var bodyParam = params.filter(function (p) { return "body" === p.in; })[0];
+        if (bodyParam) {
+            return {
+                description: bodyParam.description,
+                required: true === bodyParam.required,
+                requestType: toRequestType(findMediaType(consumes) || "application/json"),
+                type: me.toType(bodyParam.schema, "    "),
+            };
+        }
+        // form fields
+        var formParams = params.filter(function (p) { return "formData" === p.in; });
+        if (formParams.length > 0) {
+            var formSchema = {
+                properties: {},
+                required: [],
+                type: "object",
+            };
+            var hasFiles = false;
+            formParams.forEach(function (p) {
+                formSchema.properties[p.name] = p;
+                if (true === p.required) {
+                    formSchema.required.push(p.name);
+                }
+                if ("file" === p.type) {
+                    hasFiles = true;
+                }
+            });
+            var formMime = findMediaType(consumes);
+            if (hasFiles) {
+                formMime = "multipart/form-data";
+            }
+            return {
+                description: null,
+                required: formSchema.required.length > 0,
+                requestType: toRequestType(formMime || "application/x-www-form-urlencoded"),
+                type: me.toObjectType(formSchema, "    "),
+            };
+        }
+        return null;
+    };
+    /**
+     * Returns the type of the successful response of an operation.
+     *
+     * @param {any} operation The operation object.
+     *
+     * @return {Object} The response type.
+     */
+    ClientGenerator.prototype.getResponse = function (operation) {
+        var me = this;
+        var responses = operation.responses || {};
+        // first 2xx response
+        var code = Object.keys(responses).filter(function (c) { return /^2/.test(c); }).sort()[0];
+        var response = isNullOrUndefined(code) ? null : me.resolve(responses[code]);
+        if (isNullOrUndefined(response)) {
+            return { json: false, type: "any" };
+        }
+        var mime;
+        var schema;
+        if (3 === me.version) {
+            if (isNullOrUndefined(response.content)) {
+                return { json: false, type: "void" };
+            }
+            mime = findMediaType(response.content);
+            schema = (response.content[mime] || {}).schema;
+        }
+        else {
+            if (isNullOrUndefined(response.schema)) {
+                return { json: false, type: "void" };
+            }
+            mime = findMediaType(operation.produces || me.document.produces || []) || "application/json";
+            schema = response.schema;
+        }
+        if (!isJsonMediaType(mime)) {
+            return { json: false, type: "any" };
+        }
+        return {
+            json: true,
+            type: me.toType(schema, ""),
+        };
+    };
+    /**
+     * Returns the named schemas of the document.
+     *
+     * @return {Object} The schemas.
+     */
+    ClientGenerator.prototype.getSchemas = function () {
+        var doc = this.document;
+        if (3 === this.version) {
+            return (doc.components || {}).schemas || {};
+        }
+        return doc.definitions || {};
+    };
+    /**
+     * Resolves a (local) '$ref' value.
+     *
+     * @param {any} obj The object that can contain a '$ref' property.
+     *
+     * @return {any} The resolved object or (undefined) if not found.
+     */
+    ClientGenerator.prototype.resolve = function (obj) {
+        var depth = 0;
+        while (!isNullOrUndefined(obj) && typeof obj.$ref === "string") {
+            if (++depth > 32) {
+                throw "Reference '" + obj.$ref + "' is circular!";
+            }
+            var ref = obj.$ref;
+            if ("#" !== ref.substr(0, 1)) {
+                return undefined; // external documents are not supported
+            }
+            obj = this.document;
+            toPointerSegments(ref).forEach(function (s) {
+                obj = isNullOrUndefined(obj) ? undefined : obj[s];
+            });
+        }
+        return obj;
+    };
+    /**
+     * Returns the TypeScript literal of an object schema.
+     *
+     * @param {any} schema The schema.
+     * @param {String} indent The indentation of the current line.
+     *
+     * @return {String} The type literal.
+     */
+    ClientGenerator.prototype.toObjectType = function (schema, indent) {
+        var me = this;
+        var properties = schema.properties || {};
+        var required = Array.isArray(schema.required) ? schema.required : [];
+        var members = [];
+        Object.keys(properties).forEach(function (p) {
+            var prop = properties[p] || {};
+            members.push.apply(members, createDocComment(prop.description, indent + "    "));
+            members.push(indent + "    " + toPropertyName(p) + (required.indexOf(p) > -1 ? "" : "?") + ": " +
+                me.toType(prop, indent + "    ") + ";");
+        });
+        var additional = schema.additionalProperties;
+        if (!isNullOrUndefined(additional) && false !== additional) {
+            members.push(indent + "    [key: string]: " +
+                (true === additional || members.length > 0 ? "any" : me.toType(additional, indent + "    ")) + ";");
+        }
+        if (members.length < 1) {
+            return "{ }";
+        }
+        return "{\n" + members.join("\n") + "\n" + indent + "}";
+    };
+    /**
+     * Returns the TypeScript type of a schema.
+     *
+     * @param {any} schema The schema.
+     * @param {String} indent The indentation of the current line.
+     *
+     * @return {String} The type.
+     */
+    ClientGenerator.prototype.toType = function (schema, indent) {
+        var me = this;
+        if (isNullOrUndefined(schema)) {
+            return "any";
+        }
+        if (typeof schema.$ref === "string") {
+            var segments = toPointerSegments(schema.$ref);
+            var schemasPath = 3 === me.version ? ["components", "schemas"] : ["definitions"];
+            if ("#" === schema.$ref.substr(0, 1) &&
+                segments.length === schemasPath.length + 1 &&
+                schemasPath.every(function (s, i) { return s === segments[i]; })) {
+                var typeName = me._typeNames[segments[segments.length - 1]];
+                if (!isNullOrUndefined(typeName)) {
+                    return typeName;
+                }
+            }
+            var resolved = me.resolve(schema);
+            return resolved === schema ? "any" : me.toType(resolved, indent);
+        }
+        var wrap = function (t) { return /^[\w.\[\]]+$/.test(t) ? t : ("(" + t + ")"); };
+        var nullable = function (t) { return (true === schema.nullable || true === schema["x-nullable"]) ? (wrap(t) + " | null") : t; };
+        if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+            return nullable(schema.enum.map(function (e) { return null === e ? "null" : JSON.stringify(e); })
+                .join(" | "));
+        }
+        if (Array.isArray(schema.allOf)) {
+            return nullable(schema.allOf.map(function (s) { return wrap(me.toType(s, indent)); })
+                .join(" & "));
+        }
+        var alternatives = schema.oneOf || schema.anyOf;
+        if (Array.isArray(alternatives)) {
+            return nullable(alternatives.map(function (s) { return wrap(me.toType(s, indent)); })
+                .join(" | "));
+        }
+        var type = schema.type;
+        if (Array.isArray(type)) {
+            // OpenAPI 3.1
+            return type.map(function (t) {
+                var s = {};
+                for (var p in schema) {
+                    s[p] = schema[p];
+                }
+                s.type = t;
+                return wrap(me.toType(s, indent));
+            }).join(" | ");
+        }
+        if (isNullOrUndefined(type)) {
+            if (!isNullOrUndefined(schema.properties)) {
+                type = "object";
+            }
+            else if (!isNullOrUndefined(schema.items)) {
+                type = "array";
+            }
+        }
+        var result;
+        switch (type) {
+            case "array":
+                result = wrap(me.toType(schema.items, indent)) + "[]";
+                break;
+            case "boolean":
+                result = "boolean";
+                break;
+            case "integer":
+            case "number":
+                result = "number";
+                break;
+            case "null":
+                result = "null";
+                break;
+            case "object":
+                result = me.toObjectType(schema, indent);
+                if ("{ }" === result) {
+                    result = "any";
+                }
+                break;
+            case "string":
+                result = "binary" === schema.format ? "any" : "string";
+                break;
+            default:
+                result = "any"; // also 'file'
+                break;
+        }
+        return nullable(result);
+    };
+    return ClientGenerator;
+}());
+exports.ClientGenerator = ClientGenerator;
+var GlobalTypeNames = [
+    "ApiClient", "Array", "ArrayBuffer", "Boolean", "DataView", "Date", "Error", "EvalError",
+    "Float32Array", "Float64Array", "Function", "Infinity", "Int16Array", "Int32Array", "Int8Array",
+    "IOperation", "IOperationResult", "JSON", "Map", "Math", "NaN", "Number", "Object", "Promise",
+    "Proxy", "RangeError", "ReferenceError", "Reflect", "RegExp", "Set", "String", "Symbol",
+    "SyntaxError", "TypeError", "Uint16Array", "Uint32Array", "Uint8Array", "Uint8ClampedArray",
+    "URIError", "WeakMap", "WeakSet",
+];
+var HttpMethods = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+var InvokeOperationCode = [
+    "interface IOperation {",
+    "    body: string;",
+    "    headers: string[][];",
+    "    json: boolean;",
+    "    method: string;",
+    "    params: string[][];",
+    "    route: string;",
+    "    routeParams: string[][];",
+    "    type: ApiClient.HttpRequestType;",
+    "}",
+    "",
+    "function copyArgs(args: any, mappings: string[][], target: any) : any {",
+    "    var result: any = {};",
+    "    for (var t in target || {}) {",
+    "        result[t] = target[t];",
+    "    }",
+    "    ",
+    "    for (var i = 0; i < mappings.length; i++) {",
+    "        var value = args[mappings[i][0]];",
+    "        if (undefined !== value) {",
+    "            result[mappings[i][1]] = value;",
+    "        }",
+    "    }",
+    "    ",
+    "    return result;",
+    "}",
+    "",
+    "function invokeOperation<TData>(config: ApiClient.IApiClientConfig | string,",
+    "                                args: any, opts: ApiClient.IRequestOptions,",
+    "                                op: IOperation) : ApiClient.ICancellablePromise<IOperationResult<TData>> {",
+    "    var cfg: any = {};",
+    "    if (typeof config === \"string\") {",
+    "        cfg.baseUrl = config;",
+    "    }",
+    "    else {",
+    "        for (var c in config || {}) {",
+    "            cfg[c] = (<any>config)[c];",
+    "        }",
+    "    }",
+    "    ",
+    "    if (!cfg.baseUrl) {",
+    "        cfg.baseUrl = BaseUrl;",
+    "    }",
+    "    cfg.route = op.route;",
+    "    ",
+    "    var reqOpts: any = {};",
+    "    for (var o in opts || {}) {",
+    "        reqOpts[o] = (<any>opts)[o];",
+    "    }",
+    "    ",
+    "    args = args || {};",
+    "    reqOpts.headers = copyArgs(args, op.headers, reqOpts.headers);",
+    "    reqOpts.params = copyArgs(args, op.params, reqOpts.params);",
+    "    reqOpts.routeParams = copyArgs(args, op.routeParams, reqOpts.routeParams);",
+    "    ",
+    "    if (null !== op.body && undefined !== args[op.body]) {",
+    "        reqOpts.content = args[op.body];",
+    "        ",
+    "        if (null !== op.type && undefined === reqOpts.type) {",
+    "            reqOpts.type = op.type;",
+    "        }",
+    "    }",
+    "    ",
+    "    var promise = ApiClient.newClient(cfg)",
+    "                           .request(op.method, reqOpts);",
+    "    ",
+    "    var opPromise: any = promise.then((result) => {",
+    "        var opResult: any = result;",
+    "        opResult.data = undefined;",
+    "        ",
+    "        if (op.json && result.code >= 200 && result.code < 300) {",
+    "            var json = result.getString();",
+    "            if (json && \"\" !== json.trim()) {",
+    "                opResult.data = JSON.parse(json);",
+    "            }",
+    "        }",
+    "        ",
+    "        return opResult;",
+    "    });",
+    "    opPromise.cancel = (reason?: any) => {",
+    "        promise.cancel(reason);",
+    "    };",
+    "    ",
+    "    return opPromise;",
+    "}",
+    "",
+];
+var OperationResultCode = [
+    "/**",
+    " * The result of an operation.",
+    " */",
+    "export interface IOperationResult<TData> extends ApiClient.IApiClientResult {",
+    "    /**",
+    "     * Gets the parsed content of a successful JSON response.",
+    "     * ",
+    "     * @property",
+    "     */",
+    "    data: TData;",
+    "}",
+];
+var ReservedWords = [
+    "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete",
+    "do", "else", "enum", "export", "extends", "false", "finally", "for", "function", "if",
+    "import", "in", "instanceof", "new", "null", "return", "super", "switch", "this", "throw",
+    "true", "try", "typeof", "var", "void", "while", "with",
+];
+function compareStrings(x, y) {
+    if (x < y) {
+        return -1;
+    }
+    if (x > y) {
+        return 1;
+    }
+    return 0;
+}
+function createDocComment(text, indent) {
+    if (isEmptyString(text)) {
+        return [];
+    }
+    var textLines = ("" + text).replace(/\*\//g, "*\\/")
+        .replace(/\s+$/, "")
+        .split(/\r?\n/);
+    var lines = [indent + "/**"];
+    textLines.forEach(function (l) {
+        lines.push(indent + " *" + ("" === l ? "" : (" " + l)));
+    });
+    lines.push(indent + " */");
+    return lines;
+}
+function findMediaType(mediaTypes) {
+    if (isNullOrUndefined(mediaTypes)) {
+        return undefined;
+    }
+    var types = Array.isArray(mediaTypes) ? mediaTypes : Object.keys(mediaTypes);
+    // prefer JSON
+    return types.filter(function (t) { return isJsonMediaType(t); })[0] ||
+        types[0];
+}
+function isEmptyString(str) {
+    if (isNullOrUndefined(str)) {
+        return true;
+    }
+    return "" === ("" + str).trim();
+}
+function isJsonMediaType(mime) {
+    if (isNullOrUndefined(mime)) {
+        return false;
+    }
+    mime = mime.toLowerCase().split(";")[0].trim();
+    return "application/json" === mime ||
+        /\+json$/.test(mime);
+}
+function isNullOrUndefined(val) {
+    return null === val ||
+        undefined === val;
+}
+function repeatString(str, count) {
+    var result = "";
+    for (var i = 0; i < count; i++) {
+        result += str;
+    }
+    return result;
+}
+function toCamelCase(str) {
+    var pascalCase = toPascalCase(str);
+    return pascalCase.substr(0, 1).toLowerCase() + pascalCase.substr(1);
+}
+function toMappingCode(mappings) {
+    return "[" + mappings.map(function (m) { return "[" + JSON.stringify(m[0]) + ", " + JSON.stringify(m[1]) + "]"; })
+        .join(", ") + "]";
+}
+function toPascalCase(str) {
+    return ("" + str).split(/[^A-Za-z0-9]+/)
+        .filter(function (x) { return "" !== x; })
+        .map(function (x) { return x.substr(0, 1).toUpperCase() + x.substr(1); })
+        .join("");
+}
+function toPointerSegments(ref) {
+    return ref.replace(/^#\/?/, "")
+        .split("/")
+        .filter(function (s) { return "" !== s; })
+        .map(function (s) { return decodeURIComponent(s).replace(/~1/g, "/")
+        .replace(/~0/g, "~"); });
+}
+function toPropertyName(name) {
+    if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+        return name;
+    }
+    return JSON.stringify(name);
+}
+function toRequestType(mime) {
+    if (isNullOrUndefined(mime)) {
+        return null;
+    }
+    if (isJsonMediaType(mime)) {
+        return "JSON";
+    }
+    mime = mime.toLowerCase().split(";")[0].trim();
+    switch (mime) {
+        case "application/octet-stream":
+            return "Binary";
+        case "application/x-www-form-urlencoded":
+            return "Form";
+        case "multipart/form-data":
+            return "Multipart";
+        case "text/plain":
+            return "Text";
+    }
+    if (/[/+]xml$/.test(mime)) {
+        return "Xml";
+    }
+    return null;
+}
+/**
+ * Generates TypeScript wrappers for 'nativescript-toolbox/apiclient'
+ * from an OpenAPI 3 or Swagger 2 document.
+ *
+ * @param {any} doc The document as object or as JSON / YAML string.
+ * @param {IGeneratorOptions} [opts] Custom options.
+ *
+ * @return {String} The generated code.
+ */
+function generate(doc, opts) {
+    if (typeof doc === "string") {
+        doc = parseDocument(doc);
+    }
+    return new ClientGenerator(doc, opts).generate();
+}
+exports.generate = generate;
+/**
+ * Generates TypeScript wrappers from an OpenAPI 3 or Swagger 2 file.
+ * This function requires Node.
+ *
+ * @param {String} docFile The path of the JSON or YAML file.
+ * @param {String} [outFile] The optional file where to write the code to.
+ * @param {IGeneratorOptions} [opts] Custom options.
+ *
+ * @return {String} The generated code.
+ */
+function generateFile(docFile, outFile, opts) {
+    var fs = require("fs");
+    var code = generate(fs.readFileSync(docFile, "utf8"), opts);
+    if (!isEmptyString(outFile)) {
+        fs.writeFileSync(outFile, code, "utf8");
+    }
+    return code;
+}
+exports.generateFile = generateFile;
+/**
+ * Parses an OpenAPI / Swagger document.
+ *
+ * @param {String} str The document as JSON or YAML string.
+ *
+ * @return {any} The parsed document.
+ */
+function parseDocument(str) {
+    if (isEmptyString(str)) {
+        return null;
+    }
+    try {
+        return JSON.parse(str);
+    }
+    catch (e) {
+        // YAML is a superset of JSON
+        return Yaml.safeLoad(str);
+    }
+}
+exports.parseDocument = parseDocument;
+/**
+ * Runs the generator from the command line:
+ *
+ * node generator.js <document> [output file] [--base-url <url>] [--module <name>]
+ *
+ * @param {String[]} args The command line arguments.
+ *
+ * @return {Number} The exit code.
+ */
+function run(args) {
+    var files = [];
+    var opts = {};
+    for (var i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case "--base-url":
+                opts.baseUrl = args[++i];
+                break;
+            case "--module":
+                opts.moduleName = args[++i];
+                break;
+            default:
+                files.push(args[i]);
+                break;
+        }
+    }
+    if (files.length < 1) {
+        console.log("Usage: node generator.js <document> [output file] [--base-url <url>] [--module <name>]");
+        return 2;
+    }
+    try {
+        var code = generateFile(files[0], files[1], opts);
+        if (files.length < 2) {
+            process.stdout.write(code);
+        }
+        return 0;
+    }
+    catch (e) {
+        console.log("[ERROR] apiclient/generator.run(): " + e);
+        return 1;
+    }
+}
+exports.run = run;
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+//# sourceMappingURL=generator.js.map
\ No newline at end of file
@@ -1,6 +1,10 @@
+import BitmapFactory = require("../bitmap-factory");
+import Enumerable = require("../enumerable");
 import FileSystem = require("file-system");
 import HTTP = require("http");
 import Image = require("image-source");
+import Observable = require("data/observable");
+import XmlObjects = require("../xmlobjects");
 /**
  * A basic logger.
  */
@@ -52,7 +56,9 @@ export declare class AggregateAuthorizer implements IAuthorizer {
      */
     addAuthorizers(...authorizers: IAuthorizer[]): void;
     /** @inheritdoc */
-    prepare(reqOpts: HTTP.HttpRequestOptions): void;
+    interceptResponse(ctx: IResponseInterceptorContext): any;
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): any;
 }
 /**
  * List of API client result contextes.
@@ -79,6 +85,226 @@ export declare enum ApiClientErrorContext {
      * "Unhandled" exception.
      */
     Exception = 1,
+    /**
+     * Request has been cancelled.
+     */
+    Cancelled = 2,
+    /**
+     * Request has been rejected locally,
+     * by circuit breaker or rate limiter.
+     */
+    Rejected = 3,
+    /**
+     * Response has a status code of 2xx,
+     * but its content describes an error,
+     * like the 'errors' of a GraphQL response.
+     */
+    InvalidResult = 4,
+    /**
+     * Response has a status code of 2xx,
+     * but its JSON content does not match the
+     * schema of the client or the request.
+     */
+    SchemaViolation = 5,
+    /**
+     * Interceptors requested more replays
+     * than the maximum number of replays.
+     */
+    ReplayLimitExceeded = 6,
+    /**
+     * Request could not be set up, e.g. because of
+     * an invalid route parameter or content.
+     */
+    InvalidRequest = 7,
+}
+/**
+ * A sequence of items that are loaded asynchronously,
+ * with operators like in the 'enumerable' module.
+ */
+export declare abstract class AsyncSequence<T> {
+    /**
+     * The current item.
+     */
+    protected _current: T;
+    /**
+     * Counts the items.
+     *
+     * @param any [predicate] The optional predicate to use.
+     *
+     * @return {Promise<Number>} The promise with the number of items.
+     */
+    count(predicate?: any): Promise<number>;
+    /**
+     * Gets the current item.
+     *
+     * @property
+     */
+    current: T;
+    /**
+     * Invokes an action for each item.
+     * If the action returns a promise, the next item is not loaded until it is completed.
+     *
+     * @param any action The action to invoke.
+     *
+     * @return {Promise<any>} The promise with the last result of the action.
+     */
+    each(action: any): Promise<any>;
+    /**
+     * Returns the first (matching) item.
+     *
+     * @param any [predicate] The optional predicate to use.
+     *
+     * @return {Promise<T>} The promise with the item, which is rejected if there is no (matching) item.
+     */
+    first(predicate?: any): Promise<T>;
+    /**
+     * Returns the first (matching) item or a default value.
+     *
+     * @param any [predicate] The optional predicate to use.
+     * @param any [defaultValue] The default value.
+     *
+     * @return {Promise<any>} The promise with the item or the default value.
+     */
+    firstOrDefault(predicate?: any, defaultValue?: any): Promise<any>;
+    /**
+     * Tries to move to the next item.
+     *
+     * @return {Promise<Boolean>} The promise with the value that indicates if there is a next item or not.
+     */
+    abstract moveNext(): Promise<boolean>;
+    private moveNextAndGet<TResult>(selector);
+    /**
+     * Resets the sequence.
+     *
+     * @chainable
+     */
+    abstract reset(): AsyncSequence<T>;
+    /**
+     * Projects each item to a new value.
+     *
+     * @param any selector The selector.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    select<U>(selector: any): AsyncSequence<U>;
+    /**
+     * Skips a number of items.
+     *
+     * @param {Number} cnt The number of items to skip.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    skip(cnt: number): AsyncSequence<T>;
+    /**
+     * Skips items while a condition matches.
+     *
+     * @param any predicate The predicate.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    skipWhile(predicate: any): AsyncSequence<T>;
+    /**
+     * Takes a number of items.
+     *
+     * @param {Number} cnt The number of items to take.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    take(cnt: number): AsyncSequence<T>;
+    /**
+     * Takes items while a condition matches.
+     *
+     * @param any predicate The predicate.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    takeWhile(predicate: any): AsyncSequence<T>;
+    /**
+     * Loads all items and returns them as array.
+     *
+     * @return {Promise<T[]>} The promise with the array.
+     */
+    toArray(): Promise<T[]>;
+    /**
+     * Loads all items and returns them as sequence of the 'enumerable' module.
+     *
+     * @return {Promise<Enumerable.IEnumerable<T>>} The promise with the sequence.
+     */
+    toEnumerable(): Promise<Enumerable.IEnumerable<T>>;
+    /**
+     * Filters the items.
+     *
+     * @param any predicate The predicate.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    where(predicate: any): AsyncSequence<T>;
+}
+/**
+ * An authorizer that signs requests with AWS Signature Version 4.
+ *
+ * Bodies that cannot be hashed, like form data, are signed as 'UNSIGNED-PAYLOAD',
+ * which is only accepted by services like S3.
+ */
+export declare class AwsSigV4Authorizer implements IAuthorizer {
+    private _config;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IAwsSigV4Config} config The configuration.
+     */
+    constructor(config: IAwsSigV4Config);
+    /**
+     * Gets the access key ID.
+     *
+     * @property
+     */
+    accessKeyId: string;
+    /**
+     * Creates the canonical request.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} url The (encoded) request URL.
+     * @param any headers The headers to sign (without 'Host').
+     * @param {String} payloadHash The SHA-256 hash of the body as hex string.
+     *
+     * @return {String} The canonical request.
+     */
+    createCanonicalRequest(method: string, url: string, headers: any, payloadHash: string): string;
+    /**
+     * Creates the signature.
+     *
+     * @param {String} stringToSign The string to sign.
+     * @param {String} dateStamp The date in format 'YYYYMMDD'.
+     *
+     * @return {String} The signature as hex string.
+     */
+    createSignature(stringToSign: string, dateStamp: string): string;
+    /**
+     * Creates the string to sign.
+     *
+     * @param {String} canonicalRequest The canonical request.
+     * @param {String} amzDate The time in format 'YYYYMMDDTHHMMSSZ'.
+     *
+     * @return {String} The string to sign.
+     */
+    createStringToSign(canonicalRequest: string, amzDate: string): string;
+    private getCanonicalHeaders(url, headers);
+    private getCredentialScope(dateStamp);
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): void;
+    /**
+     * Gets the region, like 'eu-central-1'.
+     *
+     * @property
+     */
+    region: string;
+    /**
+     * Gets the service, like 's3' or 'execute-api'.
+     *
+     * @property
+     */
+    service: string;
 }
 /**
  * An authorizer for basic authentication.
@@ -129,1161 +355,5552 @@ export declare class BearerAuth implements IAuthorizer {
     token: string;
 }
 /**
- * List of known HTTP request methods.
- */
-export declare enum HttpMethod {
-    GET = 0,
-    POST = 1,
-    PUT = 2,
-    PATCH = 3,
-    DELETE = 4,
-    HEAD = 5,
-    TRACE = 6,
-    OPTIONS = 7,
-    CONNECT = 8,
-}
-/**
- * List of known HTTP request / content types.
+ * A source for a token that can cancel one or more requests.
  */
-export declare enum HttpRequestType {
-    /**
-     * Raw / binary
-     */
-    Binary = 0,
+export declare class CancellationTokenSource {
+    private _token;
     /**
-     * JSON
+     * Cancels all requests that use the token.
+     * If a registered callback throws, the other callbacks are invoked anyway
+     * and the first error is rethrown.
+     *
+     * @param any [reason] The optional reason.
      */
-    JSON = 1,
+    cancel(reason?: any): void;
     /**
-     * Xml
+     * Gets if cancellation has been requested or not.
+     *
+     * @property
      */
-    Xml = 2,
+    isCancellationRequested: boolean;
     /**
-     * Text / string
+     * Gets the token.
+     *
+     * @property
      */
-    Text = 3,
-}
-/**
- * List of known HTTP status codes.
- */
-export declare enum HttpStatusCode {
-    Accepted = 202,
-    BadGateway = 502,
-    BadRequest = 400,
-    Conflict = 409,
-    Continue = 100,
-    Created = 201,
-    ExpectationFailed = 417,
-    Forbidden = 403,
-    GatewayTimeout = 504,
-    Gone = 410,
-    HttpVersionNotSupported = 505,
-    InternalServerError = 500,
-    LengthRequired = 411,
-    MethodNotAllowed = 405,
-    MovedPermanently = 301,
-    MultipleChoices = 300,
-    NoContent = 204,
-    NonAuthoritativeInformation = 203,
-    NotAcceptable = 406,
-    NotFound = 404,
-    NotImplemented = 501,
-    NotModified = 304,
-    OK = 200,
-    PartialContent = 206,
-    PaymentRequired = 402,
-    PreconditionFailed = 412,
-    ProxyAuthenticationRequired = 407,
-    Redirect = 302,
-    RequestedRangeNotSatisfiable = 416,
-    RequestEntityTooLarge = 413,
-    RequestTimeout = 408,
-    RequestUriTooLong = 414,
-    ResetContent = 205,
-    SeeOther = 303,
-    ServiceUnavailable = 503,
-    SwitchingProtocols = 101,
-    TemporaryRedirect = 307,
-    Unauthorized = 401,
-    UnsupportedMediaType = 415,
-    Unused = 306,
-    UpgradeRequired = 426,
-    UseProxy = 305,
+    token: ICancellationToken;
 }
 /**
- * A helper object for wrapping API results.
+ * A circuit breaker that stops sending requests to a host,
+ * if it fails too often.
  */
-export interface IAjaxResult<TData> {
+export declare class CircuitBreaker {
+    private _circuits;
+    private _config;
     /**
-     * Gets the code (if defined).
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {ICircuitBreakerConfig} [config] The custom configuration.
      */
-    code?: number;
+    constructor(config?: ICircuitBreakerConfig);
     /**
-     * Gets the message (if defined).
+     * Checks if a request to a host can be sent.
      *
-     * @property
+     * @param {String} host The host.
+     *
+     * @return {Boolean} Can be sent or not.
      */
-    msg?: string;
+    allowRequest(host: string): boolean;
     /**
-     * The result data (if defined).
+     * Gets the time in milliseconds a circuit stays open. Default: 30000
      *
      * @property
      */
-    data?: TData;
-}
-/**
- * Describes an API client.
- */
-export interface IApiClient {
+    cooldown: number;
     /**
-     * Adds a callback that can be used to format values of route parameters, e.g.
-     *
-     * @chainable
+     * Gets the number of failures in a row that open a circuit. Default: 5
      *
-     * @param {Function} provider The callback that formats values.
+     * @property
      */
-    addFormatProvider(provider: (ctx: IFormatProviderContext) => any): IApiClient;
+    failureThreshold: number;
+    private getCircuit(host);
     /**
-     * Adds a log action.
+     * Returns the number of milliseconds until an open circuit can be tried again.
      *
-     * @chainable
+     * @param {String} host The host.
      *
-     * @param {Function} logAction The log action.
-     */
-    addLogger(logAction: (ctx: ILogMessage) => void): IApiClient;
-    /**
-     * Gets or sets the deault authorizer.
+     * @return {Number} The time or 0 if the circuit is not open.
      */
-    authorizer: IAuthorizer;
+    getRetryAfter(host: string): number;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 502 (bad gateway).
+     * Returns the state of the circuit of a host.
      *
-     * @chainable
+     * @param {String} host The host.
      *
-     * @param {Function} badGatewayAction The action to invoke.
+     * @return {CircuitState} The state.
      */
-    badGateway(badGatewayAction: (result: IApiClientResult) => void): IApiClient;
+    getState(host: string): CircuitState;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 400 (bad request).
+     * Checks if a response or an error counts as failure.
      *
-     * @chainable
+     * @param {Number} code The status code, if there is a response.
+     * @param any [err] The error, if there is no response.
      *
-     * @param {Function} notFoundAction The action to invoke.
+     * @return {Boolean} Is failure or not.
      */
-    badRequest(badRequestAction: (result: IApiClientResult) => void): IApiClient;
+    isFailure(code: number, err?: any): boolean;
     /**
-     * Gets or sets the base URL.
+     * Gets or sets the logger for errors of the 'onStateChange' callback,
+     * like the client that uses the breaker.
      */
-    baseUrl: string;
+    logger: ILogger;
     /**
-     * Defines an action that is invoked BEFORE a request starts.
-     *
-     * @chainable
+     * Reports a failed request.
      *
-     * @param {Function} beforeAction The action to invoke.
+     * @param {String} host The host.
      */
-    beforeSend(beforeAction: (opts: HTTP.HttpRequestOptions, tag: any) => void): IApiClient;
+    onFailure(host: string): void;
     /**
-     * Defines an action that is invoked on a status code between 400 and 499.
+     * Reports a succeeded request.
      *
-     * @chainable
-     *
-     * @param {Function} clientErrAction The action to invoke.
+     * @param {String} host The host.
      */
-    clientError(clientErrAction: (result: IApiClientResult) => void): IApiClient;
+    onSuccess(host: string): void;
     /**
-     * Defines an action that is invoked on a status code between 400 and 599.
-     *
-     * @chainable
+     * Closes the circuit of a host or all circuits.
      *
-     * @param {Function} clientSrvErrAction The action to invoke.
+     * @param {String} [host] The host.
      */
-    clientOrServerError(clientSrvErrAction: (result: IApiClientResult) => void): IApiClient;
+    reset(host?: string): void;
+    private setState(host, newState);
     /**
-     * Defines the "complete" action.
-     *
-     * @chainable
+     * Gets the number of succeeded trial requests that close a circuit. Default: 1
      *
-     * @param {Function} completeAction The action to invoke.
+     * @property
      */
-    complete(completeAction: (ctx: IApiClientCompleteContext) => void): IApiClient;
-    /**
-     * Short hand method to define an action that is invoked
-     * for a status code 409 (conflict).
-     *
-     * @chainable
-     *
-     * @param {Function} conflictAction The action to invoke.
+    successThreshold: number;
+}
+/**
+ * List of states of a circuit.
+ */
+export declare enum CircuitState {
+    /**
+     * Requests are sent.
      */
-    conflict(conflictAction: (result: IApiClientResult) => void): IApiClient;
+    Closed = 0,
     /**
-     * Starts a DELETE request.
-     *
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * Requests are rejected.
      */
-    delete(opts?: IRequestOptions): any;
+    Open = 1,
     /**
-     * Defines the "error" action.
-     *
-     * @chainable
+     * A trial request is sent to check if the host is available again.
+     */
+    HalfOpen = 2,
+}
+/**
+ * Stores cookies, which are received from and sent to servers.
+ */
+export declare class CookieJar {
+    private _config;
+    private _cookies;
+    private _loaded;
+    private _store;
+    /**
+     * Initializes a new instance of that class.
      *
-     * @param {Function} errAction The action to invoke.
+     * @param {ICookieJarConfig} [config] The custom configuration.
      */
-    error(errAction: (ctx: IApiClientError) => void): IApiClient;
+    constructor(config?: ICookieJarConfig);
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 403 (forbidden).
+     * Removes all cookies or the cookies of a domain.
      *
-     * @chainable
+     * @param {String} [domain] The domain.
      *
-     * @param {Function} forbiddenAction The action to invoke.
+     * @return {Number} The number of removed cookies.
      */
-    forbidden(forbiddenAction: (result: IApiClientResult) => void): IApiClient;
+    clear(domain?: string): number;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 504 (gateway timeout).
+     * Gets a copy of the list of all (not expired) cookies.
      *
-     * @chainable
-     *
-     * @param {Function} timeoutAction The action to invoke.
+     * @property
      */
-    gatewayTimeout(timeoutAction: (result: IApiClientResult) => void): IApiClient;
+    cookies: ICookie[];
     /**
-     * Starts a GET request.
+     * Returns the value for the 'Cookie' header of a request.
      *
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @param {String} url The (encoded) request URL.
+     *
+     * @return {String} The value or (null) if there are no cookies.
      */
-    get(opts?: IRequestOptions): any;
+    getCookieHeader(url: string): string;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 410 (gone).
+     * Returns the cookies for a request.
      *
-     * @chainable
+     * @param {String} url The (encoded) request URL.
      *
-     * @param {Function} goneAction The action to invoke.
+     * @return {ICookie[]} The cookies, ordered by the length of their path.
      */
-    gone(goneAction: (result: IApiClientResult) => void): IApiClient;
+    getCookies(url: string): ICookie[];
     /**
-     * Gets or sets the global request headers.
+     * Gets the promise, which is completed after the cookies
+     * of previous sessions have been loaded.
      *
      * @property
      */
-    headers: any;
+    loaded: Promise<any>;
+    private logError(msg);
     /**
-     * Invokes an action if a predicate matches.
-     *
-     * @chainable
-     *
-     * @param {Function} predicate The predicate to use.
-     * @param {Function} statusAction The action to invoke.
+     * Gets or sets the logger for errors of the store.
+     * If not defined, it is set by the first client that uses the jar.
      */
-    if(predicate: (ctx: IApiClientResult) => boolean, statusAction: (result: IApiClientResult) => void): IApiClient;
+    logger: ILogger;
+    private parseCookie(setCookie, url);
     /**
-     * Invokes an action if a status matches.
+     * Removes a cookie.
      *
-     * @chainable
+     * @param {String} name The name of the cookie.
+     * @param {String} [domain] The domain.
+     * @param {String} [path] The path.
      *
-     * @param {Function} predicate The predicate to use.
-     * @param {Function} statusAction The action to invoke.
+     * @return {Number} The number of removed cookies.
      */
-    ifStatus(predicate: (code: number) => boolean, statusAction: (result: IApiClientResult) => void): IApiClient;
+    remove(name: string, domain?: string, path?: string): number;
+    private removeExpired();
+    private save();
     /**
-     * Defines an action that is invoked on a status code between 100 and 199.
+     * Stores a cookie from a 'Set-Cookie' header.
      *
-     * @chainable
+     * @param {String} setCookie The value of the 'Set-Cookie' header.
+     * @param {String} url The (encoded) URL of the request.
      *
-     * @param {Function} infoAction The action to invoke.
+     * @return {ICookie} The stored cookie or (null) if the cookie has been rejected or deleted.
      */
-    informational(infoAction: (result: IApiClientResult) => void): IApiClient;
+    setCookie(setCookie: string, url: string): ICookie;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 507 (insufficient storage).
+     * Stores the cookies of the 'Set-Cookie' headers of a response.
      *
-     * @chainable
+     * @param any headers The response headers.
+     * @param {String} url The (encoded) URL of the request.
      *
-     * @param {Function} insufficientAction The action to invoke.
+     * @return {ICookie[]} The stored cookies.
      */
-    insufficientStorage(insufficientAction: (result: IApiClientResult) => void): IApiClient;
+    setCookies(headers: any, url: string): ICookie[];
+}
+/**
+ * An authorizer for HTTP Digest authentication.
+ * The challenge is received with a 401 response,
+ * before the request is sent again.
+ */
+export declare class DigestAuthorizer implements IAuthorizer {
+    private _challenge;
+    private _nonceCount;
+    private _password;
+    private _username;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 500 (internal server error).
-     *
-     * @chainable
+     * Initializes a new instance of that class.
      *
-     * @param {Function} errAction The action to invoke.
+     * @param {String} username The username.
+     * @param {String} pwd The password.
      */
-    internalServerError(errAction: (result: IApiClientResult) => void): IApiClient;
+    constructor(username: string, pwd: string);
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 423 (document not found).
-     *
-     * @chainable
+     * Gets the current challenge of the server (the parameters of 'WWW-Authenticate').
      *
-     * @param {Function} lockedAction The action to invoke.
+     * @property
      */
-    locked(lockedAction: (result: IApiClientResult) => void): IApiClient;
+    challenge: any;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 405 (method not allowed).
+     * Gets or sets a custom client nonce.
+     * If not defined, a new one is generated for each request.
+     */
+    cnonce: string;
+    /**
+     * Computes the value for 'response'.
      *
-     * @chainable
+     * @param {String} method The HTTP method.
+     * @param {String} uri The URI (path and query).
+     * @param any challenge The challenge.
+     * @param {String} nc The nonce count, like '00000001'.
+     * @param {String} cnonce The client nonce.
+     * @param {String} [qop] The quality of protection ('auth' or 'auth-int').
+     * @param {String} [body] The body for 'auth-int'.
      *
-     * @param {Function} notAllowedAction The action to invoke.
+     * @return {String} The response value.
      */
-    methodNotAllowed(notAllowedAction: (result: IApiClientResult) => void): IApiClient;
+    createResponse(method: string, uri: string, challenge: any, nc: string, cnonce: string, qop?: string, body?: string): string;
+    /** @inheritdoc */
+    interceptResponse(ctx: IResponseInterceptorContext): any;
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): void;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 404 (document not found).
+     * Gets the username.
      *
-     * @chainable
+     * @property
+     */
+    username: string;
+}
+/**
+ * An incremental parser for server-sent events (text/event-stream).
+ */
+export declare class EventStreamParser {
+    private _buffer;
+    private _data;
+    private _eventType;
+    private _isFirstChunk;
+    private _lastEventIdBuffer;
+    private _onEvent;
+    private _skipLineFeed;
+    /**
+     * Initializes a new instance of that class.
      *
-     * @param {Function} notFoundAction The action to invoke.
+     * @param {Function} onEvent The function that receives the events.
      */
-    notFound(notFoundAction: (result: IApiClientResult) => void): IApiClient;
+    constructor(onEvent: (e: IServerSentEvent) => void);
+    private dispatch();
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 501 (not implemented).
+     * Finishes the current connection.
+     * An incomplete event is discarded.
+     */
+    end(): void;
+    /**
+     * Stores the ID of the last event.
+     */
+    lastEventId: string;
+    private processLine(line);
+    /**
+     * Stores the reconnection time, sent by the server.
+     */
+    retry: number;
+    /**
+     * Parses the next chunk of the stream.
      *
-     * @chainable
+     * @param {String} chunk The chunk.
+     */
+    write(chunk: string): void;
+}
+/**
+ * A cache store that saves its entries as files.
+ */
+export declare class FileCacheStore implements IHttpCacheStore {
+    private _folder;
+    /**
+     * Initializes a new instance of that class.
      *
-     * @param {Function} notImplementedAction The action to invoke.
+     * @param {String} [path] The custom path of the folder. Default: 'apiclient-cache' inside temp folder.
      */
-    notImplemented(notImplementedAction: (result: IApiClientResult) => void): IApiClient;
+    constructor(path?: string);
+    /** @inheritdoc */
+    clear(): Promise<any>;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 200, 204 or 205 (OK; no content; reset content).
+     * Gets the underlying folder.
      *
-     * @chainable
+     * @property
+     */
+    folder: FileSystem.Folder;
+    /** @inheritdoc */
+    get(key: string): Promise<IHttpCacheEntry>;
+    private getPath(key);
+    /** @inheritdoc */
+    remove(key: string): Promise<any>;
+    /** @inheritdoc */
+    set(key: string, entry: IHttpCacheEntry): Promise<any>;
+}
+/**
+ * List of formats for fixture files.
+ */
+export declare enum FixtureFormat {
+    /**
+     * JSON
+     */
+    JSON = 0,
+    /**
+     * YAML
+     */
+    YAML = 1,
+}
+/**
+ * A GraphQL client that sends its requests via an API client.
+ */
+export declare class GraphQLClient {
+    private _client;
+    private _config;
+    private _fragments;
+    /**
+     * Initializes a new instance of that class.
      *
-     * @param {Function} okAction The action to invoke.
+     * @param {IApiClient} client The underlying API client.
+     * @param {IGraphQLConfig} [config] The custom configuration.
      */
-    ok(okAction: (result: IApiClientResult) => void): IApiClient;
+    constructor(client: IApiClient, config?: IGraphQLConfig);
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 413 (payload too large).
+     * Registers one or more fragments, which are appended to
+     * queries and mutations, that use them.
      *
      * @chainable
      *
-     * @param {Function} tooLargeAction The action to invoke.
+     * @param {String} fragment The fragment definition(s), like 'fragment UserFields on User { id name }'.
      */
-    payloadTooLarge(tooLargeAction: (result: IApiClientResult) => void): IApiClient;
+    addFragment(fragment: string): GraphQLClient;
     /**
-     * Gets or sets the global list of URL parameters.
+     * Gets the underlying API client.
      *
      * @property
      */
-    params: any;
+    client: IApiClient;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 206 (partial content).
+     * Appends the registered fragments, which are used by a document.
      *
-     * @chainable
+     * @param {String} document The query or mutation.
+     * @param {String[]} [fragments] Additional fragment definitions.
      *
-     * @param {Function} partialAction The action to invoke.
+     * @return {String} The document with the fragments.
      */
-    partialContent(partialAction: (result: IApiClientResult) => void): IApiClient;
+    compose(document: string, fragments?: string[]): string;
     /**
-     * Starts a PATCH request.
+     * Sends a mutation.
      *
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @param {String} mutation The mutation.
+     * @param any [variables] The variables.
+     * @param {IGraphQLRequest} [req] Additional settings for the request.
+     *
+     * @return {Promise<IGraphQLResult<T>>} The promise.
      */
-    patch(opts?: IRequestOptions): any;
+    mutate<T>(mutation: string, variables?: any, req?: IGraphQLRequest): Promise<IGraphQLResult<T>>;
     /**
-     * Starts a POST request.
+     * Sends a query.
      *
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @param {String} query The query.
+     * @param any [variables] The variables.
+     * @param {IGraphQLRequest} [req] Additional settings for the request.
+     *
+     * @return {Promise<IGraphQLResult<T>>} The promise.
      */
-    post(opts?: IRequestOptions): any;
+    query<T>(query: string, variables?: any, req?: IGraphQLRequest): Promise<IGraphQLResult<T>>;
     /**
-     * Starts a PUT request.
+     * Sends a GraphQL request.
      *
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * If the response contains errors, the promise is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'GraphQLResponseError'.
+     * This is also the case for responses with a status code other than 2xx.
+     *
+     * @param {IGraphQLRequest} req The request.
+     *
+     * @return {Promise<IGraphQLResult<T>>} The promise.
      */
-    put(opts?: IRequestOptions): any;
+    request<T>(req: IGraphQLRequest): Promise<IGraphQLResult<T>>;
+}
+/**
+ * An error that describes a GraphQL response with errors.
+ */
+export declare class GraphQLResponseError {
+    private _result;
     /**
-     * Defines an action that is invoked on a status code between 300 and 399.
-     *
-     * @chainable
+     * Initializes a new instance of that class.
      *
-     * @param {Function} redirectAction The action to invoke.
+     * @param {IGraphQLResult<any>} result The GraphQL result.
      */
-    redirection(redirectAction: (result: IApiClientResult) => void): IApiClient;
+    constructor(result: IGraphQLResult<any>);
     /**
-     * Starts a request.
+     * Gets the data, which has been resolved.
      *
-     * @param any method The HTTP method.
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @property
      */
-    request(method: any, opts?: IRequestOptions): any;
+    data: any;
     /**
-     * Gets or sets the route.
+     * Gets the list of errors.
+     *
+     * @property
      */
-    route: string;
+    errors: IGraphQLError[];
     /**
-     * Gets or sets the global list of route parameters.
+     * Gets the error messages.
      *
      * @property
      */
-    routeParams: any;
+    message: string;
     /**
-     * Defines an action that is invoked on a status code between 500 and 599.
+     * Gets the GraphQL result.
      *
-     * @chainable
+     * @property
+     */
+    result: IGraphQLResult<any>;
+    /** @inheritdoc */
+    toString(): string;
+}
+/**
+ * Records the traffic of clients and exports it
+ * in HTTP Archive (HAR 1.2) format.
+ */
+export declare class HarRecorder {
+    private _config;
+    private _entries;
+    /**
+     * Initializes a new instance of that class.
      *
-     * @param {Function} serverErrAction The action to invoke.
+     * @param {IHarRecorderConfig} [config] The custom configuration.
      */
-    serverError(serverErrAction: (result: IApiClientResult) => void): IApiClient;
+    constructor(config?: IHarRecorderConfig);
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 503 (service unavailable).
+     * Adds an entry.
      *
-     * @chainable
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {Date} startTime The time the request has been started.
+     * @param {HTTP.HttpResponse} [response] The response.
+     * @param any [err] The error, if no response has been received.
      *
-     * @param {Function} unavailableAction The action to invoke.
+     * @return {IHarEntry} The new entry or (null) if recording is disabled.
      */
-    serviceUnavailable(unavailableAction: (result: IApiClientResult) => void): IApiClient;
+    add(opts: HTTP.HttpRequestOptions, startTime: Date, response?: HTTP.HttpResponse, err?: any): IHarEntry;
     /**
-     * Sets the default authorizer.
-     *
-     * @chainable
+     * Removes all entries.
+     */
+    clear(): void;
+    /**
+     * Gets a copy of the current entries.
      *
-     * @param {IAuthorizer} authorizer The default authorizer.
+     * @property
      */
-    setAuthorizer(authorizer: IAuthorizer): IApiClient;
+    entries: IHarEntry[];
     /**
-     * Sets the base URL.
+     * Gets or sets if traffic is recorded or not.
+     */
+    isRecording: boolean;
+    /**
+     * Saves the archive to a file.
      *
-     * @chainable
+     * @param {String} path The path of the file.
      *
-     * @param {String} newValue The new URL.
+     * @return {Promise<FileSystem.File>} The promise with the file.
      */
-    setBaseUrl(newValue: string): IApiClient;
+    save(path: string): Promise<FileSystem.File>;
     /**
-     * Sets the route.
+     * Returns the archive as object.
      *
-     * @chainable
+     * @return {Object} The archive.
+     */
+    toHar(): any;
+    /**
+     * Returns the archive as JSON string.
      *
-     * @param {String} newValue The new route.
+     * @return {String} The archive.
      */
-    setRoute(newValue: string): IApiClient;
+    toString(): string;
     /**
-     * Defines an action that is invoked for a specific status code.
+     * Returns a transport that records the traffic of another one.
      *
-     * @chainable
+     * @param {ITransport} transport The transport to wrap.
      *
-     * @param {Number} code The status code.
-     * @param {Function} statusAction The action to invoke.
+     * @return {ITransport} The wrapping transport.
      */
-    status(code: number, statusAction: (result: IApiClientResult) => void): IApiClient;
+    wrap(transport: ITransport): ITransport;
+}
+/**
+ * An authorizer that signs requests with a HMAC in a header.
+ */
+export declare class HmacAuthorizer implements IAuthorizer {
+    private _config;
     /**
-     * Defines an action that is invoked on a status code between 200 and 299.
+     * Initializes a new instance of that class.
      *
-     * @chainable
+     * @param {IHmacAuthorizerConfig} config The configuration.
+     */
+    constructor(config: IHmacAuthorizerConfig);
+    /**
+     * Gets the name of the hash algorithm. Default: 'sha256'
      *
-     * @param {Function} succeededAction The action to invoke.
+     * @property
      */
-    succeededRequest(succeededAction: (result: IApiClientResult) => void): IApiClient;
+    algorithm: string;
     /**
-     * Defines the "success" action.
+     * Creates the string to sign.
      *
-     * @chainable
+     * @param {IHmacSigningContext} ctx The context.
      *
-     * @param {Function} successAction The action to invoke.
+     * @return {String} The string to sign.
      */
-    success(successAction: (result: IApiClientResult) => void): IApiClient;
+    createStringToSign(ctx: IHmacSigningContext): string;
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 429 (too many requests).
+     * Gets the ID of the key.
+     *
+     * @property
+     */
+    keyId: string;
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): void;
+    /**
+     * Signs a string.
+     *
+     * @param {String|ArrayBuffer|Uint8Array|Array} stringToSign The string (UTF-8) or the bytes to sign.
+     *
+     * @return {String} The signature.
+     */
+    sign(stringToSign: string | ArrayBuffer | Uint8Array | number[]): string;
+}
+/**
+ * A cache for HTTP responses, which are requested via GET.
+ */
+export declare class HttpCache {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IHttpCacheConfig} [config] The optional configuration.
+     */
+    constructor(config?: IHttpCacheConfig);
+    /**
+     * Removes all entries.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    clear(): Promise<any>;
+    /**
+     * The number of seconds a response is fresh, if the server
+     * does not send 'Cache-Control' or 'Expires'. Default: 0
+     */
+    defaultMaxAge: number;
+    /**
+     * Returns the entry of an URL.
+     *
+     * @param {String} url The URL.
+     * @param {any} [requestHeaders] The headers of the request, which have to match
+     *                               the ones of the entry (s. 'Vary' and 'Authorization').
+     *
+     * @return {Promise<IHttpCacheEntry>} The promise with the entry (if available).
+     */
+    get(url: string, requestHeaders?: any): Promise<IHttpCacheEntry>;
+    /**
+     * The default mode.
+     */
+    mode: HttpCacheMode;
+    /**
+     * Stores a response.
+     *
+     * Responses with content, which is not text, are NOT cacheable.
+     *
+     * @param {String} url The URL.
+     * @param {HTTP.HttpResponse} response The response.
+     * @param {any} [requestHeaders] The headers of the request.
+     *
+     * @return {Promise<IHttpCacheEntry>} The promise with the new entry or (null) if the response is NOT cacheable.
+     */
+    put(url: string, response: HTTP.HttpResponse, requestHeaders?: any): Promise<IHttpCacheEntry>;
+    /**
+     * Removes the entry of an URL.
+     *
+     * @param {String} url The URL.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    remove(url: string): Promise<any>;
+    /**
+     * The underlying store.
+     */
+    store: IHttpCacheStore;
+}
+/**
+ * List of cache modes.
+ */
+export declare enum HttpCacheMode {
+    /**
+     * Use fresh content from cache, otherwise revalidate with the server.
+     */
+    Default = 0,
+    /**
+     * Always ask the server (with revalidation) and use the cache only if the network fails.
+     */
+    NetworkFirst = 1,
+    /**
+     * Use the cache only. If there is no entry, status code 504 is returned.
+     */
+    CacheOnly = 2,
+    /**
+     * Use cached content immediately (even if stale) and revalidate it in background.
+     */
+    StaleWhileRevalidate = 3,
+    /**
+     * Do not use the cache.
+     */
+    Bypass = 4,
+}
+/**
+ * List of known HTTP request methods.
+ */
+export declare enum HttpMethod {
+    GET = 0,
+    POST = 1,
+    PUT = 2,
+    PATCH = 3,
+    DELETE = 4,
+    HEAD = 5,
+    TRACE = 6,
+    OPTIONS = 7,
+    CONNECT = 8,
+}
+/**
+ * List of known HTTP request / content types.
+ */
+export declare enum HttpRequestType {
+    /**
+     * Raw / binary
+     */
+    Binary = 0,
+    /**
+     * JSON
+     */
+    JSON = 1,
+    /**
+     * Xml
+     */
+    Xml = 2,
+    /**
+     * Text / string
+     */
+    Text = 3,
+    /**
+     * URL encoded form (application/x-www-form-urlencoded)
+     */
+    Form = 4,
+    /**
+     * Multipart form data (multipart/form-data)
+     */
+    Multipart = 5,
+}
+/**
+ * List of known HTTP status codes.
+ */
+export declare enum HttpStatusCode {
+    Accepted = 202,
+    BadGateway = 502,
+    BadRequest = 400,
+    Conflict = 409,
+    Continue = 100,
+    Created = 201,
+    ExpectationFailed = 417,
+    Forbidden = 403,
+    GatewayTimeout = 504,
+    Gone = 410,
+    HttpVersionNotSupported = 505,
+    InternalServerError = 500,
+    LengthRequired = 411,
+    MethodNotAllowed = 405,
+    MovedPermanently = 301,
+    MultipleChoices = 300,
+    NoContent = 204,
+    NonAuthoritativeInformation = 203,
+    NotAcceptable = 406,
+    NotFound = 404,
+    NotImplemented = 501,
+    NotModified = 304,
+    OK = 200,
+    PartialContent = 206,
+    PaymentRequired = 402,
+    PreconditionFailed = 412,
+    ProxyAuthenticationRequired = 407,
+    Redirect = 302,
+    RequestedRangeNotSatisfiable = 416,
+    RequestEntityTooLarge = 413,
+    RequestTimeout = 408,
+    RequestUriTooLong = 414,
+    ResetContent = 205,
+    SeeOther = 303,
+    ServiceUnavailable = 503,
+    SwitchingProtocols = 101,
+    TemporaryRedirect = 307,
+    Unauthorized = 401,
+    UnsupportedMediaType = 415,
+    Unused = 306,
+    UpgradeRequired = 426,
+    UseProxy = 305,
+}
+/**
+ * A transport that uses the HTTP module of NativeScript.
+ */
+export declare class HttpTransport implements ITransport {
+    /** @inheritdoc */
+    send(opts: HTTP.HttpRequestOptions): Promise<HTTP.HttpResponse>;
+}
+/**
+ * A helper object for wrapping API results.
+ */
+export interface IAjaxResult<TData> {
+    /**
+     * Gets the code (if defined).
+     *
+     * @property
+     */
+    code?: number;
+    /**
+     * Gets the message (if defined).
+     *
+     * @property
+     */
+    msg?: string;
+    /**
+     * The result data (if defined).
+     *
+     * @property
+     */
+    data?: TData;
+}
+/**
+ * Describes an API client.
+ */
+export interface IApiClient {
+    /**
+     * Adds a decoder that is used by 'IApiClientResult.getContent()'
+     * for a specific content type.
      *
      * @chainable
      *
-     * @param {Function} tooManyAction The action to invoke.
+     * @param {String|RegExp} mime The MIME type, like 'text/csv' or 'text/*'.
+     * @param {Function} decoder The function that decodes the response.
      */
-    tooManyRequests(tooManyAction: (result: IApiClientResult) => void): IApiClient;
+    addDecoder(mime: string | RegExp, decoder: (ctx: IContentDecoderContext) => any): IApiClient;
+    /**
+     * Adds a callback that can be used to format values of route parameters, e.g.
+     *
+     * @chainable
+     *
+     * @param {Function} provider The callback that formats values.
+     */
+    addFormatProvider(provider: (ctx: IFormatProviderContext) => any): IApiClient;
+    /**
+     * Adds a log action.
+     *
+     * @chainable
+     *
+     * @param {Function} logAction The log action.
+     */
+    addLogger(logAction: (ctx: ILogMessage) => void): IApiClient;
+    /**
+     * Gets or sets the deault authorizer.
+     */
+    authorizer: IAuthorizer;
     /**
      * Short hand method to define an action that is invoked
-     * for a status code 401 (unauthorized).
+     * for a status code 502 (bad gateway).
      *
      * @chainable
      *
-     * @param {Function} unauthorizedAction The action to invoke.
+     * @param {Function} badGatewayAction The action to invoke.
      */
-    unauthorized(unauthorizedAction: (result: IApiClientResult) => void): IApiClient;
+    badGateway(badGatewayAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Gets or sets the response cache.
+     */
+    cache: HttpCache;
+    /**
+     * Gets or sets the circuit breaker.
+     */
+    circuitBreaker: CircuitBreaker;
+    /**
+     * Gets or sets the coalescer, which shares the responses of identical requests.
+     */
+    coalescer: RequestCoalescer;
+    /**
+     * Gets or sets the cookie jar.
+     */
+    cookieJar: CookieJar;
     /**
      * Short hand method to define an action that is invoked
-     * for a status code 415 (unsupported media type).
+     * for a status code 400 (bad request).
      *
      * @chainable
      *
-     * @param {Function} unsupportedAction The action to invoke.
+     * @param {Function} notFoundAction The action to invoke.
      */
-    unsupportedMediaType(unsupportedAction: (result: IApiClientResult) => void): IApiClient;
+    badRequest(badRequestAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Gets or sets the base URL.
+     */
+    baseUrl: string;
+    /**
+     * Defines an action that is invoked BEFORE a request starts.
+     *
+     * @chainable
+     *
+     * @param {Function} beforeAction The action to invoke.
+     */
+    beforeSend(beforeAction: (opts: HTTP.HttpRequestOptions, tag: any) => void): IApiClient;
+    /**
+     * Starts a request for a route of the route table.
+     *
+     * Parameters, which are not part of the route, are sent as URL parameters.
+     * The route is resolved to an absolute URL, before the request is sent or queued.
+     *
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {any} [params] The parameters for the route.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     *                                                 It is rejected if the route is unknown
+     *                                                 or a parameter is invalid.
+     */
+    call(name: string, params?: any, opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Defines an action that is invoked on a status code between 400 and 499.
+     *
+     * @chainable
+     *
+     * @param {Function} clientErrAction The action to invoke.
+     */
+    clientError(clientErrAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Defines an action that is invoked on a status code between 400 and 599.
+     *
+     * @chainable
+     *
+     * @param {Function} clientSrvErrAction The action to invoke.
+     */
+    clientOrServerError(clientSrvErrAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Defines the "complete" action.
+     *
+     * @chainable
+     *
+     * @param {Function} completeAction The action to invoke.
+     */
+    complete(completeAction: (ctx: IApiClientCompleteContext) => void): IApiClient;
     /**
      * Short hand method to define an action that is invoked
-     * for a status code 414 (URI too long).
+     * for a status code 409 (conflict).
+     *
+     * @chainable
+     *
+     * @param {Function} conflictAction The action to invoke.
+     */
+    conflict(conflictAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Starts a DELETE request.
+     *
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    delete(opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Downloads a file in chunks via 'Range' requests, which are appended to the
+     * destination file, so only one chunk at a time is buffered in memory.
+     * An existing (partial) file is resumed by default, if the validator ('ETag' / 'Last-Modified')
+     * of its content has been stored, otherwise it is downloaded again.
+     * If the server does not support ranges or the content has been changed, it sends the complete
+     * content, which is buffered in memory as a whole and replaces the destination file.
+     *
+     * The actions of the client, like 'success' and 'complete', are invoked once,
+     * for the last response or the error of the download.
+     *
+     * @param {String} destFile The path of the destination file.
+     * @param {IDownloadOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<FileSystem.File>} The promise with the file.
+     *                                                It is rejected with the result
+     *                                                if the status code is unexpected.
+     */
+    download(destFile: string, opts?: IDownloadOptions): ICancellablePromise<FileSystem.File>;
+    /**
+     * Enables the offline queue, which stores requests while the device
+     * is offline and sends them when it is online again.
+     *
+     * @chainable
+     *
+     * @param {IOfflineQueueConfig} [config] The custom configuration.
+     */
+    enableOfflineQueue(config?: IOfflineQueueConfig): IApiClient;
+    /**
+     * Defines the "error" action.
+     *
+     * @chainable
+     *
+     * @param {Function} errAction The action to invoke.
+     */
+    error(errAction: (ctx: IApiClientError) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 403 (forbidden).
+     *
+     * @chainable
+     *
+     * @param {Function} forbiddenAction The action to invoke.
+     */
+    forbidden(forbiddenAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 504 (gateway timeout).
+     *
+     * @chainable
+     *
+     * @param {Function} timeoutAction The action to invoke.
+     */
+    gatewayTimeout(timeoutAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Starts a GET request.
+     *
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    get(opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 410 (gone).
+     *
+     * @chainable
+     *
+     * @param {Function} goneAction The action to invoke.
+     */
+    gone(goneAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Creates a GraphQL client that sends its requests via that client.
+     *
+     * @param {IGraphQLConfig} [config] The custom configuration.
+     *
+     * @return {GraphQLClient} The new GraphQL client.
+     */
+    graphQL(config?: IGraphQLConfig): GraphQLClient;
+    /**
+     * Gets or sets the recorder for the traffic in HAR format.
+     */
+    harRecorder: HarRecorder;
+    /**
+     * Gets or sets the global request headers.
+     *
+     * @property
+     */
+    headers: any;
+    /**
+     * Invokes an action if a predicate matches.
+     *
+     * @chainable
+     *
+     * @param {Function} predicate The predicate to use.
+     * @param {Function} statusAction The action to invoke.
+     */
+    if(predicate: (ctx: IApiClientResult) => boolean, statusAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Invokes an action if a status matches.
+     *
+     * @chainable
+     *
+     * @param {Function} predicate The predicate to use.
+     * @param {Function} statusAction The action to invoke.
+     */
+    ifStatus(predicate: (code: number) => boolean, statusAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Defines an action that is invoked on a status code between 100 and 199.
+     *
+     * @chainable
+     *
+     * @param {Function} infoAction The action to invoke.
+     */
+    informational(infoAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 507 (insufficient storage).
+     *
+     * @chainable
+     *
+     * @param {Function} insufficientAction The action to invoke.
+     */
+    insufficientStorage(insufficientAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Adds an interceptor that is invoked if the HTTP client fails.
+     *
+     * @chainable
+     *
+     * @param {Function} interceptor The interceptor. Can return a promise.
+     */
+    interceptError(interceptor: (ctx: IErrorInterceptorContext) => any): IApiClient;
+    /**
+     * Adds an interceptor that is invoked BEFORE a request is sent.
+     *
+     * @chainable
+     *
+     * @param {Function} interceptor The interceptor. Can return a promise.
+     */
+    interceptRequest(interceptor: (ctx: IRequestInterceptorContext) => any): IApiClient;
+    /**
+     * Adds an interceptor that is invoked for a response BEFORE
+     * the status actions are invoked.
+     *
+     * @chainable
+     *
+     * @param {Function} interceptor The interceptor. Can return a promise.
+     */
+    interceptResponse(interceptor: (ctx: IResponseInterceptorContext) => any): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 500 (internal server error).
+     *
+     * @chainable
+     *
+     * @param {Function} errAction The action to invoke.
+     */
+    internalServerError(errAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Creates a JSON-RPC 2.0 client that sends its requests via that client.
+     *
+     * @param {IJsonRpcConfig} [config] The custom configuration.
+     *
+     * @return {JsonRpcClient} The new JSON-RPC client.
+     */
+    jsonRpc(config?: IJsonRpcConfig): JsonRpcClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 423 (document not found).
+     *
+     * @chainable
+     *
+     * @param {Function} lockedAction The action to invoke.
+     */
+    locked(lockedAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Creates a long-poll client, which sends its requests via that client
+     * and dispatches the events of each complete response.
+     * The long-poll client is not opened automatically.
+     *
+     * @param {ILongPollConfig} [config] The custom configuration.
+     *
+     * @return {LongPollClient} The new client.
+     */
+    longPoll(config?: ILongPollConfig): LongPollClient;
+    /**
+     * Gets or sets the maximum number of replays, which can be requested
+     * by interceptors, for a request. Default: 10
+     *
+     * @property
+     */
+    maxReplays: number;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 405 (method not allowed).
+     *
+     * @chainable
+     *
+     * @param {Function} notAllowedAction The action to invoke.
+     */
+    methodNotAllowed(notAllowedAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 404 (document not found).
+     *
+     * @chainable
+     *
+     * @param {Function} notFoundAction The action to invoke.
+     */
+    notFound(notFoundAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 501 (not implemented).
+     *
+     * @chainable
+     *
+     * @param {Function} notImplementedAction The action to invoke.
+     */
+    notImplemented(notImplementedAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 200, 204 or 205 (OK; no content; reset content).
+     *
+     * @chainable
+     *
+     * @param {Function} okAction The action to invoke.
+     */
+    ok(okAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Gets or sets the offline queue.
+     */
+    offlineQueue: OfflineQueue;
+    /**
+     * Creates a paginator that loads the items of a paged resource lazily.
+     *
+     * @param {IPaginationConfig|PaginationStrategy} [config] The configuration or the strategy to use.
+     *
+     * @return {Paginator} The new paginator.
+     */
+    paginate<T>(config?: IPaginationConfig | PaginationStrategy): Paginator<T>;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 413 (payload too large).
+     *
+     * @chainable
+     *
+     * @param {Function} tooLargeAction The action to invoke.
+     */
+    payloadTooLarge(tooLargeAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Gets or sets how arrays are serialized as URL parameters.
+     * Default: ParamArrayFormat.Repeat
+     *
+     * @property
+     */
+    paramArrayFormat: ParamArrayFormat;
+    /**
+     * Gets or sets how objects are serialized as URL parameters.
+     * Default: ParamObjectFormat.Brackets
+     *
+     * @property
+     */
+    paramObjectFormat: ParamObjectFormat;
+    /**
+     * Gets or sets the global list of URL parameters.
+     *
+     * @property
+     */
+    params: any;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 206 (partial content).
+     *
+     * @chainable
+     *
+     * @param {Function} partialAction The action to invoke.
+     */
+    partialContent(partialAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Starts a PATCH request.
+     *
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    patch(opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Starts a POST request.
+     *
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    post(opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Starts a PUT request.
+     *
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    put(opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Gets or sets the rate limiter.
+     */
+    rateLimiter: RateLimiter;
+    /**
+     * Defines an action that is invoked on a status code between 300 and 399.
+     *
+     * @chainable
+     *
+     * @param {Function} redirectAction The action to invoke.
+     */
+    redirection(redirectAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Starts a request.
+     *
+     * @param any method The HTTP method.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise that is resolved with the result
+     *                                                or rejected with the error context.
+     */
+    request(method: any, opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    /**
+     * Gets or sets the default retry policy.
+     *
+     * @property
+     */
+    retryPolicy: IRetryPolicy;
+    /**
+     * Gets or sets the route.
+     */
+    route: string;
+    /**
+     * Gets or sets the global list of route parameters.
+     *
+     * @property
+     */
+    routeParams: any;
+    /**
+     * Gets or sets the table of named routes, which is used by 'call()' and 'urlFor()'.
+     *
+     * @property
+     */
+    routes: RouteTable;
+    /**
+     * Gets or sets the JSON schema (draft-07), which is used to validate
+     * the content of responses with a status code of 2xx.
+     * Responses without content, like 204 and 205, are not validated.
+     *
+     * @property
+     */
+    schema: any;
+    /**
+     * Defines an action that is invoked on a status code between 500 and 599.
+     *
+     * @chainable
+     *
+     * @param {Function} serverErrAction The action to invoke.
+     */
+    serverError(serverErrAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 503 (service unavailable).
+     *
+     * @chainable
+     *
+     * @param {Function} unavailableAction The action to invoke.
+     */
+    serviceUnavailable(unavailableAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Sets the default authorizer.
+     *
+     * @chainable
+     *
+     * @param {IAuthorizer} authorizer The default authorizer.
+     */
+    setAuthorizer(authorizer: IAuthorizer): IApiClient;
+    /**
+     * Sets the base URL.
+     *
+     * @chainable
+     *
+     * @param {String} newValue The new URL.
+     */
+    setBaseUrl(newValue: string): IApiClient;
+    /**
+     * Sets the response cache.
+     *
+     * @chainable
+     *
+     * @param {HttpCache} newValue The new cache.
+     */
+    setCache(newValue: HttpCache): IApiClient;
+    /**
+     * Sets the coalescer, which shares the responses of identical requests.
+     *
+     * @chainable
+     *
+     * @param {RequestCoalescer} newValue The new coalescer.
+     */
+    setCoalescer(newValue: RequestCoalescer): IApiClient;
+    /**
+     * Sets the cookie jar.
+     * If the jar has no logger, the client logs its errors.
+     *
+     * @chainable
+     *
+     * @param {CookieJar} newValue The new cookie jar.
+     */
+    setCookieJar(newValue: CookieJar): IApiClient;
+    /**
+     * Sets the recorder for the traffic in HAR format.
+     *
+     * @chainable
+     *
+     * @param {HarRecorder} newValue The new recorder.
+     */
+    setHarRecorder(newValue: HarRecorder): IApiClient;
+    /**
+     * Sets the default retry policy.
+     *
+     * @chainable
+     *
+     * @param {IRetryPolicy} newValue The new policy.
+     */
+    setRetryPolicy(newValue: IRetryPolicy): IApiClient;
+    /**
+     * Sets the route.
+     *
+     * @chainable
+     *
+     * @param {String} newValue The new route.
+     */
+    setRoute(newValue: string): IApiClient;
+    /**
+     * Sets the table of named routes.
+     *
+     * @chainable
+     *
+     * @param {RouteTable} newValue The new route table.
+     */
+    setRoutes(newValue: RouteTable): IApiClient;
+    /**
+     * Sets the JSON schema for the content of successful responses.
+     *
+     * @chainable
+     *
+     * @param {any} newValue The new schema.
+     */
+    setSchema(newValue: any): IApiClient;
+    /**
+     * Sets the transport.
+     *
+     * @chainable
+     *
+     * @param {ITransport} newValue The new transport.
+     */
+    setTransport(newValue: ITransport): IApiClient;
+    /**
+     * Defines an action that is invoked for a specific status code.
+     *
+     * @chainable
+     *
+     * @param {Number} code The status code.
+     * @param {Function} statusAction The action to invoke.
+     */
+    status(code: number, statusAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Defines an action that is invoked on a status code between 200 and 299.
+     *
+     * @chainable
+     *
+     * @param {Function} succeededAction The action to invoke.
+     */
+    succeededRequest(succeededAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Defines the "success" action.
+     *
+     * @chainable
+     *
+     * @param {Function} successAction The action to invoke.
+     */
+    success(successAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 429 (too many requests).
+     *
+     * @chainable
+     *
+     * @param {Function} tooManyAction The action to invoke.
+     */
+    tooManyRequests(tooManyAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Gets or sets the transport that sends the requests.
+     * Default: HttpTransport
+     */
+    transport: ITransport;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 401 (unauthorized).
+     *
+     * @chainable
+     *
+     * @param {Function} unauthorizedAction The action to invoke.
+     */
+    unauthorized(unauthorizedAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 415 (unsupported media type).
+     *
+     * @chainable
+     *
+     * @param {Function} unsupportedAction The action to invoke.
+     */
+    unsupportedMediaType(unsupportedAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 414 (URI too long).
      *
      * @chainable
      *
      * @param {Function} tooLongAction The action to invoke.
      */
-    uriTooLong(tooLongAction: (result: IApiClientResult) => void): IApiClient;
+    uriTooLong(tooLongAction: (result: IApiClientResult) => void): IApiClient;
+    /**
+     * Returns the URL of a route of the route table, e.g. for logging.
+     *
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {any} [params] The parameters for the route.
+     *
+     * @return {String} The URL.
+     *
+     * @throws The route is unknown or a parameter is invalid.
+     */
+    urlFor(name: string, params?: any): string;
+}
+/**
+ * Describes a context of a "complete" action.
+ */
+export interface IApiClientCompleteContext extends ILogger, ITagProvider {
+    /**
+     * Gets the list of attempts that have been made.
+     *
+     * @property
+     */
+    attempts: IRequestAttempt[];
+    /**
+     * Gets the underlying API client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Gets the error context (if defined).
+     *
+     * @property
+     */
+    error?: IApiClientError;
+    /**
+     * Gets the underlying HTTP request.
+     *
+     * @property
+     */
+    request: IHttpRequest;
+    /**
+     * Gets the API result (if defined).
+     *
+     * @property
+     */
+    result?: IApiClientResult;
+}
+/**
+ * Describes an object that stores configuration data for an API client.
+ */
+export interface IApiClientConfig {
+    /**
+     * Gets the default authorizer.
+     *
+     * @property
+     */
+    authorizer?: IAuthorizer;
+    /**
+     * Gets the base URL to use.
+     *
+     * @property
+     */
+    baseUrl: string;
+    /**
+     * Defines an action that is invoked BEFORE a request starts.
+     *
+     * @property
+     */
+    beforeSend?: (opts: HTTP.HttpRequestOptions) => void;
+    /**
+     * Gets the response cache to use.
+     *
+     * @property
+     */
+    cache?: HttpCache;
+    /**
+     * Gets the configuration for a circuit breaker.
+     *
+     * @property
+     */
+    circuitBreaker?: ICircuitBreakerConfig;
+    /**
+     * Defines the action to handle a status code between 400 and 499.
+     *
+     * @property
+     */
+    clientError?: (ctx: IApiClientResult) => void;
+    /**
+     * Gets the coalescer, which shares the responses of identical requests
+     * that are sent at the same time. It can be shared between clients.
+     *
+     * @property
+     */
+    coalescer?: RequestCoalescer;
+    /**
+     * Defines the "complete" action.
+     *
+     * @property
+     */
+    complete?: (ctx: IApiClientCompleteContext) => void;
+    /**
+     * Gets the cookie jar to use.
+     *
+     * @property
+     */
+    cookieJar?: CookieJar;
+    /**
+     * Gets the list of custom content decoders.
+     *
+     * @property
+     */
+    decoders?: IContentDecoder[];
+    /**
+     * Defines the "error" action.
+     *
+     * @property
+     */
+    error?: (ctx: IApiClientError) => void;
+    /**
+     * Defines the action to handle a 403 status code.
+     *
+     * @property
+     */
+    forbidden?: (ctx: IApiClientResult) => void;
+    /**
+     * Gets the recorder for the traffic in HAR format.
+     *
+     * @property
+     */
+    harRecorder?: HarRecorder;
+    /**
+     * Gets the global request headers to use.
+     *
+     * @property
+     */
+    headers?: any;
+    /**
+     * Defines that actions to invoke if a reponse matches.
+     */
+    if?: IIfResponse[];
+    /**
+     * Defines that actions to invoke if a status code matches.
+     */
+    ifStatus?: IIfStatus[];
+    /**
+     * Gets the interceptors to use.
+     *
+     * @property
+     */
+    interceptors?: IInterceptors;
+    /**
+     * Gets the maximum number of replays, which can be requested
+     * by interceptors, for a request. Default: 10
+     *
+     * @property
+     */
+    maxReplays?: number;
+    /**
+     * Defines the action to handle a status code between 300 and 399.
+     *
+     * @property
+     */
+    redirection?: (ctx: IApiClientResult) => void;
+    /**
+     * Defines the action to handle a 404 status code.
+     *
+     * @property
+     */
+    notFound?: (ctx: IApiClientResult) => void;
+    /**
+     * Defines the action to handle a 200, 204 or 205 status code.
+     *
+     * @property
+     */
+    ok?: (ctx: IApiClientResult) => void;
+    /**
+     * Gets the configuration for the offline queue.
+     * If defined, the queue is enabled.
+     *
+     * @property
+     */
+    offlineQueue?: IOfflineQueueConfig;
+    /**
+     * Gets how arrays are serialized as URL parameters.
+     * Default: ParamArrayFormat.Repeat
+     *
+     * @property
+     */
+    paramArrayFormat?: ParamArrayFormat;
+    /**
+     * Gets how objects are serialized as URL parameters.
+     * Default: ParamObjectFormat.Brackets
+     *
+     * @property
+     */
+    paramObjectFormat?: ParamObjectFormat;
+    /**
+     * Gets the global URL parameters to use.
+     *
+     * @property
+     */
+    params?: any;
+    /**
+     * Gets the configuration for a rate limiter.
+     *
+     * @property
+     */
+    rateLimiter?: IRateLimiterConfig;
+    /**
+     * Gets the default retry policy.
+     *
+     * @property
+     */
+    retryPolicy?: IRetryPolicy;
+    /**
+     * Gets the optional route.
+     *
+     * @property
+     */
+    route?: string;
+    /**
+     * Gets the global route parameters to use.
+     *
+     * @property
+     */
+    routeParams?: any;
+    /**
+     * Gets the table of named routes or an object with the templates / definitions
+     * of the routes, like { 'users.show': '/users/{id:int}/posts/{slug?}' }.
+     *
+     * @property
+     */
+    routes?: RouteTable | {
+        [name: string]: string | IRouteDefinition;
+    };
+    /**
+     * Gets the JSON schema (draft-07), which is used to validate
+     * the content of responses with a status code of 2xx.
+     * Responses without content, like 204 and 205, are not validated.
+     * Violations are handled as errors with context 'ApiClientErrorContext.SchemaViolation'.
+     *
+     * @property
+     */
+    schema?: any;
+    /**
+     * Defines the action to handle a status code between 500 and 599.
+     *
+     * @property
+     */
+    serverError?: (ctx: IApiClientResult) => void;
+    /**
+     * Defines the action to handle a status code between 200 and 299.
+     *
+     * @property
+     */
+    succeededRequest?: (ctx: IApiClientResult) => void;
+    /**
+     * Defines the "success" action.
+     *
+     * @property
+     */
+    success?: (ctx: IApiClientResult) => void;
+    /**
+     * Gets the transport that sends the requests.
+     * Default: HttpTransport
+     *
+     * @property
+     */
+    transport?: ITransport;
+    /**
+     * Defines the action to handle a 401 status code.
+     *
+     * @property
+     */
+    unauthorized?: (ctx: IApiClientResult) => void;
+}
+/**
+ * Describes an error context of an API call.
+ */
+export interface IApiClientError extends ILogger, ITagProvider {
+    /**
+     * Gets the underlying client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Gets the context.
+     *
+     * @property
+     */
+    context: ApiClientErrorContext;
+    /**
+     * Gets the error data.
+     *
+     * @property
+     */
+    error: any;
+    /**
+     * Gets or sets if error has been handled or not.
+     *
+     * @property
+     */
+    handled: boolean;
+    /**
+     * Gets the underlying HTTP request.
+     *
+     * @property
+     */
+    request: IHttpRequest;
+}
+/**
+ * Describes an API result.
+ */
+export interface IApiClientResult extends ILogger, ITagProvider {
+    /**
+     * Gets the underlying API client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Gets the HTTP response code.
+     *
+     * @property
+     */
+    code: number;
+    /**
+     * Gets the raw content.
+     *
+     * @property
+     */
+    content: any;
+    /**
+     * Gets the underlying (execution) context.
+     *
+     * @property
+     */
+    context: ApiClientResultContext;
+    /**
+     * Gets the response headers.
+     *
+     * @property
+     */
+    headers: HTTP.Headers;
+    /**
+     * Returns the content as wrapped AJAX result object.
+     *
+     * @return {IAjaxResult<TData>} The ajax result object.
+     */
+    getAjaxResult<TData>(): IAjaxResult<TData>;
+    /**
+     * Returns the content decoded by its content type, e.g.
+     * JSON, XML, YAML or Markdown (as HTML).
+     *
+     * @return {T} The decoded content.
+     */
+    getContent<T>(): T;
+    /**
+     * Returns the content as list of server-sent events (text/event-stream).
+     *
+     * @return {IServerSentEvent[]} The events.
+     */
+    getEvents(): IServerSentEvent[];
+    /**
+     * Returns the content as file.
+     *
+     * @param {String} [destFile] The custom path of the destination file.
+     *
+     * @return {FileSystem.File} The file.
+     */
+    getFile(destFile?: string): FileSystem.File;
+    /**
+     * Tries result the content as image source.
+     *
+     * @return {Promise<Image.ImageSource>} The result.
+     */
+    getImage(): Promise<Image.ImageSource>;
+    /**
+     * Returns the content as JSON object.
+     *
+     * @return {T} The JSON object.
+     */
+    getJSON<T>(): T;
+    /**
+     * Returns the content as HTML, converted from Markdown.
+     *
+     * @param {String} [dialect] The custom Markdown dialect, like 'Gruber' or 'Maruku'.
+     *
+     * @return {String} The HTML code.
+     */
+    getMarkdown(dialect?: string): string;
+    /**
+     * Returns the content as list of objects, parsed from line-delimited JSON (NDJSON).
+     *
+     * @return {T[]} The objects.
+     */
+    getNdjson<T>(): T[];
+    /**
+     * Returns the content as string.
+     *
+     * @return {String} The string.
+     */
+    getString(): string;
+    /**
+     * Returns the content as XML document.
+     *
+     * @param {Boolean} [processNamespaces] Process namespaces or not.
+     * @param {Boolean} [angularSyntax] Handle Angular syntax or not.
+     *
+     * @return {XmlObjects.XDocument} The XML document.
+     */
+    getXml(processNamespaces?: boolean, angularSyntax?: boolean): XmlObjects.XDocument;
+    /**
+     * Returns the content as parsed YAML object.
+     *
+     * @return {T} The YAML object.
+     */
+    getYaml<T>(): T;
+    /**
+     * Gets the information about the request.
+     *
+     * @property
+     */
+    request: IHttpRequest;
+    /**
+     * Gets the raw response.
+     *
+     * @property
+     */
+    response: HTTP.HttpResponse;
+}
+/**
+ * Describes an object that prepares a HTTP for authorization.
+ */
+export interface IAuthorizer {
+    /**
+     * Is invoked for a response BEFORE the response interceptors of the client
+     * and can be used to replay a request, e.g. after a token has been refreshed.
+     *
+     * @param {IResponseInterceptorContext} ctx The interceptor context.
+     *
+     * @return any Can return a promise.
+     */
+    interceptResponse?(ctx: IResponseInterceptorContext): any;
+    /**
+     * Prepares a HTTP request for authorization.
+     * Is invoked for each attempt AFTER the request interceptors of the client,
+     * and is not invoked if an interceptor has answered the request.
+     *
+     * @param {HTTP.HttpRequestOptions} reqOpts The request options.
+     *
+     * @return any Can return a promise, if the request is prepared asynchronously.
+     */
+    prepare(reqOpts: HTTP.HttpRequestOptions): any;
+}
+/**
+ * Describes a configuration for AWS Signature Version 4.
+ */
+export interface IAwsSigV4Config {
+    /**
+     * Gets the access key ID.
+     *
+     * @property
+     */
+    accessKeyId: string;
+    /**
+     * Gets the region, like 'eu-central-1'.
+     *
+     * @property
+     */
+    region: string;
+    /**
+     * Gets the secret access key.
+     *
+     * @property
+     */
+    secretAccessKey: string;
+    /**
+     * Gets the service, like 's3' or 'execute-api'.
+     *
+     * @property
+     */
+    service: string;
+    /**
+     * Gets the token of temporary credentials.
+     *
+     * @property
+     */
+    sessionToken?: string;
+    /**
+     * Gets a custom time for the signature.
+     * If not defined, the current time is used for each request.
+     *
+     * @property
+     */
+    timestamp?: Date;
+}
+/**
+ * Describes a promise that can be cancelled.
+ */
+export interface ICancellablePromise<T> extends Promise<T> {
+    /**
+     * Cancels the underlying operation.
+     *
+     * @param any [reason] The optional reason.
+     */
+    cancel(reason?: any): any;
+}
+/**
+ * Describes a token that notifies about a cancellation request.
+ */
+export interface ICancellationToken {
+    /**
+     * Gets if cancellation has been requested or not.
+     *
+     * @property
+     */
+    isCancellationRequested: boolean;
+    /**
+     * Gets the reason of the cancellation (if defined).
+     *
+     * @property
+     */
+    reason: any;
+    /**
+     * Registers a callback that is invoked when cancellation is requested.
+     *
+     * @param {Function} callback The callback to register.
+     *
+     * @return {Function} The function that unregisters the callback.
+     */
+    register(callback: (reason: any) => void): () => void;
+}
+/**
+ * Describes a configuration for a circuit breaker.
+ */
+export interface ICircuitBreakerConfig {
+    /**
+     * Gets the time in milliseconds a circuit stays open. Default: 30000
+     *
+     * @property
+     */
+    cooldown?: number;
+    /**
+     * Gets the number of failures in a row that open a circuit. Default: 5
+     *
+     * @property
+     */
+    failureThreshold?: number;
+    /**
+     * Gets the custom function that checks if a response or an error counts as failure.
+     * Default: errors, status code 429 and 5xx.
+     *
+     * @property
+     */
+    isFailure?: (code: number, err: any) => boolean;
+    /**
+     * Gets the function that is invoked if the state of a circuit changes.
+     * Its errors are logged via the 'logger' of the breaker.
+     *
+     * @property
+     */
+    onStateChange?: (ctx: ICircuitStateChangeContext) => void;
+    /**
+     * Gets the number of succeeded trial requests that close a circuit. Default: 1
+     *
+     * @property
+     */
+    successThreshold?: number;
+}
+/**
+ * Describes the context of a state change of a circuit.
+ */
+export interface ICircuitStateChangeContext {
+    /**
+     * Gets the underlying circuit breaker.
+     *
+     * @property
+     */
+    breaker: CircuitBreaker;
+    /**
+     * Gets the number of failures in a row.
+     *
+     * @property
+     */
+    failures: number;
+    /**
+     * Gets the host.
+     *
+     * @property
+     */
+    host: string;
+    /**
+     * Gets the new state.
+     *
+     * @property
+     */
+    newState: CircuitState;
+    /**
+     * Gets the old state.
+     *
+     * @property
+     */
+    oldState: CircuitState;
+}
+/**
+ * Describes an entry that stores a decoder for a content type.
+ */
+export interface IContentDecoder {
+    /**
+     * The function that decodes the content.
+     *
+     * @property
+     */
+    decoder: (ctx: IContentDecoderContext) => any;
+    /**
+     * The MIME type, like 'text/csv' or 'text/*', or a regular expression.
+     *
+     * @property
+     */
+    mime: string | RegExp;
+}
+/**
+ * Describes a context for a content decoder.
+ */
+export interface IContentDecoderContext {
+    /**
+     * Gets the MIME type (lower case), without parameters.
+     *
+     * @property
+     */
+    mime: string;
+    /**
+     * Gets the parameters of the content type, like 'charset'.
+     *
+     * @property
+     */
+    parameters: any;
+    /**
+     * Gets the underlying API result.
+     *
+     * @property
+     */
+    result: IApiClientResult;
+}
+/**
+ * Describes a cookie.
+ */
+export interface ICookie {
+    /**
+     * Gets the time (in milliseconds), the cookie has been created.
+     *
+     * @property
+     */
+    creationTime: number;
+    /**
+     * Gets the domain.
+     *
+     * @property
+     */
+    domain: string;
+    /**
+     * Gets the time (in milliseconds), the cookie expires.
+     * Is not defined for session cookies.
+     *
+     * @property
+     */
+    expires?: number;
+    /**
+     * Gets if the cookie is sent to the host, which has set it, only or not.
+     *
+     * @property
+     */
+    hostOnly: boolean;
+    /**
+     * Gets if the cookie has the 'HttpOnly' attribute or not.
+     *
+     * @property
+     */
+    httpOnly: boolean;
+    /**
+     * Gets the name.
+     *
+     * @property
+     */
+    name: string;
+    /**
+     * Gets the path.
+     *
+     * @property
+     */
+    path: string;
+    /**
+     * Gets the value of the 'SameSite' attribute.
+     *
+     * @property
+     */
+    sameSite?: string;
+    /**
+     * Gets if the cookie is sent via HTTPS only or not.
+     *
+     * @property
+     */
+    secure: boolean;
+    /**
+     * Gets the value.
+     *
+     * @property
+     */
+    value: string;
+}
+/**
+ * Describes a configuration for a cookie jar.
+ */
+export interface ICookieJarConfig {
+    /**
+     * Gets if session cookies should be stored in the storage, too, or not. Default: (false)
+     *
+     * @property
+     */
+    persistSessionCookies?: boolean;
+    /**
+     * Gets the custom storage for the cookies.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     *
+     * @property
+     */
+    storage?: IValueStorage;
+    /**
+     * Gets the key the cookies are stored with in the storage. Default: 'apiclient.cookies'
+     *
+     * @property
+     */
+    storageKey?: string;
+    /**
+     * Gets the custom store for the cookies, like a 'SQLiteCookieStore'.
+     * If defined, 'storage' and 'storageKey' are ignored.
+     *
+     * @property
+     */
+    store?: ICookieStore;
+}
+/**
+ * Describes a store for the cookies of a cookie jar.
+ */
+export interface ICookieStore {
+    /**
+     * Loads the cookies.
+     *
+     * @return {Promise<ICookie[]>|ICookie[]} The (promise with the) cookies.
+     */
+    load(): Promise<ICookie[]> | ICookie[];
+    /**
+     * Saves the cookies.
+     *
+     * @param {ICookie[]} cookies The cookies to save.
+     *
+     * @return {Promise<any>|void} The optional promise.
+     */
+    save(cookies: ICookie[]): Promise<any> | void;
+}
+/**
+ * Options for a download.
+ */
+export interface IDownloadOptions extends IRequestOptions {
+    /**
+     * Gets if the complete content may be downloaded at once, if the server does
+     * not support range requests. The HTTP module buffers such a content completely
+     * in memory, so the download is rejected by default. Default: (false)
+     *
+     * @property
+     */
+    allowFullContent?: boolean;
+    /**
+     * Gets the maximum number of bytes that are requested at once.
+     * 0 requests the (remaining) content at once. Default: 1048576
+     *
+     * Before the first chunk, a HEAD request checks if the server supports
+     * range requests ('Accept-Ranges') and if a partial file is still up-to-date.
+     *
+     * @property
+     */
+    chunkSize?: number;
+    /**
+     * Gets if an existing destination file should be resumed. Default: (true)
+     *
+     * @property
+     */
+    resume?: boolean;
+    /**
+     * Gets the storage for the validators of partial files, so they can be resumed.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     *
+     * @property
+     */
+    storage?: IValueStorage;
+}
+/**
+ * Describes a context for an error interceptor.
+ */
+export interface IErrorInterceptorContext extends IResponseInterceptorContext {
+    /**
+     * Gets or sets the error of the HTTP client.
+     *
+     * @property
+     */
+    error: any;
+}
+/**
+ * Describes a format provider context.
+ */
+export interface IFormatProviderContext {
+    /**
+     * Gets the format expression.
+     *
+     * @property
+     */
+    expression: string;
+    /**
+     * Gets if the expression has been handled or not.
+     *
+     * @property
+     */
+    handled: boolean;
+    /**
+     * Gets the underlying (unhandled) value.
+     *
+     * @property
+     */
+    value: any;
+}
+/**
+ * Describes a configuration for a GraphQL client.
+ */
+export interface IGraphQLConfig {
+    /**
+     * Gets the initial list of fragment definitions.
+     *
+     * @property
+     */
+    fragments?: string[];
+    /**
+     * Gets if persisted queries should be used by default or not.
+     * Only the SHA-256 hash of a query is sent, as long as the server knows it. Default: (false)
+     *
+     * @property
+     */
+    persistedQueries?: boolean;
+    /**
+     * Gets the default options for the requests.
+     *
+     * @property
+     */
+    request?: IRequestOptions;
+    /**
+     * Gets if queries should be sent via GET instead of POST or not. Default: (false)
+     *
+     * @property
+     */
+    useGetForQueries?: boolean;
+}
+/**
+ * Describes an entry of the 'errors' of a GraphQL response.
+ */
+export interface IGraphQLError {
+    /**
+     * Gets additional information.
+     *
+     * @property
+     */
+    extensions?: any;
+    /**
+     * Gets the locations in the document.
+     *
+     * @property
+     */
+    locations?: {
+        column: number;
+        line: number;
+    }[];
+    /**
+     * Gets the message.
+     *
+     * @property
+     */
+    message: string;
+    /**
+     * Gets the path of the field in the response.
+     *
+     * @property
+     */
+    path?: (string | number)[];
+}
+/**
+ * Describes a GraphQL request.
+ */
+export interface IGraphQLRequest {
+    /**
+     * Gets additional fragment definitions.
+     *
+     * @property
+     */
+    fragments?: string[];
+    /**
+     * Gets if the request is a mutation or not.
+     *
+     * @property
+     */
+    isMutation?: boolean;
+    /**
+     * Gets the name of the operation to execute.
+     *
+     * @property
+     */
+    operationName?: string;
+    /**
+     * Gets if a persisted query should be used or not.
+     * Default: The value of the configuration of the client.
+     *
+     * @property
+     */
+    persisted?: boolean;
+    /**
+     * Gets the query or mutation.
+     *
+     * @property
+     */
+    query?: string;
+    /**
+     * Gets additional options for the HTTP request.
+     *
+     * @property
+     */
+    request?: IRequestOptions;
+    /**
+     * Gets the variables.
+     *
+     * @property
+     */
+    variables?: any;
+}
+/**
+ * Describes the result of a GraphQL request.
+ */
+export interface IGraphQLResult<T> {
+    /**
+     * Gets the data.
+     *
+     * @property
+     */
+    data: T;
+    /**
+     * Gets the errors.
+     *
+     * @property
+     */
+    errors?: IGraphQLError[];
+    /**
+     * Gets additional information.
+     *
+     * @property
+     */
+    extensions?: any;
+    /**
+     * Gets the underlying API client result.
+     *
+     * @property
+     */
+    result: IApiClientResult;
+}
+/**
+ * Describes an entry of a HTTP archive (HAR 1.2).
+ */
+export interface IHarEntry {
+    /**
+     * Gets the cache information.
+     *
+     * @property
+     */
+    cache: any;
+    /**
+     * Gets the request data.
+     *
+     * @property
+     */
+    request: any;
+    /**
+     * Gets the response data.
+     *
+     * @property
+     */
+    response: any;
+    /**
+     * Gets the start time (ISO 8601).
+     *
+     * @property
+     */
+    startedDateTime: string;
+    /**
+     * Gets the total time in milliseconds.
+     *
+     * @property
+     */
+    time: number;
+    /**
+     * Gets the timings.
+     *
+     * @property
+     */
+    timings: any;
+}
+/**
+ * Describes a configuration for a 'HarRecorder'.
+ */
+export interface IHarRecorderConfig {
+    /**
+     * Gets the maximum number of characters of a body. -1 for no limit. Default: 65536
+     *
+     * @property
+     */
+    maxBodySize?: number;
+    /**
+     * Gets the maximum number of entries. -1 for no limit. Default: 1000
+     *
+     * @property
+     */
+    maxEntries?: number;
+    /**
+     * Gets a custom function that redacts an entry.
+     *
+     * @property
+     */
+    redact?: (entry: IHarEntry) => void;
+    /**
+     * Gets the value for redacted data. Default: '[REDACTED]'
+     *
+     * @property
+     */
+    redactedValue?: string;
+    /**
+     * Gets the names of the headers to redact.
+     * Default: Authorization, Cookie, Proxy-Authorization, Set-Cookie
+     *
+     * @property
+     */
+    redactHeaders?: string[];
+    /**
+     * Gets the names of the parameters to redact in query strings, forms and JSON bodies.
+     * Default: access_token, client_secret, password, refresh_token
+     *
+     * @property
+     */
+    redactParams?: string[];
+}
+/**
+ * Describes a configuration for a 'HmacAuthorizer'.
+ */
+export interface IHmacAuthorizerConfig {
+    /**
+     * Gets the name of the hash algorithm.
+     * Supported: 'md5', 'sha1', 'sha256', 'sha512'. Default: 'sha256'
+     *
+     * @property
+     */
+    algorithm?: string;
+    /**
+     * Gets the encoding of the signature: 'base64' or 'hex'. Default: 'base64'
+     *
+     * @property
+     */
+    encoding?: string;
+    /**
+     * Gets the name of the header for the signature. Default: 'Authorization'
+     *
+     * @property
+     */
+    header?: string;
+    /**
+     * Gets the ID of the key, which is sent with the signature.
+     *
+     * @property
+     */
+    keyId?: string;
+    /**
+     * Gets a custom nonce.
+     * If not defined, a new one is generated for each request.
+     *
+     * @property
+     */
+    nonce?: string;
+    /**
+     * Gets the name of the header for the nonce. (null) does not send it. Default: 'X-Nonce'
+     *
+     * @property
+     */
+    nonceHeader?: string;
+    /**
+     * Gets the scheme, that is prefixed to the signature. (null) does not use one. Default: 'HMAC'
+     *
+     * @property
+     */
+    scheme?: string;
+    /**
+     * Gets the secret key as string (UTF-8) or as bytes.
+     *
+     * @property
+     */
+    secret: string | ArrayBuffer | Uint8Array | number[];
+    /**
+     * Gets the names of the headers, that are appended to the default string to sign.
+     *
+     * @property
+     */
+    signedHeaders?: string[];
+    /**
+     * Gets a custom function that creates the string to sign.
+     * Default: Method, path, timestamp, nonce, hash of the body and signed headers, separated by new lines.
+     *
+     * @property
+     */
+    stringToSign?: (ctx: IHmacSigningContext) => string;
+    /**
+     * Gets a custom time for the signature.
+     * If not defined, the current time is used for each request.
+     *
+     * @property
+     */
+    timestamp?: Date;
+    /**
+     * Gets the name of the header for the UNIX timestamp. (null) does not send it. Default: 'X-Timestamp'
+     *
+     * @property
+     */
+    timestampHeader?: string;
+}
+/**
+ * Describes the context for creating the string to sign of a 'HmacAuthorizer'.
+ */
+export interface IHmacSigningContext {
+    /**
+     * Gets the body, if it is a string.
+     *
+     * @property
+     */
+    body: string;
+    /**
+     * Gets the hash of the sent body (bytes or UTF-8 string) as hex string.
+     *
+     * @property
+     */
+    bodyHash: string;
+    /**
+     * Gets the request headers.
+     *
+     * @property
+     */
+    headers: any;
+    /**
+     * Gets the HTTP method.
+     *
+     * @property
+     */
+    method: string;
+    /**
+     * Gets the nonce.
+     *
+     * @property
+     */
+    nonce: string;
+    /**
+     * Gets the (encoded) path with query.
+     *
+     * @property
+     */
+    path: string;
+    /**
+     * Gets the UNIX timestamp.
+     *
+     * @property
+     */
+    timestamp: number;
+    /**
+     * Gets the (encoded) URL.
+     *
+     * @property
+     */
+    url: string;
+}
+/**
+ * Describes a configuration for a HTTP cache.
+ */
+export interface IHttpCacheConfig {
+    /**
+     * Gets the number of seconds a response is fresh, if the server
+     * does not send 'Cache-Control' or 'Expires'. Default: 0
+     *
+     * @property
+     */
+    defaultMaxAge?: number;
+    /**
+     * Gets the default mode.
+     *
+     * @property
+     */
+    mode?: HttpCacheMode;
+    /**
+     * Gets the store. Default: MemoryCacheStore
+     *
+     * @property
+     */
+    store?: IHttpCacheStore;
+}
+/**
+ * Describes a cached response.
+ */
+export interface IHttpCacheEntry {
+    /**
+     * Gets the content as string.
+     *
+     * @property
+     */
+    body: string;
+    /**
+     * Gets the status code.
+     *
+     * @property
+     */
+    code: number;
+    /**
+     * Gets the timestamp (ms) when the entry becomes stale.
+     *
+     * @property
+     */
+    expiresAt: number;
+    /**
+     * Gets the response headers.
+     *
+     * @property
+     */
+    headers: any;
+    /**
+     * Gets the timestamp (ms) when the entry has been stored.
+     *
+     * @property
+     */
+    storedAt: number;
+    /**
+     * Gets the URL.
+     *
+     * @property
+     */
+    url: string;
+    /**
+     * Gets the hash of the request headers the entry has been stored for,
+     * which are the ones of the 'Vary' header and 'Authorization'.
+     *
+     * @property
+     */
+    variant?: string;
+}
+/**
+ * Describes a store for a HTTP cache.
+ */
+export interface IHttpCacheStore {
+    /**
+     * Removes all entries.
+     *
+     * @return {Promise<any>|void} The optional promise.
+     */
+    clear(): Promise<any> | void;
+    /**
+     * Returns an entry.
+     *
+     * @param {String} key The key.
+     *
+     * @return {Promise<IHttpCacheEntry>|IHttpCacheEntry} The (promise with the) entry.
+     */
+    get(key: string): Promise<IHttpCacheEntry> | IHttpCacheEntry;
+    /**
+     * Removes an entry.
+     *
+     * @param {String} key The key.
+     *
+     * @return {Promise<any>|void} The optional promise.
+     */
+    remove(key: string): Promise<any> | void;
+    /**
+     * Saves an entry.
+     *
+     * @param {String} key The key.
+     * @param {IHttpCacheEntry} entry The entry.
+     *
+     * @return {Promise<any>|void} The optional promise.
+     */
+    set(key: string, entry: IHttpCacheEntry): Promise<any> | void;
+}
+/**
+ * Describes an object that stores information about a HTTP request.
+ */
+export interface IHttpRequest {
+    /**
+     * Gets the raw content that is send to the API.
+     */
+    body: any;
+    /**
+     * Gets the underlying client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Gets the list of request headers.
+     */
+    headers: any;
+    /**
+     * Gets the HTTP method.
+     */
+    method: string;
+    /**
+     * Gets the URL.
+     */
+    url: string;
+}
+/**
+ * Describes an entry that stores data for
+ * invoke a response action if a predicate matches.
+ */
+export interface IIfResponse {
+    /**
+     * The action to invoke.
+     *
+     * @property
+     */
+    action: (result: IApiClientResult) => void;
+    /**
+     * The predicate.
+     *
+     * @property
+     */
+    predicate?: (ctx: IApiClientResult) => boolean;
+}
+/**
+ * Describes an entry that stores data for
+ * invoke a response action if a status code matches.
+ */
+export interface IIfStatus {
+    /**
+     * The action to invoke.
+     *
+     * @property
+     */
+    action: (result: IApiClientResult) => void;
+    /**
+     * The predicate.
+     *
+     * @property
+     */
+    predicate?: (code: number) => boolean;
+}
+/**
+ * Describes an object that stores lists of interceptors.
+ */
+export interface IInterceptors {
+    /**
+     * Gets the interceptors that are invoked if the HTTP client fails.
+     *
+     * @property
+     */
+    error?: ((ctx: IErrorInterceptorContext) => any)[];
+    /**
+     * Gets the interceptors that are invoked BEFORE a request is sent.
+     *
+     * @property
+     */
+    request?: ((ctx: IRequestInterceptorContext) => any)[];
+    /**
+     * Gets the interceptors that are invoked for a response.
+     *
+     * @property
+     */
+    response?: ((ctx: IResponseInterceptorContext) => any)[];
+}
+/**
+ * Describes a configuration for a JSON-RPC client.
+ */
+export interface IJsonRpcConfig {
+    /**
+     * Gets the function that creates the ID of a call.
+     * Default: An incrementing number.
+     *
+     * @property
+     */
+    createId?: () => any;
+    /**
+     * Gets the default options for the HTTP requests.
+     *
+     * @property
+     */
+    request?: IRequestOptions;
+}
+/**
+ * Describes a JSON-RPC 2.0 error object.
+ */
+export interface IJsonRpcErrorObject {
+    /**
+     * Gets the error code.
+     *
+     * @property
+     */
+    code: number;
+    /**
+     * Gets additional data.
+     *
+     * @property
+     */
+    data?: any;
+    /**
+     * Gets the message.
+     *
+     * @property
+     */
+    message: string;
+}
+/**
+ * Describes a JSON-RPC 2.0 response.
+ */
+export interface IJsonRpcResponse {
+    /**
+     * Gets the error, if the call failed.
+     *
+     * @property
+     */
+    error?: IJsonRpcErrorObject;
+    /**
+     * Gets the ID of the call.
+     *
+     * @property
+     */
+    id: any;
+    /**
+     * Gets the version of the protocol.
+     *
+     * @property
+     */
+    jsonrpc: string;
+    /**
+     * Gets the result, if the call succeeded.
+     *
+     * @property
+     */
+    result?: any;
+}
+/**
+ * Describes an object that stores log information.
+ */
+export interface ILogMessage {
+    /**
+     * Gets the category.
+     *
+     * @property
+     */
+    category: LogCategory;
+    /**
+     * Gets the message value.
+     *
+     * @property
+     */
+    message: any;
+    /**
+     * Gets the priority.
+     *
+     * @property
+     */
+    priority: LogPriority;
+    /**
+     * Gets the source.
+     */
+    source: LogSource;
+    /**
+     * Gets the tag.
+     *
+     * @property
+     */
+    tag: string;
+    /**
+     * Gets the timestamp.
+     */
+    time: Date;
+}
+/**
+ * Describes a logger.
+ */
+export interface ILogger {
+    /**
+     * Logs an alert message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    alert(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs a critical message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    crit(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs a debug message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    dbg(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs an emergency message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    emerg(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs an error message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    err(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs an info message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    info(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs a message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogCategory} [category] The optional log category. Default: LogCategory.Debug
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    log(msg: any, tag?: string, category?: LogCategory, priority?: LogPriority): ILogger;
+    /**
+     * Logs a notice message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    note(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs a trace message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    trace(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    /**
+     * Logs a warning message.
+     *
+     * @chainable
+     *
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    warn(msg: any, tag?: string, priority?: LogPriority): ILogger;
+}
+/**
+ * Describes a configuration for a long-poll client.
+ */
+export interface ILongPollConfig {
+    /**
+     * Gets the ID of the last event, the client starts with.
+     *
+     * @property
+     */
+    lastEventId?: string;
+    /**
+     * Gets the maximum number of failed connections in a row,
+     * before the client is closed.
+     *
+     * @property
+     */
+    maxRetries?: number;
+    /**
+     * Gets the options for the requests.
+     *
+     * @property
+     */
+    request?: IRequestOptions;
+    /**
+     * Gets the time in milliseconds to wait before the next request. Default: 3000
+     *
+     * @property
+     */
+    retry?: number;
+}
+/**
+ * Describes the data of an event of a 'LongPollClient'.
+ */
+export interface ILongPollEventData extends Observable.EventData {
+    /**
+     * Gets the error (if a connection failed).
+     *
+     * @property
+     */
+    error?: IApiClientError;
+    /**
+     * Gets the received event.
+     *
+     * @property
+     */
+    event?: IServerSentEvent;
+    /**
+     * Gets the result (if a response has been received).
+     *
+     * @property
+     */
+    result?: IApiClientResult;
+}
+/**
+ * Describes a request that has been sent to a 'MockTransport'.
+ */
+export interface IMockRequest {
+    /**
+     * Gets the content.
+     *
+     * @property
+     */
+    content: any;
+    /**
+     * Gets the request headers.
+     *
+     * @property
+     */
+    headers: any;
+    /**
+     * Gets the HTTP method.
+     *
+     * @property
+     */
+    method: string;
+    /**
+     * Gets the timestamp (ms) when the request has been sent.
+     *
+     * @property
+     */
+    time: number;
+    /**
+     * Gets the URL.
+     *
+     * @property
+     */
+    url: string;
+}
+/**
+ * Describes a canned response of a 'MockTransport'.
+ */
+export interface IMockResponse {
+    /**
+     * Gets the content. Objects are sent as JSON.
+     *
+     * @property
+     */
+    body?: any;
+    /**
+     * Gets the status code. Default: 200
+     *
+     * @property
+     */
+    code?: number;
+    /**
+     * Gets the delay in milliseconds.
+     *
+     * @property
+     */
+    delay?: number;
+    /**
+     * Gets the error that should be simulated instead of a response,
+     * like a network failure.
+     *
+     * @property
+     */
+    error?: any;
+    /**
+     * Gets the response headers.
+     *
+     * @property
+     */
+    headers?: any;
+}
+/**
+ * Describes a part of a multipart request.
+ */
+export interface IMultipartPart {
+    /**
+     * Gets if binary content, like a file, a bitmap or a byte array, is sent base64 encoded
+     * with a 'Content-Transfer-Encoding' header or not. Default: (false)
+     *
+     * RFC 7578 does NOT allow that header, so the server has to support it explicitly.
+     * Binary content without that option is rejected, because the HTTP module
+     * can only send strings.
+     *
+     * @property
+     */
+    base64?: boolean;
+    /**
+     * Gets the content, like a string, a file, a bitmap or a byte array.
+     * Binary content requires 'base64'. Other objects are sent as JSON.
+     *
+     * @property
+     */
+    content: string | FileSystem.File | BitmapFactory.IBitmap | Uint8Array | number[] | ArrayBuffer | any;
+    /**
+     * Gets the custom content type.
+     *
+     * @property
+     */
+    contentType?: string;
+    /**
+     * Gets the custom file name.
+     *
+     * @property
+     */
+    fileName?: string;
+    /**
+     * Gets additional headers for the part.
+     *
+     * @property
+     */
+    headers?: any;
+}
+/**
+ * Describes the configuration of an OAuth 2.0 authorizer.
+ */
+export interface IOAuth2Config {
+    /**
+     * Gets how client credentials are sent to the token endpoint:
+     * 'basic' (Authorization header) or 'body'. Default: 'basic'
+     *
+     * @property
+     */
+    clientAuthentication?: string;
+    /**
+     * Gets the client ID.
+     *
+     * @property
+     */
+    clientId?: string;
+    /**
+     * Gets the client secret.
+     *
+     * @property
+     */
+    clientSecret?: string;
+    /**
+     * Gets the grant type. Default: OAuth2GrantType.ClientCredentials
+     *
+     * @property
+     */
+    grantType?: OAuth2GrantType;
+    /**
+     * Gets additional parameters for token requests.
+     *
+     * @property
+     */
+    params?: any;
+    /**
+     * Gets the password for the 'password' grant.
+     *
+     * @property
+     */
+    password?: string;
+    /**
+     * Gets the number of seconds a token is refreshed before it expires. Default: 60
+     *
+     * @property
+     */
+    refreshBefore?: number;
+    /**
+     * Gets the initial refresh token (for the 'refresh_token' grant).
+     *
+     * @property
+     */
+    refreshToken?: string;
+    /**
+     * Gets the scope(s).
+     *
+     * @property
+     */
+    scope?: string | string[];
+    /**
+     * Gets the custom storage for the token.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     *
+     * @property
+     */
+    storage?: IValueStorage;
+    /**
+     * Gets the key the token is cached with in the storage.
+     * If not defined, the token is only cached in memory.
+     *
+     * @property
+     */
+    storageKey?: string;
+    /**
+     * Gets the timeout for token requests in milliseconds.
+     *
+     * @property
+     */
+    timeout?: number;
+    /**
+     * Gets the URL of the token endpoint.
+     *
+     * @property
+     */
+    tokenUrl: string;
+    /**
+     * Gets the custom transport for token requests.
+     *
+     * @property
+     */
+    transport?: ITransport;
+    /**
+     * Gets the username for the 'password' grant.
+     *
+     * @property
+     */
+    username?: string;
+}
+/**
+ * Describes an OAuth 2.0 token.
+ */
+export interface IOAuth2Token {
+    /**
+     * Gets the access token.
+     *
+     * @property
+     */
+    accessToken: string;
+    /**
+     * Gets the time the token expires at (in milliseconds since 1970-01-01).
+     *
+     * @property
+     */
+    expiresAt?: number;
+    /**
+     * Gets the refresh token.
+     *
+     * @property
+     */
+    refreshToken?: string;
+    /**
+     * Gets the scope.
+     *
+     * @property
+     */
+    scope?: string;
+    /**
+     * Gets the token type. Default: 'Bearer'
+     *
+     * @property
+     */
+    tokenType?: string;
+}
+/**
+ * Describes a configuration for an offline queue.
+ */
+export interface IOfflineQueueConfig {
+    /**
+     * Gets the name of the header for the idempotency key. Default: 'Idempotency-Key'
+     *
+     * @property
+     */
+    idempotencyHeader?: string;
+    /**
+     * Gets the maximum number of attempts to send a request, which fail because of the network.
+     * If reached, the request is removed and its promise is rejected. Default: 3
+     *
+     * @property
+     */
+    maxAttempts?: number;
+    /**
+     * Gets the HTTP methods of the requests that should be queued. Default: POST, PATCH
+     *
+     * @property
+     */
+    methods?: string[];
+    /**
+     * Gets the custom storage for the items.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     *
+     * @property
+     */
+    storage?: IValueStorage;
+    /**
+     * Gets the key the items are stored with in the storage. Default: 'apiclient.offlineQueue'
+     *
+     * @property
+     */
+    storageKey?: string;
+    /**
+     * Gets the custom store for the items, like a 'SQLiteQueueStore'.
+     * If defined, 'storage' and 'storageKey' are ignored.
+     *
+     * @property
+     */
+    store?: IOfflineQueueStore;
+}
+/**
+ * Describes the data of an offline queue event.
+ */
+export interface IOfflineQueueEventData extends Observable.EventData {
+    /**
+     * Gets the error (if failed).
+     *
+     * @property
+     */
+    error?: IApiClientError;
+    /**
+     * Gets the underlying item.
+     *
+     * @property
+     */
+    item: IOfflineQueueItem;
+    /**
+     * Gets the result (if processed).
+     *
+     * @property
+     */
+    result?: IApiClientResult;
+}
+/**
+ * Describes a request in an offline queue.
+ */
+export interface IOfflineQueueItem {
+    /**
+     * Gets the number of attempts that failed because of the network.
+     *
+     * @property
+     */
+    attempts?: number;
+    /**
+     * Gets the ID of the item.
+     *
+     * @property
+     */
+    id: string;
+    /**
+     * Gets the idempotency key.
+     *
+     * @property
+     */
+    idempotencyKey: string;
+    /**
+     * Gets the HTTP method.
+     *
+     * @property
+     */
+    method: string;
+    /**
+     * Gets the (serializable) request options, without credentials.
+     *
+     * @property
+     */
+    options: IRequestOptions;
+    /**
+     * Gets the timestamp (ms) when the item has been queued.
+     *
+     * @property
+     */
+    queuedAt: number;
+}
+/**
+ * Describes a store for the items of an offline queue.
+ */
+export interface IOfflineQueueStore {
+    /**
+     * Loads the items.
+     *
+     * @return {Promise<IOfflineQueueItem[]>|IOfflineQueueItem[]} The (promise with the) items.
+     */
+    load(): Promise<IOfflineQueueItem[]> | IOfflineQueueItem[];
+    /**
+     * Saves the items.
+     *
+     * @param {IOfflineQueueItem[]} items The items to save.
+     *
+     * @return {Promise<any>|void} The optional promise.
+     */
+    save(items: IOfflineQueueItem[]): Promise<any> | void;
+}
+/**
+ * Describes a configuration for a paginator.
+ */
+export interface IPaginationConfig {
+    /**
+     * Gets the property path of the next cursor inside the response body
+     * or the function that returns it. Default: 'next_cursor'
+     *
+     * @property
+     */
+    cursor?: string | ((result: IApiClientResult) => any);
+    /**
+     * Gets the name of the URL parameter for the cursor. Default: 'cursor'
+     *
+     * @property
+     */
+    cursorParam?: string;
+    /**
+     * Gets the property path of the items inside the response body
+     * or the function that returns them.
+     * Default: The body itself, if it is an array, otherwise 'items', 'data' or 'results'.
+     *
+     * @property
+     */
+    items?: string | ((result: IApiClientResult) => any[]);
+    /**
+     * Gets the maximum number of pages to load.
+     *
+     * @property
+     */
+    maxPages?: number;
+    /**
+     * Gets the HTTP method. Default: GET
+     *
+     * @property
+     */
+    method?: any;
+    /**
+     * Gets the name of the URL parameter for the offset. Default: 'offset'
+     *
+     * @property
+     */
+    offsetParam?: string;
+    /**
+     * Gets the name of the URL parameter for the page number. Default: 'page'
+     *
+     * @property
+     */
+    pageParam?: string;
+    /**
+     * Gets the number of items per page.
+     *
+     * @property
+     */
+    pageSize?: number;
+    /**
+     * Gets the name of the URL parameter for the page size.
+     * Default: 'per_page' (Page) or 'limit' (Offset and Cursor)
+     *
+     * @property
+     */
+    pageSizeParam?: string;
+    /**
+     * Gets the options for the requests.
+     *
+     * @property
+     */
+    request?: IRequestOptions;
+    /**
+     * Gets the number of the first page. Default: 1
+     *
+     * @property
+     */
+    startPage?: number;
+    /**
+     * Gets the strategy. Default: PaginationStrategy.Link
+     *
+     * @property
+     */
+    strategy?: PaginationStrategy;
+}
+/**
+ * Describes the progress of an upload or a download.
+ */
+export interface IProgressEvent {
+    /**
+     * Gets the number of bytes that have been transfered.
+     *
+     * @property
+     */
+    loaded: number;
+    /**
+     * Gets the percentage (0 - 100) or -1 if the total number of bytes is unknown.
+     *
+     * @property
+     */
+    percentage: number;
+    /**
+     * Gets the total number of bytes or -1 if unknown.
+     *
+     * @property
+     */
+    total: number;
+}
+/**
+ * Describes a configuration for a rate limiter (token bucket).
+ */
+export interface IRateLimiterConfig {
+    /**
+     * Gets the maximum number of requests that can be sent at once. Default: 10
+     *
+     * @property
+     */
+    capacity?: number;
+    /**
+     * Gets the maximum time in milliseconds a request waits for a token
+     * before it is rejected. Default: 0
+     *
+     * @property
+     */
+    maxWait?: number;
+    /**
+     * Gets if each host has its own bucket or not. Default: (true)
+     *
+     * @property
+     */
+    perHost?: boolean;
+    /**
+     * Gets the number of tokens that are added per second. Default: 1
+     *
+     * @property
+     */
+    tokensPerSecond?: number;
+}
+/**
+ * Describes a configuration for a 'RecordingTransport'.
+ */
+export interface IRecordingTransportConfig {
+    /**
+     * Gets the path of the fixture file.
+     *
+     * @property
+     */
+    file?: string;
+    /**
+     * Gets the initial fixtures (if there is no file).
+     *
+     * @property
+     */
+    fixtures?: ITransportFixture[];
+    /**
+     * Gets the format of the fixture file.
+     * Default: by file extension ('.yaml' / '.yml' => YAML, otherwise JSON)
+     *
+     * @property
+     */
+    format?: FixtureFormat;
+    /**
+     * Gets if request bodies should be compared on replay or not. Default: (false)
+     *
+     * @property
+     */
+    matchBody?: boolean;
+    /**
+     * Gets the mode. Default: RecordingMode.ReplayOrRecord
+     *
+     * @property
+     */
+    mode?: RecordingMode;
+    /**
+     * Gets the transport that sends the requests while recording. Default: HttpTransport
+     *
+     * @property
+     */
+    transport?: ITransport;
+}
+/**
+ * Describes an attempt of sending a request.
+ */
+export interface IRequestAttempt {
+    /**
+     * Gets the status code (if a response has been received).
+     *
+     * @property
+     */
+    code?: number;
+    /**
+     * Gets the time the attempt has been finished.
+     *
+     * @property
+     */
+    endTime?: Date;
+    /**
+     * Gets the error (if failed).
+     *
+     * @property
+     */
+    error?: any;
+    /**
+     * Gets the number of the attempt, beginning at 1.
+     *
+     * @property
+     */
+    number: number;
+    /**
+     * Gets the delay in milliseconds before the next attempt
+     * (if a retry has been scheduled).
+     *
+     * @property
+     */
+    retryDelay?: number;
+    /**
+     * Gets the time the attempt has been started.
+     *
+     * @property
+     */
+    startTime: Date;
+}
+/**
+ * Configuration for a request coalescer.
+ */
+export interface IRequestCoalescerConfig {
+    /**
+     * Gets the names of the request headers, which are part of the key of a request.
+     * Default: 'Accept', 'Accept-Language', 'Authorization', 'Content-Type', 'Cookie' and 'Range'
+     *
+     * @property
+     */
+    headers?: string[];
+    /**
+     * Gets the HTTP methods of the requests that can be coalesced. Default: 'GET' and 'HEAD'
+     *
+     * @property
+     */
+    methods?: string[];
+}
+/**
+ * Describes a context for a request interceptor.
+ */
+export interface IRequestInterceptorContext extends ITagProvider {
+    /**
+     * Gets the number of the current attempt.
+     *
+     * @property
+     */
+    attempt: number;
+    /**
+     * Gets the underlying client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Gets if the current interceptor chain has been stopped or not.
+     *
+     * @property
+     */
+    isStopped: boolean;
+    /**
+     * Gets the options of the HTTP request, which can be changed.
+     * Each attempt starts with the original options.
+     *
+     * @property
+     */
+    options: HTTP.HttpRequestOptions;
+    /**
+     * Uses a (synthetic) response and stops the current interceptor chain.
+     * In the request phase, nothing is sent to the server.
+     *
+     * @param {HTTP.HttpResponse} response The response to use.
+     */
+    respondWith(response: HTTP.HttpResponse): any;
+    /**
+     * Gets an object for storing custom data, which is shared by
+     * all interceptors and attempts of a request.
+     *
+     * @property
+     */
+    state: any;
+}
+/**
+ * Describes an object that stores (additional) options for a request.
+ */
+export interface IRequestOptions {
+    /**
+     * Gets the authorizer.
+     *
+     * @property
+     */
+    authorizer?: IAuthorizer;
+    /**
+     * Gets the cache mode that overwrites the one of the client's cache.
+     *
+     * @property
+     */
+    cacheMode?: HttpCacheMode;
+    /**
+     * Gets the token that can cancel the request.
+     *
+     * @property
+     */
+    cancellationToken?: ICancellationToken;
+    /**
+     * Gets if the request can share the response of an identical request,
+     * which is in flight, if the client has a coalescer. Default: (true)
+     *
+     * @property
+     */
+    coalesce?: boolean;
+    /**
+     * Gets the content.
+     *
+     * @property
+     */
+    content?: any;
+    /**
+     * Gets the function that receives the progress of the response download.
+     * The transport of the HTTP module only reports the completed download,
+     * intermediate progress is reported by custom transports and by 'download()', after each chunk.
+     *
+     * @property
+     */
+    downloadProgress?: (e: IProgressEvent) => void;
+    /**
+     * Gets the name of the encoding.
+     *
+     * @property
+     */
+    encoding?: string;
+    /**
+     * Gets the list of request headers.
+     *
+     * @property
+     */
+    headers?: any;
+    /**
+     * Gets the key that is used to identify a request in the offline queue.
+     * It is also sent as header, so the server can detect duplicates.
+     *
+     * @property
+     */
+    idempotencyKey?: string;
+    /**
+     * Gets the interceptors that are invoked after the ones of the client.
+     *
+     * @property
+     */
+    interceptors?: IInterceptors;
+    /**
+     * Gets if the actions of the client, like 'success', 'ifStatus', 'error' and 'complete',
+     * are invoked for the request or not. Default: (true)
+     *
+     * @property
+     */
+    invokeActions?: boolean;
+    /**
+     * Gets the maximum number of replays that overwrites the one of the client.
+     *
+     * @property
+     */
+    maxReplays?: number;
+    /**
+     * Gets the URL params to set.
+     *
+     * @property
+     */
+    params?: any;
+    /**
+     * Gets the retry policy that overwrites the one of the client.
+     *
+     * @property
+     */
+    retryPolicy?: IRetryPolicy;
+    /**
+     * Gets the params for the route to set.
+     *
+     * @property
+     */
+    routeParams?: any;
+    /**
+     * Gets the JSON schema (draft-07) that overwrites the one of the client.
+     * (null) disables the validation for that request.
+     *
+     * @property
+     */
+    schema?: any;
+    /**
+     * Gets the global object that should be used in any callback.
+     *
+     * @property
+     */
+    tag?: any;
+    /**
+     * Gets the timeout in millisecons.
+     *
+     * @property
+     */
+    timeout?: number;
+    /**
+     * Gets request type.
+     *
+     * @property
+     */
+    type?: HttpRequestType;
+    /**
+     * Gets the function that receives the progress of the request upload.
+     * The transport of the HTTP module only reports the start and the completed upload,
+     * intermediate progress is reported by custom transports.
+     *
+     * @property
+     */
+    uploadProgress?: (e: IProgressEvent) => void;
+    /**
+     * Gets a custom (encoded) URL, which is used instead of
+     * the base URL, the route and the URL parameters of the client.
+     *
+     * @property
+     */
+    url?: string;
+    /**
+     * Gets a function that checks a result with a status code of 2xx.
+     * If it returns a value other than (null) or (undefined), the result
+     * is handled as error with context 'ApiClientErrorContext.InvalidResult'.
+     *
+     * @property
+     */
+    validateResult?: (result: IApiClientResult) => any;
+}
+/**
+ * Describes a context for a response interceptor.
+ */
+export interface IResponseInterceptorContext extends IRequestInterceptorContext {
+    /**
+     * Sends the request again (as new attempt) and stops the current interceptor chain.
+     *
+     * The new attempt starts with the original options of the request, so changes
+     * for it have to be made by request interceptors, e.g. with the help of 'state'.
+     *
+     * If the maximum number of replays is exceeded, the request fails
+     * with context 'ApiClientErrorContext.ReplayLimitExceeded'.
+     */
+    replay(): any;
+    /**
+     * Gets or sets the response.
+     *
+     * @property
+     */
+    response: HTTP.HttpResponse;
+}
+/**
+ * Describes a policy for retrying failed requests.
+ */
+export interface IRetryPolicy {
+    /**
+     * Gets a custom function that returns the delay in milliseconds
+     * for an attempt. If defined, 'delay', 'factor' and 'jitter' are ignored.
+     *
+     * @property
+     */
+    backoff?: (attempt: number) => number;
+    /**
+     * Gets the delay in milliseconds before the first retry. Default: 1000
+     *
+     * @property
+     */
+    delay?: number;
+    /**
+     * Gets the factor the delay is multiplied with for each further retry. Default: 2
+     *
+     * @property
+     */
+    factor?: number;
+    /**
+     * Gets the ratio (0 to 1) of random jitter that is applied to a delay. Default: 0
+     *
+     * @property
+     */
+    jitter?: number;
+    /**
+     * Gets the maximum number of attempts, including the first one. Default: 3
+     *
+     * @property
+     */
+    maxAttempts?: number;
+    /**
+     * Gets the maximum delay in milliseconds. Retries that would have to wait
+     * longer because of a 'Retry-After' header are not done.
+     *
+     * @property
+     */
+    maxDelay?: number;
+    /**
+     * Gets the list of HTTP methods that can be retried.
+     * Default: DELETE, GET, HEAD, OPTIONS, PUT, TRACE
+     *
+     * @property
+     */
+    methods?: string[];
+    /**
+     * Gets if 'Retry-After' headers of 429 and 503 responses should be honored or not. Default: (true)
+     *
+     * @property
+     */
+    respectRetryAfter?: boolean;
+    /**
+     * Gets if errors of the HTTP client, like timeouts or connection errors,
+     * should be retried or not. Default: (true)
+     *
+     * @property
+     */
+    retryOnError?: boolean;
+    /**
+     * Gets the list of status codes that can be retried.
+     * Default: 408, 429, 500, 502, 503, 504
+     *
+     * @property
+     */
+    statusCodes?: number[];
+}
+/**
+ * Describes a route of a route table.
+ */
+export interface IRouteDefinition {
+    /**
+     * Gets the HTTP method. Default: GET
+     *
+     * @property
+     */
+    method?: HttpMethod | string;
+    /**
+     * Gets the template of the route, like '/users/{id:int}/posts/{slug?}'.
+     *
+     * @property
+     */
+    route: string;
+}
+/**
+ * Describes a placeholder of a route template.
+ */
+export interface IRouteParameter {
+    /**
+     * Gets the name of the constraint, like 'int', or (null) if the value is not constrained.
+     *
+     * @property
+     */
+    constraint: string;
+    /**
+     * Gets if the parameter can be omitted or not.
+     *
+     * @property
+     */
+    isOptional: boolean;
+    /**
+     * Gets the name.
+     *
+     * @property
+     */
+    name: string;
+}
+/**
+ * Describes a violation of a JSON schema.
+ */
+export interface ISchemaError {
+    /**
+     * Gets the keyword of the schema, which has been violated, like 'type' or 'required'.
+     *
+     * @property
+     */
+    keyword: string;
+    /**
+     * Gets the error message.
+     *
+     * @property
+     */
+    message: string;
+    /**
+     * Gets the path of the invalid value as JSON pointer, like '/items/0/name'.
+     * An empty string is the root value.
+     *
+     * @property
+     */
+    path: string;
+    /**
+     * Gets the path of the violated keyword inside the schema, like '#/properties/items/type'.
+     *
+     * @property
+     */
+    schemaPath: string;
+    /**
+     * Gets the invalid value.
+     *
+     * @property
+     */
+    value: any;
+}
+/**
+ * Describes a server-sent event.
+ */
+export interface IServerSentEvent {
+    /**
+     * Gets the data.
+     *
+     * @property
+     */
+    data: string;
+    /**
+     * Gets the type. Default: 'message'
+     *
+     * @property
+     */
+    event: string;
+    /**
+     * Gets the ID of the last event.
+     *
+     * @property
+     */
+    id: string;
+}
+/**
+ * Describes an object that stores a global value.
+ */
+export interface ITagProvider {
+    /**
+     * Gets the value that should be linked with that instance.
+     *
+     * @property
+     */
+    tag: any;
+}
+/**
+ * Describes an object that sends requests.
+ */
+export interface ITransport {
+    /**
+     * Sends a request.
+     *
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {ITransportProgress} [progress] The optional object that receives the progress.
+     *
+     * @return {Promise<HTTP.HttpResponse>} The promise with the response.
+     */
+    send(opts: HTTP.HttpRequestOptions, progress?: ITransportProgress): Promise<HTTP.HttpResponse>;
+}
+/**
+ * Describes a recorded request and its response.
+ */
+export interface ITransportFixture {
+    /**
+     * Gets the request data.
+     *
+     * @property
+     */
+    request: {
+        body?: string;
+        method: string;
+        url: string;
+    };
+    /**
+     * Gets the response data.
+     *
+     * @property
+     */
+    response: {
+        body: string;
+        code: number;
+        headers: any;
+    };
+}
+/**
+ * Receives the progress of a request, which is sent by a transport.
+ * The transport of the HTTP module only reports the completed transfers.
+ */
+export interface ITransportProgress {
+    /**
+     * Reports the progress of the response download.
+     *
+     * @param {Number} loaded The number of received bytes.
+     * @param {Number} total The total number of bytes or -1 if unknown.
+     */
+    download(loaded: number, total: number): any;
+    /**
+     * Reports the progress of the request upload.
+     *
+     * @param {Number} loaded The number of sent bytes.
+     * @param {Number} total The total number of bytes or -1 if unknown.
+     */
+    upload(loaded: number, total: number): any;
+}
+/**
+ * Describes a storage for values, like the 'getValue()', 'setValue()' and 'removeValue()'
+ * functions of the toolbox.
+ */
+export interface IValueStorage {
+    /**
+     * Returns a value.
+     *
+     * @param {String} key The key.
+     *
+     * @return any The value.
+     */
+    getValue(key: string): any;
+    /**
+     * Removes a value.
+     *
+     * @param {String} key The key.
+     */
+    removeValue(key: string): any;
+    /**
+     * Stores a value.
+     *
+     * @param any v The value.
+     * @param {String} key The key.
+     */
+    setValue(v: any, key: string): any;
+}
+/**
+ * A batch of JSON-RPC calls and notifications.
+ */
+export declare class JsonRpcBatch {
+    private _calls;
+    private _client;
+    private _isSent;
+    private _requests;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {JsonRpcClient} client The underlying JSON-RPC client.
+     */
+    constructor(client: JsonRpcClient);
+    /**
+     * Adds a method call.
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     *
+     * @return {Promise<T>} The promise, which is completed when the batch has been sent.
+     */
+    call<T>(method: string, params?: any): Promise<T>;
+    /**
+     * Gets the underlying JSON-RPC client.
+     *
+     * @property
+     */
+    client: JsonRpcClient;
+    /**
+     * Gets the number of calls and notifications.
+     *
+     * @property
+     */
+    count: number;
+    /**
+     * Adds a notification.
+     *
+     * @chainable
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     */
+    notify(method: string, params?: any): JsonRpcBatch;
+    /**
+     * Sends the batch.
+     *
+     * The promises of the calls are completed by the responses with the same IDs.
+     * A call with an error object is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'JsonRpcError'.
+     *
+     * @return {Promise<IJsonRpcResponse[]>} The promise with the responses.
+     */
+    send(): Promise<IJsonRpcResponse[]>;
+    private throwIfSent();
+}
+/**
+ * A JSON-RPC 2.0 client that sends its requests via an API client.
+ */
+export declare class JsonRpcClient {
+    private _client;
+    private _config;
+    private _nextId;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The underlying API client.
+     * @param {IJsonRpcConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: IJsonRpcConfig);
+    /**
+     * Starts a new batch.
+     *
+     * @return {JsonRpcBatch} The new batch.
+     */
+    batch(): JsonRpcBatch;
+    /**
+     * Calls a method.
+     *
+     * If the response contains an error object, the promise is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'JsonRpcError'.
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     *
+     * @return {Promise<T>} The promise with the result.
+     */
+    call<T>(method: string, params?: any): Promise<T>;
+    /**
+     * Gets the underlying API client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Creates a new ID for a call.
+     *
+     * @return any The new ID.
+     */
+    createId(): any;
+    /**
+     * Sends a notification.
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     *
+     * @return {Promise<void>} The promise, which is resolved without a value,
+     *                         because notifications have no response.
+     */
+    notify(method: string, params?: any): Promise<void>;
+    /**
+     * Sends a JSON-RPC request or a batch.
+     *
+     * @param any body The request or the list of requests.
+     * @param {Boolean} isNotification The request contains notifications only or not.
+     *
+     * @return {Promise<IApiClientResult>} The promise.
+     */
+    send(body: any, isNotification: boolean): Promise<IApiClientResult>;
+}
+/**
+ * A JSON-RPC 2.0 error.
+ */
+export declare class JsonRpcError {
+    private _error;
+    private _id;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IJsonRpcErrorObject} error The error object of the response.
+     * @param any [id] The ID of the call.
+     */
+    constructor(error: IJsonRpcErrorObject, id?: any);
+    /**
+     * Gets the error code.
+     *
+     * @property
+     */
+    code: number;
+    /**
+     * Gets additional data.
+     *
+     * @property
+     */
+    data: any;
+    /**
+     * Gets the ID of the call.
+     *
+     * @property
+     */
+    id: any;
+    /**
+     * Gets the message.
+     *
+     * @property
+     */
+    message: string;
+    /** @inheritdoc */
+    toString(): string;
+}
+/**
+ * List of predefined JSON-RPC 2.0 error codes.
+ */
+export declare enum JsonRpcErrorCode {
+    /**
+     * Invalid JSON.
+     */
+    ParseError = -32700,
+    /**
+     * No valid request object.
+     */
+    InvalidRequest = -32600,
+    /**
+     * Method does not exist.
+     */
+    MethodNotFound = -32601,
+    /**
+     * Invalid method parameters.
+     */
+    InvalidParams = -32602,
+    /**
+     * Internal JSON-RPC error.
+     */
+    InternalError = -32603,
+}
+/**
+ * List of log categories.
+ */
+export declare enum LogCategory {
+    Emergency = 1,
+    Alert = 2,
+    Critical = 3,
+    Error = 4,
+    Warning = 5,
+    Notice = 6,
+    Info = 7,
+    Debug = 8,
+    Trace = 9,
+}
+/**
+ * List of log priorities.
+ */
+export declare enum LogPriority {
+    VeryHigh = 1,
+    High = 2,
+    Medium = 3,
+    Low = 4,
+    VeryLow = 5,
+}
+/**
+ * List of log (message) source.
+ */
+export declare enum LogSource {
+    /**
+     * From API client.
+     */
+    Client = 0,
+    /**
+     * From "completed" action
+     */
+    Complete = 1,
+    /**
+     * From IApiClientError object
+     */
+    Error = 2,
+    /**
+     * From IApiClientResult object
+     */
+    Result = 3,
+}
+/**
+ * A long-poll client: it requests a resource again and again and
+ * dispatches the events of each response, after the server has closed it.
+ *
+ * The bodies are parsed in the format of server-sent events, but this is NOT
+ * an event stream client: the HTTP module cannot stream responses, so a server,
+ * which keeps the connection open, never delivers anything. Each new request
+ * sends the ID of the last event ('Last-Event-ID').
+ */
+export declare class LongPollClient extends Observable.Observable {
+    /**
+     * Name of the event that is raised if a connection failed.
+     */
+    static errorEvent: string;
+    /**
+     * Name of the event that is raised for events without type.
+     */
+    static messageEvent: string;
+    /**
+     * Name of the event that is raised after a response has been received.
+     */
+    static openEvent: string;
+    private _client;
+    private _config;
+    private _failures;
+    private _isOpen;
+    private _parser;
+    private _reconnectTimer;
+    private _request;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The client that sends the requests.
+     * @param {ILongPollConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: ILongPollConfig);
+    /**
+     * Gets the underlying client.
+     *
+     * @property
+     */
+    client: IApiClient;
+    /**
+     * Closes the client.
+     *
+     * @chainable
+     */
+    close(): LongPollClient;
+    private connect();
+    /**
+     * Gets if the client is open or not.
+     *
+     * @property
+     */
+    isOpen: boolean;
+    /**
+     * Gets the ID of the last event.
+     *
+     * @property
+     */
+    lastEventId: string;
+    /**
+     * Opens the client.
+     *
+     * @chainable
+     */
+    open(): LongPollClient;
+    private reconnect();
+    /**
+     * Gets the time in milliseconds to wait before reconnecting.
+     * A value sent by the server wins. Default: 3000
+     *
+     * @property
+     */
+    retry: number;
+    private setIsOpen(newValue);
+}
+/**
+ * A cache store that keeps its entries in memory.
+ */
+export declare class MemoryCacheStore implements IHttpCacheStore {
+    private _entries;
+    /** @inheritdoc */
+    clear(): void;
+    /** @inheritdoc */
+    get(key: string): IHttpCacheEntry;
+    /** @inheritdoc */
+    remove(key: string): void;
+    /** @inheritdoc */
+    set(key: string, entry: IHttpCacheEntry): void;
+}
+/**
+ * A transport that answers requests with canned responses
+ * and records them, e.g. for unit tests.
+ */
+export declare class MockTransport implements ITransport {
+    private _failures;
+    private _requests;
+    private _routes;
+    /**
+     * Throws if a registered route has never been called.
+     */
+    assertAllCalled(): void;
+    /**
+     * Throws if a route has not been called (often enough).
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     * @param {Number} [times] The expected number of calls. Default: at least once
+     */
+    assertCalled(method: string, url: string | RegExp, times?: number): void;
+    /**
+     * Throws if a route has been called.
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     */
+    assertNotCalled(method: string, url: string | RegExp): void;
+    /**
+     * Removes the recorded requests.
+     *
+     * @chainable
+     */
+    clearRequests(): MockTransport;
+    /**
+     * A delay in milliseconds for all responses.
+     */
+    delay: number;
+    /**
+     * Lets the next requests fail.
+     *
+     * @chainable
+     *
+     * @param any [error] The custom error.
+     * @param {Number} [count] The number of requests. Default: 1
+     */
+    failNext(error?: any, count?: number): MockTransport;
+    /**
+     * Returns the recorded requests of a route.
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     *
+     * @return {IMockRequest[]} The requests.
+     */
+    findRequests(method: string, url: string | RegExp): IMockRequest[];
+    /**
+     * Registers a route.
+     * Routes that are registered later win.
+     *
+     * @chainable
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern, like '/users/*'.
+     * @param {IMockResponse|Function} response The response or the function that returns it.
+     */
+    on(method: string, url: string | RegExp, response: IMockResponse | ((req: IMockRequest) => IMockResponse | Promise<IMockResponse>)): MockTransport;
+    /**
+     * Gets the list of recorded requests.
+     *
+     * @property
+     */
+    requests: IMockRequest[];
+    /**
+     * Removes all routes, failures and recorded requests.
+     *
+     * @chainable
+     */
+    reset(): MockTransport;
+    /** @inheritdoc */
+    send(opts: HTTP.HttpRequestOptions): Promise<HTTP.HttpResponse>;
+}
+/**
+ * An incremental parser for line-delimited JSON (NDJSON).
+ */
+export declare class NdjsonParser {
+    private _buffer;
+    private _count;
+    private _line;
+    private _onItem;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {Function} onItem The function that receives the parsed objects.
+     */
+    constructor(onItem: (item: any, index: number) => void);
+    /**
+     * Gets the number of parsed objects.
+     *
+     * @property
+     */
+    count: number;
+    /**
+     * Parses the rest of the stream.
+     */
+    end(): void;
+    private processLine(line);
+    /**
+     * Parses the next chunk of the stream.
+     *
+     * @param {String} chunk The chunk.
+     */
+    write(chunk: string): void;
+}
+/**
+ * OAuth authorizer
+ */
+export declare class OAuth implements IAuthorizer {
+    /**
+     * Stores the fields.
+     */
+    protected _fields: {};
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): void;
+    /**
+     * Sets a field.
+     *
+     * @chainable
+     *
+     * @param {String} name The name of the field.
+     * @param {String} value The value of the field.
+     */
+    setField(name: string, value: any): OAuth;
+    /**
+     * Sets a list of fields.
+     *
+     * @chainable
+     *
+     * @param any ...fields One or more object with fields an their values.
+     */
+    setMany(...fields: any[]): OAuth;
+}
+/**
+ * An OAuth 1.0a authorizer that signs requests (RFC 5849).
+ */
+export declare class OAuth1Authorizer extends OAuth {
+    private _consumerKey;
+    private _consumerSecret;
+    private _token;
+    private _tokenSecret;
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} consumerKey The consumer key.
+     * @param {String} consumerSecret The consumer secret.
+     * @param {String} [token] The token.
+     * @param {String} [tokenSecret] The token secret.
+     */
+    constructor(consumerKey: string, consumerSecret: string, token?: string, tokenSecret?: string);
+    /**
+     * Gets the consumer key.
+     *
+     * @property
+     */
+    consumerKey: string;
+    /**
+     * Creates a signature.
+     *
+     * @param {String} baseString The signature base string.
+     *
+     * @return {String} The signature.
+     */
+    createSignature(baseString: string): string;
+    /**
+     * Creates the signature base string of a request.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} url The (encoded) request URL.
+     * @param any oauthParams The 'oauth_*' parameters.
+     * @param {String} [formBody] The 'application/x-www-form-urlencoded' body (if available).
+     *
+     * @return {String} The base string.
+     */
+    createSignatureBaseString(method: string, url: string, oauthParams: any, formBody?: string): string;
+    /**
+     * Gets or sets the value for "oauth_nonce" (custom random crypto key).
+     * If not defined, a new one is generated for each request.
+     */
+    nonce: string;
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): void;
+    /**
+     * Gets or sets a custom value for "oauth_signature".
+     * If not defined, the signature is computed for each request.
+     */
+    signature: string;
+    /**
+     * Gets or sets the value for "oauth_signature_method".
+     * Supported: 'HMAC-SHA1', 'PLAINTEXT'
+     */
+    signatureMethod: string;
+    /**
+     * Gets or sets a custom value for "oauth_timestamp".
+     * If not defined, the current time is used for each request.
+     */
+    timestamp: Date;
+    /**
+     * Gets the token.
+     *
+     * @property
+     */
+    token: string;
+    /**
+     * Gets or sets the value for "oauth_version".
+     */
+    version: string;
 }
 /**
- * Describes a context of a "complete" action.
+ * An OAuth 2.0 authorizer that manages the lifecycle of an access token.
  */
-export interface IApiClientCompleteContext extends ILogger, ITagProvider {
+export declare class OAuth2Authorizer implements IAuthorizer {
+    private _config;
+    private _pendingToken;
+    private _token;
     /**
-     * Gets the underlying API client.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {IOAuth2Config} config The configuration.
      */
-    client: IApiClient;
+    constructor(config: IOAuth2Config);
     /**
-     * Gets the error context (if defined).
+     * Removes the current token (and the cached one).
+     */
+    clear(): void;
+    /**
+     * Gets the configuration.
      *
      * @property
      */
-    error?: IApiClientError;
+    config: IOAuth2Config;
     /**
-     * Gets the underlying HTTP request.
+     * Returns a valid token. Concurrent calls share the same token request.
      *
-     * @property
+     * @param {Boolean} [forceRefresh] Request a new token, even if the current one is still valid.
+     *
+     * @return {Promise<IOAuth2Token>} The promise.
      */
-    request: IHttpRequest;
+    getToken(forceRefresh?: boolean): Promise<IOAuth2Token>;
+    /** @inheritdoc */
+    interceptResponse(ctx: IResponseInterceptorContext): any;
+    private isValid(token);
+    /** @inheritdoc */
+    prepare(reqOpts: HTTP.HttpRequestOptions): Promise<any>;
+    private requestToken();
     /**
-     * Gets the API result (if defined).
+     * Sets the current token.
+     *
+     * @chainable
+     *
+     * @param {IOAuth2Token} token The new token.
+     */
+    setToken(token: IOAuth2Token): OAuth2Authorizer;
+    private readonly storage;
+    private toAuthorizationValue(token);
+    /**
+     * Gets the current token.
      *
      * @property
      */
-    result?: IApiClientResult;
+    token: IOAuth2Token;
 }
 /**
- * Describes an object that stores configuration data for an API client.
+ * List of OAuth 2.0 grant types.
  */
-export interface IApiClientConfig {
+export declare enum OAuth2GrantType {
     /**
-     * Gets the default authorizer.
-     *
-     * @property
+     * 'client_credentials'
      */
-    authorizer?: IAuthorizer;
+    ClientCredentials = 0,
     /**
-     * Gets the base URL to use.
-     *
-     * @property
+     * 'password'
      */
-    baseUrl: string;
+    Password = 1,
     /**
-     * Defines an action that is invoked BEFORE a request starts.
-     *
-     * @property
+     * 'refresh_token'
      */
-    beforeSend?: (opts: HTTP.HttpRequestOptions) => void;
+    RefreshToken = 2,
+}
+/**
+ * An error of a token request of an 'OAuth2Authorizer'.
+ */
+export declare class OAuth2TokenError {
+    private _code;
+    private _response;
     /**
-     * Defines the action to handle a status code between 400 and 499.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {Number} code The status code of the token endpoint.
+     * @param any [response] The (JSON) response, if available.
      */
-    clientError?: (ctx: IApiClientResult) => void;
+    constructor(code: number, response?: any);
     /**
-     * Defines the "complete" action.
+     * Gets the status code of the token endpoint.
      *
      * @property
      */
-    complete?: (ctx: IApiClientCompleteContext) => void;
+    code: number;
     /**
-     * Defines the "error" action.
+     * Gets the description of the error (if available).
      *
      * @property
      */
-    error?: (ctx: IApiClientError) => void;
+    description: string;
     /**
-     * Defines the action to handle a 403 status code.
+     * Gets the error code, like 'invalid_grant' (if available).
      *
      * @property
      */
-    forbidden?: (ctx: IApiClientResult) => void;
+    error: string;
     /**
-     * Gets the global request headers to use.
+     * Gets the message.
      *
      * @property
      */
-    headers?: any;
+    message: string;
+    /** @inheritdoc */
+    toString(): string;
+}
+/**
+ * A queue that stores requests while the device is offline
+ * and sends them in order when it is online again.
+ *
+ * Items are replayed when 'startMonitoringForConnectivity()' of
+ * the toolbox reports 'wifi' or 'mobile', or if 'replay()' is called.
+ *
+ * Credentials, like the 'Authorization' and 'Cookie' headers, are NOT stored.
+ * Queued requests are authorized by the authorizer of the client when they are sent.
+ *
+ * 'tag' and 'schema' are only stored if they are JSON-safe (no circular references,
+ * functions, dates, etc.). Otherwise they are only used until the app is restarted.
+ *
+ * If sending a request fails because of the network, the "error" action of the client
+ * is invoked and the request stays in the queue, until 'maxAttempts' is reached.
+ * Then it is removed and its promise is rejected.
+ */
+export declare class OfflineQueue extends Observable.Observable {
     /**
-     * Defines that actions to invoke if a reponse matches.
+     * Name of the event that is raised after a request has been queued.
      */
-    if?: IIfResponse[];
+    static itemEnqueuedEvent: string;
     /**
-     * Defines that actions to invoke if a status code matches.
+     * Name of the event that is raised if a queued request failed.
      */
-    ifStatus?: IIfStatus[];
+    static itemFailedEvent: string;
     /**
-     * Defines the action to handle a status code between 300 and 399.
-     *
-     * @property
+     * Name of the event that is raised after a queued request has been sent.
      */
-    redirection?: (ctx: IApiClientResult) => void;
+    static itemProcessedEvent: string;
+    private _client;
+    private _config;
+    private _isDisposed;
+    private _isReplaying;
+    private _isSending;
+    private _items;
+    private _loaded;
+    private _pending;
+    private _replay;
+    private _store;
     /**
-     * Defines the action to handle a 404 status code.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {IApiClient} client The client that sends the requests.
+     * @param {IOfflineQueueConfig} [config] The custom configuration.
      */
-    notFound?: (ctx: IApiClientResult) => void;
+    constructor(client: IApiClient, config?: IOfflineQueueConfig);
     /**
-     * Defines the action to handle a 200, 204 or 205 status code.
+     * Removes all items.
      *
-     * @property
+     * @param any [reason] The optional reason for the callers of the queued requests.
      */
-    ok?: (ctx: IApiClientResult) => void;
+    clear(reason?: any): void;
     /**
-     * Gets the global URL parameters to use.
+     * Gets the underlying client.
      *
      * @property
      */
-    params?: any;
+    client: IApiClient;
     /**
-     * Gets the optional route.
+     * Gets the number of queued requests.
      *
      * @property
      */
-    route?: string;
+    count: number;
     /**
-     * Gets the global route parameters to use.
-     *
-     * @property
+     * Stops listening for connectivity changes.
      */
-    routeParams?: any;
+    dispose(): void;
     /**
-     * Defines the action to handle a status code between 500 and 599.
+     * Adds a request.
+     * Requests with the same idempotency key are only queued once.
      *
-     * @property
+     * @param {String} method The HTTP method.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise that is resolved with the result
+     *                                                after the request has been sent.
      */
-    serverError?: (ctx: IApiClientResult) => void;
+    enqueue(method: string, opts?: IRequestOptions): ICancellablePromise<IApiClientResult>;
+    private getPending(item);
     /**
-     * Defines the action to handle a status code between 200 and 299.
+     * Gets the name of the header for the idempotency key.
      *
      * @property
      */
-    succeededRequest?: (ctx: IApiClientResult) => void;
+    idempotencyHeader: string;
     /**
-     * Defines the "success" action.
+     * Gets if the queue is currently sending its requests or not.
      *
      * @property
      */
-    success?: (ctx: IApiClientResult) => void;
+    isReplaying: boolean;
     /**
-     * Defines the action to handle a 401 status code.
+     * Gets a copy of the current items.
      *
      * @property
      */
-    unauthorized?: (ctx: IApiClientResult) => void;
-}
-/**
- * Describes an error context of an API call.
- */
-export interface IApiClientError extends ILogger, ITagProvider {
+    items: IOfflineQueueItem[];
     /**
-     * Gets the underlying client.
+     * Gets the maximum number of attempts to send a request,
+     * which fail because of the network.
      *
      * @property
      */
-    client: IApiClient;
+    maxAttempts: number;
     /**
-     * Gets the context.
+     * Gets the HTTP methods of the requests that are queued.
      *
      * @property
      */
-    context: ApiClientErrorContext;
+    methods: string[];
+    private rejectPending(pending, err);
     /**
-     * Gets the error data.
+     * Removes an item and cancels its request.
      *
-     * @property
+     * @param {String} id The ID of the item.
+     * @param any [reason] The optional reason for the caller of the request.
+     *
+     * @return {Boolean} Item was removed or not.
      */
-    error: any;
+    remove(id: string, reason?: any): boolean;
+    private removeItem(id);
     /**
-     * Gets or sets if error has been handled or not.
+     * Sends all queued requests in order.
+     * Stops at the first request that fails because of the network,
+     * if it has not reached the maximum number of attempts.
      *
-     * @property
+     * @return {Promise<any>} The promise.
      */
-    handled: boolean;
+    replay(): Promise<any>;
+    private save();
+    private send(method, opts, pending);
     /**
-     * Gets the underlying HTTP request.
+     * Checks if a request should be queued.
+     * This is the case, if the device is offline or other requests
+     * are waiting in the queue.
      *
-     * @property
+     * @param {String} method The HTTP method.
+     *
+     * @return {Boolean} Should be queued or not.
      */
-    request: IHttpRequest;
+    shouldEnqueue(method: string): boolean;
+    private updateRegistration();
 }
 /**
- * Describes an API result.
+ * List of pagination strategies.
  */
-export interface IApiClientResult extends ILogger, ITagProvider {
+export declare enum PaginationStrategy {
     /**
-     * Gets the underlying API client.
-     *
-     * @property
+     * Follow the 'next' link of the 'Link' response header.
      */
-    client: IApiClient;
+    Link = 0,
     /**
-     * Gets the HTTP response code.
-     *
-     * @property
+     * Send the page number as URL parameter.
      */
-    code: number;
+    Page = 1,
     /**
-     * Gets the raw content.
+     * Send the number of items to skip as URL parameter.
+     */
+    Offset = 2,
+    /**
+     * Send the cursor from the body of the last response as URL parameter.
+     */
+    Cursor = 3,
+}
+/**
+ * Loads the items of a paged resource lazily.
+ */
+export declare class Paginator<T> extends AsyncSequence<T> {
+    private _client;
+    private _config;
+    private _cursor;
+    private _hasMore;
+    private _items;
+    private _nextUrl;
+    private _offset;
+    private _pageCount;
+    /**
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {IApiClient} client The underlying client.
+     * @param {IPaginationConfig} [config] The custom configuration.
      */
-    content: any;
+    constructor(client: IApiClient, config?: IPaginationConfig);
     /**
-     * Gets the underlying (execution) context.
+     * Gets the underlying client.
      *
      * @property
      */
-    context: ApiClientResultContext;
+    client: IApiClient;
+    private getItems(result);
     /**
-     * Gets the response headers.
+     * Gets if there are more pages to load or not.
      *
      * @property
      */
-    headers: HTTP.Headers;
+    hasMore: boolean;
+    /** @inheritdoc */
+    moveNext(): Promise<boolean>;
     /**
-     * Returns the content as wrapped AJAX result object.
+     * Loads the next page.
      *
-     * @return {IAjaxResult<TData>} The ajax result object.
+     * @return {Promise<Enumerable.IEnumerable<T>>} The promise with the items of the page
+     *                                               or (null) if there are no more pages.
+     *                                               It is rejected with the result
+     *                                               if the status code is not 2xx.
      */
-    getAjaxResult<TData>(): IAjaxResult<TData>;
+    nextPage(): Promise<Enumerable.IEnumerable<T>>;
     /**
-     * Returns the content as file.
+     * Gets the number of loaded pages.
      *
-     * @param {String} [destFile] The custom path of the destination file.
-     *
-     * @return {FileSystem.File} The file.
+     * @property
      */
-    getFile(destFile?: string): FileSystem.File;
+    pageCount: number;
     /**
-     * Tries result the content as image source.
+     * Starts again with the first page.
      *
-     * @return {Promise<Image.ImageSource>} The result.
+     * @chainable
      */
-    getImage(): Promise<Image.ImageSource>;
+    reset(): Paginator<T>;
+}
+/**
+ * List of formats for serializing arrays as URL parameters.
+ */
+export declare enum ParamArrayFormat {
     /**
-     * Returns the content as JSON object.
-     *
-     * @return {T} The JSON object.
+     * a=1&a=2
      */
-    getJSON<T>(): T;
+    Repeat = 0,
     /**
-     * Returns the content as string.
-     *
-     * @return {String} The string.
+     * a[]=1&a[]=2
      */
-    getString(): string;
+    Brackets = 1,
     /**
-     * Gets the information about the request.
-     *
-     * @property
+     * a[0]=1&a[1]=2
      */
-    request: IHttpRequest;
+    Indices = 2,
     /**
-     * Gets the raw response.
-     *
-     * @property
+     * a=1,2
      */
-    response: HTTP.HttpResponse;
+    Comma = 3,
 }
 /**
- * Describes an object that prepares a HTTP for authorization.
+ * List of formats for serializing objects as URL parameters.
  */
-export interface IAuthorizer {
+export declare enum ParamObjectFormat {
     /**
-     * Prepares a HTTP request for authorization.
-     *
-     * @param {HTTP.HttpRequestOptions} reqOpts The request options.
+     * a[b]=c
      */
-    prepare(reqOpts: HTTP.HttpRequestOptions): any;
+    Brackets = 0,
+    /**
+     * a.b=c
+     */
+    Dots = 1,
+    /**
+     * a={"b":"c"}
+     */
+    JSON = 2,
 }
 /**
- * Describes a format provider context.
+ * A rate limiter that uses token buckets.
  */
-export interface IFormatProviderContext {
+export declare class RateLimiter {
+    private _buckets;
+    private _config;
     /**
-     * Gets the format expression.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {IRateLimiterConfig} [config] The custom configuration.
      */
-    expression: string;
+    constructor(config?: IRateLimiterConfig);
     /**
-     * Gets if the expression has been handled or not.
+     * Takes a token for a host and waits if needed.
      *
-     * @property
+     * @param {String} host The host.
+     *
+     * @return {Promise<any>} The promise, which is rejected if there is no token in time.
      */
-    handled: boolean;
+    acquire(host: string): Promise<any>;
     /**
-     * Gets the underlying (unhandled) value.
+     * Gets the maximum number of requests that can be sent at once.
      *
      * @property
      */
-    value: any;
-}
-/**
- * Describes an object that stores information about a HTTP request.
- */
-export interface IHttpRequest {
+    capacity: number;
+    private getBucket(host);
     /**
-     * Gets the raw content that is send to the API.
+     * Returns the number of available tokens for a host.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Number} The number of tokens.
      */
-    body: any;
+    getTokens(host: string): number;
     /**
-     * Gets the underlying client.
+     * Resets the buckets.
+     */
+    reset(): void;
+    /**
+     * Gets the number of tokens that are added per second.
      *
      * @property
      */
-    client: IApiClient;
+    tokensPerSecond: number;
     /**
-     * Gets the list of request headers.
+     * Tries to take a token for a host.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Number} 0 if a token has been taken, otherwise the time in milliseconds until the next token is available.
      */
-    headers: any;
+    tryAcquire(host: string): number;
+}
+/**
+ * List of modes for a 'RecordingTransport'.
+ */
+export declare enum RecordingMode {
     /**
-     * Gets the HTTP method.
+     * Replay matching fixtures and record unknown requests.
      */
-    method: string;
+    ReplayOrRecord = 0,
     /**
-     * Gets the URL.
+     * Always send requests and record them.
      */
-    url: string;
+    Record = 1,
+    /**
+     * Only replay fixtures. Unknown requests fail.
+     */
+    Replay = 2,
 }
 /**
- * Describes an entry that stores data for
- * invoke a response action if a predicate matches.
+ * A transport that records requests and their responses as fixtures
+ * and replays them later.
  */
-export interface IIfResponse {
+export declare class RecordingTransport implements ITransport {
+    private _config;
+    private _fixtures;
+    private _loaded;
+    private _used;
     /**
-     * The action to invoke.
+     * Initializes a new instance of that class.
+     *
+     * @param {IRecordingTransportConfig} config The configuration.
+     */
+    constructor(config: IRecordingTransportConfig);
+    /**
+     * Gets the list of current fixtures.
      *
      * @property
      */
-    action: (result: IApiClientResult) => void;
+    fixtures: ITransportFixture[];
+    private findFixture(opts);
     /**
-     * The predicate.
+     * Gets the format of the fixture file.
      *
      * @property
      */
-    predicate?: (ctx: IApiClientResult) => boolean;
-}
-/**
- * Describes an entry that stores data for
- * invoke a response action if a status code matches.
- */
-export interface IIfStatus {
+    format: FixtureFormat;
     /**
-     * The action to invoke.
+     * Loads the fixture file (once).
+     *
+     * @return {Promise<ITransportFixture[]>} The promise with the fixtures.
+     */
+    load(): Promise<ITransportFixture[]>;
+    /**
+     * Gets the mode.
      *
      * @property
      */
-    action: (result: IApiClientResult) => void;
+    mode: RecordingMode;
+    /**
+     * Saves the fixtures to the file.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    save(): Promise<any>;
+    /** @inheritdoc */
+    send(opts: HTTP.HttpRequestOptions, progress?: ITransportProgress): Promise<HTTP.HttpResponse>;
     /**
-     * The predicate.
+     * Returns the fixtures as JSON or YAML string.
      *
-     * @property
+     * @return {String} The fixtures as string.
      */
-    predicate?: (code: number) => boolean;
+    toString(): string;
 }
 /**
- * Describes an object that stores log information.
+ * Shares the response of a request with all identical requests,
+ * which are sent while it is in flight.
  */
-export interface ILogMessage {
+export declare class RequestCoalescer {
+    private _config;
+    private _listeners;
+    private _requests;
     /**
-     * Gets the category.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {IRequestCoalescerConfig} [config] The custom configuration.
      */
-    category: LogCategory;
+    constructor(config?: IRequestCoalescerConfig);
     /**
-     * Gets the message value.
+     * Creates the key of a request.
      *
-     * @property
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     *
+     * @return {String} The key or (null) if the request cannot be shared.
      */
-    message: any;
+    createKey(opts: HTTP.HttpRequestOptions): string;
     /**
-     * Gets the priority.
+     * Gets the number of requests, which are currently in flight.
      *
      * @property
      */
-    priority: LogPriority;
-    /**
-     * Gets the source.
-     */
-    source: LogSource;
+    inFlightCount: number;
     /**
-     * Gets the tag.
+     * Sends a request or returns the response of an identical request, which is in flight.
      *
-     * @property
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {ITransport} transport The transport to use.
+     * @param {ITransportProgress} [progress] The optional object that receives the progress.
+     *
+     * @return {Promise<HTTP.HttpResponse>} The promise with the response.
      */
-    tag: string;
+    send(opts: HTTP.HttpRequestOptions, transport: ITransport, progress?: ITransportProgress): Promise<HTTP.HttpResponse>;
     /**
-     * Gets the timestamp.
+     * Wraps a transport, so its requests are coalesced.
+     *
+     * @param {ITransport} transport The transport to wrap.
+     *
+     * @return {ITransport} The wrapping transport.
      */
-    time: Date;
+    wrap(transport: ITransport): ITransport;
 }
 /**
- * Describes a logger.
+ * A table of named routes.
  */
-export interface ILogger {
+export declare class RouteTable {
+    private _routes;
     /**
-     * Logs an alert message.
-     *
-     * @chainable
+     * Initializes a new instance of that class.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @param {Object} [routes] The initial routes, like { 'users.show': '/users/{id:int}/posts/{slug?}' }.
+     *                          A value can be a template or an 'IRouteDefinition' object.
      */
-    alert(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    constructor(routes?: {
+        [name: string]: string | IRouteDefinition;
+    });
     /**
-     * Logs a critical message.
+     * Adds a route.
      *
      * @chainable
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {String|IRouteDefinition} route The template or the definition of the route.
      */
-    crit(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    add(name: string, route: string | IRouteDefinition): RouteTable;
     /**
-     * Logs a debug message.
+     * Returns the HTTP method of a route.
      *
-     * @chainable
+     * @param {String} name The name of the route.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @return {String} The HTTP method.
      */
-    dbg(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    getMethod(name: string): string;
+    private getRoute(name);
     /**
-     * Logs an emergency message.
+     * Returns the template of a route.
      *
-     * @chainable
+     * @param {String} name The name of the route.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @return {RouteTemplate} The template.
      */
-    emerg(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    getTemplate(name: string): RouteTemplate;
     /**
-     * Logs an error message.
+     * Checks if a route exists.
      *
-     * @chainable
+     * @param {String} name The name of the route.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @return {Boolean} Route exists or not.
      */
-    err(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    has(name: string): boolean;
     /**
-     * Logs an info message.
+     * Gets the names of all routes.
      *
-     * @chainable
+     * @property
+     */
+    names: string[];
+    /**
+     * Removes a route.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @param {String} name The name of the route.
+     *
+     * @return {Boolean} Route has been removed or not.
      */
-    info(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    remove(name: string): boolean;
     /**
-     * Logs a message.
+     * Returns the (encoded) path of a route.
      *
-     * @chainable
+     * @param {String} name The name of the route.
+     * @param {any} [params] The parameters for the route.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogCategory} [category] The optional log category. Default: LogCategory.Debug
-     * @param {LogPriority} [priority] The optional log priority.
+     * @return {String} The path.
      */
-    log(msg: any, tag?: string, category?: LogCategory, priority?: LogPriority): ILogger;
+    resolve(name: string, params?: any): string;
+}
+/**
+ * A route template with typed placeholders, like '/users/{id:int}/posts/{slug?}'.
+ *
+ * Supported constraints: 'alpha', 'bool', 'guid', 'int' and 'number'
+ *
+ * An optional parameter must be the last part of its segment, like '/files/{name}.{ext?}'.
+ * If it is missing, the text in front of it is omitted, too ('/files/readme'),
+ * and a segment is omitted, if it becomes empty.
+ */
+export declare class RouteTemplate {
+    private _parameters;
+    private _segments;
+    private _template;
     /**
-     * Logs a notice message.
+     * Initializes a new instance of that class.
      *
-     * @chainable
+     * @param {String} template The template.
+     */
+    constructor(template: string);
+    /**
+     * Returns the (encoded) path for parameters.
+     * Parameter names are case insensitive.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @param {any} [params] The parameters.
+     *
+     * @return {String} The path.
      */
-    note(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    expand(params?: any): string;
     /**
-     * Logs a trace message.
+     * Checks if a parameter exists. The name is case insensitive.
      *
-     * @chainable
+     * @param {String} name The name of the parameter.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @return {Boolean} Parameter exists or not.
      */
-    trace(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    hasParameter(name: string): boolean;
     /**
-     * Logs a warning message.
+     * Gets the list of parameters.
      *
-     * @chainable
+     * @property
+     */
+    parameters: IRouteParameter[];
+    /**
+     * Gets the template.
      *
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
+     * @property
      */
-    warn(msg: any, tag?: string, priority?: LogPriority): ILogger;
+    template: string;
 }
 /**
- * Describes an object that stores (additional) options for a request.
+ * A cache store that saves its entries in a SQLite database.
  */
-export interface IRequestOptions {
+export declare class SQLiteCacheStore implements IHttpCacheStore {
+    private _db;
+    private _dbName;
+    private _table;
     /**
-     * Gets the authorizer.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-cache.sqlite'
+     * @param {String} [table] The custom name of the table. Default: 'http_cache'
      */
-    authorizer?: IAuthorizer;
+    constructor(dbName?: string, table?: string);
+    /** @inheritdoc */
+    clear(): Promise<any>;
     /**
-     * Gets the content.
+     * Gets the name of the database.
      *
      * @property
      */
-    content?: any;
+    dbName: string;
+    /** @inheritdoc */
+    get(key: string): Promise<IHttpCacheEntry>;
+    private open();
+    /** @inheritdoc */
+    remove(key: string): Promise<any>;
+    /** @inheritdoc */
+    set(key: string, entry: IHttpCacheEntry): Promise<any>;
     /**
-     * Gets the name of the encoding.
+     * Gets the name of the table.
      *
      * @property
      */
-    encoding?: string;
+    table: string;
+}
+/**
+ * A store for a cookie jar that saves its cookies in a SQLite database.
+ */
+export declare class SQLiteCookieStore implements ICookieStore {
+    private _db;
+    private _dbName;
+    private _key;
+    private _table;
     /**
-     * Gets the list of request headers.
+     * Initializes a new instance of that class.
      *
-     * @property
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-cookies.sqlite'
+     * @param {String} [key] The custom key of the cookie jar. Default: 'default'
+     * @param {String} [table] The custom name of the table. Default: 'cookies'
      */
-    headers?: any;
+    constructor(dbName?: string, key?: string, table?: string);
     /**
-     * Gets the URL params to set.
+     * Gets the name of the database.
      *
      * @property
      */
-    params?: any;
+    dbName: string;
     /**
-     * Gets the params for the route to set.
+     * Gets the key of the cookie jar.
      *
      * @property
      */
-    routeParams?: any;
+    key: string;
+    /** @inheritdoc */
+    load(): Promise<ICookie[]>;
+    private open();
+    /** @inheritdoc */
+    save(cookies: ICookie[]): Promise<any>;
     /**
-     * Gets the global object that should be used in any callback.
+     * Gets the name of the table.
      *
      * @property
      */
-    tag?: any;
+    table: string;
+}
+/**
+ * A store for an offline queue that saves its items in a SQLite database.
+ */
+export declare class SQLiteQueueStore implements IOfflineQueueStore {
+    private _db;
+    private _dbName;
+    private _key;
+    private _table;
     /**
-     * Gets the timeout in millisecons.
+     * Initializes a new instance of that class.
+     *
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-queue.sqlite'
+     * @param {String} [key] The custom key of the queue. Default: 'default'
+     * @param {String} [table] The custom name of the table. Default: 'offline_queue'
+     */
+    constructor(dbName?: string, key?: string, table?: string);
+    /**
+     * Gets the name of the database.
      *
      * @property
      */
-    timeout?: number;
+    dbName: string;
     /**
-     * Gets request type.
+     * Gets the key of the queue.
      *
      * @property
      */
-    type?: HttpRequestType;
-}
-/**
- * Describes an object that stores a global value.
- */
-export interface ITagProvider {
+    key: string;
+    /** @inheritdoc */
+    load(): Promise<IOfflineQueueItem[]>;
+    private open();
+    /** @inheritdoc */
+    save(items: IOfflineQueueItem[]): Promise<any>;
     /**
-     * Gets the value that should be linked with that instance.
+     * Gets the name of the table.
      *
      * @property
      */
-    tag: any;
-}
-/**
- * List of log categories.
- */
-export declare enum LogCategory {
-    Emergency = 1,
-    Alert = 2,
-    Critical = 3,
-    Error = 4,
-    Warning = 5,
-    Notice = 6,
-    Info = 7,
-    Debug = 8,
-    Trace = 9,
-}
-/**
- * List of log priorities.
- */
-export declare enum LogPriority {
-    VeryHigh = 1,
-    High = 2,
-    Medium = 3,
-    Low = 4,
-    VeryLow = 5,
+    table: string;
 }
 /**
- * List of log (message) source.
+ * An error that describes a content, which does not match a JSON schema.
  */
-export declare enum LogSource {
+export declare class SchemaValidationError {
+    private _content;
+    private _errors;
+    private _schema;
     /**
-     * From API client.
+     * Initializes a new instance of that class.
+     *
+     * @param {ISchemaError[]} errors The list of violations.
+     * @param {any} content The validated content.
+     * @param {any} schema The schema.
      */
-    Client = 0,
+    constructor(errors: ISchemaError[], content: any, schema: any);
     /**
-     * From "completed" action
+     * Gets the validated content.
+     *
+     * @property
      */
-    Complete = 1,
+    content: any;
     /**
-     * From IApiClientError object
+     * Gets the list of violations.
+     *
+     * @property
      */
-    Error = 2,
+    errors: ISchemaError[];
     /**
-     * From IApiClientResult object
+     * Gets the error messages with their paths.
+     *
+     * @property
      */
-    Result = 3,
-}
-/**
- * OAuth authorizer
- */
-export declare class OAuth implements IAuthorizer {
-    private _fields;
-    /** @inheritdoc */
-    prepare(reqOpts: HTTP.HttpRequestOptions): void;
+    message: string;
     /**
-     * Sets a field.
+     * Gets the report with one violation per line, like
      *
-     * @chainable
+     * #/items/0/name: must be of type 'string', but is 'number' (#/properties/items/items/properties/name/type)
      *
-     * @param {String} name The name of the field.
-     * @param {String} value The value of the field.
+     * @property
      */
-    setField(name: string, value: any): OAuth;
+    report: string;
     /**
-     * Sets a list of fields.
+     * Gets the schema.
      *
-     * @chainable
-     *
-     * @param any ...fields One or more object with fields an their values.
+     * @property
      */
-    setMany(...fields: any[]): OAuth;
+    schema: any;
+    /** @inheritdoc */
+    toString(): string;
 }
 /**
  * Twitter OAuth authorizer.
  */
-export declare class TwitterOAuth extends OAuth {
-    private _consumerKey;
-    private _consumerSecret;
-    private _token;
-    private _tokenSecret;
+export declare class TwitterOAuth extends OAuth1Authorizer {
     /**
      * Initializes a new instance of that class.
      *
@@ -1293,28 +5910,6 @@ export declare class TwitterOAuth extends OAuth {
      * @param {String} tokenSecret The token secret.
      */
     constructor(consumerKey: string, consumerSecret: string, token: string, tokenSecret: string);
-    /** @inheritdoc */
-    prepare(reqOpts: HTTP.HttpRequestOptions): void;
-    /**
-     * Gets or sets the value for "oauth_nonce" (custom random crypto key).
-     */
-    nonce: string;
-    /**
-     * Gets or sets the value for "oauth_signature".
-     */
-    signature: string;
-    /**
-     * Gets or sets the value for "oauth_signature_method".
-     */
-    signatureMethod: string;
-    /**
-     * Gets or sets the value for "oauth_timestamp".
-     */
-    timestamp: Date;
-    /**
-     * Gets or sets the value for "oauth_version".
-     */
-    version: string;
 }
 /**
  * Creates a new client.
@@ -1324,3 +5919,28 @@ export declare class TwitterOAuth extends OAuth {
  * @return {IApiClient} The new client.
  */
 export declare function newClient(config: IApiClientConfig | string): IApiClient;
+/**
+ * Notifies all offline queues about a new connectivity type.
+ * If the device is online again, the queues send their requests.
+ *
+ * @param {Number} newType The new connectivity type.
+ */
+export declare function notifyConnectivityChanged(newType: number): void;
+/**
+ * Registers a global decoder that is used by 'IApiClientResult.getContent()'
+ * for a specific content type.
+ *
+ * @param {String|RegExp} mime The MIME type, like 'text/csv' or 'text/*'.
+ * @param {Function} decoder The function that decodes the response.
+ */
+export declare function registerDecoder(mime: string | RegExp, decoder: (ctx: IContentDecoderContext) => any): void;
+/**
+ * Validates a (JSON) value against a JSON schema (draft-07).
+ * Only local references ('$ref'), like '#/definitions/item', are supported.
+ *
+ * @param {any} value The value to validate.
+ * @param {any} schema The schema.
+ *
+ * @return {ISchemaError[]} The list of violations, which is empty if the value is valid.
+ */
+export declare function validateSchema(value: any, schema: any): ISchemaError[];
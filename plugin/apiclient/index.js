@@ -21,9 +21,29 @@
 // FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
 // DEALINGS IN THE SOFTWARE.
 Object.defineProperty(exports, "__esModule", { value: true });
+var Application = require("application");
+var Connectivity = require("connectivity");
+var Enumerable = require("../enumerable");
+var FileSystem = require("file-system");
 var HTTP = require("http");
+var Observable = require("data/observable");
 var TypeUtils = require("utils/types");
 var Xml = require("xml");
+var XmlObjects = require("../xmlobjects");
+var Base64 = require("../crypto-js/enc-base64");
+var Hex = require("../crypto-js/enc-hex");
+var HmacMD5 = require("../crypto-js/hmac-md5");
+var HmacSHA1 = require("../crypto-js/hmac-sha1");
+var HmacSHA256 = require("../crypto-js/hmac-sha256");
+var HmacSHA512 = require("../crypto-js/hmac-sha512");
+var MD5 = require("../crypto-js/md5");
+var Markdown = require("../markdown").markdown;
+var SHA1 = require("../crypto-js/sha1");
+var SHA256 = require("../crypto-js/sha256");
+var SHA512 = require("../crypto-js/sha512");
+var Sqlite = require("../sqlite");
+var Utf8 = require("../crypto-js/enc-utf8");
+var Yaml = require("../js-yaml");
 /**
  * A basic logger.
  */
@@ -107,11 +127,35 @@ var AggregateAuthorizer = (function () {
         }
     };
     /** @inheritdoc */
+    AggregateAuthorizer.prototype.interceptResponse = function (ctx) {
+        var me = this;
+        var i = 0;
+        var next = function () {
+            while (!ctx.isStopped && i < me._authorizers.length) {
+                var a = me._authorizers[i++];
+                if (!TypeUtils.isNullOrUndefined(a.interceptResponse)) {
+                    return Promise.resolve(a.interceptResponse(ctx))
+                        .then(next);
+                }
+            }
+        };
+        return next();
+    };
+    /** @inheritdoc */
     AggregateAuthorizer.prototype.prepare = function (reqOpts) {
-        for (var i = 0; i < this._authorizers.length; i++) {
-            this._authorizers[i]
-                .prepare(reqOpts);
-        }
+        var me = this;
+        // sync as long as all authorizers are sync
+        var i = 0;
+        var next = function () {
+            while (i < me._authorizers.length) {
+                var result = me._authorizers[i++]
+                    .prepare(reqOpts);
+                if (isThenable(result)) {
+                    return result.then(next);
+                }
+            }
+        };
+        return next();
     };
     return AggregateAuthorizer;
 }());
@@ -121,19 +165,74 @@ var ApiClient = (function (_super) {
     function ApiClient(cfg) {
         var _this = _super.call(this) || this;
         _this.beforeSendActions = [];
+        _this.decoders = [];
+        _this.errorInterceptors = [];
         _this.formatProviders = [];
         _this.ifEntries = [];
         _this.logActions = [];
+        _this.requestInterceptors = [];
+        _this.responseInterceptors = [];
         _this.baseUrl = cfg.baseUrl;
         _this.headers = cfg.headers;
         _this.route = cfg.route;
         _this.routeParams = cfg.routeParams;
         _this.params = cfg.params;
         _this.authorizer = cfg.authorizer;
+        _this.cache = cfg.cache;
+        if (!TypeUtils.isNullOrUndefined(cfg.circuitBreaker)) {
+            _this.circuitBreaker = new CircuitBreaker(cfg.circuitBreaker);
+            _this.circuitBreaker.logger = _this;
+        }
+        if (!TypeUtils.isNullOrUndefined(cfg.rateLimiter)) {
+            _this.rateLimiter = new RateLimiter(cfg.rateLimiter);
+        }
+        if (!TypeUtils.isNullOrUndefined(cfg.routes)) {
+            _this.routes = cfg.routes instanceof RouteTable ? cfg.routes : new RouteTable(cfg.routes);
+        }
+        _this.coalescer = cfg.coalescer;
+        _this.setCookieJar(cfg.cookieJar);
+        _this.harRecorder = cfg.harRecorder;
+        _this.maxReplays = cfg.maxReplays;
+        _this.retryPolicy = cfg.retryPolicy;
+        _this.schema = cfg.schema;
+        _this.transport = cfg.transport;
+        _this.paramArrayFormat = cfg.paramArrayFormat;
+        _this.paramObjectFormat = cfg.paramObjectFormat;
+        // offline queue
+        if (!TypeUtils.isNullOrUndefined(cfg.offlineQueue)) {
+            _this.enableOfflineQueue(cfg.offlineQueue);
+        }
         // beforeSend()
         if (!TypeUtils.isNullOrUndefined(cfg.beforeSend)) {
             _this.beforeSend(cfg.beforeSend);
         }
+        // decoders
+        if (!TypeUtils.isNullOrUndefined(cfg.decoders)) {
+            for (var i = 0; i < cfg.decoders.length; i++) {
+                var de = cfg.decoders[i];
+                if (!TypeUtils.isNullOrUndefined(de)) {
+                    _this.addDecoder(de.mime, de.decoder);
+                }
+            }
+        }
+        // interceptors
+        if (!TypeUtils.isNullOrUndefined(cfg.interceptors)) {
+            var interceptorLists = [
+                [cfg.interceptors.request, _this.requestInterceptors],
+                [cfg.interceptors.response, _this.responseInterceptors],
+                [cfg.interceptors.error, _this.errorInterceptors],
+            ];
+            for (var i = 0; i < interceptorLists.length; i++) {
+                var srcList = interceptorLists[i][0];
+                if (!TypeUtils.isNullOrUndefined(srcList)) {
+                    for (var j = 0; j < srcList.length; j++) {
+                        if (!TypeUtils.isNullOrUndefined(srcList[j])) {
+                            interceptorLists[i][1].push(srcList[j]);
+                        }
+                    }
+                }
+            }
+        }
         // success action
         if (!TypeUtils.isNullOrUndefined(cfg.success)) {
             _this.successAction = cfg.success;
@@ -207,6 +306,15 @@ var ApiClient = (function (_super) {
         }
         return _this;
     }
+    ApiClient.prototype.addDecoder = function (mime, decoder) {
+        if (!TypeUtils.isNullOrUndefined(decoder)) {
+            this.decoders.push({
+                decoder: decoder,
+                mime: mime,
+            });
+        }
+        return this;
+    };
     ApiClient.prototype.addFormatProvider = function (provider) {
         if (!TypeUtils.isNullOrUndefined(provider)) {
             this.formatProviders.push(provider);
@@ -229,6 +337,27 @@ var ApiClient = (function (_super) {
         this.beforeSendActions.push(beforeAction);
         return this;
     };
+    ApiClient.prototype.call = function (name, params, opts) {
+        var me = this;
+        var callOpts = getOwnProperties(opts) || {};
+        var method;
+        try {
+            callOpts.url = me.urlFor(name, params);
+            method = me.routes.getMethod(name);
+        }
+        catch (e) {
+            // unknown routes and invalid parameters
+            // fail like requests do
+            me.err("[INVALID REQUEST]: " + e, "Route[" + name + "]");
+            return createRejectedRequest(me, {
+                headers: getOwnProperties(callOpts.headers) || {},
+                method: method,
+                url: callOpts.url,
+            }, e, ApiClientErrorContext.InvalidRequest, callOpts.tag);
+        }
+        me.dbg("Route[" + name + "]: " + callOpts.url, "HttpRequestOptions");
+        return me.request(method, callOpts);
+    };
     ApiClient.prototype.clientError = function (clientErrAction) {
         return this.ifStatus(function (code) { return code >= 400 && code <= 499; }, clientErrAction);
     };
@@ -248,7 +377,223 @@ var ApiClient = (function (_super) {
         return new LogMessage(LogSource.Client, new Date(), msg, tag, category, priority);
     };
     ApiClient.prototype.delete = function (opts) {
-        this.request("DELETE", opts);
+        return this.request("DELETE", opts);
+    };
+    ApiClient.prototype.download = function (destFile, opts) {
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(opts)) {
+            opts = {};
+        }
+        var allowFullContent = true === opts.allowFullContent;
+        var chunkSize = TypeUtils.isNullOrUndefined(opts.chunkSize) ? 1048576 : opts.chunkSize;
+        var downloadProgress = opts.downloadProgress;
+        var storage = opts.storage || AppSettingsStorage;
+        var validatorKey = "apiclient.downloads." + destFile;
+        var offset = 0;
+        var validator;
+        if (FileSystem.File.exists(destFile)) {
+            if (false !== opts.resume) {
+                // a partial file can only be resumed with the validator
+                // of its content, otherwise a changed content would be mixed up
+                validator = storage.getValue(validatorKey);
+                if (!isEmptyString(validator)) {
+                    offset = getFileSize(destFile);
+                }
+            }
+            if (offset < 1) {
+                FileSystem.File.fromPath(destFile).removeSync();
+            }
+        }
+        var cancelReason;
+        var currentRequest;
+        var isCancelled = false;
+        var lastResult;
+        var total = -1;
+        var promise = new Promise(function (resolve, reject) {
+            // the actions of the client are invoked once,
+            // for the last response or the error of the download
+            var getLastRequest = function () {
+                return TypeUtils.isNullOrUndefined(lastResult) ? undefined : lastResult.request;
+            };
+            var fail = function (err) {
+                if (err instanceof ApiClientResult) {
+                    // unexpected status code
+                    try {
+                        invokeResultActions(me, err);
+                        invokeCompleteAction(me, err.request, err, undefined, err.tag, []);
+                    }
+                    catch (e) {
+                        me.crit("[FATAL ERROR]: " + e, "Download::" + destFile);
+                    }
+                    reject(err);
+                    return;
+                }
+                if (!(err instanceof ApiClientError)) {
+                    err = new ApiClientError(me, getLastRequest(), err, ApiClientErrorContext.Exception, opts.tag);
+                }
+                try {
+                    invokeErrorActions(me, err, []);
+                }
+                catch (e) {
+                    me.crit("[FATAL ERROR]: " + e, "Download::" + destFile);
+                }
+                if (err.handled ||
+                    ApiClientErrorContext.Cancelled === err.context) {
+                    // s. request()
+                    promise.catch(function () { });
+                }
+                reject(err);
+            };
+            var complete = function (file) {
+                storage.removeValue(validatorKey);
+                try {
+                    invokeResultActions(me, lastResult);
+                    invokeCompleteAction(me, lastResult.request, lastResult, undefined, lastResult.tag, []);
+                }
+                catch (e) {
+                    fail(e);
+                    return;
+                }
+                resolve(file);
+            };
+            var restart = function () {
+                if (FileSystem.File.exists(destFile)) {
+                    FileSystem.File.fromPath(destFile).removeSync();
+                }
+                storage.removeValue(validatorKey);
+                offset = 0;
+                validator = undefined;
+            };
+            // asks the server via HEAD request if it supports range requests,
+            // because the HTTP module buffers a complete content in memory
+            var probe = function () {
+                if (chunkSize <= 0) {
+                    // complete content requested
+                    nextChunk();
+                    return;
+                }
+                var probeOpts = getOwnProperties(opts);
+                probeOpts.cacheMode = HttpCacheMode.Bypass;
+                probeOpts.downloadProgress = undefined;
+                probeOpts.headers = getOwnProperties(opts.headers) || {};
+                probeOpts.invokeActions = false;
+                currentRequest = me.request("HEAD", probeOpts);
+                currentRequest.then(function (result) {
+                    lastResult = result;
+                    if (result.code < 200 || result.code > 299) {
+                        // HEAD is not supported,
+                        // so the answers of the range requests decide
+                        nextChunk();
+                        return;
+                    }
+                    var acceptRanges = getHeaderValue(result.headers, "Accept-Ranges") || "";
+                    var length = parseInt(getHeaderValue(result.headers, "Content-Length"));
+                    if (!/(^|,)\s*bytes\s*(,|$)/i.test(acceptRanges)) {
+                        if (!allowFullContent && !(length <= chunkSize)) {
+                            throw "The server does not support range requests! Set 'allowFullContent' to download the complete content at once.";
+                        }
+                        // cannot be resumed
+                        restart();
+                        chunkSize = 0;
+                    }
+                    else if (!isEmptyString(validator) &&
+                        validator !== (getHeaderValue(result.headers, "ETag") || getHeaderValue(result.headers, "Last-Modified"))) {
+                        // content has been changed
+                        restart();
+                    }
+                    nextChunk();
+                }).then(null, fail);
+            };
+            var nextChunk = function () {
+                if (total > -1 && offset >= total) {
+                    complete(FileSystem.File.fromPath(destFile));
+                    return;
+                }
+                if (isCancelled) {
+                    fail(new ApiClientError(me, getLastRequest(), cancelReason, ApiClientErrorContext.Cancelled, opts.tag));
+                    return;
+                }
+                var chunkOffset = offset;
+                var isRangeRequest = chunkSize > 0 || chunkOffset > 0;
+                var chunkOpts = getOwnProperties(opts);
+                chunkOpts.cacheMode = HttpCacheMode.Bypass;
+                chunkOpts.headers = getOwnProperties(opts.headers) || {};
+                chunkOpts.invokeActions = false;
+                if (isRangeRequest) {
+                    chunkOpts.headers["Range"] = "bytes=" + chunkOffset + "-" + (chunkSize > 0 ? (chunkOffset + chunkSize - 1) : "");
+                    // get the complete content, if it has been changed
+                    if (!isEmptyString(validator)) {
+                        chunkOpts.headers["If-Range"] = validator;
+                    }
+                }
+                if (!TypeUtils.isNullOrUndefined(downloadProgress)) {
+                    chunkOpts.downloadProgress = function (e) {
+                        // the total of a range is not the one of the content
+                        var overallTotal = total;
+                        if (overallTotal < 0 && !isRangeRequest) {
+                            overallTotal = e.total;
+                        }
+                        downloadProgress(createProgressEvent(chunkOffset + e.loaded, overallTotal));
+                    };
+                }
+                currentRequest = me.get(chunkOpts);
+                currentRequest.then(function (result) {
+                    lastResult = result;
+                    var range = parseContentRange(getHeaderValue(result.headers, "Content-Range"));
+                    switch (result.code) {
+                        case 200:
+                            // server sent the complete content (s. probe()),
+                            // which replaces the partial file
+                            complete(result.getFile(destFile));
+                            return;
+                        case 206:
+                            if (TypeUtils.isNullOrUndefined(range) ||
+                                range.start !== chunkOffset) {
+                                throw "Unexpected content range '" + getHeaderValue(result.headers, "Content-Range") + "'!";
+                            }
+                            appendToFile(destFile, result.response.content.raw);
+                            if (isEmptyString(validator)) {
+                                validator = getHeaderValue(result.headers, "ETag") ||
+                                    getHeaderValue(result.headers, "Last-Modified");
+                                if (!isEmptyString(validator)) {
+                                    storage.setValue(validator, validatorKey);
+                                }
+                            }
+                            offset = range.end + 1;
+                            total = range.total;
+                            if (total < 0 &&
+                                (chunkSize <= 0 || (range.end - range.start + 1) < chunkSize)) {
+                                // unknown length and last chunk
+                                total = offset;
+                            }
+                            nextChunk();
+                            return;
+                        case 416:
+                            if (!TypeUtils.isNullOrUndefined(range) &&
+                                range.total === chunkOffset) {
+                                // already complete
+                                complete(FileSystem.File.fromPath(destFile));
+                                return;
+                            }
+                            break;
+                    }
+                    throw result;
+                }).then(null, fail);
+            };
+            probe();
+        });
+        promise.cancel = function (reason) {
+            isCancelled = true;
+            cancelReason = reason;
+            if (!TypeUtils.isNullOrUndefined(currentRequest)) {
+                currentRequest.cancel(reason);
+            }
+        };
+        return promise;
+    };
+    ApiClient.prototype.enableOfflineQueue = function (config) {
+        this.offlineQueue = new OfflineQueue(this, config);
+        return this;
     };
     ApiClient.prototype.error = function (errAction) {
         this.errorAction = errAction;
@@ -266,6 +611,9 @@ var ApiClient = (function (_super) {
     ApiClient.prototype.gone = function (goneAction) {
         return this.status(410, goneAction);
     };
+    ApiClient.prototype.graphQL = function (config) {
+        return new GraphQLClient(this, config);
+    };
     ApiClient.prototype.if = function (predicate, statusAction) {
         this.ifEntries.push({
             action: statusAction,
@@ -291,12 +639,36 @@ var ApiClient = (function (_super) {
     ApiClient.prototype.insufficientStorage = function (insufficientAction) {
         return this.status(507, insufficientAction);
     };
+    ApiClient.prototype.interceptError = function (interceptor) {
+        if (!TypeUtils.isNullOrUndefined(interceptor)) {
+            this.errorInterceptors.push(interceptor);
+        }
+        return this;
+    };
+    ApiClient.prototype.interceptRequest = function (interceptor) {
+        if (!TypeUtils.isNullOrUndefined(interceptor)) {
+            this.requestInterceptors.push(interceptor);
+        }
+        return this;
+    };
+    ApiClient.prototype.interceptResponse = function (interceptor) {
+        if (!TypeUtils.isNullOrUndefined(interceptor)) {
+            this.responseInterceptors.push(interceptor);
+        }
+        return this;
+    };
     ApiClient.prototype.internalServerError = function (errAction) {
         return this.status(500, errAction);
     };
+    ApiClient.prototype.jsonRpc = function (config) {
+        return new JsonRpcClient(this, config);
+    };
     ApiClient.prototype.locked = function (lockedAction) {
         return this.status(423, lockedAction);
     };
+    ApiClient.prototype.longPoll = function (config) {
+        return new LongPollClient(this, config);
+    };
     ApiClient.prototype.methodNotAllowed = function (notAllowedAction) {
         return this.status(405, notAllowedAction);
     };
@@ -315,6 +687,14 @@ var ApiClient = (function (_super) {
     ApiClient.prototype.onLog = function (msg) {
         invokeLogActions(this, msg);
     };
+    ApiClient.prototype.paginate = function (config) {
+        if (typeof config !== "object") {
+            config = {
+                strategy: config,
+            };
+        }
+        return new Paginator(this, config);
+    };
     ApiClient.prototype.partialContent = function (partialAction) {
         return this.status(206, partialAction);
     };
@@ -335,194 +715,249 @@ var ApiClient = (function (_super) {
     };
     ApiClient.prototype.request = function (method, opts) {
         var me = this;
-        var convertToString = function (val) {
-            if (TypeUtils.isNullOrUndefined(val)) {
-                return null;
-            }
-            if (typeof val !== "string") {
-                val = JSON.stringify(getOwnProperties(val));
+        // send later?
+        var offlineQueue = me.offlineQueue;
+        if (!TypeUtils.isNullOrUndefined(offlineQueue) &&
+            offlineQueue.shouldEnqueue(methodToString(method))) {
+            return offlineQueue.enqueue(methodToString(method), opts);
+        }
+        var httpRequestOpts = {};
+        var tag = TypeUtils.isNullOrUndefined(opts) ? undefined : opts.tag;
+        // setup the request
+        // 
+        // errors, like invalid parameters, reject the promise
+        // like all other errors
+        try {
+            var convertToString = function (val) {
+                if (TypeUtils.isNullOrUndefined(val)) {
+                    return null;
+                }
+                if (typeof val === "object") {
+                    val = JSON.stringify(getOwnProperties(val));
+                }
+                return "" + val;
+            };
+            // the URL is encoded part by part:
+            // base URL and route with 'encodeURI()',
+            // values of parameters with 'encodeURIComponent()'
+            var url = encodeURI(this.baseUrl);
+            var route = me.route;
+            var hasCustomUrl = !TypeUtils.isNullOrUndefined(opts) &&
+                !isEmptyString(opts.url);
+            if (hasCustomUrl) {
+                // URL is already encoded,
+                // like a 'next' link of a paged resource
+                url = opts.url;
+                route = null;
             }
-            return val;
-        };
-        var url = this.baseUrl;
-        var route = me.route;
-        if (!isEmptyString(route)) {
-            if ("/" !== url.substring(url.length - 1)) {
-                url += "/";
-            }
-            // collect route parameters
-            var routeParams = {};
-            if (!TypeUtils.isNullOrUndefined(opts)) {
-                var allRouteParams = [getOwnProperties(me.routeParams), getOwnProperties(opts.routeParams)];
-                for (var i = 0; i < allRouteParams.length; i++) {
-                    var routeParamsTemp = allRouteParams[i];
-                    if (TypeUtils.isNullOrUndefined(routeParamsTemp)) {
-                        continue;
+            if (!isEmptyString(route)) {
+                if ("/" !== url.substring(url.length - 1)) {
+                    url += "/";
+                }
+                // collect route parameters
+                var routeParams = {};
+                {
+                    var allRouteParams = [getOwnProperties(me.routeParams)];
+                    if (!TypeUtils.isNullOrUndefined(opts)) {
+                        allRouteParams.push(getOwnProperties(opts.routeParams));
                     }
-                    var alreadyHandledParamNames = {};
-                    for (var rpt in routeParamsTemp) {
-                        var routeParamName = rpt.toLowerCase().trim();
-                        if (alreadyHandledParamNames[routeParamName] === true) {
-                            throw "Route parameter '" + routeParamName + "' is ALREADY defined!";
+                    for (var i = 0; i < allRouteParams.length; i++) {
+                        var routeParamsTemp = allRouteParams[i];
+                        if (TypeUtils.isNullOrUndefined(routeParamsTemp)) {
+                            continue;
+                        }
+                        var alreadyHandledParamNames = {};
+                        for (var rpt in routeParamsTemp) {
+                            var routeParamName = rpt.toLowerCase().trim();
+                            if (alreadyHandledParamNames[routeParamName] === true) {
+                                throw "Route parameter '" + routeParamName + "' is ALREADY defined!";
+                            }
+                            routeParams[routeParamName] = routeParamsTemp[rpt];
+                            alreadyHandledParamNames[routeParamName] = true;
                         }
-                        routeParams[routeParamName] = routeParamsTemp[rpt];
-                        alreadyHandledParamNames[routeParamName] = true;
                     }
                 }
-            }
-            // parse route parameters
-            route = route.replace(/{(([^\:]+))(\:)?([^}]*)}/g, function (match, paramName, formatSeparator, formatExpr) {
-                paramName = paramName.toLowerCase().trim();
-                var paramValue = routeParams[paramName];
-                var funcDepth = -1;
-                while (typeof paramValue === "function") {
-                    paramValue = paramValue(paramName, routeParams, match, formatExpr, ++funcDepth);
-                }
-                if (formatSeparator === ':') {
-                    // use format providers
-                    for (var i = 0; i < me.formatProviders.length; i++) {
-                        var fp = me.formatProviders[i];
-                        var fpCtx = new FormatProviderContext(formatExpr, paramValue);
-                        var fpResult = fp(fpCtx);
-                        if (fpCtx.handled) {
-                            // handled: first wins
-                            paramValue = fpResult;
-                            break;
+                // parse route parameters
+                var encodedRoute = "";
+                var lastRouteIndex = 0;
+                route.replace(/{([^\:}]+)(\:)?([^}]*)}/g, function (match, paramName, formatSeparator, formatExpr, offset) {
+                    paramName = paramName.toLowerCase().trim();
+                    var paramValue = routeParams[paramName];
+                    var funcDepth = -1;
+                    while (typeof paramValue === "function") {
+                        paramValue = paramValue(paramName, routeParams, match, formatExpr, ++funcDepth);
+                    }
+                    if (formatSeparator === ':') {
+                        // use format providers
+                        for (var i = 0; i < me.formatProviders.length; i++) {
+                            var fp = me.formatProviders[i];
+                            var fpCtx = new FormatProviderContext(formatExpr, paramValue);
+                            var fpResult = fp(fpCtx);
+                            if (fpCtx.handled) {
+                                // handled: first wins
+                                paramValue = fpResult;
+                                break;
+                            }
                         }
                     }
+                    if (paramValue === undefined) {
+                        throw "Route parameter '" + paramName + "' is NOT defined!";
+                    }
+                    encodedRoute += encodeURI(route.substring(lastRouteIndex, offset)) +
+                        encodeURIComponent(convertToString(paramValue));
+                    lastRouteIndex = offset + match.length;
+                    return match;
+                });
+                url += encodedRoute + encodeURI(route.substring(lastRouteIndex));
+            }
+            // request headers
+            httpRequestOpts.headers = {};
+            {
+                var allRequestHeaders = [getOwnProperties(me.headers)];
+                if (!TypeUtils.isNullOrUndefined(opts)) {
+                    allRequestHeaders.push(getOwnProperties(opts.headers));
                 }
-                if (paramValue === undefined) {
-                    throw "Route parameter '" + paramName + "' is NOT defined!";
+                for (var i = 0; i < allRequestHeaders.length; i++) {
+                    var requestHeaders = allRequestHeaders[i];
+                    if (TypeUtils.isNullOrUndefined(requestHeaders)) {
+                        continue;
+                    }
+                    for (var rqh in requestHeaders) {
+                        httpRequestOpts.headers[rqh] = requestHeaders[rqh];
+                    }
                 }
-                return convertToString(paramValue);
-            });
-            url += route;
-        }
-        var httpRequestOpts = {};
-        // request headers
-        httpRequestOpts.headers = {};
-        {
-            var allRequestHeaders = [getOwnProperties(me.headers)];
-            if (!TypeUtils.isNullOrUndefined(opts)) {
-                allRequestHeaders.push(getOwnProperties(opts.headers));
             }
-            for (var i = 0; i < allRequestHeaders.length; i++) {
-                var requestHeaders = allRequestHeaders[i];
-                if (TypeUtils.isNullOrUndefined(requestHeaders)) {
-                    continue;
+            // URL parameters
+            {
+                var allUrlParams = [hasCustomUrl ? null : getOwnProperties(me.params)];
+                if (!TypeUtils.isNullOrUndefined(opts)) {
+                    allUrlParams.push(getOwnProperties(opts.params));
+                }
+                var urlParamCount = 0;
+                var urlParamPairs = [];
+                for (var i = 0; i < allUrlParams.length; i++) {
+                    var urlParams = allUrlParams[i];
+                    if (TypeUtils.isNullOrUndefined(urlParams)) {
+                        continue;
+                    }
+                    for (var up in urlParams) {
+                        var urlParamName = up;
+                        var funcDepth = 0;
+                        var urlParamValue = urlParams[up];
+                        while (typeof urlParamValue === "function") {
+                            urlParamValue = urlParamValue(urlParamName, urlParamCount, funcDepth++);
+                        }
+                        serializeParam(urlParamName, urlParamValue, me.paramArrayFormat, me.paramObjectFormat, urlParamPairs);
+                        ++urlParamCount;
+                    }
                 }
-                for (var rqh in requestHeaders) {
-                    httpRequestOpts.headers[rqh] = requestHeaders[rqh];
+                if (urlParamPairs.length > 0) {
+                    url += url.indexOf("?") > -1 ? "&" : "?";
+                    url += urlParamPairs.map(function (p) { return encodeURIComponent(p[0]) + "=" + encodeURIComponent(p[1]); })
+                        .join("&");
                 }
             }
-        }
-        // URL parameters
-        {
-            var allUrlParams = [getOwnProperties(me.params)];
             if (!TypeUtils.isNullOrUndefined(opts)) {
-                allUrlParams.push(getOwnProperties(opts.params));
+                // timeout
+                if (!TypeUtils.isNullOrUndefined(opts.timeout)) {
+                    httpRequestOpts.timeout = opts.timeout;
+                }
             }
-            var urlParamCount = 0;
-            var urlParamSuffix = "?";
-            for (var i = 0; i < allUrlParams.length; i++) {
-                var urlParams = allUrlParams[i];
-                if (TypeUtils.isNullOrUndefined(urlParams)) {
-                    continue;
+            var authorizer = me.authorizer;
+            var content;
+            var encoding = "utf-8";
+            var contentConverter = function (c) { return c; };
+            if (!TypeUtils.isNullOrUndefined(opts)) {
+                content = opts.content;
+                // encoding
+                if (!isEmptyString(opts.encoding)) {
+                    encoding = opts.encoding.toLowerCase().trim();
                 }
-                for (var up in urlParams) {
-                    if (urlParamCount > 0) {
-                        urlParamSuffix += "&";
-                    }
-                    var urlParamName = up;
-                    var funcDepth = 0;
-                    var urlParamValue = urlParams[up];
-                    while (typeof urlParamValue === "function") {
-                        urlParamValue = urlParamValue(urlParamName, urlParamCount, funcDepth++);
+                // request type
+                if (!TypeUtils.isNullOrUndefined(opts.type)) {
+                    switch (opts.type) {
+                        case HttpRequestType.Binary:
+                            httpRequestOpts.headers["Content-type"] = "application/octet-stream";
+                            break;
+                        case HttpRequestType.Form:
+                            httpRequestOpts.headers["Content-type"] = "application/x-www-form-urlencoded";
+                            contentConverter = function (c) {
+                                if (null === c || typeof c === "string") {
+                                    return c;
+                                }
+                                var formPairs = [];
+                                for (var fp in c) {
+                                    if (c.hasOwnProperty(fp)) {
+                                        serializeParam(fp, c[fp], me.paramArrayFormat, me.paramObjectFormat, formPairs);
+                                    }
+                                }
+                                return formPairs.map(function (p) { return encodeURIComponent(p[0]) + "=" + encodeURIComponent(p[1]); })
+                                    .join("&");
+                            };
+                            break;
+                        case HttpRequestType.JSON:
+                            httpRequestOpts.headers["Content-type"] = "application/json; charset=" + encoding;
+                            contentConverter = function (c) {
+                                if (null !== c) {
+                                    c = JSON.stringify(c);
+                                }
+                                return c;
+                            };
+                            break;
+                        case HttpRequestType.Multipart:
+                            var boundary = "----NativeScriptToolbox" + createRandomHex(24);
+                            httpRequestOpts.headers["Content-type"] = "multipart/form-data; boundary=" + boundary;
+                            contentConverter = function (c) {
+                                if (null === c || typeof c === "string") {
+                                    return c;
+                                }
+                                return createMultipartBody(c, boundary);
+                            };
+                            break;
+                        case HttpRequestType.Text:
+                            httpRequestOpts.headers["Content-type"] = "text/plain; charset=" + encoding;
+                            contentConverter = function (c) {
+                                return convertToString(c);
+                            };
+                            break;
+                        case HttpRequestType.Xml:
+                            httpRequestOpts.headers["Content-type"] = "text/xml; charset=" + encoding;
+                            contentConverter = function (c) {
+                                c = convertToString(c);
+                                if (null !== c) {
+                                    var isValidXml = true;
+                                    var xmlParser = new Xml.XmlParser(function () { }, function (error) {
+                                        isValidXml = false;
+                                    });
+                                    xmlParser.parse(c);
+                                    if (!isValidXml) {
+                                        throw "XML parse error.";
+                                    }
+                                }
+                                return c;
+                            };
+                            break;
                     }
-                    urlParamSuffix += urlParamName + "=" + urlParamValue;
-                    ++urlParamCount;
                 }
+                authorizer = opts.authorizer || authorizer;
             }
-            if (urlParamCount > 0) {
-                url += urlParamSuffix;
-            }
-        }
-        if (!TypeUtils.isNullOrUndefined(opts)) {
-            // timeout
-            if (!TypeUtils.isNullOrUndefined(opts.timeout)) {
-                httpRequestOpts.timeout = opts.timeout;
+            if (TypeUtils.isNullOrUndefined(content)) {
+                content = null;
             }
-        }
-        var authorizer = me.authorizer;
-        var content;
-        var encoding = "utf-8";
-        var tag;
-        var contentConverter = function (c) { return c; };
-        if (!TypeUtils.isNullOrUndefined(opts)) {
-            content = opts.content;
-            tag = opts.tag;
-            // encoding
-            if (!isEmptyString(opts.encoding)) {
-                encoding = opts.encoding.toLowerCase().trim();
-            }
-            // request type
-            if (!TypeUtils.isNullOrUndefined(opts.type)) {
-                switch (opts.type) {
-                    case HttpRequestType.Binary:
-                        httpRequestOpts.headers["Content-type"] = "application/octet-stream";
-                        break;
-                    case HttpRequestType.JSON:
-                        httpRequestOpts.headers["Content-type"] = "application/json; charset=" + encoding;
-                        contentConverter = function (c) {
-                            if (null !== c) {
-                                c = JSON.stringify(c);
-                            }
-                            return c;
-                        };
-                        break;
-                    case HttpRequestType.Text:
-                        httpRequestOpts.headers["Content-type"] = "text/plain; charset=" + encoding;
-                        contentConverter = function (c) {
-                            return convertToString(c);
-                        };
-                        break;
-                    case HttpRequestType.Xml:
-                        httpRequestOpts.headers["Content-type"] = "text/xml; charset=" + encoding;
-                        contentConverter = function (c) {
-                            c = convertToString(c);
-                            if (null !== c) {
-                                var isValidXml = true;
-                                var xmlParser = new Xml.XmlParser(function () { }, function (error) {
-                                    isValidXml = false;
-                                });
-                                xmlParser.parse(c);
-                                if (!isValidXml) {
-                                    throw "XML parse error.";
-                                }
-                            }
-                            return c;
-                        };
-                        break;
-                }
+            httpRequestOpts.url = url;
+            httpRequestOpts.method = methodToString(method);
+            httpRequestOpts.content = contentConverter(content);
+            // before send actions
+            for (var i = 0; i < me.beforeSendActions.length; i++) {
+                var bsa = me.beforeSendActions[i];
+                bsa(httpRequestOpts, tag);
             }
-            authorizer = opts.authorizer || authorizer;
-        }
-        // authorization
-        if (!TypeUtils.isNullOrUndefined(authorizer)) {
-            authorizer.prepare(httpRequestOpts);
+            var httpReq = new HttpRequest(me, httpRequestOpts);
         }
-        if (TypeUtils.isNullOrUndefined(content)) {
-            content = null;
-        }
-        httpRequestOpts.url = encodeURI(url);
-        httpRequestOpts.method = methodToString(method);
-        httpRequestOpts.content = contentConverter(content);
-        // before send actions
-        for (var i = 0; i < me.beforeSendActions.length; i++) {
-            var bsa = me.beforeSendActions[i];
-            bsa(httpRequestOpts, tag);
+        catch (e) {
+            me.err("[INVALID REQUEST]: " + e, "HttpRequestOptions");
+            return createRejectedRequest(me, httpRequestOpts, e, ApiClientErrorContext.InvalidRequest, tag);
         }
-        var httpReq = new HttpRequest(me, httpRequestOpts);
         me.dbg("URL: " + httpRequestOpts.url, "HttpRequestOptions");
         me.dbg("Method: " + httpRequestOpts.method, "HttpRequestOptions");
         for (var rp in routeParams) {
@@ -536,73 +971,497 @@ var ApiClient = (function (_super) {
         var getLogTag = function () {
             return "HttpRequest::" + httpRequestOpts.url;
         };
+        var resolvePromise;
+        var rejectPromise;
+        var promise = new Promise(function (resolve, reject) {
+            resolvePromise = resolve;
+            rejectPromise = reject;
+        });
+        var attempts = [];
+        var isFinished = false;
+        var retryTimer;
+        var cancellationToken;
+        if (!TypeUtils.isNullOrUndefined(opts)) {
+            cancellationToken = opts.cancellationToken;
+        }
+        var unregisterCancellation;
+        var finish = function () {
+            if (isFinished) {
+                return false;
+            }
+            isFinished = true;
+            if (!TypeUtils.isNullOrUndefined(retryTimer)) {
+                clearTimeout(retryTimer);
+                retryTimer = undefined;
+            }
+            if (!TypeUtils.isNullOrUndefined(unregisterCancellation)) {
+                unregisterCancellation();
+                unregisterCancellation = undefined;
+            }
+            return true;
+        };
+        var invokeActions = TypeUtils.isNullOrUndefined(opts) || false !== opts.invokeActions;
+        var isCompleteInvoked = false;
         var invokeComplete = function (result, err) {
-            if (!TypeUtils.isNullOrUndefined(result)) {
-                result.setContext(ApiClientResultContext.Complete);
+            if (isCompleteInvoked || !invokeActions) {
+                return;
+            }
+            isCompleteInvoked = true;
+            invokeCompleteAction(me, httpReq, result, err, tag, attempts);
+        };
+        // rejects the promise, even if the request
+        // has already been finished by a response
+        var rejectWithError = function (err, ctx) {
+            var errCtx = new ApiClientError(me, httpReq, err, ctx, tag);
+            try {
+                if (invokeActions &&
+                    !TypeUtils.isNullOrUndefined(me.errorAction)) {
+                    errCtx.handled = true;
+                    me.errorAction(errCtx);
+                }
+                if (errCtx.handled) {
+                    // the "error" action took care of it, so
+                    // callers that only use callbacks should not
+                    // get an "unhandled rejection"
+                    promise.catch(function () { });
+                    invokeComplete(undefined, errCtx);
+                }
+                else if (ApiClientErrorContext.Cancelled === ctx) {
+                    // cancelled on purpose
+                    promise.catch(function () { });
+                }
             }
-            if (!TypeUtils.isNullOrUndefined(me.completeAction)) {
-                me.completeAction(new ApiClientCompleteContext(me, httpReq, result, err, tag));
+            catch (e) {
+                me.crit("[FATAL ERROR]: " + e, getLogTag());
             }
+            rejectPromise(errCtx);
         };
-        try {
-            HTTP.request(httpRequestOpts)
-                .then(function (response) {
+        var handleError = function (err, ctx) {
+            if (!finish()) {
+                return;
+            }
+            rejectWithError(err, ctx);
+        };
+        var handleResponse = function (response) {
+            if (!finish()) {
+                return;
+            }
+            try {
                 var result = new ApiClientResult(me, httpReq, response, tag);
                 result.setContext(ApiClientResultContext.Success);
                 me.dbg("Status code: " + result.code, getLogTag());
                 for (var h in getOwnProperties(result.headers)) {
                     me.trace("ResponseHeader['" + h + "']: " + result.headers[h], getLogTag());
                 }
-                // collect "conditional" actions that should be
-                // invoked instead of "success" action
-                var ifActions = [];
-                for (var i = 0; i < me.ifEntries.length; i++) {
-                    var ie = me.ifEntries[i];
-                    if (!TypeUtils.isNullOrUndefined(ie.action)) {
-                        var statusPredicate = ie.predicate;
-                        if (TypeUtils.isNullOrUndefined(statusPredicate)) {
-                            statusPredicate = function () { return true; };
-                        }
-                        if (statusPredicate(result)) {
-                            ifActions.push(ie.action);
-                        }
+                if (invokeActions) {
+                    invokeResultActions(me, result);
+                }
+                invokeComplete(result, undefined);
+            }
+            catch (e) {
+                me.crit("[FATAL ERROR]: " + e, getLogTag());
+                // the request is already finished,
+                // so do not use handleError()
+                rejectWithError(e, ApiClientErrorContext.Exception);
+                return;
+            }
+            resolvePromise(result);
+        };
+        var retryPolicy = mergeRetryPolicies(me.retryPolicy, TypeUtils.isNullOrUndefined(opts) ? undefined : opts.retryPolicy);
+        var validateResult = TypeUtils.isNullOrUndefined(opts) ? undefined : opts.validateResult;
+        var maxReplays = me.maxReplays;
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            !TypeUtils.isNullOrUndefined(opts.maxReplays)) {
+            maxReplays = opts.maxReplays;
+        }
+        if (TypeUtils.isNullOrUndefined(maxReplays)) {
+            maxReplays = DefaultMaxReplays;
+        }
+        var replayCount = 0;
+        var schema = me.schema;
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            !TypeUtils.isUndefined(opts.schema)) {
+            // (null) disables the schema of the client
+            schema = opts.schema;
+        }
+        var transport = me.transport;
+        if (TypeUtils.isNullOrUndefined(transport)) {
+            transport = DefaultTransport;
+        }
+        if (!TypeUtils.isNullOrUndefined(me.harRecorder)) {
+            transport = me.harRecorder.wrap(transport);
+        }
+        if (!TypeUtils.isNullOrUndefined(me.cookieJar)) {
+            // outside of recorder, so the options with
+            // the cookies of the jar are recorded
+            transport = createCookieTransport(transport, me.cookieJar);
+        }
+        if (!TypeUtils.isNullOrUndefined(me.circuitBreaker) ||
+            !TypeUtils.isNullOrUndefined(me.rateLimiter)) {
+            // outside of recorder, so locally
+            // rejected requests are not recorded
+            transport = createGuardedTransport(transport, me.circuitBreaker, me.rateLimiter);
+        }
+        if (!TypeUtils.isNullOrUndefined(me.coalescer) &&
+            (TypeUtils.isNullOrUndefined(opts) || false !== opts.coalesce)) {
+            // outside of the guards, so requests that share
+            // a response do not take tokens of the rate limiter
+            transport = me.coalescer.wrap(transport);
+        }
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            (!TypeUtils.isNullOrUndefined(opts.downloadProgress) || !TypeUtils.isNullOrUndefined(opts.uploadProgress))) {
+            transport = createProgressTransport(transport, opts.uploadProgress, opts.downloadProgress);
+        }
+        var cache = me.cache;
+        var cacheMode;
+        if (!TypeUtils.isNullOrUndefined(cache)) {
+            cacheMode = cache.mode;
+            if (!TypeUtils.isNullOrUndefined(opts) &&
+                !TypeUtils.isNullOrUndefined(opts.cacheMode)) {
+                cacheMode = opts.cacheMode;
+            }
+        }
+        var sendRequest;
+        var cancel = function (reason) {
+            if (isFinished) {
+                return;
+            }
+            me.info("Request has been cancelled.", getLogTag());
+            if (TypeUtils.isNullOrUndefined(reason)) {
+                reason = "Request has been cancelled.";
+            }
+            handleError(reason, ApiClientErrorContext.Cancelled);
+        };
+        promise.cancel = cancel;
+        var startAttempt = function () {
+            retryTimer = undefined;
+            if (isFinished) {
+                return;
+            }
+            if (!TypeUtils.isNullOrUndefined(cancellationToken) &&
+                cancellationToken.isCancellationRequested) {
+                cancel(cancellationToken.reason);
+                return;
+            }
+            try {
+                sendRequest();
+            }
+            catch (e) {
+                me.crit("[FATAL ERROR]: " + e, getLogTag());
+                handleError(e, ApiClientErrorContext.Exception);
+            }
+        };
+        var requestInterceptors = me.requestInterceptors.slice();
+        var responseInterceptors = me.responseInterceptors.slice();
+        if (!TypeUtils.isNullOrUndefined(authorizer) &&
+            !TypeUtils.isNullOrUndefined(authorizer.interceptResponse)) {
+            // authorizer first
+            responseInterceptors.unshift(function (ctx) { return authorizer.interceptResponse(ctx); });
+        }
+        var errorInterceptors = me.errorInterceptors.slice();
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            !TypeUtils.isNullOrUndefined(opts.interceptors)) {
+            requestInterceptors = requestInterceptors.concat(opts.interceptors.request || []);
+            responseInterceptors = responseInterceptors.concat(opts.interceptors.response || []);
+            errorInterceptors = errorInterceptors.concat(opts.interceptors.error || []);
+        }
+        var interceptorState = {};
+        // each attempt starts with the original options,
+        // so interceptors and authorizers do not change them twice
+        var originalRequestOpts = getOwnProperties(httpRequestOpts);
+        originalRequestOpts.headers = getOwnProperties(httpRequestOpts.headers) || {};
+        var resetRequestOptions = function () {
+            for (var p in getOwnProperties(httpRequestOpts)) {
+                delete httpRequestOpts[p];
+            }
+            for (var p in originalRequestOpts) {
+                httpRequestOpts[p] = originalRequestOpts[p];
+            }
+            httpRequestOpts.headers = getOwnProperties(originalRequestOpts.headers);
+        };
+        var replay = function () {
+            if (++replayCount > maxReplays) {
+                me.err("[REPLAY LIMIT EXCEEDED]: " + maxReplays, getLogTag());
+                handleError("Request has been replayed more than " + maxReplays + " times!", ApiClientErrorContext.ReplayLimitExceeded);
+                return;
+            }
+            me.dbg("Replaying request...", getLogTag());
+            startAttempt();
+        };
+        sendRequest = function () {
+            var attempt = new RequestAttempt(attempts.length + 1);
+            attempts.push(attempt);
+            resetRequestOptions();
+            me.dbg("Attempt #" + attempt.number, getLogTag());
+            var createInterceptorContext = function (response, err) {
+                return new InterceptorContext(me, httpRequestOpts, tag, attempt.number, interceptorState, response, err);
+            };
+            var handleInterceptorError = function (e) {
+                me.crit("[INTERCEPTOR ERROR]: " + e, getLogTag());
+                handleError(e, ApiClientErrorContext.Exception);
+            };
+            var retryIfPossible = function (retryAfter) {
+                var delay = getRetryDelay(retryPolicy, httpRequestOpts.method, attempt.number, retryAfter);
+                if (false === delay) {
+                    return false;
+                }
+                attempt.setRetryDelay(delay);
+                me.warn("Attempt #" + attempt.number + " failed. Retrying in " + delay + " ms...", getLogTag());
+                retryTimer = setTimeout(startAttempt, delay);
+                return true;
+            };
+            var processResponse = function (response) {
+                attempt.setResult(response.statusCode);
+                // 'no content' replies have nothing to validate
+                var hasContent = 204 !== response.statusCode && 205 !== response.statusCode &&
+                    !TypeUtils.isNullOrUndefined(response.content) &&
+                    !isEmptyString(response.content.toString());
+                if (!TypeUtils.isNullOrUndefined(schema) && hasContent &&
+                    response.statusCode >= 200 && response.statusCode < 300) {
+                    var schemaErrors;
+                    var json;
+                    try {
+                        json = new ApiClientResult(me, httpReq, response, tag).getJSON();
+                        schemaErrors = validateSchema(json, schema);
+                    }
+                    catch (e) {
+                        schemaErrors = [{
+                                keyword: "json",
+                                message: "must be valid JSON: " + e,
+                                path: "",
+                                schemaPath: "#",
+                                value: undefined,
+                            }];
+                    }
+                    if (schemaErrors.length > 0) {
+                        var schemaError = new SchemaValidationError(schemaErrors, json, schema);
+                        me.warn("[SCHEMA VIOLATION]: " + schemaError.message, getLogTag());
+                        handleError(schemaError, ApiClientErrorContext.SchemaViolation);
+                        return;
+                    }
+                }
+                if (!TypeUtils.isNullOrUndefined(validateResult) &&
+                    response.statusCode >= 200 && response.statusCode < 300) {
+                    var invalidReason;
+                    try {
+                        invalidReason = validateResult(new ApiClientResult(me, httpReq, response, tag));
+                    }
+                    catch (e) {
+                        invalidReason = e;
+                    }
+                    if (!TypeUtils.isNullOrUndefined(invalidReason)) {
+                        me.warn("[INVALID RESULT]: " + invalidReason, getLogTag());
+                        handleError(invalidReason, ApiClientErrorContext.InvalidResult);
+                        return;
                     }
                 }
-                // process "conditional" actions
-                for (var i = 0; i < ifActions.length; i++) {
-                    var ia = ifActions[i];
-                    ia(result);
+                if (isRetryableStatus(retryPolicy, response.statusCode)) {
+                    var retryAfter;
+                    if (429 === response.statusCode || 503 === response.statusCode) {
+                        retryAfter = parseRetryAfter(getHeaderValue(response.headers, "Retry-After"));
+                    }
+                    if (retryIfPossible(retryAfter)) {
+                        return;
+                    }
                 }
-                if (ifActions.length < 1 &&
-                    !TypeUtils.isNullOrUndefined(me.successAction)) {
-                    me.successAction(result);
+                handleResponse(response);
+            };
+            var onResponse = function (response) {
+                if (isFinished) {
+                    // cancelled
+                    return;
+                }
+                var ctx = createInterceptorContext(response);
+                invokeInterceptors(responseInterceptors, ctx).then(function () {
+                    if (isFinished) {
+                        return;
+                    }
+                    if (ctx.isReplayRequested) {
+                        attempt.setResult(response.statusCode);
+                        replay();
+                        return;
+                    }
+                    processResponse(ctx.response);
+                }, handleInterceptorError);
+            };
+            var onError = function (err) {
+                if (err instanceof LocalRejection) {
+                    me.warn("[REJECTED]: " + err.message, getLogTag());
+                    attempt.setResult(undefined, err.message);
+                    // no interceptors and retries
+                    handleError(err.message, ApiClientErrorContext.Rejected);
+                    return;
                 }
-                invokeComplete(result, undefined);
-            }, function (err) {
                 me.err("[ERROR]: " + err, getLogTag());
-                var errCtx = new ApiClientError(me, httpReq, err, ApiClientErrorContext.ClientError, tag);
-                if (!TypeUtils.isNullOrUndefined(me.errorAction)) {
-                    errCtx.handled = true;
-                    me.errorAction(errCtx);
+                attempt.setResult(undefined, err);
+                if (isFinished) {
+                    // cancelled
+                    return;
                 }
-                if (!errCtx.handled) {
-                    throw err;
+                var ctx = createInterceptorContext(undefined, err);
+                invokeInterceptors(errorInterceptors, ctx).then(function () {
+                    if (isFinished) {
+                        return;
+                    }
+                    if (ctx.isReplayRequested) {
+                        replay();
+                        return;
+                    }
+                    if (ctx.hasResponded) {
+                        // recovered
+                        processResponse(ctx.response);
+                        return;
+                    }
+                    if (!TypeUtils.isNullOrUndefined(retryPolicy) &&
+                        false !== retryPolicy.retryOnError) {
+                        if (retryIfPossible()) {
+                            return;
+                        }
+                    }
+                    handleError(ctx.error, ApiClientErrorContext.ClientError);
+                }, handleInterceptorError);
+            };
+            // authorization
+            // 
+            // do this for each attempt and AFTER the request interceptors
+            // have changed URL, method, headers and content, so authorizers
+            // sign what is really sent
+            var authorize = function () {
+                if (!TypeUtils.isNullOrUndefined(authorizer)) {
+                    return authorizer.prepare(httpRequestOpts);
                 }
-                invokeComplete(undefined, errCtx);
-            });
-        }
-        catch (e) {
-            me.crit("[FATAL ERROR]: " + e, getLogTag());
-            var errCtx = new ApiClientError(me, httpReq, e, ApiClientErrorContext.Exception, tag);
-            if (!TypeUtils.isNullOrUndefined(me.errorAction)) {
-                errCtx.handled = true;
-                me.errorAction(errCtx);
-            }
-            if (!errCtx.handled) {
-                throw e;
-            }
-            invokeComplete(undefined, errCtx);
+            };
+            // send via cache (if available)
+            var sendHttpRequest = function () {
+                if (TypeUtils.isNullOrUndefined(cache) ||
+                    HttpCacheMode.Bypass === cacheMode) {
+                    transport.send(httpRequestOpts)
+                        .then(onResponse, onError);
+                    return;
+                }
+                var cacheUrl = httpRequestOpts.url;
+                if ("GET" !== httpRequestOpts.method) {
+                    transport.send(httpRequestOpts).then(function (response) {
+                        if (response.statusCode < 400) {
+                            // unsafe methods invalidate the cached entry
+                            Promise.resolve(cache.remove(cacheUrl)).then(null, function (e) {
+                                me.warn("Could not remove cache entry: " + e, getLogTag());
+                            });
+                        }
+                        onResponse(response);
+                    }, onError);
+                    return;
+                }
+                var requestNetwork = function (entry, onNetworkResponse, onNetworkError) {
+                    var netOpts = httpRequestOpts;
+                    if (!TypeUtils.isNullOrUndefined(entry)) {
+                        // revalidate
+                        netOpts = getOwnProperties(httpRequestOpts);
+                        netOpts.headers = getOwnProperties(httpRequestOpts.headers) || {};
+                        var etag = getHeaderValue(entry.headers, "ETag");
+                        if (!isEmptyString(etag)) {
+                            netOpts.headers["If-None-Match"] = etag;
+                        }
+                        var lastModified = getHeaderValue(entry.headers, "Last-Modified");
+                        if (!isEmptyString(lastModified)) {
+                            netOpts.headers["If-Modified-Since"] = lastModified;
+                        }
+                    }
+                    transport.send(netOpts).then(function (response) {
+                        if (304 === response.statusCode &&
+                            !TypeUtils.isNullOrUndefined(entry)) {
+                            me.dbg("Cached content is still valid.", getLogTag());
+                            return refreshCacheEntry(cache, cacheUrl, entry, response).then(function (newEntry) {
+                                return createHttpResponse(newEntry.code, newEntry.headers, newEntry.body);
+                            });
+                        }
+                        if (200 === response.statusCode) {
+                            cache.put(cacheUrl, response, netOpts.headers).then(null, function (e) {
+                                me.warn("Could not update cache: " + e, getLogTag());
+                            });
+                        }
+                        return response;
+                    }).then(onNetworkResponse, onNetworkError);
+                };
+                cache.get(cacheUrl, httpRequestOpts.headers).then(null, function (e) {
+                    me.warn("Could not read from cache: " + e, getLogTag());
+                    return null;
+                }).then(function (entry) {
+                    if (isFinished) {
+                        return;
+                    }
+                    var fromCache = function () {
+                        me.dbg("Using cached content.", getLogTag());
+                        return createHttpResponse(entry.code, entry.headers, entry.body);
+                    };
+                    var isFresh = !TypeUtils.isNullOrUndefined(entry) &&
+                        entry.expiresAt > Date.now();
+                    switch (cacheMode) {
+                        case HttpCacheMode.CacheOnly:
+                            if (!TypeUtils.isNullOrUndefined(entry)) {
+                                onResponse(fromCache());
+                            }
+                            else {
+                                // s. 'only-if-cached'
+                                onResponse(createHttpResponse(504, {}, null));
+                            }
+                            break;
+                        case HttpCacheMode.NetworkFirst:
+                            requestNetwork(entry, onResponse, function (err) {
+                                if (TypeUtils.isNullOrUndefined(entry)) {
+                                    onError(err);
+                                    return;
+                                }
+                                me.warn("Network failed: " + err, getLogTag());
+                                onResponse(fromCache());
+                            });
+                            break;
+                        case HttpCacheMode.StaleWhileRevalidate:
+                            if (TypeUtils.isNullOrUndefined(entry)) {
+                                requestNetwork(entry, onResponse, onError);
+                                break;
+                            }
+                            onResponse(fromCache());
+                            if (!isFresh) {
+                                // update in background
+                                requestNetwork(entry, function () { }, function (err) {
+                                    me.warn("Could not revalidate cached content: " + err, getLogTag());
+                                });
+                            }
+                            break;
+                        default:
+                            if (isFresh) {
+                                onResponse(fromCache());
+                            }
+                            else {
+                                requestNetwork(entry, onResponse, onError);
+                            }
+                            break;
+                    }
+                }).then(null, handleInterceptorError);
+            };
+            var reqCtx = createInterceptorContext();
+            invokeInterceptors(requestInterceptors, reqCtx).then(function () {
+                if (isFinished) {
+                    return;
+                }
+                if (reqCtx.hasResponded) {
+                    me.dbg("Request has been answered by an interceptor.", getLogTag());
+                    onResponse(reqCtx.response);
+                    return;
+                }
+                return Promise.resolve(authorize()).then(function () {
+                    if (!isFinished) {
+                        sendHttpRequest();
+                    }
+                });
+            }).then(null, handleInterceptorError);
+        };
+        if (!TypeUtils.isNullOrUndefined(cancellationToken)) {
+            unregisterCancellation = cancellationToken.register(cancel);
         }
+        startAttempt();
+        return promise;
     };
     ApiClient.prototype.setAuthorizer = function (newAuthorizer) {
         this.authorizer = newAuthorizer;
@@ -618,10 +1477,46 @@ var ApiClient = (function (_super) {
         this.baseUrl = newValue;
         return this;
     };
+    ApiClient.prototype.setCache = function (newValue) {
+        this.cache = newValue;
+        return this;
+    };
+    ApiClient.prototype.setCoalescer = function (newValue) {
+        this.coalescer = newValue;
+        return this;
+    };
+    ApiClient.prototype.setCookieJar = function (newValue) {
+        if (!TypeUtils.isNullOrUndefined(newValue) &&
+            TypeUtils.isNullOrUndefined(newValue.logger)) {
+            newValue.logger = this;
+        }
+        this.cookieJar = newValue;
+        return this;
+    };
+    ApiClient.prototype.setHarRecorder = function (newValue) {
+        this.harRecorder = newValue;
+        return this;
+    };
+    ApiClient.prototype.setRetryPolicy = function (newValue) {
+        this.retryPolicy = newValue;
+        return this;
+    };
     ApiClient.prototype.setRoute = function (newValue) {
         this.route = newValue;
         return this;
     };
+    ApiClient.prototype.setRoutes = function (newValue) {
+        this.routes = newValue;
+        return this;
+    };
+    ApiClient.prototype.setSchema = function (newValue) {
+        this.schema = newValue;
+        return this;
+    };
+    ApiClient.prototype.setTransport = function (newValue) {
+        this.transport = newValue;
+        return this;
+    };
     ApiClient.prototype.status = function (code, statusAction) {
         this.ifStatus(function (sc) { return code == sc; }, statusAction);
         return this;
@@ -645,19 +1540,69 @@ var ApiClient = (function (_super) {
     ApiClient.prototype.uriTooLong = function (tooLongAction) {
         return this.status(414, tooLongAction);
     };
+    ApiClient.prototype.urlFor = function (name, params) {
+        var me = this;
+        var routes = me.routes;
+        if (TypeUtils.isNullOrUndefined(routes)) {
+            throw "No route table defined!";
+        }
+        var template = routes.getTemplate(name);
+        var url = encodeURI(me.baseUrl);
+        var path = template.expand(params);
+        if ("" !== path) {
+            url = url.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, "");
+        }
+        // parameters, which are not part of the route,
+        // are sent as URL parameters
+        var urlParamPairs = [];
+        {
+            var allUrlParams = [getOwnProperties(me.params), getOwnProperties(params)];
+            for (var i = 0; i < allUrlParams.length; i++) {
+                var urlParams = allUrlParams[i];
+                if (TypeUtils.isNullOrUndefined(urlParams)) {
+                    continue;
+                }
+                for (var up in urlParams) {
+                    if (i > 0 && template.hasParameter(up)) {
+                        continue;
+                    }
+                    var funcDepth = 0;
+                    var urlParamValue = urlParams[up];
+                    while (typeof urlParamValue === "function") {
+                        urlParamValue = urlParamValue(up, urlParamPairs.length, funcDepth++);
+                    }
+                    serializeParam(up, urlParamValue, me.paramArrayFormat, me.paramObjectFormat, urlParamPairs);
+                }
+            }
+        }
+        if (urlParamPairs.length > 0) {
+            url += url.indexOf("?") > -1 ? "&" : "?";
+            url += urlParamPairs.map(function (p) { return encodeURIComponent(p[0]) + "=" + encodeURIComponent(p[1]); })
+                .join("&");
+        }
+        return url;
+    };
     return ApiClient;
 }(LoggerBase));
 var ApiClientCompleteContext = (function (_super) {
     __extends(ApiClientCompleteContext, _super);
-    function ApiClientCompleteContext(client, request, result, err, tag) {
+    function ApiClientCompleteContext(client, request, result, err, tag, attempts) {
         var _this = _super.call(this) || this;
         _this._client = client;
         _this._request = request;
         _this._result = result;
         _this._error = err;
         _this._tag = tag;
+        _this._attempts = attempts;
         return _this;
     }
+    Object.defineProperty(ApiClientCompleteContext.prototype, "attempts", {
+        get: function () {
+            return this._attempts;
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(ApiClientCompleteContext.prototype, "client", {
         get: function () {
             return this._client;
@@ -783,6 +1728,37 @@ var ApiClientErrorContext;
      * "Unhandled" exception.
      */
     ApiClientErrorContext[ApiClientErrorContext["Exception"] = 1] = "Exception";
+    /**
+     * Request has been cancelled.
+     */
+    ApiClientErrorContext[ApiClientErrorContext["Cancelled"] = 2] = "Cancelled";
+    /**
+     * Request has been rejected locally,
+     * by circuit breaker or rate limiter.
+     */
+    ApiClientErrorContext[ApiClientErrorContext["Rejected"] = 3] = "Rejected";
+    /**
+     * Response has a status code of 2xx,
+     * but its content describes an error,
+     * like the 'errors' of a GraphQL response.
+     */
+    ApiClientErrorContext[ApiClientErrorContext["InvalidResult"] = 4] = "InvalidResult";
+    /**
+     * Response has a status code of 2xx,
+     * but its JSON content does not match the
+     * schema of the client or the request.
+     */
+    ApiClientErrorContext[ApiClientErrorContext["SchemaViolation"] = 5] = "SchemaViolation";
+    /**
+     * Interceptors requested more replays
+     * than the maximum number of replays.
+     */
+    ApiClientErrorContext[ApiClientErrorContext["ReplayLimitExceeded"] = 6] = "ReplayLimitExceeded";
+    /**
+     * Request could not be set up, e.g. because of
+     * an invalid route parameter or content.
+     */
+    ApiClientErrorContext[ApiClientErrorContext["InvalidRequest"] = 7] = "InvalidRequest";
 })(ApiClientErrorContext = exports.ApiClientErrorContext || (exports.ApiClientErrorContext = {}));
 var ApiClientResult = (function (_super) {
     __extends(ApiClientResult, _super);
@@ -831,6 +1807,43 @@ var ApiClientResult = (function (_super) {
     ApiClientResult.prototype.getAjaxResult = function () {
         return this.getJSON();
     };
+    ApiClientResult.prototype.getContent = function () {
+        var contentType = parseContentType(getHeaderValue(this._reponse.headers, "Content-Type"));
+        var ctx = {
+            mime: contentType.mime,
+            parameters: contentType.parameters,
+            result: this,
+        };
+        // custom decoders of client, then
+        // global ones and the build-in decoders at last
+        var decoderLists = [
+            this._client.decoders,
+            GlobalDecoders,
+            BuildInDecoders,
+        ];
+        for (var i = 0; i < decoderLists.length; i++) {
+            var list = decoderLists[i];
+            for (var j = 0; j < list.length; j++) {
+                var d = list[j];
+                if (isMimeMatching(d.mime, ctx.mime)) {
+                    return d.decoder(ctx);
+                }
+            }
+        }
+        if (isEmptyString(ctx.mime) || 0 === ctx.mime.indexOf("text/")) {
+            return this.getString();
+        }
+        return this.content;
+    };
+    ApiClientResult.prototype.getEvents = function () {
+        var events = [];
+        var parser = new EventStreamParser(function (e) {
+            events.push(e);
+        });
+        parser.write(this.getString() || "");
+        parser.end();
+        return events;
+    };
     ApiClientResult.prototype.getFile = function (destFile) {
         if (arguments.length < 1) {
             return this._reponse.content.toFile();
@@ -848,6 +1861,22 @@ var ApiClientResult = (function (_super) {
         }
         return JSON.parse(json);
     };
+    ApiClientResult.prototype.getMarkdown = function (dialect) {
+        var md = this._reponse.content.toString();
+        if (isEmptyString(md)) {
+            return null;
+        }
+        return Markdown.toHTML(md, dialect);
+    };
+    ApiClientResult.prototype.getNdjson = function () {
+        var items = [];
+        var parser = new NdjsonParser(function (item) {
+            items.push(item);
+        });
+        parser.write(this.getString() || "");
+        parser.end();
+        return items;
+    };
     ApiClientResult.prototype.getString = function () {
         var str = this._reponse.content.toString();
         if (TypeUtils.isNullOrUndefined(str)) {
@@ -855,6 +1884,20 @@ var ApiClientResult = (function (_super) {
         }
         return str;
     };
+    ApiClientResult.prototype.getXml = function (processNamespaces, angularSyntax) {
+        var xml = this._reponse.content.toString();
+        if (isEmptyString(xml)) {
+            return null;
+        }
+        return XmlObjects.parse(xml, processNamespaces, angularSyntax);
+    };
+    ApiClientResult.prototype.getYaml = function () {
+        var yaml = this._reponse.content.toString();
+        if (isEmptyString(yaml)) {
+            return null;
+        }
+        return Yaml.safeLoad(yaml);
+    };
     Object.defineProperty(ApiClientResult.prototype, "headers", {
         get: function () {
             return this._reponse.headers;
@@ -892,531 +1935,7934 @@ var ApiClientResult = (function (_super) {
     return ApiClientResult;
 }(LoggerBase));
 /**
- * An authorizer for basic authentication.
+ * A sequence of items that are loaded asynchronously,
+ * with operators like in the 'enumerable' module.
  */
-var BasicAuth = (function () {
+var AsyncSequence = (function () {
+    function AsyncSequence() {
+    }
     /**
-     * Initializes a new instance of that class.
+     * Counts the items.
      *
-     * @param {String} username The username.
-     * @param {String} pwd The password.
+     * @param any [predicate] The optional predicate to use.
+     *
+     * @return {Promise<Number>} The promise with the number of items.
      */
-    function BasicAuth(username, pwd) {
-        this._username = username;
-        this._password = pwd;
-    }
-    Object.defineProperty(BasicAuth.prototype, "password", {
-        /**
-         * Gets the password.
-         *
-         * @property
-         */
-        get: function () {
-            return this._password;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    /** @inheritdoc */
-    BasicAuth.prototype.prepare = function (reqOpts) {
-        reqOpts.headers["Authorization"] = "Basic " + encodeBase64(this._username + ":" + this._password);
+    AsyncSequence.prototype.count = function (predicate) {
+        predicate = Enumerable.toPredicateSafe(predicate);
+        var cnt = 0;
+        return this.each(function (x, index) {
+            if (predicate(x, index)) {
+                ++cnt;
+            }
+        }).then(function () { return cnt; });
     };
-    Object.defineProperty(BasicAuth.prototype, "username", {
+    Object.defineProperty(AsyncSequence.prototype, "current", {
         /**
-         * Gets the username.
+         * Gets the current item.
          *
          * @property
          */
         get: function () {
-            return this._username;
+            return this._current;
         },
         enumerable: true,
         configurable: true
     });
-    return BasicAuth;
+    /**
+     * Invokes an action for each item.
+     * If the action returns a promise, the next item is not loaded until it is completed.
+     *
+     * @param any action The action to invoke.
+     *
+     * @return {Promise<any>} The promise with the last result of the action.
+     */
+    AsyncSequence.prototype.each = function (action) {
+        var me = this;
+        action = Enumerable.asFunc(action);
+        var index = -1;
+        var result;
+        var next = function () {
+            return me.moveNext().then(function (hasItem) {
+                if (!hasItem) {
+                    return result;
+                }
+                return Promise.resolve(action(me.current, ++index)).then(function (r) {
+                    result = r;
+                    return next();
+                });
+            });
+        };
+        return next();
+    };
+    /**
+     * Returns the first (matching) item.
+     *
+     * @param any [predicate] The optional predicate to use.
+     *
+     * @return {Promise<T>} The promise with the item, which is rejected if there is no (matching) item.
+     */
+    AsyncSequence.prototype.first = function (predicate) {
+        return this.where(predicate).moveNextAndGet(function (hasItem, item) {
+            if (!hasItem) {
+                throw "Sequence contains NO element!";
+            }
+            return item;
+        });
+    };
+    /**
+     * Returns the first (matching) item or a default value.
+     *
+     * @param any [predicate] The optional predicate to use.
+     * @param any [defaultValue] The default value.
+     *
+     * @return {Promise<any>} The promise with the item or the default value.
+     */
+    AsyncSequence.prototype.firstOrDefault = function (predicate, defaultValue) {
+        return this.where(predicate).moveNextAndGet(function (hasItem, item) {
+            return hasItem ? item : defaultValue;
+        });
+    };
+    AsyncSequence.prototype.moveNextAndGet = function (selector) {
+        var me = this;
+        return this.moveNext().then(function (hasItem) {
+            return selector(hasItem, hasItem ? me.current : undefined);
+        });
+    };
+    /**
+     * Projects each item to a new value.
+     *
+     * @param any selector The selector.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    AsyncSequence.prototype.select = function (selector) {
+        var me = this;
+        selector = Enumerable.asFunc(selector);
+        var index = -1;
+        return new DelegateAsyncSequence(this, function (seq) {
+            return me.moveNext().then(function (hasItem) {
+                if (hasItem) {
+                    seq.setCurrent(selector(me.current, ++index));
+                }
+                return hasItem;
+            });
+        }, function () {
+            index = -1;
+        });
+    };
+    /**
+     * Skips a number of items.
+     *
+     * @param {Number} cnt The number of items to skip.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    AsyncSequence.prototype.skip = function (cnt) {
+        return this.skipWhile(function (x, index) { return index < cnt; });
+    };
+    /**
+     * Skips items while a condition matches.
+     *
+     * @param any predicate The predicate.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    AsyncSequence.prototype.skipWhile = function (predicate) {
+        var me = this;
+        predicate = Enumerable.asFunc(predicate);
+        var index = -1;
+        var isSkipping = true;
+        return new DelegateAsyncSequence(this, function (seq) {
+            var next = function () {
+                return me.moveNext().then(function (hasItem) {
+                    if (!hasItem) {
+                        return false;
+                    }
+                    if (isSkipping) {
+                        if (predicate(me.current, ++index)) {
+                            return next();
+                        }
+                        isSkipping = false;
+                    }
+                    seq.setCurrent(me.current);
+                    return true;
+                });
+            };
+            return next();
+        }, function () {
+            index = -1;
+            isSkipping = true;
+        });
+    };
+    /**
+     * Takes a number of items.
+     *
+     * @param {Number} cnt The number of items to take.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    AsyncSequence.prototype.take = function (cnt) {
+        var me = this;
+        var index = -1;
+        return new DelegateAsyncSequence(this, function (seq) {
+            if (index + 1 >= cnt) {
+                // do not load more pages than needed
+                return Promise.resolve(false);
+            }
+            return me.moveNext().then(function (hasItem) {
+                if (hasItem) {
+                    ++index;
+                    seq.setCurrent(me.current);
+                }
+                return hasItem;
+            });
+        }, function () {
+            index = -1;
+        });
+    };
+    /**
+     * Takes items while a condition matches.
+     *
+     * @param any predicate The predicate.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    AsyncSequence.prototype.takeWhile = function (predicate) {
+        var me = this;
+        predicate = Enumerable.asFunc(predicate);
+        var index = -1;
+        var isTaking = true;
+        return new DelegateAsyncSequence(this, function (seq) {
+            if (!isTaking) {
+                return Promise.resolve(false);
+            }
+            return me.moveNext().then(function (hasItem) {
+                if (!hasItem || !predicate(me.current, ++index)) {
+                    isTaking = false;
+                    return false;
+                }
+                seq.setCurrent(me.current);
+                return true;
+            });
+        }, function () {
+            index = -1;
+            isTaking = true;
+        });
+    };
+    /**
+     * Loads all items and returns them as array.
+     *
+     * @return {Promise<T[]>} The promise with the array.
+     */
+    AsyncSequence.prototype.toArray = function () {
+        var arr = [];
+        return this.each(function (x) {
+            arr.push(x);
+        }).then(function () { return arr; });
+    };
+    /**
+     * Loads all items and returns them as sequence of the 'enumerable' module.
+     *
+     * @return {Promise<Enumerable.IEnumerable<T>>} The promise with the sequence.
+     */
+    AsyncSequence.prototype.toEnumerable = function () {
+        return this.toArray().then(function (arr) {
+            return Enumerable.fromArray(arr);
+        });
+    };
+    /**
+     * Filters the items.
+     *
+     * @param any predicate The predicate.
+     *
+     * @return {AsyncSequence} The new sequence.
+     */
+    AsyncSequence.prototype.where = function (predicate) {
+        var me = this;
+        predicate = Enumerable.toPredicateSafe(predicate);
+        var index = -1;
+        return new DelegateAsyncSequence(this, function (seq) {
+            var next = function () {
+                return me.moveNext().then(function (hasItem) {
+                    if (!hasItem) {
+                        return false;
+                    }
+                    if (!predicate(me.current, ++index)) {
+                        return next();
+                    }
+                    seq.setCurrent(me.current);
+                    return true;
+                });
+            };
+            return next();
+        }, function () {
+            index = -1;
+        });
+    };
+    return AsyncSequence;
 }());
-exports.BasicAuth = BasicAuth;
+exports.AsyncSequence = AsyncSequence;
 /**
- * An authorizer for bearer authentication.
+ * An authorizer that signs requests with AWS Signature Version 4.
+ *
+ * Bodies that cannot be hashed, like form data, are signed as 'UNSIGNED-PAYLOAD',
+ * which is only accepted by services like S3.
  */
-var BearerAuth = (function () {
+var AwsSigV4Authorizer = (function () {
     /**
      * Initializes a new instance of that class.
      *
-     * @param {String} token The token.
+     * @param {IAwsSigV4Config} config The configuration.
      */
-    function BearerAuth(token) {
-        this._token = token;
+    function AwsSigV4Authorizer(config) {
+        this._config = config;
     }
-    /** @inheritdoc */
-    BearerAuth.prototype.prepare = function (reqOpts) {
-        reqOpts.headers["Authorization"] = "Bearer " + this._token;
-    };
-    Object.defineProperty(BearerAuth.prototype, "token", {
+    Object.defineProperty(AwsSigV4Authorizer.prototype, "accessKeyId", {
         /**
-         * Gets the token.
+         * Gets the access key ID.
          *
          * @property
          */
         get: function () {
-            return this._token;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    return BearerAuth;
-}());
-exports.BearerAuth = BearerAuth;
-var FormatProviderContext = (function () {
-    function FormatProviderContext(expr, val) {
-        this.handled = false;
-        this._expression = expr;
-        this._value = val;
-    }
-    Object.defineProperty(FormatProviderContext.prototype, "expression", {
-        get: function () {
-            return this._expression;
+            return this._config.accessKeyId;
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(FormatProviderContext.prototype, "value", {
-        get: function () {
-            return this._value;
-        },
+    /**
+     * Creates the canonical request.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} url The (encoded) request URL.
+     * @param any headers The headers to sign (without 'Host').
+     * @param {String} payloadHash The SHA-256 hash of the body as hex string.
+     *
+     * @return {String} The canonical request.
+     */
+    AwsSigV4Authorizer.prototype.createCanonicalRequest = function (method, url, headers, payloadHash) {
+        var urlParts = parseUrl(url);
+        var isS3 = "s3" === this.service;
+        // path
+        var segments = urlParts.path.split("/").map(function (s) { return decodeURIComponent(s); });
+        if (!isS3) {
+            // remove dot segments and empty segments
+            var normalized = [];
+            for (var i = 0; i < segments.length; i++) {
+                var seg = segments[i];
+                if ("" === seg || "." === seg) {
+                    continue;
+                }
+                if (".." === seg) {
+                    normalized.pop();
+                }
+                else {
+                    normalized.push(seg);
+                }
+            }
+            var isDirectory = /\/\.{0,2}$/.test(urlParts.path) && normalized.length > 0;
+            segments = [""].concat(normalized);
+            if (isDirectory) {
+                segments.push("");
+            }
+        }
+        var canonicalUri = segments.map(function (s) {
+            var encoded = encodeRfc3986(s);
+            if (!isS3) {
+                // each segment is encoded twice
+                encoded = encodeRfc3986(encoded);
+            }
+            return encoded;
+        }).join("/");
+        if ("" === canonicalUri) {
+            canonicalUri = "/";
+        }
+        // query
+        var query = parseUrlEncoded(urlParts.query).map(function (p) { return [encodeRfc3986(p[0]), encodeRfc3986(p[1])]; });
+        query.sort(function (x, y) {
+            if (x[0] !== y[0]) {
+                return x[0] < y[0] ? -1 : 1;
+            }
+            if (x[1] !== y[1]) {
+                return x[1] < y[1] ? -1 : 1;
+            }
+            return 0;
+        });
+        var canonicalHeaders = this.getCanonicalHeaders(url, headers);
+        return [
+            methodToString(method),
+            canonicalUri,
+            query.map(function (p) { return p[0] + "=" + p[1]; }).join("&"),
+            Object.keys(canonicalHeaders).map(function (h) { return h + ":" + canonicalHeaders[h] + "\n"; }).join(""),
+            Object.keys(canonicalHeaders).join(";"),
+            payloadHash,
+        ].join("\n");
+    };
+    /**
+     * Creates the signature.
+     *
+     * @param {String} stringToSign The string to sign.
+     * @param {String} dateStamp The date in format 'YYYYMMDD'.
+     *
+     * @return {String} The signature as hex string.
+     */
+    AwsSigV4Authorizer.prototype.createSignature = function (stringToSign, dateStamp) {
+        var key = HmacSHA256(dateStamp, "AWS4" + this._config.secretAccessKey);
+        key = HmacSHA256(this.region, key);
+        key = HmacSHA256(this.service, key);
+        key = HmacSHA256("aws4_request", key);
+        return HmacSHA256(stringToSign, key).toString(Hex);
+    };
+    /**
+     * Creates the string to sign.
+     *
+     * @param {String} canonicalRequest The canonical request.
+     * @param {String} amzDate The time in format 'YYYYMMDDTHHMMSSZ'.
+     *
+     * @return {String} The string to sign.
+     */
+    AwsSigV4Authorizer.prototype.createStringToSign = function (canonicalRequest, amzDate) {
+        return [
+            "AWS4-HMAC-SHA256",
+            amzDate,
+            this.getCredentialScope(amzDate.substr(0, 8)),
+            SHA256(canonicalRequest).toString(Hex),
+        ].join("\n");
+    };
+    AwsSigV4Authorizer.prototype.getCanonicalHeaders = function (url, headers) {
+        var values = {
+            host: parseUrl(url).host,
+        };
+        for (var h in getOwnProperties(headers)) {
+            var name = h.toLowerCase().trim();
+            if ("authorization" === name || "host" === name) {
+                continue;
+            }
+            var value = ("" + headers[h]).trim().replace(/\s+/g, " ");
+            values[name] = TypeUtils.isNullOrUndefined(values[name]) ? value
+                : (values[name] + "," + value);
+        }
+        var sorted = {};
+        var names = Object.keys(values).sort();
+        for (var i = 0; i < names.length; i++) {
+            sorted[names[i]] = values[names[i]];
+        }
+        return sorted;
+    };
+    AwsSigV4Authorizer.prototype.getCredentialScope = function (dateStamp) {
+        return [dateStamp, this.region, this.service, "aws4_request"].join("/");
+    };
+    /** @inheritdoc */
+    AwsSigV4Authorizer.prototype.prepare = function (reqOpts) {
+        var timestamp = this._config.timestamp;
+        if (TypeUtils.isNullOrUndefined(timestamp)) {
+            timestamp = new Date();
+        }
+        // YYYYMMDDTHHMMSSZ
+        var amzDate = timestamp.toISOString().replace(/[:\-]|\.\d{3}/g, "");
+        // hash the bytes that are sent,
+        // form data cannot be hashed, so it is not signed
+        var body = toWordArray(reqOpts.content);
+        var payloadHash = TypeUtils.isUndefined(body) ? "UNSIGNED-PAYLOAD"
+            : SHA256(body).toString(Hex);
+        reqOpts.headers["X-Amz-Date"] = amzDate;
+        if (!isEmptyString(this._config.sessionToken)) {
+            reqOpts.headers["X-Amz-Security-Token"] = this._config.sessionToken;
+        }
+        if ("s3" === this.service) {
+            reqOpts.headers["X-Amz-Content-Sha256"] = payloadHash;
+        }
+        var canonicalRequest = this.createCanonicalRequest(reqOpts.method, reqOpts.url, reqOpts.headers, payloadHash);
+        var signature = this.createSignature(this.createStringToSign(canonicalRequest, amzDate), amzDate.substr(0, 8));
+        reqOpts.headers["Authorization"] = "AWS4-HMAC-SHA256 " +
+            "Credential=" + this.accessKeyId + "/" + this.getCredentialScope(amzDate.substr(0, 8)) + ", " +
+            "SignedHeaders=" + Object.keys(this.getCanonicalHeaders(reqOpts.url, reqOpts.headers)).join(";") + ", " +
+            "Signature=" + signature;
+    };
+    Object.defineProperty(AwsSigV4Authorizer.prototype, "region", {
+        /**
+         * Gets the region, like 'eu-central-1'.
+         *
+         * @property
+         */
+        get: function () {
+            return this._config.region;
+        },
         enumerable: true,
         configurable: true
     });
-    return FormatProviderContext;
+    Object.defineProperty(AwsSigV4Authorizer.prototype, "service", {
+        /**
+         * Gets the service, like 's3' or 'execute-api'.
+         *
+         * @property
+         */
+        get: function () {
+            return this._config.service;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return AwsSigV4Authorizer;
 }());
+exports.AwsSigV4Authorizer = AwsSigV4Authorizer;
 /**
- * List of known HTTP request methods.
+ * An authorizer for basic authentication.
  */
-var HttpMethod;
-(function (HttpMethod) {
-    HttpMethod[HttpMethod["GET"] = 0] = "GET";
-    HttpMethod[HttpMethod["POST"] = 1] = "POST";
-    HttpMethod[HttpMethod["PUT"] = 2] = "PUT";
-    HttpMethod[HttpMethod["PATCH"] = 3] = "PATCH";
-    HttpMethod[HttpMethod["DELETE"] = 4] = "DELETE";
-    HttpMethod[HttpMethod["HEAD"] = 5] = "HEAD";
-    HttpMethod[HttpMethod["TRACE"] = 6] = "TRACE";
-    HttpMethod[HttpMethod["OPTIONS"] = 7] = "OPTIONS";
-    HttpMethod[HttpMethod["CONNECT"] = 8] = "CONNECT";
-})(HttpMethod = exports.HttpMethod || (exports.HttpMethod = {}));
-var HttpRequest = (function () {
-    function HttpRequest(client, reqOpts) {
-        this._client = client;
-        this._opts = reqOpts;
+var BasicAuth = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} username The username.
+     * @param {String} pwd The password.
+     */
+    function BasicAuth(username, pwd) {
+        this._username = username;
+        this._password = pwd;
     }
-    Object.defineProperty(HttpRequest.prototype, "body", {
+    Object.defineProperty(BasicAuth.prototype, "password", {
+        /**
+         * Gets the password.
+         *
+         * @property
+         */
         get: function () {
-            return this._opts.content;
+            return this._password;
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(HttpRequest.prototype, "client", {
+    /** @inheritdoc */
+    BasicAuth.prototype.prepare = function (reqOpts) {
+        reqOpts.headers["Authorization"] = "Basic " + encodeBase64(this._username + ":" + this._password);
+    };
+    Object.defineProperty(BasicAuth.prototype, "username", {
+        /**
+         * Gets the username.
+         *
+         * @property
+         */
         get: function () {
-            return this._client;
+            return this._username;
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(HttpRequest.prototype, "headers", {
+    return BasicAuth;
+}());
+exports.BasicAuth = BasicAuth;
+/**
+ * An authorizer for bearer authentication.
+ */
+var BearerAuth = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} token The token.
+     */
+    function BearerAuth(token) {
+        this._token = token;
+    }
+    /** @inheritdoc */
+    BearerAuth.prototype.prepare = function (reqOpts) {
+        reqOpts.headers["Authorization"] = "Bearer " + this._token;
+    };
+    Object.defineProperty(BearerAuth.prototype, "token", {
+        /**
+         * Gets the token.
+         *
+         * @property
+         */
         get: function () {
-            return this._opts.headers;
+            return this._token;
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(HttpRequest.prototype, "method", {
+    return BearerAuth;
+}());
+exports.BearerAuth = BearerAuth;
+var CancellationToken = (function () {
+    function CancellationToken() {
+        this._callbacks = [];
+        this._isCancellationRequested = false;
+    }
+    CancellationToken.prototype.cancel = function (reason) {
+        if (this._isCancellationRequested) {
+            return;
+        }
+        this._isCancellationRequested = true;
+        this._reason = reason;
+        var callbacks = this._callbacks;
+        this._callbacks = [];
+        var errors = [];
+        for (var i = 0; i < callbacks.length; i++) {
+            try {
+                callbacks[i](reason);
+            }
+            catch (e) {
+                errors.push(e);
+            }
+        }
+        // a token has no loggers, so let the caller handle
+        // the first error, after all callbacks have been invoked
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+    };
+    Object.defineProperty(CancellationToken.prototype, "isCancellationRequested", {
         get: function () {
-            return this._opts.method;
+            return this._isCancellationRequested;
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(HttpRequest.prototype, "url", {
+    Object.defineProperty(CancellationToken.prototype, "reason", {
         get: function () {
-            return this._opts.url;
+            return this._reason;
         },
         enumerable: true,
         configurable: true
     });
-    return HttpRequest;
+    CancellationToken.prototype.register = function (callback) {
+        var me = this;
+        if (me._isCancellationRequested) {
+            callback(me._reason);
+            return function () { };
+        }
+        me._callbacks.push(callback);
+        return function () {
+            var index = me._callbacks.indexOf(callback);
+            if (index > -1) {
+                me._callbacks.splice(index, 1);
+            }
+        };
+    };
+    return CancellationToken;
 }());
 /**
- * List of known HTTP request / content types.
+ * A source for a token that can cancel one or more requests.
  */
-var HttpRequestType;
-(function (HttpRequestType) {
+var CancellationTokenSource = (function () {
+    function CancellationTokenSource() {
+        this._token = new CancellationToken();
+    }
     /**
-     * Raw / binary
+     * Cancels all requests that use the token.
+     * If a registered callback throws, the other callbacks are invoked anyway
+     * and the first error is rethrown.
+     *
+     * @param any [reason] The optional reason.
      */
-    HttpRequestType[HttpRequestType["Binary"] = 0] = "Binary";
+    CancellationTokenSource.prototype.cancel = function (reason) {
+        this._token.cancel(reason);
+    };
+    Object.defineProperty(CancellationTokenSource.prototype, "isCancellationRequested", {
+        /**
+         * Gets if cancellation has been requested or not.
+         *
+         * @property
+         */
+        get: function () {
+            return this._token.isCancellationRequested;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(CancellationTokenSource.prototype, "token", {
+        /**
+         * Gets the token.
+         *
+         * @property
+         */
+        get: function () {
+            return this._token;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return CancellationTokenSource;
+}());
+exports.CancellationTokenSource = CancellationTokenSource;
+/**
+ * A circuit breaker that stops sending requests to a host,
+ * if it fails too often.
+ */
+var CircuitBreaker = (function () {
     /**
-     * JSON
+     * Initializes a new instance of that class.
+     *
+     * @param {ICircuitBreakerConfig} [config] The custom configuration.
      */
-    HttpRequestType[HttpRequestType["JSON"] = 1] = "JSON";
+    function CircuitBreaker(config) {
+        this._circuits = {};
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._config = config;
+    }
     /**
-     * Xml
+     * Checks if a request to a host can be sent.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Boolean} Can be sent or not.
      */
-    HttpRequestType[HttpRequestType["Xml"] = 2] = "Xml";
+    CircuitBreaker.prototype.allowRequest = function (host) {
+        var circuit = this.getCircuit(host);
+        if (CircuitState.Open === circuit.state) {
+            if (Date.now() - circuit.openedAt < this.cooldown) {
+                return false;
+            }
+            this.setState(host, CircuitState.HalfOpen);
+        }
+        if (CircuitState.HalfOpen === circuit.state) {
+            if (circuit.isTrialRunning) {
+                // only one trial request at once
+                return false;
+            }
+            circuit.isTrialRunning = true;
+        }
+        return true;
+    };
+    Object.defineProperty(CircuitBreaker.prototype, "cooldown", {
+        /**
+         * Gets the time in milliseconds a circuit stays open. Default: 30000
+         *
+         * @property
+         */
+        get: function () {
+            var cooldown = this._config.cooldown;
+            if (TypeUtils.isNullOrUndefined(cooldown)) {
+                cooldown = 30000;
+            }
+            return cooldown;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(CircuitBreaker.prototype, "failureThreshold", {
+        /**
+         * Gets the number of failures in a row that open a circuit. Default: 5
+         *
+         * @property
+         */
+        get: function () {
+            var threshold = this._config.failureThreshold;
+            if (TypeUtils.isNullOrUndefined(threshold)) {
+                threshold = 5;
+            }
+            return threshold;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    CircuitBreaker.prototype.getCircuit = function (host) {
+        host = normalizeHost(host);
+        var circuit = this._circuits[host];
+        if (TypeUtils.isNullOrUndefined(circuit)) {
+            circuit = this._circuits[host] = {
+                failures: 0,
+                isTrialRunning: false,
+                openedAt: 0,
+                state: CircuitState.Closed,
+                successes: 0,
+            };
+        }
+        return circuit;
+    };
     /**
-     * Text / string
+     * Returns the number of milliseconds until an open circuit can be tried again.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Number} The time or 0 if the circuit is not open.
      */
-    HttpRequestType[HttpRequestType["Text"] = 3] = "Text";
-})(HttpRequestType = exports.HttpRequestType || (exports.HttpRequestType = {}));
-/**
- * List of known HTTP status codes.
- */
-var HttpStatusCode;
-(function (HttpStatusCode) {
-    HttpStatusCode[HttpStatusCode["Accepted"] = 202] = "Accepted";
-    HttpStatusCode[HttpStatusCode["BadGateway"] = 502] = "BadGateway";
-    HttpStatusCode[HttpStatusCode["BadRequest"] = 400] = "BadRequest";
-    HttpStatusCode[HttpStatusCode["Conflict"] = 409] = "Conflict";
-    HttpStatusCode[HttpStatusCode["Continue"] = 100] = "Continue";
-    HttpStatusCode[HttpStatusCode["Created"] = 201] = "Created";
-    HttpStatusCode[HttpStatusCode["ExpectationFailed"] = 417] = "ExpectationFailed";
-    HttpStatusCode[HttpStatusCode["Forbidden"] = 403] = "Forbidden";
-    HttpStatusCode[HttpStatusCode["GatewayTimeout"] = 504] = "GatewayTimeout";
-    HttpStatusCode[HttpStatusCode["Gone"] = 410] = "Gone";
-    HttpStatusCode[HttpStatusCode["HttpVersionNotSupported"] = 505] = "HttpVersionNotSupported";
-    HttpStatusCode[HttpStatusCode["InternalServerError"] = 500] = "InternalServerError";
-    HttpStatusCode[HttpStatusCode["LengthRequired"] = 411] = "LengthRequired";
-    HttpStatusCode[HttpStatusCode["MethodNotAllowed"] = 405] = "MethodNotAllowed";
-    HttpStatusCode[HttpStatusCode["MovedPermanently"] = 301] = "MovedPermanently";
-    HttpStatusCode[HttpStatusCode["MultipleChoices"] = 300] = "MultipleChoices";
-    HttpStatusCode[HttpStatusCode["NoContent"] = 204] = "NoContent";
-    HttpStatusCode[HttpStatusCode["NonAuthoritativeInformation"] = 203] = "NonAuthoritativeInformation";
-    HttpStatusCode[HttpStatusCode["NotAcceptable"] = 406] = "NotAcceptable";
-    HttpStatusCode[HttpStatusCode["NotFound"] = 404] = "NotFound";
-    HttpStatusCode[HttpStatusCode["NotImplemented"] = 501] = "NotImplemented";
-    HttpStatusCode[HttpStatusCode["NotModified"] = 304] = "NotModified";
-    HttpStatusCode[HttpStatusCode["OK"] = 200] = "OK";
-    HttpStatusCode[HttpStatusCode["PartialContent"] = 206] = "PartialContent";
-    HttpStatusCode[HttpStatusCode["PaymentRequired"] = 402] = "PaymentRequired";
-    HttpStatusCode[HttpStatusCode["PreconditionFailed"] = 412] = "PreconditionFailed";
-    HttpStatusCode[HttpStatusCode["ProxyAuthenticationRequired"] = 407] = "ProxyAuthenticationRequired";
-    HttpStatusCode[HttpStatusCode["Redirect"] = 302] = "Redirect";
-    HttpStatusCode[HttpStatusCode["RequestedRangeNotSatisfiable"] = 416] = "RequestedRangeNotSatisfiable";
-    HttpStatusCode[HttpStatusCode["RequestEntityTooLarge"] = 413] = "RequestEntityTooLarge";
-    HttpStatusCode[HttpStatusCode["RequestTimeout"] = 408] = "RequestTimeout";
-    HttpStatusCode[HttpStatusCode["RequestUriTooLong"] = 414] = "RequestUriTooLong";
-    HttpStatusCode[HttpStatusCode["ResetContent"] = 205] = "ResetContent";
-    HttpStatusCode[HttpStatusCode["SeeOther"] = 303] = "SeeOther";
-    HttpStatusCode[HttpStatusCode["ServiceUnavailable"] = 503] = "ServiceUnavailable";
-    HttpStatusCode[HttpStatusCode["SwitchingProtocols"] = 101] = "SwitchingProtocols";
-    HttpStatusCode[HttpStatusCode["TemporaryRedirect"] = 307] = "TemporaryRedirect";
-    HttpStatusCode[HttpStatusCode["Unauthorized"] = 401] = "Unauthorized";
-    HttpStatusCode[HttpStatusCode["UnsupportedMediaType"] = 415] = "UnsupportedMediaType";
-    HttpStatusCode[HttpStatusCode["Unused"] = 306] = "Unused";
-    HttpStatusCode[HttpStatusCode["UpgradeRequired"] = 426] = "UpgradeRequired";
-    HttpStatusCode[HttpStatusCode["UseProxy"] = 305] = "UseProxy";
-})(HttpStatusCode = exports.HttpStatusCode || (exports.HttpStatusCode = {}));
-/**
- * List of log categories.
- */
-var LogCategory;
-(function (LogCategory) {
-    LogCategory[LogCategory["Emergency"] = 1] = "Emergency";
-    LogCategory[LogCategory["Alert"] = 2] = "Alert";
-    LogCategory[LogCategory["Critical"] = 3] = "Critical";
-    LogCategory[LogCategory["Error"] = 4] = "Error";
-    LogCategory[LogCategory["Warning"] = 5] = "Warning";
-    LogCategory[LogCategory["Notice"] = 6] = "Notice";
-    LogCategory[LogCategory["Info"] = 7] = "Info";
-    LogCategory[LogCategory["Debug"] = 8] = "Debug";
-    LogCategory[LogCategory["Trace"] = 9] = "Trace";
-})(LogCategory = exports.LogCategory || (exports.LogCategory = {}));
-var LogMessage = (function () {
-    function LogMessage(source, time, msg, tag, category, priority) {
-        this._source = source;
-        this._time = time;
-        this._message = msg;
-        this._tag = tag;
-        this._category = category;
-        this._priority = priority;
-    }
-    Object.defineProperty(LogMessage.prototype, "category", {
-        get: function () {
-            return this._category;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(LogMessage.prototype, "message", {
-        get: function () {
-            return this._message;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(LogMessage.prototype, "priority", {
-        get: function () {
-            return this._priority;
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(LogMessage.prototype, "source", {
+    CircuitBreaker.prototype.getRetryAfter = function (host) {
+        var circuit = this.getCircuit(host);
+        if (CircuitState.Open !== circuit.state) {
+            return 0;
+        }
+        return Math.max(0, circuit.openedAt + this.cooldown - Date.now());
+    };
+    /**
+     * Returns the state of the circuit of a host.
+     *
+     * @param {String} host The host.
+     *
+     * @return {CircuitState} The state.
+     */
+    CircuitBreaker.prototype.getState = function (host) {
+        return this.getCircuit(host).state;
+    };
+    /**
+     * Checks if a response or an error counts as failure.
+     *
+     * @param {Number} code The status code, if there is a response.
+     * @param any [err] The error, if there is no response.
+     *
+     * @return {Boolean} Is failure or not.
+     */
+    CircuitBreaker.prototype.isFailure = function (code, err) {
+        if (!TypeUtils.isNullOrUndefined(this._config.isFailure)) {
+            return this._config.isFailure(code, err);
+        }
+        return TypeUtils.isNullOrUndefined(code) ||
+            429 === code ||
+            code >= 500;
+    };
+    /**
+     * Reports a failed request.
+     *
+     * @param {String} host The host.
+     */
+    CircuitBreaker.prototype.onFailure = function (host) {
+        var circuit = this.getCircuit(host);
+        circuit.isTrialRunning = false;
+        circuit.successes = 0;
+        ++circuit.failures;
+        if (CircuitState.HalfOpen === circuit.state ||
+            (CircuitState.Closed === circuit.state && circuit.failures >= this.failureThreshold)) {
+            circuit.openedAt = Date.now();
+            this.setState(host, CircuitState.Open);
+        }
+    };
+    /**
+     * Reports a succeeded request.
+     *
+     * @param {String} host The host.
+     */
+    CircuitBreaker.prototype.onSuccess = function (host) {
+        var circuit = this.getCircuit(host);
+        circuit.isTrialRunning = false;
+        circuit.failures = 0;
+        if (CircuitState.HalfOpen === circuit.state) {
+            if (++circuit.successes >= this.successThreshold) {
+                circuit.successes = 0;
+                this.setState(host, CircuitState.Closed);
+            }
+        }
+    };
+    /**
+     * Closes the circuit of a host or all circuits.
+     *
+     * @param {String} [host] The host.
+     */
+    CircuitBreaker.prototype.reset = function (host) {
+        var hosts = TypeUtils.isNullOrUndefined(host) ? Object.keys(this._circuits)
+            : [normalizeHost(host)];
+        for (var i = 0; i < hosts.length; i++) {
+            var circuit = this.getCircuit(hosts[i]);
+            circuit.failures = 0;
+            circuit.isTrialRunning = false;
+            circuit.successes = 0;
+            this.setState(hosts[i], CircuitState.Closed);
+        }
+    };
+    CircuitBreaker.prototype.setState = function (host, newState) {
+        var circuit = this.getCircuit(host);
+        var oldState = circuit.state;
+        if (oldState === newState) {
+            return;
+        }
+        circuit.state = newState;
+        var onStateChange = this._config.onStateChange;
+        if (!TypeUtils.isNullOrUndefined(onStateChange)) {
+            try {
+                onStateChange({
+                    breaker: this,
+                    failures: circuit.failures,
+                    host: normalizeHost(host),
+                    newState: newState,
+                    oldState: oldState,
+                });
+            }
+            catch (e) {
+                if (!TypeUtils.isNullOrUndefined(this.logger)) {
+                    this.logger.err("onStateChange(): " + e, "CircuitBreaker");
+                }
+            }
+        }
+    };
+    Object.defineProperty(CircuitBreaker.prototype, "successThreshold", {
+        /**
+         * Gets the number of succeeded trial requests that close a circuit. Default: 1
+         *
+         * @property
+         */
         get: function () {
-            return this._source;
+            var threshold = this._config.successThreshold;
+            if (TypeUtils.isNullOrUndefined(threshold)) {
+                threshold = 1;
+            }
+            return threshold;
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(LogMessage.prototype, "tag", {
+    return CircuitBreaker;
+}());
+exports.CircuitBreaker = CircuitBreaker;
+/**
+ * List of states of a circuit.
+ */
+var CircuitState;
+(function (CircuitState) {
+    /**
+     * Requests are sent.
+     */
+    CircuitState[CircuitState["Closed"] = 0] = "Closed";
+    /**
+     * Requests are rejected.
+     */
+    CircuitState[CircuitState["Open"] = 1] = "Open";
+    /**
+     * A trial request is sent to check if the host is available again.
+     */
+    CircuitState[CircuitState["HalfOpen"] = 2] = "HalfOpen";
+})(CircuitState = exports.CircuitState || (exports.CircuitState = {}));
+/**
+ * Stores cookies, which are received from and sent to servers.
+ */
+var CookieJar = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {ICookieJarConfig} [config] The custom configuration.
+     */
+    function CookieJar(config) {
+        this._cookies = [];
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._config = config;
+        this._store = config.store;
+        if (TypeUtils.isNullOrUndefined(this._store)) {
+            this._store = createValueStorageCookieStore(config.storage || AppSettingsStorage, isEmptyString(config.storageKey) ? "apiclient.cookies" : config.storageKey);
+        }
+        // restore cookies of previous sessions
+        this._loaded = Promise.resolve().then(function () { return me._store.load(); }).then(function (cookies) {
+            if (TypeUtils.isNullOrUndefined(cookies)) {
+                return;
+            }
+            // cookies that have been received in the meantime win
+            var restoredCookies = cookies.filter(function (c) {
+                return me._cookies.filter(function (x) { return isSameCookie(x, c); }).length < 1;
+            });
+            me._cookies = restoredCookies.concat(me._cookies);
+        }, function (err) {
+            me.logError("Could not load cookies: " + err);
+        });
+    }
+    /**
+     * Removes all cookies or the cookies of a domain.
+     *
+     * @param {String} [domain] The domain.
+     *
+     * @return {Number} The number of removed cookies.
+     */
+    CookieJar.prototype.clear = function (domain) {
+        var oldCount = this._cookies.length;
+        if (isEmptyString(domain)) {
+            this._cookies = [];
+        }
+        else {
+            domain = normalizeCookieDomain(domain);
+            this._cookies = this._cookies.filter(function (c) { return c.domain !== domain; });
+        }
+        var removed = oldCount - this._cookies.length;
+        if (removed > 0) {
+            this.save();
+        }
+        return removed;
+    };
+    Object.defineProperty(CookieJar.prototype, "cookies", {
+        /**
+         * Gets a copy of the list of all (not expired) cookies.
+         *
+         * @property
+         */
         get: function () {
-            return this._tag;
+            this.removeExpired();
+            return this._cookies.map(function (c) { return copyCookie(c); });
         },
         enumerable: true,
         configurable: true
     });
-    Object.defineProperty(LogMessage.prototype, "time", {
+    /**
+     * Returns the value for the 'Cookie' header of a request.
+     *
+     * @param {String} url The (encoded) request URL.
+     *
+     * @return {String} The value or (null) if there are no cookies.
+     */
+    CookieJar.prototype.getCookieHeader = function (url) {
+        var cookies = this.getCookies(url);
+        if (cookies.length < 1) {
+            return null;
+        }
+        return cookies.map(function (c) { return c.name + "=" + c.value; })
+            .join("; ");
+    };
+    /**
+     * Returns the cookies for a request.
+     *
+     * @param {String} url The (encoded) request URL.
+     *
+     * @return {ICookie[]} The cookies, ordered by the length of their path.
+     */
+    CookieJar.prototype.getCookies = function (url) {
+        this.removeExpired();
+        var urlParts = parseUrl(url);
+        var host = normalizeCookieDomain(urlParts.host.replace(/:\d+$/, ""));
+        var isSecure = "https" === urlParts.scheme;
+        var cookies = this._cookies.filter(function (c) {
+            if (c.secure && !isSecure) {
+                return false;
+            }
+            if (c.hostOnly ? host !== c.domain : !isDomainMatching(host, c.domain)) {
+                return false;
+            }
+            return isPathMatching(urlParts.path, c.path);
+        });
+        // longer paths first
+        cookies.sort(function (x, y) {
+            if (x.path.length !== y.path.length) {
+                return y.path.length - x.path.length;
+            }
+            return x.creationTime - y.creationTime;
+        });
+        return cookies.map(function (c) { return copyCookie(c); });
+    };
+    Object.defineProperty(CookieJar.prototype, "loaded", {
+        /**
+         * Gets the promise, which is completed after the cookies
+         * of previous sessions have been loaded.
+         *
+         * @property
+         */
         get: function () {
-            return this._time;
+            return this._loaded;
         },
         enumerable: true,
         configurable: true
     });
-    return LogMessage;
-}());
-/**
- * List of log priorities.
- */
-var LogPriority;
-(function (LogPriority) {
-    LogPriority[LogPriority["VeryHigh"] = 1] = "VeryHigh";
-    LogPriority[LogPriority["High"] = 2] = "High";
-    LogPriority[LogPriority["Medium"] = 3] = "Medium";
-    LogPriority[LogPriority["Low"] = 4] = "Low";
-    LogPriority[LogPriority["VeryLow"] = 5] = "VeryLow";
-})(LogPriority = exports.LogPriority || (exports.LogPriority = {}));
-/**
- * List of log (message) source.
- */
-var LogSource;
-(function (LogSource) {
-    /**
-     * From API client.
-     */
-    LogSource[LogSource["Client"] = 0] = "Client";
+    CookieJar.prototype.logError = function (msg) {
+        if (!TypeUtils.isNullOrUndefined(this.logger)) {
+            this.logger.err(msg, "CookieJar");
+        }
+    };
+    CookieJar.prototype.parseCookie = function (setCookie, url) {
+        if (isEmptyString(setCookie)) {
+            return null;
+        }
+        var urlParts = parseUrl(url);
+        var host = normalizeCookieDomain(urlParts.host.replace(/:\d+$/, ""));
+        var parts = ("" + setCookie).split(";");
+        var nameValue = parts.shift();
+        var eqIndex = nameValue.indexOf("=");
+        if (eqIndex < 1) {
+            return null;
+        }
+        var now = Date.now();
+        var cookie = {
+            creationTime: now,
+            domain: host,
+            hostOnly: true,
+            httpOnly: false,
+            name: nameValue.substr(0, eqIndex).trim(),
+            path: null,
+            secure: false,
+            value: nameValue.substr(eqIndex + 1).trim(),
+        };
+        var maxAge;
+        for (var i = 0; i < parts.length; i++) {
+            var attr = parts[i];
+            var attrName = attr;
+            var attrValue = "";
+            var attrEqIndex = attr.indexOf("=");
+            if (attrEqIndex > -1) {
+                attrName = attr.substr(0, attrEqIndex);
+                attrValue = attr.substr(attrEqIndex + 1).trim();
+            }
+            switch (attrName.toLowerCase().trim()) {
+                case "domain":
+                    if ("" !== attrValue) {
+                        cookie.domain = normalizeCookieDomain(attrValue);
+                        cookie.hostOnly = false;
+                    }
+                    break;
+                case "expires":
+                    var expires = Date.parse(attrValue);
+                    if (!isNaN(expires)) {
+                        cookie.expires = expires;
+                    }
+                    break;
+                case "httponly":
+                    cookie.httpOnly = true;
+                    break;
+                case "max-age":
+                    if (/^-?\d+$/.test(attrValue)) {
+                        maxAge = parseInt(attrValue);
+                    }
+                    break;
+                case "path":
+                    if ("/" === attrValue[0]) {
+                        cookie.path = attrValue;
+                    }
+                    break;
+                case "samesite":
+                    cookie.sameSite = attrValue;
+                    break;
+                case "secure":
+                    cookie.secure = true;
+                    break;
+            }
+        }
+        // 'Max-Age' wins
+        if (!TypeUtils.isNullOrUndefined(maxAge)) {
+            cookie.expires = maxAge > 0 ? (now + maxAge * 1000) : 0;
+        }
+        if (!cookie.hostOnly) {
+            // no cookies for other domains
+            // or top level domains
+            if (!isDomainMatching(host, cookie.domain) ||
+                (cookie.domain.indexOf(".") < 0 && cookie.domain !== host)) {
+                return null;
+            }
+        }
+        if (TypeUtils.isNullOrUndefined(cookie.path)) {
+            // default path
+            var path = urlParts.path;
+            cookie.path = path.lastIndexOf("/") > 0 ? path.substr(0, path.lastIndexOf("/"))
+                : "/";
+        }
+        return cookie;
+    };
     /**
-     * From "completed" action
+     * Removes a cookie.
+     *
+     * @param {String} name The name of the cookie.
+     * @param {String} [domain] The domain.
+     * @param {String} [path] The path.
+     *
+     * @return {Number} The number of removed cookies.
      */
-    LogSource[LogSource["Complete"] = 1] = "Complete";
+    CookieJar.prototype.remove = function (name, domain, path) {
+        var oldCount = this._cookies.length;
+        this._cookies = this._cookies.filter(function (c) {
+            return !(c.name === name &&
+                (isEmptyString(domain) || c.domain === normalizeCookieDomain(domain)) &&
+                (isEmptyString(path) || c.path === path));
+        });
+        var removed = oldCount - this._cookies.length;
+        if (removed > 0) {
+            this.save();
+        }
+        return removed;
+    };
+    CookieJar.prototype.removeExpired = function () {
+        var now = Date.now();
+        var oldCount = this._cookies.length;
+        this._cookies = this._cookies.filter(function (c) {
+            return TypeUtils.isNullOrUndefined(c.expires) || c.expires > now;
+        });
+        if (oldCount !== this._cookies.length) {
+            this.save();
+        }
+    };
+    CookieJar.prototype.save = function () {
+        var me = this;
+        var cookies = me._cookies;
+        if (true !== me._config.persistSessionCookies) {
+            cookies = cookies.filter(function (c) { return !TypeUtils.isNullOrUndefined(c.expires); });
+        }
+        me._loaded.then(function () { return me._store.save(cookies); }).then(null, function (err) {
+            me.logError("Could not save cookies: " + err);
+        });
+    };
     /**
-     * From IApiClientError object
+     * Stores a cookie from a 'Set-Cookie' header.
+     *
+     * @param {String} setCookie The value of the 'Set-Cookie' header.
+     * @param {String} url The (encoded) URL of the request.
+     *
+     * @return {ICookie} The stored cookie or (null) if the cookie has been rejected or deleted.
      */
-    LogSource[LogSource["Error"] = 2] = "Error";
+    CookieJar.prototype.setCookie = function (setCookie, url) {
+        var cookie = this.parseCookie(setCookie, url);
+        if (TypeUtils.isNullOrUndefined(cookie)) {
+            return null;
+        }
+        var existingCookies = this._cookies.filter(function (c) { return isSameCookie(c, cookie); });
+        if (existingCookies.length > 0) {
+            cookie.creationTime = existingCookies[0].creationTime;
+        }
+        this._cookies = this._cookies.filter(function (c) { return !isSameCookie(c, cookie); });
+        var isExpired = !TypeUtils.isNullOrUndefined(cookie.expires) &&
+            cookie.expires <= Date.now();
+        if (!isExpired) {
+            this._cookies.push(cookie);
+        }
+        this.save();
+        return isExpired ? null : copyCookie(cookie);
+    };
     /**
-     * From IApiClientResult object
+     * Stores the cookies of the 'Set-Cookie' headers of a response.
+     *
+     * @param any headers The response headers.
+     * @param {String} url The (encoded) URL of the request.
+     *
+     * @return {ICookie[]} The stored cookies.
      */
-    LogSource[LogSource["Result"] = 3] = "Result";
-})(LogSource = exports.LogSource || (exports.LogSource = {}));
+    CookieJar.prototype.setCookies = function (headers, url) {
+        var cookies = [];
+        for (var h in getOwnProperties(headers)) {
+            if ("set-cookie" !== h.toLowerCase().trim()) {
+                continue;
+            }
+            var values = headers[h];
+            if (!(values instanceof Array)) {
+                values = [values];
+            }
+            for (var i = 0; i < values.length; i++) {
+                var setCookies = splitSetCookieHeader(values[i]);
+                for (var j = 0; j < setCookies.length; j++) {
+                    var cookie = this.setCookie(setCookies[j], url);
+                    if (!TypeUtils.isNullOrUndefined(cookie)) {
+                        cookies.push(cookie);
+                    }
+                }
+            }
+        }
+        return cookies;
+    };
+    return CookieJar;
+}());
+exports.CookieJar = CookieJar;
+var DelegateAsyncSequence = (function (_super) {
+    __extends(DelegateAsyncSequence, _super);
+    function DelegateAsyncSequence(source, moveNext, reset) {
+        var _this = _super.call(this) || this;
+        _this._moveNext = moveNext;
+        _this._reset = reset;
+        _this._source = source;
+        return _this;
+    }
+    DelegateAsyncSequence.prototype.moveNext = function () {
+        return this._moveNext(this);
+    };
+    DelegateAsyncSequence.prototype.reset = function () {
+        this._source.reset();
+        this._reset();
+        this._current = undefined;
+        return this;
+    };
+    DelegateAsyncSequence.prototype.setCurrent = function (item) {
+        this._current = item;
+    };
+    return DelegateAsyncSequence;
+}(AsyncSequence));
 /**
- * OAuth authorizer
+ * An authorizer for HTTP Digest authentication.
+ * The challenge is received with a 401 response,
+ * before the request is sent again.
  */
-var OAuth = (function () {
-    function OAuth() {
-        this._fields = {};
+var DigestAuthorizer = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} username The username.
+     * @param {String} pwd The password.
+     */
+    function DigestAuthorizer(username, pwd) {
+        this._nonceCount = 0;
+        this._username = username;
+        this._password = pwd;
     }
+    Object.defineProperty(DigestAuthorizer.prototype, "challenge", {
+        /**
+         * Gets the current challenge of the server (the parameters of 'WWW-Authenticate').
+         *
+         * @property
+         */
+        get: function () {
+            return this._challenge;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Computes the value for 'response'.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} uri The URI (path and query).
+     * @param any challenge The challenge.
+     * @param {String} nc The nonce count, like '00000001'.
+     * @param {String} cnonce The client nonce.
+     * @param {String} [qop] The quality of protection ('auth' or 'auth-int').
+     * @param {String} [body] The body for 'auth-int'.
+     *
+     * @return {String} The response value.
+     */
+    DigestAuthorizer.prototype.createResponse = function (method, uri, challenge, nc, cnonce, qop, body) {
+        var algorithm = ("" + (challenge.algorithm || "MD5")).toUpperCase().trim();
+        var isSession = /-SESS$/.test(algorithm);
+        var hashAlgorithm = HashAlgorithms[algorithm.replace(/-SESS$/, "").replace("-", "").toLowerCase()];
+        if (TypeUtils.isNullOrUndefined(hashAlgorithm)) {
+            throw "Digest algorithm '" + challenge.algorithm + "' is NOT supported!";
+        }
+        var h = function (str) {
+            return hashAlgorithm.hash(str).toString(Hex);
+        };
+        var ha1 = h(this._username + ":" + challenge.realm + ":" + this._password);
+        if (isSession) {
+            ha1 = h(ha1 + ":" + challenge.nonce + ":" + cnonce);
+        }
+        var ha2 = "auth-int" === qop ? h(methodToString(method) + ":" + uri + ":" + h(body || ""))
+            : h(methodToString(method) + ":" + uri);
+        if (isEmptyString(qop)) {
+            // RFC 2069
+            return h(ha1 + ":" + challenge.nonce + ":" + ha2);
+        }
+        return h([ha1, challenge.nonce, nc, cnonce, qop, ha2].join(":"));
+    };
     /** @inheritdoc */
-    OAuth.prototype.prepare = function (reqOpts) {
-        var i = 0;
-        var fieldList = '';
-        for (var f in this._fields) {
-            var v = this._fields[f];
-            if (i > 0) {
-                fieldList += ', ';
+    DigestAuthorizer.prototype.interceptResponse = function (ctx) {
+        var STATE_KEY = "__digest_replayed";
+        if (401 !== ctx.response.statusCode) {
+            return;
+        }
+        var challenge = parseDigestChallenge(getHeaderValue(ctx.response.headers, "WWW-Authenticate"));
+        if (TypeUtils.isNullOrUndefined(challenge)) {
+            return;
+        }
+        var isStale = "true" === ("" + challenge.stale).toLowerCase().trim();
+        if (ctx.state[STATE_KEY] && !isStale) {
+            // wrong credentials
+            return;
+        }
+        ctx.state[STATE_KEY] = true;
+        this._challenge = challenge;
+        this._nonceCount = 0;
+        ctx.replay();
+    };
+    /** @inheritdoc */
+    DigestAuthorizer.prototype.prepare = function (reqOpts) {
+        var challenge = this._challenge;
+        if (TypeUtils.isNullOrUndefined(challenge)) {
+            // wait for challenge
+            return;
+        }
+        var urlParts = parseUrl(reqOpts.url);
+        var uri = urlParts.path + urlParts.query;
+        var body = typeof reqOpts.content === "string" ? reqOpts.content : "";
+        var qop;
+        if (!isEmptyString(challenge.qop)) {
+            var qops = ("" + challenge.qop).split(",").map(function (q) { return q.toLowerCase().trim(); });
+            if (qops.indexOf("auth") > -1) {
+                qop = "auth";
+            }
+            else if (qops.indexOf("auth-int") > -1) {
+                qop = "auth-int";
+            }
+        }
+        var cnonce = this.cnonce;
+        if (isEmptyString(cnonce)) {
+            cnonce = createRandomHex(16);
+        }
+        var nc = ("0000000" + (++this._nonceCount).toString(16)).substr(-8);
+        var params = [
+            ["username", this._username],
+            ["realm", challenge.realm],
+            ["nonce", challenge.nonce],
+            ["uri", uri],
+        ];
+        if (!isEmptyString(challenge.algorithm)) {
+            params.push(["algorithm", challenge.algorithm, ""]);
+        }
+        if (!isEmptyString(qop)) {
+            params.push(["qop", qop, ""]);
+            params.push(["nc", nc, ""]);
+            params.push(["cnonce", cnonce]);
+        }
+        params.push(["response", this.createResponse(reqOpts.method, uri, challenge, nc, cnonce, qop, body)]);
+        if (!isEmptyString(challenge.opaque)) {
+            params.push(["opaque", challenge.opaque]);
+        }
+        // 3rd item => no quotes
+        reqOpts.headers["Authorization"] = "Digest " + params.map(function (p) {
+            var value = "" + p[1];
+            return p[0] + "=" + (p.length > 2 ? value
+                : ('"' + value.replace(/(["\\])/g, "\\$1") + '"'));
+        }).join(", ");
+    };
+    Object.defineProperty(DigestAuthorizer.prototype, "username", {
+        /**
+         * Gets the username.
+         *
+         * @property
+         */
+        get: function () {
+            return this._username;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return DigestAuthorizer;
+}());
+exports.DigestAuthorizer = DigestAuthorizer;
+/**
+ * An incremental parser for server-sent events (text/event-stream).
+ */
+var EventStreamParser = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {Function} onEvent The function that receives the events.
+     */
+    function EventStreamParser(onEvent) {
+        this._buffer = "";
+        this._data = [];
+        this._eventType = "";
+        this._isFirstChunk = true;
+        this._lastEventIdBuffer = "";
+        this._skipLineFeed = false;
+        /**
+         * Stores the ID of the last event.
+         */
+        this.lastEventId = "";
+        this._onEvent = onEvent;
+    }
+    EventStreamParser.prototype.dispatch = function () {
+        var data = this._data;
+        var eventType = this._eventType;
+        this._data = [];
+        this._eventType = "";
+        this.lastEventId = this._lastEventIdBuffer;
+        if (data.length < 1) {
+            return;
+        }
+        this._onEvent({
+            data: data.join("\n"),
+            event: "" === eventType ? LongPollClient.messageEvent : eventType,
+            id: this.lastEventId,
+        });
+    };
+    /**
+     * Finishes the current connection.
+     * An incomplete event is discarded.
+     */
+    EventStreamParser.prototype.end = function () {
+        this._buffer = "";
+        this._data = [];
+        this._eventType = "";
+        this._isFirstChunk = true;
+        this._lastEventIdBuffer = this.lastEventId;
+        this._skipLineFeed = false;
+    };
+    EventStreamParser.prototype.processLine = function (line) {
+        if ("" === line) {
+            this.dispatch();
+            return;
+        }
+        if (":" === line[0]) {
+            // comment
+            return;
+        }
+        var field = line;
+        var value = "";
+        var sep = line.indexOf(":");
+        if (sep > -1) {
+            field = line.substr(0, sep);
+            value = line.substr(sep + 1);
+            if (" " === value[0]) {
+                value = value.substr(1);
+            }
+        }
+        switch (field) {
+            case "data":
+                this._data.push(value);
+                break;
+            case "event":
+                this._eventType = value;
+                break;
+            case "id":
+                if (value.indexOf("\0") < 0) {
+                    this._lastEventIdBuffer = value;
+                }
+                break;
+            case "retry":
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value);
+                }
+                break;
+        }
+    };
+    /**
+     * Parses the next chunk of the stream.
+     *
+     * @param {String} chunk The chunk.
+     */
+    EventStreamParser.prototype.write = function (chunk) {
+        if (TypeUtils.isNullOrUndefined(chunk) || "" === chunk) {
+            return;
+        }
+        if (this._isFirstChunk) {
+            this._isFirstChunk = false;
+            // BOM
+            if ("\uFEFF" === chunk[0]) {
+                chunk = chunk.substr(1);
+            }
+        }
+        if (this._skipLineFeed && "\n" === chunk[0]) {
+            // CR LF, split between two chunks
+            chunk = chunk.substr(1);
+        }
+        this._skipLineFeed = "\r" === chunk[chunk.length - 1];
+        var lines = (this._buffer + chunk).split(/\r\n|\r|\n/);
+        this._buffer = lines.pop();
+        for (var i = 0; i < lines.length; i++) {
+            this.processLine(lines[i]);
+        }
+    };
+    return EventStreamParser;
+}());
+exports.EventStreamParser = EventStreamParser;
+/**
+ * A cache store that saves its entries as files.
+ */
+var FileCacheStore = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} [path] The custom path of the folder. Default: 'apiclient-cache' inside temp folder.
+     */
+    function FileCacheStore(path) {
+        if (isEmptyString(path)) {
+            path = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-cache");
+        }
+        this._folder = FileSystem.Folder.fromPath(path);
+    }
+    /** @inheritdoc */
+    FileCacheStore.prototype.clear = function () {
+        return this._folder.clear();
+    };
+    Object.defineProperty(FileCacheStore.prototype, "folder", {
+        /**
+         * Gets the underlying folder.
+         *
+         * @property
+         */
+        get: function () {
+            return this._folder;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    FileCacheStore.prototype.get = function (key) {
+        var path = this.getPath(key);
+        if (!FileSystem.File.exists(path)) {
+            return Promise.resolve(null);
+        }
+        return FileSystem.File.fromPath(path).readText().then(function (json) {
+            if (isEmptyString(json)) {
+                return null;
+            }
+            return JSON.parse(json);
+        });
+    };
+    FileCacheStore.prototype.getPath = function (key) {
+        return FileSystem.path.join(this._folder.path, SHA1(key).toString() + ".json");
+    };
+    /** @inheritdoc */
+    FileCacheStore.prototype.remove = function (key) {
+        var path = this.getPath(key);
+        if (!FileSystem.File.exists(path)) {
+            return Promise.resolve();
+        }
+        return FileSystem.File.fromPath(path).remove();
+    };
+    /** @inheritdoc */
+    FileCacheStore.prototype.set = function (key, entry) {
+        return FileSystem.File.fromPath(this.getPath(key))
+            .writeText(JSON.stringify(entry));
+    };
+    return FileCacheStore;
+}());
+exports.FileCacheStore = FileCacheStore;
+/**
+ * List of formats for fixture files.
+ */
+var FixtureFormat;
+(function (FixtureFormat) {
+    /**
+     * JSON
+     */
+    FixtureFormat[FixtureFormat["JSON"] = 0] = "JSON";
+    /**
+     * YAML
+     */
+    FixtureFormat[FixtureFormat["YAML"] = 1] = "YAML";
+})(FixtureFormat = exports.FixtureFormat || (exports.FixtureFormat = {}));
+var FormatProviderContext = (function () {
+    function FormatProviderContext(expr, val) {
+        this.handled = false;
+        this._expression = expr;
+        this._value = val;
+    }
+    Object.defineProperty(FormatProviderContext.prototype, "expression", {
+        get: function () {
+            return this._expression;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(FormatProviderContext.prototype, "value", {
+        get: function () {
+            return this._value;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return FormatProviderContext;
+}());
+/**
+ * A GraphQL client that sends its requests via an API client.
+ */
+var GraphQLClient = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The underlying API client.
+     * @param {IGraphQLConfig} [config] The custom configuration.
+     */
+    function GraphQLClient(client, config) {
+        this._fragments = {};
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._client = client;
+        this._config = config;
+        var fragments = config.fragments || [];
+        for (var i = 0; i < fragments.length; i++) {
+            this.addFragment(fragments[i]);
+        }
+    }
+    /**
+     * Registers one or more fragments, which are appended to
+     * queries and mutations, that use them.
+     *
+     * @chainable
+     *
+     * @param {String} fragment The fragment definition(s), like 'fragment UserFields on User { id name }'.
+     */
+    GraphQLClient.prototype.addFragment = function (fragment) {
+        var definitions = splitGraphQLFragments(fragment);
+        if (definitions.length < 1) {
+            throw "'" + fragment + "' contains NO fragment definition!";
+        }
+        for (var i = 0; i < definitions.length; i++) {
+            this._fragments[definitions[i].name] = definitions[i].definition;
+        }
+        return this;
+    };
+    Object.defineProperty(GraphQLClient.prototype, "client", {
+        /**
+         * Gets the underlying API client.
+         *
+         * @property
+         */
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Appends the registered fragments, which are used by a document.
+     *
+     * @param {String} document The query or mutation.
+     * @param {String[]} [fragments] Additional fragment definitions.
+     *
+     * @return {String} The document with the fragments.
+     */
+    GraphQLClient.prototype.compose = function (document, fragments) {
+        var available = {};
+        for (var f in this._fragments) {
+            available[f] = this._fragments[f];
+        }
+        fragments = fragments || [];
+        for (var i = 0; i < fragments.length; i++) {
+            var definitions = splitGraphQLFragments(fragments[i]);
+            for (var j = 0; j < definitions.length; j++) {
+                available[definitions[j].name] = definitions[j].definition;
+            }
+        }
+        // fragments that are already part of the document
+        var defined = {};
+        var ownDefinitions = splitGraphQLFragments(document);
+        for (var i = 0; i < ownDefinitions.length; i++) {
+            defined[ownDefinitions[i].name] = true;
+        }
+        var result = document;
+        // fragments can use other fragments
+        var sources = [document];
+        while (sources.length > 0) {
+            var src = sources.shift();
+            var spreads = getGraphQLFragmentSpreads(src);
+            for (var i = 0; i < spreads.length; i++) {
+                var name = spreads[i];
+                if (true === defined[name]) {
+                    continue;
+                }
+                var definition = available[name];
+                if (TypeUtils.isNullOrUndefined(definition)) {
+                    throw "Fragment '" + name + "' is NOT defined!";
+                }
+                defined[name] = true;
+                result += "\n\n" + definition;
+                sources.push(definition);
+            }
+        }
+        return result;
+    };
+    /**
+     * Sends a mutation.
+     *
+     * @param {String} mutation The mutation.
+     * @param any [variables] The variables.
+     * @param {IGraphQLRequest} [req] Additional settings for the request.
+     *
+     * @return {Promise<IGraphQLResult<T>>} The promise.
+     */
+    GraphQLClient.prototype.mutate = function (mutation, variables, req) {
+        return this.request(toGraphQLRequest(mutation, variables, req, true));
+    };
+    /**
+     * Sends a query.
+     *
+     * @param {String} query The query.
+     * @param any [variables] The variables.
+     * @param {IGraphQLRequest} [req] Additional settings for the request.
+     *
+     * @return {Promise<IGraphQLResult<T>>} The promise.
+     */
+    GraphQLClient.prototype.query = function (query, variables, req) {
+        return this.request(toGraphQLRequest(query, variables, req, false));
+    };
+    /**
+     * Sends a GraphQL request.
+     *
+     * If the response contains errors, the promise is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'GraphQLResponseError'.
+     * This is also the case for responses with a status code other than 2xx.
+     *
+     * @param {IGraphQLRequest} req The request.
+     *
+     * @return {Promise<IGraphQLResult<T>>} The promise.
+     */
+    GraphQLClient.prototype.request = function (req) {
+        var me = this;
+        var document = me.compose(req.query, req.fragments);
+        var usePersistedQuery = req.persisted;
+        if (TypeUtils.isNullOrUndefined(usePersistedQuery)) {
+            usePersistedQuery = true === me._config.persistedQueries;
+        }
+        var useGet = !req.isMutation && true === me._config.useGetForQueries;
+        var send = function (includeQuery, isProbe) {
+            var body = {};
+            if (includeQuery) {
+                body.query = document;
+            }
+            if (!isEmptyString(req.operationName)) {
+                body.operationName = req.operationName;
+            }
+            if (!TypeUtils.isNullOrUndefined(req.variables)) {
+                body.variables = req.variables;
+            }
+            if (usePersistedQuery) {
+                body.extensions = {
+                    persistedQuery: {
+                        sha256Hash: SHA256(document).toString(),
+                        version: 1,
+                    },
+                };
+            }
+            var opts = {};
+            var allOpts = [getOwnProperties(me._config.request), getOwnProperties(req.request)];
+            for (var i = 0; i < allOpts.length; i++) {
+                for (var p in allOpts[i]) {
+                    opts[p] = allOpts[i][p];
+                }
+            }
+            opts.validateResult = function (result) {
+                var gqlResult = toGraphQLResult(result);
+                if (TypeUtils.isNullOrUndefined(gqlResult.errors) || gqlResult.errors.length < 1) {
+                    return;
+                }
+                if (isProbe && isPersistedQueryNotFound(gqlResult.errors)) {
+                    // send again with query
+                    return;
+                }
+                return new GraphQLResponseError(gqlResult);
+            };
+            if (isProbe) {
+                // the actions of the client are only
+                // invoked for the final response
+                opts.invokeActions = false;
+            }
+            if (useGet) {
+                var params = getOwnProperties(opts.params) || {};
+                for (var b in body) {
+                    params[b] = typeof body[b] === "object" ? JSON.stringify(body[b]) : body[b];
+                }
+                opts.params = params;
+                return me._client.get(opts);
+            }
+            opts.content = body;
+            opts.type = HttpRequestType.JSON;
+            return me._client.post(opts);
+        };
+        var promise;
+        if (usePersistedQuery) {
+            // try hash only first
+            promise = send(false, true).then(function (result) {
+                var errors = toGraphQLResult(result).errors;
+                if (!TypeUtils.isNullOrUndefined(errors) && isPersistedQueryNotFound(errors)) {
+                    return send(true, false);
+                }
+                // final response
+                invokeResultActions(result.client, result);
+                invokeCompleteAction(result.client, result.request, result, undefined, result.tag, []);
+                return result;
+            }, function (err) {
+                if (err instanceof ApiClientError) {
+                    invokeErrorActions(err.client, err, []);
+                }
+                throw err;
+            });
+        }
+        else {
+            promise = send(true, false);
+        }
+        return promise.then(function (result) {
+            var gqlResult = toGraphQLResult(result);
+            // errors of responses with other status codes
+            // are not checked by 'validateResult'
+            if ((result.code < 200 || result.code > 299) &&
+                !TypeUtils.isNullOrUndefined(gqlResult.errors) && gqlResult.errors.length > 0) {
+                throw new ApiClientError(result.client, result.request, new GraphQLResponseError(gqlResult), ApiClientErrorContext.InvalidResult, result.tag);
+            }
+            return gqlResult;
+        });
+    };
+    return GraphQLClient;
+}());
+exports.GraphQLClient = GraphQLClient;
+/**
+ * An error that describes a GraphQL response with errors.
+ */
+var GraphQLResponseError = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IGraphQLResult<any>} result The GraphQL result.
+     */
+    function GraphQLResponseError(result) {
+        this._result = result;
+    }
+    Object.defineProperty(GraphQLResponseError.prototype, "data", {
+        /**
+         * Gets the data, which has been resolved.
+         *
+         * @property
+         */
+        get: function () {
+            return this._result.data;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(GraphQLResponseError.prototype, "errors", {
+        /**
+         * Gets the list of errors.
+         *
+         * @property
+         */
+        get: function () {
+            return this._result.errors;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(GraphQLResponseError.prototype, "message", {
+        /**
+         * Gets the error messages.
+         *
+         * @property
+         */
+        get: function () {
+            return this.errors.map(function (e) { return e.message; })
+                .join("; ");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(GraphQLResponseError.prototype, "result", {
+        /**
+         * Gets the GraphQL result.
+         *
+         * @property
+         */
+        get: function () {
+            return this._result;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    GraphQLResponseError.prototype.toString = function () {
+        return this.message;
+    };
+    return GraphQLResponseError;
+}());
+exports.GraphQLResponseError = GraphQLResponseError;
+/**
+ * Records the traffic of clients and exports it
+ * in HTTP Archive (HAR 1.2) format.
+ */
+var HarRecorder = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IHarRecorderConfig} [config] The custom configuration.
+     */
+    function HarRecorder(config) {
+        this._entries = [];
+        /**
+         * Gets or sets if traffic is recorded or not.
+         */
+        this.isRecording = true;
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._config = config;
+    }
+    /**
+     * Adds an entry.
+     *
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {Date} startTime The time the request has been started.
+     * @param {HTTP.HttpResponse} [response] The response.
+     * @param any [err] The error, if no response has been received.
+     *
+     * @return {IHarEntry} The new entry or (null) if recording is disabled.
+     */
+    HarRecorder.prototype.add = function (opts, startTime, response, err) {
+        if (!this.isRecording) {
+            return null;
+        }
+        var config = this._config;
+        var redactedValue = TypeUtils.isNullOrUndefined(config.redactedValue) ? "[REDACTED]" : config.redactedValue;
+        var redactHeaders = (config.redactHeaders || ["Authorization", "Cookie", "Proxy-Authorization", "Set-Cookie"]).map(function (h) { return h.toLowerCase().trim(); });
+        var redactParams = (config.redactParams || ["access_token", "client_secret", "password", "refresh_token"]).map(function (p) { return p.toLowerCase().trim(); });
+        var isRedactedParam = function (name) { return redactParams.indexOf(("" + name).toLowerCase().trim()) > -1; };
+        // 'Cookie' or 'Set-Cookie'
+        var toCookieList = function (headers, headerName) {
+            headerName = headerName.toLowerCase();
+            var isRedacted = redactHeaders.indexOf(headerName) > -1;
+            var list = [];
+            for (var h in getOwnProperties(headers)) {
+                if (headerName !== h.toLowerCase().trim()) {
+                    continue;
+                }
+                var values = Array.isArray(headers[h]) ? headers[h] : [headers[h]];
+                for (var i = 0; i < values.length; i++) {
+                    var pairs = "cookie" === headerName ? ("" + values[i]).split(";")
+                        : splitSetCookieHeader("" + values[i]).map(function (c) { return c.split(";")[0]; });
+                    for (var j = 0; j < pairs.length; j++) {
+                        var sep = pairs[j].indexOf("=");
+                        if (sep < 1) {
+                            continue;
+                        }
+                        list.push({
+                            name: pairs[j].substr(0, sep).trim(),
+                            value: isRedacted ? redactedValue : pairs[j].substr(sep + 1).trim(),
+                        });
+                    }
+                }
+            }
+            return list;
+        };
+        var toHeaderList = function (headers) {
+            var list = [];
+            for (var h in getOwnProperties(headers)) {
+                var values = Array.isArray(headers[h]) ? headers[h] : [headers[h]];
+                for (var i = 0; i < values.length; i++) {
+                    list.push({
+                        name: h,
+                        value: redactHeaders.indexOf(h.toLowerCase().trim()) > -1 ? redactedValue : "" + values[i],
+                    });
+                }
+            }
+            return list;
+        };
+        var toPairList = function (pairs) {
+            return pairs.map(function (p) {
+                return {
+                    name: p[0],
+                    value: isRedactedParam(p[0]) ? redactedValue : p[1],
+                };
+            });
+        };
+        var toContent = function (text, mimeType) {
+            var content = {
+                mimeType: mimeType || "",
+                size: -1,
+            };
+            if (TypeUtils.isNullOrUndefined(text)) {
+                content.size = 0;
+                return content;
+            }
+            content.size = getUtf8Length(text);
+            if (/^(image|audio|video)\/|octet-stream/i.test(content.mimeType)) {
+                content.comment = "Binary content has been omitted.";
+                return content;
+            }
+            if (/json/i.test(content.mimeType)) {
+                try {
+                    text = JSON.stringify(redactJsonProperties(JSON.parse(text), isRedactedParam, redactedValue));
+                }
+                catch (e) {
+                    // keep as it is
+                }
+            }
+            else if (/x-www-form-urlencoded/i.test(content.mimeType)) {
+                text = toPairList(parseUrlEncoded(text)).map(function (p) { return encodeURIComponent(p.name) + "=" + encodeURIComponent(p.value); })
+                    .join("&");
+            }
+            var maxBodySize = config.maxBodySize;
+            if (TypeUtils.isNullOrUndefined(maxBodySize)) {
+                maxBodySize = 65536;
+            }
+            if (maxBodySize > -1 && text.length > maxBodySize) {
+                text = text.substr(0, maxBodySize);
+                content.comment = "Content has been truncated to " + maxBodySize + " characters.";
+            }
+            content.text = text;
+            return content;
+        };
+        // URL and query string
+        var url = opts.url;
+        var queryString = [];
+        var queryIndex = url.indexOf("?");
+        if (queryIndex > -1) {
+            queryString = toPairList(parseUrlEncoded(url.substr(queryIndex + 1)));
+            url = url.substr(0, queryIndex + 1) +
+                queryString.map(function (p) { return encodeURIComponent(p.name) + "=" + encodeURIComponent(p.value); })
+                    .join("&");
+        }
+        var requestBody;
+        if (!TypeUtils.isNullOrUndefined(opts.content)) {
+            requestBody = typeof opts.content === "string" ? opts.content : "[FormData]";
+        }
+        var request = {
+            bodySize: TypeUtils.isNullOrUndefined(requestBody) ? 0 : getUtf8Length(requestBody),
+            cookies: toCookieList(opts.headers, "Cookie"),
+            headers: toHeaderList(opts.headers),
+            headersSize: -1,
+            httpVersion: "HTTP/1.1",
+            method: methodToString(opts.method),
+            queryString: queryString,
+            url: url,
+        };
+        if (!TypeUtils.isNullOrUndefined(requestBody)) {
+            var postContent = toContent(requestBody, getHeaderValue(opts.headers, "Content-Type"));
+            request.postData = {
+                mimeType: postContent.mimeType,
+                params: /x-www-form-urlencoded/i.test(postContent.mimeType) ? toPairList(parseUrlEncoded(requestBody))
+                    : [],
+                text: postContent.text,
+            };
+            if (!TypeUtils.isNullOrUndefined(postContent.comment)) {
+                request.postData.comment = postContent.comment;
+            }
+        }
+        var responseEntry = {
+            bodySize: -1,
+            content: toContent(null, ""),
+            cookies: [],
+            headers: [],
+            headersSize: -1,
+            httpVersion: "HTTP/1.1",
+            redirectURL: "",
+            status: 0,
+            statusText: "",
+        };
+        if (!TypeUtils.isNullOrUndefined(response)) {
+            var responseBody = null;
+            if (!TypeUtils.isNullOrUndefined(response.content)) {
+                try {
+                    responseBody = response.content.toString();
+                }
+                catch (e) {
+                    responseBody = null;
+                }
+            }
+            responseEntry.content = toContent(responseBody, getHeaderValue(response.headers, "Content-Type"));
+            responseEntry.bodySize = responseEntry.content.size;
+            responseEntry.cookies = toCookieList(response.headers, "Set-Cookie");
+            responseEntry.headers = toHeaderList(response.headers);
+            responseEntry.redirectURL = getHeaderValue(response.headers, "Location") || "";
+            responseEntry.status = response.statusCode;
+            responseEntry.statusText = getStatusText(response.statusCode);
+        }
+        if (!TypeUtils.isNullOrUndefined(err)) {
+            // custom field
+            responseEntry._error = "" + err;
+        }
+        var time = Date.now() - startTime.getTime();
+        var entry = {
+            cache: {},
+            request: request,
+            response: responseEntry,
+            startedDateTime: startTime.toISOString(),
+            time: time,
+            timings: {
+                blocked: -1,
+                connect: -1,
+                dns: -1,
+                receive: 0,
+                send: 0,
+                ssl: -1,
+                wait: time,
+            },
+        };
+        if (!TypeUtils.isNullOrUndefined(config.redact)) {
+            config.redact(entry);
+        }
+        this._entries.push(entry);
+        var maxEntries = config.maxEntries;
+        if (TypeUtils.isNullOrUndefined(maxEntries)) {
+            maxEntries = 1000;
+        }
+        if (maxEntries > -1) {
+            while (this._entries.length > maxEntries) {
+                this._entries.shift();
+            }
+        }
+        return entry;
+    };
+    /**
+     * Removes all entries.
+     */
+    HarRecorder.prototype.clear = function () {
+        this._entries = [];
+    };
+    Object.defineProperty(HarRecorder.prototype, "entries", {
+        /**
+         * Gets a copy of the current entries.
+         *
+         * @property
+         */
+        get: function () {
+            return this._entries.slice();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Saves the archive to a file.
+     *
+     * @param {String} path The path of the file.
+     *
+     * @return {Promise<FileSystem.File>} The promise with the file.
+     */
+    HarRecorder.prototype.save = function (path) {
+        var file = FileSystem.File.fromPath(path);
+        return file.writeText(this.toString())
+            .then(function () { return file; });
+    };
+    /**
+     * Returns the archive as object.
+     *
+     * @return {Object} The archive.
+     */
+    HarRecorder.prototype.toHar = function () {
+        var packageInfo = require("../package.json");
+        return {
+            log: {
+                creator: {
+                    name: packageInfo.name,
+                    version: packageInfo.version,
+                },
+                entries: this.entries,
+                pages: [],
+                version: "1.2",
+            },
+        };
+    };
+    /**
+     * Returns the archive as JSON string.
+     *
+     * @return {String} The archive.
+     */
+    HarRecorder.prototype.toString = function () {
+        return JSON.stringify(this.toHar(), null, 2);
+    };
+    /**
+     * Returns a transport that records the traffic of another one.
+     *
+     * @param {ITransport} transport The transport to wrap.
+     *
+     * @return {ITransport} The wrapping transport.
+     */
+    HarRecorder.prototype.wrap = function (transport) {
+        var me = this;
+        return {
+            send: function (opts, progress) {
+                var startTime = new Date();
+                return transport.send(opts, progress).then(function (response) {
+                    me.add(opts, startTime, response);
+                    return response;
+                }, function (err) {
+                    me.add(opts, startTime, undefined, err);
+                    throw err;
+                });
+            },
+        };
+    };
+    return HarRecorder;
+}());
+exports.HarRecorder = HarRecorder;
+/**
+ * An authorizer that signs requests with a HMAC in a header.
+ */
+var HmacAuthorizer = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IHmacAuthorizerConfig} config The configuration.
+     */
+    function HmacAuthorizer(config) {
+        this._config = config;
+    }
+    Object.defineProperty(HmacAuthorizer.prototype, "algorithm", {
+        /**
+         * Gets the name of the hash algorithm. Default: 'sha256'
+         *
+         * @property
+         */
+        get: function () {
+            var algorithm = this._config.algorithm;
+            if (isEmptyString(algorithm)) {
+                algorithm = "sha256";
+            }
+            return algorithm.toLowerCase().replace("-", "").trim();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Creates the string to sign.
+     *
+     * @param {IHmacSigningContext} ctx The context.
+     *
+     * @return {String} The string to sign.
+     */
+    HmacAuthorizer.prototype.createStringToSign = function (ctx) {
+        if (!TypeUtils.isNullOrUndefined(this._config.stringToSign)) {
+            return this._config.stringToSign(ctx);
+        }
+        var lines = [ctx.method, ctx.path, "" + ctx.timestamp, ctx.nonce, ctx.bodyHash];
+        var signedHeaders = this._config.signedHeaders || [];
+        for (var i = 0; i < signedHeaders.length; i++) {
+            var value = getHeaderValue(ctx.headers, signedHeaders[i]);
+            lines.push(signedHeaders[i].toLowerCase().trim() + ":" +
+                (TypeUtils.isNullOrUndefined(value) ? "" : ("" + value).trim()));
+        }
+        return lines.join("\n");
+    };
+    Object.defineProperty(HmacAuthorizer.prototype, "keyId", {
+        /**
+         * Gets the ID of the key.
+         *
+         * @property
+         */
+        get: function () {
+            return this._config.keyId;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    HmacAuthorizer.prototype.prepare = function (reqOpts) {
+        var cfg = this._config;
+        var hashAlgorithm = HashAlgorithms[this.algorithm];
+        if (TypeUtils.isNullOrUndefined(hashAlgorithm)) {
+            throw "Algorithm '" + cfg.algorithm + "' is NOT supported!";
+        }
+        var timestamp = cfg.timestamp;
+        if (TypeUtils.isNullOrUndefined(timestamp)) {
+            timestamp = new Date();
+        }
+        var nonce = cfg.nonce;
+        if (isEmptyString(nonce)) {
+            nonce = createRandomHex(32);
+        }
+        var body = typeof reqOpts.content === "string" ? reqOpts.content : "";
+        // hash the data that is sent
+        var bodyData = toWordArray(reqOpts.content);
+        if (TypeUtils.isUndefined(bodyData)) {
+            bodyData = toWordArray(body);
+        }
+        var urlParts = parseUrl(reqOpts.url);
+        var timestampHeader = TypeUtils.isUndefined(cfg.timestampHeader) ? "X-Timestamp" : cfg.timestampHeader;
+        var nonceHeader = TypeUtils.isUndefined(cfg.nonceHeader) ? "X-Nonce" : cfg.nonceHeader;
+        var unixTime = Math.floor(timestamp.getTime() / 1000.0);
+        if (!isEmptyString(timestampHeader)) {
+            reqOpts.headers[timestampHeader] = "" + unixTime;
+        }
+        if (!isEmptyString(nonceHeader)) {
+            reqOpts.headers[nonceHeader] = nonce;
+        }
+        var signature = this.sign(this.createStringToSign({
+            body: body,
+            bodyHash: hashAlgorithm.hash(bodyData).toString(Hex),
+            headers: reqOpts.headers,
+            method: methodToString(reqOpts.method),
+            nonce: nonce,
+            path: urlParts.path + urlParts.query,
+            timestamp: unixTime,
+            url: reqOpts.url,
+        }));
+        var scheme = TypeUtils.isUndefined(cfg.scheme) ? "HMAC" : cfg.scheme;
+        var value = isEmptyString(this.keyId) ? signature
+            : (this.keyId + ":" + signature);
+        if (!isEmptyString(scheme)) {
+            value = scheme + " " + value;
+        }
+        reqOpts.headers[isEmptyString(cfg.header) ? "Authorization" : cfg.header] = value;
+    };
+    /**
+     * Signs a string.
+     *
+     * @param {String|ArrayBuffer|Uint8Array|Array} stringToSign The string (UTF-8) or the bytes to sign.
+     *
+     * @return {String} The signature.
+     */
+    HmacAuthorizer.prototype.sign = function (stringToSign) {
+        var hashAlgorithm = HashAlgorithms[this.algorithm];
+        if (TypeUtils.isNullOrUndefined(hashAlgorithm)) {
+            throw "Algorithm '" + this._config.algorithm + "' is NOT supported!";
+        }
+        var hmac = hashAlgorithm.hmac(toWordArray(stringToSign), toWordArray(this._config.secret));
+        return "hex" === ("" + this._config.encoding).toLowerCase().trim() ? hmac.toString(Hex)
+            : Base64.stringify(hmac);
+    };
+    return HmacAuthorizer;
+}());
+exports.HmacAuthorizer = HmacAuthorizer;
+/**
+ * A cache for HTTP responses, which are requested via GET.
+ */
+var HttpCache = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IHttpCacheConfig} [config] The optional configuration.
+     */
+    function HttpCache(config) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this.defaultMaxAge = config.defaultMaxAge;
+        this.mode = config.mode;
+        this.store = config.store;
+        if (TypeUtils.isNullOrUndefined(this.defaultMaxAge)) {
+            this.defaultMaxAge = 0;
+        }
+        if (TypeUtils.isNullOrUndefined(this.mode)) {
+            this.mode = HttpCacheMode.Default;
+        }
+        if (TypeUtils.isNullOrUndefined(this.store)) {
+            this.store = new MemoryCacheStore();
+        }
+    }
+    /**
+     * Removes all entries.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    HttpCache.prototype.clear = function () {
+        return Promise.resolve(this.store.clear());
+    };
+    /**
+     * Returns the entry of an URL.
+     *
+     * @param {String} url The URL.
+     * @param {any} [requestHeaders] The headers of the request, which have to match
+     *                               the ones of the entry (s. 'Vary' and 'Authorization').
+     *
+     * @return {Promise<IHttpCacheEntry>} The promise with the entry (if available).
+     */
+    HttpCache.prototype.get = function (url, requestHeaders) {
+        return Promise.resolve(this.store.get(url)).then(function (entry) {
+            if (TypeUtils.isNullOrUndefined(entry)) {
+                return null;
+            }
+            if (entry.variant !== getCacheVariant(entry.headers, requestHeaders)) {
+                // stored for other headers,
+                // like the ones of another user
+                return null;
+            }
+            return entry;
+        });
+    };
+    /**
+     * Stores a response.
+     *
+     * Responses with content, which is not text, are NOT cacheable.
+     *
+     * @param {String} url The URL.
+     * @param {HTTP.HttpResponse} response The response.
+     * @param {any} [requestHeaders] The headers of the request.
+     *
+     * @return {Promise<IHttpCacheEntry>} The promise with the new entry or (null) if the response is NOT cacheable.
+     */
+    HttpCache.prototype.put = function (url, response, requestHeaders) {
+        var cacheControl = parseCacheControl(getHeaderValue(response.headers, "Cache-Control"));
+        var vary = getHeaderValue(response.headers, "Vary");
+        var isText = TypeUtils.isNullOrUndefined(response.content) ||
+            isTextMimeType(parseContentType(getHeaderValue(response.headers, "Content-Type")).mime);
+        if (cacheControl["no-store"] || "*" === ("" + vary).trim() || !isText) {
+            return this.remove(url).then(function () { return null; });
+        }
+        var now = Date.now();
+        var entry = {
+            body: TypeUtils.isNullOrUndefined(response.content) ? null : response.content.toString(),
+            code: response.statusCode,
+            expiresAt: getCacheExpiration(response.headers, now, this.defaultMaxAge),
+            headers: getOwnProperties(response.headers) || {},
+            storedAt: now,
+            url: url,
+            variant: getCacheVariant(response.headers, requestHeaders),
+        };
+        return Promise.resolve(this.store.set(url, entry)).then(function () { return entry; });
+    };
+    /**
+     * Removes the entry of an URL.
+     *
+     * @param {String} url The URL.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    HttpCache.prototype.remove = function (url) {
+        return Promise.resolve(this.store.remove(url));
+    };
+    return HttpCache;
+}());
+exports.HttpCache = HttpCache;
+/**
+ * List of cache modes.
+ */
+var HttpCacheMode;
+(function (HttpCacheMode) {
+    /**
+     * Use fresh content from cache, otherwise revalidate with the server.
+     */
+    HttpCacheMode[HttpCacheMode["Default"] = 0] = "Default";
+    /**
+     * Always ask the server (with revalidation) and use the cache only if the network fails.
+     */
+    HttpCacheMode[HttpCacheMode["NetworkFirst"] = 1] = "NetworkFirst";
+    /**
+     * Use the cache only. If there is no entry, status code 504 is returned.
+     */
+    HttpCacheMode[HttpCacheMode["CacheOnly"] = 2] = "CacheOnly";
+    /**
+     * Use cached content immediately (even if stale) and revalidate it in background.
+     */
+    HttpCacheMode[HttpCacheMode["StaleWhileRevalidate"] = 3] = "StaleWhileRevalidate";
+    /**
+     * Do not use the cache.
+     */
+    HttpCacheMode[HttpCacheMode["Bypass"] = 4] = "Bypass";
+})(HttpCacheMode = exports.HttpCacheMode || (exports.HttpCacheMode = {}));
+/**
+ * List of known HTTP request methods.
+ */
+var HttpMethod;
+(function (HttpMethod) {
+    HttpMethod[HttpMethod["GET"] = 0] = "GET";
+    HttpMethod[HttpMethod["POST"] = 1] = "POST";
+    HttpMethod[HttpMethod["PUT"] = 2] = "PUT";
+    HttpMethod[HttpMethod["PATCH"] = 3] = "PATCH";
+    HttpMethod[HttpMethod["DELETE"] = 4] = "DELETE";
+    HttpMethod[HttpMethod["HEAD"] = 5] = "HEAD";
+    HttpMethod[HttpMethod["TRACE"] = 6] = "TRACE";
+    HttpMethod[HttpMethod["OPTIONS"] = 7] = "OPTIONS";
+    HttpMethod[HttpMethod["CONNECT"] = 8] = "CONNECT";
+})(HttpMethod = exports.HttpMethod || (exports.HttpMethod = {}));
+var HttpRequest = (function () {
+    function HttpRequest(client, reqOpts) {
+        this._client = client;
+        this._opts = reqOpts;
+    }
+    Object.defineProperty(HttpRequest.prototype, "body", {
+        get: function () {
+            return this._opts.content;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(HttpRequest.prototype, "client", {
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(HttpRequest.prototype, "headers", {
+        get: function () {
+            return this._opts.headers;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(HttpRequest.prototype, "method", {
+        get: function () {
+            return this._opts.method;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(HttpRequest.prototype, "url", {
+        get: function () {
+            return this._opts.url;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return HttpRequest;
+}());
+/**
+ * List of known HTTP request / content types.
+ */
+var HttpRequestType;
+(function (HttpRequestType) {
+    /**
+     * Raw / binary
+     */
+    HttpRequestType[HttpRequestType["Binary"] = 0] = "Binary";
+    /**
+     * JSON
+     */
+    HttpRequestType[HttpRequestType["JSON"] = 1] = "JSON";
+    /**
+     * Xml
+     */
+    HttpRequestType[HttpRequestType["Xml"] = 2] = "Xml";
+    /**
+     * Text / string
+     */
+    HttpRequestType[HttpRequestType["Text"] = 3] = "Text";
+    /**
+     * URL encoded form (application/x-www-form-urlencoded)
+     */
+    HttpRequestType[HttpRequestType["Form"] = 4] = "Form";
+    /**
+     * Multipart form data (multipart/form-data)
+     */
+    HttpRequestType[HttpRequestType["Multipart"] = 5] = "Multipart";
+})(HttpRequestType = exports.HttpRequestType || (exports.HttpRequestType = {}));
+/**
+ * List of known HTTP status codes.
+ */
+var HttpStatusCode;
+(function (HttpStatusCode) {
+    HttpStatusCode[HttpStatusCode["Accepted"] = 202] = "Accepted";
+    HttpStatusCode[HttpStatusCode["BadGateway"] = 502] = "BadGateway";
+    HttpStatusCode[HttpStatusCode["BadRequest"] = 400] = "BadRequest";
+    HttpStatusCode[HttpStatusCode["Conflict"] = 409] = "Conflict";
+    HttpStatusCode[HttpStatusCode["Continue"] = 100] = "Continue";
+    HttpStatusCode[HttpStatusCode["Created"] = 201] = "Created";
+    HttpStatusCode[HttpStatusCode["ExpectationFailed"] = 417] = "ExpectationFailed";
+    HttpStatusCode[HttpStatusCode["Forbidden"] = 403] = "Forbidden";
+    HttpStatusCode[HttpStatusCode["GatewayTimeout"] = 504] = "GatewayTimeout";
+    HttpStatusCode[HttpStatusCode["Gone"] = 410] = "Gone";
+    HttpStatusCode[HttpStatusCode["HttpVersionNotSupported"] = 505] = "HttpVersionNotSupported";
+    HttpStatusCode[HttpStatusCode["InternalServerError"] = 500] = "InternalServerError";
+    HttpStatusCode[HttpStatusCode["LengthRequired"] = 411] = "LengthRequired";
+    HttpStatusCode[HttpStatusCode["MethodNotAllowed"] = 405] = "MethodNotAllowed";
+    HttpStatusCode[HttpStatusCode["MovedPermanently"] = 301] = "MovedPermanently";
+    HttpStatusCode[HttpStatusCode["MultipleChoices"] = 300] = "MultipleChoices";
+    HttpStatusCode[HttpStatusCode["NoContent"] = 204] = "NoContent";
+    HttpStatusCode[HttpStatusCode["NonAuthoritativeInformation"] = 203] = "NonAuthoritativeInformation";
+    HttpStatusCode[HttpStatusCode["NotAcceptable"] = 406] = "NotAcceptable";
+    HttpStatusCode[HttpStatusCode["NotFound"] = 404] = "NotFound";
+    HttpStatusCode[HttpStatusCode["NotImplemented"] = 501] = "NotImplemented";
+    HttpStatusCode[HttpStatusCode["NotModified"] = 304] = "NotModified";
+    HttpStatusCode[HttpStatusCode["OK"] = 200] = "OK";
+    HttpStatusCode[HttpStatusCode["PartialContent"] = 206] = "PartialContent";
+    HttpStatusCode[HttpStatusCode["PaymentRequired"] = 402] = "PaymentRequired";
+    HttpStatusCode[HttpStatusCode["PreconditionFailed"] = 412] = "PreconditionFailed";
+    HttpStatusCode[HttpStatusCode["ProxyAuthenticationRequired"] = 407] = "ProxyAuthenticationRequired";
+    HttpStatusCode[HttpStatusCode["Redirect"] = 302] = "Redirect";
+    HttpStatusCode[HttpStatusCode["RequestedRangeNotSatisfiable"] = 416] = "RequestedRangeNotSatisfiable";
+    HttpStatusCode[HttpStatusCode["RequestEntityTooLarge"] = 413] = "RequestEntityTooLarge";
+    HttpStatusCode[HttpStatusCode["RequestTimeout"] = 408] = "RequestTimeout";
+    HttpStatusCode[HttpStatusCode["RequestUriTooLong"] = 414] = "RequestUriTooLong";
+    HttpStatusCode[HttpStatusCode["ResetContent"] = 205] = "ResetContent";
+    HttpStatusCode[HttpStatusCode["SeeOther"] = 303] = "SeeOther";
+    HttpStatusCode[HttpStatusCode["ServiceUnavailable"] = 503] = "ServiceUnavailable";
+    HttpStatusCode[HttpStatusCode["SwitchingProtocols"] = 101] = "SwitchingProtocols";
+    HttpStatusCode[HttpStatusCode["TemporaryRedirect"] = 307] = "TemporaryRedirect";
+    HttpStatusCode[HttpStatusCode["Unauthorized"] = 401] = "Unauthorized";
+    HttpStatusCode[HttpStatusCode["UnsupportedMediaType"] = 415] = "UnsupportedMediaType";
+    HttpStatusCode[HttpStatusCode["Unused"] = 306] = "Unused";
+    HttpStatusCode[HttpStatusCode["UpgradeRequired"] = 426] = "UpgradeRequired";
+    HttpStatusCode[HttpStatusCode["UseProxy"] = 305] = "UseProxy";
+})(HttpStatusCode = exports.HttpStatusCode || (exports.HttpStatusCode = {}));
+/**
+ * A transport that uses the HTTP module of NativeScript.
+ */
+var HttpTransport = (function () {
+    function HttpTransport() {
+    }
+    /** @inheritdoc */
+    HttpTransport.prototype.send = function (opts) {
+        return HTTP.request(opts);
+    };
+    return HttpTransport;
+}());
+exports.HttpTransport = HttpTransport;
+var InterceptorContext = (function () {
+    function InterceptorContext(client, reqOpts, tag, attempt, state, response, err) {
+        this._hasResponded = false;
+        this._isReplayRequested = false;
+        this._isStopped = false;
+        this._client = client;
+        this._options = reqOpts;
+        this._tag = tag;
+        this._attempt = attempt;
+        this._state = state;
+        this.response = response;
+        this.error = err;
+    }
+    Object.defineProperty(InterceptorContext.prototype, "attempt", {
+        get: function () {
+            return this._attempt;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(InterceptorContext.prototype, "client", {
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(InterceptorContext.prototype, "hasResponded", {
+        get: function () {
+            return this._hasResponded;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(InterceptorContext.prototype, "isReplayRequested", {
+        get: function () {
+            return this._isReplayRequested;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(InterceptorContext.prototype, "isStopped", {
+        get: function () {
+            return this._isStopped;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(InterceptorContext.prototype, "options", {
+        get: function () {
+            return this._options;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    InterceptorContext.prototype.replay = function () {
+        this._isReplayRequested = true;
+        this._isStopped = true;
+    };
+    InterceptorContext.prototype.respondWith = function (response) {
+        this.response = response;
+        this._hasResponded = true;
+        this._isStopped = true;
+    };
+    Object.defineProperty(InterceptorContext.prototype, "state", {
+        get: function () {
+            return this._state;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(InterceptorContext.prototype, "tag", {
+        get: function () {
+            return this._tag;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return InterceptorContext;
+}());
+/**
+ * A batch of JSON-RPC calls and notifications.
+ */
+var JsonRpcBatch = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {JsonRpcClient} client The underlying JSON-RPC client.
+     */
+    function JsonRpcBatch(client) {
+        this._calls = [];
+        this._isSent = false;
+        this._requests = [];
+        this._client = client;
+    }
+    /**
+     * Adds a method call.
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     *
+     * @return {Promise<T>} The promise, which is completed when the batch has been sent.
+     */
+    JsonRpcBatch.prototype.call = function (method, params) {
+        this.throwIfSent();
+        var call = {
+            id: this._client.createId(),
+        };
+        call.promise = new Promise(function (resolve, reject) {
+            call.resolve = resolve;
+            call.reject = reject;
+        });
+        this._calls.push(call);
+        this._requests.push(createJsonRpcRequest(method, params, call.id));
+        return call.promise;
+    };
+    Object.defineProperty(JsonRpcBatch.prototype, "client", {
+        /**
+         * Gets the underlying JSON-RPC client.
+         *
+         * @property
+         */
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(JsonRpcBatch.prototype, "count", {
+        /**
+         * Gets the number of calls and notifications.
+         *
+         * @property
+         */
+        get: function () {
+            return this._requests.length;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Adds a notification.
+     *
+     * @chainable
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     */
+    JsonRpcBatch.prototype.notify = function (method, params) {
+        this.throwIfSent();
+        this._requests.push(createJsonRpcRequest(method, params));
+        return this;
+    };
+    /**
+     * Sends the batch.
+     *
+     * The promises of the calls are completed by the responses with the same IDs.
+     * A call with an error object is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'JsonRpcError'.
+     *
+     * @return {Promise<IJsonRpcResponse[]>} The promise with the responses.
+     */
+    JsonRpcBatch.prototype.send = function () {
+        var me = this;
+        me.throwIfSent();
+        me._isSent = true;
+        var rejectAll = function (err) {
+            for (var i = 0; i < me._calls.length; i++) {
+                // avoid "unhandled rejections"
+                me._calls[i].promise.catch(function () { });
+                me._calls[i].reject(err);
+            }
+        };
+        if (me._requests.length < 1) {
+            return Promise.resolve([]);
+        }
+        return me._client.send(me._requests, me._calls.length < 1).then(function (result) {
+            var responses = [];
+            if (me._calls.length > 0) {
+                responses = result.getJSON();
+            }
+            for (var i = 0; i < me._calls.length; i++) {
+                var call = me._calls[i];
+                // reset for each call, because 'var' is NOT block-scoped
+                var response = undefined;
+                for (var j = 0; j < responses.length; j++) {
+                    if (responses[j].id === call.id) {
+                        response = responses[j];
+                        break;
+                    }
+                }
+                if (TypeUtils.isNullOrUndefined(response)) {
+                    call.reject(createJsonRpcError(result, {
+                        error: {
+                            code: JsonRpcErrorCode.InternalError,
+                            message: "No response for call '" + call.id + "'!",
+                        },
+                        id: call.id,
+                    }));
+                }
+                else if (!TypeUtils.isNullOrUndefined(response.error)) {
+                    call.reject(createJsonRpcError(result, response));
+                }
+                else {
+                    call.resolve(response.result);
+                }
+            }
+            return responses;
+        }, function (err) {
+            rejectAll(err);
+            throw err;
+        });
+    };
+    JsonRpcBatch.prototype.throwIfSent = function () {
+        if (this._isSent) {
+            throw "Batch has ALREADY been sent!";
+        }
+    };
+    return JsonRpcBatch;
+}());
+exports.JsonRpcBatch = JsonRpcBatch;
+/**
+ * A JSON-RPC 2.0 client that sends its requests via an API client.
+ */
+var JsonRpcClient = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The underlying API client.
+     * @param {IJsonRpcConfig} [config] The custom configuration.
+     */
+    function JsonRpcClient(client, config) {
+        this._nextId = 0;
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._client = client;
+        this._config = config;
+    }
+    /**
+     * Starts a new batch.
+     *
+     * @return {JsonRpcBatch} The new batch.
+     */
+    JsonRpcClient.prototype.batch = function () {
+        return new JsonRpcBatch(this);
+    };
+    /**
+     * Calls a method.
+     *
+     * If the response contains an error object, the promise is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'JsonRpcError'.
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     *
+     * @return {Promise<T>} The promise with the result.
+     */
+    JsonRpcClient.prototype.call = function (method, params) {
+        return this.send(createJsonRpcRequest(method, params, this.createId()), false).then(function (result) {
+            return result.getJSON().result;
+        });
+    };
+    Object.defineProperty(JsonRpcClient.prototype, "client", {
+        /**
+         * Gets the underlying API client.
+         *
+         * @property
+         */
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Creates a new ID for a call.
+     *
+     * @return any The new ID.
+     */
+    JsonRpcClient.prototype.createId = function () {
+        if (!TypeUtils.isNullOrUndefined(this._config.createId)) {
+            return this._config.createId();
+        }
+        return ++this._nextId;
+    };
+    /**
+     * Sends a notification.
+     *
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     *
+     * @return {Promise<void>} The promise, which is resolved without a value,
+     *                         because notifications have no response.
+     */
+    JsonRpcClient.prototype.notify = function (method, params) {
+        return this.send(createJsonRpcRequest(method, params), true).then(function () {
+            return undefined;
+        });
+    };
+    /**
+     * Sends a JSON-RPC request or a batch.
+     *
+     * @param any body The request or the list of requests.
+     * @param {Boolean} isNotification The request contains notifications only or not.
+     *
+     * @return {Promise<IApiClientResult>} The promise.
+     */
+    JsonRpcClient.prototype.send = function (body, isNotification) {
+        var opts = {};
+        var requestOpts = getOwnProperties(this._config.request);
+        for (var p in requestOpts) {
+            opts[p] = requestOpts[p];
+        }
+        opts.content = body;
+        opts.type = HttpRequestType.JSON;
+        if (!isNotification) {
+            opts.validateResult = function (result) {
+                var response = result.getJSON();
+                if (TypeUtils.isNullOrUndefined(response)) {
+                    return "Response contains NO data!";
+                }
+                if (!(response instanceof Array) &&
+                    !TypeUtils.isNullOrUndefined(response.error)) {
+                    // single call or invalid batch
+                    return new JsonRpcError(response.error, response.id);
+                }
+            };
+        }
+        return this._client.post(opts);
+    };
+    return JsonRpcClient;
+}());
+exports.JsonRpcClient = JsonRpcClient;
+/**
+ * A JSON-RPC 2.0 error.
+ */
+var JsonRpcError = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IJsonRpcErrorObject} error The error object of the response.
+     * @param any [id] The ID of the call.
+     */
+    function JsonRpcError(error, id) {
+        this._error = error;
+        this._id = id;
+    }
+    Object.defineProperty(JsonRpcError.prototype, "code", {
+        /**
+         * Gets the error code.
+         *
+         * @property
+         */
+        get: function () {
+            return this._error.code;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(JsonRpcError.prototype, "data", {
+        /**
+         * Gets additional data.
+         *
+         * @property
+         */
+        get: function () {
+            return this._error.data;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(JsonRpcError.prototype, "id", {
+        /**
+         * Gets the ID of the call.
+         *
+         * @property
+         */
+        get: function () {
+            return this._id;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(JsonRpcError.prototype, "message", {
+        /**
+         * Gets the message.
+         *
+         * @property
+         */
+        get: function () {
+            return this._error.message;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    JsonRpcError.prototype.toString = function () {
+        return "[" + this.code + "] " + this.message;
+    };
+    return JsonRpcError;
+}());
+exports.JsonRpcError = JsonRpcError;
+/**
+ * List of predefined JSON-RPC 2.0 error codes.
+ */
+var JsonRpcErrorCode;
+(function (JsonRpcErrorCode) {
+    /**
+     * Invalid JSON.
+     */
+    JsonRpcErrorCode[JsonRpcErrorCode["ParseError"] = -32700] = "ParseError";
+    /**
+     * No valid request object.
+     */
+    JsonRpcErrorCode[JsonRpcErrorCode["InvalidRequest"] = -32600] = "InvalidRequest";
+    /**
+     * Method does not exist.
+     */
+    JsonRpcErrorCode[JsonRpcErrorCode["MethodNotFound"] = -32601] = "MethodNotFound";
+    /**
+     * Invalid method parameters.
+     */
+    JsonRpcErrorCode[JsonRpcErrorCode["InvalidParams"] = -32602] = "InvalidParams";
+    /**
+     * Internal JSON-RPC error.
+     */
+    JsonRpcErrorCode[JsonRpcErrorCode["InternalError"] = -32603] = "InternalError";
+})(JsonRpcErrorCode = exports.JsonRpcErrorCode || (exports.JsonRpcErrorCode = {}));
+var LocalRejection = (function () {
+    function LocalRejection(msg) {
+        this._message = msg;
+    }
+    Object.defineProperty(LocalRejection.prototype, "message", {
+        get: function () {
+            return this._message;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    LocalRejection.prototype.toString = function () {
+        return this._message;
+    };
+    return LocalRejection;
+}());
+/**
+ * List of log categories.
+ */
+var LogCategory;
+(function (LogCategory) {
+    LogCategory[LogCategory["Emergency"] = 1] = "Emergency";
+    LogCategory[LogCategory["Alert"] = 2] = "Alert";
+    LogCategory[LogCategory["Critical"] = 3] = "Critical";
+    LogCategory[LogCategory["Error"] = 4] = "Error";
+    LogCategory[LogCategory["Warning"] = 5] = "Warning";
+    LogCategory[LogCategory["Notice"] = 6] = "Notice";
+    LogCategory[LogCategory["Info"] = 7] = "Info";
+    LogCategory[LogCategory["Debug"] = 8] = "Debug";
+    LogCategory[LogCategory["Trace"] = 9] = "Trace";
+})(LogCategory = exports.LogCategory || (exports.LogCategory = {}));
+var LogMessage = (function () {
+    function LogMessage(source, time, msg, tag, category, priority) {
+        this._source = source;
+        this._time = time;
+        this._message = msg;
+        this._tag = tag;
+        this._category = category;
+        this._priority = priority;
+    }
+    Object.defineProperty(LogMessage.prototype, "category", {
+        get: function () {
+            return this._category;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(LogMessage.prototype, "message", {
+        get: function () {
+            return this._message;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(LogMessage.prototype, "priority", {
+        get: function () {
+            return this._priority;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(LogMessage.prototype, "source", {
+        get: function () {
+            return this._source;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(LogMessage.prototype, "tag", {
+        get: function () {
+            return this._tag;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(LogMessage.prototype, "time", {
+        get: function () {
+            return this._time;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return LogMessage;
+}());
+/**
+ * List of log priorities.
+ */
+var LogPriority;
+(function (LogPriority) {
+    LogPriority[LogPriority["VeryHigh"] = 1] = "VeryHigh";
+    LogPriority[LogPriority["High"] = 2] = "High";
+    LogPriority[LogPriority["Medium"] = 3] = "Medium";
+    LogPriority[LogPriority["Low"] = 4] = "Low";
+    LogPriority[LogPriority["VeryLow"] = 5] = "VeryLow";
+})(LogPriority = exports.LogPriority || (exports.LogPriority = {}));
+/**
+ * List of log (message) source.
+ */
+var LogSource;
+(function (LogSource) {
+    /**
+     * From API client.
+     */
+    LogSource[LogSource["Client"] = 0] = "Client";
+    /**
+     * From "completed" action
+     */
+    LogSource[LogSource["Complete"] = 1] = "Complete";
+    /**
+     * From IApiClientError object
+     */
+    LogSource[LogSource["Error"] = 2] = "Error";
+    /**
+     * From IApiClientResult object
+     */
+    LogSource[LogSource["Result"] = 3] = "Result";
+})(LogSource = exports.LogSource || (exports.LogSource = {}));
+/**
+ * A long-poll client: it requests a resource again and again and
+ * dispatches the events of each response, after the server has closed it.
+ *
+ * The bodies are parsed in the format of server-sent events, but this is NOT
+ * an event stream client: the HTTP module cannot stream responses, so a server,
+ * which keeps the connection open, never delivers anything. Each new request
+ * sends the ID of the last event ('Last-Event-ID').
+ */
+var LongPollClient = (function (_super) {
+    __extends(LongPollClient, _super);
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The client that sends the requests.
+     * @param {ILongPollConfig} [config] The custom configuration.
+     */
+    function LongPollClient(client, config) {
+        var _this = _super.call(this) || this;
+        _this._failures = 0;
+        _this._isOpen = false;
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        _this._client = client;
+        _this._config = config;
+        var me = _this;
+        _this._parser = new EventStreamParser(function (e) {
+            me.notify({
+                event: e,
+                eventName: e.event,
+                object: me,
+            });
+        });
+        if (!isEmptyString(config.lastEventId)) {
+            _this._parser.lastEventId = config.lastEventId;
+        }
+        return _this;
+    }
+    Object.defineProperty(LongPollClient.prototype, "client", {
+        /**
+         * Gets the underlying client.
+         *
+         * @property
+         */
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Closes the client.
+     *
+     * @chainable
+     */
+    LongPollClient.prototype.close = function () {
+        if (!this._isOpen) {
+            return this;
+        }
+        this.setIsOpen(false);
+        if (!TypeUtils.isNullOrUndefined(this._reconnectTimer)) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = undefined;
+        }
+        var request = this._request;
+        this._request = undefined;
+        if (!TypeUtils.isNullOrUndefined(request)) {
+            request.catch(function () { });
+            request.cancel("Long-poll client has been closed.");
+        }
+        return this;
+    };
+    LongPollClient.prototype.connect = function () {
+        var me = this;
+        me._reconnectTimer = undefined;
+        var opts = {};
+        var requestOpts = getOwnProperties(me._config.request);
+        for (var p in requestOpts) {
+            opts[p] = requestOpts[p];
+        }
+        var requestHeaders = getOwnProperties(opts.headers);
+        opts.headers = {};
+        for (var h in requestHeaders) {
+            opts.headers[h] = requestHeaders[h];
+        }
+        opts.headers["Cache-Control"] = "no-cache";
+        if (!isEmptyString(me.lastEventId)) {
+            opts.headers["Last-Event-ID"] = me.lastEventId;
+        }
+        // do not store events
+        opts.cacheMode = HttpCacheMode.Bypass;
+        var request = me._request = me._client.get(opts);
+        request.then(function (result) {
+            if (request !== me._request) {
+                // closed
+                return;
+            }
+            me._request = undefined;
+            if (204 === result.code) {
+                // server wants no reconnect
+                me.close();
+                return;
+            }
+            if (200 !== result.code) {
+                me.notify({
+                    eventName: LongPollClient.errorEvent,
+                    object: me,
+                    result: result,
+                });
+                me.close();
+                return;
+            }
+            me._failures = 0;
+            me.notify({
+                eventName: LongPollClient.openEvent,
+                object: me,
+                result: result,
+            });
+            // events of a closed connection
+            // without empty line are discarded
+            me._parser.write(result.getString() || "");
+            me._parser.end();
+            me.reconnect();
+        }, function (err) {
+            if (request !== me._request) {
+                // closed
+                return;
+            }
+            me._request = undefined;
+            me.notify({
+                error: err,
+                eventName: LongPollClient.errorEvent,
+                object: me,
+            });
+            var maxRetries = me._config.maxRetries;
+            if (!TypeUtils.isNullOrUndefined(maxRetries) &&
+                ++me._failures > maxRetries) {
+                me.close();
+                return;
+            }
+            me.reconnect();
+        });
+    };
+    Object.defineProperty(LongPollClient.prototype, "isOpen", {
+        /**
+         * Gets if the client is open or not.
+         *
+         * @property
+         */
+        get: function () {
+            return this._isOpen;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(LongPollClient.prototype, "lastEventId", {
+        /**
+         * Gets the ID of the last event.
+         *
+         * @property
+         */
+        get: function () {
+            return this._parser.lastEventId;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Opens the client.
+     *
+     * @chainable
+     */
+    LongPollClient.prototype.open = function () {
+        if (this._isOpen) {
+            return this;
+        }
+        this._failures = 0;
+        this.setIsOpen(true);
+        this.connect();
+        return this;
+    };
+    LongPollClient.prototype.reconnect = function () {
+        if (!this._isOpen) {
+            return;
+        }
+        var me = this;
+        me._reconnectTimer = setTimeout(function () {
+            me.connect();
+        }, me.retry);
+    };
+    Object.defineProperty(LongPollClient.prototype, "retry", {
+        /**
+         * Gets the time in milliseconds to wait before reconnecting.
+         * A value sent by the server wins. Default: 3000
+         *
+         * @property
+         */
+        get: function () {
+            var retry = this._parser.retry;
+            if (TypeUtils.isNullOrUndefined(retry)) {
+                retry = this._config.retry;
+            }
+            if (TypeUtils.isNullOrUndefined(retry)) {
+                retry = 3000;
+            }
+            return retry;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    LongPollClient.prototype.setIsOpen = function (newValue) {
+        this._isOpen = newValue;
+        this.notifyPropertyChange("isOpen", newValue);
+    };
+    return LongPollClient;
+}(Observable.Observable));
+/**
+ * Name of the event that is raised if a connection failed.
+ */
+LongPollClient.errorEvent = "error";
+/**
+ * Name of the event that is raised for events without type.
+ */
+LongPollClient.messageEvent = "message";
+/**
+ * Name of the event that is raised after a response has been received.
+ */
+LongPollClient.openEvent = "open";
+exports.LongPollClient = LongPollClient;
+/**
+ * A cache store that keeps its entries in memory.
+ */
+var MemoryCacheStore = (function () {
+    function MemoryCacheStore() {
+        this._entries = {};
+    }
+    /** @inheritdoc */
+    MemoryCacheStore.prototype.clear = function () {
+        this._entries = {};
+    };
+    /** @inheritdoc */
+    MemoryCacheStore.prototype.get = function (key) {
+        if (!this._entries.hasOwnProperty(key)) {
+            return null;
+        }
+        return this._entries[key];
+    };
+    /** @inheritdoc */
+    MemoryCacheStore.prototype.remove = function (key) {
+        delete this._entries[key];
+    };
+    /** @inheritdoc */
+    MemoryCacheStore.prototype.set = function (key, entry) {
+        this._entries[key] = entry;
+    };
+    return MemoryCacheStore;
+}());
+exports.MemoryCacheStore = MemoryCacheStore;
+/**
+ * A transport that answers requests with canned responses
+ * and records them, e.g. for unit tests.
+ */
+var MockTransport = (function () {
+    function MockTransport() {
+        this._failures = [];
+        this._requests = [];
+        this._routes = [];
+        /**
+         * A delay in milliseconds for all responses.
+         */
+        this.delay = 0;
+    }
+    /**
+     * Throws if a registered route has never been called.
+     */
+    MockTransport.prototype.assertAllCalled = function () {
+        var unused = this._routes.filter(function (r) { return r.hits < 1; });
+        if (unused.length > 0) {
+            throw "Routes NOT called: " + unused.map(function (r) { return r.method + " " + r.url; }).join(", ");
+        }
+    };
+    /**
+     * Throws if a route has not been called (often enough).
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     * @param {Number} [times] The expected number of calls. Default: at least once
+     */
+    MockTransport.prototype.assertCalled = function (method, url, times) {
+        var count = this.findRequests(method, url).length;
+        if (arguments.length < 3) {
+            if (count < 1) {
+                throw "Expected a '" + method + "' request to '" + url + "'!";
+            }
+        }
+        else if (count !== times) {
+            throw "Expected " + times + " '" + method + "' request(s) to '" + url + "', but got " + count + "!";
+        }
+    };
+    /**
+     * Throws if a route has been called.
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     */
+    MockTransport.prototype.assertNotCalled = function (method, url) {
+        this.assertCalled(method, url, 0);
+    };
+    /**
+     * Removes the recorded requests.
+     *
+     * @chainable
+     */
+    MockTransport.prototype.clearRequests = function () {
+        this._requests = [];
+        return this;
+    };
+    /**
+     * Lets the next requests fail.
+     *
+     * @chainable
+     *
+     * @param any [error] The custom error.
+     * @param {Number} [count] The number of requests. Default: 1
+     */
+    MockTransport.prototype.failNext = function (error, count) {
+        if (TypeUtils.isNullOrUndefined(error)) {
+            error = "Simulated network error.";
+        }
+        if (TypeUtils.isNullOrUndefined(count)) {
+            count = 1;
+        }
+        for (var i = 0; i < count; i++) {
+            this._failures.push(error);
+        }
+        return this;
+    };
+    /**
+     * Returns the recorded requests of a route.
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     *
+     * @return {IMockRequest[]} The requests.
+     */
+    MockTransport.prototype.findRequests = function (method, url) {
+        return this._requests.filter(function (r) { return isMockRouteMatching(method, url, r); });
+    };
+    /**
+     * Registers a route.
+     * Routes that are registered later win.
+     *
+     * @chainable
+     *
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern, like '/users/*'.
+     * @param {IMockResponse|Function} response The response or the function that returns it.
+     */
+    MockTransport.prototype.on = function (method, url, response) {
+        this._routes.unshift({
+            handler: typeof response === "function" ? response : function () { return response; },
+            hits: 0,
+            method: method,
+            url: url,
+        });
+        return this;
+    };
+    Object.defineProperty(MockTransport.prototype, "requests", {
+        /**
+         * Gets the list of recorded requests.
+         *
+         * @property
+         */
+        get: function () {
+            return this._requests.slice();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Removes all routes, failures and recorded requests.
+     *
+     * @chainable
+     */
+    MockTransport.prototype.reset = function () {
+        this._failures = [];
+        this._requests = [];
+        this._routes = [];
+        return this;
+    };
+    /** @inheritdoc */
+    MockTransport.prototype.send = function (opts) {
+        var me = this;
+        var req = {
+            content: opts.content,
+            headers: getOwnProperties(opts.headers) || {},
+            method: methodToString(opts.method),
+            time: Date.now(),
+            url: opts.url,
+        };
+        this._requests.push(req);
+        var route = this._routes.filter(function (r) { return isMockRouteMatching(r.method, r.url, req); })[0];
+        var failure = this._failures.shift();
+        return Promise.resolve().then(function () {
+            if (!TypeUtils.isNullOrUndefined(failure)) {
+                throw failure;
+            }
+            if (TypeUtils.isNullOrUndefined(route)) {
+                return {
+                    body: "No mock route for '" + req.method + " " + req.url + "'!",
+                    code: 404,
+                };
+            }
+            ++route.hits;
+            return route.handler(req);
+        }).then(function (response) {
+            if (TypeUtils.isNullOrUndefined(response)) {
+                response = {};
+            }
+            var delay = me.delay;
+            if (!TypeUtils.isNullOrUndefined(response.delay)) {
+                delay = response.delay;
+            }
+            return new Promise(function (resolve, reject) {
+                setTimeout(function () {
+                    if (!TypeUtils.isNullOrUndefined(response.error)) {
+                        reject(response.error);
+                        return;
+                    }
+                    var body = response.body;
+                    var headers = getOwnProperties(response.headers) || {};
+                    if (!TypeUtils.isNullOrUndefined(body) && typeof body === "object") {
+                        body = JSON.stringify(body);
+                        if (TypeUtils.isNullOrUndefined(getHeaderValue(headers, "Content-Type"))) {
+                            headers["Content-Type"] = "application/json; charset=utf-8";
+                        }
+                    }
+                    resolve(createHttpResponse(TypeUtils.isNullOrUndefined(response.code) ? 200 : response.code, headers, TypeUtils.isNullOrUndefined(body) ? null : "" + body));
+                }, delay || 0);
+            });
+        });
+    };
+    return MockTransport;
+}());
+exports.MockTransport = MockTransport;
+/**
+ * An incremental parser for line-delimited JSON (NDJSON).
+ */
+var NdjsonParser = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {Function} onItem The function that receives the parsed objects.
+     */
+    function NdjsonParser(onItem) {
+        this._buffer = "";
+        this._count = 0;
+        this._line = 0;
+        this._onItem = onItem;
+    }
+    Object.defineProperty(NdjsonParser.prototype, "count", {
+        /**
+         * Gets the number of parsed objects.
+         *
+         * @property
+         */
+        get: function () {
+            return this._count;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Parses the rest of the stream.
+     */
+    NdjsonParser.prototype.end = function () {
+        var rest = this._buffer;
+        this._buffer = "";
+        this.processLine(rest);
+    };
+    NdjsonParser.prototype.processLine = function (line) {
+        ++this._line;
+        if ("" === line.trim()) {
+            return;
+        }
+        var item;
+        try {
+            item = JSON.parse(line);
+        }
+        catch (e) {
+            throw "Invalid JSON in line " + this._line + ": " + e;
+        }
+        this._onItem(item, this._count++);
+    };
+    /**
+     * Parses the next chunk of the stream.
+     *
+     * @param {String} chunk The chunk.
+     */
+    NdjsonParser.prototype.write = function (chunk) {
+        if (TypeUtils.isNullOrUndefined(chunk) || "" === chunk) {
+            return;
+        }
+        var lines = (this._buffer + chunk).split("\n");
+        this._buffer = lines.pop();
+        for (var i = 0; i < lines.length; i++) {
+            this.processLine(lines[i]);
+        }
+    };
+    return NdjsonParser;
+}());
+exports.NdjsonParser = NdjsonParser;
+/**
+ * OAuth authorizer
+ */
+var OAuth = (function () {
+    function OAuth() {
+        /**
+         * Stores the fields.
+         */
+        this._fields = {};
+    }
+    /** @inheritdoc */
+    OAuth.prototype.prepare = function (reqOpts) {
+        var i = 0;
+        var fieldList = '';
+        for (var f in this._fields) {
+            var v = this._fields[f];
+            if (i > 0) {
+                fieldList += ', ';
+            }
+            fieldList += f + '=' + '"' + encodeRfc3986(v) + '"';
+            ++i;
+        }
+        reqOpts.headers["Authorization"] = 'OAuth ' + fieldList;
+    };
+    /**
+     * Sets a field.
+     *
+     * @chainable
+     *
+     * @param {String} name The name of the field.
+     * @param {String} value The value of the field.
+     */
+    OAuth.prototype.setField = function (name, value) {
+        this._fields[name] = value;
+        return this;
+    };
+    /**
+     * Sets a list of fields.
+     *
+     * @chainable
+     *
+     * @param any ...fields One or more object with fields an their values.
+     */
+    OAuth.prototype.setMany = function () {
+        var fields = [];
+        for (var _i = 0; _i < arguments.length; _i++) {
+            fields[_i] = arguments[_i];
+        }
+        for (var i = 0; i < fields.length; i++) {
+            var fieldObj = getOwnProperties(fields[i]);
+            if (TypeUtils.isNullOrUndefined(fieldObj)) {
+                continue;
+            }
+            for (var f in fieldObj) {
+                this.setField(f, fieldObj[f]);
+            }
+        }
+        return this;
+    };
+    return OAuth;
+}());
+exports.OAuth = OAuth;
+/**
+ * An OAuth 1.0a authorizer that signs requests (RFC 5849).
+ */
+var OAuth1Authorizer = (function (_super) {
+    __extends(OAuth1Authorizer, _super);
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} consumerKey The consumer key.
+     * @param {String} consumerSecret The consumer secret.
+     * @param {String} [token] The token.
+     * @param {String} [tokenSecret] The token secret.
+     */
+    function OAuth1Authorizer(consumerKey, consumerSecret, token, tokenSecret) {
+        var _this = _super.call(this) || this;
+        /**
+         * Gets or sets the value for "oauth_signature_method".
+         * Supported: 'HMAC-SHA1', 'PLAINTEXT'
+         */
+        _this.signatureMethod = 'HMAC-SHA1';
+        /**
+         * Gets or sets the value for "oauth_version".
+         */
+        _this.version = '1.0';
+        _this._consumerKey = consumerKey;
+        _this._consumerSecret = consumerSecret;
+        _this._token = token;
+        _this._tokenSecret = tokenSecret;
+        return _this;
+    }
+    Object.defineProperty(OAuth1Authorizer.prototype, "consumerKey", {
+        /**
+         * Gets the consumer key.
+         *
+         * @property
+         */
+        get: function () {
+            return this._consumerKey;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Creates a signature.
+     *
+     * @param {String} baseString The signature base string.
+     *
+     * @return {String} The signature.
+     */
+    OAuth1Authorizer.prototype.createSignature = function (baseString) {
+        var key = encodeRfc3986(this._consumerSecret || '') + '&' +
+            encodeRfc3986(this._tokenSecret || '');
+        var signatureMethod = ('' + this.signatureMethod).toUpperCase().trim();
+        switch (signatureMethod) {
+            case 'HMAC-SHA1':
+                return Base64.stringify(HmacSHA1(baseString, key));
+            case 'PLAINTEXT':
+                return key;
+        }
+        throw "Signature method '" + this.signatureMethod + "' is NOT supported!";
+    };
+    /**
+     * Creates the signature base string of a request.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} url The (encoded) request URL.
+     * @param any oauthParams The 'oauth_*' parameters.
+     * @param {String} [formBody] The 'application/x-www-form-urlencoded' body (if available).
+     *
+     * @return {String} The base string.
+     */
+    OAuth1Authorizer.prototype.createSignatureBaseString = function (method, url, oauthParams, formBody) {
+        var urlParts = /^([^:\/?#]+):\/\/([^\/?#]*)([^?#]*)(\?[^#]*)?/.exec(('' + url).trim());
+        if (!urlParts) {
+            throw "Invalid URL '" + url + "'!";
+        }
+        var scheme = urlParts[1].toLowerCase();
+        var host = urlParts[2].toLowerCase();
+        var path = urlParts[3] || '/';
+        // remove default ports
+        if (('http' === scheme && /:80$/.test(host)) ||
+            ('https' === scheme && /:443$/.test(host))) {
+            host = host.substring(0, host.lastIndexOf(':'));
+        }
+        // collect parameters
+        var params = parseUrlEncoded(urlParts[4]);
+        if (!TypeUtils.isNullOrUndefined(formBody)) {
+            params = params.concat(parseUrlEncoded(formBody));
+        }
+        for (var op in oauthParams) {
+            if ('oauth_signature' === op || 'realm' === op) {
+                continue;
+            }
+            params.push([op, '' + oauthParams[op]]);
+        }
+        var encodedParams = params.map(function (p) { return [encodeRfc3986(p[0]), encodeRfc3986(p[1])]; });
+        encodedParams.sort(function (x, y) {
+            if (x[0] !== y[0]) {
+                return x[0] < y[0] ? -1 : 1;
+            }
+            if (x[1] !== y[1]) {
+                return x[1] < y[1] ? -1 : 1;
+            }
+            return 0;
+        });
+        var paramString = encodedParams.map(function (p) { return p[0] + '=' + p[1]; })
+            .join('&');
+        return methodToString(method) + '&' +
+            encodeRfc3986(scheme + '://' + host + path) + '&' +
+            encodeRfc3986(paramString);
+    };
+    /** @inheritdoc */
+    OAuth1Authorizer.prototype.prepare = function (reqOpts) {
+        var timestamp = this.timestamp;
+        if (TypeUtils.isNullOrUndefined(timestamp)) {
+            timestamp = new Date();
+        }
+        var nonce = this.nonce;
+        if (isEmptyString(nonce)) {
+            var NONCE_CHARS = '0123456789abcdef';
+            nonce = '';
+            for (var i = 0; i < 32; i++) {
+                nonce += NONCE_CHARS[Math.floor(Math.random() * NONCE_CHARS.length) % NONCE_CHARS.length];
+            }
+        }
+        if (!isEmptyString(this._consumerKey)) {
+            this.setField('oauth_consumer_key', this._consumerKey);
+        }
+        this.setField('oauth_nonce', nonce);
+        if (!isEmptyString(this.signatureMethod)) {
+            this.setField('oauth_signature_method', this.signatureMethod);
+        }
+        this.setField('oauth_timestamp', Math.floor(timestamp.getTime() / 1000.0));
+        if (!isEmptyString(this._token)) {
+            this.setField('oauth_token', this._token);
+        }
+        if (!isEmptyString(this.version)) {
+            this.setField('oauth_version', this.version);
+        }
+        var signature = this.signature;
+        if (TypeUtils.isNullOrUndefined(signature)) {
+            var formBody;
+            var contentType = getHeaderValue(reqOpts.headers, 'Content-type');
+            if (!isEmptyString(contentType) &&
+                0 === contentType.toLowerCase().trim().indexOf('application/x-www-form-urlencoded') &&
+                typeof reqOpts.content === "string") {
+                formBody = reqOpts.content;
+            }
+            signature = this.createSignature(this.createSignatureBaseString(reqOpts.method, reqOpts.url, this._fields, formBody));
+        }
+        this.setField('oauth_signature', signature);
+        _super.prototype.prepare.call(this, reqOpts);
+    };
+    Object.defineProperty(OAuth1Authorizer.prototype, "token", {
+        /**
+         * Gets the token.
+         *
+         * @property
+         */
+        get: function () {
+            return this._token;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return OAuth1Authorizer;
+}(OAuth));
+exports.OAuth1Authorizer = OAuth1Authorizer;
+/**
+ * An OAuth 2.0 authorizer that manages the lifecycle of an access token.
+ */
+var OAuth2Authorizer = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IOAuth2Config} config The configuration.
+     */
+    function OAuth2Authorizer(config) {
+        this._config = config;
+        var storage = this.storage;
+        if (!TypeUtils.isNullOrUndefined(storage)) {
+            this._token = storage.getValue(this._config.storageKey);
+        }
+        if (TypeUtils.isNullOrUndefined(this._token) &&
+            !isEmptyString(config.refreshToken)) {
+            // only a refresh token
+            this._token = {
+                accessToken: null,
+                expiresAt: 0,
+                refreshToken: config.refreshToken,
+            };
+        }
+    }
+    /**
+     * Removes the current token (and the cached one).
+     */
+    OAuth2Authorizer.prototype.clear = function () {
+        this._token = undefined;
+        var storage = this.storage;
+        if (!TypeUtils.isNullOrUndefined(storage)) {
+            storage.removeValue(this._config.storageKey);
+        }
+    };
+    Object.defineProperty(OAuth2Authorizer.prototype, "config", {
+        /**
+         * Gets the configuration.
+         *
+         * @property
+         */
+        get: function () {
+            return this._config;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Returns a valid token. Concurrent calls share the same token request.
+     *
+     * @param {Boolean} [forceRefresh] Request a new token, even if the current one is still valid.
+     *
+     * @return {Promise<IOAuth2Token>} The promise.
+     */
+    OAuth2Authorizer.prototype.getToken = function (forceRefresh) {
+        var me = this;
+        if (!forceRefresh && me.isValid(me._token)) {
+            return Promise.resolve(me._token);
+        }
+        if (TypeUtils.isNullOrUndefined(me._pendingToken)) {
+            var onFinished = function () {
+                me._pendingToken = undefined;
+            };
+            me._pendingToken = me.requestToken().then(function (token) {
+                onFinished();
+                me.setToken(token);
+                return token;
+            }, function (err) {
+                onFinished();
+                throw err;
+            });
+        }
+        return me._pendingToken;
+    };
+    /** @inheritdoc */
+    OAuth2Authorizer.prototype.interceptResponse = function (ctx) {
+        var STATE_KEY = "__oauth2_replayed";
+        if (401 !== ctx.response.statusCode || ctx.state[STATE_KEY]) {
+            return;
+        }
+        // retry only once
+        ctx.state[STATE_KEY] = true;
+        var me = this;
+        var usedAuthorization = getHeaderValue(ctx.options.headers, "Authorization");
+        var currentToken = me._token;
+        var refreshed;
+        if (me.isValid(currentToken) &&
+            usedAuthorization !== me.toAuthorizationValue(currentToken)) {
+            // has already been refreshed by another request
+            refreshed = Promise.resolve(currentToken);
+        }
+        else {
+            refreshed = me.getToken(true);
+        }
+        return refreshed.then(function () {
+            ctx.replay();
+        }, function (err) {
+            // let the 401 response pass
+            ctx.client.warn("Could not refresh token: " + err, "OAuth2Authorizer");
+        });
+    };
+    OAuth2Authorizer.prototype.isValid = function (token) {
+        if (TypeUtils.isNullOrUndefined(token) ||
+            isEmptyString(token.accessToken)) {
+            return false;
+        }
+        if (TypeUtils.isNullOrUndefined(token.expiresAt)) {
+            return true;
+        }
+        var refreshBefore = this._config.refreshBefore;
+        if (TypeUtils.isNullOrUndefined(refreshBefore)) {
+            refreshBefore = 60;
+        }
+        return new Date().getTime() < (token.expiresAt - refreshBefore * 1000);
+    };
+    /** @inheritdoc */
+    OAuth2Authorizer.prototype.prepare = function (reqOpts) {
+        var me = this;
+        return me.getToken().then(function (token) {
+            reqOpts.headers["Authorization"] = me.toAuthorizationValue(token);
+        });
+    };
+    OAuth2Authorizer.prototype.requestToken = function () {
+        var me = this;
+        var cfg = me._config;
+        var grantType = cfg.grantType;
+        if (TypeUtils.isNullOrUndefined(grantType)) {
+            grantType = OAuth2GrantType.ClientCredentials;
+        }
+        var params = {};
+        var currentToken = me._token;
+        var useRefreshToken = !TypeUtils.isNullOrUndefined(currentToken) &&
+            !isEmptyString(currentToken.refreshToken);
+        if (useRefreshToken) {
+            params.grant_type = "refresh_token";
+            params.refresh_token = currentToken.refreshToken;
+        }
+        else {
+            switch (grantType) {
+                case OAuth2GrantType.Password:
+                    params.grant_type = "password";
+                    params.username = cfg.username;
+                    params.password = cfg.password;
+                    break;
+                case OAuth2GrantType.RefreshToken:
+                    return Promise.reject("No refresh token available!");
+                default:
+                    params.grant_type = "client_credentials";
+                    break;
+            }
+        }
+        if (!TypeUtils.isNullOrUndefined(cfg.scope)) {
+            params.scope = Array.isArray(cfg.scope) ? cfg.scope.join(" ")
+                : cfg.scope;
+        }
+        var headers = {
+            "Accept": "application/json",
+            "Content-type": "application/x-www-form-urlencoded",
+        };
+        if (!isEmptyString(cfg.clientId)) {
+            if ("body" === ("" + cfg.clientAuthentication).toLowerCase().trim()) {
+                params.client_id = cfg.clientId;
+                if (!TypeUtils.isNullOrUndefined(cfg.clientSecret)) {
+                    params.client_secret = cfg.clientSecret;
+                }
+            }
+            else {
+                // s. RFC 6749, section 2.3.1
+                headers["Authorization"] = "Basic " + encodeBase64(encodeFormComponent(cfg.clientId) + ":" +
+                    encodeFormComponent(cfg.clientSecret || ""));
+            }
+        }
+        var additionalParams = getOwnProperties(cfg.params);
+        for (var p in additionalParams) {
+            params[p] = additionalParams[p];
+        }
+        var body = [];
+        for (var p in params) {
+            if (!TypeUtils.isNullOrUndefined(params[p])) {
+                body.push(encodeFormComponent(p) + "=" + encodeFormComponent(params[p]));
+            }
+        }
+        return newClient({
+            baseUrl: cfg.tokenUrl,
+            transport: cfg.transport,
+        }).post({
+            content: body.join("&"),
+            headers: headers,
+            timeout: cfg.timeout,
+        }).then(function (result) {
+            var json;
+            try {
+                json = result.getJSON();
+            }
+            catch (e) {
+                // no JSON, like an HTML error page
+                json = undefined;
+            }
+            if (result.code < 200 || result.code > 299 ||
+                TypeUtils.isNullOrUndefined(json) || isEmptyString(json.access_token)) {
+                if (useRefreshToken &&
+                    OAuth2GrantType.RefreshToken !== grantType) {
+                    // refresh token is not valid anymore
+                    // so try again with configured grant
+                    me._token = undefined;
+                    return me.requestToken();
+                }
+                throw new OAuth2TokenError(result.code, json);
+            }
+            var token = {
+                accessToken: json.access_token,
+                refreshToken: json.refresh_token,
+                scope: json.scope,
+                tokenType: json.token_type,
+            };
+            if (TypeUtils.isNullOrUndefined(token.refreshToken) && useRefreshToken) {
+                // keep old one
+                token.refreshToken = currentToken.refreshToken;
+            }
+            var expiresIn = parseInt(json.expires_in);
+            if (!isNaN(expiresIn)) {
+                token.expiresAt = new Date().getTime() + expiresIn * 1000;
+            }
+            return token;
+        });
+    };
+    /**
+     * Sets the current token.
+     *
+     * @chainable
+     *
+     * @param {IOAuth2Token} token The new token.
+     */
+    OAuth2Authorizer.prototype.setToken = function (token) {
+        this._token = token;
+        var storage = this.storage;
+        if (!TypeUtils.isNullOrUndefined(storage)) {
+            if (TypeUtils.isNullOrUndefined(token)) {
+                storage.removeValue(this._config.storageKey);
+            }
+            else {
+                storage.setValue(token, this._config.storageKey);
+            }
+        }
+        return this;
+    };
+    Object.defineProperty(OAuth2Authorizer.prototype, "storage", {
+        get: function () {
+            if (isEmptyString(this._config.storageKey)) {
+                return undefined;
+            }
+            return this._config.storage || AppSettingsStorage;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    OAuth2Authorizer.prototype.toAuthorizationValue = function (token) {
+        var tokenType = token.tokenType;
+        if (isEmptyString(tokenType) || "bearer" === tokenType.toLowerCase().trim()) {
+            tokenType = "Bearer";
+        }
+        return tokenType + " " + token.accessToken;
+    };
+    Object.defineProperty(OAuth2Authorizer.prototype, "token", {
+        /**
+         * Gets the current token.
+         *
+         * @property
+         */
+        get: function () {
+            return this._token;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return OAuth2Authorizer;
+}());
+exports.OAuth2Authorizer = OAuth2Authorizer;
+/**
+ * List of OAuth 2.0 grant types.
+ */
+var OAuth2GrantType;
+(function (OAuth2GrantType) {
+    /**
+     * 'client_credentials'
+     */
+    OAuth2GrantType[OAuth2GrantType["ClientCredentials"] = 0] = "ClientCredentials";
+    /**
+     * 'password'
+     */
+    OAuth2GrantType[OAuth2GrantType["Password"] = 1] = "Password";
+    /**
+     * 'refresh_token'
+     */
+    OAuth2GrantType[OAuth2GrantType["RefreshToken"] = 2] = "RefreshToken";
+})(OAuth2GrantType = exports.OAuth2GrantType || (exports.OAuth2GrantType = {}));
+/**
+ * An error of a token request of an 'OAuth2Authorizer'.
+ */
+var OAuth2TokenError = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {Number} code The status code of the token endpoint.
+     * @param any [response] The (JSON) response, if available.
+     */
+    function OAuth2TokenError(code, response) {
+        this._code = code;
+        this._response = response;
+    }
+    Object.defineProperty(OAuth2TokenError.prototype, "code", {
+        /**
+         * Gets the status code of the token endpoint.
+         *
+         * @property
+         */
+        get: function () {
+            return this._code;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OAuth2TokenError.prototype, "description", {
+        /**
+         * Gets the description of the error (if available).
+         *
+         * @property
+         */
+        get: function () {
+            return TypeUtils.isNullOrUndefined(this._response) ? undefined : this._response.error_description;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OAuth2TokenError.prototype, "error", {
+        /**
+         * Gets the error code, like 'invalid_grant' (if available).
+         *
+         * @property
+         */
+        get: function () {
+            return TypeUtils.isNullOrUndefined(this._response) ? undefined : this._response.error;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OAuth2TokenError.prototype, "message", {
+        /**
+         * Gets the message.
+         *
+         * @property
+         */
+        get: function () {
+            if (isEmptyString(this.error)) {
+                return "Token request failed with status code " + this.code;
+            }
+            return this.error + (isEmptyString(this.description) ? "" : (": " + this.description));
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    OAuth2TokenError.prototype.toString = function () {
+        return this.message;
+    };
+    return OAuth2TokenError;
+}());
+exports.OAuth2TokenError = OAuth2TokenError;
+/**
+ * A queue that stores requests while the device is offline
+ * and sends them in order when it is online again.
+ *
+ * Items are replayed when 'startMonitoringForConnectivity()' of
+ * the toolbox reports 'wifi' or 'mobile', or if 'replay()' is called.
+ *
+ * Credentials, like the 'Authorization' and 'Cookie' headers, are NOT stored.
+ * Queued requests are authorized by the authorizer of the client when they are sent.
+ *
+ * 'tag' and 'schema' are only stored if they are JSON-safe (no circular references,
+ * functions, dates, etc.). Otherwise they are only used until the app is restarted.
+ *
+ * If sending a request fails because of the network, the "error" action of the client
+ * is invoked and the request stays in the queue, until 'maxAttempts' is reached.
+ * Then it is removed and its promise is rejected.
+ */
+var OfflineQueue = (function (_super) {
+    __extends(OfflineQueue, _super);
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The client that sends the requests.
+     * @param {IOfflineQueueConfig} [config] The custom configuration.
+     */
+    function OfflineQueue(client, config) {
+        var _this = _super.call(this) || this;
+        _this._isDisposed = false;
+        _this._isReplaying = false;
+        _this._isSending = false;
+        _this._items = [];
+        _this._pending = {};
+        var me = _this;
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        _this._client = client;
+        _this._config = config;
+        _this._store = config.store;
+        if (TypeUtils.isNullOrUndefined(_this._store)) {
+            _this._store = createValueStorageQueueStore(config.storage || AppSettingsStorage, isEmptyString(config.storageKey) ? "apiclient.offlineQueue" : config.storageKey);
+        }
+        // restore items of previous sessions
+        _this._loaded = Promise.resolve().then(function () { return me._store.load(); }).then(function (items) {
+            if (TypeUtils.isNullOrUndefined(items)) {
+                return;
+            }
+            // items that have been queued in the meantime
+            // might have already been saved
+            var restoredItems = items.filter(function (i) {
+                return me._items.filter(function (x) { return x.id === i.id; }).length < 1;
+            });
+            if (restoredItems.length > 0) {
+                me._items = restoredItems.concat(me._items);
+                me.notifyPropertyChange("count", me._items.length);
+                me.updateRegistration();
+            }
+        }, function (err) {
+            me._client.err("Could not load items: " + err, "OfflineQueue");
+        });
+        return _this;
+    }
+    /**
+     * Removes all items.
+     *
+     * @param any [reason] The optional reason for the callers of the queued requests.
+     */
+    OfflineQueue.prototype.clear = function (reason) {
+        var ids = this._items.map(function (i) { return i.id; });
+        for (var i = 0; i < ids.length; i++) {
+            this.remove(ids[i], reason);
+        }
+    };
+    Object.defineProperty(OfflineQueue.prototype, "client", {
+        /**
+         * Gets the underlying client.
+         *
+         * @property
+         */
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OfflineQueue.prototype, "count", {
+        /**
+         * Gets the number of queued requests.
+         *
+         * @property
+         */
+        get: function () {
+            return this._items.length;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Stops listening for connectivity changes.
+     */
+    OfflineQueue.prototype.dispose = function () {
+        this._isDisposed = true;
+        this.updateRegistration();
+    };
+    /**
+     * Adds a request.
+     * Requests with the same idempotency key are only queued once.
+     *
+     * @param {String} method The HTTP method.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     *
+     * @return {ICancellablePromise<IApiClientResult>} The promise that is resolved with the result
+     *                                                after the request has been sent.
+     */
+    OfflineQueue.prototype.enqueue = function (method, opts) {
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(opts)) {
+            opts = {};
+        }
+        method = methodToString(method);
+        var item;
+        if (!isEmptyString(opts.idempotencyKey)) {
+            item = this._items.filter(function (i) { return i.idempotencyKey === opts.idempotencyKey; })[0];
+        }
+        if (TypeUtils.isNullOrUndefined(item)) {
+            var id = createRandomHex(32);
+            var idempotencyKey = isEmptyString(opts.idempotencyKey) ? id : opts.idempotencyKey;
+            // send the key as header
+            var queuedOpts = getOwnProperties(opts);
+            queuedOpts.headers = getOwnProperties(opts.headers) || {};
+            queuedOpts.headers[this.idempotencyHeader] = idempotencyKey;
+            queuedOpts.idempotencyKey = idempotencyKey;
+            item = {
+                id: id,
+                idempotencyKey: idempotencyKey,
+                method: method,
+                options: toQueueOptions(queuedOpts),
+                queuedAt: Date.now(),
+            };
+            this._items.push(item);
+            this._pending[id] = {
+                options: queuedOpts,
+            };
+            this.save();
+            this.updateRegistration();
+            this.notify({
+                eventName: OfflineQueue.itemEnqueuedEvent,
+                item: item,
+                object: this,
+            });
+            this.notifyPropertyChange("count", this._items.length);
+        }
+        var promise = this.getPending(item).promise;
+        if (isConnected()) {
+            this.replay();
+        }
+        return promise;
+    };
+    OfflineQueue.prototype.getPending = function (item) {
+        var me = this;
+        var pending = this._pending[item.id];
+        if (TypeUtils.isNullOrUndefined(pending)) {
+            // restored item
+            pending = this._pending[item.id] = {
+                options: item.options,
+            };
+        }
+        if (TypeUtils.isNullOrUndefined(pending.promise)) {
+            pending.promise = new Promise(function (resolve, reject) {
+                pending.resolve = resolve;
+                pending.reject = reject;
+            });
+            pending.promise.cancel = function (reason) {
+                me.remove(item.id, reason);
+            };
+            var cancellationToken = pending.options.cancellationToken;
+            if (!TypeUtils.isNullOrUndefined(cancellationToken)) {
+                pending.unregister = cancellationToken.register(function (reason) {
+                    me.remove(item.id, reason);
+                });
+            }
+        }
+        return pending;
+    };
+    Object.defineProperty(OfflineQueue.prototype, "idempotencyHeader", {
+        /**
+         * Gets the name of the header for the idempotency key.
+         *
+         * @property
+         */
+        get: function () {
+            var header = this._config.idempotencyHeader;
+            if (isEmptyString(header)) {
+                header = "Idempotency-Key";
+            }
+            return header;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OfflineQueue.prototype, "isReplaying", {
+        /**
+         * Gets if the queue is currently sending its requests or not.
+         *
+         * @property
+         */
+        get: function () {
+            return this._isReplaying;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OfflineQueue.prototype, "items", {
+        /**
+         * Gets a copy of the current items.
+         *
+         * @property
+         */
+        get: function () {
+            return this._items.slice();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OfflineQueue.prototype, "maxAttempts", {
+        /**
+         * Gets the maximum number of attempts to send a request,
+         * which fail because of the network.
+         *
+         * @property
+         */
+        get: function () {
+            var maxAttempts = this._config.maxAttempts;
+            if (TypeUtils.isNullOrUndefined(maxAttempts)) {
+                maxAttempts = 3;
+            }
+            return maxAttempts;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(OfflineQueue.prototype, "methods", {
+        /**
+         * Gets the HTTP methods of the requests that are queued.
+         *
+         * @property
+         */
+        get: function () {
+            var methods = this._config.methods;
+            if (TypeUtils.isNullOrUndefined(methods)) {
+                methods = ["POST", "PATCH"];
+            }
+            return methods.map(function (m) { return methodToString(m); });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    OfflineQueue.prototype.rejectPending = function (pending, err) {
+        if (err.handled || ApiClientErrorContext.Cancelled === err.context) {
+            pending.promise.catch(function () { });
+        }
+        pending.reject(err);
+        if (!TypeUtils.isNullOrUndefined(pending.unregister)) {
+            pending.unregister();
+        }
+    };
+    /**
+     * Removes an item and cancels its request.
+     *
+     * @param {String} id The ID of the item.
+     * @param any [reason] The optional reason for the caller of the request.
+     *
+     * @return {Boolean} Item was removed or not.
+     */
+    OfflineQueue.prototype.remove = function (id, reason) {
+        var item = this.removeItem(id);
+        if (TypeUtils.isNullOrUndefined(item)) {
+            return false;
+        }
+        var pending = this._pending[id];
+        delete this._pending[id];
+        if (!TypeUtils.isNullOrUndefined(pending) &&
+            !TypeUtils.isNullOrUndefined(pending.promise)) {
+            // reject with a "cancelled" error context,
+            // without setting up a request and invoking the actions of the client
+            var client = this._client;
+            var opts = pending.options;
+            var request = new HttpRequest(client, {
+                content: opts.content,
+                headers: getOwnProperties(opts.headers) || {},
+                method: item.method,
+                url: opts.url,
+            });
+            this.rejectPending(pending, new ApiClientError(client, request, reason, ApiClientErrorContext.Cancelled, opts.tag));
+        }
+        return true;
+    };
+    OfflineQueue.prototype.removeItem = function (id) {
+        for (var i = 0; i < this._items.length; i++) {
+            var item = this._items[i];
+            if (item.id === id) {
+                this._items.splice(i, 1);
+                this.save();
+                this.notifyPropertyChange("count", this._items.length);
+                this.updateRegistration();
+                return item;
+            }
+        }
+        return undefined;
+    };
+    /**
+     * Sends all queued requests in order.
+     * Stops at the first request that fails because of the network,
+     * if it has not reached the maximum number of attempts.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    OfflineQueue.prototype.replay = function () {
+        var me = this;
+        if (!TypeUtils.isNullOrUndefined(this._replay)) {
+            return this._replay;
+        }
+        var setReplaying = function (newValue) {
+            me._isReplaying = newValue;
+            me.notifyPropertyChange("isReplaying", newValue);
+        };
+        var next = function () {
+            if (me._items.length < 1 || !isConnected()) {
+                return;
+            }
+            var item = me._items[0];
+            var pending = me.getPending(item);
+            return me.send(item.method, pending.options, pending).then(function (result) {
+                me.removeItem(item.id);
+                delete me._pending[item.id];
+                me.notify({
+                    eventName: OfflineQueue.itemProcessedEvent,
+                    item: item,
+                    object: me,
+                    result: result,
+                });
+                return next();
+            }, function (err) {
+                if (ApiClientErrorContext.ClientError === err.context ||
+                    ApiClientErrorContext.Rejected === err.context) {
+                    item.attempts = (item.attempts || 0) + 1;
+                    if (item.attempts < me.maxAttempts) {
+                        // network problem => try again later
+                        me.save();
+                        return;
+                    }
+                    me.rejectPending(pending, err);
+                }
+                if (ApiClientErrorContext.Cancelled !== err.context) {
+                    me.removeItem(item.id);
+                    delete me._pending[item.id];
+                    me.notify({
+                        error: err,
+                        eventName: OfflineQueue.itemFailedEvent,
+                        item: item,
+                        object: me,
+                    });
+                }
+                return next();
+            });
+        };
+        setReplaying(true);
+        this._replay = this._loaded.then(next).then(function () {
+            me._replay = undefined;
+            setReplaying(false);
+        }, function (err) {
+            me._replay = undefined;
+            setReplaying(false);
+            me._client.err(err, "OfflineQueue");
+        });
+        return this._replay;
+    };
+    OfflineQueue.prototype.save = function () {
+        var me = this;
+        var items = me._items.slice();
+        var logError = function (err) {
+            me._client.err("Could not save items: " + err, "OfflineQueue");
+        };
+        try {
+            Promise.resolve(me._store.save(items)).then(null, logError);
+        }
+        catch (e) {
+            logError(e);
+        }
+    };
+    OfflineQueue.prototype.send = function (method, opts, pending) {
+        var _this = this;
+        var promise;
+        // do not queue again
+        this._isSending = true;
+        try {
+            promise = this._client.request(method, opts);
+        }
+        finally {
+            this._isSending = false;
+        }
+        return promise.then(function (result) {
+            pending.resolve(result);
+            if (!TypeUtils.isNullOrUndefined(pending.unregister)) {
+                pending.unregister();
+            }
+            return result;
+        }, function (err) {
+            if (ApiClientErrorContext.ClientError !== err.context &&
+                ApiClientErrorContext.Rejected !== err.context) {
+                _this.rejectPending(pending, err);
+            }
+            throw err;
+        });
+    };
+    /**
+     * Checks if a request should be queued.
+     * This is the case, if the device is offline or other requests
+     * are waiting in the queue.
+     *
+     * @param {String} method The HTTP method.
+     *
+     * @return {Boolean} Should be queued or not.
+     */
+    OfflineQueue.prototype.shouldEnqueue = function (method) {
+        if (this._isSending) {
+            return false;
+        }
+        if (this.methods.indexOf(methodToString(method)) < 0) {
+            return false;
+        }
+        // keep order
+        return this._items.length > 0 ||
+            !isConnected();
+    };
+    OfflineQueue.prototype.updateRegistration = function () {
+        // only listen for connectivity changes while there are items,
+        // so the queue and its client can be collected
+        var index = OfflineQueues.indexOf(this);
+        if (!this._isDisposed && this._items.length > 0) {
+            if (index < 0) {
+                OfflineQueues.push(this);
+            }
+        }
+        else if (index > -1) {
+            OfflineQueues.splice(index, 1);
+        }
+    };
+    return OfflineQueue;
+}(Observable.Observable));
+/**
+ * Name of the event that is raised after a request has been queued.
+ */
+OfflineQueue.itemEnqueuedEvent = "itemEnqueued";
+/**
+ * Name of the event that is raised if a queued request failed.
+ */
+OfflineQueue.itemFailedEvent = "itemFailed";
+/**
+ * Name of the event that is raised after a queued request has been sent.
+ */
+OfflineQueue.itemProcessedEvent = "itemProcessed";
+exports.OfflineQueue = OfflineQueue;
+/**
+ * List of pagination strategies.
+ */
+var PaginationStrategy;
+(function (PaginationStrategy) {
+    /**
+     * Follow the 'next' link of the 'Link' response header.
+     */
+    PaginationStrategy[PaginationStrategy["Link"] = 0] = "Link";
+    /**
+     * Send the page number as URL parameter.
+     */
+    PaginationStrategy[PaginationStrategy["Page"] = 1] = "Page";
+    /**
+     * Send the number of items to skip as URL parameter.
+     */
+    PaginationStrategy[PaginationStrategy["Offset"] = 2] = "Offset";
+    /**
+     * Send the cursor from the body of the last response as URL parameter.
+     */
+    PaginationStrategy[PaginationStrategy["Cursor"] = 3] = "Cursor";
+})(PaginationStrategy = exports.PaginationStrategy || (exports.PaginationStrategy = {}));
+/**
+ * Loads the items of a paged resource lazily.
+ */
+var Paginator = (function (_super) {
+    __extends(Paginator, _super);
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IApiClient} client The underlying client.
+     * @param {IPaginationConfig} [config] The custom configuration.
+     */
+    function Paginator(client, config) {
+        var _this = _super.call(this) || this;
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        _this._client = client;
+        _this._config = config;
+        _this.reset();
+        return _this;
+    }
+    Object.defineProperty(Paginator.prototype, "client", {
+        /**
+         * Gets the underlying client.
+         *
+         * @property
+         */
+        get: function () {
+            return this._client;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Paginator.prototype.getItems = function (result) {
+        var items;
+        var selector = this._config.items;
+        if (typeof selector === "function") {
+            items = selector(result);
+        }
+        else {
+            var body = result.getContent();
+            if (!isEmptyString(selector)) {
+                items = getPropertyValue(body, selector);
+            }
+            else if (body instanceof Array) {
+                items = body;
+            }
+            else if (!TypeUtils.isNullOrUndefined(body)) {
+                items = body.items;
+                if (TypeUtils.isNullOrUndefined(items)) {
+                    items = body.data;
+                }
+                if (TypeUtils.isNullOrUndefined(items)) {
+                    items = body.results;
+                }
+            }
+        }
+        if (TypeUtils.isNullOrUndefined(items)) {
+            return [];
+        }
+        return Enumerable.asEnumerable(items).toArray();
+    };
+    Object.defineProperty(Paginator.prototype, "hasMore", {
+        /**
+         * Gets if there are more pages to load or not.
+         *
+         * @property
+         */
+        get: function () {
+            var maxPages = this._config.maxPages;
+            if (!TypeUtils.isNullOrUndefined(maxPages) &&
+                this._pageCount >= maxPages) {
+                return false;
+            }
+            return this._hasMore;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    Paginator.prototype.moveNext = function () {
+        var me = this;
+        if (me._items.length > 0) {
+            me._current = me._items.shift();
+            return Promise.resolve(true);
+        }
+        return me.nextPage().then(function (page) {
+            if (TypeUtils.isNullOrUndefined(page)) {
+                me._current = undefined;
+                return false;
+            }
+            me._items = page.toArray();
+            // pages can be empty
+            return me.moveNext();
+        });
+    };
+    /**
+     * Loads the next page.
+     *
+     * @return {Promise<Enumerable.IEnumerable<T>>} The promise with the items of the page
+     *                                               or (null) if there are no more pages.
+     *                                               It is rejected with the result
+     *                                               if the status code is not 2xx.
+     */
+    Paginator.prototype.nextPage = function () {
+        var me = this;
+        if (!me.hasMore) {
+            return Promise.resolve(null);
+        }
+        var cfg = me._config;
+        var strategy = cfg.strategy;
+        if (TypeUtils.isNullOrUndefined(strategy)) {
+            strategy = PaginationStrategy.Link;
+        }
+        var pageSizeParam = cfg.pageSizeParam;
+        if (isEmptyString(pageSizeParam)) {
+            pageSizeParam = PaginationStrategy.Page === strategy ? "per_page" : "limit";
+        }
+        var opts = {};
+        var requestOpts = getOwnProperties(cfg.request);
+        for (var p in requestOpts) {
+            opts[p] = requestOpts[p];
+        }
+        var params = {};
+        var requestParams = getOwnProperties(opts.params);
+        for (var rp in requestParams) {
+            params[rp] = requestParams[rp];
+        }
+        if (!TypeUtils.isNullOrUndefined(cfg.pageSize) &&
+            PaginationStrategy.Link !== strategy) {
+            params[pageSizeParam] = cfg.pageSize;
+        }
+        switch (strategy) {
+            case PaginationStrategy.Link:
+                if (!isEmptyString(me._nextUrl)) {
+                    // parameters are part of the link
+                    opts.url = me._nextUrl;
+                    params = undefined;
+                }
+                break;
+            case PaginationStrategy.Page:
+                var startPage = cfg.startPage;
+                if (TypeUtils.isNullOrUndefined(startPage)) {
+                    startPage = 1;
+                }
+                params[isEmptyString(cfg.pageParam) ? "page" : cfg.pageParam] = startPage + me._pageCount;
+                break;
+            case PaginationStrategy.Offset:
+                params[isEmptyString(cfg.offsetParam) ? "offset" : cfg.offsetParam] = me._offset;
+                break;
+            case PaginationStrategy.Cursor:
+                if (!TypeUtils.isNullOrUndefined(me._cursor)) {
+                    params[isEmptyString(cfg.cursorParam) ? "cursor" : cfg.cursorParam] = me._cursor;
+                }
+                break;
+            default:
+                throw "Pagination strategy '" + strategy + "' is NOT supported!";
+        }
+        opts.params = params;
+        var method = cfg.method;
+        if (TypeUtils.isNullOrUndefined(method)) {
+            method = HttpMethod.GET;
+        }
+        return me._client.request(method, opts).then(function (result) {
+            if (result.code < 200 || result.code > 299) {
+                throw result;
+            }
+            var items = me.getItems(result);
+            ++me._pageCount;
+            var isLastPage = function () {
+                return items.length < 1 ||
+                    (!TypeUtils.isNullOrUndefined(cfg.pageSize) && items.length < cfg.pageSize);
+            };
+            switch (strategy) {
+                case PaginationStrategy.Link:
+                    var next = parseLinkHeader(getHeaderValue(result.headers, "Link"))["next"];
+                    me._nextUrl = isEmptyString(next) ? null
+                        : resolveUrl(result.request.url, next);
+                    me._hasMore = !isEmptyString(me._nextUrl);
+                    break;
+                case PaginationStrategy.Page:
+                    me._hasMore = !isLastPage();
+                    break;
+                case PaginationStrategy.Offset:
+                    me._offset += items.length;
+                    me._hasMore = !isLastPage();
+                    break;
+                case PaginationStrategy.Cursor:
+                    var cursor = cfg.cursor;
+                    if (typeof cursor === "function") {
+                        me._cursor = cursor(result);
+                    }
+                    else {
+                        me._cursor = getPropertyValue(result.getContent(), isEmptyString(cursor) ? "next_cursor" : cursor);
+                    }
+                    me._hasMore = !TypeUtils.isNullOrUndefined(me._cursor) &&
+                        "" !== ("" + me._cursor).trim();
+                    break;
+            }
+            return Enumerable.fromArray(items);
+        });
+    };
+    Object.defineProperty(Paginator.prototype, "pageCount", {
+        /**
+         * Gets the number of loaded pages.
+         *
+         * @property
+         */
+        get: function () {
+            return this._pageCount;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Starts again with the first page.
+     *
+     * @chainable
+     */
+    Paginator.prototype.reset = function () {
+        this._current = undefined;
+        this._cursor = undefined;
+        this._hasMore = true;
+        this._items = [];
+        this._nextUrl = null;
+        this._offset = 0;
+        this._pageCount = 0;
+        return this;
+    };
+    return Paginator;
+}(AsyncSequence));
+exports.Paginator = Paginator;
+/**
+ * List of formats for serializing arrays as URL parameters.
+ */
+var ParamArrayFormat;
+(function (ParamArrayFormat) {
+    /**
+     * a=1&a=2
+     */
+    ParamArrayFormat[ParamArrayFormat["Repeat"] = 0] = "Repeat";
+    /**
+     * a[]=1&a[]=2
+     */
+    ParamArrayFormat[ParamArrayFormat["Brackets"] = 1] = "Brackets";
+    /**
+     * a[0]=1&a[1]=2
+     */
+    ParamArrayFormat[ParamArrayFormat["Indices"] = 2] = "Indices";
+    /**
+     * a=1,2
+     */
+    ParamArrayFormat[ParamArrayFormat["Comma"] = 3] = "Comma";
+})(ParamArrayFormat = exports.ParamArrayFormat || (exports.ParamArrayFormat = {}));
+/**
+ * List of formats for serializing objects as URL parameters.
+ */
+var ParamObjectFormat;
+(function (ParamObjectFormat) {
+    /**
+     * a[b]=c
+     */
+    ParamObjectFormat[ParamObjectFormat["Brackets"] = 0] = "Brackets";
+    /**
+     * a.b=c
+     */
+    ParamObjectFormat[ParamObjectFormat["Dots"] = 1] = "Dots";
+    /**
+     * a={"b":"c"}
+     */
+    ParamObjectFormat[ParamObjectFormat["JSON"] = 2] = "JSON";
+})(ParamObjectFormat = exports.ParamObjectFormat || (exports.ParamObjectFormat = {}));
+/**
+ * A rate limiter that uses token buckets.
+ */
+var RateLimiter = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IRateLimiterConfig} [config] The custom configuration.
+     */
+    function RateLimiter(config) {
+        this._buckets = {};
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._config = config;
+    }
+    /**
+     * Takes a token for a host and waits if needed.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Promise<any>} The promise, which is rejected if there is no token in time.
+     */
+    RateLimiter.prototype.acquire = function (host) {
+        var me = this;
+        var maxWait = this._config.maxWait;
+        if (TypeUtils.isNullOrUndefined(maxWait)) {
+            maxWait = 0;
+        }
+        var startTime = Date.now();
+        return new Promise(function (resolve, reject) {
+            var tryAcquire = function () {
+                var wait = me.tryAcquire(host);
+                if (wait < 1) {
+                    resolve();
+                    return;
+                }
+                if (Date.now() - startTime + wait > maxWait) {
+                    reject("Rate limit for host '" + normalizeHost(host) + "' has been exceeded.");
+                    return;
+                }
+                setTimeout(tryAcquire, wait);
+            };
+            tryAcquire();
+        });
+    };
+    Object.defineProperty(RateLimiter.prototype, "capacity", {
+        /**
+         * Gets the maximum number of requests that can be sent at once.
+         *
+         * @property
+         */
+        get: function () {
+            var capacity = this._config.capacity;
+            if (TypeUtils.isNullOrUndefined(capacity)) {
+                capacity = 10;
+            }
+            return capacity;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    RateLimiter.prototype.getBucket = function (host) {
+        var key = false !== this._config.perHost ? normalizeHost(host) : "*";
+        var bucket = this._buckets[key];
+        if (TypeUtils.isNullOrUndefined(bucket)) {
+            bucket = this._buckets[key] = {
+                lastRefill: Date.now(),
+                tokens: this.capacity,
+            };
+        }
+        // refill
+        var now = Date.now();
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.lastRefill) * this.tokensPerSecond / 1000);
+        bucket.lastRefill = now;
+        return bucket;
+    };
+    /**
+     * Returns the number of available tokens for a host.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Number} The number of tokens.
+     */
+    RateLimiter.prototype.getTokens = function (host) {
+        return Math.floor(this.getBucket(host).tokens);
+    };
+    /**
+     * Resets the buckets.
+     */
+    RateLimiter.prototype.reset = function () {
+        this._buckets = {};
+    };
+    Object.defineProperty(RateLimiter.prototype, "tokensPerSecond", {
+        /**
+         * Gets the number of tokens that are added per second.
+         *
+         * @property
+         */
+        get: function () {
+            var tokens = this._config.tokensPerSecond;
+            if (TypeUtils.isNullOrUndefined(tokens)) {
+                tokens = 1;
+            }
+            return tokens;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Tries to take a token for a host.
+     *
+     * @param {String} host The host.
+     *
+     * @return {Number} 0 if a token has been taken, otherwise the time in milliseconds until the next token is available.
+     */
+    RateLimiter.prototype.tryAcquire = function (host) {
+        var bucket = this.getBucket(host);
+        if (bucket.tokens >= 1) {
+            --bucket.tokens;
+            return 0;
+        }
+        if (this.tokensPerSecond <= 0) {
+            return Number.POSITIVE_INFINITY;
+        }
+        return Math.ceil((1 - bucket.tokens) * 1000 / this.tokensPerSecond);
+    };
+    return RateLimiter;
+}());
+exports.RateLimiter = RateLimiter;
+/**
+ * List of modes for a 'RecordingTransport'.
+ */
+var RecordingMode;
+(function (RecordingMode) {
+    /**
+     * Replay matching fixtures and record unknown requests.
+     */
+    RecordingMode[RecordingMode["ReplayOrRecord"] = 0] = "ReplayOrRecord";
+    /**
+     * Always send requests and record them.
+     */
+    RecordingMode[RecordingMode["Record"] = 1] = "Record";
+    /**
+     * Only replay fixtures. Unknown requests fail.
+     */
+    RecordingMode[RecordingMode["Replay"] = 2] = "Replay";
+})(RecordingMode = exports.RecordingMode || (exports.RecordingMode = {}));
+/**
+ * A transport that records requests and their responses as fixtures
+ * and replays them later.
+ */
+var RecordingTransport = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IRecordingTransportConfig} config The configuration.
+     */
+    function RecordingTransport(config) {
+        this._used = [];
+        this._config = config;
+        this._fixtures = (config.fixtures || []).slice();
+    }
+    Object.defineProperty(RecordingTransport.prototype, "fixtures", {
+        /**
+         * Gets the list of current fixtures.
+         *
+         * @property
+         */
+        get: function () {
+            return this._fixtures.slice();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    RecordingTransport.prototype.findFixture = function (opts) {
+        var me = this;
+        var method = methodToString(opts.method);
+        var matching = this._fixtures.filter(function (f) {
+            if (methodToString(f.request.method) !== method ||
+                f.request.url !== opts.url) {
+                return false;
+            }
+            if (me._config.matchBody) {
+                return toFixtureBody(f.request.body) === toFixtureBody(opts.content);
+            }
+            return true;
+        });
+        if (matching.length < 1) {
+            return undefined;
+        }
+        // in recorded order, and reuse the last one
+        var fixture = matching.filter(function (f) { return me._used.indexOf(f) < 0; })[0];
+        if (TypeUtils.isNullOrUndefined(fixture)) {
+            fixture = matching[matching.length - 1];
+        }
+        else {
+            this._used.push(fixture);
+        }
+        return fixture;
+    };
+    Object.defineProperty(RecordingTransport.prototype, "format", {
+        /**
+         * Gets the format of the fixture file.
+         *
+         * @property
+         */
+        get: function () {
+            var format = this._config.format;
+            if (TypeUtils.isNullOrUndefined(format)) {
+                format = /\.ya?ml$/i.test(this._config.file || "") ? FixtureFormat.YAML : FixtureFormat.JSON;
+            }
+            return format;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Loads the fixture file (once).
+     *
+     * @return {Promise<ITransportFixture[]>} The promise with the fixtures.
+     */
+    RecordingTransport.prototype.load = function () {
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(this._loaded)) {
+            var file = this._config.file;
+            if (isEmptyString(file) || !FileSystem.File.exists(file)) {
+                this._loaded = Promise.resolve();
+            }
+            else {
+                this._loaded = FileSystem.File.fromPath(file).readText().then(function (str) {
+                    var fixtures;
+                    if (!isEmptyString(str)) {
+                        fixtures = FixtureFormat.YAML === me.format ? Yaml.safeLoad(str)
+                            : JSON.parse(str);
+                    }
+                    me._fixtures = (fixtures || []).concat(me._fixtures);
+                });
+            }
+        }
+        return this._loaded.then(function () { return me.fixtures; });
+    };
+    Object.defineProperty(RecordingTransport.prototype, "mode", {
+        /**
+         * Gets the mode.
+         *
+         * @property
+         */
+        get: function () {
+            var mode = this._config.mode;
+            if (TypeUtils.isNullOrUndefined(mode)) {
+                mode = RecordingMode.ReplayOrRecord;
+            }
+            return mode;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Saves the fixtures to the file.
+     *
+     * @return {Promise<any>} The promise.
+     */
+    RecordingTransport.prototype.save = function () {
+        if (isEmptyString(this._config.file)) {
+            return Promise.resolve();
+        }
+        return FileSystem.File.fromPath(this._config.file)
+            .writeText(this.toString());
+    };
+    /** @inheritdoc */
+    RecordingTransport.prototype.send = function (opts, progress) {
+        var me = this;
+        return this.load().then(function () {
+            if (RecordingMode.Record !== me.mode) {
+                var fixture = me.findFixture(opts);
+                if (!TypeUtils.isNullOrUndefined(fixture)) {
+                    return createHttpResponse(fixture.response.code, fixture.response.headers, fixture.response.body);
+                }
+                if (RecordingMode.Replay === me.mode) {
+                    throw "No fixture for '" + methodToString(opts.method) + " " + opts.url + "'!";
+                }
+            }
+            var transport = me._config.transport;
+            if (TypeUtils.isNullOrUndefined(transport)) {
+                transport = DefaultTransport;
+            }
+            return transport.send(opts, progress).then(function (response) {
+                var body = TypeUtils.isNullOrUndefined(response.content) ? null : response.content.toString();
+                var newFixture = {
+                    request: {
+                        body: toFixtureBody(opts.content),
+                        method: methodToString(opts.method),
+                        url: opts.url,
+                    },
+                    response: {
+                        body: body,
+                        code: response.statusCode,
+                        headers: getOwnProperties(response.headers) || {},
+                    },
+                };
+                me._fixtures.push(newFixture);
+                me._used.push(newFixture);
+                return me.save().then(function () {
+                    return createHttpResponse(newFixture.response.code, newFixture.response.headers, body);
+                });
+            });
+        });
+    };
+    /**
+     * Returns the fixtures as JSON or YAML string.
+     *
+     * @return {String} The fixtures as string.
+     */
+    RecordingTransport.prototype.toString = function () {
+        if (FixtureFormat.YAML === this.format) {
+            return Yaml.safeDump(this._fixtures, { skipInvalid: true });
+        }
+        return JSON.stringify(this._fixtures, null, 2);
+    };
+    return RecordingTransport;
+}());
+exports.RecordingTransport = RecordingTransport;
+var RequestAttempt = (function () {
+    function RequestAttempt(num) {
+        this._number = num;
+        this._startTime = new Date();
+    }
+    Object.defineProperty(RequestAttempt.prototype, "code", {
+        get: function () {
+            return this._code;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(RequestAttempt.prototype, "endTime", {
+        get: function () {
+            return this._endTime;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(RequestAttempt.prototype, "error", {
+        get: function () {
+            return this._error;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(RequestAttempt.prototype, "number", {
+        get: function () {
+            return this._number;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(RequestAttempt.prototype, "retryDelay", {
+        get: function () {
+            return this._retryDelay;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    RequestAttempt.prototype.setResult = function (code, err) {
+        this._code = code;
+        this._error = err;
+        this._endTime = new Date();
+    };
+    RequestAttempt.prototype.setRetryDelay = function (newValue) {
+        this._retryDelay = newValue;
+    };
+    Object.defineProperty(RequestAttempt.prototype, "startTime", {
+        get: function () {
+            return this._startTime;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return RequestAttempt;
+}());
+/**
+ * Shares the response of a request with all identical requests,
+ * which are sent while it is in flight.
+ */
+var RequestCoalescer = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {IRequestCoalescerConfig} [config] The custom configuration.
+     */
+    function RequestCoalescer(config) {
+        this._listeners = {};
+        this._requests = {};
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        this._config = config;
+    }
+    /**
+     * Creates the key of a request.
+     *
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     *
+     * @return {String} The key or (null) if the request cannot be shared.
+     */
+    RequestCoalescer.prototype.createKey = function (opts) {
+        var config = this._config;
+        var method = ("" + opts.method).toUpperCase().trim();
+        var methods = (config.methods || ["GET", "HEAD"]).map(function (m) { return m.toUpperCase().trim(); });
+        if (methods.indexOf(method) < 0) {
+            return null;
+        }
+        var content = opts.content;
+        if (!TypeUtils.isNullOrUndefined(content) && typeof content !== "string") {
+            return null; // cannot compare binary or form data
+        }
+        var key = method + " " + opts.url;
+        var headerNames = (config.headers || ["Accept", "Accept-Language", "Authorization", "Content-Type", "Cookie", "Range"]).map(function (h) { return h.toLowerCase().trim(); });
+        headerNames.sort().forEach(function (h) {
+            var value = getHeaderValue(opts.headers, h);
+            if (!TypeUtils.isNullOrUndefined(value)) {
+                key += "\n" + h + ": " + value;
+            }
+        });
+        if (!TypeUtils.isNullOrUndefined(content)) {
+            key += "\n\n" + content;
+        }
+        return key;
+    };
+    Object.defineProperty(RequestCoalescer.prototype, "inFlightCount", {
+        /**
+         * Gets the number of requests, which are currently in flight.
+         *
+         * @property
+         */
+        get: function () {
+            return Object.keys(this._requests).length;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Sends a request or returns the response of an identical request, which is in flight.
+     *
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {ITransport} transport The transport to use.
+     * @param {ITransportProgress} [progress] The optional object that receives the progress.
+     *
+     * @return {Promise<HTTP.HttpResponse>} The promise with the response.
+     */
+    RequestCoalescer.prototype.send = function (opts, transport, progress) {
+        var me = this;
+        var key = me.createKey(opts);
+        if (TypeUtils.isNullOrUndefined(key)) {
+            return transport.send(opts, progress);
+        }
+        var inFlight = me._requests[key];
+        if (!TypeUtils.isNullOrUndefined(inFlight)) {
+            if (!TypeUtils.isNullOrUndefined(progress)) {
+                me._listeners[key].push(progress);
+            }
+            return inFlight;
+        }
+        var listeners = [];
+        if (!TypeUtils.isNullOrUndefined(progress)) {
+            listeners.push(progress);
+        }
+        var removeRequest = function () {
+            if (me._requests[key] === inFlight) {
+                delete me._listeners[key];
+                delete me._requests[key];
+            }
+        };
+        // report to all requests that share the response
+        var sharedProgress = {
+            download: function (loaded, total) {
+                listeners.forEach(function (l) { return l.download(loaded, total); });
+            },
+            upload: function (loaded, total) {
+                listeners.forEach(function (l) { return l.upload(loaded, total); });
+            },
+        };
+        inFlight = Promise.resolve().then(function () {
+            return transport.send(opts, sharedProgress);
+        }).then(function (response) {
+            removeRequest();
+            return response;
+        }, function (err) {
+            removeRequest();
+            throw err;
+        });
+        me._listeners[key] = listeners;
+        me._requests[key] = inFlight;
+        return inFlight;
+    };
+    /**
+     * Wraps a transport, so its requests are coalesced.
+     *
+     * @param {ITransport} transport The transport to wrap.
+     *
+     * @return {ITransport} The wrapping transport.
+     */
+    RequestCoalescer.prototype.wrap = function (transport) {
+        var me = this;
+        return {
+            send: function (opts, progress) { return me.send(opts, transport, progress); },
+        };
+    };
+    return RequestCoalescer;
+}());
+exports.RequestCoalescer = RequestCoalescer;
+/**
+ * A table of named routes.
+ */
+var RouteTable = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {Object} [routes] The initial routes, like { 'users.show': '/users/{id:int}/posts/{slug?}' }.
+     *                          A value can be a template or an 'IRouteDefinition' object.
+     */
+    function RouteTable(routes) {
+        this._routes = {};
+        var allRoutes = getOwnProperties(routes);
+        for (var r in allRoutes) {
+            this.add(r, allRoutes[r]);
+        }
+    }
+    /**
+     * Adds a route.
+     *
+     * @chainable
+     *
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {String|IRouteDefinition} route The template or the definition of the route.
+     */
+    RouteTable.prototype.add = function (name, route) {
+        if (isEmptyString(name)) {
+            throw "No route name defined!";
+        }
+        if (this.has(name)) {
+            throw "Route '" + name + "' is ALREADY defined!";
+        }
+        var definition = typeof route === "string" ? { route: route } : route;
+        if (TypeUtils.isNullOrUndefined(definition) || TypeUtils.isNullOrUndefined(definition.route)) {
+            throw "No template defined for route '" + name + "'!";
+        }
+        this._routes[name] = {
+            method: methodToString(definition.method),
+            template: new RouteTemplate(definition.route),
+        };
+        return this;
+    };
+    /**
+     * Returns the HTTP method of a route.
+     *
+     * @param {String} name The name of the route.
+     *
+     * @return {String} The HTTP method.
+     */
+    RouteTable.prototype.getMethod = function (name) {
+        return this.getRoute(name).method;
+    };
+    RouteTable.prototype.getRoute = function (name) {
+        if (!this.has(name)) {
+            throw "Route '" + name + "' is NOT defined!";
+        }
+        return this._routes[name];
+    };
+    /**
+     * Returns the template of a route.
+     *
+     * @param {String} name The name of the route.
+     *
+     * @return {RouteTemplate} The template.
+     */
+    RouteTable.prototype.getTemplate = function (name) {
+        return this.getRoute(name).template;
+    };
+    /**
+     * Checks if a route exists.
+     *
+     * @param {String} name The name of the route.
+     *
+     * @return {Boolean} Route exists or not.
+     */
+    RouteTable.prototype.has = function (name) {
+        return this._routes.hasOwnProperty(name);
+    };
+    Object.defineProperty(RouteTable.prototype, "names", {
+        /**
+         * Gets the names of all routes.
+         *
+         * @property
+         */
+        get: function () {
+            return Object.keys(this._routes);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * Removes a route.
+     *
+     * @param {String} name The name of the route.
+     *
+     * @return {Boolean} Route has been removed or not.
+     */
+    RouteTable.prototype.remove = function (name) {
+        if (!this.has(name)) {
+            return false;
+        }
+        delete this._routes[name];
+        return true;
+    };
+    /**
+     * Returns the (encoded) path of a route.
+     *
+     * @param {String} name The name of the route.
+     * @param {any} [params] The parameters for the route.
+     *
+     * @return {String} The path.
+     */
+    RouteTable.prototype.resolve = function (name, params) {
+        return this.getTemplate(name)
+            .expand(params);
+    };
+    return RouteTable;
+}());
+exports.RouteTable = RouteTable;
+/**
+ * A route template with typed placeholders, like '/users/{id:int}/posts/{slug?}'.
+ *
+ * Supported constraints: 'alpha', 'bool', 'guid', 'int' and 'number'
+ *
+ * An optional parameter must be the last part of its segment, like '/files/{name}.{ext?}'.
+ * If it is missing, the text in front of it is omitted, too ('/files/readme'),
+ * and a segment is omitted, if it becomes empty.
+ */
+var RouteTemplate = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} template The template.
+     */
+    function RouteTemplate(template) {
+        this._parameters = [];
+        this._segments = [];
+        var me = this;
+        me._template = template;
+        template.split("/").forEach(function (segment) {
+            var parts = [];
+            var lastIndex = 0;
+            segment.replace(/{([^}]*)}/g, function (match, expr, offset) {
+                var exprMatch = /^\s*([^\s\:\?]+)\s*(\?)?\s*(\:\s*([^\s\?]+))?\s*(\?)?\s*$/.exec(expr);
+                if (null === exprMatch) {
+                    throw "Invalid route placeholder '" + match + "'!";
+                }
+                var param = {
+                    constraint: TypeUtils.isNullOrUndefined(exprMatch[4]) ? null : exprMatch[4].toLowerCase(),
+                    isOptional: "?" === exprMatch[2] || "?" === exprMatch[5],
+                    name: exprMatch[1],
+                };
+                if (null !== param.constraint &&
+                    !RouteConstraints.hasOwnProperty(param.constraint)) {
+                    throw "Unknown constraint '" + param.constraint + "' for route parameter '" + param.name + "'!";
+                }
+                if (me.hasParameter(param.name)) {
+                    throw "Route parameter '" + param.name + "' is ALREADY defined!";
+                }
+                if (offset > lastIndex) {
+                    parts.push(segment.substring(lastIndex, offset));
+                }
+                parts.push(param);
+                lastIndex = offset + match.length;
+                me._parameters.push(param);
+                return match;
+            });
+            if (lastIndex < segment.length) {
+                parts.push(segment.substring(lastIndex));
+            }
+            parts.forEach(function (part, i) {
+                if (typeof part !== "string" &&
+                    part.isOptional && i < parts.length - 1) {
+                    throw "Optional route parameter '" + part.name + "' must be the last part of segment '" + segment + "'!";
+                }
+            });
+            me._segments.push(parts);
+        });
+    }
+    /**
+     * Returns the (encoded) path for parameters.
+     * Parameter names are case insensitive.
+     *
+     * @param {any} [params] The parameters.
+     *
+     * @return {String} The path.
+     */
+    RouteTemplate.prototype.expand = function (params) {
+        var values = {};
+        {
+            var allParams = getOwnProperties(params);
+            for (var p in allParams) {
+                values[p.toLowerCase().trim()] = allParams[p];
+            }
+        }
+        var segments = [];
+        this._segments.forEach(function (parts) {
+            var segmentParts = [];
+            var hasOmittedParams = false;
+            parts.forEach(function (part, i) {
+                if (typeof part === "string") {
+                    segmentParts.push(encodeURI(part));
+                    return;
+                }
+                var funcDepth = -1;
+                var value = values[part.name.toLowerCase()];
+                while (typeof value === "function") {
+                    value = value(part.name, params, ++funcDepth);
+                }
+                if (TypeUtils.isNullOrUndefined(value) || "" === value) {
+                    if (part.isOptional) {
+                        hasOmittedParams = true;
+                        // the text in front belongs to the parameter
+                        if (i > 0 && typeof parts[i - 1] === "string") {
+                            segmentParts.pop();
+                        }
+                        return;
+                    }
+                    throw "Route parameter '" + part.name + "' is NOT defined!";
+                }
+                if (typeof value === "object") {
+                    value = JSON.stringify(getOwnProperties(value));
+                }
+                value = "" + value;
+                if (null !== part.constraint &&
+                    !RouteConstraints[part.constraint].test(value)) {
+                    throw "Route parameter '" + part.name + "' is NO valid '" + part.constraint + "' value!";
+                }
+                segmentParts.push(encodeURIComponent(value));
+            });
+            var segment = segmentParts.join("");
+            if (hasOmittedParams && "" === segment) {
+                return; // optional segment
+            }
+            segments.push(segment);
+        });
+        return segments.join("/");
+    };
+    /**
+     * Checks if a parameter exists. The name is case insensitive.
+     *
+     * @param {String} name The name of the parameter.
+     *
+     * @return {Boolean} Parameter exists or not.
+     */
+    RouteTemplate.prototype.hasParameter = function (name) {
+        name = ("" + name).toLowerCase().trim();
+        return this._parameters.some(function (p) { return p.name.toLowerCase() === name; });
+    };
+    Object.defineProperty(RouteTemplate.prototype, "parameters", {
+        /**
+         * Gets the list of parameters.
+         *
+         * @property
+         */
+        get: function () {
+            return this._parameters.map(function (p) {
+                return {
+                    constraint: p.constraint,
+                    isOptional: p.isOptional,
+                    name: p.name,
+                };
+            });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(RouteTemplate.prototype, "template", {
+        /**
+         * Gets the template.
+         *
+         * @property
+         */
+        get: function () {
+            return this._template;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return RouteTemplate;
+}());
+exports.RouteTemplate = RouteTemplate;
+/**
+ * A cache store that saves its entries in a SQLite database.
+ */
+var SQLiteCacheStore = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-cache.sqlite'
+     * @param {String} [table] The custom name of the table. Default: 'http_cache'
+     */
+    function SQLiteCacheStore(dbName, table) {
+        if (isEmptyString(dbName)) {
+            dbName = "apiclient-cache.sqlite";
+        }
+        if (isEmptyString(table)) {
+            table = "http_cache";
+        }
+        this._dbName = dbName;
+        this._table = table;
+    }
+    /** @inheritdoc */
+    SQLiteCacheStore.prototype.clear = function () {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.execSQL("DELETE FROM " + me._table);
+        });
+    };
+    Object.defineProperty(SQLiteCacheStore.prototype, "dbName", {
+        /**
+         * Gets the name of the database.
+         *
+         * @property
+         */
+        get: function () {
+            return this._dbName;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    SQLiteCacheStore.prototype.get = function (key) {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.get("SELECT value FROM " + me._table + " WHERE key = ?", [key]);
+        }).then(function (row) {
+            if (TypeUtils.isNullOrUndefined(row) || isEmptyString(row[0])) {
+                return null;
+            }
+            return JSON.parse(row[0]);
+        });
+    };
+    SQLiteCacheStore.prototype.open = function () {
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(this._db)) {
+            this._db = openSQLiteTable(this._dbName, this._table);
+            this._db.then(null, function () {
+                // try again next time
+                me._db = undefined;
+            });
+        }
+        return this._db;
+    };
+    /** @inheritdoc */
+    SQLiteCacheStore.prototype.remove = function (key) {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.execSQL("DELETE FROM " + me._table + " WHERE key = ?", [key]);
+        });
+    };
+    /** @inheritdoc */
+    SQLiteCacheStore.prototype.set = function (key, entry) {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.execSQL("INSERT OR REPLACE INTO " + me._table + " (key, value) VALUES (?, ?)", [key, JSON.stringify(entry)]);
+        });
+    };
+    Object.defineProperty(SQLiteCacheStore.prototype, "table", {
+        /**
+         * Gets the name of the table.
+         *
+         * @property
+         */
+        get: function () {
+            return this._table;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return SQLiteCacheStore;
+}());
+exports.SQLiteCacheStore = SQLiteCacheStore;
+/**
+ * A store for a cookie jar that saves its cookies in a SQLite database.
+ */
+var SQLiteCookieStore = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-cookies.sqlite'
+     * @param {String} [key] The custom key of the cookie jar. Default: 'default'
+     * @param {String} [table] The custom name of the table. Default: 'cookies'
+     */
+    function SQLiteCookieStore(dbName, key, table) {
+        if (isEmptyString(dbName)) {
+            dbName = "apiclient-cookies.sqlite";
+        }
+        if (isEmptyString(key)) {
+            key = "default";
+        }
+        if (isEmptyString(table)) {
+            table = "cookies";
+        }
+        this._dbName = dbName;
+        this._key = key;
+        this._table = table;
+    }
+    Object.defineProperty(SQLiteCookieStore.prototype, "dbName", {
+        /**
+         * Gets the name of the database.
+         *
+         * @property
+         */
+        get: function () {
+            return this._dbName;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SQLiteCookieStore.prototype, "key", {
+        /**
+         * Gets the key of the cookie jar.
+         *
+         * @property
+         */
+        get: function () {
+            return this._key;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    SQLiteCookieStore.prototype.load = function () {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.get("SELECT value FROM " + me._table + " WHERE key = ?", [me._key]);
+        }).then(function (row) {
+            if (TypeUtils.isNullOrUndefined(row) || isEmptyString(row[0])) {
+                return [];
+            }
+            return JSON.parse(row[0]);
+        });
+    };
+    SQLiteCookieStore.prototype.open = function () {
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(this._db)) {
+            this._db = openSQLiteTable(this._dbName, this._table);
+            this._db.then(null, function () {
+                // try again next time
+                me._db = undefined;
+            });
+        }
+        return this._db;
+    };
+    /** @inheritdoc */
+    SQLiteCookieStore.prototype.save = function (cookies) {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.execSQL("INSERT OR REPLACE INTO " + me._table + " (key, value) VALUES (?, ?)", [me._key, JSON.stringify(cookies)]);
+        });
+    };
+    Object.defineProperty(SQLiteCookieStore.prototype, "table", {
+        /**
+         * Gets the name of the table.
+         *
+         * @property
+         */
+        get: function () {
+            return this._table;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return SQLiteCookieStore;
+}());
+exports.SQLiteCookieStore = SQLiteCookieStore;
+/**
+ * A store for an offline queue that saves its items in a SQLite database.
+ */
+var SQLiteQueueStore = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-queue.sqlite'
+     * @param {String} [key] The custom key of the queue. Default: 'default'
+     * @param {String} [table] The custom name of the table. Default: 'offline_queue'
+     */
+    function SQLiteQueueStore(dbName, key, table) {
+        if (isEmptyString(dbName)) {
+            dbName = "apiclient-queue.sqlite";
+        }
+        if (isEmptyString(key)) {
+            key = "default";
+        }
+        if (isEmptyString(table)) {
+            table = "offline_queue";
+        }
+        this._dbName = dbName;
+        this._key = key;
+        this._table = table;
+    }
+    Object.defineProperty(SQLiteQueueStore.prototype, "dbName", {
+        /**
+         * Gets the name of the database.
+         *
+         * @property
+         */
+        get: function () {
+            return this._dbName;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SQLiteQueueStore.prototype, "key", {
+        /**
+         * Gets the key of the queue.
+         *
+         * @property
+         */
+        get: function () {
+            return this._key;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    SQLiteQueueStore.prototype.load = function () {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.get("SELECT value FROM " + me._table + " WHERE key = ?", [me._key]);
+        }).then(function (row) {
+            if (TypeUtils.isNullOrUndefined(row) || isEmptyString(row[0])) {
+                return [];
+            }
+            return JSON.parse(row[0]);
+        });
+    };
+    SQLiteQueueStore.prototype.open = function () {
+        var me = this;
+        if (TypeUtils.isNullOrUndefined(this._db)) {
+            this._db = openSQLiteTable(this._dbName, this._table);
+            this._db.then(null, function () {
+                // try again next time
+                me._db = undefined;
+            });
+        }
+        return this._db;
+    };
+    /** @inheritdoc */
+    SQLiteQueueStore.prototype.save = function (items) {
+        var me = this;
+        return this.open().then(function (db) {
+            return db.execSQL("INSERT OR REPLACE INTO " + me._table + " (key, value) VALUES (?, ?)", [me._key, JSON.stringify(items)]);
+        });
+    };
+    Object.defineProperty(SQLiteQueueStore.prototype, "table", {
+        /**
+         * Gets the name of the table.
+         *
+         * @property
+         */
+        get: function () {
+            return this._table;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    return SQLiteQueueStore;
+}());
+exports.SQLiteQueueStore = SQLiteQueueStore;
+/**
+ * An error that describes a content, which does not match a JSON schema.
+ */
+var SchemaValidationError = (function () {
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {ISchemaError[]} errors The list of violations.
+     * @param {any} content The validated content.
+     * @param {any} schema The schema.
+     */
+    function SchemaValidationError(errors, content, schema) {
+        this._errors = errors;
+        this._content = content;
+        this._schema = schema;
+    }
+    Object.defineProperty(SchemaValidationError.prototype, "content", {
+        /**
+         * Gets the validated content.
+         *
+         * @property
+         */
+        get: function () {
+            return this._content;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SchemaValidationError.prototype, "errors", {
+        /**
+         * Gets the list of violations.
+         *
+         * @property
+         */
+        get: function () {
+            return this._errors;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SchemaValidationError.prototype, "message", {
+        /**
+         * Gets the error messages with their paths.
+         *
+         * @property
+         */
+        get: function () {
+            return this.errors.map(function (e) { return "#" + e.path + ": " + e.message; })
+                .join("; ");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SchemaValidationError.prototype, "report", {
+        /**
+         * Gets the report with one violation per line, like
+         *
+         * #/items/0/name: must be of type 'string', but is 'number' (#/properties/items/items/properties/name/type)
+         *
+         * @property
+         */
+        get: function () {
+            return this.errors.map(function (e) { return "#" + e.path + ": " + e.message + " (" + e.schemaPath + ")"; })
+                .join("\n");
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SchemaValidationError.prototype, "schema", {
+        /**
+         * Gets the schema.
+         *
+         * @property
+         */
+        get: function () {
+            return this._schema;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /** @inheritdoc */
+    SchemaValidationError.prototype.toString = function () {
+        return this.report;
+    };
+    return SchemaValidationError;
+}());
+exports.SchemaValidationError = SchemaValidationError;
+/**
+ * Twitter OAuth authorizer.
+ */
+var TwitterOAuth = (function (_super) {
+    __extends(TwitterOAuth, _super);
+    /**
+     * Initializes a new instance of that class.
+     *
+     * @param {String} consumerKey The consumer key.
+     * @param {String} consumerSecret The consumer secret.
+     * @param {String} token The token.
+     * @param {String} tokenSecret The token secret.
+     */
+    function TwitterOAuth(consumerKey, consumerSecret, token, tokenSecret) {
+        return _super.call(this, consumerKey, consumerSecret, token, tokenSecret) || this;
+    }
+    return TwitterOAuth;
+}(OAuth1Authorizer));
+exports.TwitterOAuth = TwitterOAuth;
+// the toolbox imports this module,
+// so it is required on demand
+var AppSettingsStorage = {
+    getValue: function (key) {
+        return require("../index").getValue(key);
+    },
+    removeValue: function (key) {
+        require("../index").removeValue(key);
+    },
+    setValue: function (v, key) {
+        require("../index").setValue(v, key);
+    },
+};
+function bytesToBase64(data) {
+    if (data instanceof ArrayBuffer) {
+        data = new Uint8Array(data);
+    }
+    if (data instanceof Uint8Array || Array.isArray(data)) {
+        var binStr = "";
+        for (var i = 0; i < data.length; i++) {
+            binStr += String.fromCharCode(data[i] & 0xFF);
+        }
+        return encodeBase64(binStr);
+    }
+    // native data
+    if (!TypeUtils.isNullOrUndefined(Application.android)) {
+        // byte[]
+        return android.util.Base64.encodeToString(data, android.util.Base64.NO_WRAP);
+    }
+    // NSData
+    return data.base64EncodedStringWithOptions(0);
+}
+var BuildInDecoders = [
+    {
+        decoder: function (ctx) { return ctx.result.getJSON(); },
+        mime: /^(application\/json|[^\/]+\/[^\/]+\+json)$/,
+    },
+    {
+        decoder: function (ctx) { return ctx.result.getXml(); },
+        mime: /^(application\/xml|text\/xml|[^\/]+\/[^\/]+\+xml)$/,
+    },
+    {
+        decoder: function (ctx) { return ctx.result.getYaml(); },
+        mime: /^(application|text)\/(x-)?yaml$/,
+    },
+    {
+        decoder: function (ctx) { return ctx.result.getMarkdown(); },
+        mime: /^text\/(x-)?markdown$/,
+    },
+    {
+        decoder: function (ctx) { return ctx.result.getNdjson(); },
+        mime: /^application\/(x-)?ndjson$/,
+    },
+    {
+        decoder: function (ctx) { return ctx.result.getEvents(); },
+        mime: /^text\/event-stream$/,
+    },
+];
+var CredentialHeaders = ["authorization", "cookie", "proxy-authorization"];
+var DefaultMaxReplays = 10;
+var DefaultTransport = new HttpTransport();
+var GlobalDecoders = [];
+var HashAlgorithms = {
+    md5: { hash: MD5, hmac: HmacMD5 },
+    sha1: { hash: SHA1, hmac: HmacSHA1 },
+    sha256: { hash: SHA256, hmac: HmacSHA256 },
+    sha512: { hash: SHA512, hmac: HmacSHA512 },
+};
+var OfflineQueues = [];
+var RouteConstraints = {
+    "alpha": /^[a-z]+$/i,
+    "bool": /^(true|false)$/i,
+    "guid": /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    "int": /^-?[0-9]+$/,
+    "number": /^-?([0-9]+(\.[0-9]*)?|\.[0-9]+)([eE][-+]?[0-9]+)?$/,
+};
+var SchemaFormats = {
+    "date": /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    "date-time": /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[Tt ]([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)$/,
+    "email": /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    "hostname": /^(?=.{1,253}\.?$)[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\.?$/,
+    "ipv4": /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+    "ipv6": function (str) {
+        var halves = str.split("::");
+        if (halves.length > 2) {
+            return false;
+        }
+        var groups = [];
+        for (var i = 0; i < halves.length; i++) {
+            if ("" !== halves[i]) {
+                groups = groups.concat(halves[i].split(":"));
+            }
+        }
+        var groupCount = groups.length;
+        if (groupCount > 0 && groups[groupCount - 1].indexOf(".") > -1) {
+            // embedded IPv4 address
+            if (!SchemaFormats["ipv4"].test(groups.pop())) {
+                return false;
+            }
+            ++groupCount;
+        }
+        if (!groups.every(function (g) { return /^[0-9A-Fa-f]{1,4}$/.test(g); })) {
+            return false;
+        }
+        return 2 === halves.length ? groupCount < 8 : 8 === groupCount;
+    },
+    "json-pointer": /^(\/([^~\/]|~[01])*)*$/,
+    "regex": function (str) {
+        try {
+            new RegExp(str);
+            return true;
+        }
+        catch (e) {
+            return false;
+        }
+    },
+    "time": /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)?$/,
+    "uri": /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/,
+    "uuid": /^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$/,
+};
+function appendToFile(path, data) {
+    if (typeof data === "string") {
+        // content of mocked or recorded responses
+        var file = FileSystem.File.fromPath(path);
+        file.writeTextSync((FileSystem.File.exists(path) ? file.readTextSync() : "") + data);
+        return;
+    }
+    if (!TypeUtils.isNullOrUndefined(Application.android)) {
+        var stream = new java.io.FileOutputStream(path, true);
+        try {
+            if (data instanceof java.io.ByteArrayOutputStream) {
+                data.writeTo(stream);
+            }
+            else {
+                // byte[]
+                stream.write(data);
+            }
+        }
+        finally {
+            stream.close();
+        }
+        return;
+    }
+    // NSData
+    var fileManager = NSFileManager.defaultManager;
+    if (!fileManager.fileExistsAtPath(path)) {
+        fileManager.createFileAtPathContentsAttributes(path, null, null);
+    }
+    var handle = NSFileHandle.fileHandleForWritingAtPath(path);
+    try {
+        handle.seekToEndOfFile();
+        handle.writeData(data);
+    }
+    finally {
+        handle.closeFile();
+    }
+}
+function copyCookie(cookie) {
+    var copy = {};
+    for (var p in cookie) {
+        copy[p] = cookie[p];
+    }
+    return copy;
+}
+function createCookieTransport(transport, jar) {
+    return {
+        send: function (opts, progress) {
+            return jar.loaded.then(function () {
+                var sendOpts = opts;
+                var cookieHeader = jar.getCookieHeader(opts.url);
+                if (!TypeUtils.isNullOrUndefined(cookieHeader)) {
+                    // work on copies, so the options of the caller
+                    // only contain its own cookies, e.g. for retries and replays
+                    sendOpts = getOwnProperties(opts);
+                    sendOpts.headers = getOwnProperties(opts.headers) || {};
+                    var existingHeader;
+                    for (var h in sendOpts.headers) {
+                        if ("cookie" === h.toLowerCase().trim()) {
+                            existingHeader = sendOpts.headers[h];
+                            delete sendOpts.headers[h];
+                        }
+                    }
+                    if (!isEmptyString(existingHeader)) {
+                        cookieHeader = existingHeader + "; " + cookieHeader;
+                    }
+                    sendOpts.headers["Cookie"] = cookieHeader;
+                }
+                return transport.send(sendOpts, progress);
+            }).then(function (response) {
+                jar.setCookies(response.headers, opts.url);
+                return response;
+            });
+        },
+    };
+}
+function createGuardedTransport(transport, breaker, limiter) {
+    return {
+        send: function (opts, progress) {
+            var host = getHost(opts.url);
+            var checkCircuit = function () {
+                if (!TypeUtils.isNullOrUndefined(breaker) &&
+                    !breaker.allowRequest(host)) {
+                    throw new LocalRejection("Circuit for host '" + host + "' is open.");
+                }
+            };
+            return Promise.resolve().then(function () {
+                if (TypeUtils.isNullOrUndefined(limiter)) {
+                    return;
+                }
+                // do not wait for a token, if circuit is open
+                if (!TypeUtils.isNullOrUndefined(breaker) &&
+                    CircuitState.Open === breaker.getState(host) &&
+                    breaker.getRetryAfter(host) > 0) {
+                    return;
+                }
+                return limiter.acquire(host).then(null, function (err) {
+                    throw new LocalRejection(err);
+                });
+            }).then(function () {
+                checkCircuit();
+                return transport.send(opts, progress).then(function (response) {
+                    if (!TypeUtils.isNullOrUndefined(breaker)) {
+                        if (breaker.isFailure(response.statusCode)) {
+                            breaker.onFailure(host);
+                        }
+                        else {
+                            breaker.onSuccess(host);
+                        }
+                    }
+                    return response;
+                }, function (err) {
+                    if (!TypeUtils.isNullOrUndefined(breaker)) {
+                        if (breaker.isFailure(undefined, err)) {
+                            breaker.onFailure(host);
+                        }
+                        else {
+                            breaker.onSuccess(host);
+                        }
+                    }
+                    throw err;
+                });
+            });
+        },
+    };
+}
+function createHttpResponse(code, headers, body) {
+    return {
+        content: {
+            raw: body,
+            toFile: function (destFile) {
+                if (isEmptyString(destFile)) {
+                    destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path, "apiclient-" + Date.now());
+                }
+                var file = FileSystem.File.fromPath(destFile);
+                file.writeTextSync(body);
+                return file;
+            },
+            toImage: function () { return Promise.reject("Content cannot be converted to an image!"); },
+            toJSON: function () { return isEmptyString(body) ? null : JSON.parse(body); },
+            toString: function () { return body; },
+        },
+        headers: getOwnProperties(headers) || {},
+        statusCode: code,
+    };
+}
+function createJsonRpcError(result, response) {
+    return new ApiClientError(result.client, result.request, new JsonRpcError(response.error, response.id), ApiClientErrorContext.InvalidResult, result.tag);
+}
+function createJsonRpcRequest(method, params, id) {
+    var req = {
+        jsonrpc: "2.0",
+        method: method,
+    };
+    if (!TypeUtils.isNullOrUndefined(params)) {
+        req.params = params;
+    }
+    // no ID => notification
+    if (!TypeUtils.isNullOrUndefined(id)) {
+        req.id = id;
+    }
+    return req;
+}
+function createMultipartBody(content, boundary) {
+    var CRLF = "\r\n";
+    var escapeValue = function (val) {
+        return ("" + val).replace(/"/g, "%22")
+            .replace(/\r/g, "%0D")
+            .replace(/\n/g, "%0A");
+    };
+    var body = "";
+    var appendPart = function (name, part) {
+        if (undefined === part) {
+            return;
+        }
+        var p;
+        if (!TypeUtils.isNullOrUndefined(part) && typeof part === "object" &&
+            !(part instanceof FileSystem.File) && !isBitmap(part) && !isByteArray(part) &&
+            part.hasOwnProperty("content")) {
+            p = part;
+        }
+        else {
+            p = {
+                content: part,
+            };
+        }
+        var partContent = p.content;
+        var fileName = p.fileName;
+        var contentType = p.contentType;
+        var isBinary = (partContent instanceof FileSystem.File) || isBitmap(partContent) || isByteArray(partContent);
+        if (isBinary && true !== p.base64) {
+            // the HTTP client can only send strings
+            throw "Binary part '" + name + "' cannot be sent as raw data. Set 'base64' to send it base64 encoded.";
+        }
+        var data;
+        if (partContent instanceof FileSystem.File) {
+            var file = partContent;
+            var readError;
+            var nativeData = file.readSync(function (e) { return readError = e; });
+            if (!TypeUtils.isNullOrUndefined(readError)) {
+                throw readError;
+            }
+            data = bytesToBase64(nativeData);
+            if (TypeUtils.isNullOrUndefined(fileName)) {
+                fileName = file.name;
+            }
+            if (TypeUtils.isNullOrUndefined(contentType)) {
+                contentType = getMimeType(file.extension);
+            }
+        }
+        else if (isBitmap(partContent)) {
+            var bmpData = partContent.toObject();
+            data = bmpData.base64;
+            if (TypeUtils.isNullOrUndefined(contentType)) {
+                contentType = bmpData.mime;
+            }
+            if (TypeUtils.isNullOrUndefined(fileName)) {
+                fileName = name + ("image/jpeg" === bmpData.mime ? ".jpg" : ".png");
+            }
+        }
+        else if (isByteArray(partContent)) {
+            data = bytesToBase64(partContent);
+        }
+        else {
+            if (TypeUtils.isNullOrUndefined(partContent)) {
+                data = "";
+            }
+            else if (typeof partContent === "object") {
+                data = JSON.stringify(partContent);
+                if (TypeUtils.isNullOrUndefined(contentType)) {
+                    contentType = "application/json; charset=utf-8";
+                }
+            }
+            else {
+                data = "" + partContent;
+            }
+        }
+        if (isBinary && TypeUtils.isNullOrUndefined(contentType)) {
+            contentType = "application/octet-stream";
+        }
+        body += "--" + boundary + CRLF;
+        body += 'Content-Disposition: form-data; name="' + escapeValue(name) + '"';
+        if (!TypeUtils.isNullOrUndefined(fileName)) {
+            body += '; filename="' + escapeValue(fileName) + '"';
+        }
+        body += CRLF;
+        if (!TypeUtils.isNullOrUndefined(contentType)) {
+            body += "Content-Type: " + contentType + CRLF;
+        }
+        if (isBinary) {
+            // explicitly requested by the part
+            body += "Content-Transfer-Encoding: base64" + CRLF;
+        }
+        var partHeaders = getOwnProperties(p.headers);
+        for (var h in partHeaders) {
+            body += h + ": " + partHeaders[h] + CRLF;
+        }
+        body += CRLF + data + CRLF;
+    };
+    for (var name in content) {
+        if (!content.hasOwnProperty(name)) {
+            continue;
+        }
+        var value = content[name];
+        if (Array.isArray(value)) {
+            // multiple parts with same name
+            for (var i = 0; i < value.length; i++) {
+                appendPart(name, value[i]);
+            }
+        }
+        else {
+            appendPart(name, value);
+        }
+    }
+    return body + "--" + boundary + "--" + CRLF;
+}
+function createProgressEvent(loaded, total) {
+    if (TypeUtils.isNullOrUndefined(total) || total < 0) {
+        total = -1;
+    }
+    return {
+        loaded: loaded,
+        percentage: total > 0 ? Math.min(100, loaded * 100 / total)
+            : (0 === total ? 100 : -1),
+        total: total,
+    };
+}
+function createProgressTransport(transport, uploadProgress, downloadProgress) {
+    return {
+        send: function (opts, progress) {
+            var hasContent = !TypeUtils.isNullOrUndefined(opts.content);
+            var uploadTotal = getContentLength(opts.content);
+            var lastDownload = -1;
+            var lastUpload = -1;
+            // report each number of bytes only once
+            var onDownload = function (loaded, total) {
+                if (!TypeUtils.isNullOrUndefined(progress)) {
+                    progress.download(loaded, total);
+                }
+                if (!TypeUtils.isNullOrUndefined(downloadProgress) && loaded > lastDownload) {
+                    lastDownload = loaded;
+                    downloadProgress(createProgressEvent(loaded, total));
+                }
+            };
+            var onUpload = function (loaded, total) {
+                if (!TypeUtils.isNullOrUndefined(progress)) {
+                    progress.upload(loaded, total);
+                }
+                if (!TypeUtils.isNullOrUndefined(uploadProgress) && hasContent && loaded > lastUpload) {
+                    lastUpload = loaded;
+                    uploadProgress(createProgressEvent(loaded, total));
+                }
+            };
+            onUpload(0, uploadTotal);
+            return transport.send(opts, {
+                download: onDownload,
+                upload: onUpload,
+            }).then(function (response) {
+                // the request has been sent completely
+                if (uploadTotal > -1) {
+                    onUpload(uploadTotal, uploadTotal);
+                }
+                var downloadTotal = getResponseSize(response);
+                if (downloadTotal > -1) {
+                    onDownload(downloadTotal, downloadTotal);
+                }
+                return response;
+            });
+        },
+    };
+}
+function createRandomHex(length) {
+    var hex = "";
+    for (var i = 0; i < length; i++) {
+        hex += Math.floor(Math.random() * 16).toString(16);
+    }
+    return hex;
+}
+function createRejectedRequest(client, reqOpts, err, ctx, tag) {
+    var httpReq = new HttpRequest(client, reqOpts);
+    var errCtx = new ApiClientError(client, httpReq, err, ctx, tag);
+    // invoke the actions asynchronously,
+    // like for requests that have been sent
+    var promise = Promise.resolve().then(function () {
+        try {
+            invokeErrorActions(client, errCtx, []);
+            if (errCtx.handled) {
+                // s. ApiClient.request()
+                promise.catch(function () { });
+            }
+        }
+        catch (e) {
+            client.crit("[FATAL ERROR]: " + e, "HttpRequest::" + reqOpts.url);
+        }
+        throw errCtx;
+    });
+    promise.cancel = function () { };
+    return promise;
+}
+function createValueStorageCookieStore(storage, key) {
+    return {
+        load: function () { return storage.getValue(key) || []; },
+        save: function (cookies) {
+            if (cookies.length > 0) {
+                storage.setValue(cookies, key);
+            }
+            else {
+                storage.removeValue(key);
+            }
+        },
+    };
+}
+function createValueStorageQueueStore(storage, key) {
+    return {
+        load: function () { return storage.getValue(key) || []; },
+        save: function (items) {
+            if (items.length > 0) {
+                storage.setValue(items, key);
+            }
+            else {
+                storage.removeValue(key);
+            }
+        },
+    };
+}
+function encodeBase64(str) {
+    if (TypeUtils.isNullOrUndefined(str) || "" === str) {
+        return str;
+    }
+    var padChar = '=';
+    var alpha = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    var getByte = function (s, i) {
+        var cc = s.charCodeAt(i);
+        if (cc > 255) {
+            throw "INVALID_CHARACTER_ERR: DOM Exception 5";
+        }
+        return cc;
+    };
+    var b10, i;
+    var b64Chars = [];
+    var iMax = str.length - str.length % 3;
+    for (i = 0; i < iMax; i += 3) {
+        b10 = (getByte(str, i) << 16) |
+            (getByte(str, i + 1) << 8) |
+            getByte(str, i + 2);
+        b64Chars.push(alpha.charAt(b10 >> 18));
+        b64Chars.push(alpha.charAt((b10 >> 12) & 0x3F));
+        b64Chars.push(alpha.charAt((b10 >> 6) & 0x3f));
+        b64Chars.push(alpha.charAt(b10 & 0x3f));
+    }
+    switch (str.length - iMax) {
+        case 1:
+            b10 = getByte(str, i) << 16;
+            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
+                padChar + padChar);
+            break;
+        case 2:
+            b10 = (getByte(str, i) << 16) | (getByte(str, i + 1) << 8);
+            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
+                alpha.charAt((b10 >> 6) & 0x3F) + padChar);
+            break;
+    }
+    return b64Chars.join('');
+}
+function encodeFormComponent(val) {
+    // application/x-www-form-urlencoded
+    return encodeRfc3986(val).replace(/%20/g, "+");
+}
+function encodeRfc3986(val) {
+    return encodeURIComponent('' + val).replace(/[!'()*]/g, function (c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+function getCacheExpiration(headers, now, defaultMaxAge) {
+    var cacheControl = parseCacheControl(getHeaderValue(headers, "Cache-Control"));
+    if (cacheControl["no-cache"]) {
+        // always revalidate
+        return now;
+    }
+    var age = parseInt(getHeaderValue(headers, "Age"));
+    if (isNaN(age)) {
+        age = 0;
+    }
+    var maxAge = parseInt(cacheControl["max-age"]);
+    if (!isNaN(maxAge)) {
+        return now + (maxAge - age) * 1000;
+    }
+    var expires = getHeaderValue(headers, "Expires");
+    if (!TypeUtils.isNullOrUndefined(expires)) {
+        var expiresAt = Date.parse(expires);
+        if (isNaN(expiresAt)) {
+            // invalid means "already expired"
+            return now;
+        }
+        // relative to server time
+        var serverTime = Date.parse(getHeaderValue(headers, "Date"));
+        if (isNaN(serverTime)) {
+            serverTime = now;
+        }
+        return now + (expiresAt - serverTime);
+    }
+    return now + (defaultMaxAge || 0) * 1000;
+}
+function getCacheVariant(responseHeaders, requestHeaders) {
+    // credentials are part of each variant
+    var names = ["authorization"];
+    var vary = getHeaderValue(responseHeaders, "Vary");
+    if (!isEmptyString(vary)) {
+        ("" + vary).split(",").forEach(function (n) {
+            n = n.toLowerCase().trim();
+            if ("" !== n && names.indexOf(n) < 0) {
+                names.push(n);
+            }
+        });
+    }
+    var variant = names.sort().map(function (n) {
+        var value = getHeaderValue(requestHeaders, n);
+        return n + ": " + (TypeUtils.isNullOrUndefined(value) ? "" : ("" + value).trim());
+    }).join("\n");
+    // do not store credentials in plain text
+    return SHA256(variant).toString(Hex);
+}
+function getContentLength(content) {
+    if (TypeUtils.isNullOrUndefined(content)) {
+        return 0;
+    }
+    if (typeof content === "string") {
+        return getUtf8Length(content);
+    }
+    if (content instanceof ArrayBuffer) {
+        return content.byteLength;
+    }
+    // arrays, byte[] and NSData
+    if (typeof content.length === "number") {
+        return content.length;
+    }
+    return -1;
+}
+function getFileSize(path) {
+    if (!FileSystem.File.exists(path)) {
+        return 0;
+    }
+    if (!TypeUtils.isNullOrUndefined(Application.android)) {
+        return new java.io.File(path).length();
+    }
+    var attributes = NSFileManager.defaultManager.attributesOfItemAtPathError(path);
+    return TypeUtils.isNullOrUndefined(attributes) ? 0 : attributes.objectForKey(NSFileSize);
+}
+function getGraphQLFragmentSpreads(document) {
+    var names = [];
+    var regex = /\.\.\.\s*([_A-Za-z][_0-9A-Za-z]*)/g;
+    var match;
+    while (match = regex.exec(document)) {
+        // inline fragment
+        if ("on" === match[1]) {
+            continue;
+        }
+        if (names.indexOf(match[1]) < 0) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+function getHeaderValue(headers, name) {
+    if (TypeUtils.isNullOrUndefined(headers)) {
+        return undefined;
+    }
+    name = name.toLowerCase().trim();
+    for (var h in headers) {
+        if (h.toLowerCase().trim() === name) {
+            return headers[h];
+        }
+    }
+    return undefined;
+}
+function getHost(url) {
+    var match = /^[a-z][a-z0-9+.\-]*:\/\/([^\/?#]*)/i.exec(url || "");
+    if (TypeUtils.isNullOrUndefined(match)) {
+        return "";
+    }
+    return normalizeHost(match[1]);
+}
+function getJsonType(val) {
+    if (null === val) {
+        return "null";
+    }
+    if (Array.isArray(val)) {
+        return "array";
+    }
+    return typeof val;
+}
+function getMimeType(extension) {
+    if (isEmptyString(extension)) {
+        return undefined;
+    }
+    switch (extension.toLowerCase().trim().replace(/^\./, "")) {
+        case "gif":
+            return "image/gif";
+        case "jpg":
+        case "jpeg":
+            return "image/jpeg";
+        case "json":
+            return "application/json";
+        case "pdf":
+            return "application/pdf";
+        case "png":
+            return "image/png";
+        case "txt":
+            return "text/plain";
+        case "xml":
+            return "text/xml";
+        case "zip":
+            return "application/zip";
+    }
+    return undefined;
+}
+function getOwnProperties(obj) {
+    if (TypeUtils.isNullOrUndefined(obj)) {
+        return undefined;
+    }
+    var properties = {};
+    for (var p in obj) {
+        if (obj.hasOwnProperty(p)) {
+            properties[p] = obj[p];
+        }
+    }
+    return properties;
+}
+function getPropertyValue(obj, path) {
+    var names = ("" + path).split(".");
+    for (var i = 0; i < names.length; i++) {
+        if (TypeUtils.isNullOrUndefined(obj)) {
+            return undefined;
+        }
+        obj = obj[names[i].trim()];
+    }
+    return obj;
+}
+function getResponseSize(response) {
+    var contentLength = parseInt(getHeaderValue(response.headers, "Content-Length"));
+    if (!isNaN(contentLength)) {
+        return contentLength;
+    }
+    var raw = TypeUtils.isNullOrUndefined(response.content) ? null : response.content.raw;
+    if (!TypeUtils.isNullOrUndefined(Application.android) &&
+        raw instanceof java.io.ByteArrayOutputStream) {
+        return raw.size();
+    }
+    return getContentLength(raw);
+}
+function getRetryDelay(policy, method, attempt, retryAfter) {
+    if (TypeUtils.isNullOrUndefined(policy)) {
+        return false;
+    }
+    var maxAttempts = policy.maxAttempts;
+    if (TypeUtils.isNullOrUndefined(maxAttempts)) {
+        maxAttempts = 3;
+    }
+    if (attempt >= maxAttempts) {
+        return false;
+    }
+    var methods = policy.methods;
+    if (TypeUtils.isNullOrUndefined(methods)) {
+        methods = ["DELETE", "GET", "HEAD", "OPTIONS", "PUT", "TRACE"];
+    }
+    var isRetryableMethod = false;
+    for (var i = 0; i < methods.length; i++) {
+        if (methodToString(methods[i]) === method) {
+            isRetryableMethod = true;
+            break;
+        }
+    }
+    if (!isRetryableMethod) {
+        return false;
+    }
+    var delay;
+    if (!TypeUtils.isNullOrUndefined(retryAfter) && false !== policy.respectRetryAfter) {
+        if (!TypeUtils.isNullOrUndefined(policy.maxDelay) && retryAfter > policy.maxDelay) {
+            // server wants us to wait too long
+            return false;
+        }
+        return retryAfter;
+    }
+    if (!TypeUtils.isNullOrUndefined(policy.backoff)) {
+        delay = policy.backoff(attempt);
+    }
+    else {
+        delay = policy.delay;
+        if (TypeUtils.isNullOrUndefined(delay)) {
+            delay = 1000;
+        }
+        var factor = policy.factor;
+        if (TypeUtils.isNullOrUndefined(factor)) {
+            factor = 2;
+        }
+        delay = delay * Math.pow(factor, attempt - 1);
+        if (policy.jitter > 0) {
+            delay += delay * Math.min(policy.jitter, 1) * (Math.random() * 2 - 1);
+        }
+    }
+    if (!TypeUtils.isNullOrUndefined(policy.maxDelay)) {
+        delay = Math.min(delay, policy.maxDelay);
+    }
+    return Math.max(0, Math.floor(delay));
+}
+function getStatusText(code) {
+    var name = HttpStatusCode[code];
+    if (isEmptyString(name)) {
+        return "";
+    }
+    // 'NotFound' => 'Not Found'
+    return name.replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+function getUtf8Length(str) {
+    var length = 0;
+    for (var i = 0; i < str.length; i++) {
+        var c = str.charCodeAt(i);
+        if (c < 0x80) {
+            length += 1;
+        }
+        else if (c < 0x800) {
+            length += 2;
+        }
+        else if (c >= 0xD800 && c <= 0xDBFF) {
+            // surrogate pair
+            length += 4;
+            ++i;
+        }
+        else {
+            length += 3;
+        }
+    }
+    return length;
+}
+function invokeCompleteAction(client, request, result, err, tag, attempts) {
+    if (!TypeUtils.isNullOrUndefined(result)) {
+        result.setContext(ApiClientResultContext.Complete);
+    }
+    if (!TypeUtils.isNullOrUndefined(client.completeAction)) {
+        client.completeAction(new ApiClientCompleteContext(client, request, result, err, tag, attempts));
+    }
+}
+function invokeErrorActions(client, err, attempts) {
+    if (!TypeUtils.isNullOrUndefined(client.errorAction)) {
+        err.handled = true;
+        client.errorAction(err);
+    }
+    if (err.handled) {
+        invokeCompleteAction(client, err.request, undefined, err, err.tag, attempts);
+    }
+}
+function invokeInterceptors(interceptors, ctx) {
+    var i = 0;
+    var next = function () {
+        if (ctx.isStopped || i >= interceptors.length) {
+            return;
+        }
+        var interceptor = interceptors[i++];
+        if (TypeUtils.isNullOrUndefined(interceptor)) {
+            return next();
+        }
+        return Promise.resolve(interceptor(ctx))
+            .then(next);
+    };
+    return Promise.resolve()
+        .then(next);
+}
+function invokeLogActions(client, msg) {
+    for (var i = 0; i < client.logActions.length; i++) {
+        try {
+            var la = client.logActions[i];
+            la(msg);
+        }
+        catch (e) {
+            console.log("[ERROR] invokeLogActions(" + i + "): " + e);
+        }
+    }
+}
+function invokeResultActions(client, result) {
+    // collect "conditional" actions that should be
+    // invoked instead of "success" action
+    var ifActions = [];
+    for (var i = 0; i < client.ifEntries.length; i++) {
+        var ie = client.ifEntries[i];
+        if (!TypeUtils.isNullOrUndefined(ie.action)) {
+            var statusPredicate = ie.predicate;
+            if (TypeUtils.isNullOrUndefined(statusPredicate)) {
+                statusPredicate = function () { return true; };
+            }
+            if (statusPredicate(result)) {
+                ifActions.push(ie.action);
+            }
+        }
+    }
+    // process "conditional" actions
+    for (var i = 0; i < ifActions.length; i++) {
+        var ia = ifActions[i];
+        ia(result);
+    }
+    if (ifActions.length < 1 &&
+        !TypeUtils.isNullOrUndefined(client.successAction)) {
+        client.successAction(result);
+    }
+}
+function isBitmap(val) {
+    return !TypeUtils.isNullOrUndefined(val) &&
+        typeof val.toObject === "function" &&
+        typeof val.toBase64 === "function";
+}
+function isByteArray(val) {
+    return val instanceof ArrayBuffer ||
+        val instanceof Uint8Array ||
+        (Array.isArray(val) && val.length > 0 && val.every(function (b) { return typeof b === "number"; }));
+}
+function isConnected() {
+    try {
+        return Connectivity.connectionType.none !== Connectivity.getConnectionType();
+    }
+    catch (e) {
+        // unknown
+        return true;
+    }
+}
+function isDeepEqual(x, y) {
+    if (x === y) {
+        return true;
+    }
+    var type = getJsonType(x);
+    if (type !== getJsonType(y)) {
+        return false;
+    }
+    if ("array" === type) {
+        return x.length === y.length &&
+            x.every(function (item, i) { return isDeepEqual(item, y[i]); });
+    }
+    if ("object" === type) {
+        var keys = Object.keys(x);
+        return keys.length === Object.keys(y).length &&
+            keys.every(function (k) { return y.hasOwnProperty(k) && isDeepEqual(x[k], y[k]); });
+    }
+    return false;
+}
+function isDomainMatching(host, domain) {
+    if (host === domain) {
+        return true;
+    }
+    // no IP addresses
+    return !/^[0-9.]+$/.test(host) &&
+        host.length > domain.length &&
+        ("." + domain) === host.substr(host.length - domain.length - 1);
+}
+function isEmptyString(str) {
+    if (TypeUtils.isNullOrUndefined(str)) {
+        return true;
+    }
+    return "" === str.trim();
+}
+function isMimeMatching(pattern, mime) {
+    if (TypeUtils.isNullOrUndefined(pattern)) {
+        return false;
+    }
+    if (isEmptyString(mime)) {
+        mime = "";
+    }
+    if (pattern instanceof RegExp) {
+        return pattern.test(mime);
+    }
+    // wildcards, like 'text/*'
+    var regex = new RegExp("^" + ("" + pattern).toLowerCase().trim()
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "[^\/]*") + "$");
+    return regex.test(mime);
+}
+function isMockRouteMatching(method, url, req) {
+    if ("*" !== method && methodToString(method) !== req.method) {
+        return false;
+    }
+    if (url instanceof RegExp) {
+        return url.test(req.url);
+    }
+    // full URL, path with query or path only
+    var path = req.url.replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]*/i, "");
+    var candidates = [req.url, path, path.split("?")[0]];
+    var regex = new RegExp("^" + ("" + url).replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*") + "$");
+    return candidates.some(function (c) { return regex.test(c); });
+}
+function isPathMatching(requestPath, cookiePath) {
+    if (isEmptyString(requestPath)) {
+        requestPath = "/";
+    }
+    if (requestPath === cookiePath) {
+        return true;
+    }
+    if (0 !== requestPath.indexOf(cookiePath)) {
+        return false;
+    }
+    return "/" === cookiePath.substr(-1) ||
+        "/" === requestPath[cookiePath.length];
+}
+function isPersistedQueryNotFound(errors) {
+    for (var i = 0; i < errors.length; i++) {
+        var e = errors[i];
+        if (TypeUtils.isNullOrUndefined(e)) {
+            continue;
+        }
+        if ("PersistedQueryNotFound" === e.message ||
+            (!TypeUtils.isNullOrUndefined(e.extensions) && "PERSISTED_QUERY_NOT_FOUND" === e.extensions.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+function isRetryableStatus(policy, code) {
+    if (TypeUtils.isNullOrUndefined(policy)) {
+        return false;
+    }
+    var statusCodes = policy.statusCodes;
+    if (TypeUtils.isNullOrUndefined(statusCodes)) {
+        statusCodes = [408, 429, 500, 502, 503, 504];
+    }
+    return statusCodes.indexOf(code) > -1;
+}
+function isSameCookie(x, y) {
+    return x.name === y.name &&
+        x.domain === y.domain &&
+        x.path === y.path;
+}
+function isTextMimeType(mime) {
+    return /^(text\/[^\/]+|application\/((x-)?(javascript|ndjson|www-form-urlencoded|yaml)|graphql|json|xml)|[^\/]+\/[^\/]+\+(json|xml))$/.test(mime);
+}
+function isThenable(val) {
+    return !TypeUtils.isNullOrUndefined(val) &&
+        typeof val.then === "function";
+}
+function mergeRetryPolicies(clientPolicy, requestPolicy) {
+    if (TypeUtils.isNullOrUndefined(requestPolicy)) {
+        return clientPolicy;
+    }
+    if (TypeUtils.isNullOrUndefined(clientPolicy)) {
+        return requestPolicy;
+    }
+    var policy = getOwnProperties(clientPolicy);
+    for (var p in requestPolicy) {
+        if (requestPolicy.hasOwnProperty(p)) {
+            policy[p] = requestPolicy[p];
+        }
+    }
+    return policy;
+}
+function methodToString(method) {
+    if (TypeUtils.isNullOrUndefined(method)) {
+        return "GET";
+    }
+    if (typeof method !== "string") {
+        method = HttpMethod[method];
+    }
+    return method.toUpperCase().trim();
+}
+function normalizeCookieDomain(domain) {
+    domain = ("" + domain).toLowerCase().trim();
+    if ("." === domain[0]) {
+        domain = domain.substr(1);
+    }
+    return domain;
+}
+function normalizeHost(host) {
+    if (isEmptyString(host)) {
+        return "";
+    }
+    // without credentials
+    host = ("" + host).toLowerCase().trim();
+    return host.substr(host.lastIndexOf("@") + 1);
+}
+function openSQLiteTable(dbName, table) {
+    return new Sqlite(dbName).then(function (db) {
+        return db.execSQL("CREATE TABLE IF NOT EXISTS " + table + " (key TEXT PRIMARY KEY, value TEXT)")
+            .then(function () { return db; });
+    });
+}
+function parseCacheControl(value) {
+    var directives = {};
+    if (isEmptyString(value)) {
+        return directives;
+    }
+    var parts = ("" + value).split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var p = parts[i];
+        var name = p;
+        var val = true;
+        var sep = p.indexOf("=");
+        if (sep > -1) {
+            name = p.substr(0, sep);
+            val = p.substr(sep + 1).trim()
+                .replace(/^"(.*)"$/, "$1");
+        }
+        name = name.toLowerCase().trim();
+        if ("" !== name) {
+            directives[name] = val;
+        }
+    }
+    return directives;
+}
+function parseContentRange(value) {
+    if (isEmptyString(value)) {
+        return null;
+    }
+    // bytes 0-499/1234
+    // bytes 0-499/*
+    // bytes */1234
+    var match = /^bytes\s+(\*|(\d+)-(\d+))\/(\*|\d+)$/i.exec(("" + value).trim());
+    if (null === match) {
+        return null;
+    }
+    return {
+        end: TypeUtils.isUndefined(match[3]) ? undefined : parseInt(match[3]),
+        start: TypeUtils.isUndefined(match[2]) ? undefined : parseInt(match[2]),
+        total: "*" === match[4] ? -1 : parseInt(match[4]),
+    };
+}
+function parseContentType(value) {
+    var result = {
+        mime: "",
+        parameters: {},
+    };
+    if (isEmptyString(value)) {
+        return result;
+    }
+    var parts = ("" + value).split(";");
+    result.mime = parts[0].toLowerCase().trim();
+    for (var i = 1; i < parts.length; i++) {
+        var p = parts[i];
+        var sep = p.indexOf("=");
+        if (sep > -1) {
+            result.parameters[p.substr(0, sep).toLowerCase().trim()] = p.substr(sep + 1).trim()
+                .replace(/^"(.*)"$/, "$1");
+        }
+    }
+    return result;
+}
+function parseDigestChallenge(value) {
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return undefined;
+    }
+    // can contain more than one challenge
+    var match = /(^|[\s,])Digest\s+(.*)$/i.exec("" + value);
+    if (TypeUtils.isNullOrUndefined(match)) {
+        return undefined;
+    }
+    var challenge = {};
+    var regex = /([a-z0-9_\-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))\s*(,|$)/ig;
+    var param;
+    while (param = regex.exec(match[2])) {
+        challenge[param[1].toLowerCase()] = TypeUtils.isNullOrUndefined(param[2]) ? param[3]
+            : param[2].replace(/\\(.)/g, "$1");
+        if ("" === param[4]) {
+            break;
+        }
+    }
+    if (isEmptyString(challenge.nonce)) {
+        return undefined;
+    }
+    return challenge;
+}
+function parseLinkHeader(value) {
+    var links = {};
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return links;
+    }
+    // <url>; rel="next", <url>; rel="last"
+    var regex = /<([^>]*)>([^,<]*)/g;
+    var match;
+    while (match = regex.exec("" + value)) {
+        var rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+        if (TypeUtils.isNullOrUndefined(rel)) {
+            continue;
+        }
+        // a link can have more than one relation
+        var relations = rel[1].toLowerCase().trim().split(/\s+/);
+        for (var i = 0; i < relations.length; i++) {
+            links[relations[i]] = match[1].trim();
+        }
+    }
+    return links;
+}
+function parseRetryAfter(value) {
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return undefined;
+    }
+    value = ("" + value).trim();
+    if ("" === value) {
+        return undefined;
+    }
+    if (/^\d+$/.test(value)) {
+        // seconds
+        return parseInt(value) * 1000;
+    }
+    // HTTP date
+    var time = Date.parse(value);
+    if (isNaN(time)) {
+        return undefined;
+    }
+    return Math.max(0, time - new Date().getTime());
+}
+function parseUrl(url) {
+    var match = /^([a-z][a-z0-9+.\-]*):\/\/([^\/?#]*)([^?#]*)(\?[^#]*)?/i.exec(("" + url).trim());
+    if (TypeUtils.isNullOrUndefined(match)) {
+        throw "Invalid URL '" + url + "'!";
+    }
+    var scheme = match[1].toLowerCase();
+    var host = normalizeHost(match[2]);
+    // remove default ports
+    if (("http" === scheme && /:80$/.test(host)) ||
+        ("https" === scheme && /:443$/.test(host))) {
+        host = host.substring(0, host.lastIndexOf(":"));
+    }
+    return {
+        host: host,
+        path: match[3] || "/",
+        query: match[4] || "",
+        scheme: scheme,
+    };
+}
+function parseUrlEncoded(str) {
+    var pairs = [];
+    if (isEmptyString(str)) {
+        return pairs;
+    }
+    if ('?' === str[0]) {
+        str = str.substring(1);
+    }
+    var decode = function (s) {
+        return decodeURIComponent(s.replace(/\+/g, ' '));
+    };
+    var parts = str.split('&');
+    for (var i = 0; i < parts.length; i++) {
+        var p = parts[i];
+        if ('' === p) {
+            continue;
+        }
+        var eqIndex = p.indexOf('=');
+        if (eqIndex > -1) {
+            pairs.push([decode(p.substring(0, eqIndex)), decode(p.substring(eqIndex + 1))]);
+        }
+        else {
+            pairs.push([decode(p), '']);
+        }
+    }
+    return pairs;
+}
+function redactJsonProperties(val, isRedacted, redactedValue) {
+    if (Array.isArray(val)) {
+        return val.map(function (v) { return redactJsonProperties(v, isRedacted, redactedValue); });
+    }
+    if (TypeUtils.isNullOrUndefined(val) || typeof val !== "object") {
+        return val;
+    }
+    var result = {};
+    for (var p in val) {
+        result[p] = isRedacted(p) ? redactedValue : redactJsonProperties(val[p], isRedacted, redactedValue);
+    }
+    return result;
+}
+function refreshCacheEntry(cache, url, entry, notModified) {
+    // update headers with the ones of the '304' response
+    var headers = getOwnProperties(entry.headers) || {};
+    for (var h in getOwnProperties(notModified.headers)) {
+        for (var eh in headers) {
+            if (eh.toLowerCase().trim() === h.toLowerCase().trim()) {
+                delete headers[eh];
+            }
+        }
+        headers[h] = notModified.headers[h];
+    }
+    var now = Date.now();
+    var newEntry = {
+        body: entry.body,
+        code: entry.code,
+        expiresAt: getCacheExpiration(headers, now, cache.defaultMaxAge),
+        headers: headers,
+        storedAt: now,
+        url: url,
+        variant: entry.variant,
+    };
+    return Promise.resolve(cache.store.set(url, newEntry)).then(function () { return newEntry; }, function () { return newEntry; });
+}
+function resolveSchemaRef(rootSchema, ref) {
+    if ("#" !== ref.substr(0, 1)) {
+        return undefined; // only local references are supported
+    }
+    var segments = ref.substr(1)
+        .split("/")
+        .slice(1)
+        .map(function (s) { return decodeURIComponent(s).replace(/~1/g, "/")
+        .replace(/~0/g, "~"); });
+    var schema = rootSchema;
+    for (var i = 0; i < segments.length; i++) {
+        if (TypeUtils.isNullOrUndefined(schema) || typeof schema !== "object") {
+            return undefined;
+        }
+        schema = schema[segments[i]];
+    }
+    return schema;
+}
+function resolveUrl(baseUrl, url) {
+    if (/^[a-z][a-z0-9+.\-]*:/i.test(url)) {
+        // absolute
+        return url;
+    }
+    var base = /^([a-z][a-z0-9+.\-]*:)(\/\/[^\/?#]*)?([^?#]*)/i.exec(baseUrl || "");
+    if (TypeUtils.isNullOrUndefined(base)) {
+        return url;
+    }
+    if ("//" === url.substr(0, 2)) {
+        return base[1] + url;
+    }
+    var origin = base[1] + (base[2] || "");
+    if ("/" === url.substr(0, 1)) {
+        return origin + url;
+    }
+    var path = base[3] || "/";
+    if ("?" === url.substr(0, 1)) {
+        return origin + path + url;
+    }
+    return origin + path.substr(0, path.lastIndexOf("/") + 1) + url;
+}
+function serializeParam(name, value, arrayFormat, objectFormat, pairs) {
+    if (undefined === value) {
+        return;
+    }
+    if (null === value) {
+        pairs.push([name, ""]);
+        return;
+    }
+    if (value instanceof Date) {
+        pairs.push([name, value.toISOString()]);
+        return;
+    }
+    if (Array.isArray(value)) {
+        if (ParamArrayFormat.Comma === arrayFormat) {
+            pairs.push([name, value.map(function (v) { return TypeUtils.isNullOrUndefined(v) ? "" : ("" + v); })
+                    .join(",")]);
+            return;
+        }
+        for (var i = 0; i < value.length; i++) {
+            var itemName = name;
+            switch (arrayFormat) {
+                case ParamArrayFormat.Brackets:
+                    itemName += "[]";
+                    break;
+                case ParamArrayFormat.Indices:
+                    itemName += "[" + i + "]";
+                    break;
             }
-            fieldList += f + '=' + '"' + encodeURIComponent(v) + '"';
-            ++i;
+            serializeParam(itemName, value[i], arrayFormat, objectFormat, pairs);
         }
-        reqOpts.headers["Authorization"] = 'OAuth ' + fieldList;
-    };
-    /**
-     * Sets a field.
-     *
-     * @chainable
-     *
-     * @param {String} name The name of the field.
-     * @param {String} value The value of the field.
-     */
-    OAuth.prototype.setField = function (name, value) {
-        this._fields[name] = value;
-        return this;
-    };
-    /**
-     * Sets a list of fields.
-     *
-     * @chainable
-     *
-     * @param any ...fields One or more object with fields an their values.
-     */
-    OAuth.prototype.setMany = function () {
-        var fields = [];
-        for (var _i = 0; _i < arguments.length; _i++) {
-            fields[_i] = arguments[_i];
+        return;
+    }
+    if (typeof value === "object") {
+        if (ParamObjectFormat.JSON === objectFormat) {
+            pairs.push([name, JSON.stringify(value)]);
+            return;
         }
-        for (var i = 0; i < fields.length; i++) {
-            var fieldObj = getOwnProperties(fields[i]);
-            if (TypeUtils.isNullOrUndefined(fieldObj)) {
+        for (var p in value) {
+            if (!value.hasOwnProperty(p)) {
                 continue;
             }
-            for (var f in fieldObj) {
-                this.setField(f, fieldObj[f]);
+            serializeParam(ParamObjectFormat.Dots === objectFormat ? (name + "." + p) : (name + "[" + p + "]"), value[p], arrayFormat, objectFormat, pairs);
+        }
+        return;
+    }
+    pairs.push([name, "" + value]);
+}
+function splitGraphQLFragments(document) {
+    var fragments = [];
+    var regex = /fragment\s+([_A-Za-z][_0-9A-Za-z]*)\s+on\s+[_A-Za-z][_0-9A-Za-z]*[^{]*{/g;
+    var match;
+    while (match = regex.exec(document)) {
+        // find closing brace
+        var depth = 1;
+        var end = regex.lastIndex;
+        while (end < document.length && depth > 0) {
+            var c = document[end++];
+            if ("{" === c) {
+                ++depth;
+            }
+            else if ("}" === c) {
+                --depth;
             }
         }
-        return this;
+        fragments.push({
+            definition: document.substring(match.index, end),
+            name: match[1],
+        });
+        regex.lastIndex = end;
+    }
+    return fragments;
+}
+function splitSetCookieHeader(value) {
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return [];
+    }
+    // headers can be combined with commas,
+    // but 'Expires' contains one, too
+    return ("" + value).split(/,(?=\s*[^;,=\s]+=)/)
+        .map(function (c) { return c.trim(); })
+        .filter(function (c) { return "" !== c; });
+}
+function toFixtureBody(content) {
+    if (TypeUtils.isNullOrUndefined(content)) {
+        return undefined;
+    }
+    return "" + content;
+}
+function toGraphQLRequest(query, variables, req, isMutation) {
+    var result = {};
+    var props = getOwnProperties(req);
+    for (var p in props) {
+        result[p] = props[p];
+    }
+    result.isMutation = isMutation;
+    result.query = query;
+    if (!TypeUtils.isNullOrUndefined(variables)) {
+        result.variables = variables;
+    }
+    return result;
+}
+function toGraphQLResult(result) {
+    var body;
+    try {
+        body = result.getJSON();
+    }
+    catch (e) {
+        body = undefined;
+    }
+    if (TypeUtils.isNullOrUndefined(body) || typeof body !== "object") {
+        body = {};
+    }
+    return {
+        data: body.data,
+        errors: body.errors,
+        extensions: body.extensions,
+        result: result,
     };
-    return OAuth;
-}());
-exports.OAuth = OAuth;
-/**
- * Twitter OAuth authorizer.
- */
-var TwitterOAuth = (function (_super) {
-    __extends(TwitterOAuth, _super);
-    /**
-     * Initializes a new instance of that class.
-     *
-     * @param {String} consumerKey The consumer key.
-     * @param {String} consumerSecret The consumer secret.
-     * @param {String} token The token.
-     * @param {String} tokenSecret The token secret.
-     */
-    function TwitterOAuth(consumerKey, consumerSecret, token, tokenSecret) {
-        var _this = _super.call(this) || this;
-        /**
-         * Gets or sets the value for "oauth_signature_method".
-         */
-        _this.signatureMethod = 'HMAC-SHA1';
-        /**
-         * Gets or sets the value for "oauth_version".
-         */
-        _this.version = '1.0';
-        _this._consumerKey = consumerKey;
-        _this._consumerSecret = consumerSecret;
-        _this._token = token;
-        _this._tokenSecret = tokenSecret;
-        // initial value for 'nonce' property
-        var NONCE_CHARS = '0123456789abcdef';
-        _this.nonce = '';
-        for (var i = 0; i < 32; i++) {
-            _this.nonce += NONCE_CHARS[Math.floor(Math.random() * NONCE_CHARS.length) % NONCE_CHARS.length];
+}
+function toJsonSafe(val) {
+    if (TypeUtils.isNullOrUndefined(val)) {
+        return val;
+    }
+    try {
+        var copy = JSON.parse(JSON.stringify(val));
+        // no functions, dates, etc., which would be lost or changed
+        if (isDeepEqual(copy, val)) {
+            return copy;
         }
-        return _this;
     }
-    /** @inheritdoc */
-    TwitterOAuth.prototype.prepare = function (reqOpts) {
-        var timestamp = this.timestamp;
-        if (TypeUtils.isNullOrUndefined(timestamp)) {
-            timestamp = new Date();
+    catch (e) {
+        // circular references, etc.
+    }
+    return undefined;
+}
+function toQueueOptions(opts) {
+    // do not store credentials
+    var headers = getOwnProperties(opts.headers);
+    for (var h in headers) {
+        if (CredentialHeaders.indexOf(h.toLowerCase().trim()) > -1) {
+            delete headers[h];
         }
-        if (!isEmptyString(this._consumerKey)) {
-            this.setField('oauth_consumer_key', this._consumerKey);
+    }
+    // only what can be serialized
+    return {
+        cacheMode: opts.cacheMode,
+        coalesce: opts.coalesce,
+        content: opts.content,
+        encoding: opts.encoding,
+        headers: headers,
+        idempotencyKey: opts.idempotencyKey,
+        invokeActions: opts.invokeActions,
+        maxReplays: opts.maxReplays,
+        params: opts.params,
+        routeParams: opts.routeParams,
+        schema: toJsonSafe(opts.schema),
+        tag: toJsonSafe(opts.tag),
+        timeout: opts.timeout,
+        type: opts.type,
+        url: opts.url,
+    };
+}
+function toWordArray(data) {
+    if (TypeUtils.isNullOrUndefined(data)) {
+        data = "";
+    }
+    if (typeof data === "string") {
+        return Utf8.parse(data);
+    }
+    if (isByteArray(data)) {
+        return Base64.parse(bytesToBase64(data));
+    }
+    // cannot be hashed, like form data
+}
+function validateSchemaValue(value, schema, path, schemaPath, rootSchema, errors, depth) {
+    var toPath = function (key) { return path + "/" + ("" + key).replace(/~/g, "~0")
+        .replace(/\//g, "~1"); };
+    var addError = function (keyword, message, key) {
+        var hasKey = arguments.length > 2;
+        errors.push({
+            keyword: keyword,
+            message: message,
+            path: hasKey ? toPath(key) : path,
+            schemaPath: schemaPath + "/" + keyword,
+            value: hasKey ? value[key] : value,
+        });
+    };
+    var isValid = function (v, s, sp) {
+        var tempErrors = [];
+        validateSchemaValue(v, s, path, sp, rootSchema, tempErrors, depth + 1);
+        return tempErrors.length < 1;
+    };
+    if (TypeUtils.isNullOrUndefined(schema) || true === schema) {
+        return;
+    }
+    if (false === schema) {
+        errors.push({
+            keyword: "false",
+            message: "is not allowed",
+            path: path,
+            schemaPath: schemaPath,
+            value: value,
+        });
+        return;
+    }
+    if (depth > 64) {
+        addError("$ref", "exceeds the maximum depth of the schema (circular reference?)");
+        return;
+    }
+    if (typeof schema.$ref === "string") {
+        var refSchema = resolveSchemaRef(rootSchema, schema.$ref);
+        if (undefined === refSchema) {
+            addError("$ref", "reference '" + schema.$ref + "' could not be resolved");
+            return;
         }
-        if (!TypeUtils.isNullOrUndefined(this.nonce)) {
-            this.setField('oauth_nonce', this.nonce);
+        // other keywords are ignored
+        validateSchemaValue(value, refSchema, path, schema.$ref, rootSchema, errors, depth + 1);
+        return;
+    }
+    var type = getJsonType(value);
+    // type
+    if (!TypeUtils.isNullOrUndefined(schema.type)) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        var isTypeMatching = types.some(function (t) {
+            if ("integer" === t) {
+                return "number" === type && isFinite(value) && Math.floor(value) === value;
+            }
+            return t === type;
+        });
+        if (!isTypeMatching) {
+            // other keywords would only produce follow-up errors
+            addError("type", "must be of type '" + types.join("' or '") + "', but is '" + type + "'");
+            return;
         }
-        if (!TypeUtils.isNullOrUndefined(this.signature)) {
-            this.setField('oauth_signature', this.signature);
+    }
+    // enum
+    if (Array.isArray(schema.enum)) {
+        if (!schema.enum.some(function (e) { return isDeepEqual(e, value); })) {
+            addError("enum", "must be one of " + schema.enum.map(function (e) { return JSON.stringify(e); })
+                .join(", "));
         }
-        if (!isEmptyString(this.signatureMethod)) {
-            this.setField('oauth_signature_method', this.signatureMethod);
+    }
+    // const
+    if (schema.hasOwnProperty("const")) {
+        if (!isDeepEqual(schema.const, value)) {
+            addError("const", "must be equal to " + JSON.stringify(schema.const));
         }
-        this.setField('oauth_timestamp', Math.floor(timestamp.getTime() / 1000.0));
-        if (!isEmptyString(this._token)) {
-            this.setField('oauth_token', this._token);
+    }
+    if ("number" === type) {
+        if (typeof schema.multipleOf === "number") {
+            var quotient = value / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                addError("multipleOf", "must be a multiple of " + schema.multipleOf);
+            }
         }
-        if (!isEmptyString(this.version)) {
-            this.setField('oauth_version', this.version);
+        if (typeof schema.maximum === "number" && value > schema.maximum) {
+            addError("maximum", "must be <= " + schema.maximum);
         }
-        _super.prototype.prepare.call(this, reqOpts);
-    };
-    return TwitterOAuth;
-}(OAuth));
-exports.TwitterOAuth = TwitterOAuth;
-function encodeBase64(str) {
-    if (isEmptyString(str)) {
-        return str;
-    }
-    var padChar = '=';
-    var alpha = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    var getByte = function (s, i) {
-        var cc = s.charCodeAt(i);
-        if (cc > 255) {
-            throw "INVALID_CHARACTER_ERR: DOM Exception 5";
+        if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+            addError("exclusiveMaximum", "must be < " + schema.exclusiveMaximum);
+        }
+        if (typeof schema.minimum === "number" && value < schema.minimum) {
+            addError("minimum", "must be >= " + schema.minimum);
+        }
+        if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+            addError("exclusiveMinimum", "must be > " + schema.exclusiveMinimum);
         }
-        return cc;
-    };
-    var b10, i;
-    var b64Chars = [];
-    var iMax = str.length - str.length % 3;
-    for (i = 0; i < iMax; i += 3) {
-        b10 = (getByte(str, i) << 16) |
-            (getByte(str, i + 1) << 8) |
-            getByte(str, i + 2);
-        b64Chars.push(alpha.charAt(b10 >> 18));
-        b64Chars.push(alpha.charAt((b10 >> 12) & 0x3F));
-        b64Chars.push(alpha.charAt((b10 >> 6) & 0x3f));
-        b64Chars.push(alpha.charAt(b10 & 0x3f));
-    }
-    switch (str.length - iMax) {
-        case 1:
-            b10 = getByte(str, i) << 16;
-            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
-                padChar + padChar);
-            break;
-        case 2:
-            b10 = (getByte(str, i) << 16) | (getByte(str, i + 1) << 8);
-            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
-                alpha.charAt((b10 >> 6) & 0x3F) + padChar);
-            break;
     }
-    return b64Chars.join('');
-}
-function getOwnProperties(obj) {
-    if (TypeUtils.isNullOrUndefined(obj)) {
-        return undefined;
+    if ("string" === type) {
+        // count surrogate pairs as one character
+        var length = value.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, "_").length;
+        if (typeof schema.maxLength === "number" && length > schema.maxLength) {
+            addError("maxLength", "must not have more than " + schema.maxLength + " characters");
+        }
+        if (typeof schema.minLength === "number" && length < schema.minLength) {
+            addError("minLength", "must have at least " + schema.minLength + " characters");
+        }
+        if (typeof schema.pattern === "string" && !new RegExp(schema.pattern).test(value)) {
+            addError("pattern", "must match pattern '" + schema.pattern + "'");
+        }
+        var format = SchemaFormats[schema.format];
+        if (!TypeUtils.isNullOrUndefined(format)) {
+            var isFormatMatching = format instanceof RegExp ? format.test(value)
+                : format(value);
+            if (!isFormatMatching) {
+                addError("format", "must be a valid '" + schema.format + "'");
+            }
+        }
     }
-    var properties = {};
-    for (var p in obj) {
-        if (obj.hasOwnProperty(p)) {
-            properties[p] = obj[p];
+    if ("array" === type) {
+        if (Array.isArray(schema.items)) {
+            for (var i = 0; i < value.length; i++) {
+                if (i < schema.items.length) {
+                    validateSchemaValue(value[i], schema.items[i], toPath(i), schemaPath + "/items/" + i, rootSchema, errors, depth + 1);
+                }
+                else if (!TypeUtils.isUndefined(schema.additionalItems)) {
+                    validateSchemaValue(value[i], schema.additionalItems, toPath(i), schemaPath + "/additionalItems", rootSchema, errors, depth + 1);
+                }
+            }
+        }
+        else if (!TypeUtils.isUndefined(schema.items)) {
+            for (var i = 0; i < value.length; i++) {
+                validateSchemaValue(value[i], schema.items, toPath(i), schemaPath + "/items", rootSchema, errors, depth + 1);
+            }
+        }
+        if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+            addError("maxItems", "must not have more than " + schema.maxItems + " items");
+        }
+        if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+            addError("minItems", "must have at least " + schema.minItems + " items");
+        }
+        if (true === schema.uniqueItems) {
+            for (var i = 1; i < value.length; i++) {
+                for (var j = 0; j < i; j++) {
+                    if (isDeepEqual(value[i], value[j])) {
+                        addError("uniqueItems", "is a duplicate of item " + j, i);
+                        break;
+                    }
+                }
+            }
+        }
+        if (!TypeUtils.isUndefined(schema.contains)) {
+            var containsSchemaPath = schemaPath + "/contains";
+            if (!value.some(function (item) { return isValid(item, schema.contains, containsSchemaPath); })) {
+                addError("contains", "must contain at least one item that matches 'contains'");
+            }
         }
     }
-    return properties;
-}
-function invokeLogActions(client, msg) {
-    for (var i = 0; i < client.logActions.length; i++) {
-        try {
-            var la = client.logActions[i];
-            la(msg);
+    if ("object" === type) {
+        var keys = Object.keys(value);
+        if (typeof schema.maxProperties === "number" && keys.length > schema.maxProperties) {
+            addError("maxProperties", "must not have more than " + schema.maxProperties + " properties");
         }
-        catch (e) {
-            console.log("[ERROR] invokeLogActions(" + i + "): " + e);
+        if (typeof schema.minProperties === "number" && keys.length < schema.minProperties) {
+            addError("minProperties", "must have at least " + schema.minProperties + " properties");
+        }
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach(function (r) {
+                if (!value.hasOwnProperty(r)) {
+                    addError("required", "is required", r);
+                }
+            });
+        }
+        var properties = schema.properties || {};
+        var patternProperties = schema.patternProperties || {};
+        keys.forEach(function (k) {
+            var isDefined = false;
+            if (properties.hasOwnProperty(k)) {
+                isDefined = true;
+                validateSchemaValue(value[k], properties[k], toPath(k), schemaPath + "/properties/" + k, rootSchema, errors, depth + 1);
+            }
+            for (var pattern in patternProperties) {
+                if (new RegExp(pattern).test(k)) {
+                    isDefined = true;
+                    validateSchemaValue(value[k], patternProperties[pattern], toPath(k), schemaPath + "/patternProperties/" + pattern, rootSchema, errors, depth + 1);
+                }
+            }
+            if (!isDefined && !TypeUtils.isUndefined(schema.additionalProperties)) {
+                if (false === schema.additionalProperties) {
+                    addError("additionalProperties", "is not allowed", k);
+                }
+                else {
+                    validateSchemaValue(value[k], schema.additionalProperties, toPath(k), schemaPath + "/additionalProperties", rootSchema, errors, depth + 1);
+                }
+            }
+            if (!TypeUtils.isUndefined(schema.propertyNames)) {
+                if (!isValid(k, schema.propertyNames, schemaPath + "/propertyNames")) {
+                    addError("propertyNames", "has an invalid property name", k);
+                }
+            }
+        });
+        var dependencies = schema.dependencies || {};
+        for (var d in dependencies) {
+            if (!value.hasOwnProperty(d)) {
+                continue;
+            }
+            var dependency = dependencies[d];
+            if (Array.isArray(dependency)) {
+                dependency.forEach(function (dp) {
+                    if (!value.hasOwnProperty(dp)) {
+                        addError("dependencies", "is required by '" + d + "'", dp);
+                    }
+                });
+            }
+            else {
+                validateSchemaValue(value, dependency, path, schemaPath + "/dependencies/" + d, rootSchema, errors, depth + 1);
+            }
         }
     }
-}
-function isEmptyString(str) {
-    if (TypeUtils.isNullOrUndefined(str)) {
-        return true;
+    // allOf
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(function (s, i) {
+            validateSchemaValue(value, s, path, schemaPath + "/allOf/" + i, rootSchema, errors, depth + 1);
+        });
     }
-    return "" === str.trim();
-}
-function methodToString(method) {
-    if (TypeUtils.isNullOrUndefined(method)) {
-        return "GET";
+    // anyOf
+    if (Array.isArray(schema.anyOf)) {
+        if (!schema.anyOf.some(function (s, i) { return isValid(value, s, schemaPath + "/anyOf/" + i); })) {
+            addError("anyOf", "must match at least one schema of 'anyOf'");
+        }
     }
-    if (typeof method !== "string") {
-        method = HttpMethod[method];
+    // oneOf
+    if (Array.isArray(schema.oneOf)) {
+        var matchCount = schema.oneOf.filter(function (s, i) { return isValid(value, s, schemaPath + "/oneOf/" + i); })
+            .length;
+        if (1 !== matchCount) {
+            addError("oneOf", "must match exactly one schema of 'oneOf', but matches " + matchCount);
+        }
+    }
+    // not
+    if (!TypeUtils.isUndefined(schema.not)) {
+        if (isValid(value, schema.not, schemaPath + "/not")) {
+            addError("not", "must NOT match the schema of 'not'");
+        }
+    }
+    // if / then / else
+    if (!TypeUtils.isUndefined(schema.if)) {
+        if (isValid(value, schema.if, schemaPath + "/if")) {
+            if (!TypeUtils.isUndefined(schema.then)) {
+                validateSchemaValue(value, schema.then, path, schemaPath + "/then", rootSchema, errors, depth + 1);
+            }
+        }
+        else if (!TypeUtils.isUndefined(schema.else)) {
+            validateSchemaValue(value, schema.else, path, schemaPath + "/else", rootSchema, errors, depth + 1);
+        }
     }
-    return method.toUpperCase().trim();
 }
 /**
  * Creates a new client.
@@ -1438,4 +9884,51 @@ function newClient(config) {
     return new ApiClient(cfg);
 }
 exports.newClient = newClient;
+/**
+ * Notifies all offline queues about a new connectivity type.
+ * If the device is online again, the queues send their requests.
+ *
+ * @param {Number} newType The new connectivity type.
+ */
+function notifyConnectivityChanged(newType) {
+    if (Connectivity.connectionType.none === newType) {
+        return;
+    }
+    var queues = OfflineQueues.slice();
+    for (var i = 0; i < queues.length; i++) {
+        queues[i].replay();
+    }
+}
+exports.notifyConnectivityChanged = notifyConnectivityChanged;
+/**
+ * Registers a global decoder that is used by 'IApiClientResult.getContent()'
+ * for a specific content type.
+ *
+ * @param {String|RegExp} mime The MIME type, like 'text/csv' or 'text/*'.
+ * @param {Function} decoder The function that decodes the response.
+ */
+function registerDecoder(mime, decoder) {
+    if (!TypeUtils.isNullOrUndefined(decoder)) {
+        GlobalDecoders.push({
+            decoder: decoder,
+            mime: mime,
+        });
+    }
+}
+exports.registerDecoder = registerDecoder;
+/**
+ * Validates a (JSON) value against a JSON schema (draft-07).
+ * Only local references ('$ref'), like '#/definitions/item', are supported.
+ *
+ * @param {any} value The value to validate.
+ * @param {any} schema The schema.
+ *
+ * @return {ISchemaError[]} The list of violations, which is empty if the value is valid.
+ */
+function validateSchema(value, schema) {
+    var errors = [];
+    validateSchemaValue(value, schema, "", "#", schema, errors, 0);
+    return errors;
+}
+exports.validateSchema = validateSchema;
 //# sourceMappingURL=index.js.map
\ No newline at end of file
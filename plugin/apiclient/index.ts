@@ -21,11 +21,31 @@
 // DEALINGS IN THE SOFTWARE.
 
 import Application = require("application");
+import BitmapFactory = require("../bitmap-factory");
+import Connectivity = require("connectivity");
+import Enumerable = require("../enumerable");
 import FileSystem = require("file-system"); 
 import HTTP = require("http");
 import Image = require("image-source");
+import Observable = require("data/observable");
 import TypeUtils = require("utils/types");
 import Xml = require("xml");
+import XmlObjects = require("../xmlobjects");
+
+var Base64 = require("../crypto-js/enc-base64");
+var Hex = require("../crypto-js/enc-hex");
+var HmacMD5 = require("../crypto-js/hmac-md5");
+var HmacSHA1 = require("../crypto-js/hmac-sha1");
+var HmacSHA256 = require("../crypto-js/hmac-sha256");
+var HmacSHA512 = require("../crypto-js/hmac-sha512");
+var MD5 = require("../crypto-js/md5");
+var Markdown = require("../markdown").markdown;
+var SHA1 = require("../crypto-js/sha1");
+var SHA256 = require("../crypto-js/sha256");
+var SHA512 = require("../crypto-js/sha512");
+var Sqlite = require("../sqlite");
+var Utf8 = require("../crypto-js/enc-utf8");
+var Yaml = require("../js-yaml");
 
 
 /**
@@ -143,11 +163,41 @@ export class AggregateAuthorizer implements IAuthorizer {
     }
     
     /** @inheritdoc */
-    public prepare(reqOpts : HTTP.HttpRequestOptions) {
-        for (var i = 0; i < this._authorizers.length; i++) {
-            this._authorizers[i]
-                .prepare(reqOpts);
-        }
+    public interceptResponse(ctx : IResponseInterceptorContext) : any {
+        var me = this;
+        
+        var i = 0;
+        var next = function() : any {
+            while (!ctx.isStopped && i < me._authorizers.length) {
+                var a = me._authorizers[i++];
+                if (!TypeUtils.isNullOrUndefined(a.interceptResponse)) {
+                    return Promise.resolve(a.interceptResponse(ctx))
+                                  .then(next);
+                }
+            }
+        };
+        
+        return next();
+    }
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) : any {
+        var me = this;
+        
+        // sync as long as all authorizers are sync
+        var i = 0;
+        var next = function() : any {
+            while (i < me._authorizers.length) {
+                var result = me._authorizers[i++]
+                               .prepare(reqOpts);
+                
+                if (isThenable(result)) {
+                    return result.then(next);
+                }
+            }
+        };
+        
+        return next();
     }
 }
 
@@ -161,12 +211,72 @@ class ApiClient extends LoggerBase implements IApiClient {
         this.routeParams = cfg.routeParams;
         this.params = cfg.params;
         this.authorizer = cfg.authorizer;
+        this.cache = cfg.cache;
+        
+        if (!TypeUtils.isNullOrUndefined(cfg.circuitBreaker)) {
+            this.circuitBreaker = new CircuitBreaker(cfg.circuitBreaker);
+            this.circuitBreaker.logger = this;
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(cfg.rateLimiter)) {
+            this.rateLimiter = new RateLimiter(cfg.rateLimiter);
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(cfg.routes)) {
+            this.routes = cfg.routes instanceof RouteTable ? cfg.routes : new RouteTable(cfg.routes);
+        }
+        
+        this.coalescer = cfg.coalescer;
+        this.setCookieJar(cfg.cookieJar);
+        this.harRecorder = cfg.harRecorder;
+        this.maxReplays = cfg.maxReplays;
+        this.retryPolicy = cfg.retryPolicy;
+        this.schema = cfg.schema;
+        this.transport = cfg.transport;
+        this.paramArrayFormat = cfg.paramArrayFormat;
+        this.paramObjectFormat = cfg.paramObjectFormat;
+        
+        // offline queue
+        if (!TypeUtils.isNullOrUndefined(cfg.offlineQueue)) {
+            this.enableOfflineQueue(cfg.offlineQueue);
+        }
         
         // beforeSend()
         if (!TypeUtils.isNullOrUndefined(cfg.beforeSend)) {
             this.beforeSend(cfg.beforeSend);
         }
         
+        // decoders
+        if (!TypeUtils.isNullOrUndefined(cfg.decoders)) {
+            for (var i = 0; i < cfg.decoders.length; i++) {
+                var de = <IContentDecoder>cfg.decoders[i];
+                if (!TypeUtils.isNullOrUndefined(de)) {
+                    this.addDecoder(de.mime,
+                                    de.decoder);
+                }
+            }
+        }
+        
+        // interceptors
+        if (!TypeUtils.isNullOrUndefined(cfg.interceptors)) {
+            var interceptorLists = [
+                [cfg.interceptors.request, this.requestInterceptors],
+                [cfg.interceptors.response, this.responseInterceptors],
+                [cfg.interceptors.error, this.errorInterceptors],
+            ];
+            
+            for (var i = 0; i < interceptorLists.length; i++) {
+                var srcList = interceptorLists[i][0];
+                if (!TypeUtils.isNullOrUndefined(srcList)) {
+                    for (var j = 0; j < srcList.length; j++) {
+                        if (!TypeUtils.isNullOrUndefined(srcList[j])) {
+                            interceptorLists[i][1].push(srcList[j]);
+                        }
+                    }
+                }
+            }
+        }
+        
         // success action
         if (!TypeUtils.isNullOrUndefined(cfg.success)) {
             this.successAction = cfg.success;
@@ -255,6 +365,17 @@ class ApiClient extends LoggerBase implements IApiClient {
         }
     }
     
+    public addDecoder(mime: string | RegExp, decoder: (ctx: IContentDecoderContext) => any) : ApiClient {
+        if (!TypeUtils.isNullOrUndefined(decoder)) {
+            this.decoders.push({
+                decoder: decoder,
+                mime: mime,
+            });
+        }
+        
+        return this;
+    }
+    
     public addFormatProvider(provider: (ctx: IFormatProviderContext) => any) : ApiClient {
         if (!TypeUtils.isNullOrUndefined(provider)) {
             this.formatProviders.push(provider);
@@ -290,6 +411,40 @@ class ApiClient extends LoggerBase implements IApiClient {
     
     public beforeSendActions = [];
     
+    public cache: HttpCache;
+    
+    public circuitBreaker: CircuitBreaker;
+    
+    public coalescer: RequestCoalescer;
+    
+    public cookieJar: CookieJar;
+    
+    public call(name: string, params?: any, opts?: IRequestOptions) : ICancellablePromise<IApiClientResult> {
+        var me = this;
+        
+        var callOpts: IRequestOptions = getOwnProperties(opts) || {};
+        var method: string;
+        try {
+            callOpts.url = me.urlFor(name, params);
+            method = me.routes.getMethod(name);
+        }
+        catch (e) {
+            // unknown routes and invalid parameters
+            // fail like requests do
+            me.err("[INVALID REQUEST]: " + e, "Route[" + name + "]");
+            
+            return createRejectedRequest(me, {
+                headers: getOwnProperties(callOpts.headers) || {},
+                method: method,
+                url: callOpts.url,
+            }, e, ApiClientErrorContext.InvalidRequest, callOpts.tag);
+        }
+        
+        me.dbg("Route[" + name + "]: " + callOpts.url, "HttpRequestOptions");
+        
+        return me.request(method, callOpts);
+    }
+    
     public clientError(clientErrAction : (result : IApiClientResult) => void) : ApiClient {
         return this.ifStatus((code) => code >= 400 && code <= 499,
                              clientErrAction);
@@ -322,8 +477,291 @@ class ApiClient extends LoggerBase implements IApiClient {
                               category, priority);
     }
     
-    public delete(opts? : IRequestOptions) {
-        this.request("DELETE", opts);
+    public decoders : IContentDecoder[] = [];
+    
+    public delete(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult> {
+        return this.request("DELETE", opts);
+    }
+    
+    public download(destFile: string, opts?: IDownloadOptions) : ICancellablePromise<FileSystem.File> {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(opts)) {
+            opts = {};
+        }
+        
+        var allowFullContent = true === opts.allowFullContent;
+        var chunkSize = TypeUtils.isNullOrUndefined(opts.chunkSize) ? 1048576 : opts.chunkSize;
+        var downloadProgress = opts.downloadProgress;
+        
+        var storage = opts.storage || AppSettingsStorage;
+        var validatorKey = "apiclient.downloads." + destFile;
+        
+        var offset = 0;
+        var validator: string;
+        if (FileSystem.File.exists(destFile)) {
+            if (false !== opts.resume) {
+                // a partial file can only be resumed with the validator
+                // of its content, otherwise a changed content would be mixed up
+                validator = storage.getValue(validatorKey);
+                if (!isEmptyString(validator)) {
+                    offset = getFileSize(destFile);
+                }
+            }
+            
+            if (offset < 1) {
+                FileSystem.File.fromPath(destFile).removeSync();
+            }
+        }
+        
+        var cancelReason: any;
+        var currentRequest: ICancellablePromise<IApiClientResult>;
+        var isCancelled = false;
+        var lastResult: ApiClientResult;
+        var total = -1;
+        
+        var promise: any = new Promise<FileSystem.File>((resolve, reject) => {
+            // the actions of the client are invoked once,
+            // for the last response or the error of the download
+            var getLastRequest = function() : HttpRequest {
+                return TypeUtils.isNullOrUndefined(lastResult) ? undefined : <HttpRequest>lastResult.request;
+            };
+            
+            var fail = function(err: any) {
+                if (err instanceof ApiClientResult) {
+                    // unexpected status code
+                    try {
+                        invokeResultActions(me, err);
+                        invokeCompleteAction(me, <HttpRequest>err.request,
+                                             err, undefined,
+                                             err.tag, []);
+                    }
+                    catch (e) {
+                        me.crit("[FATAL ERROR]: " + e, "Download::" + destFile);
+                    }
+                    
+                    reject(err);
+                    return;
+                }
+                
+                if (!(err instanceof ApiClientError)) {
+                    err = new ApiClientError(me, getLastRequest(),
+                                             err, ApiClientErrorContext.Exception,
+                                             opts.tag);
+                }
+                
+                try {
+                    invokeErrorActions(me, err, []);
+                }
+                catch (e) {
+                    me.crit("[FATAL ERROR]: " + e, "Download::" + destFile);
+                }
+                
+                if (err.handled ||
+                    ApiClientErrorContext.Cancelled === err.context) {
+                    
+                    // s. request()
+                    promise.catch(() => { });
+                }
+                
+                reject(err);
+            };
+            
+            var complete = function(file: FileSystem.File) {
+                storage.removeValue(validatorKey);
+                
+                try {
+                    invokeResultActions(me, lastResult);
+                    invokeCompleteAction(me, <HttpRequest>lastResult.request,
+                                         lastResult, undefined,
+                                         lastResult.tag, []);
+                }
+                catch (e) {
+                    fail(e);
+                    return;
+                }
+                
+                resolve(file);
+            };
+            
+            var restart = function() {
+                if (FileSystem.File.exists(destFile)) {
+                    FileSystem.File.fromPath(destFile).removeSync();
+                }
+                storage.removeValue(validatorKey);
+                
+                offset = 0;
+                validator = undefined;
+            };
+            
+            // asks the server via HEAD request if it supports range requests,
+            // because the HTTP module buffers a complete content in memory
+            var probe = function() {
+                if (chunkSize <= 0) {
+                    // complete content requested
+                    nextChunk();
+                    return;
+                }
+                
+                var probeOpts: IRequestOptions = getOwnProperties(opts);
+                probeOpts.cacheMode = HttpCacheMode.Bypass;
+                probeOpts.downloadProgress = undefined;
+                probeOpts.headers = getOwnProperties(opts.headers) || {};
+                probeOpts.invokeActions = false;
+                
+                currentRequest = me.request("HEAD", probeOpts);
+                currentRequest.then((result: ApiClientResult) => {
+                    lastResult = result;
+                    
+                    if (result.code < 200 || result.code > 299) {
+                        // HEAD is not supported,
+                        // so the answers of the range requests decide
+                        nextChunk();
+                        return;
+                    }
+                    
+                    var acceptRanges = getHeaderValue(result.headers, "Accept-Ranges") || "";
+                    var length = parseInt(getHeaderValue(result.headers, "Content-Length"));
+                    
+                    if (!/(^|,)\s*bytes\s*(,|$)/i.test(acceptRanges)) {
+                        if (!allowFullContent && !(length <= chunkSize)) {
+                            throw "The server does not support range requests! Set 'allowFullContent' to download the complete content at once.";
+                        }
+                        
+                        // cannot be resumed
+                        restart();
+                        chunkSize = 0;
+                    }
+                    else if (!isEmptyString(validator) &&
+                             validator !== (getHeaderValue(result.headers, "ETag") || getHeaderValue(result.headers, "Last-Modified"))) {
+                        
+                        // content has been changed
+                        restart();
+                    }
+                    
+                    nextChunk();
+                }).then(null, fail);
+            };
+            
+            var nextChunk = function() {
+                if (total > -1 && offset >= total) {
+                    complete(FileSystem.File.fromPath(destFile));
+                    return;
+                }
+                
+                if (isCancelled) {
+                    fail(new ApiClientError(me, getLastRequest(),
+                                            cancelReason, ApiClientErrorContext.Cancelled,
+                                            opts.tag));
+                    return;
+                }
+                
+                var chunkOffset = offset;
+                var isRangeRequest = chunkSize > 0 || chunkOffset > 0;
+                
+                var chunkOpts: IRequestOptions = getOwnProperties(opts);
+                chunkOpts.cacheMode = HttpCacheMode.Bypass;
+                chunkOpts.headers = getOwnProperties(opts.headers) || {};
+                chunkOpts.invokeActions = false;
+                
+                if (isRangeRequest) {
+                    chunkOpts.headers["Range"] = "bytes=" + chunkOffset + "-" + (chunkSize > 0 ? (chunkOffset + chunkSize - 1) : "");
+                    
+                    // get the complete content, if it has been changed
+                    if (!isEmptyString(validator)) {
+                        chunkOpts.headers["If-Range"] = validator;
+                    }
+                }
+                
+                if (!TypeUtils.isNullOrUndefined(downloadProgress)) {
+                    chunkOpts.downloadProgress = (e) => {
+                        // the total of a range is not the one of the content
+                        var overallTotal = total;
+                        if (overallTotal < 0 && !isRangeRequest) {
+                            overallTotal = e.total;
+                        }
+                        
+                        downloadProgress(createProgressEvent(chunkOffset + e.loaded, overallTotal));
+                    };
+                }
+                
+                currentRequest = me.get(chunkOpts);
+                currentRequest.then((result: ApiClientResult) => {
+                    lastResult = result;
+                    
+                    var range = parseContentRange(getHeaderValue(result.headers, "Content-Range"));
+                    
+                    switch (result.code) {
+                        case 200:
+                            // server sent the complete content (s. probe()),
+                            // which replaces the partial file
+                            complete(result.getFile(destFile));
+                            return;
+                            
+                        case 206:
+                            if (TypeUtils.isNullOrUndefined(range) ||
+                                range.start !== chunkOffset) {
+                                
+                                throw "Unexpected content range '" + getHeaderValue(result.headers, "Content-Range") + "'!";
+                            }
+                            
+                            appendToFile(destFile, result.response.content.raw);
+                            
+                            if (isEmptyString(validator)) {
+                                validator = getHeaderValue(result.headers, "ETag") ||
+                                            getHeaderValue(result.headers, "Last-Modified");
+                                
+                                if (!isEmptyString(validator)) {
+                                    storage.setValue(validator, validatorKey);
+                                }
+                            }
+                            
+                            offset = range.end + 1;
+                            total = range.total;
+                            
+                            if (total < 0 &&
+                                (chunkSize <= 0 || (range.end - range.start + 1) < chunkSize)) {
+                                
+                                // unknown length and last chunk
+                                total = offset;
+                            }
+                            
+                            nextChunk();
+                            return;
+                            
+                        case 416:
+                            if (!TypeUtils.isNullOrUndefined(range) &&
+                                range.total === chunkOffset) {
+                                
+                                // already complete
+                                complete(FileSystem.File.fromPath(destFile));
+                                return;
+                            }
+                            break;
+                    }
+                    
+                    throw result;
+                }).then(null, fail);
+            };
+            
+            probe();
+        });
+        
+        promise.cancel = (reason?: any) => {
+            isCancelled = true;
+            cancelReason = reason;
+            
+            if (!TypeUtils.isNullOrUndefined(currentRequest)) {
+                currentRequest.cancel(reason);
+            }
+        };
+        
+        return promise;
+    }
+    
+    public enableOfflineQueue(config?: IOfflineQueueConfig) : ApiClient {
+        this.offlineQueue = new OfflineQueue(this, config);
+        return this;
     }
     
     public error(errAction : (ctx : IApiClientError) => void) : ApiClient {
@@ -333,6 +771,8 @@ class ApiClient extends LoggerBase implements IApiClient {
     
     public errorAction : (ctx : IApiClientError) => void;
     
+    public errorInterceptors : ((ctx : IErrorInterceptorContext) => any)[] = [];
+    
     public formatProviders = [];
     
     public forbidden(forbiddenAction : (result : IApiClientResult) => void) : ApiClient {
@@ -343,7 +783,7 @@ class ApiClient extends LoggerBase implements IApiClient {
         return this.status(504, timeoutAction);
     }
     
-    public get(opts? : IRequestOptions) {
+    public get(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult> {
         return this.request("GET", opts);
     }
     
@@ -351,6 +791,12 @@ class ApiClient extends LoggerBase implements IApiClient {
         return this.status(410, goneAction);
     }
     
+    public graphQL(config?: IGraphQLConfig) : GraphQLClient {
+        return new GraphQLClient(this, config);
+    }
+    
+    public harRecorder: HarRecorder;
+    
     public headers: any;
     
     public if(predicate: (ctx : IApiClientResult) => boolean,
@@ -390,16 +836,50 @@ class ApiClient extends LoggerBase implements IApiClient {
         return this.status(507, insufficientAction);
     }
 
+    public interceptError(interceptor : (ctx : IErrorInterceptorContext) => any) : ApiClient {
+        if (!TypeUtils.isNullOrUndefined(interceptor)) {
+            this.errorInterceptors.push(interceptor);
+        }
+        
+        return this;
+    }
+    
+    public interceptRequest(interceptor : (ctx : IRequestInterceptorContext) => any) : ApiClient {
+        if (!TypeUtils.isNullOrUndefined(interceptor)) {
+            this.requestInterceptors.push(interceptor);
+        }
+        
+        return this;
+    }
+    
+    public interceptResponse(interceptor : (ctx : IResponseInterceptorContext) => any) : ApiClient {
+        if (!TypeUtils.isNullOrUndefined(interceptor)) {
+            this.responseInterceptors.push(interceptor);
+        }
+        
+        return this;
+    }
+    
     public internalServerError(errAction : (result : IApiClientResult) => void) : ApiClient {
         return this.status(500, errAction);
     }
     
+    public jsonRpc(config?: IJsonRpcConfig) : JsonRpcClient {
+        return new JsonRpcClient(this, config);
+    }
+    
     public locked(lockedAction : (result : IApiClientResult) => void) : ApiClient {
         return this.status(423, lockedAction);
     }
     
     public logActions = [];
     
+    public longPoll(config?: ILongPollConfig) : LongPollClient {
+        return new LongPollClient(this, config);
+    }
+    
+    public maxReplays: number;
+    
     public methodNotAllowed(notAllowedAction : (result : IApiClientResult) => void) : ApiClient {
         return this.status(405, notAllowedAction);
     }
@@ -420,17 +900,33 @@ class ApiClient extends LoggerBase implements IApiClient {
         return this;
     }
     
+    public offlineQueue: OfflineQueue;
+    
     protected onLog(msg : ILogMessage) {
         invokeLogActions(this, msg);
     }
+    
+    public paginate<T>(config?: IPaginationConfig | PaginationStrategy) : Paginator<T> {
+        if (typeof config !== "object") {
+            config = {
+                strategy: <PaginationStrategy>config,
+            };
+        }
+        
+        return new Paginator<T>(this, <IPaginationConfig>config);
+    }
 
+    public paramArrayFormat: ParamArrayFormat;
+    
+    public paramObjectFormat: ParamObjectFormat;
+    
     public params: any;
     
     public partialContent(partialAction: (result : IApiClientResult) => void) : IApiClient {
         return this.status(206, partialAction);
     }
     
-    public patch(opts? : IRequestOptions) {
+    public patch(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult> {
         return this.request("PATCH", opts);
     }
     
@@ -438,11 +934,11 @@ class ApiClient extends LoggerBase implements IApiClient {
         return this.status(413, tooLargeAction);
     }
     
-    public post(opts? : IRequestOptions) {
+    public post(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult> {
         return this.request("POST", opts);
     }
     
-    public put(opts? : IRequestOptions) {
+    public put(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult> {
         return this.request("PUT", opts);
     }
     
@@ -451,245 +947,317 @@ class ApiClient extends LoggerBase implements IApiClient {
                              redirectAction);
     }
 
-    public request(method : any, opts? : IRequestOptions) {
+    public request(method : any, opts? : IRequestOptions) : ICancellablePromise<IApiClientResult> {
         var me = this;
+        
+        // send later?
+        var offlineQueue = me.offlineQueue;
+        if (!TypeUtils.isNullOrUndefined(offlineQueue) &&
+            offlineQueue.shouldEnqueue(methodToString(method))) {
+            
+            return offlineQueue.enqueue(methodToString(method), opts);
+        }
 
-        var convertToString = function(val: any) : string {
-            if (TypeUtils.isNullOrUndefined(val)) {
-                return null;
-            }
+        var httpRequestOpts : any = {};
+        var tag = TypeUtils.isNullOrUndefined(opts) ? undefined : opts.tag;
+        
+        // setup the request
+        // 
+        // errors, like invalid parameters, reject the promise
+        // like all other errors
+        try {
+            var convertToString = function(val: any) : string {
+                if (TypeUtils.isNullOrUndefined(val)) {
+                    return null;
+                }
+                
+                if (typeof val === "object") {
+                    val = JSON.stringify(getOwnProperties(val));
+                }
+                
+                return "" + val;
+            };
             
-            if (typeof val !== "string") {
-                val = JSON.stringify(getOwnProperties(val));
-            }
+            // the URL is encoded part by part:
+            // base URL and route with 'encodeURI()',
+            // values of parameters with 'encodeURIComponent()'
+            var url = encodeURI(this.baseUrl);
+            var route = me.route;
             
-            return val;
-        };
-        
-        var url = this.baseUrl;
-        var route = me.route;
-        if (!isEmptyString(route)) {
-            if ("/" !== url.substring(url.length - 1)) {
-                url += "/";
+            var hasCustomUrl = !TypeUtils.isNullOrUndefined(opts) &&
+                               !isEmptyString(opts.url);
+            if (hasCustomUrl) {
+                // URL is already encoded,
+                // like a 'next' link of a paged resource
+                url = opts.url;
+                route = null;
             }
             
-            // collect route parameters
-            var routeParams = {};
-            if (!TypeUtils.isNullOrUndefined(opts)) {
-                var allRouteParams = [getOwnProperties(me.routeParams), getOwnProperties(opts.routeParams)];
-                for (var i = 0; i < allRouteParams.length; i++) {
-                    var routeParamsTemp = allRouteParams[i];
-                    if (TypeUtils.isNullOrUndefined(routeParamsTemp)) {
-                        continue;
+            if (!isEmptyString(route)) {
+                if ("/" !== url.substring(url.length - 1)) {
+                    url += "/";
+                }
+                
+                // collect route parameters
+                var routeParams = {};
+                {
+                    var allRouteParams = [getOwnProperties(me.routeParams)];
+                    if (!TypeUtils.isNullOrUndefined(opts)) {
+                        allRouteParams.push(getOwnProperties(opts.routeParams));
                     }
                     
-                    var alreadyHandledParamNames = {};
-                    for (var rpt in routeParamsTemp) {
-                        var routeParamName = rpt.toLowerCase().trim();
-                        
-                        if (alreadyHandledParamNames[routeParamName] === true) {
-                            throw "Route parameter '" + routeParamName + "' is ALREADY defined!";
+                    for (var i = 0; i < allRouteParams.length; i++) {
+                        var routeParamsTemp = allRouteParams[i];
+                        if (TypeUtils.isNullOrUndefined(routeParamsTemp)) {
+                            continue;
                         }
                         
-                        routeParams[routeParamName] = routeParamsTemp[rpt];
-                        alreadyHandledParamNames[routeParamName] = true;
+                        var alreadyHandledParamNames = {};
+                        for (var rpt in routeParamsTemp) {
+                            var routeParamName = rpt.toLowerCase().trim();
+                            
+                            if (alreadyHandledParamNames[routeParamName] === true) {
+                                throw "Route parameter '" + routeParamName + "' is ALREADY defined!";
+                            }
+                            
+                            routeParams[routeParamName] = routeParamsTemp[rpt];
+                            alreadyHandledParamNames[routeParamName] = true;
+                        }
                     }
                 }
-            }
 
-            // parse route parameters
-            route = route.replace(/{(([^\:]+))(\:)?([^}]*)}/g, function(match, paramName, formatSeparator, formatExpr) : string {
-                paramName = paramName.toLowerCase().trim();
-                
-                var paramValue = routeParams[paramName];
-                
-                var funcDepth = -1;
-                while (typeof paramValue === "function") {
-                    paramValue = paramValue(paramName, routeParams, match, formatExpr, ++funcDepth);
-                }
-                
-                if (formatSeparator === ':') {
-                    // use format providers
+                // parse route parameters
+                var encodedRoute = "";
+                var lastRouteIndex = 0;
+                route.replace(/{([^\:}]+)(\:)?([^}]*)}/g, function(match, paramName, formatSeparator, formatExpr, offset) : string {
+                    paramName = paramName.toLowerCase().trim();
                     
-                    for (var i = 0; i < me.formatProviders.length; i++) {
-                        var fp = me.formatProviders[i];
-                        var fpCtx = new FormatProviderContext(formatExpr, paramValue);
-                        
-                        var fpResult = fp(fpCtx);
-                        if (fpCtx.handled) {
-                            // handled: first wins
+                    var paramValue = routeParams[paramName];
                     
-                            paramValue = fpResult;
-                            break;
+                    var funcDepth = -1;
+                    while (typeof paramValue === "function") {
+                        paramValue = paramValue(paramName, routeParams, match, formatExpr, ++funcDepth);
+                    }
+                    
+                    if (formatSeparator === ':') {
+                        // use format providers
+                        
+                        for (var i = 0; i < me.formatProviders.length; i++) {
+                            var fp = me.formatProviders[i];
+                            var fpCtx = new FormatProviderContext(formatExpr, paramValue);
+                            
+                            var fpResult = fp(fpCtx);
+                            if (fpCtx.handled) {
+                                // handled: first wins
+                        
+                                paramValue = fpResult;
+                                break;
+                            }
                         }
                     }
-                }
-                
-                if (paramValue === undefined) {
-                    throw "Route parameter '" + paramName + "' is NOT defined!";
-                }
+                    
+                    if (paramValue === undefined) {
+                        throw "Route parameter '" + paramName + "' is NOT defined!";
+                    }
+                    
+                    encodedRoute += encodeURI(route.substring(lastRouteIndex, offset)) +
+                                    encodeURIComponent(convertToString(paramValue));
+                    lastRouteIndex = offset + match.length;
+                    
+                    return match;
+                });
                 
-                return convertToString(paramValue);
-            });
-            
-            url += route;
-        }
-
-        var httpRequestOpts : any = {};
-        
-        // request headers
-        httpRequestOpts.headers = {};
-        {
-            var allRequestHeaders = [getOwnProperties(me.headers)];
-            if (!TypeUtils.isNullOrUndefined(opts)) {
-                allRequestHeaders.push(getOwnProperties(opts.headers));
+                url += encodedRoute + encodeURI(route.substring(lastRouteIndex));
             }
 
-            for (var i = 0; i < allRequestHeaders.length; i++) {
-                var requestHeaders = allRequestHeaders[i];
-                if (TypeUtils.isNullOrUndefined(requestHeaders)) {
-                    continue;
-                }
-                
-                for (var rqh in requestHeaders) {
-                    httpRequestOpts.headers[rqh] = requestHeaders[rqh];
+            // request headers
+            httpRequestOpts.headers = {};
+            {
+                var allRequestHeaders = [getOwnProperties(me.headers)];
+                if (!TypeUtils.isNullOrUndefined(opts)) {
+                    allRequestHeaders.push(getOwnProperties(opts.headers));
                 }
-            }
-        }
-        
-        // URL parameters
-        {
-            var allUrlParams = [getOwnProperties(me.params)];
-            if (!TypeUtils.isNullOrUndefined(opts)) {
-                allUrlParams.push(getOwnProperties(opts.params));
-            }
 
-            var urlParamCount = 0;
-            var urlParamSuffix = "?";
-            for (var i = 0; i < allUrlParams.length; i++) {
-                var urlParams = allUrlParams[i];
-                if (TypeUtils.isNullOrUndefined(urlParams)) {
-                    continue;
+                for (var i = 0; i < allRequestHeaders.length; i++) {
+                    var requestHeaders = allRequestHeaders[i];
+                    if (TypeUtils.isNullOrUndefined(requestHeaders)) {
+                        continue;
+                    }
+                    
+                    for (var rqh in requestHeaders) {
+                        httpRequestOpts.headers[rqh] = requestHeaders[rqh];
+                    }
+                }
+            }
+            
+            // URL parameters
+            {
+                var allUrlParams = [hasCustomUrl ? null : getOwnProperties(me.params)];
+                if (!TypeUtils.isNullOrUndefined(opts)) {
+                    allUrlParams.push(getOwnProperties(opts.params));
                 }
 
-                for (var up in urlParams) {
-                    if (urlParamCount > 0) {
-                        urlParamSuffix += "&";
+                var urlParamCount = 0;
+                var urlParamPairs : string[][] = [];
+                for (var i = 0; i < allUrlParams.length; i++) {
+                    var urlParams = allUrlParams[i];
+                    if (TypeUtils.isNullOrUndefined(urlParams)) {
+                        continue;
                     }
 
-                    var urlParamName = up;
-                    
-                    var funcDepth = 0;
-                    var urlParamValue = urlParams[up];
-                    while (typeof urlParamValue === "function") {
-                        urlParamValue = urlParamValue(urlParamName, urlParamCount, funcDepth++);
-                    }
+                    for (var up in urlParams) {
+                        var urlParamName = up;
+                        
+                        var funcDepth = 0;
+                        var urlParamValue = urlParams[up];
+                        while (typeof urlParamValue === "function") {
+                            urlParamValue = urlParamValue(urlParamName, urlParamCount, funcDepth++);
+                        }
 
-                    urlParamSuffix += urlParamName + "=" + urlParamValue;
-                    ++urlParamCount;
+                        serializeParam(urlParamName, urlParamValue,
+                                       me.paramArrayFormat, me.paramObjectFormat,
+                                       urlParamPairs);
+                        ++urlParamCount;
+                    }
                 }
-            }
 
-            if (urlParamCount > 0) {
-                url += urlParamSuffix;
+                if (urlParamPairs.length > 0) {
+                    url += url.indexOf("?") > -1 ? "&" : "?";
+                    url += urlParamPairs.map((p) => encodeURIComponent(p[0]) + "=" + encodeURIComponent(p[1]))
+                                        .join("&");
+                }
             }
-        }
-        
-        if (!TypeUtils.isNullOrUndefined(opts)) {
-            // timeout
-            if (!TypeUtils.isNullOrUndefined(opts.timeout)) {
-                httpRequestOpts.timeout = opts.timeout;
+            
+            if (!TypeUtils.isNullOrUndefined(opts)) {
+                // timeout
+                if (!TypeUtils.isNullOrUndefined(opts.timeout)) {
+                    httpRequestOpts.timeout = opts.timeout;
+                }
             }
-        }
 
-        var authorizer = me.authorizer;
-        var content;
-        var encoding = "utf-8";
-        var tag;
-        
-        var contentConverter = (c) => c;
-        
-        if (!TypeUtils.isNullOrUndefined(opts)) {
-            content = opts.content;
-            tag = opts.tag;
+            var authorizer = me.authorizer;
+            var content;
+            var encoding = "utf-8";
             
-            // encoding
-            if (!isEmptyString(opts.encoding)) {
-                encoding = opts.encoding.toLowerCase().trim();
-            }
+            var contentConverter = (c) => c;
             
-            // request type
-            if (!TypeUtils.isNullOrUndefined(opts.type)) {
-                switch (opts.type) {
-                    case HttpRequestType.Binary:
-                        httpRequestOpts.headers["Content-type"] = "application/octet-stream";
-                        break;
-                        
-                    case HttpRequestType.JSON:
-                        httpRequestOpts.headers["Content-type"] = "application/json; charset=" + encoding;
-                        contentConverter = function(c) {
-                            if (null !== c) {
-                                c = JSON.stringify(c);  
-                            }
+            if (!TypeUtils.isNullOrUndefined(opts)) {
+                content = opts.content;
+                
+                // encoding
+                if (!isEmptyString(opts.encoding)) {
+                    encoding = opts.encoding.toLowerCase().trim();
+                }
+                
+                // request type
+                if (!TypeUtils.isNullOrUndefined(opts.type)) {
+                    switch (opts.type) {
+                        case HttpRequestType.Binary:
+                            httpRequestOpts.headers["Content-type"] = "application/octet-stream";
+                            break;
                             
-                            return c; 
-                        };
-                        break;
-                        
-                    case HttpRequestType.Text:
-                        httpRequestOpts.headers["Content-type"] = "text/plain; charset=" + encoding;
-                        contentConverter = function(c) {
-                            return convertToString(c); 
-                        };
-                        break;
-                        
-                    case HttpRequestType.Xml:
-                        httpRequestOpts.headers["Content-type"] = "text/xml; charset=" + encoding;
-                        contentConverter = function(c) {                            
-                            c = convertToString(c);
-                            if (null !== c) {
-                                var isValidXml = true;
-                                var xmlParser = new Xml.XmlParser(() => {}, function(error: Error) {
-                                    isValidXml = false;
-                                });
+                        case HttpRequestType.Form:
+                            httpRequestOpts.headers["Content-type"] = "application/x-www-form-urlencoded";
+                            contentConverter = function(c) {
+                                if (null === c || typeof c === "string") {
+                                    return c;
+                                }
                                 
-                                xmlParser.parse(c);
+                                var formPairs : string[][] = [];
+                                for (var fp in c) {
+                                    if (c.hasOwnProperty(fp)) {
+                                        serializeParam(fp, c[fp],
+                                                       me.paramArrayFormat, me.paramObjectFormat,
+                                                       formPairs);
+                                    }
+                                }
                                 
-                                if (!isValidXml) {
-                                    throw "XML parse error.";
+                                return formPairs.map((p) => encodeURIComponent(p[0]) + "=" + encodeURIComponent(p[1]))
+                                                .join("&");
+                            };
+                            break;
+                            
+                        case HttpRequestType.JSON:
+                            httpRequestOpts.headers["Content-type"] = "application/json; charset=" + encoding;
+                            contentConverter = function(c) {
+                                if (null !== c) {
+                                    c = JSON.stringify(c);  
                                 }
-                            }
+                                
+                                return c; 
+                            };
+                            break;
                             
-                            return c; 
-                        };
-                        break;
+                        case HttpRequestType.Multipart:
+                            var boundary = "----NativeScriptToolbox" + createRandomHex(24);
+                            
+                            httpRequestOpts.headers["Content-type"] = "multipart/form-data; boundary=" + boundary;
+                            contentConverter = function(c) {
+                                if (null === c || typeof c === "string") {
+                                    return c;
+                                }
+                                
+                                return createMultipartBody(c, boundary);
+                            };
+                            break;
+                            
+                        case HttpRequestType.Text:
+                            httpRequestOpts.headers["Content-type"] = "text/plain; charset=" + encoding;
+                            contentConverter = function(c) {
+                                return convertToString(c); 
+                            };
+                            break;
+                            
+                        case HttpRequestType.Xml:
+                            httpRequestOpts.headers["Content-type"] = "text/xml; charset=" + encoding;
+                            contentConverter = function(c) {                            
+                                c = convertToString(c);
+                                if (null !== c) {
+                                    var isValidXml = true;
+                                    var xmlParser = new Xml.XmlParser(() => {}, function(error: Error) {
+                                        isValidXml = false;
+                                    });
+                                    
+                                    xmlParser.parse(c);
+                                    
+                                    if (!isValidXml) {
+                                        throw "XML parse error.";
+                                    }
+                                }
+                                
+                                return c; 
+                            };
+                            break;
+                    }
                 }
+                
+                authorizer = opts.authorizer || authorizer;
             }
-            
-            authorizer = opts.authorizer || authorizer;
-        }
 
-        // authorization
-        if (!TypeUtils.isNullOrUndefined(authorizer)) {
-            authorizer.prepare(httpRequestOpts);
-        }
-        
-        if (TypeUtils.isNullOrUndefined(content)) {
-            content = null;
+            if (TypeUtils.isNullOrUndefined(content)) {
+                content = null;
+            }
+            
+            httpRequestOpts.url = url;
+            httpRequestOpts.method = methodToString(method);
+            httpRequestOpts.content = contentConverter(content);
+            
+            // before send actions
+            for (var i = 0; i < me.beforeSendActions.length; i++) {
+                var bsa = me.beforeSendActions[i];
+                bsa(httpRequestOpts, tag);
+            }
+            
+            var httpReq = new HttpRequest(me, httpRequestOpts);
         }
-        
-        httpRequestOpts.url = encodeURI(url);
-        httpRequestOpts.method = methodToString(method);
-        httpRequestOpts.content = contentConverter(content);
-        
-        // before send actions
-        for (var i = 0; i < me.beforeSendActions.length; i++) {
-            var bsa = me.beforeSendActions[i];
-            bsa(httpRequestOpts, tag);
+        catch (e) {
+            me.err("[INVALID REQUEST]: " + e, "HttpRequestOptions");
+            
+            return createRejectedRequest(me, httpRequestOpts,
+                                         e, ApiClientErrorContext.InvalidRequest,
+                                         tag);
         }
         
-        var httpReq = new HttpRequest(me, httpRequestOpts);
-        
         me.dbg("URL: " + httpRequestOpts.url, "HttpRequestOptions");
         me.dbg("Method: " + httpRequestOpts.method, "HttpRequestOptions");
 
@@ -707,271 +1275,944 @@ class ApiClient extends LoggerBase implements IApiClient {
             return "HttpRequest::" + httpRequestOpts.url;
         };
         
-        var invokeComplete = function(result: ApiClientResult, err: ApiClientError) {
-            if (!TypeUtils.isNullOrUndefined(result)) {
-                result.setContext(ApiClientResultContext.Complete);
+        var resolvePromise : (result : IApiClientResult) => void;
+        var rejectPromise : (err : IApiClientError) => void;
+        var promise = <ICancellablePromise<IApiClientResult>>new Promise<IApiClientResult>((resolve, reject) => {
+            resolvePromise = resolve;
+            rejectPromise = reject;
+        });
+        
+        var attempts : RequestAttempt[] = [];
+        var isFinished = false;
+        var retryTimer : any;
+        
+        var cancellationToken : ICancellationToken;
+        if (!TypeUtils.isNullOrUndefined(opts)) {
+            cancellationToken = opts.cancellationToken;
+        }
+        
+        var unregisterCancellation : () => void;
+        var finish = function() : boolean {
+            if (isFinished) {
+                return false;
+            }
+            
+            isFinished = true;
+            
+            if (!TypeUtils.isNullOrUndefined(retryTimer)) {
+                clearTimeout(retryTimer);
+                retryTimer = undefined;
             }
             
-            if (!TypeUtils.isNullOrUndefined(me.completeAction)) {
-                me.completeAction(new ApiClientCompleteContext(me, httpReq,
-                                                               result, err,
-                                                               tag));
+            if (!TypeUtils.isNullOrUndefined(unregisterCancellation)) {
+                unregisterCancellation();
+                unregisterCancellation = undefined;
             }
+            
+            return true;
         };
-
-        try {
-            HTTP.request(httpRequestOpts)
-                .then(function (response) {
-                          var result = new ApiClientResult(me, httpReq, response,
-                                                           tag);
-                          result.setContext(ApiClientResultContext.Success);
-
-                          me.dbg("Status code: " + result.code, getLogTag());
-
-                          for (var h in getOwnProperties(result.headers)) {
-                              me.trace("ResponseHeader['" + h + "']: " + result.headers[h], getLogTag());
-                          }
-
-                          // collect "conditional" actions that should be
-                          // invoked instead of "success" action
-                          var ifActions = [];
-                          for (var i = 0; i < me.ifEntries.length; i++) {
-                              var ie = me.ifEntries[i];
-                            
-                              if (!TypeUtils.isNullOrUndefined(ie.action)) {
-                                  var statusPredicate = ie.predicate;
-                                  if (TypeUtils.isNullOrUndefined(statusPredicate)) {
-                                      statusPredicate = () => true;
-                                  }
-                                
-                                  if (statusPredicate(result)) {
-                                      ifActions.push(ie.action);
-                                  }
-                              }
-                          }
-                        
-                          // process "conditional" actions
-                          for (var i = 0; i < ifActions.length; i++) {
-                              var ia = ifActions[i];
-                              ia(result);
-                          }
-
-                          if (ifActions.length < 1 &&
-                              !TypeUtils.isNullOrUndefined(me.successAction)) {
-                            
-                              me.successAction(result);
-                          }
-                        
-                          invokeComplete(result, undefined);
-                      },
-                      function (err) {
-                          me.err("[ERROR]: " + err, getLogTag());
-                          
-                          var errCtx = new ApiClientError(me, httpReq,
-                                                          err, ApiClientErrorContext.ClientError,
-                                                          tag);
-                        
-                          if (!TypeUtils.isNullOrUndefined(me.errorAction)) {
-                              errCtx.handled = true;
-                              me.errorAction(errCtx);
-                          }
-                        
-                          if (!errCtx.handled) {
-                              throw err;
-                          }
-                          
-                          invokeComplete(undefined, errCtx);
-                      });
-        }
-        catch (e) {
-            me.crit("[FATAL ERROR]: " + e, getLogTag());
+        
+        var invokeActions = TypeUtils.isNullOrUndefined(opts) || false !== opts.invokeActions;
+        
+        var isCompleteInvoked = false;
+        var invokeComplete = function(result: ApiClientResult, err: ApiClientError) {
+            if (isCompleteInvoked || !invokeActions) {
+                return;
+            }
+            isCompleteInvoked = true;
             
+            invokeCompleteAction(me, httpReq,
+                                 result, err,
+                                 tag, attempts);
+        };
+        
+        // rejects the promise, even if the request
+        // has already been finished by a response
+        var rejectWithError = function(err: any, ctx: ApiClientErrorContext) {
             var errCtx = new ApiClientError(me, httpReq,
-                                            e, ApiClientErrorContext.Exception,
+                                            err, ctx,
                                             tag);
             
-            if (!TypeUtils.isNullOrUndefined(me.errorAction)) {
-                errCtx.handled = true;
-                me.errorAction(errCtx);     
+            try {
+                if (invokeActions &&
+                    !TypeUtils.isNullOrUndefined(me.errorAction)) {
+                    
+                    errCtx.handled = true;
+                    me.errorAction(errCtx);
+                }
+                
+                if (errCtx.handled) {
+                    // the "error" action took care of it, so
+                    // callers that only use callbacks should not
+                    // get an "unhandled rejection"
+                    promise.catch(() => { });
+                    
+                    invokeComplete(undefined, errCtx);
+                }
+                else if (ApiClientErrorContext.Cancelled === ctx) {
+                    // cancelled on purpose
+                    promise.catch(() => { });
+                }
+            }
+            catch (e) {
+                me.crit("[FATAL ERROR]: " + e, getLogTag());
             }
             
-            if (!errCtx.handled) {
-                throw e;
+            rejectPromise(errCtx);
+        };
+        
+        var handleError = function(err: any, ctx: ApiClientErrorContext) {
+            if (!finish()) {
+                return;
             }
             
-            invokeComplete(undefined, errCtx);
-        }
-    }
-    
-    public route: string;
-    
-    public routeParams: any;
-    
-    public setAuthorizer(newAuthorizer: IAuthorizer) : ApiClient {
-        this.authorizer = newAuthorizer;
-        return this;
-    }
-    
-    public serverError(serverErrAction : (result : IApiClientResult) => void): ApiClient {
-        return this.ifStatus((code) => code >= 500 && code <= 599,
-                             serverErrAction);
-    }
-
-    public serviceUnavailable(unavailableAction : (result : IApiClientResult) => void) : ApiClient {
-        return this.status(503, unavailableAction);
-    }
-    
-    public setBaseUrl(newValue: string) : ApiClient {
-        this.baseUrl = newValue;
-        return this;
-    }
-    
-    public setRoute(newValue : string) : ApiClient {
-        this.route = newValue;
-        return this;
-    }
-    
-    public status(code: number, statusAction : (result : IApiClientResult) => void) : ApiClient {
-        this.ifStatus((sc) => code == sc,
-                      statusAction);
-        return this;
-    }
+            rejectWithError(err, ctx);
+        };
+        
+        var handleResponse = function(response: HTTP.HttpResponse) {
+            if (!finish()) {
+                return;
+            }
+            
+            try {
+                var result = new ApiClientResult(me, httpReq, response,
+                                                 tag);
+                result.setContext(ApiClientResultContext.Success);
 
-    public succeededRequest(succeededAction : (result : IApiClientResult) => void): ApiClient {
-        return this.ifStatus((code) => code >= 200 && code <= 299,
-                             succeededAction);
-    }
+                me.dbg("Status code: " + result.code, getLogTag());
 
-    public success(successAction: (result : IApiClientResult) => void) : ApiClient {
-        this.successAction = successAction;
-        return this;
-    }
-    
-    public successAction: (ctx : IApiClientResult) => void;
-    
-    public tooManyRequests(tooManyAction : (result : IApiClientResult) => void) : ApiClient {
-        return this.status(429, tooManyAction);
-    }
-    
-    public unauthorized(unauthorizedAction : (result : IApiClientResult) => void) : ApiClient {
-        return this.status(401, unauthorizedAction);
-    }
-    
-    public unsupportedMediaType(unsupportedAction : (result : IApiClientResult) => void) : ApiClient {
-        return this.status(415, unsupportedAction);
-    }
-    
-    public uriTooLong(tooLongAction : (result : IApiClientResult) => void) : ApiClient {
-        return this.status(414, tooLongAction);
-    }
-}
+                for (var h in getOwnProperties(result.headers)) {
+                    me.trace("ResponseHeader['" + h + "']: " + result.headers[h], getLogTag());
+                }
 
-class ApiClientCompleteContext extends LoggerBase implements IApiClientCompleteContext {    
-    private _client: ApiClient;
-    private _error: ApiClientError;
-    private _request: HttpRequest;
-    private _result: ApiClientResult;
-    private _tag: any;
-    
-    constructor(client: ApiClient, request: HttpRequest, result: ApiClientResult, err: ApiClientError,
-                tag: any) {
-                    
-        super();
+                if (invokeActions) {
+                    invokeResultActions(me, result);
+                }
+            
+                invokeComplete(result, undefined);
+            }
+            catch (e) {
+                me.crit("[FATAL ERROR]: " + e, getLogTag());
+                
+                // the request is already finished,
+                // so do not use handleError()
+                rejectWithError(e, ApiClientErrorContext.Exception);
+                return;
+            }
+            
+            resolvePromise(result);
+        };
         
-        this._client = client;
-        this._request = request;
-        this._result = result;
-        this._error = err;
-        this._tag = tag;
-    }
-    
-    public get client() : ApiClient {
-        return this._client;
-    }
-    
-    protected createLogMessage(msg: any, tag: string,
-                               category : LogCategory, priority : LogPriority) : ILogMessage {
+        var retryPolicy = mergeRetryPolicies(me.retryPolicy,
+                                             TypeUtils.isNullOrUndefined(opts) ? undefined : opts.retryPolicy);
         
-        return new LogMessage(LogSource.Complete,
-                              new Date(),
-                              msg, tag,
-                              category, priority);
-    }
-    
-    public get error(): ApiClientError {
-        return this._error;
-    }
-    
-    protected onLog(msg: ILogMessage) {
-        invokeLogActions(this._client, msg);
-    }
-    
-    public get request(): HttpRequest {
-        return this._request;
-    }
-    
-    public get result(): ApiClientResult {
-        return this._result;
-    }
-    
-    public get tag(): any {
-        return this._tag;
-    }
-}
-
-class ApiClientError extends LoggerBase implements IApiClientError {
-    private _client: ApiClient;
-    private _context: ApiClientErrorContext;
-    private _error: any;
-    private _request: HttpRequest;
-    private _tag: any;
-    
-    constructor(client : ApiClient, request: HttpRequest, error: any, ctx: ApiClientErrorContext,
-                tag: any) {
-        super();
+        var validateResult = TypeUtils.isNullOrUndefined(opts) ? undefined : opts.validateResult;
         
-        this._client = client;
-        this._request = request;
-        this._error = error;
-        this._context = ctx;
-        this._tag = tag;
+        var maxReplays = me.maxReplays;
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            !TypeUtils.isNullOrUndefined(opts.maxReplays)) {
+            
+            maxReplays = opts.maxReplays;
+        }
+        if (TypeUtils.isNullOrUndefined(maxReplays)) {
+            maxReplays = DefaultMaxReplays;
+        }
+        
+        var replayCount = 0;
+        
+        var schema = me.schema;
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            !TypeUtils.isUndefined(opts.schema)) {
+            
+            // (null) disables the schema of the client
+            schema = opts.schema;
+        }
+        
+        var transport = me.transport;
+        if (TypeUtils.isNullOrUndefined(transport)) {
+            transport = DefaultTransport;
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(me.harRecorder)) {
+            transport = me.harRecorder.wrap(transport);
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(me.cookieJar)) {
+            // outside of recorder, so the options with
+            // the cookies of the jar are recorded
+            transport = createCookieTransport(transport, me.cookieJar);
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(me.circuitBreaker) ||
+            !TypeUtils.isNullOrUndefined(me.rateLimiter)) {
+            
+            // outside of recorder, so locally
+            // rejected requests are not recorded
+            transport = createGuardedTransport(transport,
+                                               me.circuitBreaker, me.rateLimiter);
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(me.coalescer) &&
+            (TypeUtils.isNullOrUndefined(opts) || false !== opts.coalesce)) {
+            
+            // outside of the guards, so requests that share
+            // a response do not take tokens of the rate limiter
+            transport = me.coalescer.wrap(transport);
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            (!TypeUtils.isNullOrUndefined(opts.downloadProgress) || !TypeUtils.isNullOrUndefined(opts.uploadProgress))) {
+            
+            transport = createProgressTransport(transport,
+                                                opts.uploadProgress, opts.downloadProgress);
+        }
+        
+        var cache = me.cache;
+        var cacheMode : HttpCacheMode;
+        if (!TypeUtils.isNullOrUndefined(cache)) {
+            cacheMode = cache.mode;
+            
+            if (!TypeUtils.isNullOrUndefined(opts) &&
+                !TypeUtils.isNullOrUndefined(opts.cacheMode)) {
+                
+                cacheMode = opts.cacheMode;
+            }
+        }
+        
+        var sendRequest : () => void;
+        
+        var cancel = function(reason?: any) {
+            if (isFinished) {
+                return;
+            }
+            
+            me.info("Request has been cancelled.", getLogTag());
+            
+            if (TypeUtils.isNullOrUndefined(reason)) {
+                reason = "Request has been cancelled.";
+            }
+            
+            handleError(reason, ApiClientErrorContext.Cancelled);
+        };
+        
+        promise.cancel = cancel;
+        
+        var startAttempt = function() {
+            retryTimer = undefined;
+            
+            if (isFinished) {
+                return;
+            }
+            
+            if (!TypeUtils.isNullOrUndefined(cancellationToken) &&
+                cancellationToken.isCancellationRequested) {
+                
+                cancel(cancellationToken.reason);
+                return;
+            }
+            
+            try {
+                sendRequest();
+            }
+            catch (e) {
+                me.crit("[FATAL ERROR]: " + e, getLogTag());
+                
+                handleError(e, ApiClientErrorContext.Exception);
+            }
+        };
+        
+        var requestInterceptors = me.requestInterceptors.slice();
+        var responseInterceptors = me.responseInterceptors.slice();
+        if (!TypeUtils.isNullOrUndefined(authorizer) &&
+            !TypeUtils.isNullOrUndefined(authorizer.interceptResponse)) {
+            
+            // authorizer first
+            responseInterceptors.unshift((ctx) => authorizer.interceptResponse(ctx));
+        }
+        
+        var errorInterceptors = me.errorInterceptors.slice();
+        if (!TypeUtils.isNullOrUndefined(opts) &&
+            !TypeUtils.isNullOrUndefined(opts.interceptors)) {
+            
+            requestInterceptors = requestInterceptors.concat(opts.interceptors.request || []);
+            responseInterceptors = responseInterceptors.concat(opts.interceptors.response || []);
+            errorInterceptors = errorInterceptors.concat(opts.interceptors.error || []);
+        }
+        
+        var interceptorState = {};
+        
+        // each attempt starts with the original options,
+        // so interceptors and authorizers do not change them twice
+        var originalRequestOpts = getOwnProperties(httpRequestOpts);
+        originalRequestOpts.headers = getOwnProperties(httpRequestOpts.headers) || {};
+        
+        var resetRequestOptions = function() {
+            for (var p in getOwnProperties(httpRequestOpts)) {
+                delete httpRequestOpts[p];
+            }
+            
+            for (var p in originalRequestOpts) {
+                httpRequestOpts[p] = originalRequestOpts[p];
+            }
+            httpRequestOpts.headers = getOwnProperties(originalRequestOpts.headers);
+        };
+        
+        var replay = function() {
+            if (++replayCount > maxReplays) {
+                me.err("[REPLAY LIMIT EXCEEDED]: " + maxReplays, getLogTag());
+                
+                handleError("Request has been replayed more than " + maxReplays + " times!", ApiClientErrorContext.ReplayLimitExceeded);
+                return;
+            }
+            
+            me.dbg("Replaying request...", getLogTag());
+            startAttempt();
+        };
+        
+        sendRequest = function() {
+            var attempt = new RequestAttempt(attempts.length + 1);
+            attempts.push(attempt);
+            
+            resetRequestOptions();
+            
+            me.dbg("Attempt #" + attempt.number, getLogTag());
+            
+            var createInterceptorContext = function(response?: HTTP.HttpResponse, err?: any) {
+                return new InterceptorContext(me, httpRequestOpts, tag,
+                                              attempt.number, interceptorState,
+                                              response, err);
+            };
+            
+            var handleInterceptorError = function(e: any) {
+                me.crit("[INTERCEPTOR ERROR]: " + e, getLogTag());
+                
+                handleError(e, ApiClientErrorContext.Exception);
+            };
+            
+            var retryIfPossible = function(retryAfter?: number) : boolean {
+                var delay = getRetryDelay(retryPolicy, httpRequestOpts.method,
+                                          attempt.number, retryAfter);
+                if (false === delay) {
+                    return false;
+                }
+                
+                attempt.setRetryDelay(<number>delay);
+                me.warn("Attempt #" + attempt.number + " failed. Retrying in " + delay + " ms...", getLogTag());
+                
+                retryTimer = setTimeout(startAttempt, <number>delay);
+                return true;
+            };
+            
+            var processResponse = function(response: HTTP.HttpResponse) {
+                attempt.setResult(response.statusCode);
+                
+                // 'no content' replies have nothing to validate
+                var hasContent = 204 !== response.statusCode && 205 !== response.statusCode &&
+                                 !TypeUtils.isNullOrUndefined(response.content) &&
+                                 !isEmptyString(response.content.toString());
+                
+                if (!TypeUtils.isNullOrUndefined(schema) && hasContent &&
+                    response.statusCode >= 200 && response.statusCode < 300) {
+                    
+                    var schemaErrors: ISchemaError[];
+                    var json: any;
+                    try {
+                        json = new ApiClientResult(me, httpReq, response,
+                                                   tag).getJSON<any>();
+                        
+                        schemaErrors = validateSchema(json, schema);
+                    }
+                    catch (e) {
+                        schemaErrors = [{
+                            keyword: "json",
+                            message: "must be valid JSON: " + e,
+                            path: "",
+                            schemaPath: "#",
+                            value: undefined,
+                        }];
+                    }
+                    
+                    if (schemaErrors.length > 0) {
+                        var schemaError = new SchemaValidationError(schemaErrors, json, schema);
+                        me.warn("[SCHEMA VIOLATION]: " + schemaError.message, getLogTag());
+                        
+                        handleError(schemaError, ApiClientErrorContext.SchemaViolation);
+                        return;
+                    }
+                }
+                
+                if (!TypeUtils.isNullOrUndefined(validateResult) &&
+                    response.statusCode >= 200 && response.statusCode < 300) {
+                    
+                    var invalidReason: any;
+                    try {
+                        invalidReason = validateResult(new ApiClientResult(me, httpReq, response,
+                                                                           tag));
+                    }
+                    catch (e) {
+                        invalidReason = e;
+                    }
+                    
+                    if (!TypeUtils.isNullOrUndefined(invalidReason)) {
+                        me.warn("[INVALID RESULT]: " + invalidReason, getLogTag());
+                        
+                        handleError(invalidReason, ApiClientErrorContext.InvalidResult);
+                        return;
+                    }
+                }
+                
+                if (isRetryableStatus(retryPolicy, response.statusCode)) {
+                    var retryAfter : number;
+                    if (429 === response.statusCode || 503 === response.statusCode) {
+                        retryAfter = parseRetryAfter(getHeaderValue(response.headers, "Retry-After"));
+                    }
+                    
+                    if (retryIfPossible(retryAfter)) {
+                        return;
+                    }
+                }
+                
+                handleResponse(response);
+            };
+            
+            var onResponse = function(response: HTTP.HttpResponse) {
+                if (isFinished) {
+                    // cancelled
+                    return;
+                }
+                
+                var ctx = createInterceptorContext(response);
+                invokeInterceptors(responseInterceptors, ctx).then(function() {
+                    if (isFinished) {
+                        return;
+                    }
+                    
+                    if (ctx.isReplayRequested) {
+                        attempt.setResult(response.statusCode);
+                        
+                        replay();
+                        return;
+                    }
+                    
+                    processResponse(ctx.response);
+                }, handleInterceptorError);
+            };
+            
+            var onError = function(err: any) {
+                if (err instanceof LocalRejection) {
+                    me.warn("[REJECTED]: " + err.message, getLogTag());
+                    
+                    attempt.setResult(undefined, err.message);
+                    
+                    // no interceptors and retries
+                    handleError(err.message, ApiClientErrorContext.Rejected);
+                    return;
+                }
+                
+                me.err("[ERROR]: " + err, getLogTag());
+                
+                attempt.setResult(undefined, err);
+                
+                if (isFinished) {
+                    // cancelled
+                    return;
+                }
+                
+                var ctx = createInterceptorContext(undefined, err);
+                invokeInterceptors(errorInterceptors, ctx).then(function() {
+                    if (isFinished) {
+                        return;
+                    }
+                    
+                    if (ctx.isReplayRequested) {
+                        replay();
+                        return;
+                    }
+                    
+                    if (ctx.hasResponded) {
+                        // recovered
+                        processResponse(ctx.response);
+                        return;
+                    }
+                    
+                    if (!TypeUtils.isNullOrUndefined(retryPolicy) &&
+                        false !== retryPolicy.retryOnError) {
+                        
+                        if (retryIfPossible()) {
+                            return;
+                        }
+                    }
+                    
+                    handleError(ctx.error, ApiClientErrorContext.ClientError);
+                }, handleInterceptorError);
+            };
+            
+            // authorization
+            // 
+            // do this for each attempt and AFTER the request interceptors
+            // have changed URL, method, headers and content, so authorizers
+            // sign what is really sent
+            var authorize = function() : any {
+                if (!TypeUtils.isNullOrUndefined(authorizer)) {
+                    return authorizer.prepare(httpRequestOpts);
+                }
+            };
+            
+            // send via cache (if available)
+            var sendHttpRequest = function() {
+                if (TypeUtils.isNullOrUndefined(cache) ||
+                    HttpCacheMode.Bypass === cacheMode) {
+                    
+                    transport.send(httpRequestOpts)
+                             .then(onResponse, onError);
+                    return;
+                }
+                
+                var cacheUrl = httpRequestOpts.url;
+                
+                if ("GET" !== httpRequestOpts.method) {
+                    transport.send(httpRequestOpts).then(function(response) {
+                        if (response.statusCode < 400) {
+                            // unsafe methods invalidate the cached entry
+                            Promise.resolve(cache.remove(cacheUrl)).then(null, (e) => {
+                                me.warn("Could not remove cache entry: " + e, getLogTag());
+                            });
+                        }
+                        
+                        onResponse(response);
+                    }, onError);
+                    return;
+                }
+                
+                var requestNetwork = function(entry: IHttpCacheEntry,
+                                              onNetworkResponse: (response: HTTP.HttpResponse) => void, onNetworkError: (err: any) => void) {
+                    var netOpts = httpRequestOpts;
+                    if (!TypeUtils.isNullOrUndefined(entry)) {
+                        // revalidate
+                        netOpts = getOwnProperties(httpRequestOpts);
+                        netOpts.headers = getOwnProperties(httpRequestOpts.headers) || {};
+                        
+                        var etag = getHeaderValue(entry.headers, "ETag");
+                        if (!isEmptyString(etag)) {
+                            netOpts.headers["If-None-Match"] = etag;
+                        }
+                        
+                        var lastModified = getHeaderValue(entry.headers, "Last-Modified");
+                        if (!isEmptyString(lastModified)) {
+                            netOpts.headers["If-Modified-Since"] = lastModified;
+                        }
+                    }
+                    
+                    transport.send(netOpts).then(function(response) : any {
+                        if (304 === response.statusCode &&
+                            !TypeUtils.isNullOrUndefined(entry)) {
+                            
+                            me.dbg("Cached content is still valid.", getLogTag());
+                            
+                            return refreshCacheEntry(cache, cacheUrl, entry, response).then(function(newEntry) {
+                                return createHttpResponse(newEntry.code, newEntry.headers, newEntry.body);
+                            });
+                        }
+                        
+                        if (200 === response.statusCode) {
+                            cache.put(cacheUrl, response, netOpts.headers).then(null, (e) => {
+                                me.warn("Could not update cache: " + e, getLogTag());
+                            });
+                        }
+                        
+                        return response;
+                    }).then(onNetworkResponse, onNetworkError);
+                };
+                
+                cache.get(cacheUrl, httpRequestOpts.headers).then(null, (e) => {
+                    me.warn("Could not read from cache: " + e, getLogTag());
+                    return null;
+                }).then(function(entry) {
+                    if (isFinished) {
+                        return;
+                    }
+                    
+                    var fromCache = function() {
+                        me.dbg("Using cached content.", getLogTag());
+                        
+                        return createHttpResponse(entry.code, entry.headers, entry.body);
+                    };
+                    
+                    var isFresh = !TypeUtils.isNullOrUndefined(entry) &&
+                                  entry.expiresAt > Date.now();
+                    
+                    switch (cacheMode) {
+                        case HttpCacheMode.CacheOnly:
+                            if (!TypeUtils.isNullOrUndefined(entry)) {
+                                onResponse(fromCache());
+                            }
+                            else {
+                                // s. 'only-if-cached'
+                                onResponse(createHttpResponse(504, {}, null));
+                            }
+                            break;
+                            
+                        case HttpCacheMode.NetworkFirst:
+                            requestNetwork(entry, onResponse, function(err) {
+                                if (TypeUtils.isNullOrUndefined(entry)) {
+                                    onError(err);
+                                    return;
+                                }
+                                
+                                me.warn("Network failed: " + err, getLogTag());
+                                onResponse(fromCache());
+                            });
+                            break;
+                            
+                        case HttpCacheMode.StaleWhileRevalidate:
+                            if (TypeUtils.isNullOrUndefined(entry)) {
+                                requestNetwork(entry, onResponse, onError);
+                                break;
+                            }
+                            
+                            onResponse(fromCache());
+                            
+                            if (!isFresh) {
+                                // update in background
+                                requestNetwork(entry, () => { }, (err) => {
+                                    me.warn("Could not revalidate cached content: " + err, getLogTag());
+                                });
+                            }
+                            break;
+                            
+                        default:
+                            if (isFresh) {
+                                onResponse(fromCache());
+                            }
+                            else {
+                                requestNetwork(entry, onResponse, onError);
+                            }
+                            break;
+                    }
+                }).then(null, handleInterceptorError);
+            };
+            
+            var reqCtx = createInterceptorContext();
+            invokeInterceptors(requestInterceptors, reqCtx).then(function() {
+                if (isFinished) {
+                    return;
+                }
+                
+                if (reqCtx.hasResponded) {
+                    me.dbg("Request has been answered by an interceptor.", getLogTag());
+                    
+                    onResponse(reqCtx.response);
+                    return;
+                }
+                
+                return Promise.resolve(authorize()).then(function() {
+                    if (!isFinished) {
+                        sendHttpRequest();
+                    }
+                });
+            }).then(null, handleInterceptorError);
+        };
+        
+        if (!TypeUtils.isNullOrUndefined(cancellationToken)) {
+            unregisterCancellation = cancellationToken.register(cancel);
+        }
+        
+        startAttempt();
+        
+        return promise;
     }
     
-    public get client(): IApiClient {
-        return this._client;
+    public rateLimiter: RateLimiter;
+    
+    public requestInterceptors : ((ctx : IRequestInterceptorContext) => any)[] = [];
+    
+    public responseInterceptors : ((ctx : IResponseInterceptorContext) => any)[] = [];
+    
+    public retryPolicy: IRetryPolicy;
+    
+    public route: string;
+    
+    public routeParams: any;
+    
+    public routes: RouteTable;
+    
+    public schema: any;
+    
+    public setAuthorizer(newAuthorizer: IAuthorizer) : ApiClient {
+        this.authorizer = newAuthorizer;
+        return this;
     }
     
-    public get context() : ApiClientErrorContext {
-        return this._context;
+    public serverError(serverErrAction : (result : IApiClientResult) => void): ApiClient {
+        return this.ifStatus((code) => code >= 500 && code <= 599,
+                             serverErrAction);
+    }
+
+    public serviceUnavailable(unavailableAction : (result : IApiClientResult) => void) : ApiClient {
+        return this.status(503, unavailableAction);
     }
     
-    protected createLogMessage(msg: any, tag: string,
-                               category : LogCategory, priority : LogPriority) : ILogMessage {
-        
-        return new LogMessage(LogSource.Error,
-                              new Date(),
-                              msg, tag,
-                              category, priority);
+    public setBaseUrl(newValue: string) : ApiClient {
+        this.baseUrl = newValue;
+        return this;
     }
     
-    public get error() : any {
-        return this._error;
+    public setCache(newValue: HttpCache) : ApiClient {
+        this.cache = newValue;
+        return this;
     }
     
-    public handled: boolean = false;
+    public setCoalescer(newValue: RequestCoalescer) : ApiClient {
+        this.coalescer = newValue;
+        return this;
+    }
     
-    protected onLog(msg : ILogMessage) {
-        invokeLogActions(this._client, msg);
+    public setCookieJar(newValue: CookieJar) : ApiClient {
+        if (!TypeUtils.isNullOrUndefined(newValue) &&
+            TypeUtils.isNullOrUndefined(newValue.logger)) {
+            
+            newValue.logger = this;
+        }
+        
+        this.cookieJar = newValue;
+        return this;
     }
     
-    public get request() : HttpRequest {
-        return this._request;
+    public setHarRecorder(newValue: HarRecorder) : ApiClient {
+        this.harRecorder = newValue;
+        return this;
     }
     
-    public get tag() : any {
-        return this._tag;
+    public setRetryPolicy(newValue : IRetryPolicy) : ApiClient {
+        this.retryPolicy = newValue;
+        return this;
     }
-}
+    
+    public setRoute(newValue : string) : ApiClient {
+        this.route = newValue;
+        return this;
+    }
+    
+    public setRoutes(newValue : RouteTable) : ApiClient {
+        this.routes = newValue;
+        return this;
+    }
+    
+    public setSchema(newValue : any) : ApiClient {
+        this.schema = newValue;
+        return this;
+    }
+    
+    public setTransport(newValue : ITransport) : ApiClient {
+        this.transport = newValue;
+        return this;
+    }
+    
+    public status(code: number, statusAction : (result : IApiClientResult) => void) : ApiClient {
+        this.ifStatus((sc) => code == sc,
+                      statusAction);
+        return this;
+    }
+
+    public succeededRequest(succeededAction : (result : IApiClientResult) => void): ApiClient {
+        return this.ifStatus((code) => code >= 200 && code <= 299,
+                             succeededAction);
+    }
+
+    public success(successAction: (result : IApiClientResult) => void) : ApiClient {
+        this.successAction = successAction;
+        return this;
+    }
+    
+    public successAction: (ctx : IApiClientResult) => void;
+    
+    public tooManyRequests(tooManyAction : (result : IApiClientResult) => void) : ApiClient {
+        return this.status(429, tooManyAction);
+    }
+    
+    public transport: ITransport;
+    
+    public unauthorized(unauthorizedAction : (result : IApiClientResult) => void) : ApiClient {
+        return this.status(401, unauthorizedAction);
+    }
+    
+    public unsupportedMediaType(unsupportedAction : (result : IApiClientResult) => void) : ApiClient {
+        return this.status(415, unsupportedAction);
+    }
+    
+    public uriTooLong(tooLongAction : (result : IApiClientResult) => void) : ApiClient {
+        return this.status(414, tooLongAction);
+    }
+    
+    public urlFor(name: string, params?: any) : string {
+        var me = this;
+        
+        var routes = me.routes;
+        if (TypeUtils.isNullOrUndefined(routes)) {
+            throw "No route table defined!";
+        }
+        
+        var template = routes.getTemplate(name);
+        
+        var url = encodeURI(me.baseUrl);
+        
+        var path = template.expand(params);
+        if ("" !== path) {
+            url = url.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, "");
+        }
+        
+        // parameters, which are not part of the route,
+        // are sent as URL parameters
+        var urlParamPairs : string[][] = [];
+        {
+            var allUrlParams = [getOwnProperties(me.params), getOwnProperties(params)];
+            
+            for (var i = 0; i < allUrlParams.length; i++) {
+                var urlParams = allUrlParams[i];
+                if (TypeUtils.isNullOrUndefined(urlParams)) {
+                    continue;
+                }
+                
+                for (var up in urlParams) {
+                    if (i > 0 && template.hasParameter(up)) {
+                        continue;
+                    }
+                    
+                    var funcDepth = 0;
+                    var urlParamValue = urlParams[up];
+                    while (typeof urlParamValue === "function") {
+                        urlParamValue = urlParamValue(up, urlParamPairs.length, funcDepth++);
+                    }
+                    
+                    serializeParam(up, urlParamValue,
+                                   me.paramArrayFormat, me.paramObjectFormat,
+                                   urlParamPairs);
+                }
+            }
+        }
+        
+        if (urlParamPairs.length > 0) {
+            url += url.indexOf("?") > -1 ? "&" : "?";
+            url += urlParamPairs.map((p) => encodeURIComponent(p[0]) + "=" + encodeURIComponent(p[1]))
+                                .join("&");
+        }
+        
+        return url;
+    }
+}
+
+class ApiClientCompleteContext extends LoggerBase implements IApiClientCompleteContext {    
+    private _attempts: RequestAttempt[];
+    private _client: ApiClient;
+    private _error: ApiClientError;
+    private _request: HttpRequest;
+    private _result: ApiClientResult;
+    private _tag: any;
+    
+    constructor(client: ApiClient, request: HttpRequest, result: ApiClientResult, err: ApiClientError,
+                tag: any, attempts: RequestAttempt[]) {
+                    
+        super();
+        
+        this._client = client;
+        this._request = request;
+        this._result = result;
+        this._error = err;
+        this._tag = tag;
+        this._attempts = attempts;
+    }
+    
+    public get attempts() : RequestAttempt[] {
+        return this._attempts;
+    }
+    
+    public get client() : ApiClient {
+        return this._client;
+    }
+    
+    protected createLogMessage(msg: any, tag: string,
+                               category : LogCategory, priority : LogPriority) : ILogMessage {
+        
+        return new LogMessage(LogSource.Complete,
+                              new Date(),
+                              msg, tag,
+                              category, priority);
+    }
+    
+    public get error(): ApiClientError {
+        return this._error;
+    }
+    
+    protected onLog(msg: ILogMessage) {
+        invokeLogActions(this._client, msg);
+    }
+    
+    public get request(): HttpRequest {
+        return this._request;
+    }
+    
+    public get result(): ApiClientResult {
+        return this._result;
+    }
+    
+    public get tag(): any {
+        return this._tag;
+    }
+}
+
+class ApiClientError extends LoggerBase implements IApiClientError {
+    private _client: ApiClient;
+    private _context: ApiClientErrorContext;
+    private _error: any;
+    private _request: HttpRequest;
+    private _tag: any;
+    
+    constructor(client : ApiClient, request: HttpRequest, error: any, ctx: ApiClientErrorContext,
+                tag: any) {
+        super();
+        
+        this._client = client;
+        this._request = request;
+        this._error = error;
+        this._context = ctx;
+        this._tag = tag;
+    }
+    
+    public get client(): IApiClient {
+        return this._client;
+    }
+    
+    public get context() : ApiClientErrorContext {
+        return this._context;
+    }
+    
+    protected createLogMessage(msg: any, tag: string,
+                               category : LogCategory, priority : LogPriority) : ILogMessage {
+        
+        return new LogMessage(LogSource.Error,
+                              new Date(),
+                              msg, tag,
+                              category, priority);
+    }
+    
+    public get error() : any {
+        return this._error;
+    }
+    
+    public handled: boolean = false;
+    
+    protected onLog(msg : ILogMessage) {
+        invokeLogActions(this._client, msg);
+    }
+    
+    public get request() : HttpRequest {
+        return this._request;
+    }
+    
+    public get tag() : any {
+        return this._tag;
+    }
+}
 
 /**
  * List of API client result contextes.
@@ -1000,7 +2241,44 @@ export enum ApiClientErrorContext {
     /**
      * "Unhandled" exception.
      */
-    Exception
+    Exception,
+    
+    /**
+     * Request has been cancelled.
+     */
+    Cancelled,
+    
+    /**
+     * Request has been rejected locally,
+     * by circuit breaker or rate limiter.
+     */
+    Rejected,
+    
+    /**
+     * Response has a status code of 2xx,
+     * but its content describes an error,
+     * like the 'errors' of a GraphQL response.
+     */
+    InvalidResult,
+    
+    /**
+     * Response has a status code of 2xx,
+     * but its JSON content does not match the
+     * schema of the client or the request.
+     */
+    SchemaViolation,
+    
+    /**
+     * Interceptors requested more replays
+     * than the maximum number of replays.
+     */
+    ReplayLimitExceeded,
+    
+    /**
+     * Request could not be set up, e.g. because of
+     * an invalid route parameter or content.
+     */
+    InvalidRequest,
 }
 
 class ApiClientResult extends LoggerBase implements IApiClientResult {
@@ -1053,6 +2331,52 @@ class ApiClientResult extends LoggerBase implements IApiClientResult {
         return this.getJSON<IAjaxResult<TData>>();
     }
     
+    public getContent<T>() : T {
+        var contentType = parseContentType(getHeaderValue(this._reponse.headers, "Content-Type"));
+        
+        var ctx : IContentDecoderContext = {
+            mime: contentType.mime,
+            parameters: contentType.parameters,
+            result: this,
+        };
+        
+        // custom decoders of client, then
+        // global ones and the build-in decoders at last
+        var decoderLists = [
+            this._client.decoders,
+            GlobalDecoders,
+            BuildInDecoders,
+        ];
+        for (var i = 0; i < decoderLists.length; i++) {
+            var list = decoderLists[i];
+            
+            for (var j = 0; j < list.length; j++) {
+                var d = list[j];
+                if (isMimeMatching(d.mime, ctx.mime)) {
+                    return d.decoder(ctx);
+                }
+            }
+        }
+        
+        if (isEmptyString(ctx.mime) || 0 === ctx.mime.indexOf("text/")) {
+            return <any>this.getString();
+        }
+        
+        return this.content;
+    }
+    
+    public getEvents() : IServerSentEvent[] {
+        var events: IServerSentEvent[] = [];
+        
+        var parser = new EventStreamParser((e) => {
+            events.push(e);
+        });
+        parser.write(this.getString() || "");
+        parser.end();
+        
+        return events;
+    }
+    
     public getFile(destFile?: string) : FileSystem.File {
         if (arguments.length < 1) {
             return this._reponse.content.toFile();
@@ -1076,6 +2400,27 @@ class ApiClientResult extends LoggerBase implements IApiClientResult {
         return JSON.parse(json);
     }
     
+    public getMarkdown(dialect?: string) : string {
+        var md = this._reponse.content.toString();
+        if (isEmptyString(md)) {
+            return null;
+        }
+        
+        return Markdown.toHTML(md, dialect);
+    }
+    
+    public getNdjson<T>() : T[] {
+        var items: T[] = [];
+        
+        var parser = new NdjsonParser((item) => {
+            items.push(item);
+        });
+        parser.write(this.getString() || "");
+        parser.end();
+        
+        return items;
+    }
+    
     public getString() : string {
         var str = this._reponse.content.toString();
         if (TypeUtils.isNullOrUndefined(str)) {
@@ -1085,6 +2430,25 @@ class ApiClientResult extends LoggerBase implements IApiClientResult {
         return str;
     }
     
+    public getXml(processNamespaces?: boolean, angularSyntax?: boolean) : XmlObjects.XDocument {
+        var xml = this._reponse.content.toString();
+        if (isEmptyString(xml)) {
+            return null;
+        }
+        
+        return XmlObjects.parse(xml,
+                                processNamespaces, angularSyntax);
+    }
+    
+    public getYaml<T>() : T {
+        var yaml = this._reponse.content.toString();
+        if (isEmptyString(yaml)) {
+            return null;
+        }
+        
+        return Yaml.safeLoad(yaml);
+    }
+    
     public get headers(): HTTP.Headers {
         return this._reponse.headers;
     }
@@ -1111,1709 +2475,13019 @@ class ApiClientResult extends LoggerBase implements IApiClientResult {
 }
 
 /**
- * An authorizer for basic authentication.
+ * A sequence of items that are loaded asynchronously,
+ * with operators like in the 'enumerable' module.
  */
-export class BasicAuth implements IAuthorizer {
-    private _password : string;
-    private _username : string;
+export abstract class AsyncSequence<T> {
+    /**
+     * The current item.
+     */
+    protected _current: T;
     
     /**
-     * Initializes a new instance of that class.
+     * Counts the items.
      * 
-     * @param {String} username The username.
-     * @param {String} pwd The password.
+     * @param any [predicate] The optional predicate to use.
+     * 
+     * @return {Promise<Number>} The promise with the number of items.
      */
-    constructor(username : string, pwd : string) {
-        this._username = username;
-        this._password = pwd;
+    public count(predicate?: any) : Promise<number> {
+        predicate = Enumerable.toPredicateSafe(predicate);
+        
+        var cnt = 0;
+        return this.each((x, index) => {
+            if (predicate(x, index)) {
+                ++cnt;
+            }
+        }).then(() => cnt);
     }
     
     /**
-     * Gets the password.
+     * Gets the current item.
      * 
      * @property
      */
-    public get password() : string {
-        return this._password;
-    }
-    
-    /** @inheritdoc */
-    public prepare(reqOpts : HTTP.HttpRequestOptions) {
-        reqOpts.headers["Authorization"] = "Basic " + encodeBase64(this._username + ":" + this._password);
+    public get current() : T {
+        return this._current;
     }
     
     /**
-     * Gets the username.
+     * Invokes an action for each item.
+     * If the action returns a promise, the next item is not loaded until it is completed.
      * 
-     * @property
+     * @param any action The action to invoke.
+     * 
+     * @return {Promise<any>} The promise with the last result of the action.
      */
-    public get username() : string {
-        return this._username;
+    public each(action: any) : Promise<any> {
+        var me = this;
+        
+        action = Enumerable.asFunc(action);
+        
+        var index = -1;
+        var result;
+        var next = function() : Promise<any> {
+            return me.moveNext().then((hasItem) => {
+                if (!hasItem) {
+                    return result;
+                }
+                
+                return Promise.resolve(action(me.current, ++index)).then((r) => {
+                    result = r;
+                    return next();
+                });
+            });
+        };
+        
+        return next();
     }
-}
-
-/**
- * An authorizer for bearer authentication.
- */
-export class BearerAuth implements IAuthorizer {
-    private _token : string;
     
     /**
-     * Initializes a new instance of that class.
+     * Returns the first (matching) item.
      * 
-     * @param {String} token The token.
+     * @param any [predicate] The optional predicate to use.
+     * 
+     * @return {Promise<T>} The promise with the item, which is rejected if there is no (matching) item.
      */
-    constructor(token : string) {
-        this._token = token;
+    public first(predicate?: any) : Promise<T> {
+        return this.where(predicate).moveNextAndGet((hasItem, item) => {
+            if (!hasItem) {
+                throw "Sequence contains NO element!";
+            }
+            
+            return item;
+        });
     }
     
-    /** @inheritdoc */
-    public prepare(reqOpts : HTTP.HttpRequestOptions) {
-        reqOpts.headers["Authorization"] = "Bearer " + this._token;
+    /**
+     * Returns the first (matching) item or a default value.
+     * 
+     * @param any [predicate] The optional predicate to use.
+     * @param any [defaultValue] The default value.
+     * 
+     * @return {Promise<any>} The promise with the item or the default value.
+     */
+    public firstOrDefault(predicate?: any, defaultValue?: any) : Promise<any> {
+        return this.where(predicate).moveNextAndGet((hasItem, item) => {
+            return hasItem ? item : defaultValue;
+        });
     }
     
     /**
-     * Gets the token.
+     * Tries to move to the next item.
      * 
-     * @property
+     * @return {Promise<Boolean>} The promise with the value that indicates if there is a next item or not.
      */
-    public get token() : string {
-        return this._token;
-    }
-}
-
-class FormatProviderContext implements IFormatProviderContext {
-    private _expression: string;
-    private _value: any;
+    public abstract moveNext() : Promise<boolean>;
     
-    constructor(expr: string, val: any) {
-        this._expression = expr;
-        this._value = val;
+    private moveNextAndGet<TResult>(selector: (hasItem: boolean, item: T) => TResult) : Promise<TResult> {
+        var me = this;
+        
+        return this.moveNext().then((hasItem) => {
+            return selector(hasItem, hasItem ? me.current : undefined);
+        });
     }
     
-    public get expression(): string {
-        return this._expression;
-    }
+    /**
+     * Resets the sequence.
+     * 
+     * @chainable
+     */
+    public abstract reset() : AsyncSequence<T>;
     
-    public handled: boolean = false;
+    /**
+     * Projects each item to a new value.
+     * 
+     * @param any selector The selector.
+     * 
+     * @return {AsyncSequence} The new sequence.
+     */
+    public select<U>(selector: any) : AsyncSequence<U> {
+        var me = this;
+        
+        selector = Enumerable.asFunc(selector);
+        
+        var index = -1;
+        return new DelegateAsyncSequence<U>(this, (seq) => {
+            return me.moveNext().then((hasItem) => {
+                if (hasItem) {
+                    seq.setCurrent(selector(me.current, ++index));
+                }
+                
+                return hasItem;
+            });
+        }, () => {
+            index = -1;
+        });
+    }
     
-    public get value(): any {
-        return this._value;
+    /**
+     * Skips a number of items.
+     * 
+     * @param {Number} cnt The number of items to skip.
+     * 
+     * @return {AsyncSequence} The new sequence.
+     */
+    public skip(cnt: number) : AsyncSequence<T> {
+        return this.skipWhile((x, index) => index < cnt);
     }
-}
-
-/**
- * List of known HTTP request methods.
- */
-export enum HttpMethod {
-    GET,
-    POST, 
-    PUT,
-    PATCH,   
-    DELETE,
-    HEAD,
-    TRACE,
-    OPTIONS,
-    CONNECT
-}
-
-class HttpRequest implements IHttpRequest {
-    private _client: ApiClient;
-    private _opts: HTTP.HttpRequestOptions;
     
-    constructor(client: ApiClient, reqOpts : HTTP.HttpRequestOptions) {
-        this._client = client;
-        this._opts = reqOpts;
+    /**
+     * Skips items while a condition matches.
+     * 
+     * @param any predicate The predicate.
+     * 
+     * @return {AsyncSequence} The new sequence.
+     */
+    public skipWhile(predicate: any) : AsyncSequence<T> {
+        var me = this;
+        
+        predicate = Enumerable.asFunc(predicate);
+        
+        var index = -1;
+        var isSkipping = true;
+        return new DelegateAsyncSequence<T>(this, (seq) => {
+            var next = function() : Promise<boolean> {
+                return me.moveNext().then((hasItem) => {
+                    if (!hasItem) {
+                        return false;
+                    }
+                    
+                    if (isSkipping) {
+                        if (predicate(me.current, ++index)) {
+                            return next();
+                        }
+                        
+                        isSkipping = false;
+                    }
+                    
+                    seq.setCurrent(me.current);
+                    return true;
+                });
+            };
+            
+            return next();
+        }, () => {
+            index = -1;
+            isSkipping = true;
+        });
     }
     
-    public get body() : any {
-        return this._opts.content;
+    /**
+     * Takes a number of items.
+     * 
+     * @param {Number} cnt The number of items to take.
+     * 
+     * @return {AsyncSequence} The new sequence.
+     */
+    public take(cnt: number) : AsyncSequence<T> {
+        var me = this;
+        
+        var index = -1;
+        return new DelegateAsyncSequence<T>(this, (seq) => {
+            if (index + 1 >= cnt) {
+                // do not load more pages than needed
+                return Promise.resolve(false);
+            }
+            
+            return me.moveNext().then((hasItem) => {
+                if (hasItem) {
+                    ++index;
+                    seq.setCurrent(me.current);
+                }
+                
+                return hasItem;
+            });
+        }, () => {
+            index = -1;
+        });
     }
     
-    public get client() : ApiClient {
-        return this._client;
+    /**
+     * Takes items while a condition matches.
+     * 
+     * @param any predicate The predicate.
+     * 
+     * @return {AsyncSequence} The new sequence.
+     */
+    public takeWhile(predicate: any) : AsyncSequence<T> {
+        var me = this;
+        
+        predicate = Enumerable.asFunc(predicate);
+        
+        var index = -1;
+        var isTaking = true;
+        return new DelegateAsyncSequence<T>(this, (seq) => {
+            if (!isTaking) {
+                return Promise.resolve(false);
+            }
+            
+            return me.moveNext().then((hasItem) => {
+                if (!hasItem || !predicate(me.current, ++index)) {
+                    isTaking = false;
+                    return false;
+                }
+                
+                seq.setCurrent(me.current);
+                return true;
+            });
+        }, () => {
+            index = -1;
+            isTaking = true;
+        });
     }
     
-    public get headers(): any {
-        return this._opts.headers;
+    /**
+     * Loads all items and returns them as array.
+     * 
+     * @return {Promise<T[]>} The promise with the array.
+     */
+    public toArray() : Promise<T[]> {
+        var arr: T[] = [];
+        
+        return this.each((x) => {
+            arr.push(x);
+        }).then(() => arr);
     }
     
-    public get method(): string {
-        return this._opts.method;
+    /**
+     * Loads all items and returns them as sequence of the 'enumerable' module.
+     * 
+     * @return {Promise<Enumerable.IEnumerable<T>>} The promise with the sequence.
+     */
+    public toEnumerable() : Promise<Enumerable.IEnumerable<T>> {
+        return this.toArray().then((arr) => {
+            return Enumerable.fromArray<T>(arr);
+        });
     }
     
-    public get url(): string {
-        return this._opts.url;
+    /**
+     * Filters the items.
+     * 
+     * @param any predicate The predicate.
+     * 
+     * @return {AsyncSequence} The new sequence.
+     */
+    public where(predicate: any) : AsyncSequence<T> {
+        var me = this;
+        
+        predicate = Enumerable.toPredicateSafe(predicate);
+        
+        var index = -1;
+        return new DelegateAsyncSequence<T>(this, (seq) => {
+            var next = function() : Promise<boolean> {
+                return me.moveNext().then((hasItem) => {
+                    if (!hasItem) {
+                        return false;
+                    }
+                    
+                    if (!predicate(me.current, ++index)) {
+                        return next();
+                    }
+                    
+                    seq.setCurrent(me.current);
+                    return true;
+                });
+            };
+            
+            return next();
+        }, () => {
+            index = -1;
+        });
     }
 }
 
 /**
- * List of known HTTP request / content types.
+ * An authorizer that signs requests with AWS Signature Version 4.
+ * 
+ * Bodies that cannot be hashed, like form data, are signed as 'UNSIGNED-PAYLOAD',
+ * which is only accepted by services like S3.
  */
-export enum HttpRequestType {
+export class AwsSigV4Authorizer implements IAuthorizer {
+    private _config: IAwsSigV4Config;
+    
     /**
-     * Raw / binary
+     * Initializes a new instance of that class.
+     * 
+     * @param {IAwsSigV4Config} config The configuration.
      */
-    Binary,
+    constructor(config: IAwsSigV4Config) {
+        this._config = config;
+    }
     
     /**
-     * JSON
+     * Gets the access key ID.
+     * 
+     * @property
      */
-    JSON,
+    public get accessKeyId() : string {
+        return this._config.accessKeyId;
+    }
     
     /**
-     * Xml
+     * Creates the canonical request.
+     * 
+     * @param {String} method The HTTP method.
+     * @param {String} url The (encoded) request URL.
+     * @param any headers The headers to sign (without 'Host').
+     * @param {String} payloadHash The SHA-256 hash of the body as hex string.
+     * 
+     * @return {String} The canonical request.
      */
-    Xml,
+    public createCanonicalRequest(method: string, url: string, headers: any, payloadHash: string) : string {
+        var urlParts = parseUrl(url);
+        var isS3 = "s3" === this.service;
+        
+        // path
+        var segments = urlParts.path.split("/").map((s) => decodeURIComponent(s));
+        if (!isS3) {
+            // remove dot segments and empty segments
+            var normalized: string[] = [];
+            for (var i = 0; i < segments.length; i++) {
+                var seg = segments[i];
+                
+                if ("" === seg || "." === seg) {
+                    continue;
+                }
+                
+                if (".." === seg) {
+                    normalized.pop();
+                }
+                else {
+                    normalized.push(seg);
+                }
+            }
+            
+            var isDirectory = /\/\.{0,2}$/.test(urlParts.path) && normalized.length > 0;
+            segments = [""].concat(normalized);
+            if (isDirectory) {
+                segments.push("");
+            }
+        }
+        
+        var canonicalUri = segments.map((s) => {
+            var encoded = encodeRfc3986(s);
+            if (!isS3) {
+                // each segment is encoded twice
+                encoded = encodeRfc3986(encoded);
+            }
+            
+            return encoded;
+        }).join("/");
+        if ("" === canonicalUri) {
+            canonicalUri = "/";
+        }
+        
+        // query
+        var query = parseUrlEncoded(urlParts.query).map((p) => [encodeRfc3986(p[0]), encodeRfc3986(p[1])]);
+        query.sort((x, y) => {
+            if (x[0] !== y[0]) {
+                return x[0] < y[0] ? -1 : 1;
+            }
+            
+            if (x[1] !== y[1]) {
+                return x[1] < y[1] ? -1 : 1;
+            }
+            
+            return 0;
+        });
+        
+        var canonicalHeaders = this.getCanonicalHeaders(url, headers);
+        
+        return [
+            methodToString(method),
+            canonicalUri,
+            query.map((p) => p[0] + "=" + p[1]).join("&"),
+            Object.keys(canonicalHeaders).map((h) => h + ":" + canonicalHeaders[h] + "\n").join(""),
+            Object.keys(canonicalHeaders).join(";"),
+            payloadHash,
+        ].join("\n");
+    }
     
     /**
-     * Text / string
+     * Creates the signature.
+     * 
+     * @param {String} stringToSign The string to sign.
+     * @param {String} dateStamp The date in format 'YYYYMMDD'.
+     * 
+     * @return {String} The signature as hex string.
      */
-    Text
-}
-
-/**
- * List of known HTTP status codes.
- */
-export enum HttpStatusCode {
-    Accepted = 202,
-    BadGateway = 502,
-    BadRequest = 400,
-    Conflict = 409,
-    Continue = 100,
-    Created = 201,
-    ExpectationFailed = 417,
-    Forbidden = 403,
-    GatewayTimeout = 504,
-    Gone = 410,
-    HttpVersionNotSupported = 505,
-    InternalServerError = 500,
-    LengthRequired = 411,
-    MethodNotAllowed = 405,
-    MovedPermanently = 301,
-    MultipleChoices = 300,
-    NoContent = 204,
-    NonAuthoritativeInformation = 203,
-    NotAcceptable = 406,
-    NotFound = 404,
-    NotImplemented = 501,
-    NotModified = 304,
-    OK = 200,
-    PartialContent = 206,
-    PaymentRequired = 402,
-    PreconditionFailed = 412,
-    ProxyAuthenticationRequired = 407,
-    Redirect = 302,
-    RequestedRangeNotSatisfiable = 416,
-    RequestEntityTooLarge = 413,
-    RequestTimeout = 408,
-    RequestUriTooLong = 414,
-    ResetContent = 205,
-    SeeOther = 303,
-    ServiceUnavailable = 503,
-    SwitchingProtocols = 101,
-    TemporaryRedirect = 307,
-    Unauthorized = 401,
-    UnsupportedMediaType = 415,
-    Unused = 306,
-    UpgradeRequired = 426,
-    UseProxy = 305,
-}
-
-/**
- * A helper object for wrapping API results.
- */
-export interface IAjaxResult<TData> {
+    public createSignature(stringToSign: string, dateStamp: string) : string {
+        var key = HmacSHA256(dateStamp, "AWS4" + this._config.secretAccessKey);
+        key = HmacSHA256(this.region, key);
+        key = HmacSHA256(this.service, key);
+        key = HmacSHA256("aws4_request", key);
+        
+        return HmacSHA256(stringToSign, key).toString(Hex);
+    }
+    
     /**
-     * Gets the code (if defined).
+     * Creates the string to sign.
      * 
-     * @property
+     * @param {String} canonicalRequest The canonical request.
+     * @param {String} amzDate The time in format 'YYYYMMDDTHHMMSSZ'.
+     * 
+     * @return {String} The string to sign.
      */
-    code? : number;
+    public createStringToSign(canonicalRequest: string, amzDate: string) : string {
+        return [
+            "AWS4-HMAC-SHA256",
+            amzDate,
+            this.getCredentialScope(amzDate.substr(0, 8)),
+            SHA256(canonicalRequest).toString(Hex),
+        ].join("\n");
+    }
+    
+    private getCanonicalHeaders(url: string, headers: any) : any {
+        var values: any = {
+            host: parseUrl(url).host,
+        };
+        
+        for (var h in getOwnProperties(headers)) {
+            var name = h.toLowerCase().trim();
+            if ("authorization" === name || "host" === name) {
+                continue;
+            }
+            
+            var value = ("" + headers[h]).trim().replace(/\s+/g, " ");
+            values[name] = TypeUtils.isNullOrUndefined(values[name]) ? value
+                                                                     : (values[name] + "," + value);
+        }
+        
+        var sorted = {};
+        var names = Object.keys(values).sort();
+        for (var i = 0; i < names.length; i++) {
+            sorted[names[i]] = values[names[i]];
+        }
+        
+        return sorted;
+    }
+    
+    private getCredentialScope(dateStamp: string) : string {
+        return [ dateStamp, this.region, this.service, "aws4_request" ].join("/");
+    }
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        var timestamp = this._config.timestamp;
+        if (TypeUtils.isNullOrUndefined(timestamp)) {
+            timestamp = new Date();
+        }
+        
+        // YYYYMMDDTHHMMSSZ
+        var amzDate = timestamp.toISOString().replace(/[:\-]|\.\d{3}/g, "");
+        
+        // hash the bytes that are sent,
+        // form data cannot be hashed, so it is not signed
+        var body = toWordArray(reqOpts.content);
+        var payloadHash = TypeUtils.isUndefined(body) ? "UNSIGNED-PAYLOAD"
+                                                      : SHA256(body).toString(Hex);
+        
+        reqOpts.headers["X-Amz-Date"] = amzDate;
+        if (!isEmptyString(this._config.sessionToken)) {
+            reqOpts.headers["X-Amz-Security-Token"] = this._config.sessionToken;
+        }
+        if ("s3" === this.service) {
+            reqOpts.headers["X-Amz-Content-Sha256"] = payloadHash;
+        }
+        
+        var canonicalRequest = this.createCanonicalRequest(reqOpts.method, reqOpts.url,
+                                                           reqOpts.headers, payloadHash);
+        var signature = this.createSignature(this.createStringToSign(canonicalRequest, amzDate),
+                                             amzDate.substr(0, 8));
+        
+        reqOpts.headers["Authorization"] = "AWS4-HMAC-SHA256 " +
+                                           "Credential=" + this.accessKeyId + "/" + this.getCredentialScope(amzDate.substr(0, 8)) + ", " +
+                                           "SignedHeaders=" + Object.keys(this.getCanonicalHeaders(reqOpts.url, reqOpts.headers)).join(";") + ", " +
+                                           "Signature=" + signature;
+    }
     
     /**
-     * Gets the message (if defined).
+     * Gets the region, like 'eu-central-1'.
      * 
      * @property
      */
-    msg?: string;
+    public get region() : string {
+        return this._config.region;
+    }
     
     /**
-     * The result data (if defined).
+     * Gets the service, like 's3' or 'execute-api'.
      * 
      * @property
      */
-    data?: TData;
+    public get service() : string {
+        return this._config.service;
+    }
 }
 
 /**
- * Describes an API client.
+ * An authorizer for basic authentication.
  */
-export interface IApiClient {
+export class BasicAuth implements IAuthorizer {
+    private _password : string;
+    private _username : string;
+    
     /**
-     * Adds a callback that can be used to format values of route parameters, e.g.
-     * 
-     * @chainable
+     * Initializes a new instance of that class.
      * 
-     * @param {Function} provider The callback that formats values.
+     * @param {String} username The username.
+     * @param {String} pwd The password.
      */
-    addFormatProvider(provider: (ctx: IFormatProviderContext) => any) : IApiClient;
+    constructor(username : string, pwd : string) {
+        this._username = username;
+        this._password = pwd;
+    }
     
     /**
-     * Adds a log action.
-     * 
-     * @chainable
+     * Gets the password.
      * 
-     * @param {Function} logAction The log action.
+     * @property
      */
-    addLogger(logAction : (ctx : ILogMessage) => void) : IApiClient;
+    public get password() : string {
+        return this._password;
+    }
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        reqOpts.headers["Authorization"] = "Basic " + encodeBase64(this._username + ":" + this._password);
+    }
     
     /**
-     * Gets or sets the deault authorizer.
+     * Gets the username.
+     * 
+     * @property
      */
-    authorizer: IAuthorizer;
+    public get username() : string {
+        return this._username;
+    }
+}
+
+/**
+ * An authorizer for bearer authentication.
+ */
+export class BearerAuth implements IAuthorizer {
+    private _token : string;
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 502 (bad gateway).
-     * 
-     * @chainable
+     * Initializes a new instance of that class.
      * 
-     * @param {Function} badGatewayAction The action to invoke.
+     * @param {String} token The token.
      */
-    badGateway(badGatewayAction : (result : IApiClientResult) => void) : IApiClient;
+    constructor(token : string) {
+        this._token = token;
+    }
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        reqOpts.headers["Authorization"] = "Bearer " + this._token;
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 400 (bad request).
-     * 
-     * @chainable
+     * Gets the token.
      * 
-     * @param {Function} notFoundAction The action to invoke.
+     * @property
      */
-    badRequest(badRequestAction : (result : IApiClientResult) => void) : IApiClient;
+    public get token() : string {
+        return this._token;
+    }
+}
+
+class CancellationToken implements ICancellationToken {
+    private _callbacks : ((reason: any) => void)[] = [];
+    private _isCancellationRequested = false;
+    private _reason: any;
+    
+    public cancel(reason?: any) {
+        if (this._isCancellationRequested) {
+            return;
+        }
+        
+        this._isCancellationRequested = true;
+        this._reason = reason;
+        
+        var callbacks = this._callbacks;
+        this._callbacks = [];
+        
+        var errors: any[] = [];
+        for (var i = 0; i < callbacks.length; i++) {
+            try {
+                callbacks[i](reason);
+            }
+            catch (e) {
+                errors.push(e);
+            }
+        }
+        
+        // a token has no loggers, so let the caller handle
+        // the first error, after all callbacks have been invoked
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+    }
+    
+    public get isCancellationRequested(): boolean {
+        return this._isCancellationRequested;
+    }
+    
+    public get reason(): any {
+        return this._reason;
+    }
+    
+    public register(callback: (reason: any) => void) : () => void {
+        var me = this;
+        
+        if (me._isCancellationRequested) {
+            callback(me._reason);
+            return () => { };
+        }
+        
+        me._callbacks.push(callback);
+        return function() {
+            var index = me._callbacks.indexOf(callback);
+            if (index > -1) {
+                me._callbacks.splice(index, 1);
+            }
+        };
+    }
+}
+
+/**
+ * A source for a token that can cancel one or more requests.
+ */
+export class CancellationTokenSource {
+    private _token = new CancellationToken();
     
     /**
-     * Gets or sets the base URL.
+     * Cancels all requests that use the token.
+     * If a registered callback throws, the other callbacks are invoked anyway
+     * and the first error is rethrown.
+     * 
+     * @param any [reason] The optional reason.
      */
-    baseUrl : string;
+    public cancel(reason?: any) {
+        this._token.cancel(reason);
+    }
     
     /**
-     * Defines an action that is invoked BEFORE a request starts.
+     * Gets if cancellation has been requested or not.
      * 
-     * @chainable
-     * 
-     * @param {Function} beforeAction The action to invoke.
+     * @property
      */
-    beforeSend(beforeAction : (opts : HTTP.HttpRequestOptions, tag: any) => void) : IApiClient;
+    public get isCancellationRequested(): boolean {
+        return this._token.isCancellationRequested;
+    }
     
     /**
-     * Defines an action that is invoked on a status code between 400 and 499.
-     * 
-     * @chainable
+     * Gets the token.
      * 
-     * @param {Function} clientErrAction The action to invoke.
+     * @property
      */
-    clientError(clientErrAction : (result : IApiClientResult) => void): IApiClient;
+    public get token(): ICancellationToken {
+        return this._token;
+    }
+}
+
+/**
+ * A circuit breaker that stops sending requests to a host,
+ * if it fails too often.
+ */
+export class CircuitBreaker {
+    private _circuits: any = {};
+    private _config: ICircuitBreakerConfig;
     
     /**
-     * Defines an action that is invoked on a status code between 400 and 599.
-     * 
-     * @chainable
+     * Initializes a new instance of that class.
      * 
-     * @param {Function} clientSrvErrAction The action to invoke.
+     * @param {ICircuitBreakerConfig} [config] The custom configuration.
      */
-    clientOrServerError(clientSrvErrAction : (result : IApiClientResult) => void): IApiClient;
+    constructor(config?: ICircuitBreakerConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._config = config;
+    }
     
     /**
-     * Defines the "complete" action.
+     * Checks if a request to a host can be sent.
      * 
-     * @chainable
+     * @param {String} host The host.
      * 
-     * @param {Function} completeAction The action to invoke.
+     * @return {Boolean} Can be sent or not.
      */
-    complete(completeAction : (ctx : IApiClientCompleteContext) => void) : IApiClient;
-
+    public allowRequest(host: string) : boolean {
+        var circuit = this.getCircuit(host);
+        
+        if (CircuitState.Open === circuit.state) {
+            if (Date.now() - circuit.openedAt < this.cooldown) {
+                return false;
+            }
+            
+            this.setState(host, CircuitState.HalfOpen);
+        }
+        
+        if (CircuitState.HalfOpen === circuit.state) {
+            if (circuit.isTrialRunning) {
+                // only one trial request at once
+                return false;
+            }
+            
+            circuit.isTrialRunning = true;
+        }
+        
+        return true;
+    }
+    
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 409 (conflict).
-     * 
-     * @chainable
+     * Gets the time in milliseconds a circuit stays open. Default: 30000
      * 
-     * @param {Function} conflictAction The action to invoke.
+     * @property
      */
-    conflict(conflictAction : (result : IApiClientResult) => void) : IApiClient;
+    public get cooldown() : number {
+        var cooldown = this._config.cooldown;
+        if (TypeUtils.isNullOrUndefined(cooldown)) {
+            cooldown = 30000;
+        }
+        
+        return cooldown;
+    }
     
     /**
-     * Starts a DELETE request.
+     * Gets the number of failures in a row that open a circuit. Default: 5
      * 
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @property
      */
-    delete(opts? : IRequestOptions);
+    public get failureThreshold() : number {
+        var threshold = this._config.failureThreshold;
+        if (TypeUtils.isNullOrUndefined(threshold)) {
+            threshold = 5;
+        }
+        
+        return threshold;
+    }
+    
+    private getCircuit(host: string) : any {
+        host = normalizeHost(host);
+        
+        var circuit = this._circuits[host];
+        if (TypeUtils.isNullOrUndefined(circuit)) {
+            circuit = this._circuits[host] = {
+                failures: 0,
+                isTrialRunning: false,
+                openedAt: 0,
+                state: CircuitState.Closed,
+                successes: 0,
+            };
+        }
+        
+        return circuit;
+    }
     
     /**
-     * Defines the "error" action.
+     * Returns the number of milliseconds until an open circuit can be tried again.
      * 
-     * @chainable
+     * @param {String} host The host.
      * 
-     * @param {Function} errAction The action to invoke.
+     * @return {Number} The time or 0 if the circuit is not open.
      */
-    error(errAction : (ctx : IApiClientError) => void) : IApiClient;
+    public getRetryAfter(host: string) : number {
+        var circuit = this.getCircuit(host);
+        if (CircuitState.Open !== circuit.state) {
+            return 0;
+        }
+        
+        return Math.max(0, circuit.openedAt + this.cooldown - Date.now());
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 403 (forbidden).
+     * Returns the state of the circuit of a host.
      * 
-     * @chainable
+     * @param {String} host The host.
      * 
-     * @param {Function} forbiddenAction The action to invoke.
+     * @return {CircuitState} The state.
      */
-    forbidden(forbiddenAction : (result : IApiClientResult) => void) : IApiClient;
+    public getState(host: string) : CircuitState {
+        return this.getCircuit(host).state;
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 504 (gateway timeout).
+     * Checks if a response or an error counts as failure.
      * 
-     * @chainable
+     * @param {Number} code The status code, if there is a response.
+     * @param any [err] The error, if there is no response.
      * 
-     * @param {Function} timeoutAction The action to invoke.
+     * @return {Boolean} Is failure or not.
      */
-    gatewayTimeout(timeoutAction: (result : IApiClientResult) => void) : IApiClient;
+    public isFailure(code: number, err?: any) : boolean {
+        if (!TypeUtils.isNullOrUndefined(this._config.isFailure)) {
+            return this._config.isFailure(code, err);
+        }
+        
+        return TypeUtils.isNullOrUndefined(code) ||
+               429 === code ||
+               code >= 500;
+    }
     
     /**
-     * Starts a GET request.
-     * 
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * Gets or sets the logger for errors of the 'onStateChange' callback,
+     * like the client that uses the breaker.
      */
-    get(opts? : IRequestOptions);
+    public logger: ILogger;
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 410 (gone).
-     * 
-     * @chainable
+     * Reports a failed request.
      * 
-     * @param {Function} goneAction The action to invoke.
+     * @param {String} host The host.
      */
-    gone(goneAction : (result : IApiClientResult) => void) : IApiClient;
+    public onFailure(host: string) {
+        var circuit = this.getCircuit(host);
+        circuit.isTrialRunning = false;
+        circuit.successes = 0;
+        
+        ++circuit.failures;
+        
+        if (CircuitState.HalfOpen === circuit.state ||
+            (CircuitState.Closed === circuit.state && circuit.failures >= this.failureThreshold)) {
+            
+            circuit.openedAt = Date.now();
+            this.setState(host, CircuitState.Open);
+        }
+    }
     
     /**
-     * Gets or sets the global request headers.
+     * Reports a succeeded request.
      * 
-     * @property
+     * @param {String} host The host.
      */
-    headers: any;
+    public onSuccess(host: string) {
+        var circuit = this.getCircuit(host);
+        circuit.isTrialRunning = false;
+        circuit.failures = 0;
+        
+        if (CircuitState.HalfOpen === circuit.state) {
+            if (++circuit.successes >= this.successThreshold) {
+                circuit.successes = 0;
+                this.setState(host, CircuitState.Closed);
+            }
+        }
+    }
     
     /**
-     * Invokes an action if a predicate matches.
-     * 
-     * @chainable
+     * Closes the circuit of a host or all circuits.
      * 
-     * @param {Function} predicate The predicate to use.
-     * @param {Function} statusAction The action to invoke.
+     * @param {String} [host] The host.
      */
-    if(predicate: (ctx : IApiClientResult) => boolean,
-       statusAction : (result : IApiClientResult) => void) : IApiClient;
+    public reset(host?: string) {
+        var hosts = TypeUtils.isNullOrUndefined(host) ? Object.keys(this._circuits)
+                                                      : [ normalizeHost(host) ];
+        
+        for (var i = 0; i < hosts.length; i++) {
+            var circuit = this.getCircuit(hosts[i]);
+            circuit.failures = 0;
+            circuit.isTrialRunning = false;
+            circuit.successes = 0;
+            
+            this.setState(hosts[i], CircuitState.Closed);
+        }
+    }
     
-    /**
-     * Invokes an action if a status matches.
-     * 
-     * @chainable
-     * 
-     * @param {Function} predicate The predicate to use.
-     * @param {Function} statusAction The action to invoke.
-     */
-    ifStatus(predicate: (code : number) => boolean,
-             statusAction : (result : IApiClientResult) => void) : IApiClient;
+    private setState(host: string, newState: CircuitState) {
+        var circuit = this.getCircuit(host);
+        
+        var oldState = circuit.state;
+        if (oldState === newState) {
+            return;
+        }
+        
+        circuit.state = newState;
+        
+        var onStateChange = this._config.onStateChange;
+        if (!TypeUtils.isNullOrUndefined(onStateChange)) {
+            try {
+                onStateChange({
+                    breaker: this,
+                    failures: circuit.failures,
+                    host: normalizeHost(host),
+                    newState: newState,
+                    oldState: oldState,
+                });
+            }
+            catch (e) {
+                if (!TypeUtils.isNullOrUndefined(this.logger)) {
+                    this.logger.err("onStateChange(): " + e, "CircuitBreaker");
+                }
+            }
+        }
+    }
     
     /**
-     * Defines an action that is invoked on a status code between 100 and 199.
+     * Gets the number of succeeded trial requests that close a circuit. Default: 1
      * 
-     * @chainable
-     * 
-     * @param {Function} infoAction The action to invoke.
+     * @property
      */
-    informational(infoAction: (result : IApiClientResult) => void) : IApiClient;
-    
+    public get successThreshold() : number {
+        var threshold = this._config.successThreshold;
+        if (TypeUtils.isNullOrUndefined(threshold)) {
+            threshold = 1;
+        }
+        
+        return threshold;
+    }
+}
+
+/**
+ * List of states of a circuit.
+ */
+export enum CircuitState {
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 507 (insufficient storage).
-     * 
-     * @chainable
-     * 
-     * @param {Function} insufficientAction The action to invoke.
+     * Requests are sent.
      */
-    insufficientStorage(insufficientAction : (result : IApiClientResult) => void) : IApiClient;
+    Closed,
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 500 (internal server error).
-     * 
-     * @chainable
-     * 
-     * @param {Function} errAction The action to invoke.
+     * Requests are rejected.
      */
-    internalServerError(errAction : (result : IApiClientResult) => void) : IApiClient;
+    Open,
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 423 (document not found).
-     * 
-     * @chainable
-     * 
-     * @param {Function} lockedAction The action to invoke.
+     * A trial request is sent to check if the host is available again.
      */
-    locked(lockedAction : (result : IApiClientResult) => void) : IApiClient;
+    HalfOpen,
+}
+
+/**
+ * Stores cookies, which are received from and sent to servers.
+ */
+export class CookieJar {
+    private _config: ICookieJarConfig;
+    private _cookies: ICookie[] = [];
+    private _loaded: Promise<any>;
+    private _store: ICookieStore;
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 405 (method not allowed).
-     * 
-     * @chainable
+     * Initializes a new instance of that class.
      * 
-     * @param {Function} notAllowedAction The action to invoke.
+     * @param {ICookieJarConfig} [config] The custom configuration.
      */
-    methodNotAllowed(notAllowedAction : (result : IApiClientResult) => void) : IApiClient;
+    constructor(config?: ICookieJarConfig) {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._config = config;
+        
+        this._store = config.store;
+        if (TypeUtils.isNullOrUndefined(this._store)) {
+            this._store = createValueStorageCookieStore(config.storage || AppSettingsStorage,
+                                                        isEmptyString(config.storageKey) ? "apiclient.cookies" : config.storageKey);
+        }
+        
+        // restore cookies of previous sessions
+        this._loaded = Promise.resolve().then(() => me._store.load()).then((cookies) => {
+            if (TypeUtils.isNullOrUndefined(cookies)) {
+                return;
+            }
+            
+            // cookies that have been received in the meantime win
+            var restoredCookies = cookies.filter((c) => {
+                return me._cookies.filter((x) => isSameCookie(x, c)).length < 1;
+            });
+            
+            me._cookies = restoredCookies.concat(me._cookies);
+        }, (err) => {
+            me.logError("Could not load cookies: " + err);
+        });
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 404 (document not found).
+     * Removes all cookies or the cookies of a domain.
      * 
-     * @chainable
+     * @param {String} [domain] The domain.
      * 
-     * @param {Function} notFoundAction The action to invoke.
+     * @return {Number} The number of removed cookies.
      */
-    notFound(notFoundAction : (result : IApiClientResult) => void) : IApiClient;
+    public clear(domain?: string) : number {
+        var oldCount = this._cookies.length;
+        
+        if (isEmptyString(domain)) {
+            this._cookies = [];
+        }
+        else {
+            domain = normalizeCookieDomain(domain);
+            
+            this._cookies = this._cookies.filter((c) => c.domain !== domain);
+        }
+        
+        var removed = oldCount - this._cookies.length;
+        if (removed > 0) {
+            this.save();
+        }
+        
+        return removed;
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 501 (not implemented).
-     * 
-     * @chainable
+     * Gets a copy of the list of all (not expired) cookies.
      * 
-     * @param {Function} notImplementedAction The action to invoke.
+     * @property
      */
-    notImplemented(notImplementedAction : (result : IApiClientResult) => void) : IApiClient;
+    public get cookies() : ICookie[] {
+        this.removeExpired();
+        
+        return this._cookies.map((c) => copyCookie(c));
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 200, 204 or 205 (OK; no content; reset content).
+     * Returns the value for the 'Cookie' header of a request.
      * 
-     * @chainable
+     * @param {String} url The (encoded) request URL.
      * 
-     * @param {Function} okAction The action to invoke.
+     * @return {String} The value or (null) if there are no cookies.
      */
-    ok(okAction: (result : IApiClientResult) => void) : IApiClient;
+    public getCookieHeader(url: string) : string {
+        var cookies = this.getCookies(url);
+        if (cookies.length < 1) {
+            return null;
+        }
+        
+        return cookies.map((c) => c.name + "=" + c.value)
+                      .join("; ");
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 413 (payload too large).
+     * Returns the cookies for a request.
      * 
-     * @chainable
+     * @param {String} url The (encoded) request URL.
      * 
-     * @param {Function} tooLargeAction The action to invoke.
+     * @return {ICookie[]} The cookies, ordered by the length of their path.
      */
-    payloadTooLarge(tooLargeAction: (result : IApiClientResult) => void) : IApiClient;
+    public getCookies(url: string) : ICookie[] {
+        this.removeExpired();
+        
+        var urlParts = parseUrl(url);
+        var host = normalizeCookieDomain(urlParts.host.replace(/:\d+$/, ""));
+        var isSecure = "https" === urlParts.scheme;
+        
+        var cookies = this._cookies.filter((c) => {
+            if (c.secure && !isSecure) {
+                return false;
+            }
+            
+            if (c.hostOnly ? host !== c.domain : !isDomainMatching(host, c.domain)) {
+                return false;
+            }
+            
+            return isPathMatching(urlParts.path, c.path);
+        });
+        
+        // longer paths first
+        cookies.sort((x, y) => {
+            if (x.path.length !== y.path.length) {
+                return y.path.length - x.path.length;
+            }
+            
+            return x.creationTime - y.creationTime;
+        });
+        
+        return cookies.map((c) => copyCookie(c));
+    }
     
     /**
-     * Gets or sets the global list of URL parameters.
+     * Gets the promise, which is completed after the cookies
+     * of previous sessions have been loaded.
      * 
      * @property
      */
-    params: any;
+    public get loaded() : Promise<any> {
+        return this._loaded;
+    }
     
-    /**
-     * Short hand method to define an action that is invoked
-     * for a status code 206 (partial content).
-     * 
-     * @chainable
-     * 
-     * @param {Function} partialAction The action to invoke.
-     */
-    partialContent(partialAction: (result : IApiClientResult) => void) : IApiClient;
+    private logError(msg: any) {
+        if (!TypeUtils.isNullOrUndefined(this.logger)) {
+            this.logger.err(msg, "CookieJar");
+        }
+    }
     
     /**
-     * Starts a PATCH request.
-     * 
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * Gets or sets the logger for errors of the store.
+     * If not defined, it is set by the first client that uses the jar.
      */
-    patch(opts? : IRequestOptions);
+    public logger: ILogger;
     
-    /**
-     * Starts a POST request.
-     * 
-     * @param {IRequestOptions} [opts] The (additional) options.
-     */
-    post(opts? : IRequestOptions);
+    private parseCookie(setCookie: string, url: string) : ICookie {
+        if (isEmptyString(setCookie)) {
+            return null;
+        }
+        
+        var urlParts = parseUrl(url);
+        var host = normalizeCookieDomain(urlParts.host.replace(/:\d+$/, ""));
+        
+        var parts = ("" + setCookie).split(";");
+        
+        var nameValue = parts.shift();
+        var eqIndex = nameValue.indexOf("=");
+        if (eqIndex < 1) {
+            return null;
+        }
+        
+        var now = Date.now();
+        
+        var cookie: ICookie = {
+            creationTime: now,
+            domain: host,
+            hostOnly: true,
+            httpOnly: false,
+            name: nameValue.substr(0, eqIndex).trim(),
+            path: null,
+            secure: false,
+            value: nameValue.substr(eqIndex + 1).trim(),
+        };
+        
+        var maxAge: number;
+        for (var i = 0; i < parts.length; i++) {
+            var attr = parts[i];
+            
+            var attrName = attr;
+            var attrValue = "";
+            
+            var attrEqIndex = attr.indexOf("=");
+            if (attrEqIndex > -1) {
+                attrName = attr.substr(0, attrEqIndex);
+                attrValue = attr.substr(attrEqIndex + 1).trim();
+            }
+            
+            switch (attrName.toLowerCase().trim()) {
+                case "domain":
+                    if ("" !== attrValue) {
+                        cookie.domain = normalizeCookieDomain(attrValue);
+                        cookie.hostOnly = false;
+                    }
+                    break;
+                    
+                case "expires":
+                    var expires = Date.parse(attrValue);
+                    if (!isNaN(expires)) {
+                        cookie.expires = expires;
+                    }
+                    break;
+                    
+                case "httponly":
+                    cookie.httpOnly = true;
+                    break;
+                    
+                case "max-age":
+                    if (/^-?\d+$/.test(attrValue)) {
+                        maxAge = parseInt(attrValue);
+                    }
+                    break;
+                    
+                case "path":
+                    if ("/" === attrValue[0]) {
+                        cookie.path = attrValue;
+                    }
+                    break;
+                    
+                case "samesite":
+                    cookie.sameSite = attrValue;
+                    break;
+                    
+                case "secure":
+                    cookie.secure = true;
+                    break;
+            }
+        }
+        
+        // 'Max-Age' wins
+        if (!TypeUtils.isNullOrUndefined(maxAge)) {
+            cookie.expires = maxAge > 0 ? (now + maxAge * 1000) : 0;
+        }
+        
+        if (!cookie.hostOnly) {
+            // no cookies for other domains
+            // or top level domains
+            if (!isDomainMatching(host, cookie.domain) ||
+                (cookie.domain.indexOf(".") < 0 && cookie.domain !== host)) {
+                
+                return null;
+            }
+        }
+        
+        if (TypeUtils.isNullOrUndefined(cookie.path)) {
+            // default path
+            var path = urlParts.path;
+            cookie.path = path.lastIndexOf("/") > 0 ? path.substr(0, path.lastIndexOf("/"))
+                                                    : "/";
+        }
+        
+        return cookie;
+    }
     
     /**
-     * Starts a PUT request.
+     * Removes a cookie.
      * 
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @param {String} name The name of the cookie.
+     * @param {String} [domain] The domain.
+     * @param {String} [path] The path.
+     * 
+     * @return {Number} The number of removed cookies.
      */
-    put(opts? : IRequestOptions);
+    public remove(name: string, domain?: string, path?: string) : number {
+        var oldCount = this._cookies.length;
+        
+        this._cookies = this._cookies.filter((c) => {
+            return !(c.name === name &&
+                     (isEmptyString(domain) || c.domain === normalizeCookieDomain(domain)) &&
+                     (isEmptyString(path) || c.path === path));
+        });
+        
+        var removed = oldCount - this._cookies.length;
+        if (removed > 0) {
+            this.save();
+        }
+        
+        return removed;
+    }
+    
+    private removeExpired() {
+        var now = Date.now();
+        
+        var oldCount = this._cookies.length;
+        this._cookies = this._cookies.filter((c) => {
+            return TypeUtils.isNullOrUndefined(c.expires) || c.expires > now;
+        });
+        
+        if (oldCount !== this._cookies.length) {
+            this.save();
+        }
+    }
+    
+    private save() {
+        var me = this;
+        
+        var cookies = me._cookies;
+        if (true !== me._config.persistSessionCookies) {
+            cookies = cookies.filter((c) => !TypeUtils.isNullOrUndefined(c.expires));
+        }
+        
+        me._loaded.then(() => me._store.save(cookies)).then(null, (err) => {
+            me.logError("Could not save cookies: " + err);
+        });
+    }
     
     /**
-     * Defines an action that is invoked on a status code between 300 and 399.
+     * Stores a cookie from a 'Set-Cookie' header.
      * 
-     * @chainable
+     * @param {String} setCookie The value of the 'Set-Cookie' header.
+     * @param {String} url The (encoded) URL of the request.
      * 
-     * @param {Function} redirectAction The action to invoke.
+     * @return {ICookie} The stored cookie or (null) if the cookie has been rejected or deleted.
      */
-    redirection(redirectAction : (result : IApiClientResult) => void): IApiClient;
+    public setCookie(setCookie: string, url: string) : ICookie {
+        var cookie = this.parseCookie(setCookie, url);
+        if (TypeUtils.isNullOrUndefined(cookie)) {
+            return null;
+        }
+        
+        var existingCookies = this._cookies.filter((c) => isSameCookie(c, cookie));
+        if (existingCookies.length > 0) {
+            cookie.creationTime = existingCookies[0].creationTime;
+        }
+        
+        this._cookies = this._cookies.filter((c) => !isSameCookie(c, cookie));
+        
+        var isExpired = !TypeUtils.isNullOrUndefined(cookie.expires) &&
+                        cookie.expires <= Date.now();
+        if (!isExpired) {
+            this._cookies.push(cookie);
+        }
+        
+        this.save();
+        
+        return isExpired ? null : copyCookie(cookie);
+    }
     
     /**
-     * Starts a request.
+     * Stores the cookies of the 'Set-Cookie' headers of a response.
      * 
-     * @param any method The HTTP method.
-     * @param {IRequestOptions} [opts] The (additional) options.
+     * @param any headers The response headers.
+     * @param {String} url The (encoded) URL of the request.
+     * 
+     * @return {ICookie[]} The stored cookies.
      */
-    request(method : any, opts? : IRequestOptions);
+    public setCookies(headers: any, url: string) : ICookie[] {
+        var cookies: ICookie[] = [];
+        
+        for (var h in getOwnProperties(headers)) {
+            if ("set-cookie" !== h.toLowerCase().trim()) {
+                continue;
+            }
+            
+            var values = headers[h];
+            if (!(values instanceof Array)) {
+                values = [ values ];
+            }
+            
+            for (var i = 0; i < values.length; i++) {
+                var setCookies = splitSetCookieHeader(values[i]);
+                for (var j = 0; j < setCookies.length; j++) {
+                    var cookie = this.setCookie(setCookies[j], url);
+                    if (!TypeUtils.isNullOrUndefined(cookie)) {
+                        cookies.push(cookie);
+                    }
+                }
+            }
+        }
+        
+        return cookies;
+    }
+}
+
+class DelegateAsyncSequence<T> extends AsyncSequence<T> {
+    private _moveNext: (seq: DelegateAsyncSequence<T>) => Promise<boolean>;
+    private _reset: () => void;
+    private _source: AsyncSequence<any>;
     
-    /**
-     * Gets or sets the route.
-     */
-    route: string;
+    constructor(source: AsyncSequence<any>,
+                moveNext: (seq: DelegateAsyncSequence<T>) => Promise<boolean>, reset: () => void) {
+        super();
+        
+        this._moveNext = moveNext;
+        this._reset = reset;
+        this._source = source;
+    }
+    
+    public moveNext() : Promise<boolean> {
+        return this._moveNext(this);
+    }
+    
+    public reset() : DelegateAsyncSequence<T> {
+        this._source.reset();
+        this._reset();
+        
+        this._current = undefined;
+        return this;
+    }
+    
+    public setCurrent(item: T) {
+        this._current = item;
+    }
+}
+
+/**
+ * An authorizer for HTTP Digest authentication.
+ * The challenge is received with a 401 response,
+ * before the request is sent again.
+ */
+export class DigestAuthorizer implements IAuthorizer {
+    private _challenge: any;
+    private _nonceCount = 0;
+    private _password: string;
+    private _username: string;
     
     /**
-     * Gets or sets the global list of route parameters.
+     * Initializes a new instance of that class.
      * 
-     * @property
+     * @param {String} username The username.
+     * @param {String} pwd The password.
      */
-    routeParams: any;
+    constructor(username: string, pwd: string) {
+        this._username = username;
+        this._password = pwd;
+    }
     
     /**
-     * Defines an action that is invoked on a status code between 500 and 599.
+     * Gets the current challenge of the server (the parameters of 'WWW-Authenticate').
      * 
-     * @chainable
-     * 
-     * @param {Function} serverErrAction The action to invoke.
+     * @property
      */
-    serverError(serverErrAction : (result : IApiClientResult) => void): IApiClient;
+    public get challenge() : any {
+        return this._challenge;
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 503 (service unavailable).
-     * 
-     * @chainable
-     * 
-     * @param {Function} unavailableAction The action to invoke.
+     * Gets or sets a custom client nonce.
+     * If not defined, a new one is generated for each request.
      */
-    serviceUnavailable(unavailableAction : (result : IApiClientResult) => void) : IApiClient;
+    public cnonce: string;
     
     /**
-     * Sets the default authorizer.
+     * Computes the value for 'response'.
      * 
-     * @chainable
+     * @param {String} method The HTTP method.
+     * @param {String} uri The URI (path and query).
+     * @param any challenge The challenge.
+     * @param {String} nc The nonce count, like '00000001'.
+     * @param {String} cnonce The client nonce.
+     * @param {String} [qop] The quality of protection ('auth' or 'auth-int').
+     * @param {String} [body] The body for 'auth-int'.
      * 
-     * @param {IAuthorizer} authorizer The default authorizer.
+     * @return {String} The response value.
      */
-    setAuthorizer(authorizer: IAuthorizer) : IApiClient;
+    public createResponse(method: string, uri: string, challenge: any,
+                          nc: string, cnonce: string, qop?: string, body?: string) : string {
+        var algorithm = ("" + (challenge.algorithm || "MD5")).toUpperCase().trim();
+        var isSession = /-SESS$/.test(algorithm);
+        
+        var hashAlgorithm = HashAlgorithms[algorithm.replace(/-SESS$/, "").replace("-", "").toLowerCase()];
+        if (TypeUtils.isNullOrUndefined(hashAlgorithm)) {
+            throw "Digest algorithm '" + challenge.algorithm + "' is NOT supported!";
+        }
+        
+        var h = function(str: string) : string {
+            return hashAlgorithm.hash(str).toString(Hex);
+        };
+        
+        var ha1 = h(this._username + ":" + challenge.realm + ":" + this._password);
+        if (isSession) {
+            ha1 = h(ha1 + ":" + challenge.nonce + ":" + cnonce);
+        }
+        
+        var ha2 = "auth-int" === qop ? h(methodToString(method) + ":" + uri + ":" + h(body || ""))
+                                     : h(methodToString(method) + ":" + uri);
+        
+        if (isEmptyString(qop)) {
+            // RFC 2069
+            return h(ha1 + ":" + challenge.nonce + ":" + ha2);
+        }
+        
+        return h([ ha1, challenge.nonce, nc, cnonce, qop, ha2 ].join(":"));
+    }
     
-    /**
-     * Sets the base URL.
-     * 
-     * @chainable
-     * 
-     * @param {String} newValue The new URL.
-     */        
-    setBaseUrl(newValue : string) : IApiClient;
+    /** @inheritdoc */
+    public interceptResponse(ctx: IResponseInterceptorContext) : any {
+        var STATE_KEY = "__digest_replayed";
+        
+        if (401 !== ctx.response.statusCode) {
+            return;
+        }
+        
+        var challenge = parseDigestChallenge(getHeaderValue(ctx.response.headers, "WWW-Authenticate"));
+        if (TypeUtils.isNullOrUndefined(challenge)) {
+            return;
+        }
+        
+        var isStale = "true" === ("" + challenge.stale).toLowerCase().trim();
+        if (ctx.state[STATE_KEY] && !isStale) {
+            // wrong credentials
+            return;
+        }
+        
+        ctx.state[STATE_KEY] = true;
+        
+        this._challenge = challenge;
+        this._nonceCount = 0;
+        
+        ctx.replay();
+    }
     
-    /**
-     * Sets the route.
-     * 
-     * @chainable
-     * 
-     * @param {String} newValue The new route.
-     */
-    setRoute(newValue : string) : IApiClient;
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        var challenge = this._challenge;
+        if (TypeUtils.isNullOrUndefined(challenge)) {
+            // wait for challenge
+            return;
+        }
+        
+        var urlParts = parseUrl(reqOpts.url);
+        var uri = urlParts.path + urlParts.query;
+        
+        var body = typeof reqOpts.content === "string" ? <string>reqOpts.content : "";
+        
+        var qop: string;
+        if (!isEmptyString(challenge.qop)) {
+            var qops = ("" + challenge.qop).split(",").map((q) => q.toLowerCase().trim());
+            if (qops.indexOf("auth") > -1) {
+                qop = "auth";
+            }
+            else if (qops.indexOf("auth-int") > -1) {
+                qop = "auth-int";
+            }
+        }
+        
+        var cnonce = this.cnonce;
+        if (isEmptyString(cnonce)) {
+            cnonce = createRandomHex(16);
+        }
+        
+        var nc = ("0000000" + (++this._nonceCount).toString(16)).substr(-8);
+        
+        var params: string[][] = [
+            [ "username", this._username ],
+            [ "realm", challenge.realm ],
+            [ "nonce", challenge.nonce ],
+            [ "uri", uri ],
+        ];
+        if (!isEmptyString(challenge.algorithm)) {
+            params.push([ "algorithm", challenge.algorithm, "" ]);
+        }
+        if (!isEmptyString(qop)) {
+            params.push([ "qop", qop, "" ]);
+            params.push([ "nc", nc, "" ]);
+            params.push([ "cnonce", cnonce ]);
+        }
+        params.push([ "response", this.createResponse(reqOpts.method, uri, challenge,
+                                                      nc, cnonce, qop, body) ]);
+        if (!isEmptyString(challenge.opaque)) {
+            params.push([ "opaque", challenge.opaque ]);
+        }
+        
+        // 3rd item => no quotes
+        reqOpts.headers["Authorization"] = "Digest " + params.map((p) => {
+            var value = "" + p[1];
+            
+            return p[0] + "=" + (p.length > 2 ? value
+                                              : ('"' + value.replace(/(["\\])/g, "\\$1") + '"'));
+        }).join(", ");
+    }
     
     /**
-     * Defines an action that is invoked for a specific status code.
-     * 
-     * @chainable
+     * Gets the username.
      * 
-     * @param {Number} code The status code.
-     * @param {Function} statusAction The action to invoke.
+     * @property
      */
-    status(code: number,
-           statusAction : (result : IApiClientResult) => void) : IApiClient;
+    public get username() : string {
+        return this._username;
+    }
+}
+
+/**
+ * An incremental parser for server-sent events (text/event-stream).
+ */
+export class EventStreamParser {
+    private _buffer = "";
+    private _data: string[] = [];
+    private _eventType = "";
+    private _isFirstChunk = true;
+    private _lastEventIdBuffer = "";
+    private _onEvent: (e: IServerSentEvent) => void;
+    private _skipLineFeed = false;
     
     /**
-     * Defines an action that is invoked on a status code between 200 and 299.
-     * 
-     * @chainable
+     * Initializes a new instance of that class.
      * 
-     * @param {Function} succeededAction The action to invoke.
+     * @param {Function} onEvent The function that receives the events.
      */
-    succeededRequest(succeededAction : (result : IApiClientResult) => void): IApiClient;
+    constructor(onEvent: (e: IServerSentEvent) => void) {
+        this._onEvent = onEvent;
+    }
     
-    /**
-     * Defines the "success" action.
-     * 
-     * @chainable
-     * 
-     * @param {Function} successAction The action to invoke.
-     */
-    success(successAction : (result: IApiClientResult) => void) : IApiClient;
+    private dispatch() {
+        var data = this._data;
+        var eventType = this._eventType;
+        
+        this._data = [];
+        this._eventType = "";
+        
+        this.lastEventId = this._lastEventIdBuffer;
+        
+        if (data.length < 1) {
+            return;
+        }
+        
+        this._onEvent({
+            data: data.join("\n"),
+            event: "" === eventType ? LongPollClient.messageEvent : eventType,
+            id: this.lastEventId,
+        });
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 429 (too many requests).
-     * 
-     * @chainable
-     * 
-     * @param {Function} tooManyAction The action to invoke.
+     * Finishes the current connection.
+     * An incomplete event is discarded.
      */
-    tooManyRequests(tooManyAction : (result : IApiClientResult) => void) : IApiClient;
+    public end() {
+        this._buffer = "";
+        this._data = [];
+        this._eventType = "";
+        this._isFirstChunk = true;
+        this._lastEventIdBuffer = this.lastEventId;
+        this._skipLineFeed = false;
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 401 (unauthorized).
-     * 
-     * @chainable
-     * 
-     * @param {Function} unauthorizedAction The action to invoke.
+     * Stores the ID of the last event.
      */
-    unauthorized(unauthorizedAction : (result : IApiClientResult) => void) : IApiClient;
+    public lastEventId = "";
+    
+    private processLine(line: string) {
+        if ("" === line) {
+            this.dispatch();
+            return;
+        }
+        
+        if (":" === line[0]) {
+            // comment
+            return;
+        }
+        
+        var field = line;
+        var value = "";
+        
+        var sep = line.indexOf(":");
+        if (sep > -1) {
+            field = line.substr(0, sep);
+            
+            value = line.substr(sep + 1);
+            if (" " === value[0]) {
+                value = value.substr(1);
+            }
+        }
+        
+        switch (field) {
+            case "data":
+                this._data.push(value);
+                break;
+                
+            case "event":
+                this._eventType = value;
+                break;
+                
+            case "id":
+                if (value.indexOf("\0") < 0) {
+                    this._lastEventIdBuffer = value;
+                }
+                break;
+                
+            case "retry":
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value);
+                }
+                break;
+        }
+    }
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 415 (unsupported media type).
-     * 
-     * @chainable
-     * 
-     * @param {Function} unsupportedAction The action to invoke.
+     * Stores the reconnection time, sent by the server.
      */
-    unsupportedMediaType(unsupportedAction : (result : IApiClientResult) => void) : IApiClient;
+    public retry: number;
     
     /**
-     * Short hand method to define an action that is invoked
-     * for a status code 414 (URI too long).
-     * 
-     * @chainable
+     * Parses the next chunk of the stream.
      * 
-     * @param {Function} tooLongAction The action to invoke.
+     * @param {String} chunk The chunk.
      */
-    uriTooLong(tooLongAction : (result : IApiClientResult) => void) : IApiClient;
+    public write(chunk: string) {
+        if (TypeUtils.isNullOrUndefined(chunk) || "" === chunk) {
+            return;
+        }
+        
+        if (this._isFirstChunk) {
+            this._isFirstChunk = false;
+            
+            // BOM
+            if ("\uFEFF" === chunk[0]) {
+                chunk = chunk.substr(1);
+            }
+        }
+        
+        if (this._skipLineFeed && "\n" === chunk[0]) {
+            // CR LF, split between two chunks
+            chunk = chunk.substr(1);
+        }
+        
+        this._skipLineFeed = "\r" === chunk[chunk.length - 1];
+        
+        var lines = (this._buffer + chunk).split(/\r\n|\r|\n/);
+        this._buffer = lines.pop();
+        
+        for (var i = 0; i < lines.length; i++) {
+            this.processLine(lines[i]);
+        }
+    }
 }
 
 /**
- * Describes a context of a "complete" action.
+ * A cache store that saves its entries as files.
  */
-export interface IApiClientCompleteContext extends ILogger, ITagProvider {
-    /**
-     * Gets the underlying API client.
-     * 
-     * @property
-     */
-    client: IApiClient;
+export class FileCacheStore implements IHttpCacheStore {
+    private _folder: FileSystem.Folder;
     
     /**
-     * Gets the error context (if defined).
+     * Initializes a new instance of that class.
      * 
-     * @property
+     * @param {String} [path] The custom path of the folder. Default: 'apiclient-cache' inside temp folder.
      */
-    error?: IApiClientError;
+    constructor(path?: string) {
+        if (isEmptyString(path)) {
+            path = FileSystem.path.join(FileSystem.knownFolders.temp().path,
+                                        "apiclient-cache");
+        }
+        
+        this._folder = FileSystem.Folder.fromPath(path);
+    }
     
-    /**
-     * Gets the underlying HTTP request.
-     * 
-     * @property
-     */
-    request: IHttpRequest;
+    /** @inheritdoc */
+    public clear() : Promise<any> {
+        return this._folder.clear();
+    }
     
     /**
-     * Gets the API result (if defined).
+     * Gets the underlying folder.
      * 
      * @property
      */
-    result?: IApiClientResult;
-}
-
+    public get folder() : FileSystem.Folder {
+        return this._folder;
+    }
+    
+    /** @inheritdoc */
+    public get(key: string) : Promise<IHttpCacheEntry> {
+        var path = this.getPath(key);
+        if (!FileSystem.File.exists(path)) {
+            return Promise.resolve(null);
+        }
+        
+        return FileSystem.File.fromPath(path).readText().then((json) => {
+            if (isEmptyString(json)) {
+                return null;
+            }
+            
+            return JSON.parse(json);
+        });
+    }
+    
+    private getPath(key: string) : string {
+        return FileSystem.path.join(this._folder.path,
+                                    SHA1(key).toString() + ".json");
+    }
+    
+    /** @inheritdoc */
+    public remove(key: string) : Promise<any> {
+        var path = this.getPath(key);
+        if (!FileSystem.File.exists(path)) {
+            return Promise.resolve();
+        }
+        
+        return FileSystem.File.fromPath(path).remove();
+    }
+    
+    /** @inheritdoc */
+    public set(key: string, entry: IHttpCacheEntry) : Promise<any> {
+        return FileSystem.File.fromPath(this.getPath(key))
+                              .writeText(JSON.stringify(entry));
+    }
+}
+
 /**
- * Describes an object that stores configuration data for an API client.
+ * List of formats for fixture files.
  */
-export interface IApiClientConfig {
+export enum FixtureFormat {
     /**
-     * Gets the default authorizer.
+     * JSON
+     */
+    JSON,
+    
+    /**
+     * YAML
+     */
+    YAML,
+}
+
+class FormatProviderContext implements IFormatProviderContext {
+    private _expression: string;
+    private _value: any;
+    
+    constructor(expr: string, val: any) {
+        this._expression = expr;
+        this._value = val;
+    }
+    
+    public get expression(): string {
+        return this._expression;
+    }
+    
+    public handled: boolean = false;
+    
+    public get value(): any {
+        return this._value;
+    }
+}
+
+/**
+ * A GraphQL client that sends its requests via an API client.
+ */
+export class GraphQLClient {
+    private _client: IApiClient;
+    private _config: IGraphQLConfig;
+    private _fragments: any = {};
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IApiClient} client The underlying API client.
+     * @param {IGraphQLConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: IGraphQLConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._client = client;
+        this._config = config;
+        
+        var fragments = config.fragments || [];
+        for (var i = 0; i < fragments.length; i++) {
+            this.addFragment(fragments[i]);
+        }
+    }
+    
+    /**
+     * Registers one or more fragments, which are appended to
+     * queries and mutations, that use them.
+     * 
+     * @chainable
+     * 
+     * @param {String} fragment The fragment definition(s), like 'fragment UserFields on User { id name }'.
+     */
+    public addFragment(fragment: string) : GraphQLClient {
+        var definitions = splitGraphQLFragments(fragment);
+        if (definitions.length < 1) {
+            throw "'" + fragment + "' contains NO fragment definition!";
+        }
+        
+        for (var i = 0; i < definitions.length; i++) {
+            this._fragments[definitions[i].name] = definitions[i].definition;
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Gets the underlying API client.
      * 
      * @property
      */
-    authorizer?: IAuthorizer;
+    public get client() : IApiClient {
+        return this._client;
+    }
     
     /**
-     * Gets the base URL to use.
+     * Appends the registered fragments, which are used by a document.
+     * 
+     * @param {String} document The query or mutation.
+     * @param {String[]} [fragments] Additional fragment definitions.
+     * 
+     * @return {String} The document with the fragments.
+     */
+    public compose(document: string, fragments?: string[]) : string {
+        var available = {};
+        for (var f in this._fragments) {
+            available[f] = this._fragments[f];
+        }
+        
+        fragments = fragments || [];
+        for (var i = 0; i < fragments.length; i++) {
+            var definitions = splitGraphQLFragments(fragments[i]);
+            for (var j = 0; j < definitions.length; j++) {
+                available[definitions[j].name] = definitions[j].definition;
+            }
+        }
+        
+        // fragments that are already part of the document
+        var defined = {};
+        var ownDefinitions = splitGraphQLFragments(document);
+        for (var i = 0; i < ownDefinitions.length; i++) {
+            defined[ownDefinitions[i].name] = true;
+        }
+        
+        var result = document;
+        
+        // fragments can use other fragments
+        var sources = [ document ];
+        while (sources.length > 0) {
+            var src = sources.shift();
+            
+            var spreads = getGraphQLFragmentSpreads(src);
+            for (var i = 0; i < spreads.length; i++) {
+                var name = spreads[i];
+                if (true === defined[name]) {
+                    continue;
+                }
+                
+                var definition = available[name];
+                if (TypeUtils.isNullOrUndefined(definition)) {
+                    throw "Fragment '" + name + "' is NOT defined!";
+                }
+                
+                defined[name] = true;
+                
+                result += "\n\n" + definition;
+                sources.push(definition);
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Sends a mutation.
+     * 
+     * @param {String} mutation The mutation.
+     * @param any [variables] The variables.
+     * @param {IGraphQLRequest} [req] Additional settings for the request.
+     * 
+     * @return {Promise<IGraphQLResult<T>>} The promise.
+     */
+    public mutate<T>(mutation: string, variables?: any, req?: IGraphQLRequest) : Promise<IGraphQLResult<T>> {
+        return this.request<T>(toGraphQLRequest(mutation, variables, req, true));
+    }
+    
+    /**
+     * Sends a query.
+     * 
+     * @param {String} query The query.
+     * @param any [variables] The variables.
+     * @param {IGraphQLRequest} [req] Additional settings for the request.
+     * 
+     * @return {Promise<IGraphQLResult<T>>} The promise.
+     */
+    public query<T>(query: string, variables?: any, req?: IGraphQLRequest) : Promise<IGraphQLResult<T>> {
+        return this.request<T>(toGraphQLRequest(query, variables, req, false));
+    }
+    
+    /**
+     * Sends a GraphQL request.
+     * 
+     * If the response contains errors, the promise is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'GraphQLResponseError'.
+     * This is also the case for responses with a status code other than 2xx.
+     * 
+     * @param {IGraphQLRequest} req The request.
+     * 
+     * @return {Promise<IGraphQLResult<T>>} The promise.
+     */
+    public request<T>(req: IGraphQLRequest) : Promise<IGraphQLResult<T>> {
+        var me = this;
+        
+        var document = me.compose(req.query, req.fragments);
+        
+        var usePersistedQuery = req.persisted;
+        if (TypeUtils.isNullOrUndefined(usePersistedQuery)) {
+            usePersistedQuery = true === me._config.persistedQueries;
+        }
+        
+        var useGet = !req.isMutation && true === me._config.useGetForQueries;
+        
+        var send = function(includeQuery: boolean, isProbe: boolean) : Promise<IApiClientResult> {
+            var body: any = {};
+            if (includeQuery) {
+                body.query = document;
+            }
+            if (!isEmptyString(req.operationName)) {
+                body.operationName = req.operationName;
+            }
+            if (!TypeUtils.isNullOrUndefined(req.variables)) {
+                body.variables = req.variables;
+            }
+            if (usePersistedQuery) {
+                body.extensions = {
+                    persistedQuery: {
+                        sha256Hash: SHA256(document).toString(),
+                        version: 1,
+                    },
+                };
+            }
+            
+            var opts: IRequestOptions = {};
+            var allOpts = [ getOwnProperties(me._config.request), getOwnProperties(req.request) ];
+            for (var i = 0; i < allOpts.length; i++) {
+                for (var p in allOpts[i]) {
+                    opts[p] = allOpts[i][p];
+                }
+            }
+            
+            opts.validateResult = (result) => {
+                var gqlResult = toGraphQLResult(result);
+                if (TypeUtils.isNullOrUndefined(gqlResult.errors) || gqlResult.errors.length < 1) {
+                    return;
+                }
+                
+                if (isProbe && isPersistedQueryNotFound(gqlResult.errors)) {
+                    // send again with query
+                    return;
+                }
+                
+                return new GraphQLResponseError(gqlResult);
+            };
+            
+            if (isProbe) {
+                // the actions of the client are only
+                // invoked for the final response
+                opts.invokeActions = false;
+            }
+            
+            if (useGet) {
+                var params = getOwnProperties(opts.params) || {};
+                for (var b in body) {
+                    params[b] = typeof body[b] === "object" ? JSON.stringify(body[b]) : body[b];
+                }
+                
+                opts.params = params;
+                
+                return me._client.get(opts);
+            }
+            
+            opts.content = body;
+            opts.type = HttpRequestType.JSON;
+            
+            return me._client.post(opts);
+        };
+        
+        var promise: Promise<IApiClientResult>;
+        if (usePersistedQuery) {
+            // try hash only first
+            promise = send(false, true).then((result: ApiClientResult) => {
+                var errors = toGraphQLResult(result).errors;
+                if (!TypeUtils.isNullOrUndefined(errors) && isPersistedQueryNotFound(errors)) {
+                    return send(true, false);
+                }
+                
+                // final response
+                invokeResultActions(<ApiClient>result.client, result);
+                invokeCompleteAction(<ApiClient>result.client, <HttpRequest>result.request,
+                                     result, undefined,
+                                     result.tag, []);
+                
+                return result;
+            }, (err) => {
+                if (err instanceof ApiClientError) {
+                    invokeErrorActions(<ApiClient>err.client, err, []);
+                }
+                
+                throw err;
+            });
+        }
+        else {
+            promise = send(true, false);
+        }
+        
+        return promise.then((result) => {
+            var gqlResult = toGraphQLResult<T>(result);
+            
+            // errors of responses with other status codes
+            // are not checked by 'validateResult'
+            if ((result.code < 200 || result.code > 299) &&
+                !TypeUtils.isNullOrUndefined(gqlResult.errors) && gqlResult.errors.length > 0) {
+                
+                throw new ApiClientError(<ApiClient>result.client, <HttpRequest>result.request,
+                                         new GraphQLResponseError(gqlResult), ApiClientErrorContext.InvalidResult,
+                                         result.tag);
+            }
+            
+            return gqlResult;
+        });
+    }
+}
+
+/**
+ * An error that describes a GraphQL response with errors.
+ */
+export class GraphQLResponseError {
+    private _result: IGraphQLResult<any>;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IGraphQLResult<any>} result The GraphQL result.
+     */
+    constructor(result: IGraphQLResult<any>) {
+        this._result = result;
+    }
+    
+    /**
+     * Gets the data, which has been resolved.
      * 
      * @property
      */
-    baseUrl: string;
+    public get data() : any {
+        return this._result.data;
+    }
     
     /**
-     * Defines an action that is invoked BEFORE a request starts.
+     * Gets the list of errors.
      * 
      * @property
      */
-    beforeSend? : (opts : HTTP.HttpRequestOptions) => void;
+    public get errors() : IGraphQLError[] {
+        return this._result.errors;
+    }
+    
+    /**
+     * Gets the error messages.
+     * 
+     * @property
+     */
+    public get message() : string {
+        return this.errors.map((e) => e.message)
+                          .join("; ");
+    }
+    
+    /**
+     * Gets the GraphQL result.
+     * 
+     * @property
+     */
+    public get result() : IGraphQLResult<any> {
+        return this._result;
+    }
+    
+    /** @inheritdoc */
+    public toString() : string {
+        return this.message;
+    }
+}
+
+/**
+ * Records the traffic of clients and exports it
+ * in HTTP Archive (HAR 1.2) format.
+ */
+export class HarRecorder {
+    private _config: IHarRecorderConfig;
+    private _entries: IHarEntry[] = [];
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IHarRecorderConfig} [config] The custom configuration.
+     */
+    constructor(config?: IHarRecorderConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._config = config;
+    }
+    
+    /**
+     * Adds an entry.
+     * 
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {Date} startTime The time the request has been started.
+     * @param {HTTP.HttpResponse} [response] The response.
+     * @param any [err] The error, if no response has been received.
+     * 
+     * @return {IHarEntry} The new entry or (null) if recording is disabled.
+     */
+    public add(opts: HTTP.HttpRequestOptions, startTime: Date,
+               response?: HTTP.HttpResponse, err?: any) : IHarEntry {
+        
+        if (!this.isRecording) {
+            return null;
+        }
+        
+        var config = this._config;
+        var redactedValue = TypeUtils.isNullOrUndefined(config.redactedValue) ? "[REDACTED]" : config.redactedValue;
+        
+        var redactHeaders = (config.redactHeaders || ["Authorization", "Cookie", "Proxy-Authorization", "Set-Cookie"]).map((h) => h.toLowerCase().trim());
+        var redactParams = (config.redactParams || ["access_token", "client_secret", "password", "refresh_token"]).map((p) => p.toLowerCase().trim());
+        
+        var isRedactedParam = (name: string) => redactParams.indexOf(("" + name).toLowerCase().trim()) > -1;
+        
+        // 'Cookie' or 'Set-Cookie'
+        var toCookieList = (headers: any, headerName: string) => {
+            headerName = headerName.toLowerCase();
+            
+            var isRedacted = redactHeaders.indexOf(headerName) > -1;
+            
+            var list = [];
+            for (var h in getOwnProperties(headers)) {
+                if (headerName !== h.toLowerCase().trim()) {
+                    continue;
+                }
+                
+                var values = Array.isArray(headers[h]) ? headers[h] : [ headers[h] ];
+                
+                for (var i = 0; i < values.length; i++) {
+                    var pairs: string[] = "cookie" === headerName ? ("" + values[i]).split(";")
+                                                                  : splitSetCookieHeader("" + values[i]).map((c) => c.split(";")[0]);
+                    
+                    for (var j = 0; j < pairs.length; j++) {
+                        var sep = pairs[j].indexOf("=");
+                        if (sep < 1) {
+                            continue;
+                        }
+                        
+                        list.push({
+                            name: pairs[j].substr(0, sep).trim(),
+                            value: isRedacted ? redactedValue : pairs[j].substr(sep + 1).trim(),
+                        });
+                    }
+                }
+            }
+            
+            return list;
+        };
+        
+        var toHeaderList = (headers: any) => {
+            var list = [];
+            for (var h in getOwnProperties(headers)) {
+                var values = Array.isArray(headers[h]) ? headers[h] : [ headers[h] ];
+                
+                for (var i = 0; i < values.length; i++) {
+                    list.push({
+                        name: h,
+                        value: redactHeaders.indexOf(h.toLowerCase().trim()) > -1 ? redactedValue : "" + values[i],
+                    });
+                }
+            }
+            
+            return list;
+        };
+        
+        var toPairList = (pairs: string[][]) => {
+            return pairs.map((p) => {
+                return {
+                    name: p[0],
+                    value: isRedactedParam(p[0]) ? redactedValue : p[1],
+                };
+            });
+        };
+        
+        var toContent = (text: string, mimeType: string) : any => {
+            var content : any = {
+                mimeType: mimeType || "",
+                size: -1,
+            };
+            
+            if (TypeUtils.isNullOrUndefined(text)) {
+                content.size = 0;
+                return content;
+            }
+            
+            content.size = getUtf8Length(text);
+            
+            if (/^(image|audio|video)\/|octet-stream/i.test(content.mimeType)) {
+                content.comment = "Binary content has been omitted.";
+                return content;
+            }
+            
+            if (/json/i.test(content.mimeType)) {
+                try {
+                    text = JSON.stringify(redactJsonProperties(JSON.parse(text), isRedactedParam, redactedValue));
+                }
+                catch (e) {
+                    // keep as it is
+                }
+            }
+            else if (/x-www-form-urlencoded/i.test(content.mimeType)) {
+                text = toPairList(parseUrlEncoded(text)).map((p) => encodeURIComponent(p.name) + "=" + encodeURIComponent(p.value))
+                                                        .join("&");
+            }
+            
+            var maxBodySize = config.maxBodySize;
+            if (TypeUtils.isNullOrUndefined(maxBodySize)) {
+                maxBodySize = 65536;
+            }
+            
+            if (maxBodySize > -1 && text.length > maxBodySize) {
+                text = text.substr(0, maxBodySize);
+                content.comment = "Content has been truncated to " + maxBodySize + " characters.";
+            }
+            
+            content.text = text;
+            return content;
+        };
+        
+        // URL and query string
+        var url = opts.url;
+        var queryString = [];
+        var queryIndex = url.indexOf("?");
+        if (queryIndex > -1) {
+            queryString = toPairList(parseUrlEncoded(url.substr(queryIndex + 1)));
+            
+            url = url.substr(0, queryIndex + 1) +
+                  queryString.map((p) => encodeURIComponent(p.name) + "=" + encodeURIComponent(p.value))
+                             .join("&");
+        }
+        
+        var requestBody : string;
+        if (!TypeUtils.isNullOrUndefined(opts.content)) {
+            requestBody = typeof opts.content === "string" ? <string>opts.content : "[FormData]";
+        }
+        
+        var request : any = {
+            bodySize: TypeUtils.isNullOrUndefined(requestBody) ? 0 : getUtf8Length(requestBody),
+            cookies: toCookieList(opts.headers, "Cookie"),
+            headers: toHeaderList(opts.headers),
+            headersSize: -1,
+            httpVersion: "HTTP/1.1",
+            method: methodToString(opts.method),
+            queryString: queryString,
+            url: url,
+        };
+        
+        if (!TypeUtils.isNullOrUndefined(requestBody)) {
+            var postContent = toContent(requestBody, getHeaderValue(opts.headers, "Content-Type"));
+            
+            request.postData = {
+                mimeType: postContent.mimeType,
+                params: /x-www-form-urlencoded/i.test(postContent.mimeType) ? toPairList(parseUrlEncoded(requestBody))
+                                                                            : [],
+                text: postContent.text,
+            };
+            
+            if (!TypeUtils.isNullOrUndefined(postContent.comment)) {
+                request.postData.comment = postContent.comment;
+            }
+        }
+        
+        var responseEntry : any = {
+            bodySize: -1,
+            content: toContent(null, ""),
+            cookies: [],
+            headers: [],
+            headersSize: -1,
+            httpVersion: "HTTP/1.1",
+            redirectURL: "",
+            status: 0,
+            statusText: "",
+        };
+        
+        if (!TypeUtils.isNullOrUndefined(response)) {
+            var responseBody : string = null;
+            if (!TypeUtils.isNullOrUndefined(response.content)) {
+                try {
+                    responseBody = response.content.toString();
+                }
+                catch (e) {
+                    responseBody = null;
+                }
+            }
+            
+            responseEntry.content = toContent(responseBody, getHeaderValue(response.headers, "Content-Type"));
+            responseEntry.bodySize = responseEntry.content.size;
+            responseEntry.cookies = toCookieList(response.headers, "Set-Cookie");
+            responseEntry.headers = toHeaderList(response.headers);
+            responseEntry.redirectURL = getHeaderValue(response.headers, "Location") || "";
+            responseEntry.status = response.statusCode;
+            responseEntry.statusText = getStatusText(response.statusCode);
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(err)) {
+            // custom field
+            responseEntry._error = "" + err;
+        }
+        
+        var time = Date.now() - startTime.getTime();
+        
+        var entry : IHarEntry = {
+            cache: {},
+            request: request,
+            response: responseEntry,
+            startedDateTime: startTime.toISOString(),
+            time: time,
+            timings: {
+                blocked: -1,
+                connect: -1,
+                dns: -1,
+                receive: 0,
+                send: 0,
+                ssl: -1,
+                wait: time,
+            },
+        };
+        
+        if (!TypeUtils.isNullOrUndefined(config.redact)) {
+            config.redact(entry);
+        }
+        
+        this._entries.push(entry);
+        
+        var maxEntries = config.maxEntries;
+        if (TypeUtils.isNullOrUndefined(maxEntries)) {
+            maxEntries = 1000;
+        }
+        
+        if (maxEntries > -1) {
+            while (this._entries.length > maxEntries) {
+                this._entries.shift();
+            }
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Removes all entries.
+     */
+    public clear() {
+        this._entries = [];
+    }
+    
+    /**
+     * Gets a copy of the current entries.
+     * 
+     * @property
+     */
+    public get entries() : IHarEntry[] {
+        return this._entries.slice();
+    }
+    
+    /**
+     * Gets or sets if traffic is recorded or not.
+     */
+    public isRecording = true;
+    
+    /**
+     * Saves the archive to a file.
+     * 
+     * @param {String} path The path of the file.
+     * 
+     * @return {Promise<FileSystem.File>} The promise with the file.
+     */
+    public save(path: string) : Promise<FileSystem.File> {
+        var file = FileSystem.File.fromPath(path);
+        
+        return file.writeText(this.toString())
+                   .then(() => file);
+    }
+    
+    /**
+     * Returns the archive as object.
+     * 
+     * @return {Object} The archive.
+     */
+    public toHar() : any {
+        var packageInfo = require("../package.json");
+        
+        return {
+            log: {
+                creator: {
+                    name: packageInfo.name,
+                    version: packageInfo.version,
+                },
+                entries: this.entries,
+                pages: [],
+                version: "1.2",
+            },
+        };
+    }
+    
+    /**
+     * Returns the archive as JSON string.
+     * 
+     * @return {String} The archive.
+     */
+    public toString() : string {
+        return JSON.stringify(this.toHar(), null, 2);
+    }
+    
+    /**
+     * Returns a transport that records the traffic of another one.
+     * 
+     * @param {ITransport} transport The transport to wrap.
+     * 
+     * @return {ITransport} The wrapping transport.
+     */
+    public wrap(transport: ITransport) : ITransport {
+        var me = this;
+        
+        return {
+            send: (opts, progress) => {
+                var startTime = new Date();
+                
+                return transport.send(opts, progress).then((response) => {
+                    me.add(opts, startTime, response);
+                    return response;
+                }, (err) => {
+                    me.add(opts, startTime, undefined, err);
+                    throw err;
+                });
+            },
+        };
+    }
+}
+
+/**
+ * An authorizer that signs requests with a HMAC in a header.
+ */
+export class HmacAuthorizer implements IAuthorizer {
+    private _config: IHmacAuthorizerConfig;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IHmacAuthorizerConfig} config The configuration.
+     */
+    constructor(config: IHmacAuthorizerConfig) {
+        this._config = config;
+    }
+    
+    /**
+     * Gets the name of the hash algorithm. Default: 'sha256'
+     * 
+     * @property
+     */
+    public get algorithm() : string {
+        var algorithm = this._config.algorithm;
+        if (isEmptyString(algorithm)) {
+            algorithm = "sha256";
+        }
+        
+        return algorithm.toLowerCase().replace("-", "").trim();
+    }
+    
+    /**
+     * Creates the string to sign.
+     * 
+     * @param {IHmacSigningContext} ctx The context.
+     * 
+     * @return {String} The string to sign.
+     */
+    public createStringToSign(ctx: IHmacSigningContext) : string {
+        if (!TypeUtils.isNullOrUndefined(this._config.stringToSign)) {
+            return this._config.stringToSign(ctx);
+        }
+        
+        var lines = [ ctx.method, ctx.path, "" + ctx.timestamp, ctx.nonce, ctx.bodyHash ];
+        
+        var signedHeaders = this._config.signedHeaders || [];
+        for (var i = 0; i < signedHeaders.length; i++) {
+            var value = getHeaderValue(ctx.headers, signedHeaders[i]);
+            
+            lines.push(signedHeaders[i].toLowerCase().trim() + ":" +
+                       (TypeUtils.isNullOrUndefined(value) ? "" : ("" + value).trim()));
+        }
+        
+        return lines.join("\n");
+    }
+    
+    /**
+     * Gets the ID of the key.
+     * 
+     * @property
+     */
+    public get keyId() : string {
+        return this._config.keyId;
+    }
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        var cfg = this._config;
+        
+        var hashAlgorithm = HashAlgorithms[this.algorithm];
+        if (TypeUtils.isNullOrUndefined(hashAlgorithm)) {
+            throw "Algorithm '" + cfg.algorithm + "' is NOT supported!";
+        }
+        
+        var timestamp = cfg.timestamp;
+        if (TypeUtils.isNullOrUndefined(timestamp)) {
+            timestamp = new Date();
+        }
+        
+        var nonce = cfg.nonce;
+        if (isEmptyString(nonce)) {
+            nonce = createRandomHex(32);
+        }
+        
+        var body = typeof reqOpts.content === "string" ? <string>reqOpts.content : "";
+        
+        // hash the data that is sent
+        var bodyData = toWordArray(reqOpts.content);
+        if (TypeUtils.isUndefined(bodyData)) {
+            bodyData = toWordArray(body);
+        }
+        
+        var urlParts = parseUrl(reqOpts.url);
+        
+        var timestampHeader = TypeUtils.isUndefined(cfg.timestampHeader) ? "X-Timestamp" : cfg.timestampHeader;
+        var nonceHeader = TypeUtils.isUndefined(cfg.nonceHeader) ? "X-Nonce" : cfg.nonceHeader;
+        
+        var unixTime = Math.floor(timestamp.getTime() / 1000.0);
+        if (!isEmptyString(timestampHeader)) {
+            reqOpts.headers[timestampHeader] = "" + unixTime;
+        }
+        if (!isEmptyString(nonceHeader)) {
+            reqOpts.headers[nonceHeader] = nonce;
+        }
+        
+        var signature = this.sign(this.createStringToSign({
+            body: body,
+            bodyHash: hashAlgorithm.hash(bodyData).toString(Hex),
+            headers: reqOpts.headers,
+            method: methodToString(reqOpts.method),
+            nonce: nonce,
+            path: urlParts.path + urlParts.query,
+            timestamp: unixTime,
+            url: reqOpts.url,
+        }));
+        
+        var scheme = TypeUtils.isUndefined(cfg.scheme) ? "HMAC" : cfg.scheme;
+        
+        var value = isEmptyString(this.keyId) ? signature
+                                              : (this.keyId + ":" + signature);
+        if (!isEmptyString(scheme)) {
+            value = scheme + " " + value;
+        }
+        
+        reqOpts.headers[isEmptyString(cfg.header) ? "Authorization" : cfg.header] = value;
+    }
+    
+    /**
+     * Signs a string.
+     * 
+     * @param {String|ArrayBuffer|Uint8Array|Array} stringToSign The string (UTF-8) or the bytes to sign.
+     * 
+     * @return {String} The signature.
+     */
+    public sign(stringToSign: string | ArrayBuffer | Uint8Array | number[]) : string {
+        var hashAlgorithm = HashAlgorithms[this.algorithm];
+        if (TypeUtils.isNullOrUndefined(hashAlgorithm)) {
+            throw "Algorithm '" + this._config.algorithm + "' is NOT supported!";
+        }
+        
+        var hmac = hashAlgorithm.hmac(toWordArray(stringToSign), toWordArray(this._config.secret));
+        
+        return "hex" === ("" + this._config.encoding).toLowerCase().trim() ? hmac.toString(Hex)
+                                                                           : Base64.stringify(hmac);
+    }
+}
+
+/**
+ * A cache for HTTP responses, which are requested via GET.
+ */
+export class HttpCache {
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IHttpCacheConfig} [config] The optional configuration.
+     */
+    constructor(config?: IHttpCacheConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this.defaultMaxAge = config.defaultMaxAge;
+        this.mode = config.mode;
+        this.store = config.store;
+        
+        if (TypeUtils.isNullOrUndefined(this.defaultMaxAge)) {
+            this.defaultMaxAge = 0;
+        }
+        
+        if (TypeUtils.isNullOrUndefined(this.mode)) {
+            this.mode = HttpCacheMode.Default;
+        }
+        
+        if (TypeUtils.isNullOrUndefined(this.store)) {
+            this.store = new MemoryCacheStore();
+        }
+    }
+    
+    /**
+     * Removes all entries.
+     * 
+     * @return {Promise<any>} The promise.
+     */
+    public clear() : Promise<any> {
+        return Promise.resolve(this.store.clear());
+    }
+    
+    /**
+     * The number of seconds a response is fresh, if the server
+     * does not send 'Cache-Control' or 'Expires'. Default: 0
+     */
+    public defaultMaxAge: number;
+    
+    /**
+     * Returns the entry of an URL.
+     * 
+     * @param {String} url The URL.
+     * @param {any} [requestHeaders] The headers of the request, which have to match
+     *                               the ones of the entry (s. 'Vary' and 'Authorization').
+     * 
+     * @return {Promise<IHttpCacheEntry>} The promise with the entry (if available).
+     */
+    public get(url: string, requestHeaders?: any) : Promise<IHttpCacheEntry> {
+        return Promise.resolve(this.store.get(url)).then((entry) => {
+            if (TypeUtils.isNullOrUndefined(entry)) {
+                return null;
+            }
+            
+            if (entry.variant !== getCacheVariant(entry.headers, requestHeaders)) {
+                // stored for other headers,
+                // like the ones of another user
+                return null;
+            }
+            
+            return entry;
+        });
+    }
+    
+    /**
+     * The default mode.
+     */
+    public mode: HttpCacheMode;
+    
+    /**
+     * Stores a response.
+     * 
+     * Responses with content, which is not text, are NOT cacheable.
+     * 
+     * @param {String} url The URL.
+     * @param {HTTP.HttpResponse} response The response.
+     * @param {any} [requestHeaders] The headers of the request.
+     * 
+     * @return {Promise<IHttpCacheEntry>} The promise with the new entry or (null) if the response is NOT cacheable.
+     */
+    public put(url: string, response: HTTP.HttpResponse, requestHeaders?: any) : Promise<IHttpCacheEntry> {
+        var cacheControl = parseCacheControl(getHeaderValue(response.headers, "Cache-Control"));
+        var vary = getHeaderValue(response.headers, "Vary");
+        
+        var isText = TypeUtils.isNullOrUndefined(response.content) ||
+                     isTextMimeType(parseContentType(getHeaderValue(response.headers, "Content-Type")).mime);
+        
+        if (cacheControl["no-store"] || "*" === ("" + vary).trim() || !isText) {
+            return this.remove(url).then(() => null);
+        }
+        
+        var now = Date.now();
+        
+        var entry : IHttpCacheEntry = {
+            body: TypeUtils.isNullOrUndefined(response.content) ? null : response.content.toString(),
+            code: response.statusCode,
+            expiresAt: getCacheExpiration(response.headers, now, this.defaultMaxAge),
+            headers: getOwnProperties(response.headers) || {},
+            storedAt: now,
+            url: url,
+            variant: getCacheVariant(response.headers, requestHeaders),
+        };
+        
+        return Promise.resolve(this.store.set(url, entry)).then(() => entry);
+    }
+    
+    /**
+     * Removes the entry of an URL.
+     * 
+     * @param {String} url The URL.
+     * 
+     * @return {Promise<any>} The promise.
+     */
+    public remove(url: string) : Promise<any> {
+        return Promise.resolve(this.store.remove(url));
+    }
+    
+    /**
+     * The underlying store.
+     */
+    public store: IHttpCacheStore;
+}
+
+/**
+ * List of cache modes.
+ */
+export enum HttpCacheMode {
+    /**
+     * Use fresh content from cache, otherwise revalidate with the server.
+     */
+    Default,
+    
+    /**
+     * Always ask the server (with revalidation) and use the cache only if the network fails.
+     */
+    NetworkFirst,
+    
+    /**
+     * Use the cache only. If there is no entry, status code 504 is returned.
+     */
+    CacheOnly,
+    
+    /**
+     * Use cached content immediately (even if stale) and revalidate it in background.
+     */
+    StaleWhileRevalidate,
+    
+    /**
+     * Do not use the cache.
+     */
+    Bypass,
+}
+
+/**
+ * List of known HTTP request methods.
+ */
+export enum HttpMethod {
+    GET,
+    POST, 
+    PUT,
+    PATCH,   
+    DELETE,
+    HEAD,
+    TRACE,
+    OPTIONS,
+    CONNECT
+}
+
+class HttpRequest implements IHttpRequest {
+    private _client: ApiClient;
+    private _opts: HTTP.HttpRequestOptions;
+    
+    constructor(client: ApiClient, reqOpts : HTTP.HttpRequestOptions) {
+        this._client = client;
+        this._opts = reqOpts;
+    }
+    
+    public get body() : any {
+        return this._opts.content;
+    }
+    
+    public get client() : ApiClient {
+        return this._client;
+    }
+    
+    public get headers(): any {
+        return this._opts.headers;
+    }
+    
+    public get method(): string {
+        return this._opts.method;
+    }
+    
+    public get url(): string {
+        return this._opts.url;
+    }
+}
+
+/**
+ * List of known HTTP request / content types.
+ */
+export enum HttpRequestType {
+    /**
+     * Raw / binary
+     */
+    Binary,
+    
+    /**
+     * JSON
+     */
+    JSON,
+    
+    /**
+     * Xml
+     */
+    Xml,
+    
+    /**
+     * Text / string
+     */
+    Text,
+    
+    /**
+     * URL encoded form (application/x-www-form-urlencoded)
+     */
+    Form,
+    
+    /**
+     * Multipart form data (multipart/form-data)
+     */
+    Multipart
+}
+
+/**
+ * List of known HTTP status codes.
+ */
+export enum HttpStatusCode {
+    Accepted = 202,
+    BadGateway = 502,
+    BadRequest = 400,
+    Conflict = 409,
+    Continue = 100,
+    Created = 201,
+    ExpectationFailed = 417,
+    Forbidden = 403,
+    GatewayTimeout = 504,
+    Gone = 410,
+    HttpVersionNotSupported = 505,
+    InternalServerError = 500,
+    LengthRequired = 411,
+    MethodNotAllowed = 405,
+    MovedPermanently = 301,
+    MultipleChoices = 300,
+    NoContent = 204,
+    NonAuthoritativeInformation = 203,
+    NotAcceptable = 406,
+    NotFound = 404,
+    NotImplemented = 501,
+    NotModified = 304,
+    OK = 200,
+    PartialContent = 206,
+    PaymentRequired = 402,
+    PreconditionFailed = 412,
+    ProxyAuthenticationRequired = 407,
+    Redirect = 302,
+    RequestedRangeNotSatisfiable = 416,
+    RequestEntityTooLarge = 413,
+    RequestTimeout = 408,
+    RequestUriTooLong = 414,
+    ResetContent = 205,
+    SeeOther = 303,
+    ServiceUnavailable = 503,
+    SwitchingProtocols = 101,
+    TemporaryRedirect = 307,
+    Unauthorized = 401,
+    UnsupportedMediaType = 415,
+    Unused = 306,
+    UpgradeRequired = 426,
+    UseProxy = 305,
+}
+
+/**
+ * A transport that uses the HTTP module of NativeScript.
+ */
+export class HttpTransport implements ITransport {
+    /** @inheritdoc */
+    public send(opts: HTTP.HttpRequestOptions) : Promise<HTTP.HttpResponse> {
+        return HTTP.request(opts);
+    }
+}
+
+/**
+ * A helper object for wrapping API results.
+ */
+export interface IAjaxResult<TData> {
+    /**
+     * Gets the code (if defined).
+     * 
+     * @property
+     */
+    code? : number;
+    
+    /**
+     * Gets the message (if defined).
+     * 
+     * @property
+     */
+    msg?: string;
+    
+    /**
+     * The result data (if defined).
+     * 
+     * @property
+     */
+    data?: TData;
+}
+
+/**
+ * Describes an API client.
+ */
+export interface IApiClient {
+    /**
+     * Adds a decoder that is used by 'IApiClientResult.getContent()'
+     * for a specific content type.
+     * 
+     * @chainable
+     * 
+     * @param {String|RegExp} mime The MIME type, like 'text/csv' or 'text/*'.
+     * @param {Function} decoder The function that decodes the response.
+     */
+    addDecoder(mime: string | RegExp, decoder: (ctx: IContentDecoderContext) => any) : IApiClient;
+    
+    /**
+     * Adds a callback that can be used to format values of route parameters, e.g.
+     * 
+     * @chainable
+     * 
+     * @param {Function} provider The callback that formats values.
+     */
+    addFormatProvider(provider: (ctx: IFormatProviderContext) => any) : IApiClient;
+    
+    /**
+     * Adds a log action.
+     * 
+     * @chainable
+     * 
+     * @param {Function} logAction The log action.
+     */
+    addLogger(logAction : (ctx : ILogMessage) => void) : IApiClient;
+    
+    /**
+     * Gets or sets the deault authorizer.
+     */
+    authorizer: IAuthorizer;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 502 (bad gateway).
+     * 
+     * @chainable
+     * 
+     * @param {Function} badGatewayAction The action to invoke.
+     */
+    badGateway(badGatewayAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Gets or sets the response cache.
+     */
+    cache: HttpCache;
+    
+    /**
+     * Gets or sets the circuit breaker.
+     */
+    circuitBreaker: CircuitBreaker;
+    
+    /**
+     * Gets or sets the coalescer, which shares the responses of identical requests.
+     */
+    coalescer: RequestCoalescer;
+    
+    /**
+     * Gets or sets the cookie jar.
+     */
+    cookieJar: CookieJar;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 400 (bad request).
+     * 
+     * @chainable
+     * 
+     * @param {Function} notFoundAction The action to invoke.
+     */
+    badRequest(badRequestAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Gets or sets the base URL.
+     */
+    baseUrl : string;
+    
+    /**
+     * Defines an action that is invoked BEFORE a request starts.
+     * 
+     * @chainable
+     * 
+     * @param {Function} beforeAction The action to invoke.
+     */
+    beforeSend(beforeAction : (opts : HTTP.HttpRequestOptions, tag: any) => void) : IApiClient;
+    
+    /**
+     * Starts a request for a route of the route table.
+     * 
+     * Parameters, which are not part of the route, are sent as URL parameters.
+     * The route is resolved to an absolute URL, before the request is sent or queued.
+     * 
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {any} [params] The parameters for the route.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     *                                                 It is rejected if the route is unknown
+     *                                                 or a parameter is invalid.
+     */
+    call(name: string, params?: any, opts?: IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Defines an action that is invoked on a status code between 400 and 499.
+     * 
+     * @chainable
+     * 
+     * @param {Function} clientErrAction The action to invoke.
+     */
+    clientError(clientErrAction : (result : IApiClientResult) => void): IApiClient;
+    
+    /**
+     * Defines an action that is invoked on a status code between 400 and 599.
+     * 
+     * @chainable
+     * 
+     * @param {Function} clientSrvErrAction The action to invoke.
+     */
+    clientOrServerError(clientSrvErrAction : (result : IApiClientResult) => void): IApiClient;
+    
+    /**
+     * Defines the "complete" action.
+     * 
+     * @chainable
+     * 
+     * @param {Function} completeAction The action to invoke.
+     */
+    complete(completeAction : (ctx : IApiClientCompleteContext) => void) : IApiClient;
+
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 409 (conflict).
+     * 
+     * @chainable
+     * 
+     * @param {Function} conflictAction The action to invoke.
+     */
+    conflict(conflictAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Starts a DELETE request.
+     * 
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    delete(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Downloads a file in chunks via 'Range' requests, which are appended to the
+     * destination file, so only one chunk at a time is buffered in memory.
+     * An existing (partial) file is resumed by default, if the validator ('ETag' / 'Last-Modified')
+     * of its content has been stored, otherwise it is downloaded again.
+     * If the server does not support ranges or the content has been changed, it sends the complete
+     * content, which is buffered in memory as a whole and replaces the destination file.
+     * 
+     * The actions of the client, like 'success' and 'complete', are invoked once,
+     * for the last response or the error of the download.
+     * 
+     * @param {String} destFile The path of the destination file.
+     * @param {IDownloadOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<FileSystem.File>} The promise with the file.
+     *                                                It is rejected with the result
+     *                                                if the status code is unexpected.
+     */
+    download(destFile: string, opts?: IDownloadOptions) : ICancellablePromise<FileSystem.File>;
+    
+    /**
+     * Enables the offline queue, which stores requests while the device
+     * is offline and sends them when it is online again.
+     * 
+     * @chainable
+     * 
+     * @param {IOfflineQueueConfig} [config] The custom configuration.
+     */
+    enableOfflineQueue(config?: IOfflineQueueConfig) : IApiClient;
+    
+    /**
+     * Defines the "error" action.
+     * 
+     * @chainable
+     * 
+     * @param {Function} errAction The action to invoke.
+     */
+    error(errAction : (ctx : IApiClientError) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 403 (forbidden).
+     * 
+     * @chainable
+     * 
+     * @param {Function} forbiddenAction The action to invoke.
+     */
+    forbidden(forbiddenAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 504 (gateway timeout).
+     * 
+     * @chainable
+     * 
+     * @param {Function} timeoutAction The action to invoke.
+     */
+    gatewayTimeout(timeoutAction: (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Starts a GET request.
+     * 
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    get(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 410 (gone).
+     * 
+     * @chainable
+     * 
+     * @param {Function} goneAction The action to invoke.
+     */
+    gone(goneAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Creates a GraphQL client that sends its requests via that client.
+     * 
+     * @param {IGraphQLConfig} [config] The custom configuration.
+     * 
+     * @return {GraphQLClient} The new GraphQL client.
+     */
+    graphQL(config?: IGraphQLConfig) : GraphQLClient;
+    
+    /**
+     * Gets or sets the recorder for the traffic in HAR format.
+     */
+    harRecorder: HarRecorder;
+    
+    /**
+     * Gets or sets the global request headers.
+     * 
+     * @property
+     */
+    headers: any;
+    
+    /**
+     * Invokes an action if a predicate matches.
+     * 
+     * @chainable
+     * 
+     * @param {Function} predicate The predicate to use.
+     * @param {Function} statusAction The action to invoke.
+     */
+    if(predicate: (ctx : IApiClientResult) => boolean,
+       statusAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Invokes an action if a status matches.
+     * 
+     * @chainable
+     * 
+     * @param {Function} predicate The predicate to use.
+     * @param {Function} statusAction The action to invoke.
+     */
+    ifStatus(predicate: (code : number) => boolean,
+             statusAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Defines an action that is invoked on a status code between 100 and 199.
+     * 
+     * @chainable
+     * 
+     * @param {Function} infoAction The action to invoke.
+     */
+    informational(infoAction: (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 507 (insufficient storage).
+     * 
+     * @chainable
+     * 
+     * @param {Function} insufficientAction The action to invoke.
+     */
+    insufficientStorage(insufficientAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Adds an interceptor that is invoked if the HTTP client fails.
+     * 
+     * @chainable
+     * 
+     * @param {Function} interceptor The interceptor. Can return a promise.
+     */
+    interceptError(interceptor : (ctx : IErrorInterceptorContext) => any) : IApiClient;
+    
+    /**
+     * Adds an interceptor that is invoked BEFORE a request is sent.
+     * 
+     * @chainable
+     * 
+     * @param {Function} interceptor The interceptor. Can return a promise.
+     */
+    interceptRequest(interceptor : (ctx : IRequestInterceptorContext) => any) : IApiClient;
+    
+    /**
+     * Adds an interceptor that is invoked for a response BEFORE
+     * the status actions are invoked.
+     * 
+     * @chainable
+     * 
+     * @param {Function} interceptor The interceptor. Can return a promise.
+     */
+    interceptResponse(interceptor : (ctx : IResponseInterceptorContext) => any) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 500 (internal server error).
+     * 
+     * @chainable
+     * 
+     * @param {Function} errAction The action to invoke.
+     */
+    internalServerError(errAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Creates a JSON-RPC 2.0 client that sends its requests via that client.
+     * 
+     * @param {IJsonRpcConfig} [config] The custom configuration.
+     * 
+     * @return {JsonRpcClient} The new JSON-RPC client.
+     */
+    jsonRpc(config?: IJsonRpcConfig) : JsonRpcClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 423 (document not found).
+     * 
+     * @chainable
+     * 
+     * @param {Function} lockedAction The action to invoke.
+     */
+    locked(lockedAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Creates a long-poll client, which sends its requests via that client
+     * and dispatches the events of each complete response.
+     * The long-poll client is not opened automatically.
+     * 
+     * @param {ILongPollConfig} [config] The custom configuration.
+     * 
+     * @return {LongPollClient} The new client.
+     */
+    longPoll(config?: ILongPollConfig) : LongPollClient;
+    
+    /**
+     * Gets or sets the maximum number of replays, which can be requested
+     * by interceptors, for a request. Default: 10
+     * 
+     * @property
+     */
+    maxReplays: number;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 405 (method not allowed).
+     * 
+     * @chainable
+     * 
+     * @param {Function} notAllowedAction The action to invoke.
+     */
+    methodNotAllowed(notAllowedAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 404 (document not found).
+     * 
+     * @chainable
+     * 
+     * @param {Function} notFoundAction The action to invoke.
+     */
+    notFound(notFoundAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 501 (not implemented).
+     * 
+     * @chainable
+     * 
+     * @param {Function} notImplementedAction The action to invoke.
+     */
+    notImplemented(notImplementedAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 200, 204 or 205 (OK; no content; reset content).
+     * 
+     * @chainable
+     * 
+     * @param {Function} okAction The action to invoke.
+     */
+    ok(okAction: (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Gets or sets the offline queue.
+     */
+    offlineQueue: OfflineQueue;
+    
+    /**
+     * Creates a paginator that loads the items of a paged resource lazily.
+     * 
+     * @param {IPaginationConfig|PaginationStrategy} [config] The configuration or the strategy to use.
+     * 
+     * @return {Paginator} The new paginator.
+     */
+    paginate<T>(config?: IPaginationConfig | PaginationStrategy) : Paginator<T>;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 413 (payload too large).
+     * 
+     * @chainable
+     * 
+     * @param {Function} tooLargeAction The action to invoke.
+     */
+    payloadTooLarge(tooLargeAction: (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Gets or sets how arrays are serialized as URL parameters.
+     * Default: ParamArrayFormat.Repeat
+     * 
+     * @property
+     */
+    paramArrayFormat: ParamArrayFormat;
+    
+    /**
+     * Gets or sets how objects are serialized as URL parameters.
+     * Default: ParamObjectFormat.Brackets
+     * 
+     * @property
+     */
+    paramObjectFormat: ParamObjectFormat;
+    
+    /**
+     * Gets or sets the global list of URL parameters.
+     * 
+     * @property
+     */
+    params: any;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 206 (partial content).
+     * 
+     * @chainable
+     * 
+     * @param {Function} partialAction The action to invoke.
+     */
+    partialContent(partialAction: (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Starts a PATCH request.
+     * 
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    patch(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Starts a POST request.
+     * 
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    post(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Starts a PUT request.
+     * 
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise.
+     */
+    put(opts? : IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Gets or sets the rate limiter.
+     */
+    rateLimiter: RateLimiter;
+    
+    /**
+     * Defines an action that is invoked on a status code between 300 and 399.
+     * 
+     * @chainable
+     * 
+     * @param {Function} redirectAction The action to invoke.
+     */
+    redirection(redirectAction : (result : IApiClientResult) => void): IApiClient;
+    
+    /**
+     * Starts a request.
+     * 
+     * @param any method The HTTP method.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise that is resolved with the result
+     *                                                or rejected with the error context.
+     */
+    request(method : any, opts? : IRequestOptions) : ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Gets or sets the default retry policy.
+     * 
+     * @property
+     */
+    retryPolicy: IRetryPolicy;
+    
+    /**
+     * Gets or sets the route.
+     */
+    route: string;
+    
+    /**
+     * Gets or sets the global list of route parameters.
+     * 
+     * @property
+     */
+    routeParams: any;
+    
+    /**
+     * Gets or sets the table of named routes, which is used by 'call()' and 'urlFor()'.
+     * 
+     * @property
+     */
+    routes: RouteTable;
+    
+    /**
+     * Gets or sets the JSON schema (draft-07), which is used to validate
+     * the content of responses with a status code of 2xx.
+     * Responses without content, like 204 and 205, are not validated.
+     * 
+     * @property
+     */
+    schema: any;
+    
+    /**
+     * Defines an action that is invoked on a status code between 500 and 599.
+     * 
+     * @chainable
+     * 
+     * @param {Function} serverErrAction The action to invoke.
+     */
+    serverError(serverErrAction : (result : IApiClientResult) => void): IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 503 (service unavailable).
+     * 
+     * @chainable
+     * 
+     * @param {Function} unavailableAction The action to invoke.
+     */
+    serviceUnavailable(unavailableAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Sets the default authorizer.
+     * 
+     * @chainable
+     * 
+     * @param {IAuthorizer} authorizer The default authorizer.
+     */
+    setAuthorizer(authorizer: IAuthorizer) : IApiClient;
+    
+    /**
+     * Sets the base URL.
+     * 
+     * @chainable
+     * 
+     * @param {String} newValue The new URL.
+     */        
+    setBaseUrl(newValue : string) : IApiClient;
+    
+    /**
+     * Sets the response cache.
+     * 
+     * @chainable
+     * 
+     * @param {HttpCache} newValue The new cache.
+     */
+    setCache(newValue : HttpCache) : IApiClient;
+    
+    /**
+     * Sets the coalescer, which shares the responses of identical requests.
+     * 
+     * @chainable
+     * 
+     * @param {RequestCoalescer} newValue The new coalescer.
+     */
+    setCoalescer(newValue : RequestCoalescer) : IApiClient;
+    
+    /**
+     * Sets the cookie jar.
+     * If the jar has no logger, the client logs its errors.
+     * 
+     * @chainable
+     * 
+     * @param {CookieJar} newValue The new cookie jar.
+     */
+    setCookieJar(newValue : CookieJar) : IApiClient;
+    
+    /**
+     * Sets the recorder for the traffic in HAR format.
+     * 
+     * @chainable
+     * 
+     * @param {HarRecorder} newValue The new recorder.
+     */
+    setHarRecorder(newValue : HarRecorder) : IApiClient;
+    
+    /**
+     * Sets the default retry policy.
+     * 
+     * @chainable
+     * 
+     * @param {IRetryPolicy} newValue The new policy.
+     */
+    setRetryPolicy(newValue : IRetryPolicy) : IApiClient;
+    
+    /**
+     * Sets the route.
+     * 
+     * @chainable
+     * 
+     * @param {String} newValue The new route.
+     */
+    setRoute(newValue : string) : IApiClient;
+    
+    /**
+     * Sets the table of named routes.
+     * 
+     * @chainable
+     * 
+     * @param {RouteTable} newValue The new route table.
+     */
+    setRoutes(newValue : RouteTable) : IApiClient;
+    
+    /**
+     * Sets the JSON schema for the content of successful responses.
+     * 
+     * @chainable
+     * 
+     * @param {any} newValue The new schema.
+     */
+    setSchema(newValue : any) : IApiClient;
+    
+    /**
+     * Sets the transport.
+     * 
+     * @chainable
+     * 
+     * @param {ITransport} newValue The new transport.
+     */
+    setTransport(newValue : ITransport) : IApiClient;
+    
+    /**
+     * Defines an action that is invoked for a specific status code.
+     * 
+     * @chainable
+     * 
+     * @param {Number} code The status code.
+     * @param {Function} statusAction The action to invoke.
+     */
+    status(code: number,
+           statusAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Defines an action that is invoked on a status code between 200 and 299.
+     * 
+     * @chainable
+     * 
+     * @param {Function} succeededAction The action to invoke.
+     */
+    succeededRequest(succeededAction : (result : IApiClientResult) => void): IApiClient;
+    
+    /**
+     * Defines the "success" action.
+     * 
+     * @chainable
+     * 
+     * @param {Function} successAction The action to invoke.
+     */
+    success(successAction : (result: IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 429 (too many requests).
+     * 
+     * @chainable
+     * 
+     * @param {Function} tooManyAction The action to invoke.
+     */
+    tooManyRequests(tooManyAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Gets or sets the transport that sends the requests.
+     * Default: HttpTransport
+     */
+    transport: ITransport;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 401 (unauthorized).
+     * 
+     * @chainable
+     * 
+     * @param {Function} unauthorizedAction The action to invoke.
+     */
+    unauthorized(unauthorizedAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 415 (unsupported media type).
+     * 
+     * @chainable
+     * 
+     * @param {Function} unsupportedAction The action to invoke.
+     */
+    unsupportedMediaType(unsupportedAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Short hand method to define an action that is invoked
+     * for a status code 414 (URI too long).
+     * 
+     * @chainable
+     * 
+     * @param {Function} tooLongAction The action to invoke.
+     */
+    uriTooLong(tooLongAction : (result : IApiClientResult) => void) : IApiClient;
+    
+    /**
+     * Returns the URL of a route of the route table, e.g. for logging.
+     * 
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {any} [params] The parameters for the route.
+     * 
+     * @return {String} The URL.
+     * 
+     * @throws The route is unknown or a parameter is invalid.
+     */
+    urlFor(name: string, params?: any) : string;
+}
+
+/**
+ * Describes a context of a "complete" action.
+ */
+export interface IApiClientCompleteContext extends ILogger, ITagProvider {
+    /**
+     * Gets the list of attempts that have been made.
+     * 
+     * @property
+     */
+    attempts: IRequestAttempt[];
+    
+    /**
+     * Gets the underlying API client.
+     * 
+     * @property
+     */
+    client: IApiClient;
+    
+    /**
+     * Gets the error context (if defined).
+     * 
+     * @property
+     */
+    error?: IApiClientError;
+    
+    /**
+     * Gets the underlying HTTP request.
+     * 
+     * @property
+     */
+    request: IHttpRequest;
+    
+    /**
+     * Gets the API result (if defined).
+     * 
+     * @property
+     */
+    result?: IApiClientResult;
+}
+
+/**
+ * Describes an object that stores configuration data for an API client.
+ */
+export interface IApiClientConfig {
+    /**
+     * Gets the default authorizer.
+     * 
+     * @property
+     */
+    authorizer?: IAuthorizer;
+    
+    /**
+     * Gets the base URL to use.
+     * 
+     * @property
+     */
+    baseUrl: string;
+    
+    /**
+     * Defines an action that is invoked BEFORE a request starts.
+     * 
+     * @property
+     */
+    beforeSend? : (opts : HTTP.HttpRequestOptions) => void;
+    
+    /**
+     * Gets the response cache to use.
+     * 
+     * @property
+     */
+    cache?: HttpCache;
+    
+    /**
+     * Gets the configuration for a circuit breaker.
+     * 
+     * @property
+     */
+    circuitBreaker?: ICircuitBreakerConfig;
+    
+    /**
+     * Defines the action to handle a status code between 400 and 499.
+     * 
+     * @property
+     */
+    clientError?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Gets the coalescer, which shares the responses of identical requests
+     * that are sent at the same time. It can be shared between clients.
+     * 
+     * @property
+     */
+    coalescer?: RequestCoalescer;
+    
+    /**
+     * Defines the "complete" action.
+     * 
+     * @property
+     */
+    complete?: (ctx : IApiClientCompleteContext) => void;
+    
+    /**
+     * Gets the cookie jar to use.
+     * 
+     * @property
+     */
+    cookieJar?: CookieJar;
+    
+    /**
+     * Gets the list of custom content decoders.
+     * 
+     * @property
+     */
+    decoders?: IContentDecoder[];
+    
+    /**
+     * Defines the "error" action.
+     * 
+     * @property
+     */
+    error?: (ctx : IApiClientError) => void;
+    
+    /**
+     * Defines the action to handle a 403 status code.
+     * 
+     * @property
+     */
+    forbidden?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Gets the recorder for the traffic in HAR format.
+     * 
+     * @property
+     */
+    harRecorder?: HarRecorder;
+    
+    /**
+     * Gets the global request headers to use.
+     * 
+     * @property
+     */
+    headers?: any;
+    
+    /**
+     * Defines that actions to invoke if a reponse matches.
+     */
+    if? : IIfResponse[];
+    
+    /**
+     * Defines that actions to invoke if a status code matches.
+     */
+    ifStatus? : IIfStatus[];
+    
+    /**
+     * Gets the interceptors to use.
+     * 
+     * @property
+     */
+    interceptors?: IInterceptors;
+    
+    /**
+     * Gets the maximum number of replays, which can be requested
+     * by interceptors, for a request. Default: 10
+     * 
+     * @property
+     */
+    maxReplays?: number;
+    
+    /**
+     * Defines the action to handle a status code between 300 and 399.
+     * 
+     * @property
+     */
+    redirection?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Defines the action to handle a 404 status code.
+     * 
+     * @property
+     */
+    notFound?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Defines the action to handle a 200, 204 or 205 status code.
+     * 
+     * @property
+     */
+    ok?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Gets the configuration for the offline queue.
+     * If defined, the queue is enabled.
+     * 
+     * @property
+     */
+    offlineQueue?: IOfflineQueueConfig;
+    
+    /**
+     * Gets how arrays are serialized as URL parameters.
+     * Default: ParamArrayFormat.Repeat
+     * 
+     * @property
+     */
+    paramArrayFormat?: ParamArrayFormat;
+    
+    /**
+     * Gets how objects are serialized as URL parameters.
+     * Default: ParamObjectFormat.Brackets
+     * 
+     * @property
+     */
+    paramObjectFormat?: ParamObjectFormat;
+    
+    /**
+     * Gets the global URL parameters to use.
+     * 
+     * @property
+     */
+    params?: any;
+    
+    /**
+     * Gets the configuration for a rate limiter.
+     * 
+     * @property
+     */
+    rateLimiter?: IRateLimiterConfig;
+    
+    /**
+     * Gets the default retry policy.
+     * 
+     * @property
+     */
+    retryPolicy?: IRetryPolicy;
+    
+    /**
+     * Gets the optional route.
+     * 
+     * @property
+     */
+    route?: string;
+    
+    /**
+     * Gets the global route parameters to use.
+     * 
+     * @property
+     */
+    routeParams?: any;
+    
+    /**
+     * Gets the table of named routes or an object with the templates / definitions
+     * of the routes, like { 'users.show': '/users/{id:int}/posts/{slug?}' }.
+     * 
+     * @property
+     */
+    routes?: RouteTable | { [name: string]: string | IRouteDefinition };
+    
+    /**
+     * Gets the JSON schema (draft-07), which is used to validate
+     * the content of responses with a status code of 2xx.
+     * Responses without content, like 204 and 205, are not validated.
+     * Violations are handled as errors with context 'ApiClientErrorContext.SchemaViolation'.
+     * 
+     * @property
+     */
+    schema?: any;
+    
+    /**
+     * Defines the action to handle a status code between 500 and 599.
+     * 
+     * @property
+     */
+    serverError?: (ctx : IApiClientResult) => void;
+
+    /**
+     * Defines the action to handle a status code between 200 and 299.
+     * 
+     * @property
+     */
+    succeededRequest?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Defines the "success" action.
+     * 
+     * @property
+     */
+    success?: (ctx : IApiClientResult) => void;
+    
+    /**
+     * Gets the transport that sends the requests.
+     * Default: HttpTransport
+     * 
+     * @property
+     */
+    transport?: ITransport;
+    
+    /**
+     * Defines the action to handle a 401 status code.
+     * 
+     * @property
+     */
+    unauthorized?: (ctx : IApiClientResult) => void;
+}
+
+/**
+ * Describes an error context of an API call.
+ */
+export interface IApiClientError extends ILogger, ITagProvider {
+    /**
+     * Gets the underlying client.
+     * 
+     * @property
+     */
+    client: IApiClient;
+    
+    /**
+     * Gets the context.
+     * 
+     * @property
+     */
+    context: ApiClientErrorContext;
+    
+    /**
+     * Gets the error data.
+     * 
+     * @property
+     */
+    error: any;
+    
+    /**
+     * Gets or sets if error has been handled or not.
+     * 
+     * @property
+     */
+    handled: boolean;
+    
+    /**
+     * Gets the underlying HTTP request.
+     * 
+     * @property
+     */
+    request: IHttpRequest;
+}
+
+/**
+ * Describes an API result.
+ */
+export interface IApiClientResult extends ILogger, ITagProvider {
+    /**
+     * Gets the underlying API client.
+     * 
+     * @property
+     */
+    client: IApiClient;
+
+    /**
+     * Gets the HTTP response code.
+     * 
+     * @property
+     */
+    code: number;
+    
+    /**
+     * Gets the raw content.
+     * 
+     * @property
+     */
+    content: any;
+    
+    /**
+     * Gets the underlying (execution) context.
+     * 
+     * @property
+     */
+    context: ApiClientResultContext;
+    
+    /**
+     * Gets the response headers.
+     * 
+     * @property
+     */
+    headers: HTTP.Headers;
+    
+    /**
+     * Returns the content as wrapped AJAX result object.
+     * 
+     * @return {IAjaxResult<TData>} The ajax result object.
+     */
+    getAjaxResult<TData>() : IAjaxResult<TData>;
+    
+    /**
+     * Returns the content decoded by its content type, e.g.
+     * JSON, XML, YAML or Markdown (as HTML).
+     * 
+     * @return {T} The decoded content.
+     */
+    getContent<T>() : T;
+    
+    /**
+     * Returns the content as list of server-sent events (text/event-stream).
+     * 
+     * @return {IServerSentEvent[]} The events.
+     */
+    getEvents() : IServerSentEvent[];
+    
+    /**
+     * Returns the content as file.
+     * 
+     * @param {String} [destFile] The custom path of the destination file.
+     * 
+     * @return {FileSystem.File} The file.
+     */
+    getFile(destFile?: string) : FileSystem.File;
+    
+    /**
+     * Tries result the content as image source.
+     * 
+     * @return {Promise<Image.ImageSource>} The result.
+     */
+    getImage(): Promise<Image.ImageSource>;
+    
+    /**
+     * Returns the content as JSON object.
+     * 
+     * @return {T} The JSON object.
+     */
+    getJSON<T>() : T;
+    
+    /**
+     * Returns the content as HTML, converted from Markdown.
+     * 
+     * @param {String} [dialect] The custom Markdown dialect, like 'Gruber' or 'Maruku'.
+     * 
+     * @return {String} The HTML code.
+     */
+    getMarkdown(dialect?: string) : string;
+    
+    /**
+     * Returns the content as list of objects, parsed from line-delimited JSON (NDJSON).
+     * 
+     * @return {T[]} The objects.
+     */
+    getNdjson<T>() : T[];
+    
+    /**
+     * Returns the content as string.
+     * 
+     * @return {String} The string.
+     */
+    getString() : string;
+    
+    /**
+     * Returns the content as XML document.
+     * 
+     * @param {Boolean} [processNamespaces] Process namespaces or not.
+     * @param {Boolean} [angularSyntax] Handle Angular syntax or not.
+     * 
+     * @return {XmlObjects.XDocument} The XML document.
+     */
+    getXml(processNamespaces?: boolean, angularSyntax?: boolean) : XmlObjects.XDocument;
+    
+    /**
+     * Returns the content as parsed YAML object.
+     * 
+     * @return {T} The YAML object.
+     */
+    getYaml<T>() : T;
+    
+    /**
+     * Gets the information about the request.
+     * 
+     * @property
+     */
+    request: IHttpRequest;
+    
+    /**
+     * Gets the raw response.
+     * 
+     * @property
+     */
+    response: HTTP.HttpResponse;
+}
+
+/**
+ * Describes an object that prepares a HTTP for authorization.
+ */
+export interface IAuthorizer {
+    /**
+     * Is invoked for a response BEFORE the response interceptors of the client
+     * and can be used to replay a request, e.g. after a token has been refreshed.
+     * 
+     * @param {IResponseInterceptorContext} ctx The interceptor context.
+     * 
+     * @return any Can return a promise.
+     */
+    interceptResponse?(ctx: IResponseInterceptorContext): any;
+    
+    /**
+     * Prepares a HTTP request for authorization.
+     * Is invoked for each attempt AFTER the request interceptors of the client,
+     * and is not invoked if an interceptor has answered the request.
+     * 
+     * @param {HTTP.HttpRequestOptions} reqOpts The request options.
+     * 
+     * @return any Can return a promise, if the request is prepared asynchronously.
+     */
+    prepare(reqOpts: HTTP.HttpRequestOptions);
+}
+
+/**
+ * Describes a configuration for AWS Signature Version 4.
+ */
+export interface IAwsSigV4Config {
+    /**
+     * Gets the access key ID.
+     * 
+     * @property
+     */
+    accessKeyId: string;
+    
+    /**
+     * Gets the region, like 'eu-central-1'.
+     * 
+     * @property
+     */
+    region: string;
+    
+    /**
+     * Gets the secret access key.
+     * 
+     * @property
+     */
+    secretAccessKey: string;
+    
+    /**
+     * Gets the service, like 's3' or 'execute-api'.
+     * 
+     * @property
+     */
+    service: string;
+    
+    /**
+     * Gets the token of temporary credentials.
+     * 
+     * @property
+     */
+    sessionToken?: string;
+    
+    /**
+     * Gets a custom time for the signature.
+     * If not defined, the current time is used for each request.
+     * 
+     * @property
+     */
+    timestamp?: Date;
+}
+
+/**
+ * Describes a promise that can be cancelled.
+ */
+export interface ICancellablePromise<T> extends Promise<T> {
+    /**
+     * Cancels the underlying operation.
+     * 
+     * @param any [reason] The optional reason.
+     */
+    cancel(reason?: any);
+}
+
+/**
+ * Describes a token that notifies about a cancellation request.
+ */
+export interface ICancellationToken {
+    /**
+     * Gets if cancellation has been requested or not.
+     * 
+     * @property
+     */
+    isCancellationRequested: boolean;
+    
+    /**
+     * Gets the reason of the cancellation (if defined).
+     * 
+     * @property
+     */
+    reason: any;
+    
+    /**
+     * Registers a callback that is invoked when cancellation is requested.
+     * 
+     * @param {Function} callback The callback to register.
+     * 
+     * @return {Function} The function that unregisters the callback.
+     */
+    register(callback: (reason: any) => void) : () => void;
+}
+
+/**
+ * Describes a configuration for a circuit breaker.
+ */
+export interface ICircuitBreakerConfig {
+    /**
+     * Gets the time in milliseconds a circuit stays open. Default: 30000
+     * 
+     * @property
+     */
+    cooldown?: number;
+    
+    /**
+     * Gets the number of failures in a row that open a circuit. Default: 5
+     * 
+     * @property
+     */
+    failureThreshold?: number;
+    
+    /**
+     * Gets the custom function that checks if a response or an error counts as failure.
+     * Default: errors, status code 429 and 5xx.
+     * 
+     * @property
+     */
+    isFailure?: (code: number, err: any) => boolean;
+    
+    /**
+     * Gets the function that is invoked if the state of a circuit changes.
+     * Its errors are logged via the 'logger' of the breaker.
+     * 
+     * @property
+     */
+    onStateChange?: (ctx: ICircuitStateChangeContext) => void;
+    
+    /**
+     * Gets the number of succeeded trial requests that close a circuit. Default: 1
+     * 
+     * @property
+     */
+    successThreshold?: number;
+}
+
+/**
+ * Describes the context of a state change of a circuit.
+ */
+export interface ICircuitStateChangeContext {
+    /**
+     * Gets the underlying circuit breaker.
+     * 
+     * @property
+     */
+    breaker: CircuitBreaker;
+    
+    /**
+     * Gets the number of failures in a row.
+     * 
+     * @property
+     */
+    failures: number;
+    
+    /**
+     * Gets the host.
+     * 
+     * @property
+     */
+    host: string;
+    
+    /**
+     * Gets the new state.
+     * 
+     * @property
+     */
+    newState: CircuitState;
+    
+    /**
+     * Gets the old state.
+     * 
+     * @property
+     */
+    oldState: CircuitState;
+}
+
+/**
+ * Describes an entry that stores a decoder for a content type.
+ */
+export interface IContentDecoder {
+    /**
+     * The function that decodes the content.
+     * 
+     * @property
+     */
+    decoder: (ctx: IContentDecoderContext) => any;
+    
+    /**
+     * The MIME type, like 'text/csv' or 'text/*', or a regular expression.
+     * 
+     * @property
+     */
+    mime: string | RegExp;
+}
+
+/**
+ * Describes a context for a content decoder.
+ */
+export interface IContentDecoderContext {
+    /**
+     * Gets the MIME type (lower case), without parameters.
+     * 
+     * @property
+     */
+    mime: string;
+    
+    /**
+     * Gets the parameters of the content type, like 'charset'.
+     * 
+     * @property
+     */
+    parameters: any;
+    
+    /**
+     * Gets the underlying API result.
+     * 
+     * @property
+     */
+    result: IApiClientResult;
+}
+
+/**
+ * Describes a cookie.
+ */
+export interface ICookie {
+    /**
+     * Gets the time (in milliseconds), the cookie has been created.
+     * 
+     * @property
+     */
+    creationTime: number;
+    
+    /**
+     * Gets the domain.
+     * 
+     * @property
+     */
+    domain: string;
+    
+    /**
+     * Gets the time (in milliseconds), the cookie expires.
+     * Is not defined for session cookies.
+     * 
+     * @property
+     */
+    expires?: number;
+    
+    /**
+     * Gets if the cookie is sent to the host, which has set it, only or not.
+     * 
+     * @property
+     */
+    hostOnly: boolean;
+    
+    /**
+     * Gets if the cookie has the 'HttpOnly' attribute or not.
+     * 
+     * @property
+     */
+    httpOnly: boolean;
+    
+    /**
+     * Gets the name.
+     * 
+     * @property
+     */
+    name: string;
+    
+    /**
+     * Gets the path.
+     * 
+     * @property
+     */
+    path: string;
+    
+    /**
+     * Gets the value of the 'SameSite' attribute.
+     * 
+     * @property
+     */
+    sameSite?: string;
+    
+    /**
+     * Gets if the cookie is sent via HTTPS only or not.
+     * 
+     * @property
+     */
+    secure: boolean;
+    
+    /**
+     * Gets the value.
+     * 
+     * @property
+     */
+    value: string;
+}
+
+/**
+ * Describes a configuration for a cookie jar.
+ */
+export interface ICookieJarConfig {
+    /**
+     * Gets if session cookies should be stored in the storage, too, or not. Default: (false)
+     * 
+     * @property
+     */
+    persistSessionCookies?: boolean;
+    
+    /**
+     * Gets the custom storage for the cookies.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     * 
+     * @property
+     */
+    storage?: IValueStorage;
+    
+    /**
+     * Gets the key the cookies are stored with in the storage. Default: 'apiclient.cookies'
+     * 
+     * @property
+     */
+    storageKey?: string;
+    
+    /**
+     * Gets the custom store for the cookies, like a 'SQLiteCookieStore'.
+     * If defined, 'storage' and 'storageKey' are ignored.
+     * 
+     * @property
+     */
+    store?: ICookieStore;
+}
+
+/**
+ * Describes a store for the cookies of a cookie jar.
+ */
+export interface ICookieStore {
+    /**
+     * Loads the cookies.
+     * 
+     * @return {Promise<ICookie[]>|ICookie[]} The (promise with the) cookies.
+     */
+    load() : Promise<ICookie[]> | ICookie[];
+    
+    /**
+     * Saves the cookies.
+     * 
+     * @param {ICookie[]} cookies The cookies to save.
+     * 
+     * @return {Promise<any>|void} The optional promise.
+     */
+    save(cookies: ICookie[]) : Promise<any> | void;
+}
+
+/**
+ * Options for a download.
+ */
+export interface IDownloadOptions extends IRequestOptions {
+    /**
+     * Gets if the complete content may be downloaded at once, if the server does
+     * not support range requests. The HTTP module buffers such a content completely
+     * in memory, so the download is rejected by default. Default: (false)
+     * 
+     * @property
+     */
+    allowFullContent?: boolean;
+    
+    /**
+     * Gets the maximum number of bytes that are requested at once.
+     * 0 requests the (remaining) content at once. Default: 1048576
+     * 
+     * Before the first chunk, a HEAD request checks if the server supports
+     * range requests ('Accept-Ranges') and if a partial file is still up-to-date.
+     * 
+     * @property
+     */
+    chunkSize?: number;
+    
+    /**
+     * Gets if an existing destination file should be resumed. Default: (true)
+     * 
+     * @property
+     */
+    resume?: boolean;
+    
+    /**
+     * Gets the storage for the validators of partial files, so they can be resumed.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     * 
+     * @property
+     */
+    storage?: IValueStorage;
+}
+
+/**
+ * Describes a context for an error interceptor.
+ */
+export interface IErrorInterceptorContext extends IResponseInterceptorContext {
+    /**
+     * Gets or sets the error of the HTTP client.
+     * 
+     * @property
+     */
+    error: any;
+}
+
+/**
+ * Describes a format provider context.
+ */
+export interface IFormatProviderContext {
+    /**
+     * Gets the format expression.
+     * 
+     * @property
+     */
+    expression: string;
+    
+    /**
+     * Gets if the expression has been handled or not.
+     * 
+     * @property
+     */
+    handled: boolean;
+    
+    /**
+     * Gets the underlying (unhandled) value.
+     * 
+     * @property
+     */
+    value: any;
+}
+
+/**
+ * Describes a configuration for a GraphQL client.
+ */
+export interface IGraphQLConfig {
+    /**
+     * Gets the initial list of fragment definitions.
+     * 
+     * @property
+     */
+    fragments?: string[];
+    
+    /**
+     * Gets if persisted queries should be used by default or not.
+     * Only the SHA-256 hash of a query is sent, as long as the server knows it. Default: (false)
+     * 
+     * @property
+     */
+    persistedQueries?: boolean;
+    
+    /**
+     * Gets the default options for the requests.
+     * 
+     * @property
+     */
+    request?: IRequestOptions;
+    
+    /**
+     * Gets if queries should be sent via GET instead of POST or not. Default: (false)
+     * 
+     * @property
+     */
+    useGetForQueries?: boolean;
+}
+
+/**
+ * Describes an entry of the 'errors' of a GraphQL response.
+ */
+export interface IGraphQLError {
+    /**
+     * Gets additional information.
+     * 
+     * @property
+     */
+    extensions?: any;
+    
+    /**
+     * Gets the locations in the document.
+     * 
+     * @property
+     */
+    locations?: { column: number, line: number }[];
+    
+    /**
+     * Gets the message.
+     * 
+     * @property
+     */
+    message: string;
+    
+    /**
+     * Gets the path of the field in the response.
+     * 
+     * @property
+     */
+    path?: (string | number)[];
+}
+
+/**
+ * Describes a GraphQL request.
+ */
+export interface IGraphQLRequest {
+    /**
+     * Gets additional fragment definitions.
+     * 
+     * @property
+     */
+    fragments?: string[];
+    
+    /**
+     * Gets if the request is a mutation or not.
+     * 
+     * @property
+     */
+    isMutation?: boolean;
+    
+    /**
+     * Gets the name of the operation to execute.
+     * 
+     * @property
+     */
+    operationName?: string;
+    
+    /**
+     * Gets if a persisted query should be used or not.
+     * Default: The value of the configuration of the client.
+     * 
+     * @property
+     */
+    persisted?: boolean;
+    
+    /**
+     * Gets the query or mutation.
+     * 
+     * @property
+     */
+    query?: string;
+    
+    /**
+     * Gets additional options for the HTTP request.
+     * 
+     * @property
+     */
+    request?: IRequestOptions;
+    
+    /**
+     * Gets the variables.
+     * 
+     * @property
+     */
+    variables?: any;
+}
+
+/**
+ * Describes the result of a GraphQL request.
+ */
+export interface IGraphQLResult<T> {
+    /**
+     * Gets the data.
+     * 
+     * @property
+     */
+    data: T;
+    
+    /**
+     * Gets the errors.
+     * 
+     * @property
+     */
+    errors?: IGraphQLError[];
+    
+    /**
+     * Gets additional information.
+     * 
+     * @property
+     */
+    extensions?: any;
+    
+    /**
+     * Gets the underlying API client result.
+     * 
+     * @property
+     */
+    result: IApiClientResult;
+}
+
+/**
+ * Describes an entry of a HTTP archive (HAR 1.2).
+ */
+export interface IHarEntry {
+    /**
+     * Gets the cache information.
+     * 
+     * @property
+     */
+    cache: any;
+    
+    /**
+     * Gets the request data.
+     * 
+     * @property
+     */
+    request: any;
+    
+    /**
+     * Gets the response data.
+     * 
+     * @property
+     */
+    response: any;
+    
+    /**
+     * Gets the start time (ISO 8601).
+     * 
+     * @property
+     */
+    startedDateTime: string;
+    
+    /**
+     * Gets the total time in milliseconds.
+     * 
+     * @property
+     */
+    time: number;
+    
+    /**
+     * Gets the timings.
+     * 
+     * @property
+     */
+    timings: any;
+}
+
+/**
+ * Describes a configuration for a 'HarRecorder'.
+ */
+export interface IHarRecorderConfig {
+    /**
+     * Gets the maximum number of characters of a body. -1 for no limit. Default: 65536
+     * 
+     * @property
+     */
+    maxBodySize?: number;
+    
+    /**
+     * Gets the maximum number of entries. -1 for no limit. Default: 1000
+     * 
+     * @property
+     */
+    maxEntries?: number;
+    
+    /**
+     * Gets a custom function that redacts an entry.
+     * 
+     * @property
+     */
+    redact?: (entry: IHarEntry) => void;
+    
+    /**
+     * Gets the value for redacted data. Default: '[REDACTED]'
+     * 
+     * @property
+     */
+    redactedValue?: string;
+    
+    /**
+     * Gets the names of the headers to redact.
+     * Default: Authorization, Cookie, Proxy-Authorization, Set-Cookie
+     * 
+     * @property
+     */
+    redactHeaders?: string[];
+    
+    /**
+     * Gets the names of the parameters to redact in query strings, forms and JSON bodies.
+     * Default: access_token, client_secret, password, refresh_token
+     * 
+     * @property
+     */
+    redactParams?: string[];
+}
+
+/**
+ * Describes a configuration for a 'HmacAuthorizer'.
+ */
+export interface IHmacAuthorizerConfig {
+    /**
+     * Gets the name of the hash algorithm.
+     * Supported: 'md5', 'sha1', 'sha256', 'sha512'. Default: 'sha256'
+     * 
+     * @property
+     */
+    algorithm?: string;
+    
+    /**
+     * Gets the encoding of the signature: 'base64' or 'hex'. Default: 'base64'
+     * 
+     * @property
+     */
+    encoding?: string;
+    
+    /**
+     * Gets the name of the header for the signature. Default: 'Authorization'
+     * 
+     * @property
+     */
+    header?: string;
+    
+    /**
+     * Gets the ID of the key, which is sent with the signature.
+     * 
+     * @property
+     */
+    keyId?: string;
+    
+    /**
+     * Gets a custom nonce.
+     * If not defined, a new one is generated for each request.
+     * 
+     * @property
+     */
+    nonce?: string;
+    
+    /**
+     * Gets the name of the header for the nonce. (null) does not send it. Default: 'X-Nonce'
+     * 
+     * @property
+     */
+    nonceHeader?: string;
+    
+    /**
+     * Gets the scheme, that is prefixed to the signature. (null) does not use one. Default: 'HMAC'
+     * 
+     * @property
+     */
+    scheme?: string;
+    
+    /**
+     * Gets the secret key as string (UTF-8) or as bytes.
+     * 
+     * @property
+     */
+    secret: string | ArrayBuffer | Uint8Array | number[];
+    
+    /**
+     * Gets the names of the headers, that are appended to the default string to sign.
+     * 
+     * @property
+     */
+    signedHeaders?: string[];
+    
+    /**
+     * Gets a custom function that creates the string to sign.
+     * Default: Method, path, timestamp, nonce, hash of the body and signed headers, separated by new lines.
+     * 
+     * @property
+     */
+    stringToSign?: (ctx: IHmacSigningContext) => string;
+    
+    /**
+     * Gets a custom time for the signature.
+     * If not defined, the current time is used for each request.
+     * 
+     * @property
+     */
+    timestamp?: Date;
+    
+    /**
+     * Gets the name of the header for the UNIX timestamp. (null) does not send it. Default: 'X-Timestamp'
+     * 
+     * @property
+     */
+    timestampHeader?: string;
+}
+
+/**
+ * Describes the context for creating the string to sign of a 'HmacAuthorizer'.
+ */
+export interface IHmacSigningContext {
+    /**
+     * Gets the body, if it is a string.
+     * 
+     * @property
+     */
+    body: string;
+    
+    /**
+     * Gets the hash of the sent body (bytes or UTF-8 string) as hex string.
+     * 
+     * @property
+     */
+    bodyHash: string;
+    
+    /**
+     * Gets the request headers.
+     * 
+     * @property
+     */
+    headers: any;
+    
+    /**
+     * Gets the HTTP method.
+     * 
+     * @property
+     */
+    method: string;
+    
+    /**
+     * Gets the nonce.
+     * 
+     * @property
+     */
+    nonce: string;
+    
+    /**
+     * Gets the (encoded) path with query.
+     * 
+     * @property
+     */
+    path: string;
+    
+    /**
+     * Gets the UNIX timestamp.
+     * 
+     * @property
+     */
+    timestamp: number;
+    
+    /**
+     * Gets the (encoded) URL.
+     * 
+     * @property
+     */
+    url: string;
+}
+
+/**
+ * Describes a configuration for a HTTP cache.
+ */
+export interface IHttpCacheConfig {
+    /**
+     * Gets the number of seconds a response is fresh, if the server
+     * does not send 'Cache-Control' or 'Expires'. Default: 0
+     * 
+     * @property
+     */
+    defaultMaxAge?: number;
+    
+    /**
+     * Gets the default mode.
+     * 
+     * @property
+     */
+    mode?: HttpCacheMode;
+    
+    /**
+     * Gets the store. Default: MemoryCacheStore
+     * 
+     * @property
+     */
+    store?: IHttpCacheStore;
+}
+
+/**
+ * Describes a cached response.
+ */
+export interface IHttpCacheEntry {
+    /**
+     * Gets the content as string.
+     * 
+     * @property
+     */
+    body: string;
+    
+    /**
+     * Gets the status code.
+     * 
+     * @property
+     */
+    code: number;
+    
+    /**
+     * Gets the timestamp (ms) when the entry becomes stale.
+     * 
+     * @property
+     */
+    expiresAt: number;
+    
+    /**
+     * Gets the response headers.
+     * 
+     * @property
+     */
+    headers: any;
+    
+    /**
+     * Gets the timestamp (ms) when the entry has been stored.
+     * 
+     * @property
+     */
+    storedAt: number;
+    
+    /**
+     * Gets the URL.
+     * 
+     * @property
+     */
+    url: string;
+    
+    /**
+     * Gets the hash of the request headers the entry has been stored for,
+     * which are the ones of the 'Vary' header and 'Authorization'.
+     * 
+     * @property
+     */
+    variant?: string;
+}
+
+/**
+ * Describes a store for a HTTP cache.
+ */
+export interface IHttpCacheStore {
+    /**
+     * Removes all entries.
+     * 
+     * @return {Promise<any>|void} The optional promise.
+     */
+    clear() : Promise<any> | void;
+    
+    /**
+     * Returns an entry.
+     * 
+     * @param {String} key The key.
+     * 
+     * @return {Promise<IHttpCacheEntry>|IHttpCacheEntry} The (promise with the) entry.
+     */
+    get(key: string) : Promise<IHttpCacheEntry> | IHttpCacheEntry;
+    
+    /**
+     * Removes an entry.
+     * 
+     * @param {String} key The key.
+     * 
+     * @return {Promise<any>|void} The optional promise.
+     */
+    remove(key: string) : Promise<any> | void;
+    
+    /**
+     * Saves an entry.
+     * 
+     * @param {String} key The key.
+     * @param {IHttpCacheEntry} entry The entry.
+     * 
+     * @return {Promise<any>|void} The optional promise.
+     */
+    set(key: string, entry: IHttpCacheEntry) : Promise<any> | void;
+}
+
+/**
+ * Describes an object that stores information about a HTTP request.
+ */
+export interface IHttpRequest {
+    /**
+     * Gets the raw content that is send to the API.
+     */
+    body: any;
+    
+    /**
+     * Gets the underlying client.
+     * 
+     * @property
+     */
+    client: IApiClient;
+    
+    /**
+     * Gets the list of request headers.
+     */
+    headers: any;
+    
+    /**
+     * Gets the HTTP method.
+     */
+    method: string;
+    
+    /**
+     * Gets the URL.
+     */
+    url: string;
+}
+
+/**
+ * Describes an entry that stores data for
+ * invoke a response action if a predicate matches. 
+ */
+export interface IIfResponse {
+    /**
+     * The action to invoke.
+     * 
+     * @property
+     */
+    action : (result : IApiClientResult) => void,
+    
+    /**
+     * The predicate.
+     * 
+     * @property
+     */
+    predicate?: (ctx : IApiClientResult) => boolean
+}
+
+/**
+ * Describes an entry that stores data for
+ * invoke a response action if a status code matches. 
+ */
+export interface IIfStatus {
+    /**
+     * The action to invoke.
+     * 
+     * @property
+     */
+    action : (result : IApiClientResult) => void,
+    
+    /**
+     * The predicate.
+     * 
+     * @property
+     */
+    predicate?: (code : number) => boolean
+}
+
+/**
+ * Describes an object that stores lists of interceptors.
+ */
+export interface IInterceptors {
+    /**
+     * Gets the interceptors that are invoked if the HTTP client fails.
+     * 
+     * @property
+     */
+    error?: ((ctx : IErrorInterceptorContext) => any)[];
+    
+    /**
+     * Gets the interceptors that are invoked BEFORE a request is sent.
+     * 
+     * @property
+     */
+    request?: ((ctx : IRequestInterceptorContext) => any)[];
+    
+    /**
+     * Gets the interceptors that are invoked for a response.
+     * 
+     * @property
+     */
+    response?: ((ctx : IResponseInterceptorContext) => any)[];
+}
+
+/**
+ * Describes a configuration for a JSON-RPC client.
+ */
+export interface IJsonRpcConfig {
+    /**
+     * Gets the function that creates the ID of a call.
+     * Default: An incrementing number.
+     * 
+     * @property
+     */
+    createId?: () => any;
+    
+    /**
+     * Gets the default options for the HTTP requests.
+     * 
+     * @property
+     */
+    request?: IRequestOptions;
+}
+
+/**
+ * Describes a JSON-RPC 2.0 error object.
+ */
+export interface IJsonRpcErrorObject {
+    /**
+     * Gets the error code.
+     * 
+     * @property
+     */
+    code: number;
+    
+    /**
+     * Gets additional data.
+     * 
+     * @property
+     */
+    data?: any;
+    
+    /**
+     * Gets the message.
+     * 
+     * @property
+     */
+    message: string;
+}
+
+/**
+ * Describes a JSON-RPC 2.0 response.
+ */
+export interface IJsonRpcResponse {
+    /**
+     * Gets the error, if the call failed.
+     * 
+     * @property
+     */
+    error?: IJsonRpcErrorObject;
+    
+    /**
+     * Gets the ID of the call.
+     * 
+     * @property
+     */
+    id: any;
+    
+    /**
+     * Gets the version of the protocol.
+     * 
+     * @property
+     */
+    jsonrpc: string;
+    
+    /**
+     * Gets the result, if the call succeeded.
+     * 
+     * @property
+     */
+    result?: any;
+}
+
+/**
+ * Describes an object that stores log information. 
+ */
+export interface ILogMessage {
+    /**
+     * Gets the category.
+     * 
+     * @property
+     */
+    category: LogCategory;
+    
+    /**
+     * Gets the message value.
+     * 
+     * @property
+     */
+    message: any;
+    
+    /**
+     * Gets the priority.
+     * 
+     * @property
+     */
+    priority: LogPriority;
+    
+    /**
+     * Gets the source.
+     */
+    source: LogSource;
+    
+    /**
+     * Gets the tag.
+     * 
+     * @property
+     */
+    tag: string;
+    
+    /**
+     * Gets the timestamp.
+     */
+    time: Date;
+}
+
+/**
+ * Describes a logger.
+ */
+export interface ILogger {
+    /**
+     * Logs an alert message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    alert(msg : any, tag?: string,
+          priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs a critical message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    crit(msg : any, tag?: string,
+         priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs a debug message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    dbg(msg : any, tag?: string,
+        priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs an emergency message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    emerg(msg : any, tag?: string,
+          priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs an error message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    err(msg : any, tag?: string,
+        priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs an info message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    info(msg : any, tag?: string,
+         priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs a message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogCategory} [category] The optional log category. Default: LogCategory.Debug
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    log(msg : any, tag?: string,
+        category?: LogCategory, priority?: LogPriority) : ILogger;
+    
+    /**
+     * Logs a notice message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    note(msg : any, tag?: string,
+         priority?: LogPriority) : ILogger;
+     
+    /**
+     * Logs a trace message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    trace(msg : any, tag?: string,
+          priority?: LogPriority) : ILogger;
+        
+    /**
+     * Logs a warning message.
+     * 
+     * @chainable
+     * 
+     * @param any msg The message value.
+     * @param {String} [tag] The optional tag value.
+     * @param {LogPriority} [priority] The optional log priority.
+     */
+    warn(msg : any, tag?: string,
+         priority?: LogPriority) : ILogger;
+}
+
+/**
+ * Describes a configuration for a long-poll client.
+ */
+export interface ILongPollConfig {
+    /**
+     * Gets the ID of the last event, the client starts with.
+     * 
+     * @property
+     */
+    lastEventId?: string;
+    
+    /**
+     * Gets the maximum number of failed connections in a row,
+     * before the client is closed.
+     * 
+     * @property
+     */
+    maxRetries?: number;
+    
+    /**
+     * Gets the options for the requests.
+     * 
+     * @property
+     */
+    request?: IRequestOptions;
+    
+    /**
+     * Gets the time in milliseconds to wait before the next request. Default: 3000
+     * 
+     * @property
+     */
+    retry?: number;
+}
+
+/**
+ * Describes the data of an event of a 'LongPollClient'.
+ */
+export interface ILongPollEventData extends Observable.EventData {
+    /**
+     * Gets the error (if a connection failed).
+     * 
+     * @property
+     */
+    error?: IApiClientError;
+    
+    /**
+     * Gets the received event.
+     * 
+     * @property
+     */
+    event?: IServerSentEvent;
+    
+    /**
+     * Gets the result (if a response has been received).
+     * 
+     * @property
+     */
+    result?: IApiClientResult;
+}
+
+/**
+ * Describes a request that has been sent to a 'MockTransport'.
+ */
+export interface IMockRequest {
+    /**
+     * Gets the content.
+     * 
+     * @property
+     */
+    content: any;
+    
+    /**
+     * Gets the request headers.
+     * 
+     * @property
+     */
+    headers: any;
+    
+    /**
+     * Gets the HTTP method.
+     * 
+     * @property
+     */
+    method: string;
+    
+    /**
+     * Gets the timestamp (ms) when the request has been sent.
+     * 
+     * @property
+     */
+    time: number;
+    
+    /**
+     * Gets the URL.
+     * 
+     * @property
+     */
+    url: string;
+}
+
+/**
+ * Describes a canned response of a 'MockTransport'.
+ */
+export interface IMockResponse {
+    /**
+     * Gets the content. Objects are sent as JSON.
+     * 
+     * @property
+     */
+    body?: any;
+    
+    /**
+     * Gets the status code. Default: 200
+     * 
+     * @property
+     */
+    code?: number;
+    
+    /**
+     * Gets the delay in milliseconds.
+     * 
+     * @property
+     */
+    delay?: number;
+    
+    /**
+     * Gets the error that should be simulated instead of a response,
+     * like a network failure.
+     * 
+     * @property
+     */
+    error?: any;
+    
+    /**
+     * Gets the response headers.
+     * 
+     * @property
+     */
+    headers?: any;
+}
+
+/**
+ * Describes a part of a multipart request.
+ */
+export interface IMultipartPart {
+    /**
+     * Gets if binary content, like a file, a bitmap or a byte array, is sent base64 encoded
+     * with a 'Content-Transfer-Encoding' header or not. Default: (false)
+     * 
+     * RFC 7578 does NOT allow that header, so the server has to support it explicitly.
+     * Binary content without that option is rejected, because the HTTP module
+     * can only send strings.
+     * 
+     * @property
+     */
+    base64?: boolean;
+    
+    /**
+     * Gets the content, like a string, a file, a bitmap or a byte array.
+     * Binary content requires 'base64'. Other objects are sent as JSON.
+     * 
+     * @property
+     */
+    content: string | FileSystem.File | BitmapFactory.IBitmap | Uint8Array | number[] | ArrayBuffer | any;
+    
+    /**
+     * Gets the custom content type.
+     * 
+     * @property
+     */
+    contentType?: string;
+    
+    /**
+     * Gets the custom file name.
+     * 
+     * @property
+     */
+    fileName?: string;
+    
+    /**
+     * Gets additional headers for the part.
+     * 
+     * @property
+     */
+    headers?: any;
+}
+
+/**
+ * Describes the configuration of an OAuth 2.0 authorizer.
+ */
+export interface IOAuth2Config {
+    /**
+     * Gets how client credentials are sent to the token endpoint:
+     * 'basic' (Authorization header) or 'body'. Default: 'basic'
+     * 
+     * @property
+     */
+    clientAuthentication?: string;
+    
+    /**
+     * Gets the client ID.
+     * 
+     * @property
+     */
+    clientId?: string;
+    
+    /**
+     * Gets the client secret.
+     * 
+     * @property
+     */
+    clientSecret?: string;
+    
+    /**
+     * Gets the grant type. Default: OAuth2GrantType.ClientCredentials
+     * 
+     * @property
+     */
+    grantType?: OAuth2GrantType;
+    
+    /**
+     * Gets additional parameters for token requests.
+     * 
+     * @property
+     */
+    params?: any;
+    
+    /**
+     * Gets the password for the 'password' grant.
+     * 
+     * @property
+     */
+    password?: string;
+    
+    /**
+     * Gets the number of seconds a token is refreshed before it expires. Default: 60
+     * 
+     * @property
+     */
+    refreshBefore?: number;
+    
+    /**
+     * Gets the initial refresh token (for the 'refresh_token' grant).
+     * 
+     * @property
+     */
+    refreshToken?: string;
+    
+    /**
+     * Gets the scope(s).
+     * 
+     * @property
+     */
+    scope?: string | string[];
+    
+    /**
+     * Gets the custom storage for the token.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     * 
+     * @property
+     */
+    storage?: IValueStorage;
+    
+    /**
+     * Gets the key the token is cached with in the storage.
+     * If not defined, the token is only cached in memory.
+     * 
+     * @property
+     */
+    storageKey?: string;
+    
+    /**
+     * Gets the timeout for token requests in milliseconds.
+     * 
+     * @property
+     */
+    timeout?: number;
+    
+    /**
+     * Gets the URL of the token endpoint.
+     * 
+     * @property
+     */
+    tokenUrl: string;
+    
+    /**
+     * Gets the custom transport for token requests.
+     * 
+     * @property
+     */
+    transport?: ITransport;
+    
+    /**
+     * Gets the username for the 'password' grant.
+     * 
+     * @property
+     */
+    username?: string;
+}
+
+/**
+ * Describes an OAuth 2.0 token.
+ */
+export interface IOAuth2Token {
+    /**
+     * Gets the access token.
+     * 
+     * @property
+     */
+    accessToken: string;
+    
+    /**
+     * Gets the time the token expires at (in milliseconds since 1970-01-01).
+     * 
+     * @property
+     */
+    expiresAt?: number;
+    
+    /**
+     * Gets the refresh token.
+     * 
+     * @property
+     */
+    refreshToken?: string;
+    
+    /**
+     * Gets the scope.
+     * 
+     * @property
+     */
+    scope?: string;
+    
+    /**
+     * Gets the token type. Default: 'Bearer'
+     * 
+     * @property
+     */
+    tokenType?: string;
+}
+
+/**
+ * Describes a configuration for an offline queue.
+ */
+export interface IOfflineQueueConfig {
+    /**
+     * Gets the name of the header for the idempotency key. Default: 'Idempotency-Key'
+     * 
+     * @property
+     */
+    idempotencyHeader?: string;
+    
+    /**
+     * Gets the maximum number of attempts to send a request, which fail because of the network.
+     * If reached, the request is removed and its promise is rejected. Default: 3
+     * 
+     * @property
+     */
+    maxAttempts?: number;
+    
+    /**
+     * Gets the HTTP methods of the requests that should be queued. Default: POST, PATCH
+     * 
+     * @property
+     */
+    methods?: string[];
+    
+    /**
+     * Gets the custom storage for the items.
+     * Default: application settings, via 'getValue()' / 'setValue()' of the toolbox
+     * 
+     * @property
+     */
+    storage?: IValueStorage;
+    
+    /**
+     * Gets the key the items are stored with in the storage. Default: 'apiclient.offlineQueue'
+     * 
+     * @property
+     */
+    storageKey?: string;
+    
+    /**
+     * Gets the custom store for the items, like a 'SQLiteQueueStore'.
+     * If defined, 'storage' and 'storageKey' are ignored.
+     * 
+     * @property
+     */
+    store?: IOfflineQueueStore;
+}
+
+/**
+ * Describes the data of an offline queue event.
+ */
+export interface IOfflineQueueEventData extends Observable.EventData {
+    /**
+     * Gets the error (if failed).
+     * 
+     * @property
+     */
+    error?: IApiClientError;
+    
+    /**
+     * Gets the underlying item.
+     * 
+     * @property
+     */
+    item: IOfflineQueueItem;
+    
+    /**
+     * Gets the result (if processed).
+     * 
+     * @property
+     */
+    result?: IApiClientResult;
+}
+
+/**
+ * Describes a request in an offline queue.
+ */
+export interface IOfflineQueueItem {
+    /**
+     * Gets the number of attempts that failed because of the network.
+     * 
+     * @property
+     */
+    attempts?: number;
+    
+    /**
+     * Gets the ID of the item.
+     * 
+     * @property
+     */
+    id: string;
+    
+    /**
+     * Gets the idempotency key.
+     * 
+     * @property
+     */
+    idempotencyKey: string;
+    
+    /**
+     * Gets the HTTP method.
+     * 
+     * @property
+     */
+    method: string;
+    
+    /**
+     * Gets the (serializable) request options, without credentials.
+     * 
+     * @property
+     */
+    options: IRequestOptions;
+    
+    /**
+     * Gets the timestamp (ms) when the item has been queued.
+     * 
+     * @property
+     */
+    queuedAt: number;
+}
+
+/**
+ * Describes a store for the items of an offline queue.
+ */
+export interface IOfflineQueueStore {
+    /**
+     * Loads the items.
+     * 
+     * @return {Promise<IOfflineQueueItem[]>|IOfflineQueueItem[]} The (promise with the) items.
+     */
+    load() : Promise<IOfflineQueueItem[]> | IOfflineQueueItem[];
+    
+    /**
+     * Saves the items.
+     * 
+     * @param {IOfflineQueueItem[]} items The items to save.
+     * 
+     * @return {Promise<any>|void} The optional promise.
+     */
+    save(items: IOfflineQueueItem[]) : Promise<any> | void;
+}
+
+/**
+ * Describes a configuration for a paginator.
+ */
+export interface IPaginationConfig {
+    /**
+     * Gets the property path of the next cursor inside the response body
+     * or the function that returns it. Default: 'next_cursor'
+     * 
+     * @property
+     */
+    cursor?: string | ((result: IApiClientResult) => any);
+    
+    /**
+     * Gets the name of the URL parameter for the cursor. Default: 'cursor'
+     * 
+     * @property
+     */
+    cursorParam?: string;
+    
+    /**
+     * Gets the property path of the items inside the response body
+     * or the function that returns them.
+     * Default: The body itself, if it is an array, otherwise 'items', 'data' or 'results'.
+     * 
+     * @property
+     */
+    items?: string | ((result: IApiClientResult) => any[]);
+    
+    /**
+     * Gets the maximum number of pages to load.
+     * 
+     * @property
+     */
+    maxPages?: number;
+    
+    /**
+     * Gets the HTTP method. Default: GET
+     * 
+     * @property
+     */
+    method?: any;
+    
+    /**
+     * Gets the name of the URL parameter for the offset. Default: 'offset'
+     * 
+     * @property
+     */
+    offsetParam?: string;
+    
+    /**
+     * Gets the name of the URL parameter for the page number. Default: 'page'
+     * 
+     * @property
+     */
+    pageParam?: string;
+    
+    /**
+     * Gets the number of items per page.
+     * 
+     * @property
+     */
+    pageSize?: number;
+    
+    /**
+     * Gets the name of the URL parameter for the page size.
+     * Default: 'per_page' (Page) or 'limit' (Offset and Cursor)
+     * 
+     * @property
+     */
+    pageSizeParam?: string;
+    
+    /**
+     * Gets the options for the requests.
+     * 
+     * @property
+     */
+    request?: IRequestOptions;
+    
+    /**
+     * Gets the number of the first page. Default: 1
+     * 
+     * @property
+     */
+    startPage?: number;
+    
+    /**
+     * Gets the strategy. Default: PaginationStrategy.Link
+     * 
+     * @property
+     */
+    strategy?: PaginationStrategy;
+}
+
+/**
+ * Describes the progress of an upload or a download.
+ */
+export interface IProgressEvent {
+    /**
+     * Gets the number of bytes that have been transfered.
+     * 
+     * @property
+     */
+    loaded: number;
+    
+    /**
+     * Gets the percentage (0 - 100) or -1 if the total number of bytes is unknown.
+     * 
+     * @property
+     */
+    percentage: number;
+    
+    /**
+     * Gets the total number of bytes or -1 if unknown.
+     * 
+     * @property
+     */
+    total: number;
+}
+
+/**
+ * Describes a configuration for a rate limiter (token bucket).
+ */
+export interface IRateLimiterConfig {
+    /**
+     * Gets the maximum number of requests that can be sent at once. Default: 10
+     * 
+     * @property
+     */
+    capacity?: number;
+    
+    /**
+     * Gets the maximum time in milliseconds a request waits for a token
+     * before it is rejected. Default: 0
+     * 
+     * @property
+     */
+    maxWait?: number;
+    
+    /**
+     * Gets if each host has its own bucket or not. Default: (true)
+     * 
+     * @property
+     */
+    perHost?: boolean;
+    
+    /**
+     * Gets the number of tokens that are added per second. Default: 1
+     * 
+     * @property
+     */
+    tokensPerSecond?: number;
+}
+
+/**
+ * Describes a configuration for a 'RecordingTransport'.
+ */
+export interface IRecordingTransportConfig {
+    /**
+     * Gets the path of the fixture file.
+     * 
+     * @property
+     */
+    file?: string;
+    
+    /**
+     * Gets the initial fixtures (if there is no file).
+     * 
+     * @property
+     */
+    fixtures?: ITransportFixture[];
+    
+    /**
+     * Gets the format of the fixture file.
+     * Default: by file extension ('.yaml' / '.yml' => YAML, otherwise JSON)
+     * 
+     * @property
+     */
+    format?: FixtureFormat;
+    
+    /**
+     * Gets if request bodies should be compared on replay or not. Default: (false)
+     * 
+     * @property
+     */
+    matchBody?: boolean;
+    
+    /**
+     * Gets the mode. Default: RecordingMode.ReplayOrRecord
+     * 
+     * @property
+     */
+    mode?: RecordingMode;
+    
+    /**
+     * Gets the transport that sends the requests while recording. Default: HttpTransport
+     * 
+     * @property
+     */
+    transport?: ITransport;
+}
+
+/**
+ * Describes an attempt of sending a request.
+ */
+export interface IRequestAttempt {
+    /**
+     * Gets the status code (if a response has been received).
+     * 
+     * @property
+     */
+    code?: number;
+    
+    /**
+     * Gets the time the attempt has been finished.
+     * 
+     * @property
+     */
+    endTime?: Date;
+    
+    /**
+     * Gets the error (if failed).
+     * 
+     * @property
+     */
+    error?: any;
+    
+    /**
+     * Gets the number of the attempt, beginning at 1.
+     * 
+     * @property
+     */
+    number: number;
+    
+    /**
+     * Gets the delay in milliseconds before the next attempt
+     * (if a retry has been scheduled).
+     * 
+     * @property
+     */
+    retryDelay?: number;
+    
+    /**
+     * Gets the time the attempt has been started.
+     * 
+     * @property
+     */
+    startTime: Date;
+}
+
+/**
+ * Configuration for a request coalescer.
+ */
+export interface IRequestCoalescerConfig {
+    /**
+     * Gets the names of the request headers, which are part of the key of a request.
+     * Default: 'Accept', 'Accept-Language', 'Authorization', 'Content-Type', 'Cookie' and 'Range'
+     * 
+     * @property
+     */
+    headers?: string[];
+    
+    /**
+     * Gets the HTTP methods of the requests that can be coalesced. Default: 'GET' and 'HEAD'
+     * 
+     * @property
+     */
+    methods?: string[];
+}
+
+/**
+ * Describes a context for a request interceptor.
+ */
+export interface IRequestInterceptorContext extends ITagProvider {
+    /**
+     * Gets the number of the current attempt.
+     * 
+     * @property
+     */
+    attempt: number;
+    
+    /**
+     * Gets the underlying client.
+     * 
+     * @property
+     */
+    client: IApiClient;
+    
+    /**
+     * Gets if the current interceptor chain has been stopped or not.
+     * 
+     * @property
+     */
+    isStopped: boolean;
+    
+    /**
+     * Gets the options of the HTTP request, which can be changed.
+     * Each attempt starts with the original options.
+     * 
+     * @property
+     */
+    options: HTTP.HttpRequestOptions;
+    
+    /**
+     * Uses a (synthetic) response and stops the current interceptor chain.
+     * In the request phase, nothing is sent to the server.
+     * 
+     * @param {HTTP.HttpResponse} response The response to use.
+     */
+    respondWith(response: HTTP.HttpResponse);
+    
+    /**
+     * Gets an object for storing custom data, which is shared by
+     * all interceptors and attempts of a request.
+     * 
+     * @property
+     */
+    state: any;
+}
+
+/**
+ * Describes an object that stores (additional) options for a request.
+ */
+export interface IRequestOptions {
+    /**
+     * Gets the authorizer.
+     * 
+     * @property
+     */
+    authorizer? : IAuthorizer;
+    
+    /**
+     * Gets the cache mode that overwrites the one of the client's cache.
+     * 
+     * @property
+     */
+    cacheMode?: HttpCacheMode;
+    
+    /**
+     * Gets the token that can cancel the request.
+     * 
+     * @property
+     */
+    cancellationToken?: ICancellationToken;
+    
+    /**
+     * Gets if the request can share the response of an identical request,
+     * which is in flight, if the client has a coalescer. Default: (true)
+     * 
+     * @property
+     */
+    coalesce?: boolean;
+    
+    /**
+     * Gets the content.
+     * 
+     * @property
+     */
+    content?: any;
+    
+    /**
+     * Gets the function that receives the progress of the response download.
+     * The transport of the HTTP module only reports the completed download,
+     * intermediate progress is reported by custom transports and by 'download()', after each chunk.
+     * 
+     * @property
+     */
+    downloadProgress?: (e: IProgressEvent) => void;
+    
+    /**
+     * Gets the name of the encoding.
+     * 
+     * @property
+     */
+    encoding?: string;
+    
+    /**
+     * Gets the list of request headers.
+     * 
+     * @property
+     */
+    headers? : any;
+    
+    /**
+     * Gets the key that is used to identify a request in the offline queue.
+     * It is also sent as header, so the server can detect duplicates.
+     * 
+     * @property
+     */
+    idempotencyKey?: string;
+    
+    /**
+     * Gets the interceptors that are invoked after the ones of the client.
+     * 
+     * @property
+     */
+    interceptors?: IInterceptors;
+    
+    /**
+     * Gets if the actions of the client, like 'success', 'ifStatus', 'error' and 'complete',
+     * are invoked for the request or not. Default: (true)
+     * 
+     * @property
+     */
+    invokeActions?: boolean;
+    
+    /**
+     * Gets the maximum number of replays that overwrites the one of the client.
+     * 
+     * @property
+     */
+    maxReplays?: number;
+    
+    /**
+     * Gets the URL params to set.
+     * 
+     * @property
+     */
+    params?: any;
+    
+    /**
+     * Gets the retry policy that overwrites the one of the client.
+     * 
+     * @property
+     */
+    retryPolicy?: IRetryPolicy;
+    
+    /**
+     * Gets the params for the route to set.
+     * 
+     * @property
+     */
+    routeParams?: any;
+    
+    /**
+     * Gets the JSON schema (draft-07) that overwrites the one of the client.
+     * (null) disables the validation for that request.
+     * 
+     * @property
+     */
+    schema?: any;
+    
+    /**
+     * Gets the global object that should be used in any callback.
+     * 
+     * @property
+     */
+    tag?: any;
+    
+    /**
+     * Gets the timeout in millisecons.
+     * 
+     * @property
+     */
+    timeout?: number;
+    
+    /**
+     * Gets request type.
+     * 
+     * @property
+     */
+    type?: HttpRequestType;
+    
+    /**
+     * Gets the function that receives the progress of the request upload.
+     * The transport of the HTTP module only reports the start and the completed upload,
+     * intermediate progress is reported by custom transports.
+     * 
+     * @property
+     */
+    uploadProgress?: (e: IProgressEvent) => void;
+    
+    /**
+     * Gets a custom (encoded) URL, which is used instead of
+     * the base URL, the route and the URL parameters of the client.
+     * 
+     * @property
+     */
+    url?: string;
+    
+    /**
+     * Gets a function that checks a result with a status code of 2xx.
+     * If it returns a value other than (null) or (undefined), the result
+     * is handled as error with context 'ApiClientErrorContext.InvalidResult'.
+     * 
+     * @property
+     */
+    validateResult?: (result: IApiClientResult) => any;
+}
+
+/**
+ * Describes a context for a response interceptor.
+ */
+export interface IResponseInterceptorContext extends IRequestInterceptorContext {
+    /**
+     * Sends the request again (as new attempt) and stops the current interceptor chain.
+     * 
+     * The new attempt starts with the original options of the request, so changes
+     * for it have to be made by request interceptors, e.g. with the help of 'state'.
+     * 
+     * If the maximum number of replays is exceeded, the request fails
+     * with context 'ApiClientErrorContext.ReplayLimitExceeded'.
+     */
+    replay();
+    
+    /**
+     * Gets or sets the response.
+     * 
+     * @property
+     */
+    response: HTTP.HttpResponse;
+}
+
+/**
+ * Describes a policy for retrying failed requests.
+ */
+export interface IRetryPolicy {
+    /**
+     * Gets a custom function that returns the delay in milliseconds
+     * for an attempt. If defined, 'delay', 'factor' and 'jitter' are ignored.
+     * 
+     * @property
+     */
+    backoff?: (attempt: number) => number;
+    
+    /**
+     * Gets the delay in milliseconds before the first retry. Default: 1000
+     * 
+     * @property
+     */
+    delay?: number;
+    
+    /**
+     * Gets the factor the delay is multiplied with for each further retry. Default: 2
+     * 
+     * @property
+     */
+    factor?: number;
+    
+    /**
+     * Gets the ratio (0 to 1) of random jitter that is applied to a delay. Default: 0
+     * 
+     * @property
+     */
+    jitter?: number;
+    
+    /**
+     * Gets the maximum number of attempts, including the first one. Default: 3
+     * 
+     * @property
+     */
+    maxAttempts?: number;
+    
+    /**
+     * Gets the maximum delay in milliseconds. Retries that would have to wait
+     * longer because of a 'Retry-After' header are not done.
+     * 
+     * @property
+     */
+    maxDelay?: number;
+    
+    /**
+     * Gets the list of HTTP methods that can be retried.
+     * Default: DELETE, GET, HEAD, OPTIONS, PUT, TRACE
+     * 
+     * @property
+     */
+    methods?: string[];
+    
+    /**
+     * Gets if 'Retry-After' headers of 429 and 503 responses should be honored or not. Default: (true)
+     * 
+     * @property
+     */
+    respectRetryAfter?: boolean;
+    
+    /**
+     * Gets if errors of the HTTP client, like timeouts or connection errors,
+     * should be retried or not. Default: (true)
+     * 
+     * @property
+     */
+    retryOnError?: boolean;
+    
+    /**
+     * Gets the list of status codes that can be retried.
+     * Default: 408, 429, 500, 502, 503, 504
+     * 
+     * @property
+     */
+    statusCodes?: number[];
+}
+
+/**
+ * Describes a route of a route table.
+ */
+export interface IRouteDefinition {
+    /**
+     * Gets the HTTP method. Default: GET
+     * 
+     * @property
+     */
+    method?: HttpMethod | string;
+    
+    /**
+     * Gets the template of the route, like '/users/{id:int}/posts/{slug?}'.
+     * 
+     * @property
+     */
+    route: string;
+}
+
+/**
+ * Describes a placeholder of a route template.
+ */
+export interface IRouteParameter {
+    /**
+     * Gets the name of the constraint, like 'int', or (null) if the value is not constrained.
+     * 
+     * @property
+     */
+    constraint: string;
+    
+    /**
+     * Gets if the parameter can be omitted or not.
+     * 
+     * @property
+     */
+    isOptional: boolean;
+    
+    /**
+     * Gets the name.
+     * 
+     * @property
+     */
+    name: string;
+}
+
+/**
+ * Describes a violation of a JSON schema.
+ */
+export interface ISchemaError {
+    /**
+     * Gets the keyword of the schema, which has been violated, like 'type' or 'required'.
+     * 
+     * @property
+     */
+    keyword: string;
+    
+    /**
+     * Gets the error message.
+     * 
+     * @property
+     */
+    message: string;
+    
+    /**
+     * Gets the path of the invalid value as JSON pointer, like '/items/0/name'.
+     * An empty string is the root value.
+     * 
+     * @property
+     */
+    path: string;
+    
+    /**
+     * Gets the path of the violated keyword inside the schema, like '#/properties/items/type'.
+     * 
+     * @property
+     */
+    schemaPath: string;
+    
+    /**
+     * Gets the invalid value.
+     * 
+     * @property
+     */
+    value: any;
+}
+
+/**
+ * Describes a server-sent event.
+ */
+export interface IServerSentEvent {
+    /**
+     * Gets the data.
+     * 
+     * @property
+     */
+    data: string;
+    
+    /**
+     * Gets the type. Default: 'message'
+     * 
+     * @property
+     */
+    event: string;
+    
+    /**
+     * Gets the ID of the last event.
+     * 
+     * @property
+     */
+    id: string;
+}
+
+/**
+ * Describes an object that stores a global value.
+ */
+export interface ITagProvider {
+    /**
+     * Gets the value that should be linked with that instance.
+     * 
+     * @property
+     */
+    tag: any;
+}
+
+/**
+ * Describes an object that sends requests.
+ */
+export interface ITransport {
+    /**
+     * Sends a request.
+     * 
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {ITransportProgress} [progress] The optional object that receives the progress.
+     * 
+     * @return {Promise<HTTP.HttpResponse>} The promise with the response.
+     */
+    send(opts: HTTP.HttpRequestOptions, progress?: ITransportProgress) : Promise<HTTP.HttpResponse>;
+}
+
+/**
+ * Describes a recorded request and its response.
+ */
+export interface ITransportFixture {
+    /**
+     * Gets the request data.
+     * 
+     * @property
+     */
+    request: {
+        body?: string,
+        method: string,
+        url: string,
+    };
+    
+    /**
+     * Gets the response data.
+     * 
+     * @property
+     */
+    response: {
+        body: string,
+        code: number,
+        headers: any,
+    };
+}
+
+/**
+ * Receives the progress of a request, which is sent by a transport.
+ * The transport of the HTTP module only reports the completed transfers.
+ */
+export interface ITransportProgress {
+    /**
+     * Reports the progress of the response download.
+     * 
+     * @param {Number} loaded The number of received bytes.
+     * @param {Number} total The total number of bytes or -1 if unknown.
+     */
+    download(loaded: number, total: number);
+    
+    /**
+     * Reports the progress of the request upload.
+     * 
+     * @param {Number} loaded The number of sent bytes.
+     * @param {Number} total The total number of bytes or -1 if unknown.
+     */
+    upload(loaded: number, total: number);
+}
+
+/**
+ * Describes a storage for values, like the 'getValue()', 'setValue()' and 'removeValue()'
+ * functions of the toolbox.
+ */
+export interface IValueStorage {
+    /**
+     * Returns a value.
+     * 
+     * @param {String} key The key.
+     * 
+     * @return any The value.
+     */
+    getValue(key: string): any;
+    
+    /**
+     * Removes a value.
+     * 
+     * @param {String} key The key.
+     */
+    removeValue(key: string): any;
+    
+    /**
+     * Stores a value.
+     * 
+     * @param any v The value.
+     * @param {String} key The key.
+     */
+    setValue(v: any, key: string): any;
+}
+
+class InterceptorContext implements IErrorInterceptorContext {
+    private _attempt: number;
+    private _client: ApiClient;
+    private _hasResponded = false;
+    private _isReplayRequested = false;
+    private _isStopped = false;
+    private _options: HTTP.HttpRequestOptions;
+    private _state: any;
+    private _tag: any;
+    
+    constructor(client: ApiClient, reqOpts: HTTP.HttpRequestOptions, tag: any,
+                attempt: number, state: any,
+                response?: HTTP.HttpResponse, err?: any) {
+        
+        this._client = client;
+        this._options = reqOpts;
+        this._tag = tag;
+        this._attempt = attempt;
+        this._state = state;
+        this.response = response;
+        this.error = err;
+    }
+    
+    public get attempt(): number {
+        return this._attempt;
+    }
+    
+    public get client(): ApiClient {
+        return this._client;
+    }
+    
+    public error: any;
+    
+    public get hasResponded(): boolean {
+        return this._hasResponded;
+    }
+    
+    public get isReplayRequested(): boolean {
+        return this._isReplayRequested;
+    }
+    
+    public get isStopped(): boolean {
+        return this._isStopped;
+    }
+    
+    public get options(): HTTP.HttpRequestOptions {
+        return this._options;
+    }
+    
+    public replay() {
+        this._isReplayRequested = true;
+        this._isStopped = true;
+    }
+    
+    public respondWith(response: HTTP.HttpResponse) {
+        this.response = response;
+        
+        this._hasResponded = true;
+        this._isStopped = true;
+    }
+    
+    public response: HTTP.HttpResponse;
+    
+    public get state(): any {
+        return this._state;
+    }
+    
+    public get tag(): any {
+        return this._tag;
+    }
+}
+
+/**
+ * A batch of JSON-RPC calls and notifications.
+ */
+export class JsonRpcBatch {
+    private _calls: { id: any, promise?: Promise<any>, reject?: (reason: any) => void, resolve?: (result: any) => void }[] = [];
+    private _client: JsonRpcClient;
+    private _isSent = false;
+    private _requests: any[] = [];
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {JsonRpcClient} client The underlying JSON-RPC client.
+     */
+    constructor(client: JsonRpcClient) {
+        this._client = client;
+    }
+    
+    /**
+     * Adds a method call.
+     * 
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     * 
+     * @return {Promise<T>} The promise, which is completed when the batch has been sent.
+     */
+    public call<T>(method: string, params?: any) : Promise<T> {
+        this.throwIfSent();
+        
+        var call: any = {
+            id: this._client.createId(),
+        };
+        call.promise = new Promise<T>((resolve, reject) => {
+            call.resolve = resolve;
+            call.reject = reject;
+        });
+        
+        this._calls.push(call);
+        this._requests.push(createJsonRpcRequest(method, params, call.id));
+        
+        return call.promise;
+    }
+    
+    /**
+     * Gets the underlying JSON-RPC client.
+     * 
+     * @property
+     */
+    public get client() : JsonRpcClient {
+        return this._client;
+    }
+    
+    /**
+     * Gets the number of calls and notifications.
+     * 
+     * @property
+     */
+    public get count() : number {
+        return this._requests.length;
+    }
+    
+    /**
+     * Adds a notification.
+     * 
+     * @chainable
+     * 
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     */
+    public notify(method: string, params?: any) : JsonRpcBatch {
+        this.throwIfSent();
+        
+        this._requests.push(createJsonRpcRequest(method, params));
+        return this;
+    }
+    
+    /**
+     * Sends the batch.
+     * 
+     * The promises of the calls are completed by the responses with the same IDs.
+     * A call with an error object is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'JsonRpcError'.
+     * 
+     * @return {Promise<IJsonRpcResponse[]>} The promise with the responses.
+     */
+    public send() : Promise<IJsonRpcResponse[]> {
+        var me = this;
+        
+        me.throwIfSent();
+        me._isSent = true;
+        
+        var rejectAll = function(err: any) {
+            for (var i = 0; i < me._calls.length; i++) {
+                // avoid "unhandled rejections"
+                me._calls[i].promise.catch(() => { });
+                
+                me._calls[i].reject(err);
+            }
+        };
+        
+        if (me._requests.length < 1) {
+            return Promise.resolve([]);
+        }
+        
+        return me._client.send(me._requests, me._calls.length < 1).then((result) => {
+            var responses: IJsonRpcResponse[] = [];
+            if (me._calls.length > 0) {
+                responses = result.getJSON<IJsonRpcResponse[]>();
+            }
+            
+            for (var i = 0; i < me._calls.length; i++) {
+                var call = me._calls[i];
+                
+                // reset for each call, because 'var' is NOT block-scoped
+                var response: IJsonRpcResponse = undefined;
+                for (var j = 0; j < responses.length; j++) {
+                    if (responses[j].id === call.id) {
+                        response = responses[j];
+                        break;
+                    }
+                }
+                
+                if (TypeUtils.isNullOrUndefined(response)) {
+                    call.reject(createJsonRpcError(result, <IJsonRpcResponse>{
+                        error: {
+                            code: JsonRpcErrorCode.InternalError,
+                            message: "No response for call '" + call.id + "'!",
+                        },
+                        id: call.id,
+                    }));
+                }
+                else if (!TypeUtils.isNullOrUndefined(response.error)) {
+                    call.reject(createJsonRpcError(result, response));
+                }
+                else {
+                    call.resolve(response.result);
+                }
+            }
+            
+            return responses;
+        }, (err) => {
+            rejectAll(err);
+            throw err;
+        });
+    }
+    
+    private throwIfSent() {
+        if (this._isSent) {
+            throw "Batch has ALREADY been sent!";
+        }
+    }
+}
+
+/**
+ * A JSON-RPC 2.0 client that sends its requests via an API client.
+ */
+export class JsonRpcClient {
+    private _client: IApiClient;
+    private _config: IJsonRpcConfig;
+    private _nextId = 0;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IApiClient} client The underlying API client.
+     * @param {IJsonRpcConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: IJsonRpcConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._client = client;
+        this._config = config;
+    }
+    
+    /**
+     * Starts a new batch.
+     * 
+     * @return {JsonRpcBatch} The new batch.
+     */
+    public batch() : JsonRpcBatch {
+        return new JsonRpcBatch(this);
+    }
+    
+    /**
+     * Calls a method.
+     * 
+     * If the response contains an error object, the promise is rejected with an 'IApiClientError'
+     * (context: 'ApiClientErrorContext.InvalidResult'), that stores a 'JsonRpcError'.
+     * 
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     * 
+     * @return {Promise<T>} The promise with the result.
+     */
+    public call<T>(method: string, params?: any) : Promise<T> {
+        return this.send(createJsonRpcRequest(method, params, this.createId()), false).then((result) => {
+            return result.getJSON<IJsonRpcResponse>().result;
+        });
+    }
+    
+    /**
+     * Gets the underlying API client.
+     * 
+     * @property
+     */
+    public get client() : IApiClient {
+        return this._client;
+    }
+    
+    /**
+     * Creates a new ID for a call.
+     * 
+     * @return any The new ID.
+     */
+    public createId() : any {
+        if (!TypeUtils.isNullOrUndefined(this._config.createId)) {
+            return this._config.createId();
+        }
+        
+        return ++this._nextId;
+    }
+    
+    /**
+     * Sends a notification.
+     * 
+     * @param {String} method The name of the method.
+     * @param any [params] The parameters.
+     * 
+     * @return {Promise<void>} The promise, which is resolved without a value,
+     *                         because notifications have no response.
+     */
+    public notify(method: string, params?: any) : Promise<void> {
+        return this.send(createJsonRpcRequest(method, params), true).then(() => {
+            return undefined;
+        });
+    }
+    
+    /**
+     * Sends a JSON-RPC request or a batch.
+     * 
+     * @param any body The request or the list of requests.
+     * @param {Boolean} isNotification The request contains notifications only or not.
+     * 
+     * @return {Promise<IApiClientResult>} The promise.
+     */
+    public send(body: any, isNotification: boolean) : Promise<IApiClientResult> {
+        var opts: IRequestOptions = {};
+        var requestOpts = getOwnProperties(this._config.request);
+        for (var p in requestOpts) {
+            opts[p] = requestOpts[p];
+        }
+        
+        opts.content = body;
+        opts.type = HttpRequestType.JSON;
+        
+        if (!isNotification) {
+            opts.validateResult = (result) => {
+                var response = result.getJSON<any>();
+                if (TypeUtils.isNullOrUndefined(response)) {
+                    return "Response contains NO data!";
+                }
+                
+                if (!(response instanceof Array) &&
+                    !TypeUtils.isNullOrUndefined(response.error)) {
+                    
+                    // single call or invalid batch
+                    return new JsonRpcError(response.error, response.id);
+                }
+            };
+        }
+        
+        return this._client.post(opts);
+    }
+}
+
+/**
+ * A JSON-RPC 2.0 error.
+ */
+export class JsonRpcError {
+    private _error: IJsonRpcErrorObject;
+    private _id: any;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IJsonRpcErrorObject} error The error object of the response.
+     * @param any [id] The ID of the call.
+     */
+    constructor(error: IJsonRpcErrorObject, id?: any) {
+        this._error = error;
+        this._id = id;
+    }
+    
+    /**
+     * Gets the error code.
+     * 
+     * @property
+     */
+    public get code() : number {
+        return this._error.code;
+    }
+    
+    /**
+     * Gets additional data.
+     * 
+     * @property
+     */
+    public get data() : any {
+        return this._error.data;
+    }
+    
+    /**
+     * Gets the ID of the call.
+     * 
+     * @property
+     */
+    public get id() : any {
+        return this._id;
+    }
+    
+    /**
+     * Gets the message.
+     * 
+     * @property
+     */
+    public get message() : string {
+        return this._error.message;
+    }
+    
+    /** @inheritdoc */
+    public toString() : string {
+        return "[" + this.code + "] " + this.message;
+    }
+}
+
+/**
+ * List of predefined JSON-RPC 2.0 error codes.
+ */
+export enum JsonRpcErrorCode {
+    /**
+     * Invalid JSON.
+     */
+    ParseError = -32700,
+    
+    /**
+     * No valid request object.
+     */
+    InvalidRequest = -32600,
+    
+    /**
+     * Method does not exist.
+     */
+    MethodNotFound = -32601,
+    
+    /**
+     * Invalid method parameters.
+     */
+    InvalidParams = -32602,
+    
+    /**
+     * Internal JSON-RPC error.
+     */
+    InternalError = -32603,
+}
+
+class LocalRejection {
+    private _message: string;
+    
+    constructor(msg: string) {
+        this._message = msg;
+    }
+    
+    public get message() : string {
+        return this._message;
+    }
+    
+    public toString() : string {
+        return this._message;
+    }
+}
+
+/**
+ * List of log categories.
+ */
+export enum LogCategory {
+    Emergency = 1,
+    Alert = 2,
+    Critical = 3,
+    Error = 4,
+    Warning = 5,
+    Notice = 6,
+    Info = 7,
+    Debug = 8,
+    Trace = 9
+}
+
+class LogMessage implements ILogMessage {
+    private _category : LogCategory;
+    private _message : any;
+    private _priority : LogPriority;
+    private _source : LogSource;
+    private _tag : string;
+    private _time : Date;
+    
+    constructor(source : LogSource,
+                time: Date,
+                msg: any, tag: string,
+                category: LogCategory, priority : LogPriority) {
+        
+        this._source = source;
+        
+        this._time = time;
+        
+        this._message = msg;
+        this._tag = tag;
+        
+        this._category = category;
+        this._priority = priority;
+    }
+    
+    public get category(): LogCategory {
+        return this._category;
+    }
+    
+    public get message(): any {
+        return this._message;
+    }
+    
+    public get priority(): LogPriority {
+        return this._priority;
+    }
+    
+    public get source(): LogSource {
+        return this._source;
+    }
+    
+    public get tag(): string {
+        return this._tag;
+    }
+    
+    public get time(): Date {
+        return this._time;
+    }
+}
+
+/**
+ * List of log priorities.
+ */
+export enum LogPriority {
+    VeryHigh = 1,
+    High = 2,
+    Medium = 3,
+    Low = 4,
+    VeryLow = 5
+}
+
+/**
+ * List of log (message) source.
+ */
+export enum LogSource {
+    /**
+     * From API client.
+     */
+    Client,
+    
+    /**
+     * From "completed" action
+     */
+    Complete,
+    
+    /**
+     * From IApiClientError object
+     */
+    Error,
+    
+    /**
+     * From IApiClientResult object
+     */
+    Result
+}
+
+/**
+ * A long-poll client: it requests a resource again and again and
+ * dispatches the events of each response, after the server has closed it.
+ * 
+ * The bodies are parsed in the format of server-sent events, but this is NOT
+ * an event stream client: the HTTP module cannot stream responses, so a server,
+ * which keeps the connection open, never delivers anything. Each new request
+ * sends the ID of the last event ('Last-Event-ID').
+ */
+export class LongPollClient extends Observable.Observable {
+    /**
+     * Name of the event that is raised if a connection failed.
+     */
+    public static errorEvent = "error";
+    /**
+     * Name of the event that is raised for events without type.
+     */
+    public static messageEvent = "message";
+    /**
+     * Name of the event that is raised after a response has been received.
+     */
+    public static openEvent = "open";
+    
+    private _client: IApiClient;
+    private _config: ILongPollConfig;
+    private _failures = 0;
+    private _isOpen = false;
+    private _parser: EventStreamParser;
+    private _reconnectTimer: any;
+    private _request: ICancellablePromise<IApiClientResult>;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IApiClient} client The client that sends the requests.
+     * @param {ILongPollConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: ILongPollConfig) {
+        super();
+        
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._client = client;
+        this._config = config;
+        
+        var me = this;
+        this._parser = new EventStreamParser((e) => {
+            me.notify(<ILongPollEventData>{
+                event: e,
+                eventName: e.event,
+                object: me,
+            });
+        });
+        
+        if (!isEmptyString(config.lastEventId)) {
+            this._parser.lastEventId = config.lastEventId;
+        }
+    }
+    
+    /**
+     * Gets the underlying client.
+     * 
+     * @property
+     */
+    public get client() : IApiClient {
+        return this._client;
+    }
+    
+    /**
+     * Closes the client.
+     * 
+     * @chainable
+     */
+    public close() : LongPollClient {
+        if (!this._isOpen) {
+            return this;
+        }
+        
+        this.setIsOpen(false);
+        
+        if (!TypeUtils.isNullOrUndefined(this._reconnectTimer)) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = undefined;
+        }
+        
+        var request = this._request;
+        this._request = undefined;
+        
+        if (!TypeUtils.isNullOrUndefined(request)) {
+            request.catch(() => { });
+            request.cancel("Long-poll client has been closed.");
+        }
+        
+        return this;
+    }
+    
+    private connect() {
+        var me = this;
+        
+        me._reconnectTimer = undefined;
+        
+        var opts: IRequestOptions = {};
+        var requestOpts = getOwnProperties(me._config.request);
+        for (var p in requestOpts) {
+            opts[p] = requestOpts[p];
+        }
+        
+        var requestHeaders = getOwnProperties(opts.headers);
+        opts.headers = {};
+        for (var h in requestHeaders) {
+            opts.headers[h] = requestHeaders[h];
+        }
+        
+        opts.headers["Cache-Control"] = "no-cache";
+        if (!isEmptyString(me.lastEventId)) {
+            opts.headers["Last-Event-ID"] = me.lastEventId;
+        }
+        
+        // do not store events
+        opts.cacheMode = HttpCacheMode.Bypass;
+        
+        var request = me._request = me._client.get(opts);
+        request.then((result) => {
+            if (request !== me._request) {
+                // closed
+                return;
+            }
+            
+            me._request = undefined;
+            
+            if (204 === result.code) {
+                // server wants no reconnect
+                me.close();
+                return;
+            }
+            
+            if (200 !== result.code) {
+                me.notify(<ILongPollEventData>{
+                    eventName: LongPollClient.errorEvent,
+                    object: me,
+                    result: result,
+                });
+                
+                me.close();
+                return;
+            }
+            
+            me._failures = 0;
+            
+            me.notify(<ILongPollEventData>{
+                eventName: LongPollClient.openEvent,
+                object: me,
+                result: result,
+            });
+            
+            // events of a closed connection
+            // without empty line are discarded
+            me._parser.write(result.getString() || "");
+            me._parser.end();
+            
+            me.reconnect();
+        }, (err: IApiClientError) => {
+            if (request !== me._request) {
+                // closed
+                return;
+            }
+            
+            me._request = undefined;
+            
+            me.notify(<ILongPollEventData>{
+                error: err,
+                eventName: LongPollClient.errorEvent,
+                object: me,
+            });
+            
+            var maxRetries = me._config.maxRetries;
+            if (!TypeUtils.isNullOrUndefined(maxRetries) &&
+                ++me._failures > maxRetries) {
+                
+                me.close();
+                return;
+            }
+            
+            me.reconnect();
+        });
+    }
+    
+    /**
+     * Gets if the client is open or not.
+     * 
+     * @property
+     */
+    public get isOpen() : boolean {
+        return this._isOpen;
+    }
+    
+    /**
+     * Gets the ID of the last event.
+     * 
+     * @property
+     */
+    public get lastEventId() : string {
+        return this._parser.lastEventId;
+    }
+    
+    /**
+     * Opens the client.
+     * 
+     * @chainable
+     */
+    public open() : LongPollClient {
+        if (this._isOpen) {
+            return this;
+        }
+        
+        this._failures = 0;
+        this.setIsOpen(true);
+        
+        this.connect();
+        return this;
+    }
+    
+    private reconnect() {
+        if (!this._isOpen) {
+            return;
+        }
+        
+        var me = this;
+        me._reconnectTimer = setTimeout(() => {
+            me.connect();
+        }, me.retry);
+    }
+    
+    /**
+     * Gets the time in milliseconds to wait before reconnecting.
+     * A value sent by the server wins. Default: 3000
+     * 
+     * @property
+     */
+    public get retry() : number {
+        var retry = this._parser.retry;
+        if (TypeUtils.isNullOrUndefined(retry)) {
+            retry = this._config.retry;
+        }
+        if (TypeUtils.isNullOrUndefined(retry)) {
+            retry = 3000;
+        }
+        
+        return retry;
+    }
+    
+    private setIsOpen(newValue: boolean) {
+        this._isOpen = newValue;
+        
+        this.notifyPropertyChange("isOpen", newValue);
+    }
+}
+
+/**
+ * A cache store that keeps its entries in memory.
+ */
+export class MemoryCacheStore implements IHttpCacheStore {
+    private _entries: any = {};
+    
+    /** @inheritdoc */
+    public clear() {
+        this._entries = {};
+    }
+    
+    /** @inheritdoc */
+    public get(key: string) : IHttpCacheEntry {
+        if (!this._entries.hasOwnProperty(key)) {
+            return null;
+        }
+        
+        return this._entries[key];
+    }
+    
+    /** @inheritdoc */
+    public remove(key: string) {
+        delete this._entries[key];
+    }
+    
+    /** @inheritdoc */
+    public set(key: string, entry: IHttpCacheEntry) {
+        this._entries[key] = entry;
+    }
+}
+
+/**
+ * A transport that answers requests with canned responses
+ * and records them, e.g. for unit tests.
+ */
+export class MockTransport implements ITransport {
+    private _failures: any[] = [];
+    private _requests: IMockRequest[] = [];
+    private _routes: { handler: (req: IMockRequest) => any, hits: number, method: string, url: string | RegExp }[] = [];
+    
+    /**
+     * Throws if a registered route has never been called.
+     */
+    public assertAllCalled() {
+        var unused = this._routes.filter((r) => r.hits < 1);
+        if (unused.length > 0) {
+            throw "Routes NOT called: " + unused.map((r) => r.method + " " + r.url).join(", ");
+        }
+    }
+    
+    /**
+     * Throws if a route has not been called (often enough).
+     * 
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     * @param {Number} [times] The expected number of calls. Default: at least once
+     */
+    public assertCalled(method: string, url: string | RegExp, times?: number) {
+        var count = this.findRequests(method, url).length;
+        
+        if (arguments.length < 3) {
+            if (count < 1) {
+                throw "Expected a '" + method + "' request to '" + url + "'!";
+            }
+        }
+        else if (count !== times) {
+            throw "Expected " + times + " '" + method + "' request(s) to '" + url + "', but got " + count + "!";
+        }
+    }
+    
+    /**
+     * Throws if a route has been called.
+     * 
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     */
+    public assertNotCalled(method: string, url: string | RegExp) {
+        this.assertCalled(method, url, 0);
+    }
+    
+    /**
+     * Removes the recorded requests.
+     * 
+     * @chainable
+     */
+    public clearRequests() : MockTransport {
+        this._requests = [];
+        return this;
+    }
+    
+    /**
+     * A delay in milliseconds for all responses.
+     */
+    public delay: number = 0;
+    
+    /**
+     * Lets the next requests fail.
+     * 
+     * @chainable
+     * 
+     * @param any [error] The custom error.
+     * @param {Number} [count] The number of requests. Default: 1
+     */
+    public failNext(error?: any, count?: number) : MockTransport {
+        if (TypeUtils.isNullOrUndefined(error)) {
+            error = "Simulated network error.";
+        }
+        
+        if (TypeUtils.isNullOrUndefined(count)) {
+            count = 1;
+        }
+        
+        for (var i = 0; i < count; i++) {
+            this._failures.push(error);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Returns the recorded requests of a route.
+     * 
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern.
+     * 
+     * @return {IMockRequest[]} The requests.
+     */
+    public findRequests(method: string, url: string | RegExp) : IMockRequest[] {
+        return this._requests.filter((r) => isMockRouteMatching(method, url, r));
+    }
+    
+    /**
+     * Registers a route.
+     * Routes that are registered later win.
+     * 
+     * @chainable
+     * 
+     * @param {String} method The HTTP method ('*' for any).
+     * @param {String|RegExp} url The URL, path or pattern, like '/users/*'.
+     * @param {IMockResponse|Function} response The response or the function that returns it.
+     */
+    public on(method: string, url: string | RegExp,
+              response: IMockResponse | ((req: IMockRequest) => IMockResponse | Promise<IMockResponse>)) : MockTransport {
+        
+        this._routes.unshift({
+            handler: typeof response === "function" ? <any>response : () => response,
+            hits: 0,
+            method: method,
+            url: url,
+        });
+        
+        return this;
+    }
+    
+    /**
+     * Gets the list of recorded requests.
+     * 
+     * @property
+     */
+    public get requests() : IMockRequest[] {
+        return this._requests.slice();
+    }
+    
+    /**
+     * Removes all routes, failures and recorded requests.
+     * 
+     * @chainable
+     */
+    public reset() : MockTransport {
+        this._failures = [];
+        this._requests = [];
+        this._routes = [];
+        
+        return this;
+    }
+    
+    /** @inheritdoc */
+    public send(opts: HTTP.HttpRequestOptions) : Promise<HTTP.HttpResponse> {
+        var me = this;
+        
+        var req : IMockRequest = {
+            content: opts.content,
+            headers: getOwnProperties(opts.headers) || {},
+            method: methodToString(opts.method),
+            time: Date.now(),
+            url: opts.url,
+        };
+        this._requests.push(req);
+        
+        var route = this._routes.filter((r) => isMockRouteMatching(r.method, r.url, req))[0];
+        
+        var failure = this._failures.shift();
+        
+        return Promise.resolve().then(() : any => {
+            if (!TypeUtils.isNullOrUndefined(failure)) {
+                throw failure;
+            }
+            
+            if (TypeUtils.isNullOrUndefined(route)) {
+                return {
+                    body: "No mock route for '" + req.method + " " + req.url + "'!",
+                    code: 404,
+                };
+            }
+            
+            ++route.hits;
+            return route.handler(req);
+        }).then((response: IMockResponse) => {
+            if (TypeUtils.isNullOrUndefined(response)) {
+                response = {};
+            }
+            
+            var delay = me.delay;
+            if (!TypeUtils.isNullOrUndefined(response.delay)) {
+                delay = response.delay;
+            }
+            
+            return new Promise<HTTP.HttpResponse>((resolve, reject) => {
+                setTimeout(() => {
+                    if (!TypeUtils.isNullOrUndefined(response.error)) {
+                        reject(response.error);
+                        return;
+                    }
+                    
+                    var body = response.body;
+                    var headers = getOwnProperties(response.headers) || {};
+                    
+                    if (!TypeUtils.isNullOrUndefined(body) && typeof body === "object") {
+                        body = JSON.stringify(body);
+                        
+                        if (TypeUtils.isNullOrUndefined(getHeaderValue(headers, "Content-Type"))) {
+                            headers["Content-Type"] = "application/json; charset=utf-8";
+                        }
+                    }
+                    
+                    resolve(createHttpResponse(TypeUtils.isNullOrUndefined(response.code) ? 200 : response.code,
+                                               headers,
+                                               TypeUtils.isNullOrUndefined(body) ? null : "" + body));
+                }, delay || 0);
+            });
+        });
+    }
+}
+
+/**
+ * An incremental parser for line-delimited JSON (NDJSON).
+ */
+export class NdjsonParser {
+    private _buffer = "";
+    private _count = 0;
+    private _line = 0;
+    private _onItem: (item: any, index: number) => void;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {Function} onItem The function that receives the parsed objects.
+     */
+    constructor(onItem: (item: any, index: number) => void) {
+        this._onItem = onItem;
+    }
+    
+    /**
+     * Gets the number of parsed objects.
+     * 
+     * @property
+     */
+    public get count() : number {
+        return this._count;
+    }
+    
+    /**
+     * Parses the rest of the stream.
+     */
+    public end() {
+        var rest = this._buffer;
+        this._buffer = "";
+        
+        this.processLine(rest);
+    }
+    
+    private processLine(line: string) {
+        ++this._line;
+        
+        if ("" === line.trim()) {
+            return;
+        }
+        
+        var item: any;
+        try {
+            item = JSON.parse(line);
+        }
+        catch (e) {
+            throw "Invalid JSON in line " + this._line + ": " + e;
+        }
+        
+        this._onItem(item, this._count++);
+    }
+    
+    /**
+     * Parses the next chunk of the stream.
+     * 
+     * @param {String} chunk The chunk.
+     */
+    public write(chunk: string) {
+        if (TypeUtils.isNullOrUndefined(chunk) || "" === chunk) {
+            return;
+        }
+        
+        var lines = (this._buffer + chunk).split("\n");
+        this._buffer = lines.pop();
+        
+        for (var i = 0; i < lines.length; i++) {
+            this.processLine(lines[i]);
+        }
+    }
+}
+
+/**
+ * OAuth authorizer
+ */
+export class OAuth implements IAuthorizer {
+    /**
+     * Stores the fields.
+     */
+    protected _fields = {};
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        var i = 0;
+        var fieldList = '';
+        for (var f in this._fields) {
+            var v = this._fields[f];
+
+            if (i > 0) {
+                fieldList += ', ';
+            }
+
+            fieldList += f + '=' + '"' + encodeRfc3986(v) + '"';
+            ++i;
+        }
+
+        reqOpts.headers["Authorization"] = 'OAuth ' + fieldList;
+    }
+
+    /**
+     * Sets a field.
+     * 
+     * @chainable
+     * 
+     * @param {String} name The name of the field.
+     * @param {String} value The value of the field.
+     */
+    public setField(name: string, value: any): OAuth {
+        this._fields[name] = value;
+        return this;
+    }
+
+    /**
+     * Sets a list of fields.
+     * 
+     * @chainable
+     * 
+     * @param any ...fields One or more object with fields an their values.
+     */
+    public setMany(...fields: any[]): OAuth {
+        for (var i = 0; i < fields.length; i++) {
+            var fieldObj = getOwnProperties(fields[i]);
+            if (TypeUtils.isNullOrUndefined(fieldObj)) {
+                continue;
+            }
+
+            for (var f in fieldObj) {
+                this.setField(f, fieldObj[f]);
+            }
+        }
+
+        return this;
+    }
+}
+
+/**
+ * An OAuth 1.0a authorizer that signs requests (RFC 5849).
+ */
+export class OAuth1Authorizer extends OAuth {
+    private _consumerKey: string;
+    private _consumerSecret: string;
+    private _token: string;
+    private _tokenSecret: string;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {String} consumerKey The consumer key.
+     * @param {String} consumerSecret The consumer secret.
+     * @param {String} [token] The token.
+     * @param {String} [tokenSecret] The token secret.
+     */
+    constructor(consumerKey: string, consumerSecret: string,
+                token?: string, tokenSecret?: string) {
+        
+        super();
+
+        this._consumerKey = consumerKey;
+        this._consumerSecret = consumerSecret;
+        this._token = token;
+        this._tokenSecret = tokenSecret;
+    }
+    
+    /**
+     * Gets the consumer key.
+     * 
+     * @property
+     */
+    public get consumerKey(): string {
+        return this._consumerKey;
+    }
+    
+    /**
+     * Creates a signature.
+     * 
+     * @param {String} baseString The signature base string.
+     * 
+     * @return {String} The signature.
+     */
+    public createSignature(baseString: string) : string {
+        var key = encodeRfc3986(this._consumerSecret || '') + '&' +
+                  encodeRfc3986(this._tokenSecret || '');
+        
+        var signatureMethod = ('' + this.signatureMethod).toUpperCase().trim();
+        switch (signatureMethod) {
+            case 'HMAC-SHA1':
+                return Base64.stringify(HmacSHA1(baseString, key));
+                
+            case 'PLAINTEXT':
+                return key;
+        }
+        
+        throw "Signature method '" + this.signatureMethod + "' is NOT supported!";
+    }
+    
+    /**
+     * Creates the signature base string of a request.
+     * 
+     * @param {String} method The HTTP method.
+     * @param {String} url The (encoded) request URL.
+     * @param any oauthParams The 'oauth_*' parameters.
+     * @param {String} [formBody] The 'application/x-www-form-urlencoded' body (if available).
+     * 
+     * @return {String} The base string.
+     */
+    public createSignatureBaseString(method: string, url: string,
+                                     oauthParams: any, formBody?: string) : string {
+        
+        var urlParts = /^([^:\/?#]+):\/\/([^\/?#]*)([^?#]*)(\?[^#]*)?/.exec(('' + url).trim());
+        if (!urlParts) {
+            throw "Invalid URL '" + url + "'!";
+        }
+        
+        var scheme = urlParts[1].toLowerCase();
+        var host = urlParts[2].toLowerCase();
+        var path = urlParts[3] || '/';
+        
+        // remove default ports
+        if (('http' === scheme && /:80$/.test(host)) ||
+            ('https' === scheme && /:443$/.test(host))) {
+            
+            host = host.substring(0, host.lastIndexOf(':'));
+        }
+        
+        // collect parameters
+        var params = parseUrlEncoded(urlParts[4]);
+        if (!TypeUtils.isNullOrUndefined(formBody)) {
+            params = params.concat(parseUrlEncoded(formBody));
+        }
+        
+        for (var op in oauthParams) {
+            if ('oauth_signature' === op || 'realm' === op) {
+                continue;
+            }
+            
+            params.push([op, '' + oauthParams[op]]);
+        }
+        
+        var encodedParams = params.map((p) => [encodeRfc3986(p[0]), encodeRfc3986(p[1])]);
+        encodedParams.sort((x, y) => {
+            if (x[0] !== y[0]) {
+                return x[0] < y[0] ? -1 : 1;
+            }
+            
+            if (x[1] !== y[1]) {
+                return x[1] < y[1] ? -1 : 1;
+            }
+            
+            return 0;
+        });
+        
+        var paramString = encodedParams.map((p) => p[0] + '=' + p[1])
+                                       .join('&');
+        
+        return methodToString(method) + '&' +
+               encodeRfc3986(scheme + '://' + host + path) + '&' +
+               encodeRfc3986(paramString);
+    }
+    
+    /**
+     * Gets or sets the value for "oauth_nonce" (custom random crypto key).
+     * If not defined, a new one is generated for each request.
+     */
+    public nonce: string;
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) {
+        var timestamp = this.timestamp;
+        if (TypeUtils.isNullOrUndefined(timestamp)) {
+            timestamp = new Date();
+        }
+        
+        var nonce = this.nonce;
+        if (isEmptyString(nonce)) {
+            const NONCE_CHARS = '0123456789abcdef';
+            
+            nonce = '';
+            for (var i = 0; i < 32; i++) {
+                nonce += NONCE_CHARS[Math.floor(Math.random() * NONCE_CHARS.length) % NONCE_CHARS.length];
+            }
+        }
+
+        if (!isEmptyString(this._consumerKey)) {
+            this.setField('oauth_consumer_key', this._consumerKey);
+        }
+
+        this.setField('oauth_nonce', nonce);
+
+        if (!isEmptyString(this.signatureMethod)) {
+            this.setField('oauth_signature_method', this.signatureMethod);
+        }
+
+        this.setField('oauth_timestamp', Math.floor(timestamp.getTime() / 1000.0));
+
+        if (!isEmptyString(this._token)) {
+            this.setField('oauth_token', this._token);
+        }
+
+        if (!isEmptyString(this.version)) {
+            this.setField('oauth_version', this.version);
+        }
+        
+        var signature = this.signature;
+        if (TypeUtils.isNullOrUndefined(signature)) {
+            var formBody : string;
+            
+            var contentType = getHeaderValue(reqOpts.headers, 'Content-type');
+            if (!isEmptyString(contentType) &&
+                0 === contentType.toLowerCase().trim().indexOf('application/x-www-form-urlencoded') &&
+                typeof reqOpts.content === "string") {
+                
+                formBody = <string>reqOpts.content;
+            }
+            
+            signature = this.createSignature(this.createSignatureBaseString(reqOpts.method, reqOpts.url,
+                                                                            this._fields, formBody));
+        }
+        
+        this.setField('oauth_signature', signature);
+
+        super.prepare(reqOpts);
+    }
+    
+    /**
+     * Gets or sets a custom value for "oauth_signature".
+     * If not defined, the signature is computed for each request.
+     */
+    public signature: string;
+
+    /**
+     * Gets or sets the value for "oauth_signature_method".
+     * Supported: 'HMAC-SHA1', 'PLAINTEXT'
+     */
+    public signatureMethod: string = 'HMAC-SHA1';
+    
+    /**
+     * Gets or sets a custom value for "oauth_timestamp".
+     * If not defined, the current time is used for each request.
+     */
+    public timestamp: Date;
+    
+    /**
+     * Gets the token.
+     * 
+     * @property
+     */
+    public get token(): string {
+        return this._token;
+    }
+
+    /**
+     * Gets or sets the value for "oauth_version".
+     */
+    public version: string = '1.0';
+}
+
+/**
+ * An OAuth 2.0 authorizer that manages the lifecycle of an access token.
+ */
+export class OAuth2Authorizer implements IAuthorizer {
+    private _config: IOAuth2Config;
+    private _pendingToken: Promise<IOAuth2Token>;
+    private _token: IOAuth2Token;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IOAuth2Config} config The configuration.
+     */
+    constructor(config: IOAuth2Config) {
+        this._config = config;
+        
+        var storage = this.storage;
+        if (!TypeUtils.isNullOrUndefined(storage)) {
+            this._token = storage.getValue(this._config.storageKey);
+        }
+        
+        if (TypeUtils.isNullOrUndefined(this._token) &&
+            !isEmptyString(config.refreshToken)) {
+            
+            // only a refresh token
+            this._token = {
+                accessToken: null,
+                expiresAt: 0,
+                refreshToken: config.refreshToken,
+            };
+        }
+    }
+    
+    /**
+     * Removes the current token (and the cached one).
+     */
+    public clear() {
+        this._token = undefined;
+        
+        var storage = this.storage;
+        if (!TypeUtils.isNullOrUndefined(storage)) {
+            storage.removeValue(this._config.storageKey);
+        }
+    }
+    
+    /**
+     * Gets the configuration.
+     * 
+     * @property
+     */
+    public get config(): IOAuth2Config {
+        return this._config;
+    }
+    
+    /**
+     * Returns a valid token. Concurrent calls share the same token request.
+     * 
+     * @param {Boolean} [forceRefresh] Request a new token, even if the current one is still valid.
+     * 
+     * @return {Promise<IOAuth2Token>} The promise.
+     */
+    public getToken(forceRefresh?: boolean) : Promise<IOAuth2Token> {
+        var me = this;
+        
+        if (!forceRefresh && me.isValid(me._token)) {
+            return Promise.resolve(me._token);
+        }
+        
+        if (TypeUtils.isNullOrUndefined(me._pendingToken)) {
+            var onFinished = function() {
+                me._pendingToken = undefined;
+            };
+            
+            me._pendingToken = me.requestToken().then(function(token) {
+                onFinished();
+                
+                me.setToken(token);
+                return token;
+            }, function(err) {
+                onFinished();
+                
+                throw err;
+            });
+        }
+        
+        return me._pendingToken;
+    }
+    
+    /** @inheritdoc */
+    public interceptResponse(ctx: IResponseInterceptorContext) : any {
+        var STATE_KEY = "__oauth2_replayed";
+        
+        if (401 !== ctx.response.statusCode || ctx.state[STATE_KEY]) {
+            return;
+        }
+        
+        // retry only once
+        ctx.state[STATE_KEY] = true;
+        
+        var me = this;
+        
+        var usedAuthorization = getHeaderValue(ctx.options.headers, "Authorization");
+        var currentToken = me._token;
+        
+        var refreshed : Promise<any>;
+        if (me.isValid(currentToken) &&
+            usedAuthorization !== me.toAuthorizationValue(currentToken)) {
+            
+            // has already been refreshed by another request
+            refreshed = Promise.resolve(currentToken);
+        }
+        else {
+            refreshed = me.getToken(true);
+        }
+        
+        return refreshed.then(function() {
+            ctx.replay();
+        }, function(err) {
+            // let the 401 response pass
+            (<ApiClient>ctx.client).warn("Could not refresh token: " + err, "OAuth2Authorizer");
+        });
+    }
+    
+    private isValid(token: IOAuth2Token) : boolean {
+        if (TypeUtils.isNullOrUndefined(token) ||
+            isEmptyString(token.accessToken)) {
+            
+            return false;
+        }
+        
+        if (TypeUtils.isNullOrUndefined(token.expiresAt)) {
+            return true;
+        }
+        
+        var refreshBefore = this._config.refreshBefore;
+        if (TypeUtils.isNullOrUndefined(refreshBefore)) {
+            refreshBefore = 60;
+        }
+        
+        return new Date().getTime() < (token.expiresAt - refreshBefore * 1000);
+    }
+    
+    /** @inheritdoc */
+    public prepare(reqOpts : HTTP.HttpRequestOptions) : Promise<any> {
+        var me = this;
+        
+        return me.getToken().then(function(token) {
+            reqOpts.headers["Authorization"] = me.toAuthorizationValue(token);
+        });
+    }
+    
+    private requestToken() : Promise<IOAuth2Token> {
+        var me = this;
+        var cfg = me._config;
+        
+        var grantType = cfg.grantType;
+        if (TypeUtils.isNullOrUndefined(grantType)) {
+            grantType = OAuth2GrantType.ClientCredentials;
+        }
+        
+        var params : any = {};
+        
+        var currentToken = me._token;
+        var useRefreshToken = !TypeUtils.isNullOrUndefined(currentToken) &&
+                              !isEmptyString(currentToken.refreshToken);
+        
+        if (useRefreshToken) {
+            params.grant_type = "refresh_token";
+            params.refresh_token = currentToken.refreshToken;
+        }
+        else {
+            switch (grantType) {
+                case OAuth2GrantType.Password:
+                    params.grant_type = "password";
+                    params.username = cfg.username;
+                    params.password = cfg.password;
+                    break;
+                    
+                case OAuth2GrantType.RefreshToken:
+                    return Promise.reject("No refresh token available!");
+                    
+                default:
+                    params.grant_type = "client_credentials";
+                    break;
+            }
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(cfg.scope)) {
+            params.scope = Array.isArray(cfg.scope) ? (<string[]>cfg.scope).join(" ")
+                                                    : cfg.scope;
+        }
+        
+        var headers : any = {
+            "Accept": "application/json",
+            "Content-type": "application/x-www-form-urlencoded",
+        };
+        
+        if (!isEmptyString(cfg.clientId)) {
+            if ("body" === ("" + cfg.clientAuthentication).toLowerCase().trim()) {
+                params.client_id = cfg.clientId;
+                
+                if (!TypeUtils.isNullOrUndefined(cfg.clientSecret)) {
+                    params.client_secret = cfg.clientSecret;
+                }
+            }
+            else {
+                // s. RFC 6749, section 2.3.1
+                headers["Authorization"] = "Basic " + encodeBase64(encodeFormComponent(cfg.clientId) + ":" +
+                                                                   encodeFormComponent(cfg.clientSecret || ""));
+            }
+        }
+        
+        var additionalParams = getOwnProperties(cfg.params);
+        for (var p in additionalParams) {
+            params[p] = additionalParams[p];
+        }
+        
+        var body = [];
+        for (var p in params) {
+            if (!TypeUtils.isNullOrUndefined(params[p])) {
+                body.push(encodeFormComponent(p) + "=" + encodeFormComponent(params[p]));
+            }
+        }
+        
+        return newClient({
+            baseUrl: cfg.tokenUrl,
+            transport: cfg.transport,
+        }).post({
+            content: body.join("&"),
+            headers: headers,
+            timeout: cfg.timeout,
+        }).then(function(result) : any {
+            var json: any;
+            try {
+                json = result.getJSON<any>();
+            }
+            catch (e) {
+                // no JSON, like an HTML error page
+                json = undefined;
+            }
+            
+            if (result.code < 200 || result.code > 299 ||
+                TypeUtils.isNullOrUndefined(json) || isEmptyString(json.access_token)) {
+                
+                if (useRefreshToken &&
+                    OAuth2GrantType.RefreshToken !== grantType) {
+                    
+                    // refresh token is not valid anymore
+                    // so try again with configured grant
+                    me._token = undefined;
+                    return me.requestToken();
+                }
+                
+                throw new OAuth2TokenError(result.code, json);
+            }
+            
+            var token : IOAuth2Token = {
+                accessToken: json.access_token,
+                refreshToken: json.refresh_token,
+                scope: json.scope,
+                tokenType: json.token_type,
+            };
+            
+            if (TypeUtils.isNullOrUndefined(token.refreshToken) && useRefreshToken) {
+                // keep old one
+                token.refreshToken = currentToken.refreshToken;
+            }
+            
+            var expiresIn = parseInt(json.expires_in);
+            if (!isNaN(expiresIn)) {
+                token.expiresAt = new Date().getTime() + expiresIn * 1000;
+            }
+            
+            return token;
+        });
+    }
+    
+    /**
+     * Sets the current token.
+     * 
+     * @chainable
+     * 
+     * @param {IOAuth2Token} token The new token.
+     */
+    public setToken(token: IOAuth2Token) : OAuth2Authorizer {
+        this._token = token;
+        
+        var storage = this.storage;
+        if (!TypeUtils.isNullOrUndefined(storage)) {
+            if (TypeUtils.isNullOrUndefined(token)) {
+                storage.removeValue(this._config.storageKey);
+            }
+            else {
+                storage.setValue(token, this._config.storageKey);
+            }
+        }
+        
+        return this;
+    }
+    
+    private get storage() : IValueStorage {
+        if (isEmptyString(this._config.storageKey)) {
+            return undefined;
+        }
+        
+        return this._config.storage || AppSettingsStorage;
+    }
+    
+    private toAuthorizationValue(token: IOAuth2Token) : string {
+        var tokenType = token.tokenType;
+        if (isEmptyString(tokenType) || "bearer" === tokenType.toLowerCase().trim()) {
+            tokenType = "Bearer";
+        }
+        
+        return tokenType + " " + token.accessToken;
+    }
+    
+    /**
+     * Gets the current token.
+     * 
+     * @property
+     */
+    public get token() : IOAuth2Token {
+        return this._token;
+    }
+}
+
+/**
+ * List of OAuth 2.0 grant types.
+ */
+export enum OAuth2GrantType {
+    /**
+     * 'client_credentials'
+     */
+    ClientCredentials,
+    
+    /**
+     * 'password'
+     */
+    Password,
+    
+    /**
+     * 'refresh_token'
+     */
+    RefreshToken
+}
+
+/**
+ * An error of a token request of an 'OAuth2Authorizer'.
+ */
+export class OAuth2TokenError {
+    private _code: number;
+    private _response: any;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {Number} code The status code of the token endpoint.
+     * @param any [response] The (JSON) response, if available.
+     */
+    constructor(code: number, response?: any) {
+        this._code = code;
+        this._response = response;
+    }
+    
+    /**
+     * Gets the status code of the token endpoint.
+     * 
+     * @property
+     */
+    public get code() : number {
+        return this._code;
+    }
+    
+    /**
+     * Gets the description of the error (if available).
+     * 
+     * @property
+     */
+    public get description() : string {
+        return TypeUtils.isNullOrUndefined(this._response) ? undefined : this._response.error_description;
+    }
+    
+    /**
+     * Gets the error code, like 'invalid_grant' (if available).
+     * 
+     * @property
+     */
+    public get error() : string {
+        return TypeUtils.isNullOrUndefined(this._response) ? undefined : this._response.error;
+    }
+    
+    /**
+     * Gets the message.
+     * 
+     * @property
+     */
+    public get message() : string {
+        if (isEmptyString(this.error)) {
+            return "Token request failed with status code " + this.code;
+        }
+        
+        return this.error + (isEmptyString(this.description) ? "" : (": " + this.description));
+    }
+    
+    /** @inheritdoc */
+    public toString() : string {
+        return this.message;
+    }
+}
+
+/**
+ * A queue that stores requests while the device is offline
+ * and sends them in order when it is online again.
+ * 
+ * Items are replayed when 'startMonitoringForConnectivity()' of
+ * the toolbox reports 'wifi' or 'mobile', or if 'replay()' is called.
+ * 
+ * Credentials, like the 'Authorization' and 'Cookie' headers, are NOT stored.
+ * Queued requests are authorized by the authorizer of the client when they are sent.
+ * 
+ * 'tag' and 'schema' are only stored if they are JSON-safe (no circular references,
+ * functions, dates, etc.). Otherwise they are only used until the app is restarted.
+ * 
+ * If sending a request fails because of the network, the "error" action of the client
+ * is invoked and the request stays in the queue, until 'maxAttempts' is reached.
+ * Then it is removed and its promise is rejected.
+ */
+export class OfflineQueue extends Observable.Observable {
+    /**
+     * Name of the event that is raised after a request has been queued.
+     */
+    public static itemEnqueuedEvent = "itemEnqueued";
+    /**
+     * Name of the event that is raised if a queued request failed.
+     */
+    public static itemFailedEvent = "itemFailed";
+    /**
+     * Name of the event that is raised after a queued request has been sent.
+     */
+    public static itemProcessedEvent = "itemProcessed";
+    
+    private _client: IApiClient;
+    private _config: IOfflineQueueConfig;
+    private _isDisposed = false;
+    private _isReplaying = false;
+    private _isSending = false;
+    private _items: IOfflineQueueItem[] = [];
+    private _loaded: Promise<any>;
+    private _pending: any = {};
+    private _replay: Promise<any>;
+    private _store: IOfflineQueueStore;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IApiClient} client The client that sends the requests.
+     * @param {IOfflineQueueConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: IOfflineQueueConfig) {
+        super();
+        
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._client = client;
+        this._config = config;
+        
+        this._store = config.store;
+        if (TypeUtils.isNullOrUndefined(this._store)) {
+            this._store = createValueStorageQueueStore(config.storage || AppSettingsStorage,
+                                                       isEmptyString(config.storageKey) ? "apiclient.offlineQueue" : config.storageKey);
+        }
+        
+        // restore items of previous sessions
+        this._loaded = Promise.resolve().then(() => me._store.load()).then((items) => {
+            if (TypeUtils.isNullOrUndefined(items)) {
+                return;
+            }
+            
+            // items that have been queued in the meantime
+            // might have already been saved
+            var restoredItems = items.filter((i) => {
+                return me._items.filter((x) => x.id === i.id).length < 1;
+            });
+            
+            if (restoredItems.length > 0) {
+                me._items = restoredItems.concat(me._items);
+                me.notifyPropertyChange("count", me._items.length);
+                
+                me.updateRegistration();
+            }
+        }, (err) => {
+            (<ApiClient>me._client).err("Could not load items: " + err, "OfflineQueue");
+        });
+    }
+    
+    /**
+     * Removes all items.
+     * 
+     * @param any [reason] The optional reason for the callers of the queued requests.
+     */
+    public clear(reason?: any) {
+        var ids = this._items.map((i) => i.id);
+        for (var i = 0; i < ids.length; i++) {
+            this.remove(ids[i], reason);
+        }
+    }
+    
+    /**
+     * Gets the underlying client.
+     * 
+     * @property
+     */
+    public get client() : IApiClient {
+        return this._client;
+    }
+    
+    /**
+     * Gets the number of queued requests.
+     * 
+     * @property
+     */
+    public get count() : number {
+        return this._items.length;
+    }
+    
+    /**
+     * Stops listening for connectivity changes.
+     */
+    public dispose() {
+        this._isDisposed = true;
+        
+        this.updateRegistration();
+    }
+    
+    /**
+     * Adds a request.
+     * Requests with the same idempotency key are only queued once.
+     * 
+     * @param {String} method The HTTP method.
+     * @param {IRequestOptions} [opts] The (additional) options.
+     * 
+     * @return {ICancellablePromise<IApiClientResult>} The promise that is resolved with the result
+     *                                                after the request has been sent.
+     */
+    public enqueue(method: string, opts?: IRequestOptions) : ICancellablePromise<IApiClientResult> {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(opts)) {
+            opts = {};
+        }
+        
+        method = methodToString(method);
+        
+        var item : IOfflineQueueItem;
+        if (!isEmptyString(opts.idempotencyKey)) {
+            item = this._items.filter((i) => i.idempotencyKey === opts.idempotencyKey)[0];
+        }
+        
+        if (TypeUtils.isNullOrUndefined(item)) {
+            var id = createRandomHex(32);
+            var idempotencyKey = isEmptyString(opts.idempotencyKey) ? id : opts.idempotencyKey;
+            
+            // send the key as header
+            var queuedOpts = getOwnProperties(opts);
+            queuedOpts.headers = getOwnProperties(opts.headers) || {};
+            queuedOpts.headers[this.idempotencyHeader] = idempotencyKey;
+            queuedOpts.idempotencyKey = idempotencyKey;
+            
+            item = {
+                id: id,
+                idempotencyKey: idempotencyKey,
+                method: method,
+                options: toQueueOptions(queuedOpts),
+                queuedAt: Date.now(),
+            };
+            
+            this._items.push(item);
+            this._pending[id] = {
+                options: queuedOpts,
+            };
+            
+            this.save();
+            this.updateRegistration();
+            
+            this.notify(<IOfflineQueueEventData>{
+                eventName: OfflineQueue.itemEnqueuedEvent,
+                item: item,
+                object: this,
+            });
+            this.notifyPropertyChange("count", this._items.length);
+        }
+        
+        var promise = this.getPending(item).promise;
+        
+        if (isConnected()) {
+            this.replay();
+        }
+        
+        return promise;
+    }
+    
+    private getPending(item: IOfflineQueueItem) : any {
+        var me = this;
+        
+        var pending = this._pending[item.id];
+        if (TypeUtils.isNullOrUndefined(pending)) {
+            // restored item
+            pending = this._pending[item.id] = {
+                options: item.options,
+            };
+        }
+        
+        if (TypeUtils.isNullOrUndefined(pending.promise)) {
+            pending.promise = new Promise<IApiClientResult>((resolve, reject) => {
+                pending.resolve = resolve;
+                pending.reject = reject;
+            });
+            
+            pending.promise.cancel = function(reason?: any) {
+                me.remove(item.id, reason);
+            };
+            
+            var cancellationToken = <ICancellationToken>pending.options.cancellationToken;
+            if (!TypeUtils.isNullOrUndefined(cancellationToken)) {
+                pending.unregister = cancellationToken.register((reason) => {
+                    me.remove(item.id, reason);
+                });
+            }
+        }
+        
+        return pending;
+    }
+    
+    /**
+     * Gets the name of the header for the idempotency key.
+     * 
+     * @property
+     */
+    public get idempotencyHeader() : string {
+        var header = this._config.idempotencyHeader;
+        if (isEmptyString(header)) {
+            header = "Idempotency-Key";
+        }
+        
+        return header;
+    }
+    
+    /**
+     * Gets if the queue is currently sending its requests or not.
+     * 
+     * @property
+     */
+    public get isReplaying() : boolean {
+        return this._isReplaying;
+    }
+    
+    /**
+     * Gets a copy of the current items.
+     * 
+     * @property
+     */
+    public get items() : IOfflineQueueItem[] {
+        return this._items.slice();
+    }
+    
+    /**
+     * Gets the maximum number of attempts to send a request,
+     * which fail because of the network.
+     * 
+     * @property
+     */
+    public get maxAttempts() : number {
+        var maxAttempts = this._config.maxAttempts;
+        if (TypeUtils.isNullOrUndefined(maxAttempts)) {
+            maxAttempts = 3;
+        }
+        
+        return maxAttempts;
+    }
+    
+    /**
+     * Gets the HTTP methods of the requests that are queued.
+     * 
+     * @property
+     */
+    public get methods() : string[] {
+        var methods = this._config.methods;
+        if (TypeUtils.isNullOrUndefined(methods)) {
+            methods = ["POST", "PATCH"];
+        }
+        
+        return methods.map((m) => methodToString(m));
+    }
+    
+    private rejectPending(pending: any, err: IApiClientError) {
+        if (err.handled || ApiClientErrorContext.Cancelled === err.context) {
+            pending.promise.catch(() => { });
+        }
+        
+        pending.reject(err);
+        
+        if (!TypeUtils.isNullOrUndefined(pending.unregister)) {
+            pending.unregister();
+        }
+    }
+    
+    /**
+     * Removes an item and cancels its request.
+     * 
+     * @param {String} id The ID of the item.
+     * @param any [reason] The optional reason for the caller of the request.
+     * 
+     * @return {Boolean} Item was removed or not.
+     */
+    public remove(id: string, reason?: any) : boolean {
+        var item = this.removeItem(id);
+        if (TypeUtils.isNullOrUndefined(item)) {
+            return false;
+        }
+        
+        var pending = this._pending[id];
+        delete this._pending[id];
+        
+        if (!TypeUtils.isNullOrUndefined(pending) &&
+            !TypeUtils.isNullOrUndefined(pending.promise)) {
+            
+            // reject with a "cancelled" error context,
+            // without setting up a request and invoking the actions of the client
+            var client = <ApiClient>this._client;
+            var opts = <IRequestOptions>pending.options;
+            
+            var request = new HttpRequest(client, {
+                content: opts.content,
+                headers: getOwnProperties(opts.headers) || {},
+                method: item.method,
+                url: opts.url,
+            });
+            
+            this.rejectPending(pending, new ApiClientError(client, request,
+                                                           reason, ApiClientErrorContext.Cancelled,
+                                                           opts.tag));
+        }
+        
+        return true;
+    }
+    
+    private removeItem(id: string) : IOfflineQueueItem {
+        for (var i = 0; i < this._items.length; i++) {
+            var item = this._items[i];
+            if (item.id === id) {
+                this._items.splice(i, 1);
+                
+                this.save();
+                this.notifyPropertyChange("count", this._items.length);
+                
+                this.updateRegistration();
+                
+                return item;
+            }
+        }
+        
+        return undefined;
+    }
+    
+    /**
+     * Sends all queued requests in order.
+     * Stops at the first request that fails because of the network,
+     * if it has not reached the maximum number of attempts.
+     * 
+     * @return {Promise<any>} The promise.
+     */
+    public replay() : Promise<any> {
+        var me = this;
+        
+        if (!TypeUtils.isNullOrUndefined(this._replay)) {
+            return this._replay;
+        }
+        
+        var setReplaying = function(newValue: boolean) {
+            me._isReplaying = newValue;
+            me.notifyPropertyChange("isReplaying", newValue);
+        };
+        
+        var next = function() : any {
+            if (me._items.length < 1 || !isConnected()) {
+                return;
+            }
+            
+            var item = me._items[0];
+            var pending = me.getPending(item);
+            
+            return me.send(item.method, pending.options, pending).then((result) => {
+                me.removeItem(item.id);
+                delete me._pending[item.id];
+                
+                me.notify(<IOfflineQueueEventData>{
+                    eventName: OfflineQueue.itemProcessedEvent,
+                    item: item,
+                    object: me,
+                    result: result,
+                });
+                
+                return next();
+            }, (err: IApiClientError) => {
+                if (ApiClientErrorContext.ClientError === err.context ||
+                    ApiClientErrorContext.Rejected === err.context) {
+                    
+                    item.attempts = (item.attempts || 0) + 1;
+                    if (item.attempts < me.maxAttempts) {
+                        // network problem => try again later
+                        me.save();
+                        return;
+                    }
+                    
+                    me.rejectPending(pending, err);
+                }
+                
+                if (ApiClientErrorContext.Cancelled !== err.context) {
+                    me.removeItem(item.id);
+                    delete me._pending[item.id];
+                    
+                    me.notify(<IOfflineQueueEventData>{
+                        error: err,
+                        eventName: OfflineQueue.itemFailedEvent,
+                        item: item,
+                        object: me,
+                    });
+                }
+                
+                return next();
+            });
+        };
+        
+        setReplaying(true);
+        
+        this._replay = this._loaded.then(next).then(() => {
+            me._replay = undefined;
+            setReplaying(false);
+        }, (err) => {
+            me._replay = undefined;
+            setReplaying(false);
+            
+            (<ApiClient>me._client).err(err, "OfflineQueue");
+        });
+        
+        return this._replay;
+    }
+    
+    private save() {
+        var me = this;
+        
+        var items = me._items.slice();
+        
+        var logError = function(err: any) {
+            (<ApiClient>me._client).err("Could not save items: " + err, "OfflineQueue");
+        };
+        
+        try {
+            Promise.resolve(me._store.save(items)).then(null, logError);
+        }
+        catch (e) {
+            logError(e);
+        }
+    }
+    
+    private send(method: string, opts: IRequestOptions, pending: any) : Promise<IApiClientResult> {
+        var promise : Promise<IApiClientResult>;
+        
+        // do not queue again
+        this._isSending = true;
+        try {
+            promise = this._client.request(method, opts);
+        }
+        finally {
+            this._isSending = false;
+        }
+        
+        return promise.then((result) => {
+            pending.resolve(result);
+            
+            if (!TypeUtils.isNullOrUndefined(pending.unregister)) {
+                pending.unregister();
+            }
+            
+            return result;
+        }, (err: IApiClientError) => {
+            if (ApiClientErrorContext.ClientError !== err.context &&
+                ApiClientErrorContext.Rejected !== err.context) {
+                
+                this.rejectPending(pending, err);
+            }
+            
+            throw err;
+        });
+    }
+    
+    /**
+     * Checks if a request should be queued.
+     * This is the case, if the device is offline or other requests
+     * are waiting in the queue.
+     * 
+     * @param {String} method The HTTP method.
+     * 
+     * @return {Boolean} Should be queued or not.
+     */
+    public shouldEnqueue(method: string) : boolean {
+        if (this._isSending) {
+            return false;
+        }
+        
+        if (this.methods.indexOf(methodToString(method)) < 0) {
+            return false;
+        }
+        
+        // keep order
+        return this._items.length > 0 ||
+               !isConnected();
+    }
+    
+    private updateRegistration() {
+        // only listen for connectivity changes while there are items,
+        // so the queue and its client can be collected
+        var index = OfflineQueues.indexOf(this);
+        
+        if (!this._isDisposed && this._items.length > 0) {
+            if (index < 0) {
+                OfflineQueues.push(this);
+            }
+        }
+        else if (index > -1) {
+            OfflineQueues.splice(index, 1);
+        }
+    }
+}
+
+/**
+ * List of pagination strategies.
+ */
+export enum PaginationStrategy {
+    /**
+     * Follow the 'next' link of the 'Link' response header.
+     */
+    Link,
+    
+    /**
+     * Send the page number as URL parameter.
+     */
+    Page,
+    
+    /**
+     * Send the number of items to skip as URL parameter.
+     */
+    Offset,
+    
+    /**
+     * Send the cursor from the body of the last response as URL parameter.
+     */
+    Cursor,
+}
+
+/**
+ * Loads the items of a paged resource lazily.
+ */
+export class Paginator<T> extends AsyncSequence<T> {
+    private _client: IApiClient;
+    private _config: IPaginationConfig;
+    private _cursor: any;
+    private _hasMore: boolean;
+    private _items: T[];
+    private _nextUrl: string;
+    private _offset: number;
+    private _pageCount: number;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IApiClient} client The underlying client.
+     * @param {IPaginationConfig} [config] The custom configuration.
+     */
+    constructor(client: IApiClient, config?: IPaginationConfig) {
+        super();
+        
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._client = client;
+        this._config = config;
+        
+        this.reset();
+    }
+    
+    /**
+     * Gets the underlying client.
+     * 
+     * @property
+     */
+    public get client() : IApiClient {
+        return this._client;
+    }
+    
+    private getItems(result: IApiClientResult) : T[] {
+        var items: any;
+        
+        var selector = this._config.items;
+        if (typeof selector === "function") {
+            items = selector(result);
+        }
+        else {
+            var body = result.getContent<any>();
+            
+            if (!isEmptyString(<string>selector)) {
+                items = getPropertyValue(body, <string>selector);
+            }
+            else if (body instanceof Array) {
+                items = body;
+            }
+            else if (!TypeUtils.isNullOrUndefined(body)) {
+                items = body.items;
+                if (TypeUtils.isNullOrUndefined(items)) {
+                    items = body.data;
+                }
+                if (TypeUtils.isNullOrUndefined(items)) {
+                    items = body.results;
+                }
+            }
+        }
+        
+        if (TypeUtils.isNullOrUndefined(items)) {
+            return [];
+        }
+        
+        return Enumerable.asEnumerable(items).toArray();
+    }
+    
+    /**
+     * Gets if there are more pages to load or not.
+     * 
+     * @property
+     */
+    public get hasMore() : boolean {
+        var maxPages = this._config.maxPages;
+        if (!TypeUtils.isNullOrUndefined(maxPages) &&
+            this._pageCount >= maxPages) {
+            
+            return false;
+        }
+        
+        return this._hasMore;
+    }
+    
+    /** @inheritdoc */
+    public moveNext() : Promise<boolean> {
+        var me = this;
+        
+        if (me._items.length > 0) {
+            me._current = me._items.shift();
+            return Promise.resolve(true);
+        }
+        
+        return me.nextPage().then((page) => {
+            if (TypeUtils.isNullOrUndefined(page)) {
+                me._current = undefined;
+                return false;
+            }
+            
+            me._items = page.toArray();
+            
+            // pages can be empty
+            return me.moveNext();
+        });
+    }
+    
+    /**
+     * Loads the next page.
+     * 
+     * @return {Promise<Enumerable.IEnumerable<T>>} The promise with the items of the page
+     *                                               or (null) if there are no more pages.
+     *                                               It is rejected with the result
+     *                                               if the status code is not 2xx.
+     */
+    public nextPage() : Promise<Enumerable.IEnumerable<T>> {
+        var me = this;
+        
+        if (!me.hasMore) {
+            return Promise.resolve(null);
+        }
+        
+        var cfg = me._config;
+        
+        var strategy = cfg.strategy;
+        if (TypeUtils.isNullOrUndefined(strategy)) {
+            strategy = PaginationStrategy.Link;
+        }
+        
+        var pageSizeParam = cfg.pageSizeParam;
+        if (isEmptyString(pageSizeParam)) {
+            pageSizeParam = PaginationStrategy.Page === strategy ? "per_page" : "limit";
+        }
+        
+        var opts: IRequestOptions = {};
+        var requestOpts = getOwnProperties(cfg.request);
+        for (var p in requestOpts) {
+            opts[p] = requestOpts[p];
+        }
+        
+        var params: any = {};
+        var requestParams = getOwnProperties(opts.params);
+        for (var rp in requestParams) {
+            params[rp] = requestParams[rp];
+        }
+        
+        if (!TypeUtils.isNullOrUndefined(cfg.pageSize) &&
+            PaginationStrategy.Link !== strategy) {
+            
+            params[pageSizeParam] = cfg.pageSize;
+        }
+        
+        switch (strategy) {
+            case PaginationStrategy.Link:
+                if (!isEmptyString(me._nextUrl)) {
+                    // parameters are part of the link
+                    opts.url = me._nextUrl;
+                    params = undefined;
+                }
+                break;
+                
+            case PaginationStrategy.Page:
+                var startPage = cfg.startPage;
+                if (TypeUtils.isNullOrUndefined(startPage)) {
+                    startPage = 1;
+                }
+                
+                params[isEmptyString(cfg.pageParam) ? "page" : cfg.pageParam] = startPage + me._pageCount;
+                break;
+                
+            case PaginationStrategy.Offset:
+                params[isEmptyString(cfg.offsetParam) ? "offset" : cfg.offsetParam] = me._offset;
+                break;
+                
+            case PaginationStrategy.Cursor:
+                if (!TypeUtils.isNullOrUndefined(me._cursor)) {
+                    params[isEmptyString(cfg.cursorParam) ? "cursor" : cfg.cursorParam] = me._cursor;
+                }
+                break;
+                
+            default:
+                throw "Pagination strategy '" + strategy + "' is NOT supported!";
+        }
+        
+        opts.params = params;
+        
+        var method = cfg.method;
+        if (TypeUtils.isNullOrUndefined(method)) {
+            method = HttpMethod.GET;
+        }
+        
+        return me._client.request(method, opts).then((result) => {
+            if (result.code < 200 || result.code > 299) {
+                throw result;
+            }
+            
+            var items = me.getItems(result);
+            ++me._pageCount;
+            
+            var isLastPage = function() : boolean {
+                return items.length < 1 ||
+                       (!TypeUtils.isNullOrUndefined(cfg.pageSize) && items.length < cfg.pageSize);
+            };
+            
+            switch (strategy) {
+                case PaginationStrategy.Link:
+                    var next = parseLinkHeader(getHeaderValue(result.headers, "Link"))["next"];
+                    
+                    me._nextUrl = isEmptyString(next) ? null
+                                                      : resolveUrl(result.request.url, next);
+                    me._hasMore = !isEmptyString(me._nextUrl);
+                    break;
+                    
+                case PaginationStrategy.Page:
+                    me._hasMore = !isLastPage();
+                    break;
+                    
+                case PaginationStrategy.Offset:
+                    me._offset += items.length;
+                    me._hasMore = !isLastPage();
+                    break;
+                    
+                case PaginationStrategy.Cursor:
+                    var cursor = cfg.cursor;
+                    if (typeof cursor === "function") {
+                        me._cursor = cursor(result);
+                    }
+                    else {
+                        me._cursor = getPropertyValue(result.getContent<any>(),
+                                                      isEmptyString(<string>cursor) ? "next_cursor" : <string>cursor);
+                    }
+                    
+                    me._hasMore = !TypeUtils.isNullOrUndefined(me._cursor) &&
+                                  "" !== ("" + me._cursor).trim();
+                    break;
+            }
+            
+            return Enumerable.fromArray<T>(items);
+        });
+    }
+    
+    /**
+     * Gets the number of loaded pages.
+     * 
+     * @property
+     */
+    public get pageCount() : number {
+        return this._pageCount;
+    }
+    
+    /**
+     * Starts again with the first page.
+     * 
+     * @chainable
+     */
+    public reset() : Paginator<T> {
+        this._current = undefined;
+        this._cursor = undefined;
+        this._hasMore = true;
+        this._items = [];
+        this._nextUrl = null;
+        this._offset = 0;
+        this._pageCount = 0;
+        
+        return this;
+    }
+}
+
+/**
+ * List of formats for serializing arrays as URL parameters.
+ */
+export enum ParamArrayFormat {
+    /**
+     * a=1&a=2
+     */
+    Repeat,
+    
+    /**
+     * a[]=1&a[]=2
+     */
+    Brackets,
+    
+    /**
+     * a[0]=1&a[1]=2
+     */
+    Indices,
+    
+    /**
+     * a=1,2
+     */
+    Comma
+}
+
+/**
+ * List of formats for serializing objects as URL parameters.
+ */
+export enum ParamObjectFormat {
+    /**
+     * a[b]=c
+     */
+    Brackets,
+    
+    /**
+     * a.b=c
+     */
+    Dots,
+    
+    /**
+     * a={"b":"c"}
+     */
+    JSON
+}
+
+/**
+ * A rate limiter that uses token buckets.
+ */
+export class RateLimiter {
+    private _buckets: any = {};
+    private _config: IRateLimiterConfig;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IRateLimiterConfig} [config] The custom configuration.
+     */
+    constructor(config?: IRateLimiterConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._config = config;
+    }
+    
+    /**
+     * Takes a token for a host and waits if needed.
+     * 
+     * @param {String} host The host.
+     * 
+     * @return {Promise<any>} The promise, which is rejected if there is no token in time.
+     */
+    public acquire(host: string) : Promise<any> {
+        var me = this;
+        
+        var maxWait = this._config.maxWait;
+        if (TypeUtils.isNullOrUndefined(maxWait)) {
+            maxWait = 0;
+        }
+        
+        var startTime = Date.now();
+        
+        return new Promise<any>((resolve, reject) => {
+            var tryAcquire = function() {
+                var wait = me.tryAcquire(host);
+                if (wait < 1) {
+                    resolve();
+                    return;
+                }
+                
+                if (Date.now() - startTime + wait > maxWait) {
+                    reject("Rate limit for host '" + normalizeHost(host) + "' has been exceeded.");
+                    return;
+                }
+                
+                setTimeout(tryAcquire, wait);
+            };
+            
+            tryAcquire();
+        });
+    }
+    
+    /**
+     * Gets the maximum number of requests that can be sent at once.
+     * 
+     * @property
+     */
+    public get capacity() : number {
+        var capacity = this._config.capacity;
+        if (TypeUtils.isNullOrUndefined(capacity)) {
+            capacity = 10;
+        }
+        
+        return capacity;
+    }
+    
+    private getBucket(host: string) : any {
+        var key = false !== this._config.perHost ? normalizeHost(host) : "*";
+        
+        var bucket = this._buckets[key];
+        if (TypeUtils.isNullOrUndefined(bucket)) {
+            bucket = this._buckets[key] = {
+                lastRefill: Date.now(),
+                tokens: this.capacity,
+            };
+        }
+        
+        // refill
+        var now = Date.now();
+        bucket.tokens = Math.min(this.capacity,
+                                 bucket.tokens + (now - bucket.lastRefill) * this.tokensPerSecond / 1000);
+        bucket.lastRefill = now;
+        
+        return bucket;
+    }
+    
+    /**
+     * Returns the number of available tokens for a host.
+     * 
+     * @param {String} host The host.
+     * 
+     * @return {Number} The number of tokens.
+     */
+    public getTokens(host: string) : number {
+        return Math.floor(this.getBucket(host).tokens);
+    }
+    
+    /**
+     * Resets the buckets.
+     */
+    public reset() {
+        this._buckets = {};
+    }
+    
+    /**
+     * Gets the number of tokens that are added per second.
+     * 
+     * @property
+     */
+    public get tokensPerSecond() : number {
+        var tokens = this._config.tokensPerSecond;
+        if (TypeUtils.isNullOrUndefined(tokens)) {
+            tokens = 1;
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Tries to take a token for a host.
+     * 
+     * @param {String} host The host.
+     * 
+     * @return {Number} 0 if a token has been taken, otherwise the time in milliseconds until the next token is available.
+     */
+    public tryAcquire(host: string) : number {
+        var bucket = this.getBucket(host);
+        if (bucket.tokens >= 1) {
+            --bucket.tokens;
+            return 0;
+        }
+        
+        if (this.tokensPerSecond <= 0) {
+            return Number.POSITIVE_INFINITY;
+        }
+        
+        return Math.ceil((1 - bucket.tokens) * 1000 / this.tokensPerSecond);
+    }
+}
+
+/**
+ * List of modes for a 'RecordingTransport'.
+ */
+export enum RecordingMode {
+    /**
+     * Replay matching fixtures and record unknown requests.
+     */
+    ReplayOrRecord,
+    
+    /**
+     * Always send requests and record them.
+     */
+    Record,
+    
+    /**
+     * Only replay fixtures. Unknown requests fail.
+     */
+    Replay,
+}
+
+/**
+ * A transport that records requests and their responses as fixtures
+ * and replays them later.
+ */
+export class RecordingTransport implements ITransport {
+    private _config: IRecordingTransportConfig;
+    private _fixtures: ITransportFixture[];
+    private _loaded: Promise<any>;
+    private _used: ITransportFixture[] = [];
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IRecordingTransportConfig} config The configuration.
+     */
+    constructor(config: IRecordingTransportConfig) {
+        this._config = config;
+        this._fixtures = (config.fixtures || []).slice();
+    }
+    
+    /**
+     * Gets the list of current fixtures.
+     * 
+     * @property
+     */
+    public get fixtures() : ITransportFixture[] {
+        return this._fixtures.slice();
+    }
+    
+    private findFixture(opts: HTTP.HttpRequestOptions) : ITransportFixture {
+        var me = this;
+        
+        var method = methodToString(opts.method);
+        var matching = this._fixtures.filter((f) => {
+            if (methodToString(f.request.method) !== method ||
+                f.request.url !== opts.url) {
+                
+                return false;
+            }
+            
+            if (me._config.matchBody) {
+                return toFixtureBody(f.request.body) === toFixtureBody(opts.content);
+            }
+            
+            return true;
+        });
+        
+        if (matching.length < 1) {
+            return undefined;
+        }
+        
+        // in recorded order, and reuse the last one
+        var fixture = matching.filter((f) => me._used.indexOf(f) < 0)[0];
+        if (TypeUtils.isNullOrUndefined(fixture)) {
+            fixture = matching[matching.length - 1];
+        }
+        else {
+            this._used.push(fixture);
+        }
+        
+        return fixture;
+    }
+    
+    /**
+     * Gets the format of the fixture file.
+     * 
+     * @property
+     */
+    public get format() : FixtureFormat {
+        var format = this._config.format;
+        if (TypeUtils.isNullOrUndefined(format)) {
+            format = /\.ya?ml$/i.test(this._config.file || "") ? FixtureFormat.YAML : FixtureFormat.JSON;
+        }
+        
+        return format;
+    }
+    
+    /**
+     * Loads the fixture file (once).
+     * 
+     * @return {Promise<ITransportFixture[]>} The promise with the fixtures.
+     */
+    public load() : Promise<ITransportFixture[]> {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(this._loaded)) {
+            var file = this._config.file;
+            
+            if (isEmptyString(file) || !FileSystem.File.exists(file)) {
+                this._loaded = Promise.resolve();
+            }
+            else {
+                this._loaded = FileSystem.File.fromPath(file).readText().then((str) => {
+                    var fixtures : ITransportFixture[];
+                    if (!isEmptyString(str)) {
+                        fixtures = FixtureFormat.YAML === me.format ? Yaml.safeLoad(str)
+                                                                    : JSON.parse(str);
+                    }
+                    
+                    me._fixtures = (fixtures || []).concat(me._fixtures);
+                });
+            }
+        }
+        
+        return this._loaded.then(() => me.fixtures);
+    }
+    
+    /**
+     * Gets the mode.
+     * 
+     * @property
+     */
+    public get mode() : RecordingMode {
+        var mode = this._config.mode;
+        if (TypeUtils.isNullOrUndefined(mode)) {
+            mode = RecordingMode.ReplayOrRecord;
+        }
+        
+        return mode;
+    }
+    
+    /**
+     * Saves the fixtures to the file.
+     * 
+     * @return {Promise<any>} The promise.
+     */
+    public save() : Promise<any> {
+        if (isEmptyString(this._config.file)) {
+            return Promise.resolve();
+        }
+        
+        return FileSystem.File.fromPath(this._config.file)
+                              .writeText(this.toString());
+    }
+    
+    /** @inheritdoc */
+    public send(opts: HTTP.HttpRequestOptions, progress?: ITransportProgress) : Promise<HTTP.HttpResponse> {
+        var me = this;
+        
+        return this.load().then(() : any => {
+            if (RecordingMode.Record !== me.mode) {
+                var fixture = me.findFixture(opts);
+                if (!TypeUtils.isNullOrUndefined(fixture)) {
+                    return createHttpResponse(fixture.response.code, fixture.response.headers, fixture.response.body);
+                }
+                
+                if (RecordingMode.Replay === me.mode) {
+                    throw "No fixture for '" + methodToString(opts.method) + " " + opts.url + "'!";
+                }
+            }
+            
+            var transport = me._config.transport;
+            if (TypeUtils.isNullOrUndefined(transport)) {
+                transport = DefaultTransport;
+            }
+            
+            return transport.send(opts, progress).then((response) => {
+                var body = TypeUtils.isNullOrUndefined(response.content) ? null : response.content.toString();
+                
+                var newFixture : ITransportFixture = {
+                    request: {
+                        body: toFixtureBody(opts.content),
+                        method: methodToString(opts.method),
+                        url: opts.url,
+                    },
+                    response: {
+                        body: body,
+                        code: response.statusCode,
+                        headers: getOwnProperties(response.headers) || {},
+                    },
+                };
+                me._fixtures.push(newFixture);
+                me._used.push(newFixture);
+                
+                return me.save().then(() => {
+                    return createHttpResponse(newFixture.response.code, newFixture.response.headers, body);
+                });
+            });
+        });
+    }
+    
+    /**
+     * Returns the fixtures as JSON or YAML string.
+     * 
+     * @return {String} The fixtures as string.
+     */
+    public toString() : string {
+        if (FixtureFormat.YAML === this.format) {
+            return Yaml.safeDump(this._fixtures, { skipInvalid: true });
+        }
+        
+        return JSON.stringify(this._fixtures, null, 2);
+    }
+}
+
+class RequestAttempt implements IRequestAttempt {
+    private _code: number;
+    private _endTime: Date;
+    private _error: any;
+    private _number: number;
+    private _retryDelay: number;
+    private _startTime: Date;
+    
+    constructor(num: number) {
+        this._number = num;
+        this._startTime = new Date();
+    }
+    
+    public get code(): number {
+        return this._code;
+    }
+    
+    public get endTime(): Date {
+        return this._endTime;
+    }
+    
+    public get error(): any {
+        return this._error;
+    }
+    
+    public get number(): number {
+        return this._number;
+    }
+    
+    public get retryDelay(): number {
+        return this._retryDelay;
+    }
+    
+    public setResult(code: number, err?: any) {
+        this._code = code;
+        this._error = err;
+        this._endTime = new Date();
+    }
+    
+    public setRetryDelay(newValue: number) {
+        this._retryDelay = newValue;
+    }
+    
+    public get startTime(): Date {
+        return this._startTime;
+    }
+}
+
+/**
+ * Shares the response of a request with all identical requests,
+ * which are sent while it is in flight.
+ */
+export class RequestCoalescer {
+    private _config: IRequestCoalescerConfig;
+    private _listeners: { [key: string]: ITransportProgress[] } = {};
+    private _requests: { [key: string]: Promise<HTTP.HttpResponse> } = {};
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {IRequestCoalescerConfig} [config] The custom configuration.
+     */
+    constructor(config?: IRequestCoalescerConfig) {
+        if (TypeUtils.isNullOrUndefined(config)) {
+            config = {};
+        }
+        
+        this._config = config;
+    }
+    
+    /**
+     * Creates the key of a request.
+     * 
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * 
+     * @return {String} The key or (null) if the request cannot be shared.
+     */
+    public createKey(opts: HTTP.HttpRequestOptions) : string {
+        var config = this._config;
+        
+        var method = ("" + opts.method).toUpperCase().trim();
+        var methods = (config.methods || ["GET", "HEAD"]).map((m) => m.toUpperCase().trim());
+        if (methods.indexOf(method) < 0) {
+            return null;
+        }
+        
+        var content: any = opts.content;
+        if (!TypeUtils.isNullOrUndefined(content) && typeof content !== "string") {
+            return null;  // cannot compare binary or form data
+        }
+        
+        var key = method + " " + opts.url;
+        
+        var headerNames = (config.headers || ["Accept", "Accept-Language", "Authorization", "Content-Type", "Cookie", "Range"]).map((h) => h.toLowerCase().trim());
+        headerNames.sort().forEach((h) => {
+            var value = getHeaderValue(opts.headers, h);
+            if (!TypeUtils.isNullOrUndefined(value)) {
+                key += "\n" + h + ": " + value;
+            }
+        });
+        
+        if (!TypeUtils.isNullOrUndefined(content)) {
+            key += "\n\n" + content;
+        }
+        
+        return key;
+    }
+    
+    /**
+     * Gets the number of requests, which are currently in flight.
+     * 
+     * @property
+     */
+    public get inFlightCount() : number {
+        return Object.keys(this._requests).length;
+    }
+    
+    /**
+     * Sends a request or returns the response of an identical request, which is in flight.
+     * 
+     * @param {HTTP.HttpRequestOptions} opts The request options.
+     * @param {ITransport} transport The transport to use.
+     * @param {ITransportProgress} [progress] The optional object that receives the progress.
+     * 
+     * @return {Promise<HTTP.HttpResponse>} The promise with the response.
+     */
+    public send(opts: HTTP.HttpRequestOptions, transport: ITransport,
+                progress?: ITransportProgress) : Promise<HTTP.HttpResponse> {
+        var me = this;
+        
+        var key = me.createKey(opts);
+        if (TypeUtils.isNullOrUndefined(key)) {
+            return transport.send(opts, progress);
+        }
+        
+        var inFlight = me._requests[key];
+        if (!TypeUtils.isNullOrUndefined(inFlight)) {
+            if (!TypeUtils.isNullOrUndefined(progress)) {
+                me._listeners[key].push(progress);
+            }
+            
+            return inFlight;
+        }
+        
+        var listeners: ITransportProgress[] = [];
+        if (!TypeUtils.isNullOrUndefined(progress)) {
+            listeners.push(progress);
+        }
+        
+        var removeRequest = () => {
+            if (me._requests[key] === inFlight) {
+                delete me._listeners[key];
+                delete me._requests[key];
+            }
+        };
+        
+        // report to all requests that share the response
+        var sharedProgress: ITransportProgress = {
+            download: (loaded, total) => {
+                listeners.forEach((l) => l.download(loaded, total));
+            },
+            upload: (loaded, total) => {
+                listeners.forEach((l) => l.upload(loaded, total));
+            },
+        };
+        
+        inFlight = Promise.resolve().then(() => {
+            return transport.send(opts, sharedProgress);
+        }).then((response) => {
+            removeRequest();
+            return response;
+        }, (err) => {
+            removeRequest();
+            throw err;
+        });
+        
+        me._listeners[key] = listeners;
+        me._requests[key] = inFlight;
+        
+        return inFlight;
+    }
+    
+    /**
+     * Wraps a transport, so its requests are coalesced.
+     * 
+     * @param {ITransport} transport The transport to wrap.
+     * 
+     * @return {ITransport} The wrapping transport.
+     */
+    public wrap(transport: ITransport) : ITransport {
+        var me = this;
+        
+        return {
+            send: (opts, progress) => me.send(opts, transport, progress),
+        };
+    }
+}
+
+/**
+ * A table of named routes.
+ */
+export class RouteTable {
+    private _routes: { [name: string]: { method: string, template: RouteTemplate } } = {};
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {Object} [routes] The initial routes, like { 'users.show': '/users/{id:int}/posts/{slug?}' }.
+     *                          A value can be a template or an 'IRouteDefinition' object.
+     */
+    constructor(routes?: { [name: string]: string | IRouteDefinition }) {
+        var allRoutes = getOwnProperties(routes);
+        for (var r in allRoutes) {
+            this.add(r, allRoutes[r]);
+        }
+    }
+    
+    /**
+     * Adds a route.
+     * 
+     * @chainable
+     * 
+     * @param {String} name The name of the route, like 'users.show'.
+     * @param {String|IRouteDefinition} route The template or the definition of the route.
+     */
+    public add(name: string, route: string | IRouteDefinition) : RouteTable {
+        if (isEmptyString(name)) {
+            throw "No route name defined!";
+        }
+        
+        if (this.has(name)) {
+            throw "Route '" + name + "' is ALREADY defined!";
+        }
+        
+        var definition: IRouteDefinition = typeof route === "string" ? { route: route } : route;
+        if (TypeUtils.isNullOrUndefined(definition) || TypeUtils.isNullOrUndefined(definition.route)) {
+            throw "No template defined for route '" + name + "'!";
+        }
+        
+        this._routes[name] = {
+            method: methodToString(definition.method),
+            template: new RouteTemplate(definition.route),
+        };
+        
+        return this;
+    }
+    
+    /**
+     * Returns the HTTP method of a route.
+     * 
+     * @param {String} name The name of the route.
+     * 
+     * @return {String} The HTTP method.
+     */
+    public getMethod(name: string) : string {
+        return this.getRoute(name).method;
+    }
+    
+    private getRoute(name: string) : { method: string, template: RouteTemplate } {
+        if (!this.has(name)) {
+            throw "Route '" + name + "' is NOT defined!";
+        }
+        
+        return this._routes[name];
+    }
+    
+    /**
+     * Returns the template of a route.
+     * 
+     * @param {String} name The name of the route.
+     * 
+     * @return {RouteTemplate} The template.
+     */
+    public getTemplate(name: string) : RouteTemplate {
+        return this.getRoute(name).template;
+    }
+    
+    /**
+     * Checks if a route exists.
+     * 
+     * @param {String} name The name of the route.
+     * 
+     * @return {Boolean} Route exists or not.
+     */
+    public has(name: string) : boolean {
+        return this._routes.hasOwnProperty(name);
+    }
+    
+    /**
+     * Gets the names of all routes.
+     * 
+     * @property
+     */
+    public get names() : string[] {
+        return Object.keys(this._routes);
+    }
+    
+    /**
+     * Removes a route.
+     * 
+     * @param {String} name The name of the route.
+     * 
+     * @return {Boolean} Route has been removed or not.
+     */
+    public remove(name: string) : boolean {
+        if (!this.has(name)) {
+            return false;
+        }
+        
+        delete this._routes[name];
+        return true;
+    }
+    
+    /**
+     * Returns the (encoded) path of a route.
+     * 
+     * @param {String} name The name of the route.
+     * @param {any} [params] The parameters for the route.
+     * 
+     * @return {String} The path.
+     */
+    public resolve(name: string, params?: any) : string {
+        return this.getTemplate(name)
+                   .expand(params);
+    }
+}
+
+/**
+ * A route template with typed placeholders, like '/users/{id:int}/posts/{slug?}'.
+ * 
+ * Supported constraints: 'alpha', 'bool', 'guid', 'int' and 'number'
+ * 
+ * An optional parameter must be the last part of its segment, like '/files/{name}.{ext?}'.
+ * If it is missing, the text in front of it is omitted, too ('/files/readme'),
+ * and a segment is omitted, if it becomes empty.
+ */
+export class RouteTemplate {
+    private _parameters: IRouteParameter[] = [];
+    private _segments: (string | IRouteParameter)[][] = [];
+    private _template: string;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {String} template The template.
+     */
+    constructor(template: string) {
+        var me = this;
+        
+        me._template = template;
+        
+        template.split("/").forEach((segment) => {
+            var parts: (string | IRouteParameter)[] = [];
+            
+            var lastIndex = 0;
+            segment.replace(/{([^}]*)}/g, function(match, expr, offset) : string {
+                var exprMatch = /^\s*([^\s\:\?]+)\s*(\?)?\s*(\:\s*([^\s\?]+))?\s*(\?)?\s*$/.exec(expr);
+                if (null === exprMatch) {
+                    throw "Invalid route placeholder '" + match + "'!";
+                }
+                
+                var param: IRouteParameter = {
+                    constraint: TypeUtils.isNullOrUndefined(exprMatch[4]) ? null : exprMatch[4].toLowerCase(),
+                    isOptional: "?" === exprMatch[2] || "?" === exprMatch[5],
+                    name: exprMatch[1],
+                };
+                
+                if (null !== param.constraint &&
+                    !RouteConstraints.hasOwnProperty(param.constraint)) {
+                    throw "Unknown constraint '" + param.constraint + "' for route parameter '" + param.name + "'!";
+                }
+                
+                if (me.hasParameter(param.name)) {
+                    throw "Route parameter '" + param.name + "' is ALREADY defined!";
+                }
+                
+                if (offset > lastIndex) {
+                    parts.push(segment.substring(lastIndex, offset));
+                }
+                parts.push(param);
+                lastIndex = offset + match.length;
+                
+                me._parameters.push(param);
+                return match;
+            });
+            
+            if (lastIndex < segment.length) {
+                parts.push(segment.substring(lastIndex));
+            }
+            
+            parts.forEach((part, i) => {
+                if (typeof part !== "string" &&
+                    part.isOptional && i < parts.length - 1) {
+                    
+                    throw "Optional route parameter '" + part.name + "' must be the last part of segment '" + segment + "'!";
+                }
+            });
+            
+            me._segments.push(parts);
+        });
+    }
+    
+    /**
+     * Returns the (encoded) path for parameters.
+     * Parameter names are case insensitive.
+     * 
+     * @param {any} [params] The parameters.
+     * 
+     * @return {String} The path.
+     */
+    public expand(params?: any) : string {
+        var values = {};
+        {
+            var allParams = getOwnProperties(params);
+            for (var p in allParams) {
+                values[p.toLowerCase().trim()] = allParams[p];
+            }
+        }
+        
+        var segments: string[] = [];
+        this._segments.forEach((parts) => {
+            var segmentParts: string[] = [];
+            var hasOmittedParams = false;
+            
+            parts.forEach((part, i) => {
+                if (typeof part === "string") {
+                    segmentParts.push(encodeURI(part));
+                    return;
+                }
+                
+                var funcDepth = -1;
+                var value = values[part.name.toLowerCase()];
+                while (typeof value === "function") {
+                    value = value(part.name, params, ++funcDepth);
+                }
+                
+                if (TypeUtils.isNullOrUndefined(value) || "" === value) {
+                    if (part.isOptional) {
+                        hasOmittedParams = true;
+                        
+                        // the text in front belongs to the parameter
+                        if (i > 0 && typeof parts[i - 1] === "string") {
+                            segmentParts.pop();
+                        }
+                        return;
+                    }
+                    
+                    throw "Route parameter '" + part.name + "' is NOT defined!";
+                }
+                
+                if (typeof value === "object") {
+                    value = JSON.stringify(getOwnProperties(value));
+                }
+                value = "" + value;
+                
+                if (null !== part.constraint &&
+                    !RouteConstraints[part.constraint].test(value)) {
+                    throw "Route parameter '" + part.name + "' is NO valid '" + part.constraint + "' value!";
+                }
+                
+                segmentParts.push(encodeURIComponent(value));
+            });
+            
+            var segment = segmentParts.join("");
+            if (hasOmittedParams && "" === segment) {
+                return;  // optional segment
+            }
+            
+            segments.push(segment);
+        });
+        
+        return segments.join("/");
+    }
+    
+    /**
+     * Checks if a parameter exists. The name is case insensitive.
+     * 
+     * @param {String} name The name of the parameter.
+     * 
+     * @return {Boolean} Parameter exists or not.
+     */
+    public hasParameter(name: string) : boolean {
+        name = ("" + name).toLowerCase().trim();
+        
+        return this._parameters.some((p) => p.name.toLowerCase() === name);
+    }
+    
+    /**
+     * Gets the list of parameters.
+     * 
+     * @property
+     */
+    public get parameters() : IRouteParameter[] {
+        return this._parameters.map((p) => {
+            return {
+                constraint: p.constraint,
+                isOptional: p.isOptional,
+                name: p.name,
+            };
+        });
+    }
+    
+    /**
+     * Gets the template.
+     * 
+     * @property
+     */
+    public get template() : string {
+        return this._template;
+    }
+}
+
+/**
+ * A cache store that saves its entries in a SQLite database.
+ */
+export class SQLiteCacheStore implements IHttpCacheStore {
+    private _db: Promise<any>;
+    private _dbName: string;
+    private _table: string;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-cache.sqlite'
+     * @param {String} [table] The custom name of the table. Default: 'http_cache'
+     */
+    constructor(dbName?: string, table?: string) {
+        if (isEmptyString(dbName)) {
+            dbName = "apiclient-cache.sqlite";
+        }
+        
+        if (isEmptyString(table)) {
+            table = "http_cache";
+        }
+        
+        this._dbName = dbName;
+        this._table = table;
+    }
+    
+    /** @inheritdoc */
+    public clear() : Promise<any> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.execSQL("DELETE FROM " + me._table);
+        });
+    }
+    
+    /**
+     * Gets the name of the database.
+     * 
+     * @property
+     */
+    public get dbName() : string {
+        return this._dbName;
+    }
+    
+    /** @inheritdoc */
+    public get(key: string) : Promise<IHttpCacheEntry> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.get("SELECT value FROM " + me._table + " WHERE key = ?", [ key ]);
+        }).then((row) => {
+            if (TypeUtils.isNullOrUndefined(row) || isEmptyString(row[0])) {
+                return null;
+            }
+            
+            return JSON.parse(row[0]);
+        });
+    }
+    
+    private open() : Promise<any> {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(this._db)) {
+            this._db = openSQLiteTable(this._dbName, this._table);
+            
+            this._db.then(null, () => {
+                // try again next time
+                me._db = undefined;
+            });
+        }
+        
+        return this._db;
+    }
+    
+    /** @inheritdoc */
+    public remove(key: string) : Promise<any> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.execSQL("DELETE FROM " + me._table + " WHERE key = ?", [ key ]);
+        });
+    }
+    
+    /** @inheritdoc */
+    public set(key: string, entry: IHttpCacheEntry) : Promise<any> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.execSQL("INSERT OR REPLACE INTO " + me._table + " (key, value) VALUES (?, ?)",
+                              [ key, JSON.stringify(entry) ]);
+        });
+    }
+    
+    /**
+     * Gets the name of the table.
+     * 
+     * @property
+     */
+    public get table() : string {
+        return this._table;
+    }
+}
+
+/**
+ * A store for a cookie jar that saves its cookies in a SQLite database.
+ */
+export class SQLiteCookieStore implements ICookieStore {
+    private _db: Promise<any>;
+    private _dbName: string;
+    private _key: string;
+    private _table: string;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-cookies.sqlite'
+     * @param {String} [key] The custom key of the cookie jar. Default: 'default'
+     * @param {String} [table] The custom name of the table. Default: 'cookies'
+     */
+    constructor(dbName?: string, key?: string, table?: string) {
+        if (isEmptyString(dbName)) {
+            dbName = "apiclient-cookies.sqlite";
+        }
+        
+        if (isEmptyString(key)) {
+            key = "default";
+        }
+        
+        if (isEmptyString(table)) {
+            table = "cookies";
+        }
+        
+        this._dbName = dbName;
+        this._key = key;
+        this._table = table;
+    }
+    
+    /**
+     * Gets the name of the database.
+     * 
+     * @property
+     */
+    public get dbName() : string {
+        return this._dbName;
+    }
+    
+    /**
+     * Gets the key of the cookie jar.
+     * 
+     * @property
+     */
+    public get key() : string {
+        return this._key;
+    }
+    
+    /** @inheritdoc */
+    public load() : Promise<ICookie[]> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.get("SELECT value FROM " + me._table + " WHERE key = ?", [ me._key ]);
+        }).then((row) => {
+            if (TypeUtils.isNullOrUndefined(row) || isEmptyString(row[0])) {
+                return [];
+            }
+            
+            return JSON.parse(row[0]);
+        });
+    }
+    
+    private open() : Promise<any> {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(this._db)) {
+            this._db = openSQLiteTable(this._dbName, this._table);
+            
+            this._db.then(null, () => {
+                // try again next time
+                me._db = undefined;
+            });
+        }
+        
+        return this._db;
+    }
+    
+    /** @inheritdoc */
+    public save(cookies: ICookie[]) : Promise<any> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.execSQL("INSERT OR REPLACE INTO " + me._table + " (key, value) VALUES (?, ?)",
+                              [ me._key, JSON.stringify(cookies) ]);
+        });
+    }
+    
+    /**
+     * Gets the name of the table.
+     * 
+     * @property
+     */
+    public get table() : string {
+        return this._table;
+    }
+}
+
+/**
+ * A store for an offline queue that saves its items in a SQLite database.
+ */
+export class SQLiteQueueStore implements IOfflineQueueStore {
+    private _db: Promise<any>;
+    private _dbName: string;
+    private _key: string;
+    private _table: string;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {String} [dbName] The custom name of the database. Default: 'apiclient-queue.sqlite'
+     * @param {String} [key] The custom key of the queue. Default: 'default'
+     * @param {String} [table] The custom name of the table. Default: 'offline_queue'
+     */
+    constructor(dbName?: string, key?: string, table?: string) {
+        if (isEmptyString(dbName)) {
+            dbName = "apiclient-queue.sqlite";
+        }
+        
+        if (isEmptyString(key)) {
+            key = "default";
+        }
+        
+        if (isEmptyString(table)) {
+            table = "offline_queue";
+        }
+        
+        this._dbName = dbName;
+        this._key = key;
+        this._table = table;
+    }
+    
+    /**
+     * Gets the name of the database.
+     * 
+     * @property
+     */
+    public get dbName() : string {
+        return this._dbName;
+    }
+    
+    /**
+     * Gets the key of the queue.
+     * 
+     * @property
+     */
+    public get key() : string {
+        return this._key;
+    }
+    
+    /** @inheritdoc */
+    public load() : Promise<IOfflineQueueItem[]> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.get("SELECT value FROM " + me._table + " WHERE key = ?", [ me._key ]);
+        }).then((row) => {
+            if (TypeUtils.isNullOrUndefined(row) || isEmptyString(row[0])) {
+                return [];
+            }
+            
+            return JSON.parse(row[0]);
+        });
+    }
+    
+    private open() : Promise<any> {
+        var me = this;
+        
+        if (TypeUtils.isNullOrUndefined(this._db)) {
+            this._db = openSQLiteTable(this._dbName, this._table);
+            
+            this._db.then(null, () => {
+                // try again next time
+                me._db = undefined;
+            });
+        }
+        
+        return this._db;
+    }
+    
+    /** @inheritdoc */
+    public save(items: IOfflineQueueItem[]) : Promise<any> {
+        var me = this;
+        
+        return this.open().then((db) => {
+            return db.execSQL("INSERT OR REPLACE INTO " + me._table + " (key, value) VALUES (?, ?)",
+                              [ me._key, JSON.stringify(items) ]);
+        });
+    }
+    
+    /**
+     * Gets the name of the table.
+     * 
+     * @property
+     */
+    public get table() : string {
+        return this._table;
+    }
+}
+
+/**
+ * An error that describes a content, which does not match a JSON schema.
+ */
+export class SchemaValidationError {
+    private _content: any;
+    private _errors: ISchemaError[];
+    private _schema: any;
+    
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {ISchemaError[]} errors The list of violations.
+     * @param {any} content The validated content.
+     * @param {any} schema The schema.
+     */
+    constructor(errors: ISchemaError[], content: any, schema: any) {
+        this._errors = errors;
+        this._content = content;
+        this._schema = schema;
+    }
+    
+    /**
+     * Gets the validated content.
+     * 
+     * @property
+     */
+    public get content() : any {
+        return this._content;
+    }
+    
+    /**
+     * Gets the list of violations.
+     * 
+     * @property
+     */
+    public get errors() : ISchemaError[] {
+        return this._errors;
+    }
+    
+    /**
+     * Gets the error messages with their paths.
+     * 
+     * @property
+     */
+    public get message() : string {
+        return this.errors.map((e) => "#" + e.path + ": " + e.message)
+                          .join("; ");
+    }
+    
+    /**
+     * Gets the report with one violation per line, like
+     * 
+     * #/items/0/name: must be of type 'string', but is 'number' (#/properties/items/items/properties/name/type)
+     * 
+     * @property
+     */
+    public get report() : string {
+        return this.errors.map((e) => "#" + e.path + ": " + e.message + " (" + e.schemaPath + ")")
+                          .join("\n");
+    }
+    
+    /**
+     * Gets the schema.
+     * 
+     * @property
+     */
+    public get schema() : any {
+        return this._schema;
+    }
+    
+    /** @inheritdoc */
+    public toString() : string {
+        return this.report;
+    }
+}
+
+/**
+ * Twitter OAuth authorizer.
+ */
+export class TwitterOAuth extends OAuth1Authorizer {
+    /**
+     * Initializes a new instance of that class.
+     * 
+     * @param {String} consumerKey The consumer key.
+     * @param {String} consumerSecret The consumer secret.
+     * @param {String} token The token.
+     * @param {String} tokenSecret The token secret.
+     */
+    constructor(consumerKey: string, consumerSecret: string,
+                token: string, tokenSecret: string) {
+        
+        super(consumerKey, consumerSecret,
+              token, tokenSecret);
+    }
+}
+
+// the toolbox imports this module,
+// so it is required on demand
+const AppSettingsStorage : IValueStorage = {
+    getValue: function(key: string) : any {
+        return require("../index").getValue(key);
+    },
+    
+    removeValue: function(key: string) {
+        require("../index").removeValue(key);
+    },
+    
+    setValue: function(v: any, key: string) {
+        require("../index").setValue(v, key);
+    },
+};
+
+function bytesToBase64(data: any) : string {
+    if (data instanceof ArrayBuffer) {
+        data = new Uint8Array(data);
+    }
+    
+    if (data instanceof Uint8Array || Array.isArray(data)) {
+        var binStr = "";
+        for (var i = 0; i < data.length; i++) {
+            binStr += String.fromCharCode(data[i] & 0xFF);
+        }
+        
+        return encodeBase64(binStr);
+    }
+    
+    // native data
+    if (!TypeUtils.isNullOrUndefined(Application.android)) {
+        // byte[]
+        return android.util.Base64.encodeToString(data, android.util.Base64.NO_WRAP);
+    }
+    
+    // NSData
+    return (<NSData>data).base64EncodedStringWithOptions(0);
+}
+
+const BuildInDecoders : IContentDecoder[] = [
+    {
+        decoder: (ctx) => ctx.result.getJSON<any>(),
+        mime: /^(application\/json|[^\/]+\/[^\/]+\+json)$/,
+    },
+    {
+        decoder: (ctx) => ctx.result.getXml(),
+        mime: /^(application\/xml|text\/xml|[^\/]+\/[^\/]+\+xml)$/,
+    },
+    {
+        decoder: (ctx) => ctx.result.getYaml<any>(),
+        mime: /^(application|text)\/(x-)?yaml$/,
+    },
+    {
+        decoder: (ctx) => ctx.result.getMarkdown(),
+        mime: /^text\/(x-)?markdown$/,
+    },
+    {
+        decoder: (ctx) => ctx.result.getNdjson<any>(),
+        mime: /^application\/(x-)?ndjson$/,
+    },
+    {
+        decoder: (ctx) => ctx.result.getEvents(),
+        mime: /^text\/event-stream$/,
+    },
+];
+
+const CredentialHeaders = ["authorization", "cookie", "proxy-authorization"];
+
+const DefaultMaxReplays = 10;
+
+const DefaultTransport : ITransport = new HttpTransport();
+
+const GlobalDecoders : IContentDecoder[] = [];
+
+const HashAlgorithms : any = {
+    md5: { hash: MD5, hmac: HmacMD5 },
+    sha1: { hash: SHA1, hmac: HmacSHA1 },
+    sha256: { hash: SHA256, hmac: HmacSHA256 },
+    sha512: { hash: SHA512, hmac: HmacSHA512 },
+};
+
+const OfflineQueues : OfflineQueue[] = [];
+
+const RouteConstraints : any = {
+    "alpha": /^[a-z]+$/i,
+    "bool": /^(true|false)$/i,
+    "guid": /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    "int": /^-?[0-9]+$/,
+    "number": /^-?([0-9]+(\.[0-9]*)?|\.[0-9]+)([eE][-+]?[0-9]+)?$/,
+};
+
+const SchemaFormats : any = {
+    "date": /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    "date-time": /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[Tt ]([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)$/,
+    "email": /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    "hostname": /^(?=.{1,253}\.?$)[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\.?$/,
+    "ipv4": /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+    "ipv6": function(str: string) : boolean {
+        var halves = str.split("::");
+        if (halves.length > 2) {
+            return false;
+        }
+        
+        var groups: string[] = [];
+        for (var i = 0; i < halves.length; i++) {
+            if ("" !== halves[i]) {
+                groups = groups.concat(halves[i].split(":"));
+            }
+        }
+        
+        var groupCount = groups.length;
+        if (groupCount > 0 && groups[groupCount - 1].indexOf(".") > -1) {
+            // embedded IPv4 address
+            if (!SchemaFormats["ipv4"].test(groups.pop())) {
+                return false;
+            }
+            
+            ++groupCount;
+        }
+        
+        if (!groups.every((g) => /^[0-9A-Fa-f]{1,4}$/.test(g))) {
+            return false;
+        }
+        
+        return 2 === halves.length ? groupCount < 8 : 8 === groupCount;
+    },
+    "json-pointer": /^(\/([^~\/]|~[01])*)*$/,
+    "regex": function(str: string) : boolean {
+        try {
+            new RegExp(str);
+            return true;
+        }
+        catch (e) {
+            return false;
+        }
+    },
+    "time": /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)?$/,
+    "uri": /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/,
+    "uuid": /^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$/,
+};
+
+function appendToFile(path: string, data: any) {
+    if (typeof data === "string") {
+        // content of mocked or recorded responses
+        var file = FileSystem.File.fromPath(path);
+        file.writeTextSync((FileSystem.File.exists(path) ? file.readTextSync() : "") + data);
+        
+        return;
+    }
+    
+    if (!TypeUtils.isNullOrUndefined(Application.android)) {
+        var stream = new java.io.FileOutputStream(path, true);
+        try {
+            if (data instanceof java.io.ByteArrayOutputStream) {
+                data.writeTo(stream);
+            }
+            else {
+                // byte[]
+                stream.write(data);
+            }
+        }
+        finally {
+            stream.close();
+        }
+        
+        return;
+    }
+    
+    // NSData
+    var fileManager = NSFileManager.defaultManager;
+    if (!fileManager.fileExistsAtPath(path)) {
+        fileManager.createFileAtPathContentsAttributes(path, null, null);
+    }
+    
+    var handle = NSFileHandle.fileHandleForWritingAtPath(path);
+    try {
+        handle.seekToEndOfFile();
+        handle.writeData(data);
+    }
+    finally {
+        handle.closeFile();
+    }
+}
+
+function copyCookie(cookie: ICookie) : ICookie {
+    var copy: any = {};
+    for (var p in cookie) {
+        copy[p] = cookie[p];
+    }
+    
+    return copy;
+}
+
+function createCookieTransport(transport: ITransport, jar: CookieJar) : ITransport {
+    return {
+        send: (opts, progress) => {
+            return jar.loaded.then(() => {
+                var sendOpts = opts;
+                
+                var cookieHeader = jar.getCookieHeader(opts.url);
+                if (!TypeUtils.isNullOrUndefined(cookieHeader)) {
+                    // work on copies, so the options of the caller
+                    // only contain its own cookies, e.g. for retries and replays
+                    sendOpts = getOwnProperties(opts);
+                    sendOpts.headers = getOwnProperties(opts.headers) || {};
+                    
+                    var existingHeader: string;
+                    for (var h in sendOpts.headers) {
+                        if ("cookie" === h.toLowerCase().trim()) {
+                            existingHeader = sendOpts.headers[h];
+                            delete sendOpts.headers[h];
+                        }
+                    }
+                    
+                    if (!isEmptyString(existingHeader)) {
+                        cookieHeader = existingHeader + "; " + cookieHeader;
+                    }
+                    
+                    sendOpts.headers["Cookie"] = cookieHeader;
+                }
+                
+                return transport.send(sendOpts, progress);
+            }).then((response) => {
+                jar.setCookies(response.headers, opts.url);
+                
+                return response;
+            });
+        },
+    };
+}
+
+function createGuardedTransport(transport: ITransport,
+                                breaker: CircuitBreaker, limiter: RateLimiter) : ITransport {
+    return {
+        send: (opts, progress) => {
+            var host = getHost(opts.url);
+            
+            var checkCircuit = function() {
+                if (!TypeUtils.isNullOrUndefined(breaker) &&
+                    !breaker.allowRequest(host)) {
+                    
+                    throw new LocalRejection("Circuit for host '" + host + "' is open.");
+                }
+            };
+            
+            return Promise.resolve().then(() => {
+                if (TypeUtils.isNullOrUndefined(limiter)) {
+                    return;
+                }
+                
+                // do not wait for a token, if circuit is open
+                if (!TypeUtils.isNullOrUndefined(breaker) &&
+                    CircuitState.Open === breaker.getState(host) &&
+                    breaker.getRetryAfter(host) > 0) {
+                    
+                    return;
+                }
+                
+                return limiter.acquire(host).then(null, (err) => {
+                    throw new LocalRejection(err);
+                });
+            }).then(() => {
+                checkCircuit();
+                
+                return transport.send(opts, progress).then((response) => {
+                    if (!TypeUtils.isNullOrUndefined(breaker)) {
+                        if (breaker.isFailure(response.statusCode)) {
+                            breaker.onFailure(host);
+                        }
+                        else {
+                            breaker.onSuccess(host);
+                        }
+                    }
+                    
+                    return response;
+                }, (err) => {
+                    if (!TypeUtils.isNullOrUndefined(breaker)) {
+                        if (breaker.isFailure(undefined, err)) {
+                            breaker.onFailure(host);
+                        }
+                        else {
+                            breaker.onSuccess(host);
+                        }
+                    }
+                    
+                    throw err;
+                });
+            });
+        },
+    };
+}
+
+function createHttpResponse(code: number, headers: any, body: string) : HTTP.HttpResponse {
+    return {
+        content: {
+            raw: body,
+            toFile: (destFile?: string) => {
+                if (isEmptyString(destFile)) {
+                    destFile = FileSystem.path.join(FileSystem.knownFolders.temp().path,
+                                                    "apiclient-" + Date.now());
+                }
+                
+                var file = FileSystem.File.fromPath(destFile);
+                file.writeTextSync(body);
+                
+                return file;
+            },
+            toImage: () => Promise.reject("Content cannot be converted to an image!"),
+            toJSON: () => isEmptyString(body) ? null : JSON.parse(body),
+            toString: () => body,
+        },
+        headers: getOwnProperties(headers) || {},
+        statusCode: code,
+    };
+}
+
+function createJsonRpcError(result: IApiClientResult, response: IJsonRpcResponse) : IApiClientError {
+    return new ApiClientError(<ApiClient>result.client, <HttpRequest>result.request,
+                              new JsonRpcError(response.error, response.id), ApiClientErrorContext.InvalidResult,
+                              result.tag);
+}
+
+function createJsonRpcRequest(method: string, params?: any, id?: any) : any {
+    var req: any = {
+        jsonrpc: "2.0",
+        method: method,
+    };
+    
+    if (!TypeUtils.isNullOrUndefined(params)) {
+        req.params = params;
+    }
+    
+    // no ID => notification
+    if (!TypeUtils.isNullOrUndefined(id)) {
+        req.id = id;
+    }
+    
+    return req;
+}
+
+function createMultipartBody(content: any, boundary: string) : string {
+    var CRLF = "\r\n";
+    
+    var escapeValue = function(val: string) : string {
+        return ("" + val).replace(/"/g, "%22")
+                         .replace(/\r/g, "%0D")
+                         .replace(/\n/g, "%0A");
+    };
+    
+    var body = "";
+    
+    var appendPart = function(name: string, part: any) {
+        if (undefined === part) {
+            return;
+        }
+        
+        var p : IMultipartPart;
+        if (!TypeUtils.isNullOrUndefined(part) && typeof part === "object" &&
+            !(part instanceof FileSystem.File) && !isBitmap(part) && !isByteArray(part) &&
+            part.hasOwnProperty("content")) {
+            
+            p = part;
+        }
+        else {
+            p = {
+                content: part,
+            };
+        }
+        
+        var partContent = p.content;
+        var fileName = p.fileName;
+        var contentType = p.contentType;
+        var isBinary = (partContent instanceof FileSystem.File) || isBitmap(partContent) || isByteArray(partContent);
+        
+        if (isBinary && true !== p.base64) {
+            // the HTTP client can only send strings
+            throw "Binary part '" + name + "' cannot be sent as raw data. Set 'base64' to send it base64 encoded.";
+        }
+        
+        var data : string;
+        if (partContent instanceof FileSystem.File) {
+            var file = <FileSystem.File>partContent;
+            
+            var readError : any;
+            var nativeData = file.readSync((e) => readError = e);
+            if (!TypeUtils.isNullOrUndefined(readError)) {
+                throw readError;
+            }
+            
+            data = bytesToBase64(nativeData);
+            
+            if (TypeUtils.isNullOrUndefined(fileName)) {
+                fileName = file.name;
+            }
+            
+            if (TypeUtils.isNullOrUndefined(contentType)) {
+                contentType = getMimeType(file.extension);
+            }
+        }
+        else if (isBitmap(partContent)) {
+            var bmpData = (<BitmapFactory.IBitmap>partContent).toObject();
+            
+            data = bmpData.base64;
+            
+            if (TypeUtils.isNullOrUndefined(contentType)) {
+                contentType = bmpData.mime;
+            }
+            
+            if (TypeUtils.isNullOrUndefined(fileName)) {
+                fileName = name + ("image/jpeg" === bmpData.mime ? ".jpg" : ".png");
+            }
+        }
+        else if (isByteArray(partContent)) {
+            data = bytesToBase64(partContent);
+        }
+        else {
+            if (TypeUtils.isNullOrUndefined(partContent)) {
+                data = "";
+            }
+            else if (typeof partContent === "object") {
+                data = JSON.stringify(partContent);
+                
+                if (TypeUtils.isNullOrUndefined(contentType)) {
+                    contentType = "application/json; charset=utf-8";
+                }
+            }
+            else {
+                data = "" + partContent;
+            }
+        }
+        
+        if (isBinary && TypeUtils.isNullOrUndefined(contentType)) {
+            contentType = "application/octet-stream";
+        }
+        
+        body += "--" + boundary + CRLF;
+        
+        body += 'Content-Disposition: form-data; name="' + escapeValue(name) + '"';
+        if (!TypeUtils.isNullOrUndefined(fileName)) {
+            body += '; filename="' + escapeValue(fileName) + '"';
+        }
+        body += CRLF;
+        
+        if (!TypeUtils.isNullOrUndefined(contentType)) {
+            body += "Content-Type: " + contentType + CRLF;
+        }
+        
+        if (isBinary) {
+            // explicitly requested by the part
+            body += "Content-Transfer-Encoding: base64" + CRLF;
+        }
+        
+        var partHeaders = getOwnProperties(p.headers);
+        for (var h in partHeaders) {
+            body += h + ": " + partHeaders[h] + CRLF;
+        }
+        
+        body += CRLF + data + CRLF;
+    };
+    
+    for (var name in content) {
+        if (!content.hasOwnProperty(name)) {
+            continue;
+        }
+        
+        var value = content[name];
+        if (Array.isArray(value)) {
+            // multiple parts with same name
+            for (var i = 0; i < value.length; i++) {
+                appendPart(name, value[i]);
+            }
+        }
+        else {
+            appendPart(name, value);
+        }
+    }
+    
+    return body + "--" + boundary + "--" + CRLF;
+}
+
+function createProgressEvent(loaded: number, total: number) : IProgressEvent {
+    if (TypeUtils.isNullOrUndefined(total) || total < 0) {
+        total = -1;
+    }
+    
+    return {
+        loaded: loaded,
+        percentage: total > 0 ? Math.min(100, loaded * 100 / total)
+                              : (0 === total ? 100 : -1),
+        total: total,
+    };
+}
+
+function createProgressTransport(transport: ITransport,
+                                 uploadProgress: (e: IProgressEvent) => void,
+                                 downloadProgress: (e: IProgressEvent) => void) : ITransport {
+    return {
+        send: (opts, progress) => {
+            var hasContent = !TypeUtils.isNullOrUndefined(opts.content);
+            var uploadTotal = getContentLength(opts.content);
+            
+            var lastDownload = -1;
+            var lastUpload = -1;
+            
+            // report each number of bytes only once
+            var onDownload = (loaded: number, total: number) => {
+                if (!TypeUtils.isNullOrUndefined(progress)) {
+                    progress.download(loaded, total);
+                }
+                
+                if (!TypeUtils.isNullOrUndefined(downloadProgress) && loaded > lastDownload) {
+                    lastDownload = loaded;
+                    downloadProgress(createProgressEvent(loaded, total));
+                }
+            };
+            var onUpload = (loaded: number, total: number) => {
+                if (!TypeUtils.isNullOrUndefined(progress)) {
+                    progress.upload(loaded, total);
+                }
+                
+                if (!TypeUtils.isNullOrUndefined(uploadProgress) && hasContent && loaded > lastUpload) {
+                    lastUpload = loaded;
+                    uploadProgress(createProgressEvent(loaded, total));
+                }
+            };
+            
+            onUpload(0, uploadTotal);
+            
+            return transport.send(opts, {
+                download: onDownload,
+                upload: onUpload,
+            }).then((response) => {
+                // the request has been sent completely
+                if (uploadTotal > -1) {
+                    onUpload(uploadTotal, uploadTotal);
+                }
+                
+                var downloadTotal = getResponseSize(response);
+                if (downloadTotal > -1) {
+                    onDownload(downloadTotal, downloadTotal);
+                }
+                
+                return response;
+            });
+        },
+    };
+}
+
+function createRandomHex(length: number) : string {
+    var hex = "";
+    for (var i = 0; i < length; i++) {
+        hex += Math.floor(Math.random() * 16).toString(16);
+    }
+    
+    return hex;
+}
+
+function createRejectedRequest(client: ApiClient, reqOpts: HTTP.HttpRequestOptions,
+                               err: any, ctx: ApiClientErrorContext,
+                               tag: any) : ICancellablePromise<IApiClientResult> {
+    var httpReq = new HttpRequest(client, reqOpts);
+    var errCtx = new ApiClientError(client, httpReq,
+                                    err, ctx,
+                                    tag);
+    
+    // invoke the actions asynchronously,
+    // like for requests that have been sent
+    var promise: any = Promise.resolve().then(() => {
+        try {
+            invokeErrorActions(client, errCtx, []);
+            
+            if (errCtx.handled) {
+                // s. ApiClient.request()
+                promise.catch(() => { });
+            }
+        }
+        catch (e) {
+            client.crit("[FATAL ERROR]: " + e, "HttpRequest::" + reqOpts.url);
+        }
+        
+        throw errCtx;
+    });
+    
+    promise.cancel = () => { };
+    
+    return promise;
+}
+
+function createValueStorageCookieStore(storage: IValueStorage, key: string) : ICookieStore {
+    return {
+        load: () => storage.getValue(key) || [],
+        save: (cookies) => {
+            if (cookies.length > 0) {
+                storage.setValue(cookies, key);
+            }
+            else {
+                storage.removeValue(key);
+            }
+        },
+    };
+}
+
+function createValueStorageQueueStore(storage: IValueStorage, key: string) : IOfflineQueueStore {
+    return {
+        load: () => storage.getValue(key) || [],
+        save: (items) => {
+            if (items.length > 0) {
+                storage.setValue(items, key);
+            }
+            else {
+                storage.removeValue(key);
+            }
+        },
+    };
+}
+
+function encodeBase64(str: string) {
+    if (TypeUtils.isNullOrUndefined(str) || "" === str) {
+        return str;
+    }
+
+    var padChar = '=';
+    var alpha = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    var getByte = function(s: string, i: number) {
+        var cc = s.charCodeAt(i);
+        if (cc > 255) {
+            throw "INVALID_CHARACTER_ERR: DOM Exception 5";
+        }
+
+        return cc;
+    }
+
+    var b10, i;
+    var b64Chars = [];
+
+    var iMax = str.length - str.length % 3;
+
+    for (i = 0; i < iMax; i += 3) {
+        b10 = (getByte(str, i) << 16) |
+              (getByte(str, i + 1) << 8) |
+              getByte(str, i + 2);
+
+        b64Chars.push(alpha.charAt(b10 >> 18));
+        b64Chars.push(alpha.charAt((b10 >> 12) & 0x3F));
+        b64Chars.push(alpha.charAt((b10 >> 6) & 0x3f));
+        b64Chars.push(alpha.charAt(b10 & 0x3f));
+    }
+
+    switch (str.length - iMax) {
+        case 1:
+            b10 = getByte(str, i) << 16;
+            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
+                          padChar + padChar);
+            break;
+        
+        case 2:
+            b10 = (getByte(str, i) << 16) | (getByte(str, i + 1) << 8);
+            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
+                          alpha.charAt((b10 >> 6) & 0x3F) + padChar);
+            break;
+    }
+
+    return b64Chars.join('');
+}
+
+function encodeFormComponent(val: any) : string {
+    // application/x-www-form-urlencoded
+    return encodeRfc3986(val).replace(/%20/g, "+");
+}
+
+function encodeRfc3986(val: any) : string {
+    return encodeURIComponent('' + val).replace(/[!'()*]/g, (c) => {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+function getCacheExpiration(headers: any, now: number, defaultMaxAge: number) : number {
+    var cacheControl = parseCacheControl(getHeaderValue(headers, "Cache-Control"));
+    if (cacheControl["no-cache"]) {
+        // always revalidate
+        return now;
+    }
+    
+    var age = parseInt(getHeaderValue(headers, "Age"));
+    if (isNaN(age)) {
+        age = 0;
+    }
+    
+    var maxAge = parseInt(cacheControl["max-age"]);
+    if (!isNaN(maxAge)) {
+        return now + (maxAge - age) * 1000;
+    }
+    
+    var expires = getHeaderValue(headers, "Expires");
+    if (!TypeUtils.isNullOrUndefined(expires)) {
+        var expiresAt = Date.parse(expires);
+        if (isNaN(expiresAt)) {
+            // invalid means "already expired"
+            return now;
+        }
+        
+        // relative to server time
+        var serverTime = Date.parse(getHeaderValue(headers, "Date"));
+        if (isNaN(serverTime)) {
+            serverTime = now;
+        }
+        
+        return now + (expiresAt - serverTime);
+    }
     
-    /**
-     * Defines the action to handle a status code between 400 and 499.
-     * 
-     * @property
-     */
-    clientError?: (ctx : IApiClientResult) => void;
+    return now + (defaultMaxAge || 0) * 1000;
+}
+
+function getCacheVariant(responseHeaders: any, requestHeaders: any) : string {
+    // credentials are part of each variant
+    var names = ["authorization"];
+    
+    var vary = getHeaderValue(responseHeaders, "Vary");
+    if (!isEmptyString(vary)) {
+        ("" + vary).split(",").forEach((n) => {
+            n = n.toLowerCase().trim();
+            if ("" !== n && names.indexOf(n) < 0) {
+                names.push(n);
+            }
+        });
+    }
     
-    /**
-     * Defines the "complete" action.
-     * 
-     * @property
-     */
-    complete?: (ctx : IApiClientCompleteContext) => void;
+    var variant = names.sort().map((n) => {
+        var value = getHeaderValue(requestHeaders, n);
+        
+        return n + ": " + (TypeUtils.isNullOrUndefined(value) ? "" : ("" + value).trim());
+    }).join("\n");
     
-    /**
-     * Defines the "error" action.
-     * 
-     * @property
-     */
-    error?: (ctx : IApiClientError) => void;
+    // do not store credentials in plain text
+    return SHA256(variant).toString(Hex);
+}
+
+function getContentLength(content: any) : number {
+    if (TypeUtils.isNullOrUndefined(content)) {
+        return 0;
+    }
     
-    /**
-     * Defines the action to handle a 403 status code.
-     * 
-     * @property
-     */
-    forbidden?: (ctx : IApiClientResult) => void;
+    if (typeof content === "string") {
+        return getUtf8Length(content);
+    }
     
-    /**
-     * Gets the global request headers to use.
-     * 
-     * @property
-     */
-    headers?: any;
+    if (content instanceof ArrayBuffer) {
+        return content.byteLength;
+    }
     
-    /**
-     * Defines that actions to invoke if a reponse matches.
-     */
-    if? : IIfResponse[];
+    // arrays, byte[] and NSData
+    if (typeof content.length === "number") {
+        return content.length;
+    }
     
-    /**
-     * Defines that actions to invoke if a status code matches.
-     */
-    ifStatus? : IIfStatus[];
+    return -1;
+}
+
+function getFileSize(path: string) : number {
+    if (!FileSystem.File.exists(path)) {
+        return 0;
+    }
     
-    /**
-     * Defines the action to handle a status code between 300 and 399.
-     * 
-     * @property
-     */
-    redirection?: (ctx : IApiClientResult) => void;
+    if (!TypeUtils.isNullOrUndefined(Application.android)) {
+        return new java.io.File(path).length();
+    }
     
-    /**
-     * Defines the action to handle a 404 status code.
-     * 
-     * @property
-     */
-    notFound?: (ctx : IApiClientResult) => void;
+    var attributes = NSFileManager.defaultManager.attributesOfItemAtPathError(path);
+    return TypeUtils.isNullOrUndefined(attributes) ? 0 : attributes.objectForKey(NSFileSize);
+}
+
+function getGraphQLFragmentSpreads(document: string) : string[] {
+    var names: string[] = [];
+    
+    var regex = /\.\.\.\s*([_A-Za-z][_0-9A-Za-z]*)/g;
+    var match: RegExpExecArray;
+    while (match = regex.exec(document)) {
+        // inline fragment
+        if ("on" === match[1]) {
+            continue;
+        }
+        
+        if (names.indexOf(match[1]) < 0) {
+            names.push(match[1]);
+        }
+    }
     
-    /**
-     * Defines the action to handle a 200, 204 or 205 status code.
-     * 
-     * @property
-     */
-    ok?: (ctx : IApiClientResult) => void;
+    return names;
+}
+
+function getHeaderValue(headers: any, name: string) : any {
+    if (TypeUtils.isNullOrUndefined(headers)) {
+        return undefined;
+    }
     
-    /**
-     * Gets the global URL parameters to use.
-     * 
-     * @property
-     */
-    params?: any;
+    name = name.toLowerCase().trim();
+    for (var h in headers) {
+        if (h.toLowerCase().trim() === name) {
+            return headers[h];
+        }
+    }
     
-    /**
-     * Gets the optional route.
-     * 
-     * @property
-     */
-    route?: string;
+    return undefined;
+}
+
+function getHost(url: string) : string {
+    var match = /^[a-z][a-z0-9+.\-]*:\/\/([^\/?#]*)/i.exec(url || "");
+    if (TypeUtils.isNullOrUndefined(match)) {
+        return "";
+    }
     
-    /**
-     * Gets the global route parameters to use.
-     * 
-     * @property
-     */
-    routeParams?: any;
+    return normalizeHost(match[1]);
+}
+
+function getJsonType(val: any) : string {
+    if (null === val) {
+        return "null";
+    }
     
-    /**
-     * Defines the action to handle a status code between 500 and 599.
-     * 
-     * @property
-     */
-    serverError?: (ctx : IApiClientResult) => void;
+    if (Array.isArray(val)) {
+        return "array";
+    }
+    
+    return typeof val;
+}
 
-    /**
-     * Defines the action to handle a status code between 200 and 299.
-     * 
-     * @property
-     */
-    succeededRequest?: (ctx : IApiClientResult) => void;
+function getMimeType(extension: string) : string {
+    if (isEmptyString(extension)) {
+        return undefined;
+    }
     
-    /**
-     * Defines the "success" action.
-     * 
-     * @property
-     */
-    success?: (ctx : IApiClientResult) => void;
+    switch (extension.toLowerCase().trim().replace(/^\./, "")) {
+        case "gif":
+            return "image/gif";
+            
+        case "jpg":
+        case "jpeg":
+            return "image/jpeg";
+            
+        case "json":
+            return "application/json";
+            
+        case "pdf":
+            return "application/pdf";
+            
+        case "png":
+            return "image/png";
+            
+        case "txt":
+            return "text/plain";
+            
+        case "xml":
+            return "text/xml";
+            
+        case "zip":
+            return "application/zip";
+    }
     
-    /**
-     * Defines the action to handle a 401 status code.
-     * 
-     * @property
-     */
-    unauthorized?: (ctx : IApiClientResult) => void;
+    return undefined;
 }
 
-/**
- * Describes an error context of an API call.
- */
-export interface IApiClientError extends ILogger, ITagProvider {
-    /**
-     * Gets the underlying client.
-     * 
-     * @property
-     */
-    client: IApiClient;
+function getOwnProperties(obj) {
+    if (TypeUtils.isNullOrUndefined(obj)) {
+        return undefined;
+    }
     
-    /**
-     * Gets the context.
-     * 
-     * @property
-     */
-    context: ApiClientErrorContext;
+    var properties : any = {};
     
-    /**
-     * Gets the error data.
-     * 
-     * @property
-     */
-    error: any;
+    for (var p in obj) {
+        if (obj.hasOwnProperty(p)) {
+            properties[p] = obj[p];
+        }
+    }
     
-    /**
-     * Gets or sets if error has been handled or not.
-     * 
-     * @property
-     */
-    handled: boolean;
+    return properties;
+}
+
+function getPropertyValue(obj: any, path: string) : any {
+    var names = ("" + path).split(".");
+    for (var i = 0; i < names.length; i++) {
+        if (TypeUtils.isNullOrUndefined(obj)) {
+            return undefined;
+        }
+        
+        obj = obj[names[i].trim()];
+    }
     
-    /**
-     * Gets the underlying HTTP request.
-     * 
-     * @property
-     */
-    request: IHttpRequest;
+    return obj;
 }
 
-/**
- * Describes an API result.
- */
-export interface IApiClientResult extends ILogger, ITagProvider {
-    /**
-     * Gets the underlying API client.
-     * 
-     * @property
-     */
-    client: IApiClient;
+function getResponseSize(response: HTTP.HttpResponse) : number {
+    var contentLength = parseInt(getHeaderValue(response.headers, "Content-Length"));
+    if (!isNaN(contentLength)) {
+        return contentLength;
+    }
+    
+    var raw = TypeUtils.isNullOrUndefined(response.content) ? null : response.content.raw;
+    if (!TypeUtils.isNullOrUndefined(Application.android) &&
+        raw instanceof java.io.ByteArrayOutputStream) {
+        
+        return raw.size();
+    }
+    
+    return getContentLength(raw);
+}
 
-    /**
-     * Gets the HTTP response code.
-     * 
-     * @property
-     */
-    code: number;
+function getRetryDelay(policy: IRetryPolicy, method: string,
+                       attempt: number, retryAfter?: number) : number | boolean {
     
-    /**
-     * Gets the raw content.
-     * 
-     * @property
-     */
-    content: any;
+    if (TypeUtils.isNullOrUndefined(policy)) {
+        return false;
+    }
     
-    /**
-     * Gets the underlying (execution) context.
-     * 
-     * @property
-     */
-    context: ApiClientResultContext;
+    var maxAttempts = policy.maxAttempts;
+    if (TypeUtils.isNullOrUndefined(maxAttempts)) {
+        maxAttempts = 3;
+    }
     
-    /**
-     * Gets the response headers.
-     * 
-     * @property
-     */
-    headers: HTTP.Headers;
+    if (attempt >= maxAttempts) {
+        return false;
+    }
     
-    /**
-     * Returns the content as wrapped AJAX result object.
-     * 
-     * @return {IAjaxResult<TData>} The ajax result object.
-     */
-    getAjaxResult<TData>() : IAjaxResult<TData>;
+    var methods = policy.methods;
+    if (TypeUtils.isNullOrUndefined(methods)) {
+        methods = ["DELETE", "GET", "HEAD", "OPTIONS", "PUT", "TRACE"];
+    }
     
-    /**
-     * Returns the content as file.
-     * 
-     * @param {String} [destFile] The custom path of the destination file.
-     * 
-     * @return {FileSystem.File} The file.
-     */
-    getFile(destFile?: string) : FileSystem.File;
+    var isRetryableMethod = false;
+    for (var i = 0; i < methods.length; i++) {
+        if (methodToString(methods[i]) === method) {
+            isRetryableMethod = true;
+            break;
+        }
+    }
     
-    /**
-     * Tries result the content as image source.
-     * 
-     * @return {Promise<Image.ImageSource>} The result.
-     */
-    getImage(): Promise<Image.ImageSource>;
+    if (!isRetryableMethod) {
+        return false;
+    }
     
-    /**
-     * Returns the content as JSON object.
-     * 
-     * @return {T} The JSON object.
-     */
-    getJSON<T>() : T;
+    var delay : number;
+    if (!TypeUtils.isNullOrUndefined(retryAfter) && false !== policy.respectRetryAfter) {
+        if (!TypeUtils.isNullOrUndefined(policy.maxDelay) && retryAfter > policy.maxDelay) {
+            // server wants us to wait too long
+            return false;
+        }
+        
+        return retryAfter;
+    }
     
-    /**
-     * Returns the content as string.
-     * 
-     * @return {String} The string.
-     */
-    getString() : string;
+    if (!TypeUtils.isNullOrUndefined(policy.backoff)) {
+        delay = policy.backoff(attempt);
+    }
+    else {
+        delay = policy.delay;
+        if (TypeUtils.isNullOrUndefined(delay)) {
+            delay = 1000;
+        }
+        
+        var factor = policy.factor;
+        if (TypeUtils.isNullOrUndefined(factor)) {
+            factor = 2;
+        }
+        
+        delay = delay * Math.pow(factor, attempt - 1);
+        
+        if (policy.jitter > 0) {
+            delay += delay * Math.min(policy.jitter, 1) * (Math.random() * 2 - 1);
+        }
+    }
     
-    /**
-     * Gets the information about the request.
-     * 
-     * @property
-     */
-    request: IHttpRequest;
+    if (!TypeUtils.isNullOrUndefined(policy.maxDelay)) {
+        delay = Math.min(delay, policy.maxDelay);
+    }
     
-    /**
-     * Gets the raw response.
-     * 
-     * @property
-     */
-    response: HTTP.HttpResponse;
+    return Math.max(0, Math.floor(delay));
 }
 
-/**
- * Describes an object that prepares a HTTP for authorization.
- */
-export interface IAuthorizer {
-    /**
-     * Prepares a HTTP request for authorization.
-     * 
-     * @param {HTTP.HttpRequestOptions} reqOpts The request options.
-     */
-    prepare(reqOpts: HTTP.HttpRequestOptions);
+function getStatusText(code: number) : string {
+    var name = HttpStatusCode[code];
+    if (isEmptyString(name)) {
+        return "";
+    }
+    
+    // 'NotFound' => 'Not Found'
+    return name.replace(/([a-z])([A-Z])/g, "$1 $2");
 }
 
-/**
- * Describes a format provider context.
- */
-export interface IFormatProviderContext {
-    /**
-     * Gets the format expression.
-     * 
-     * @property
-     */
-    expression: string;
-    
-    /**
-     * Gets if the expression has been handled or not.
-     * 
-     * @property
-     */
-    handled: boolean;
+function getUtf8Length(str: string) : number {
+    var length = 0;
+    for (var i = 0; i < str.length; i++) {
+        var c = str.charCodeAt(i);
+        
+        if (c < 0x80) {
+            length += 1;
+        }
+        else if (c < 0x800) {
+            length += 2;
+        }
+        else if (c >= 0xD800 && c <= 0xDBFF) {
+            // surrogate pair
+            length += 4;
+            ++i;
+        }
+        else {
+            length += 3;
+        }
+    }
     
-    /**
-     * Gets the underlying (unhandled) value.
-     * 
-     * @property
-     */
-    value: any;
+    return length;
 }
 
-/**
- * Describes an object that stores information about a HTTP request.
- */
-export interface IHttpRequest {
-    /**
-     * Gets the raw content that is send to the API.
-     */
-    body: any;
-    
-    /**
-     * Gets the underlying client.
-     * 
-     * @property
-     */
-    client: IApiClient;
+function invokeCompleteAction(client: ApiClient, request: HttpRequest,
+                              result: ApiClientResult, err: ApiClientError,
+                              tag: any, attempts: RequestAttempt[]) {
     
-    /**
-     * Gets the list of request headers.
-     */
-    headers: any;
+    if (!TypeUtils.isNullOrUndefined(result)) {
+        result.setContext(ApiClientResultContext.Complete);
+    }
     
-    /**
-     * Gets the HTTP method.
-     */
-    method: string;
+    if (!TypeUtils.isNullOrUndefined(client.completeAction)) {
+        client.completeAction(new ApiClientCompleteContext(client, request,
+                                                           result, err,
+                                                           tag, attempts));
+    }
+}
+
+function invokeErrorActions(client: ApiClient, err: ApiClientError, attempts: RequestAttempt[]) {
+    if (!TypeUtils.isNullOrUndefined(client.errorAction)) {
+        err.handled = true;
+        client.errorAction(err);
+    }
     
-    /**
-     * Gets the URL.
-     */
-    url: string;
+    if (err.handled) {
+        invokeCompleteAction(client, <HttpRequest>err.request,
+                             undefined, err,
+                             err.tag, attempts);
+    }
 }
 
-/**
- * Describes an entry that stores data for
- * invoke a response action if a predicate matches. 
- */
-export interface IIfResponse {
-    /**
-     * The action to invoke.
-     * 
-     * @property
-     */
-    action : (result : IApiClientResult) => void,
+function invokeInterceptors(interceptors: ((ctx: any) => any)[], ctx: InterceptorContext) : Promise<any> {
+    var i = 0;
     
-    /**
-     * The predicate.
-     * 
-     * @property
-     */
-    predicate?: (ctx : IApiClientResult) => boolean
+    var next = function() : any {
+        if (ctx.isStopped || i >= interceptors.length) {
+            return;
+        }
+        
+        var interceptor = interceptors[i++];
+        if (TypeUtils.isNullOrUndefined(interceptor)) {
+            return next();
+        }
+        
+        return Promise.resolve(interceptor(ctx))
+                      .then(next);
+    };
+    
+    return Promise.resolve()
+                  .then(next);
 }
 
-/**
- * Describes an entry that stores data for
- * invoke a response action if a status code matches. 
- */
-export interface IIfStatus {
-    /**
-     * The action to invoke.
-     * 
-     * @property
-     */
-    action : (result : IApiClientResult) => void,
+function invokeLogActions(client : ApiClient, msg : ILogMessage) {
+    for (var i = 0; i < client.logActions.length; i++) {
+        try {
+            var la = client.logActions[i];
+            la(msg);
+        }
+        catch (e) {
+            console.log("[ERROR] invokeLogActions(" + i +"): " + e);
+        }
+    }
+}
+
+function invokeResultActions(client: ApiClient, result: ApiClientResult) {
+    // collect "conditional" actions that should be
+    // invoked instead of "success" action
+    var ifActions = [];
+    for (var i = 0; i < client.ifEntries.length; i++) {
+        var ie = client.ifEntries[i];
+    
+        if (!TypeUtils.isNullOrUndefined(ie.action)) {
+            var statusPredicate = ie.predicate;
+            if (TypeUtils.isNullOrUndefined(statusPredicate)) {
+                statusPredicate = () => true;
+            }
+        
+            if (statusPredicate(result)) {
+                ifActions.push(ie.action);
+            }
+        }
+    }
+
+    // process "conditional" actions
+    for (var i = 0; i < ifActions.length; i++) {
+        var ia = ifActions[i];
+        ia(result);
+    }
+
+    if (ifActions.length < 1 &&
+        !TypeUtils.isNullOrUndefined(client.successAction)) {
     
-    /**
-     * The predicate.
-     * 
-     * @property
-     */
-    predicate?: (code : number) => boolean
+        client.successAction(result);
+    }
 }
 
-/**
- * Describes an object that stores log information. 
- */
-export interface ILogMessage {
-    /**
-     * Gets the category.
-     * 
-     * @property
-     */
-    category: LogCategory;
+function isBitmap(val: any) : boolean {
+    return !TypeUtils.isNullOrUndefined(val) &&
+           typeof val.toObject === "function" &&
+           typeof val.toBase64 === "function";
+}
+
+function isByteArray(val: any) : boolean {
+    return val instanceof ArrayBuffer ||
+           val instanceof Uint8Array ||
+           (Array.isArray(val) && val.length > 0 && val.every((b) => typeof b === "number"));
+}
+
+function isConnected() : boolean {
+    try {
+        return Connectivity.connectionType.none !== Connectivity.getConnectionType();
+    }
+    catch (e) {
+        // unknown
+        return true;
+    }
+}
+
+function isDeepEqual(x: any, y: any) : boolean {
+    if (x === y) {
+        return true;
+    }
     
-    /**
-     * Gets the message value.
-     * 
-     * @property
-     */
-    message: any;
+    var type = getJsonType(x);
+    if (type !== getJsonType(y)) {
+        return false;
+    }
     
-    /**
-     * Gets the priority.
-     * 
-     * @property
-     */
-    priority: LogPriority;
+    if ("array" === type) {
+        return x.length === y.length &&
+               x.every((item, i) => isDeepEqual(item, y[i]));
+    }
     
-    /**
-     * Gets the source.
-     */
-    source: LogSource;
+    if ("object" === type) {
+        var keys = Object.keys(x);
+        
+        return keys.length === Object.keys(y).length &&
+               keys.every((k) => y.hasOwnProperty(k) && isDeepEqual(x[k], y[k]));
+    }
     
-    /**
-     * Gets the tag.
-     * 
-     * @property
-     */
-    tag: string;
+    return false;
+}
+
+function isDomainMatching(host: string, domain: string) : boolean {
+    if (host === domain) {
+        return true;
+    }
     
-    /**
-     * Gets the timestamp.
-     */
-    time: Date;
+    // no IP addresses
+    return !/^[0-9.]+$/.test(host) &&
+           host.length > domain.length &&
+           ("." + domain) === host.substr(host.length - domain.length - 1);
 }
 
-/**
- * Describes a logger.
- */
-export interface ILogger {
-    /**
-     * Logs an alert message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    alert(msg : any, tag?: string,
-          priority?: LogPriority) : ILogger;
+function isEmptyString(str : string) : boolean {
+    if (TypeUtils.isNullOrUndefined(str)) {
+        return true;
+    }
     
-    /**
-     * Logs a critical message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    crit(msg : any, tag?: string,
-         priority?: LogPriority) : ILogger;
+    return "" === str.trim();
+}
+
+function isMimeMatching(pattern: string | RegExp, mime: string) : boolean {
+    if (TypeUtils.isNullOrUndefined(pattern)) {
+        return false;
+    }
     
-    /**
-     * Logs a debug message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    dbg(msg : any, tag?: string,
-        priority?: LogPriority) : ILogger;
+    if (isEmptyString(mime)) {
+        mime = "";
+    }
     
-    /**
-     * Logs an emergency message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    emerg(msg : any, tag?: string,
-          priority?: LogPriority) : ILogger;
+    if (pattern instanceof RegExp) {
+        return pattern.test(mime);
+    }
     
-    /**
-     * Logs an error message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    err(msg : any, tag?: string,
-        priority?: LogPriority) : ILogger;
+    // wildcards, like 'text/*'
+    var regex = new RegExp("^" + ("" + pattern).toLowerCase().trim()
+                                               .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+                                               .replace(/\*/g, "[^\/]*") + "$");
     
-    /**
-     * Logs an info message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    info(msg : any, tag?: string,
-         priority?: LogPriority) : ILogger;
+    return regex.test(mime);
+}
+
+function isMockRouteMatching(method: string, url: string | RegExp, req: IMockRequest) : boolean {
+    if ("*" !== method && methodToString(method) !== req.method) {
+        return false;
+    }
     
-    /**
-     * Logs a message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogCategory} [category] The optional log category. Default: LogCategory.Debug
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    log(msg : any, tag?: string,
-        category?: LogCategory, priority?: LogPriority) : ILogger;
+    if (url instanceof RegExp) {
+        return url.test(req.url);
+    }
     
-    /**
-     * Logs a notice message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    note(msg : any, tag?: string,
-         priority?: LogPriority) : ILogger;
-     
-    /**
-     * Logs a trace message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    trace(msg : any, tag?: string,
-          priority?: LogPriority) : ILogger;
-        
-    /**
-     * Logs a warning message.
-     * 
-     * @chainable
-     * 
-     * @param any msg The message value.
-     * @param {String} [tag] The optional tag value.
-     * @param {LogPriority} [priority] The optional log priority.
-     */
-    warn(msg : any, tag?: string,
-         priority?: LogPriority) : ILogger;
+    // full URL, path with query or path only
+    var path = req.url.replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]*/i, "");
+    var candidates = [req.url, path, path.split("?")[0]];
+    
+    var regex = new RegExp("^" + ("" + url).replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+                                           .replace(/\*/g, ".*") + "$");
+    
+    return candidates.some((c) => regex.test(c));
 }
 
-/**
- * Describes an object that stores (additional) options for a request.
- */
-export interface IRequestOptions {
-    /**
-     * Gets the authorizer.
-     * 
-     * @property
-     */
-    authorizer? : IAuthorizer;
+function isPathMatching(requestPath: string, cookiePath: string) : boolean {
+    if (isEmptyString(requestPath)) {
+        requestPath = "/";
+    }
     
-    /**
-     * Gets the content.
-     * 
-     * @property
-     */
-    content?: any;
+    if (requestPath === cookiePath) {
+        return true;
+    }
     
-    /**
-     * Gets the name of the encoding.
-     * 
-     * @property
-     */
-    encoding?: string;
+    if (0 !== requestPath.indexOf(cookiePath)) {
+        return false;
+    }
     
-    /**
-     * Gets the list of request headers.
-     * 
-     * @property
-     */
-    headers? : any;
+    return "/" === cookiePath.substr(-1) ||
+           "/" === requestPath[cookiePath.length];
+}
+
+function isPersistedQueryNotFound(errors: IGraphQLError[]) : boolean {
+    for (var i = 0; i < errors.length; i++) {
+        var e = errors[i];
+        if (TypeUtils.isNullOrUndefined(e)) {
+            continue;
+        }
+        
+        if ("PersistedQueryNotFound" === e.message ||
+            (!TypeUtils.isNullOrUndefined(e.extensions) && "PERSISTED_QUERY_NOT_FOUND" === e.extensions.code)) {
+            
+            return true;
+        }
+    }
     
-    /**
-     * Gets the URL params to set.
-     * 
-     * @property
-     */
-    params?: any;
+    return false;
+}
+
+function isRetryableStatus(policy: IRetryPolicy, code: number) : boolean {
+    if (TypeUtils.isNullOrUndefined(policy)) {
+        return false;
+    }
     
-    /**
-     * Gets the params for the route to set.
-     * 
-     * @property
-     */
-    routeParams?: any;
+    var statusCodes = policy.statusCodes;
+    if (TypeUtils.isNullOrUndefined(statusCodes)) {
+        statusCodes = [408, 429, 500, 502, 503, 504];
+    }
     
-    /**
-     * Gets the global object that should be used in any callback.
-     * 
-     * @property
-     */
-    tag?: any;
+    return statusCodes.indexOf(code) > -1;
+}
+
+function isSameCookie(x: ICookie, y: ICookie) : boolean {
+    return x.name === y.name &&
+           x.domain === y.domain &&
+           x.path === y.path;
+}
+
+function isTextMimeType(mime: string) : boolean {
+    return /^(text\/[^\/]+|application\/((x-)?(javascript|ndjson|www-form-urlencoded|yaml)|graphql|json|xml)|[^\/]+\/[^\/]+\+(json|xml))$/.test(mime);
+}
+
+function isThenable(val: any) : boolean {
+    return !TypeUtils.isNullOrUndefined(val) &&
+           typeof val.then === "function";
+}
+
+function mergeRetryPolicies(clientPolicy: IRetryPolicy, requestPolicy: IRetryPolicy) : IRetryPolicy {
+    if (TypeUtils.isNullOrUndefined(requestPolicy)) {
+        return clientPolicy;
+    }
     
-    /**
-     * Gets the timeout in millisecons.
-     * 
-     * @property
-     */
-    timeout?: number;
+    if (TypeUtils.isNullOrUndefined(clientPolicy)) {
+        return requestPolicy;
+    }
     
-    /**
-     * Gets request type.
-     * 
-     * @property
-     */
-    type?: HttpRequestType;
+    var policy : any = getOwnProperties(clientPolicy);
+    for (var p in requestPolicy) {
+        if (requestPolicy.hasOwnProperty(p)) {
+            policy[p] = requestPolicy[p];
+        }
+    }
+    
+    return policy;
 }
 
-/**
- * Describes an object that stores a global value.
- */
-export interface ITagProvider {
-    /**
-     * Gets the value that should be linked with that instance.
-     * 
-     * @property
-     */
-    tag: any;
+function methodToString(method : any) : string {
+    if (TypeUtils.isNullOrUndefined(method)) {
+        return "GET";
+    }
+    
+    if (typeof method !== "string") {
+        method = HttpMethod[method];
+    }
+
+    return method.toUpperCase().trim();
 }
 
-/**
- * List of log categories.
- */
-export enum LogCategory {
-    Emergency = 1,
-    Alert = 2,
-    Critical = 3,
-    Error = 4,
-    Warning = 5,
-    Notice = 6,
-    Info = 7,
-    Debug = 8,
-    Trace = 9
+function normalizeCookieDomain(domain: string) : string {
+    domain = ("" + domain).toLowerCase().trim();
+    if ("." === domain[0]) {
+        domain = domain.substr(1);
+    }
+    
+    return domain;
 }
 
-class LogMessage implements ILogMessage {
-    private _category : LogCategory;
-    private _message : any;
-    private _priority : LogPriority;
-    private _source : LogSource;
-    private _tag : string;
-    private _time : Date;
+function normalizeHost(host: string) : string {
+    if (isEmptyString(host)) {
+        return "";
+    }
     
-    constructor(source : LogSource,
-                time: Date,
-                msg: any, tag: string,
-                category: LogCategory, priority : LogPriority) {
-        
-        this._source = source;
+    // without credentials
+    host = ("" + host).toLowerCase().trim();
+    return host.substr(host.lastIndexOf("@") + 1);
+}
+
+function openSQLiteTable(dbName: string, table: string) : Promise<any> {
+    return new Sqlite(dbName).then((db) => {
+        return db.execSQL("CREATE TABLE IF NOT EXISTS " + table + " (key TEXT PRIMARY KEY, value TEXT)")
+                 .then(() => db);
+    });
+}
+
+function parseCacheControl(value: any) : any {
+    var directives = {};
+    
+    if (isEmptyString(value)) {
+        return directives;
+    }
+    
+    var parts = ("" + value).split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var p = parts[i];
         
-        this._time = time;
+        var name = p;
+        var val : any = true;
         
-        this._message = msg;
-        this._tag = tag;
+        var sep = p.indexOf("=");
+        if (sep > -1) {
+            name = p.substr(0, sep);
+            val = p.substr(sep + 1).trim()
+                                   .replace(/^"(.*)"$/, "$1");
+        }
         
-        this._category = category;
-        this._priority = priority;
+        name = name.toLowerCase().trim();
+        if ("" !== name) {
+            directives[name] = val;
+        }
     }
     
-    public get category(): LogCategory {
-        return this._category;
+    return directives;
+}
+
+function parseContentRange(value: any) : { end: number, start: number, total: number } {
+    if (isEmptyString(value)) {
+        return null;
     }
     
-    public get message(): any {
-        return this._message;
+    // bytes 0-499/1234
+    // bytes 0-499/*
+    // bytes */1234
+    var match = /^bytes\s+(\*|(\d+)-(\d+))\/(\*|\d+)$/i.exec(("" + value).trim());
+    if (null === match) {
+        return null;
     }
     
-    public get priority(): LogPriority {
-        return this._priority;
+    return {
+        end: TypeUtils.isUndefined(match[3]) ? undefined : parseInt(match[3]),
+        start: TypeUtils.isUndefined(match[2]) ? undefined : parseInt(match[2]),
+        total: "*" === match[4] ? -1 : parseInt(match[4]),
+    };
+}
+
+function parseContentType(value: any) : { mime: string, parameters: any } {
+    var result = {
+        mime: "",
+        parameters: {},
+    };
+    
+    if (isEmptyString(value)) {
+        return result;
     }
     
-    public get source(): LogSource {
-        return this._source;
+    var parts = ("" + value).split(";");
+    result.mime = parts[0].toLowerCase().trim();
+    
+    for (var i = 1; i < parts.length; i++) {
+        var p = parts[i];
+        
+        var sep = p.indexOf("=");
+        if (sep > -1) {
+            result.parameters[p.substr(0, sep).toLowerCase().trim()] = p.substr(sep + 1).trim()
+                                                                         .replace(/^"(.*)"$/, "$1");
+        }
     }
     
-    public get tag(): string {
-        return this._tag;
+    return result;
+}
+
+function parseDigestChallenge(value: any) : any {
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return undefined;
     }
     
-    public get time(): Date {
-        return this._time;
+    // can contain more than one challenge
+    var match = /(^|[\s,])Digest\s+(.*)$/i.exec("" + value);
+    if (TypeUtils.isNullOrUndefined(match)) {
+        return undefined;
+    }
+    
+    var challenge: any = {};
+    
+    var regex = /([a-z0-9_\-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))\s*(,|$)/ig;
+    var param: RegExpExecArray;
+    while (param = regex.exec(match[2])) {
+        challenge[param[1].toLowerCase()] = TypeUtils.isNullOrUndefined(param[2]) ? param[3]
+                                                                                  : param[2].replace(/\\(.)/g, "$1");
+        
+        if ("" === param[4]) {
+            break;
+        }
+    }
+    
+    if (isEmptyString(challenge.nonce)) {
+        return undefined;
     }
+    
+    return challenge;
 }
 
-/**
- * List of log priorities.
- */
-export enum LogPriority {
-    VeryHigh = 1,
-    High = 2,
-    Medium = 3,
-    Low = 4,
-    VeryLow = 5
+function parseLinkHeader(value: any) : any {
+    var links = {};
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return links;
+    }
+    
+    // <url>; rel="next", <url>; rel="last"
+    var regex = /<([^>]*)>([^,<]*)/g;
+    var match: RegExpExecArray;
+    while (match = regex.exec("" + value)) {
+        var rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+        if (TypeUtils.isNullOrUndefined(rel)) {
+            continue;
+        }
+        
+        // a link can have more than one relation
+        var relations = rel[1].toLowerCase().trim().split(/\s+/);
+        for (var i = 0; i < relations.length; i++) {
+            links[relations[i]] = match[1].trim();
+        }
+    }
+    
+    return links;
 }
 
-/**
- * List of log (message) source.
- */
-export enum LogSource {
-    /**
-     * From API client.
-     */
-    Client,
+function parseRetryAfter(value: any) : number {
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return undefined;
+    }
     
-    /**
-     * From "completed" action
-     */
-    Complete,
+    value = ("" + value).trim();
+    if ("" === value) {
+        return undefined;
+    }
     
-    /**
-     * From IApiClientError object
-     */
-    Error,
+    if (/^\d+$/.test(value)) {
+        // seconds
+        return parseInt(value) * 1000;
+    }
     
-    /**
-     * From IApiClientResult object
-     */
-    Result
+    // HTTP date
+    var time = Date.parse(value);
+    if (isNaN(time)) {
+        return undefined;
+    }
+    
+    return Math.max(0, time - new Date().getTime());
 }
 
-/**
- * OAuth authorizer
- */
-export class OAuth implements IAuthorizer {
-    private _fields = {};
+function parseUrl(url: string) : { host: string, path: string, query: string, scheme: string } {
+    var match = /^([a-z][a-z0-9+.\-]*):\/\/([^\/?#]*)([^?#]*)(\?[^#]*)?/i.exec(("" + url).trim());
+    if (TypeUtils.isNullOrUndefined(match)) {
+        throw "Invalid URL '" + url + "'!";
+    }
     
-    /** @inheritdoc */
-    public prepare(reqOpts : HTTP.HttpRequestOptions) {
-        var i = 0;
-        var fieldList = '';
-        for (var f in this._fields) {
-            var v = this._fields[f];
-
-            if (i > 0) {
-                fieldList += ', ';
-            }
+    var scheme = match[1].toLowerCase();
+    var host = normalizeHost(match[2]);
+    
+    // remove default ports
+    if (("http" === scheme && /:80$/.test(host)) ||
+        ("https" === scheme && /:443$/.test(host))) {
+        
+        host = host.substring(0, host.lastIndexOf(":"));
+    }
+    
+    return {
+        host: host,
+        path: match[3] || "/",
+        query: match[4] || "",
+        scheme: scheme,
+    };
+}
 
-            fieldList += f + '=' + '"' + encodeURIComponent(v) + '"';
-            ++i;
+function parseUrlEncoded(str: string) : string[][] {
+    var pairs : string[][] = [];
+    if (isEmptyString(str)) {
+        return pairs;
+    }
+    
+    if ('?' === str[0]) {
+        str = str.substring(1);
+    }
+    
+    var decode = function(s: string) : string {
+        return decodeURIComponent(s.replace(/\+/g, ' '));
+    };
+    
+    var parts = str.split('&');
+    for (var i = 0; i < parts.length; i++) {
+        var p = parts[i];
+        if ('' === p) {
+            continue;
+        }
+        
+        var eqIndex = p.indexOf('=');
+        if (eqIndex > -1) {
+            pairs.push([decode(p.substring(0, eqIndex)), decode(p.substring(eqIndex + 1))]);
+        }
+        else {
+            pairs.push([decode(p), '']);
         }
-
-        reqOpts.headers["Authorization"] = 'OAuth ' + fieldList;
     }
+    
+    return pairs;
+}
 
-    /**
-     * Sets a field.
-     * 
-     * @chainable
-     * 
-     * @param {String} name The name of the field.
-     * @param {String} value The value of the field.
-     */
-    public setField(name: string, value: any): OAuth {
-        this._fields[name] = value;
-        return this;
+function redactJsonProperties(val: any, isRedacted: (name: string) => boolean, redactedValue: string) : any {
+    if (Array.isArray(val)) {
+        return val.map((v) => redactJsonProperties(v, isRedacted, redactedValue));
     }
+    
+    if (TypeUtils.isNullOrUndefined(val) || typeof val !== "object") {
+        return val;
+    }
+    
+    var result = {};
+    for (var p in val) {
+        result[p] = isRedacted(p) ? redactedValue : redactJsonProperties(val[p], isRedacted, redactedValue);
+    }
+    
+    return result;
+}
 
-    /**
-     * Sets a list of fields.
-     * 
-     * @chainable
-     * 
-     * @param any ...fields One or more object with fields an their values.
-     */
-    public setMany(...fields: any[]): OAuth {
-        for (var i = 0; i < fields.length; i++) {
-            var fieldObj = getOwnProperties(fields[i]);
-            if (TypeUtils.isNullOrUndefined(fieldObj)) {
-                continue;
-            }
-
-            for (var f in fieldObj) {
-                this.setField(f, fieldObj[f]);
+function refreshCacheEntry(cache: HttpCache, url: string,
+                           entry: IHttpCacheEntry, notModified: HTTP.HttpResponse) : Promise<IHttpCacheEntry> {
+    
+    // update headers with the ones of the '304' response
+    var headers = getOwnProperties(entry.headers) || {};
+    for (var h in getOwnProperties(notModified.headers)) {
+        for (var eh in headers) {
+            if (eh.toLowerCase().trim() === h.toLowerCase().trim()) {
+                delete headers[eh];
             }
         }
-
-        return this;
+        
+        headers[h] = notModified.headers[h];
     }
+    
+    var now = Date.now();
+    
+    var newEntry : IHttpCacheEntry = {
+        body: entry.body,
+        code: entry.code,
+        expiresAt: getCacheExpiration(headers, now, cache.defaultMaxAge),
+        headers: headers,
+        storedAt: now,
+        url: url,
+        variant: entry.variant,
+    };
+    
+    return Promise.resolve(cache.store.set(url, newEntry)).then(() => newEntry, () => newEntry);
 }
 
-/**
- * Twitter OAuth authorizer.
- */
-export class TwitterOAuth extends OAuth {
-    private _consumerKey: string;
-    private _consumerSecret: string;
-    private _token: string;
-    private _tokenSecret: string;
+function resolveSchemaRef(rootSchema: any, ref: string) : any {
+    if ("#" !== ref.substr(0, 1)) {
+        return undefined;  // only local references are supported
+    }
     
-    /**
-     * Initializes a new instance of that class.
-     * 
-     * @param {String} consumerKey The consumer key.
-     * @param {String} consumerSecret The consumer secret.
-     * @param {String} token The token.
-     * @param {String} tokenSecret The token secret.
-     */
-    constructor(consumerKey: string, consumerSecret: string,
-                token: string, tokenSecret: string) {
-        
-        super();
-
-        this._consumerKey = consumerKey;
-        this._consumerSecret = consumerSecret;
-        this._token = token;
-        this._tokenSecret = tokenSecret;
-
-        // initial value for 'nonce' property
-        const NONCE_CHARS = '0123456789abcdef';    
-        this.nonce = '';
-        for (var i = 0; i < 32; i++) {
-            this.nonce += NONCE_CHARS[Math.floor(Math.random() * NONCE_CHARS.length) % NONCE_CHARS.length];
+    var segments = ref.substr(1)
+                      .split("/")
+                      .slice(1)
+                      .map((s) => decodeURIComponent(s).replace(/~1/g, "/")
+                                                       .replace(/~0/g, "~"));
+    
+    var schema = rootSchema;
+    for (var i = 0; i < segments.length; i++) {
+        if (TypeUtils.isNullOrUndefined(schema) || typeof schema !== "object") {
+            return undefined;
         }
+        
+        schema = schema[segments[i]];
     }
+    
+    return schema;
+}
 
-    /** @inheritdoc */
-    public prepare(reqOpts : HTTP.HttpRequestOptions) {
-        var timestamp = this.timestamp;
-        if (TypeUtils.isNullOrUndefined(timestamp)) {
-            timestamp = new Date();
-        }
-
-        if (!isEmptyString(this._consumerKey)) {
-            this.setField('oauth_consumer_key', this._consumerKey);
-        }
-
-        if (!TypeUtils.isNullOrUndefined(this.nonce)) {
-            this.setField('oauth_nonce', this.nonce);
-        }
+function resolveUrl(baseUrl: string, url: string) : string {
+    if (/^[a-z][a-z0-9+.\-]*:/i.test(url)) {
+        // absolute
+        return url;
+    }
+    
+    var base = /^([a-z][a-z0-9+.\-]*:)(\/\/[^\/?#]*)?([^?#]*)/i.exec(baseUrl || "");
+    if (TypeUtils.isNullOrUndefined(base)) {
+        return url;
+    }
+    
+    if ("//" === url.substr(0, 2)) {
+        return base[1] + url;
+    }
+    
+    var origin = base[1] + (base[2] || "");
+    if ("/" === url.substr(0, 1)) {
+        return origin + url;
+    }
+    
+    var path = base[3] || "/";
+    if ("?" === url.substr(0, 1)) {
+        return origin + path + url;
+    }
+    
+    return origin + path.substr(0, path.lastIndexOf("/") + 1) + url;
+}
 
-        if (!TypeUtils.isNullOrUndefined(this.signature)) {
-            this.setField('oauth_signature', this.signature);
+function serializeParam(name: string, value: any,
+                        arrayFormat: ParamArrayFormat, objectFormat: ParamObjectFormat,
+                        pairs: string[][]) {
+    
+    if (undefined === value) {
+        return;
+    }
+    
+    if (null === value) {
+        pairs.push([name, ""]);
+        return;
+    }
+    
+    if (value instanceof Date) {
+        pairs.push([name, value.toISOString()]);
+        return;
+    }
+    
+    if (Array.isArray(value)) {
+        if (ParamArrayFormat.Comma === arrayFormat) {
+            pairs.push([name, value.map((v) => TypeUtils.isNullOrUndefined(v) ? "" : ("" + v))
+                                   .join(",")]);
+            return;
         }
-
-        if (!isEmptyString(this.signatureMethod)) {
-            this.setField('oauth_signature_method', this.signatureMethod);
+        
+        for (var i = 0; i < value.length; i++) {
+            var itemName = name;
+            switch (arrayFormat) {
+                case ParamArrayFormat.Brackets:
+                    itemName += "[]";
+                    break;
+                    
+                case ParamArrayFormat.Indices:
+                    itemName += "[" + i + "]";
+                    break;
+            }
+            
+            serializeParam(itemName, value[i],
+                           arrayFormat, objectFormat,
+                           pairs);
         }
-
-        this.setField('oauth_timestamp', Math.floor(timestamp.getTime() / 1000.0));
-
-        if (!isEmptyString(this._token)) {
-            this.setField('oauth_token', this._token);
+        
+        return;
+    }
+    
+    if (typeof value === "object") {
+        if (ParamObjectFormat.JSON === objectFormat) {
+            pairs.push([name, JSON.stringify(value)]);
+            return;
         }
-
-        if (!isEmptyString(this.version)) {
-            this.setField('oauth_version', this.version);
+        
+        for (var p in value) {
+            if (!value.hasOwnProperty(p)) {
+                continue;
+            }
+            
+            serializeParam(ParamObjectFormat.Dots === objectFormat ? (name + "." + p) : (name + "[" + p + "]"), value[p],
+                           arrayFormat, objectFormat,
+                           pairs);
         }
-
-        super.prepare(reqOpts);
-    }
-
-    /**
-     * Gets or sets the value for "oauth_nonce" (custom random crypto key).
-     */
-    public nonce: string;
-
-    /**
-     * Gets or sets the value for "oauth_signature".
-     */
-    public signature: string;
-
-    /**
-     * Gets or sets the value for "oauth_signature_method".
-     */
-    public signatureMethod: string = 'HMAC-SHA1';
+        
+        return;
+    }
     
-    /**
-     * Gets or sets the value for "oauth_timestamp".
-     */
-    public timestamp: Date;
-
-    /**
-     * Gets or sets the value for "oauth_version".
-     */
-    public version: string = '1.0';
+    pairs.push([name, "" + value]);
 }
 
-function encodeBase64(str: string) {
-    if (isEmptyString(str)) {
-        return str;
-    }
-
-    var padChar = '=';
-    var alpha = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    var getByte = function(s: string, i: number) {
-        var cc = s.charCodeAt(i);
-        if (cc > 255) {
-            throw "INVALID_CHARACTER_ERR: DOM Exception 5";
+function splitGraphQLFragments(document: string) : { definition: string, name: string }[] {
+    var fragments = [];
+    
+    var regex = /fragment\s+([_A-Za-z][_0-9A-Za-z]*)\s+on\s+[_A-Za-z][_0-9A-Za-z]*[^{]*{/g;
+    var match: RegExpExecArray;
+    while (match = regex.exec(document)) {
+        // find closing brace
+        var depth = 1;
+        var end = regex.lastIndex;
+        while (end < document.length && depth > 0) {
+            var c = document[end++];
+            if ("{" === c) {
+                ++depth;
+            }
+            else if ("}" === c) {
+                --depth;
+            }
         }
-
-        return cc;
+        
+        fragments.push({
+            definition: document.substring(match.index, end),
+            name: match[1],
+        });
+        
+        regex.lastIndex = end;
     }
+    
+    return fragments;
+}
 
-    var b10, i;
-    var b64Chars = [];
-
-    var iMax = str.length - str.length % 3;
-
-    for (i = 0; i < iMax; i += 3) {
-        b10 = (getByte(str, i) << 16) |
-              (getByte(str, i + 1) << 8) |
-              getByte(str, i + 2);
-
-        b64Chars.push(alpha.charAt(b10 >> 18));
-        b64Chars.push(alpha.charAt((b10 >> 12) & 0x3F));
-        b64Chars.push(alpha.charAt((b10 >> 6) & 0x3f));
-        b64Chars.push(alpha.charAt(b10 & 0x3f));
+function splitSetCookieHeader(value: any) : string[] {
+    if (TypeUtils.isNullOrUndefined(value)) {
+        return [];
     }
+    
+    // headers can be combined with commas,
+    // but 'Expires' contains one, too
+    return ("" + value).split(/,(?=\s*[^;,=\s]+=)/)
+                       .map((c) => c.trim())
+                       .filter((c) => "" !== c);
+}
 
-    switch (str.length - iMax) {
-        case 1:
-            b10 = getByte(str, i) << 16;
-            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
-                          padChar + padChar);
-            break;
-        
-        case 2:
-            b10 = (getByte(str, i) << 16) | (getByte(str, i + 1) << 8);
-            b64Chars.push(alpha.charAt(b10 >> 18) + alpha.charAt((b10 >> 12) & 0x3F) +
-                          alpha.charAt((b10 >> 6) & 0x3F) + padChar);
-            break;
+function toFixtureBody(content: any) : string {
+    if (TypeUtils.isNullOrUndefined(content)) {
+        return undefined;
     }
+    
+    return "" + content;
+}
 
-    return b64Chars.join('');
+function toGraphQLRequest(query: string, variables: any, req: IGraphQLRequest, isMutation: boolean) : IGraphQLRequest {
+    var result: IGraphQLRequest = {};
+    
+    var props = getOwnProperties(req);
+    for (var p in props) {
+        result[p] = props[p];
+    }
+    
+    result.isMutation = isMutation;
+    result.query = query;
+    if (!TypeUtils.isNullOrUndefined(variables)) {
+        result.variables = variables;
+    }
+    
+    return result;
 }
 
-function getOwnProperties(obj) {
-    if (TypeUtils.isNullOrUndefined(obj)) {
-        return undefined;
+function toGraphQLResult<T>(result: IApiClientResult) : IGraphQLResult<T> {
+    var body: any;
+    try {
+        body = result.getJSON<any>();
+    }
+    catch (e) {
+        body = undefined;
     }
     
-    var properties : any = {};
+    if (TypeUtils.isNullOrUndefined(body) || typeof body !== "object") {
+        body = {};
+    }
     
-    for (var p in obj) {
-        if (obj.hasOwnProperty(p)) {
-            properties[p] = obj[p];
+    return {
+        data: body.data,
+        errors: body.errors,
+        extensions: body.extensions,
+        result: result,
+    };
+}
+
+function toJsonSafe(val: any) : any {
+    if (TypeUtils.isNullOrUndefined(val)) {
+        return val;
+    }
+    
+    try {
+        var copy = JSON.parse(JSON.stringify(val));
+        
+        // no functions, dates, etc., which would be lost or changed
+        if (isDeepEqual(copy, val)) {
+            return copy;
         }
     }
+    catch (e) {
+        // circular references, etc.
+    }
     
-    return properties;
+    return undefined;
 }
 
-function invokeLogActions(client : ApiClient, msg : ILogMessage) {
-    for (var i = 0; i < client.logActions.length; i++) {
-        try {
-            var la = client.logActions[i];
-            la(msg);
-        }
-        catch (e) {
-            console.log("[ERROR] invokeLogActions(" + i +"): " + e);
+function toQueueOptions(opts: IRequestOptions) : IRequestOptions {
+    // do not store credentials
+    var headers = getOwnProperties(opts.headers);
+    for (var h in headers) {
+        if (CredentialHeaders.indexOf(h.toLowerCase().trim()) > -1) {
+            delete headers[h];
         }
     }
+    
+    // only what can be serialized
+    return {
+        cacheMode: opts.cacheMode,
+        coalesce: opts.coalesce,
+        content: opts.content,
+        encoding: opts.encoding,
+        headers: headers,
+        idempotencyKey: opts.idempotencyKey,
+        invokeActions: opts.invokeActions,
+        maxReplays: opts.maxReplays,
+        params: opts.params,
+        routeParams: opts.routeParams,
+        schema: toJsonSafe(opts.schema),
+        tag: toJsonSafe(opts.tag),
+        timeout: opts.timeout,
+        type: opts.type,
+        url: opts.url,
+    };
 }
 
-function isEmptyString(str : string) : boolean {
-    if (TypeUtils.isNullOrUndefined(str)) {
-        return true;
+function toWordArray(data: any) : any {
+    if (TypeUtils.isNullOrUndefined(data)) {
+        data = "";
     }
     
-    return "" === str.trim();
+    if (typeof data === "string") {
+        return Utf8.parse(data);
+    }
+    
+    if (isByteArray(data)) {
+        return Base64.parse(bytesToBase64(data));
+    }
+    
+    // cannot be hashed, like form data
 }
 
-function methodToString(method : any) : string {
-    if (TypeUtils.isNullOrUndefined(method)) {
-        return "GET";
+function validateSchemaValue(value: any, schema: any,
+                             path: string, schemaPath: string,
+                             rootSchema: any, errors: ISchemaError[], depth: number) {
+    var toPath = (key: any) => path + "/" + ("" + key).replace(/~/g, "~0")
+                                                      .replace(/\//g, "~1");
+    
+    var addError = function(keyword: string, message: string, key?: any) {
+        var hasKey = arguments.length > 2;
+        
+        errors.push({
+            keyword: keyword,
+            message: message,
+            path: hasKey ? toPath(key) : path,
+            schemaPath: schemaPath + "/" + keyword,
+            value: hasKey ? value[key] : value,
+        });
+    };
+    
+    var isValid = function(v: any, s: any, sp: string) : boolean {
+        var tempErrors: ISchemaError[] = [];
+        validateSchemaValue(v, s, path, sp,
+                            rootSchema, tempErrors, depth + 1);
+        
+        return tempErrors.length < 1;
+    };
+    
+    if (TypeUtils.isNullOrUndefined(schema) || true === schema) {
+        return;
     }
     
-    if (typeof method !== "string") {
-        method = HttpMethod[method];
+    if (false === schema) {
+        errors.push({
+            keyword: "false",
+            message: "is not allowed",
+            path: path,
+            schemaPath: schemaPath,
+            value: value,
+        });
+        return;
+    }
+    
+    if (depth > 64) {
+        addError("$ref", "exceeds the maximum depth of the schema (circular reference?)");
+        return;
+    }
+    
+    if (typeof schema.$ref === "string") {
+        var refSchema = resolveSchemaRef(rootSchema, schema.$ref);
+        if (undefined === refSchema) {
+            addError("$ref", "reference '" + schema.$ref + "' could not be resolved");
+            return;
+        }
+        
+        // other keywords are ignored
+        validateSchemaValue(value, refSchema, path, schema.$ref,
+                            rootSchema, errors, depth + 1);
+        return;
+    }
+    
+    var type = getJsonType(value);
+    
+    // type
+    if (!TypeUtils.isNullOrUndefined(schema.type)) {
+        var types: string[] = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+        
+        var isTypeMatching = types.some((t) => {
+            if ("integer" === t) {
+                return "number" === type && isFinite(value) && Math.floor(value) === value;
+            }
+            
+            return t === type;
+        });
+        
+        if (!isTypeMatching) {
+            // other keywords would only produce follow-up errors
+            addError("type", "must be of type '" + types.join("' or '") + "', but is '" + type + "'");
+            return;
+        }
+    }
+    
+    // enum
+    if (Array.isArray(schema.enum)) {
+        if (!schema.enum.some((e) => isDeepEqual(e, value))) {
+            addError("enum", "must be one of " + schema.enum.map((e) => JSON.stringify(e))
+                                                           .join(", "));
+        }
+    }
+    
+    // const
+    if (schema.hasOwnProperty("const")) {
+        if (!isDeepEqual(schema.const, value)) {
+            addError("const", "must be equal to " + JSON.stringify(schema.const));
+        }
+    }
+    
+    if ("number" === type) {
+        if (typeof schema.multipleOf === "number") {
+            var quotient = value / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                addError("multipleOf", "must be a multiple of " + schema.multipleOf);
+            }
+        }
+        
+        if (typeof schema.maximum === "number" && value > schema.maximum) {
+            addError("maximum", "must be <= " + schema.maximum);
+        }
+        
+        if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+            addError("exclusiveMaximum", "must be < " + schema.exclusiveMaximum);
+        }
+        
+        if (typeof schema.minimum === "number" && value < schema.minimum) {
+            addError("minimum", "must be >= " + schema.minimum);
+        }
+        
+        if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+            addError("exclusiveMinimum", "must be > " + schema.exclusiveMinimum);
+        }
+    }
+    
+    if ("string" === type) {
+        // count surrogate pairs as one character
+        var length = value.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, "_").length;
+        
+        if (typeof schema.maxLength === "number" && length > schema.maxLength) {
+            addError("maxLength", "must not have more than " + schema.maxLength + " characters");
+        }
+        
+        if (typeof schema.minLength === "number" && length < schema.minLength) {
+            addError("minLength", "must have at least " + schema.minLength + " characters");
+        }
+        
+        if (typeof schema.pattern === "string" && !new RegExp(schema.pattern).test(value)) {
+            addError("pattern", "must match pattern '" + schema.pattern + "'");
+        }
+        
+        var format = SchemaFormats[schema.format];
+        if (!TypeUtils.isNullOrUndefined(format)) {
+            var isFormatMatching = format instanceof RegExp ? format.test(value)
+                                                            : format(value);
+            
+            if (!isFormatMatching) {
+                addError("format", "must be a valid '" + schema.format + "'");
+            }
+        }
+    }
+    
+    if ("array" === type) {
+        if (Array.isArray(schema.items)) {
+            for (var i = 0; i < value.length; i++) {
+                if (i < schema.items.length) {
+                    validateSchemaValue(value[i], schema.items[i], toPath(i), schemaPath + "/items/" + i,
+                                        rootSchema, errors, depth + 1);
+                }
+                else if (!TypeUtils.isUndefined(schema.additionalItems)) {
+                    validateSchemaValue(value[i], schema.additionalItems, toPath(i), schemaPath + "/additionalItems",
+                                        rootSchema, errors, depth + 1);
+                }
+            }
+        }
+        else if (!TypeUtils.isUndefined(schema.items)) {
+            for (var i = 0; i < value.length; i++) {
+                validateSchemaValue(value[i], schema.items, toPath(i), schemaPath + "/items",
+                                    rootSchema, errors, depth + 1);
+            }
+        }
+        
+        if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+            addError("maxItems", "must not have more than " + schema.maxItems + " items");
+        }
+        
+        if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+            addError("minItems", "must have at least " + schema.minItems + " items");
+        }
+        
+        if (true === schema.uniqueItems) {
+            for (var i = 1; i < value.length; i++) {
+                for (var j = 0; j < i; j++) {
+                    if (isDeepEqual(value[i], value[j])) {
+                        addError("uniqueItems", "is a duplicate of item " + j, i);
+                        break;
+                    }
+                }
+            }
+        }
+        
+        if (!TypeUtils.isUndefined(schema.contains)) {
+            var containsSchemaPath = schemaPath + "/contains";
+            
+            if (!value.some((item) => isValid(item, schema.contains, containsSchemaPath))) {
+                addError("contains", "must contain at least one item that matches 'contains'");
+            }
+        }
+    }
+    
+    if ("object" === type) {
+        var keys = Object.keys(value);
+        
+        if (typeof schema.maxProperties === "number" && keys.length > schema.maxProperties) {
+            addError("maxProperties", "must not have more than " + schema.maxProperties + " properties");
+        }
+        
+        if (typeof schema.minProperties === "number" && keys.length < schema.minProperties) {
+            addError("minProperties", "must have at least " + schema.minProperties + " properties");
+        }
+        
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach((r) => {
+                if (!value.hasOwnProperty(r)) {
+                    addError("required", "is required", r);
+                }
+            });
+        }
+        
+        var properties = schema.properties || {};
+        var patternProperties = schema.patternProperties || {};
+        
+        keys.forEach((k) => {
+            var isDefined = false;
+            
+            if (properties.hasOwnProperty(k)) {
+                isDefined = true;
+                
+                validateSchemaValue(value[k], properties[k], toPath(k), schemaPath + "/properties/" + k,
+                                    rootSchema, errors, depth + 1);
+            }
+            
+            for (var pattern in patternProperties) {
+                if (new RegExp(pattern).test(k)) {
+                    isDefined = true;
+                    
+                    validateSchemaValue(value[k], patternProperties[pattern], toPath(k), schemaPath + "/patternProperties/" + pattern,
+                                        rootSchema, errors, depth + 1);
+                }
+            }
+            
+            if (!isDefined && !TypeUtils.isUndefined(schema.additionalProperties)) {
+                if (false === schema.additionalProperties) {
+                    addError("additionalProperties", "is not allowed", k);
+                }
+                else {
+                    validateSchemaValue(value[k], schema.additionalProperties, toPath(k), schemaPath + "/additionalProperties",
+                                        rootSchema, errors, depth + 1);
+                }
+            }
+            
+            if (!TypeUtils.isUndefined(schema.propertyNames)) {
+                if (!isValid(k, schema.propertyNames, schemaPath + "/propertyNames")) {
+                    addError("propertyNames", "has an invalid property name", k);
+                }
+            }
+        });
+        
+        var dependencies = schema.dependencies || {};
+        for (var d in dependencies) {
+            if (!value.hasOwnProperty(d)) {
+                continue;
+            }
+            
+            var dependency = dependencies[d];
+            if (Array.isArray(dependency)) {
+                dependency.forEach((dp) => {
+                    if (!value.hasOwnProperty(dp)) {
+                        addError("dependencies", "is required by '" + d + "'", dp);
+                    }
+                });
+            }
+            else {
+                validateSchemaValue(value, dependency, path, schemaPath + "/dependencies/" + d,
+                                    rootSchema, errors, depth + 1);
+            }
+        }
+    }
+    
+    // allOf
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((s, i) => {
+            validateSchemaValue(value, s, path, schemaPath + "/allOf/" + i,
+                                rootSchema, errors, depth + 1);
+        });
+    }
+    
+    // anyOf
+    if (Array.isArray(schema.anyOf)) {
+        if (!schema.anyOf.some((s, i) => isValid(value, s, schemaPath + "/anyOf/" + i))) {
+            addError("anyOf", "must match at least one schema of 'anyOf'");
+        }
+    }
+    
+    // oneOf
+    if (Array.isArray(schema.oneOf)) {
+        var matchCount = schema.oneOf.filter((s, i) => isValid(value, s, schemaPath + "/oneOf/" + i))
+                                     .length;
+        
+        if (1 !== matchCount) {
+            addError("oneOf", "must match exactly one schema of 'oneOf', but matches " + matchCount);
+        }
+    }
+    
+    // not
+    if (!TypeUtils.isUndefined(schema.not)) {
+        if (isValid(value, schema.not, schemaPath + "/not")) {
+            addError("not", "must NOT match the schema of 'not'");
+        }
+    }
+    
+    // if / then / else
+    if (!TypeUtils.isUndefined(schema.if)) {
+        if (isValid(value, schema.if, schemaPath + "/if")) {
+            if (!TypeUtils.isUndefined(schema.then)) {
+                validateSchemaValue(value, schema.then, path, schemaPath + "/then",
+                                    rootSchema, errors, depth + 1);
+            }
+        }
+        else if (!TypeUtils.isUndefined(schema.else)) {
+            validateSchemaValue(value, schema.else, path, schemaPath + "/else",
+                                rootSchema, errors, depth + 1);
+        }
     }
-
-    return method.toUpperCase().trim();
 }
 
 /**
@@ -2838,3 +15512,54 @@ export function newClient(config : IApiClientConfig | string) : IApiClient {
     
     return new ApiClient(cfg);
 }
+
+/**
+ * Notifies all offline queues about a new connectivity type.
+ * If the device is online again, the queues send their requests.
+ * 
+ * @param {Number} newType The new connectivity type.
+ */
+export function notifyConnectivityChanged(newType: number) {
+    if (Connectivity.connectionType.none === newType) {
+        return;
+    }
+    
+    var queues = OfflineQueues.slice();
+    for (var i = 0; i < queues.length; i++) {
+        queues[i].replay();
+    }
+}
+
+/**
+ * Registers a global decoder that is used by 'IApiClientResult.getContent()'
+ * for a specific content type.
+ * 
+ * @param {String|RegExp} mime The MIME type, like 'text/csv' or 'text/*'.
+ * @param {Function} decoder The function that decodes the response.
+ */
+export function registerDecoder(mime: string | RegExp, decoder: (ctx: IContentDecoderContext) => any) {
+    if (!TypeUtils.isNullOrUndefined(decoder)) {
+        GlobalDecoders.push({
+            decoder: decoder,
+            mime: mime,
+        });
+    }
+}
+
+/**
+ * Validates a (JSON) value against a JSON schema (draft-07).
+ * Only local references ('$ref'), like '#/definitions/item', are supported.
+ * 
+ * @param {any} value The value to validate.
+ * @param {any} schema The schema.
+ * 
+ * @return {ISchemaError[]} The list of violations, which is empty if the value is valid.
+ */
+export function validateSchema(value: any, schema: any) : ISchemaError[] {
+    var errors: ISchemaError[] = [];
+    validateSchemaValue(value, schema, "", "#",
+                        schema, errors, 0);
+    
+    return errors;
+}
+
@@ -1076,7 +1076,9 @@ exports.showStatusBar = showStatusBar;
  * @param {T} [tag] The custom value for callback to invoke.
  */
 function startMonitoringForConnectivity(cfg, tag) {
-    Connectivity.startMonitoring(function () {
+    Connectivity.startMonitoring(function (newType) {
+        // send queued requests
+        ApiClient.notifyConnectivityChanged(newType);
         invokeForConnectivity(cfg, tag);
     });
 }
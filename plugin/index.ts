@@ -1635,7 +1635,10 @@ export function showStatusBar<T>(callback?: (result: ISetStatusBarVisibilityResu
 export function startMonitoringForConnectivity<T>(cfg: IInvokeForConnectivityConfig<T>,
                                                   tag?: T) {
 
-    Connectivity.startMonitoring(() => {
+    Connectivity.startMonitoring((newType) => {
+        // send queued requests
+        ApiClient.notifyConnectivityChanged(newType);
+
         invokeForConnectivity(cfg, tag);
     });
 }